@@ -0,0 +1,239 @@
+import { $$, $append, $clear, $dateInput, $div, $divHolder, $h, $label, $option, $select, $span, $table, $tbody, $textInput,
+    $thead } from './HtmlHelpers.js';
+import { getDisplayDate, getFullDate } from './DateUtil.js';
+import ButtonCreator from './ButtonCreator.js';
+import { ContextualLog } from '/Shared/ConsoleLog.js';
+import { errorMessage } from './ErrorHandling.js';
+import { msToHms } from './Common.js';
+import Overlay from './Overlay.js';
+import { SectionType } from '/Shared/PlexTypes.js';
+import { ServerCommands } from './Commands.js';
+import TableElements from './TableElements.js';
+import Tooltip from './Tooltip.js';
+
+/** @typedef {!import('/Shared/PlexTypes').AuditLogEntry} AuditLogEntry */
+/** @typedef {!import('/Shared/PlexTypes').AuditLogPage} AuditLogPage */
+/** @typedef {!import('/Shared/PlexTypes').LibrarySection} LibrarySection */
+
+
+const Log = ContextualLog.Create('AuditLog');
+
+/** Display text for each audit log action. */
+const ActionText = {
+    add : 'Added',
+    edit : 'Edited',
+    delete : 'Deleted',
+    restore : 'Restored',
+};
+
+/**
+ * Overlay that lets admins browse the history of marker changes, along with who made them and from where.
+ */
+class AuditLogOverlay {
+    /**
+     * Show the audit log overlay.
+     * @param {HTMLElement} focusBack The element to focus when the overlay is dismissed. */
+    static async Show(focusBack) {
+        /** @type {LibrarySection[]} */
+        let sections = [];
+        try {
+            sections = await ServerCommands.getSections();
+        } catch (err) {
+            // Still usable without section names, just without the section/show filters.
+            Log.warn(errorMessage(err), `Unable to retrieve library sections for the audit log`);
+        }
+
+        new AuditLogOverlay(sections).#show(focusBack);
+    }
+
+    /** @type {{ [sectionId: number]: LibrarySection }} */
+    #sections = {};
+    /** The current zero-based page. */
+    #page = 0;
+    /** @type {HTMLElement} */
+    #container;
+
+    /**
+     * @param {LibrarySection[]} sections */
+    constructor(sections) {
+        for (const section of sections) {
+            this.#sections[section.id] = section;
+        }
+    }
+
+    /**
+     * Build the overlay and load the first page of results.
+     * @param {HTMLElement} focusBack */
+    #show(focusBack) {
+        const sectionSelect = $append($select('auditSection', this.#onSectionChanged.bind(this)),
+            $option('All libraries', -1),
+            ...Object.values(this.#sections).map(section => $option(section.name, section.id)));
+        const showSelect = $append($select('auditShow', this.#search.bind(this)), $option('All shows', -1));
+        showSelect.classList.add('hidden');
+        const search = this.#search.bind(this);
+        const onEnter = { keydown : e => { if (e.key === 'Enter') { search(); } } };
+
+        this.#container = $divHolder({ id : 'auditLogContainer' },
+            $h(1, 'Audit Log'),
+            $divHolder({ id : 'auditLogFilters' },
+                $label('User', 'auditUser'),
+                $textInput({ id : 'auditUser', placeholder : 'Any user' }, onEnter),
+                $label('Library', 'auditSection'),
+                sectionSelect,
+                showSelect,
+                $label('From', 'auditFrom'),
+                $dateInput({ id : 'auditFrom' }, { change : search }),
+                $label('To', 'auditTo'),
+                $dateInput({ id : 'auditTo' }, { change : search }),
+                ButtonCreator.textButton('Search', search)),
+            $div({ id : 'auditLogResults' }, 'Loading...'),
+            $divHolder({ id : 'auditLogPaging', class : 'buttonContainer' },
+                ButtonCreator.textButton('Previous', () => this.#load(this.#page - 1), { id : 'auditPrev' }),
+                $span('', { id : 'auditPageText' }),
+                ButtonCreator.textButton('Next', () => this.#load(this.#page + 1), { id : 'auditNext' })));
+
+        Overlay.build({ dismissible : true, closeButton : true, focusBack : focusBack }, this.#container);
+        this.#load(0);
+    }
+
+    /**
+     * Show the show filter when a TV library is selected, and search again. */
+    async #onSectionChanged() {
+        const sectionId = parseInt($$('#auditSection', this.#container).value);
+        const showSelect = $$('#auditShow', this.#container);
+        $clear(showSelect);
+        showSelect.appendChild($option('All shows', -1));
+        showSelect.classList.add('hidden');
+        if (this.#sections[sectionId]?.type === SectionType.TV) {
+            try {
+                const shows = await ServerCommands.getSection(sectionId);
+                shows.sort((a, b) => a.title.localeCompare(b.title));
+                $append(showSelect, ...shows.map(show => $option(show.title, show.metadataId)));
+                showSelect.classList.remove('hidden');
+            } catch (err) {
+                Log.warn(errorMessage(err), `Unable to retrieve shows for section ${sectionId}`);
+            }
+        }
+
+        this.#search();
+    }
+
+    /** Reload results from the first page after a filter changes. */
+    #search() {
+        this.#load(0);
+    }
+
+    /**
+     * Build the filter to send to the server based on the current filter inputs. */
+    #filter() {
+        const filter = { page : this.#page };
+        const username = $$('#auditUser', this.#container).value.trim();
+        if (username) {
+            filter.username = username;
+        }
+
+        const sectionId = parseInt($$('#auditSection', this.#container).value);
+        if (sectionId !== -1) {
+            filter.sectionId = sectionId;
+        }
+
+        const showId = parseInt($$('#auditShow', this.#container).value);
+        if (showId !== -1) {
+            filter.showId = showId;
+        }
+
+        // Date inputs are in the user's local time, and the end date should include the entire day.
+        const from = $$('#auditFrom', this.#container).value;
+        if (from) {
+            filter.from = Math.floor(new Date(`${from}T00:00:00`).getTime() / 1000);
+        }
+
+        const to = $$('#auditTo', this.#container).value;
+        if (to) {
+            filter.to = Math.floor(new Date(`${to}T23:59:59`).getTime() / 1000);
+        }
+
+        return filter;
+    }
+
+    /**
+     * Retrieve and display the given page of results.
+     * @param {number} page */
+    async #load(page) {
+        this.#page = Math.max(page, 0);
+        const results = $$('#auditLogResults', this.#container);
+        try {
+            this.#showPage(await ServerCommands.auditLog(this.#filter()));
+        } catch (err) {
+            results.replaceChildren($span(`Unable to retrieve the audit log: ${errorMessage(err)}`));
+        }
+    }
+
+    /**
+     * @param {AuditLogPage} result */
+    #showPage(result) {
+        const results = $$('#auditLogResults', this.#container);
+        const pageCount = Math.max(Math.ceil(result.total / result.pageSize), 1);
+        $$('#auditPageText', this.#container).innerText = `Page ${result.page + 1} of ${pageCount} (${result.total} actions)`;
+        $$('#auditPrev', this.#container).classList.toggle('disabled', result.page === 0);
+        $$('#auditNext', this.#container).classList.toggle('disabled', result.page + 1 >= pageCount);
+        if (result.entries.length === 0) {
+            results.replaceChildren($span('No marker actions found.'));
+            return;
+        }
+
+        const table = $table({ class : 'markerTable' });
+        table.appendChild($thead(TableElements.rawTableRow(
+            TableElements.dateColumn('Date'),
+            'User',
+            'Action',
+            'Item',
+            TableElements.centeredColumn('Type'),
+            TableElements.centeredColumn('Timings'))));
+
+        const body = $tbody();
+        for (const entry of result.entries) {
+            body.appendChild(this.#entryRow(entry));
+        }
+
+        table.appendChild(body);
+        results.replaceChildren(table);
+    }
+
+    /**
+     * @param {AuditLogEntry} entry */
+    #entryRow(entry) {
+        const date = new Date(entry.recordedAt * 1000);
+        const dateSpan = $span(getDisplayDate(date));
+        Tooltip.setTooltip(dateSpan, getFullDate(date));
+
+        const user = $span(entry.username ?? '-');
+        if (entry.clientIp) {
+            Tooltip.setTooltip(user, `From ${entry.clientIp}`);
+        }
+
+        let action = ActionText[entry.action] ?? entry.action;
+        if (entry.revert) {
+            action += ` (${entry.revert})`;
+        }
+
+        const section = this.#sections[entry.sectionId]?.name ?? `Section ${entry.sectionId}`;
+        const item = $span(entry.title ?? `Deleted item (${entry.parentId})`);
+        Tooltip.setTooltip(item, section);
+
+        let timings = `${msToHms(entry.start)}-${msToHms(entry.end)}`;
+        if (entry.action === 'edit' && entry.oldStart !== null) {
+            timings = `${msToHms(entry.oldStart)}-${msToHms(entry.oldEnd)} → ${timings}`;
+        }
+
+        return TableElements.rawTableRow(
+            TableElements.dateColumn(dateSpan),
+            user,
+            action,
+            item,
+            TableElements.centeredColumn(entry.markerType),
+            TableElements.centeredColumn(timings));
+    }
+}
+
+export default AuditLogOverlay;
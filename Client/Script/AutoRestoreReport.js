@@ -0,0 +1,147 @@
+import { $$, $div, $divHolder, $h, $span, $table, $tbody, $thead } from './HtmlHelpers.js';
+import { ContextualLog } from '/Shared/ConsoleLog.js';
+import { plural } from './Common.js';
+
+import { getDisplayDate, getFullDate } from './DateUtil.js';
+import { animateOpacity } from './AnimationHelpers.js';
+import ButtonCreator from './ButtonCreator.js';
+import { errorMessage } from './ErrorHandling.js';
+import { MarkerConflictResolution } from '/Shared/PlexTypes.js';
+import Overlay from './Overlay.js';
+import { ServerCommands } from './Commands.js';
+import TableElements from './TableElements.js';
+import Tooltip from './Tooltip.js';
+
+/** @typedef {!import('/Shared/PlexTypes').AutoRestoreEntry} AutoRestoreEntry */
+/** @typedef {!import('/Shared/PlexTypes').LibrarySection} LibrarySection */
+
+
+const Log = ContextualLog.Create('AutoRestoreReport');
+
+/**
+ * Lets the user know about any purged markers that the server restored automatically since they last checked.
+ */
+class AutoRestoreReport {
+    /**
+     * Check for unseen automatic restorations, showing a banner if any are found.
+     * @param {LibrarySection[]} libraries The libraries of the current server, used to display section names. */
+    static Check(libraries) {
+        return new AutoRestoreReport(libraries).check();
+    }
+
+    /** @type {{ [sectionId: number]: string }} */
+    #sectionNames = {};
+    /** @type {AutoRestoreEntry[]} */
+    #entries = [];
+    /** @type {HTMLElement} */
+    #bar;
+    /** @type {HTMLElement} */
+    #detailsButton;
+
+    /**
+     * @param {LibrarySection[]} libraries */
+    constructor(libraries) {
+        for (const library of libraries) {
+            this.#sectionNames[library.id] = library.name;
+        }
+    }
+
+    /**
+     * Retrieve the auto-restore history and show the banner if there's anything the user hasn't seen. */
+    async check() {
+        try {
+            this.#entries = (await ServerCommands.autoRestoreHistory()).filter(e => !e.seen);
+        } catch (err) {
+            // Not critical, don't bother the user about it.
+            Log.warn(errorMessage(err), `Unable to retrieve automatic restore history`);
+            return;
+        }
+
+        if (this.#entries.length === 0) {
+            Log.verbose(`No new automatic restorations.`);
+            return;
+        }
+
+        const restored = this.#entries.reduce((sum, entry) => sum + (entry.restored || 0), 0);
+        const failed = this.#entries.filter(e => e.error).length;
+        let text = `${plural(restored, 'purged marker')} automatically restored since your last visit`;
+        if (failed > 0) {
+            text += ` (${plural(failed, 'restoration')} failed)`;
+        }
+
+        this.#detailsButton = ButtonCreator.textButton('Details', this.#showDetails.bind(this));
+        this.#bar = $divHolder({ id : 'autoRestoreBar' },
+            $span(text, { id : 'autoRestoreString' }),
+            this.#detailsButton,
+            ButtonCreator.textButton('Dismiss', this.#dismiss.bind(this)));
+        const frame = $$('#plexFrame');
+        frame.insertBefore(this.#bar, frame.children[0]);
+    }
+
+    /**
+     * Show a table of every unseen automatic restoration. */
+    #showDetails() {
+        const table = $table({ class : 'markerTable' });
+        table.appendChild($thead(TableElements.rawTableRow(
+            'Library',
+            TableElements.centeredColumn('Restored'),
+            TableElements.centeredColumn('Deleted'),
+            TableElements.centeredColumn('Merged'),
+            TableElements.centeredColumn('Ignored'),
+            TableElements.centeredColumn('Conflicts'),
+            TableElements.dateColumn('Date'))));
+
+        const body = $tbody();
+        for (const entry of this.#entries) {
+            const date = new Date(entry.runAt * 1000);
+            const dateSpan = $span(getDisplayDate(date));
+            Tooltip.setTooltip(dateSpan, getFullDate(date));
+            const counts = entry.error ?
+                [TableElements.customClassColumn(`Failed: ${entry.error}`, 'centeredColumn'), '', '', ''] :
+                [entry.restored, entry.deleted, entry.modified, entry.ignored].map(c => TableElements.centeredColumn(c.toString()));
+            body.appendChild(TableElements.rawTableRow(
+                this.#sectionNames[entry.sectionId] ?? `Section ${entry.sectionId}`,
+                ...counts,
+                TableElements.centeredColumn(resolutionText(entry.resolveType)),
+                TableElements.dateColumn(dateSpan)));
+        }
+
+        table.appendChild(body);
+        const container = $divHolder({ id : 'autoRestoreContainer' },
+            $h(1, 'Automatically Restored Markers'),
+            table,
+            $div({ class : 'buttonContainer' },
+                ButtonCreator.textButton('Dismiss', async () => { await Overlay.dismiss(); this.#dismiss(); },
+                    { class : 'overlayInput overlayButton' })));
+        Overlay.build({ dismissible : true, closeButton : true, focusBack : this.#detailsButton }, container);
+    }
+
+    /**
+     * Remove the banner and let the server know the user has seen these restorations. */
+    async #dismiss() {
+        if (this.#bar) {
+            animateOpacity(this.#bar, 1, 0, 500, true /*deleteAfterTransition*/);
+            this.#bar = null;
+        }
+
+        try {
+            await ServerCommands.dismissAutoRestores();
+        } catch (err) {
+            Log.warn(errorMessage(err), `Unable to dismiss automatic restore history`);
+        }
+    }
+}
+
+/**
+ * @param {number} resolveType
+ * @returns {string} The display text for the given conflict resolution type. */
+function resolutionText(resolveType) {
+    switch (resolveType) {
+        case MarkerConflictResolution.Overwrite: return 'Overwrite';
+        case MarkerConflictResolution.Merge: return 'Merge';
+        case MarkerConflictResolution.Ignore: return 'Ignore';
+        default: return 'Unknown';
+    }
+}
+
+export default AutoRestoreReport;
@@ -20,10 +20,15 @@ import { ServerCommands } from './Commands.js';
 import TableElements from './TableElements.js';
 import { ThemeColors } from './ThemeColors.js';
 import TooltipBuilder from './TooltipBuilder.js';
+import { UndoStack } from './UndoManager.js';
 
 /** @typedef {!import('/Shared/PlexTypes').ChapterData} ChapterData */
 /** @typedef {!import('/Shared/PlexTypes').ChapterMap} ChapterMap */
+/** @typedef {!import('/Shared/PlexTypes').CreditsDetectionResult} CreditsDetectionResult */
 /** @typedef {!import('/Shared/PlexTypes').CustomBulkAddMap} CustomBulkAddMap */
+/** @typedef {!import('/Shared/PlexTypes').DetectedCredits} DetectedCredits */
+/** @typedef {!import('/Shared/PlexTypes').DetectedIntro} DetectedIntro */
+/** @typedef {!import('/Shared/PlexTypes').IntroDetectionResult} IntroDetectionResult */
 /** @typedef {!import('/Shared/PlexTypes').SeasonData} SeasonData */
 /** @typedef {!import('/Shared/PlexTypes').MarkerData} MarkerData */
 /** @typedef {!import('/Shared/PlexTypes').SerializedBulkAddResult} SerializedBulkAddResult */
@@ -62,6 +67,12 @@ class BulkAddOverlay {
     #cachedChapterStart;
     /** @type {ChapterData} Cached baseline end chapter data. */
     #cachedChapterEnd;
+    /** @type {{ [episodeId: number]: DetectedIntro|DetectedCredits }?} Automatically detected markers, if the user asked for them. */
+    #detectedMarkers = null;
+    /** @type {string} The type of marker in #detectedMarkers. */
+    #detectedType;
+    /** @type {{ [episodeId: number]: string }} The reason detection failed for individual episodes. */
+    #detectionFailures = {};
     /** @type {BulkAddStickySettings} Applicable settings that might "stick" depending on client settings. */
     #stickySettings = new BulkAddStickySettings();
 
@@ -100,6 +111,7 @@ class BulkAddOverlay {
     show(focusBack) {
         // Any time we're showing the dialog we should reset any marker data we've accumulated
         this.#serverResponse = undefined;
+        this.#detectedMarkers = null;
         const container = $div({ id : 'bulkActionContainer' });
         const title = $h(1, 'Bulk Add Markers');
         $append(container,
@@ -144,6 +156,26 @@ class BulkAddOverlay {
                         class : 'disabled',
                         tooltip : 'Checking for chapters...'
                     }
+                ),
+                ButtonCreator.fullButton(
+                    'Detect Intros',
+                    Icons.Detect,
+                    ThemeColors.Primary,
+                    this.#onDetectIntros.bind(this),
+                    {
+                        id : 'detectIntros',
+                        tooltip : 'Find intros by comparing the audio of each episode in the season (requires FFmpeg)'
+                    }
+                ),
+                ButtonCreator.fullButton(
+                    'Detect Credits',
+                    Icons.Detect,
+                    ThemeColors.Primary,
+                    this.#onDetectCredits.bind(this),
+                    {
+                        id : 'detectCredits',
+                        tooltip : 'Find credits by looking for black frames and silence near the end of each episode (requires FFmpeg)'
+                    }
                 )
             ),
             $divHolder({ id : 'bulkAddMarkerType' },
@@ -196,8 +228,15 @@ class BulkAddOverlay {
     #onBulkAddInputChange(e) {
         const start = $('#addStart');
         const end = $('#addEnd');
+        const oldStart = this.#cachedStart;
+        const oldEnd = this.#cachedEnd;
         this.#cachedStart = timeToMs(start.value, true /*allowNegative*/);
         this.#cachedEnd = timeToMs(end.value, true /*allowNegative*/);
+        if (!Object.is(oldStart, this.#cachedStart) || !Object.is(oldEnd, this.#cachedEnd)) {
+            // Manual input takes precedence over any detected intros.
+            this.#detectedMarkers = null;
+        }
+
         isNaN(this.#cachedStart) ? start.classList.add('badInput') : start.classList.remove('badInput');
         isNaN(this.#cachedEnd) ? end.classList.add('badInput') : end.classList.remove('badInput');
         clearTimeout(this.#inputTimer);
@@ -233,9 +272,58 @@ class BulkAddOverlay {
         }
 
         this.#stickySettings.setChapterMode(chapterMode);
+        this.#detectedMarkers = null;
         this.#updateTableStats();
     }
 
+    /**
+     * Detect intros by comparing the audio of each episode, and show them in the customization table for review. */
+    #onDetectIntros() {
+        return this.#detect($('#detectIntros'), MarkerType.Intro, () => ServerCommands.detectIntros(this.#mediaItem.metadataId));
+    }
+
+    /**
+     * Detect credits by looking for black frames and silence, and show them in the customization table for review. */
+    #onDetectCredits() {
+        return this.#detect($('#detectCredits'), MarkerType.Credits, () => ServerCommands.detectCredits(this.#mediaItem.metadataId));
+    }
+
+    /**
+     * Run marker detection and show the results in the customization table.
+     * @param {HTMLElement} button The button that triggered detection.
+     * @param {string} markerType The type of marker being detected.
+     * @param {() => Promise<IntroDetectionResult|CreditsDetectionResult>} detector */
+    async #detect(button, markerType, detector) {
+        ButtonCreator.setIcon(button, Icons.Loading, ThemeColors.Primary);
+        const typeName = markerType === MarkerType.Intro ? 'intros' : 'credits';
+        try {
+            const result = await detector();
+            this.#detectionFailures = {};
+            for (const failure of result.failed) {
+                this.#detectionFailures[failure.metadataId] = failure.reason;
+            }
+
+            const detected = result.episodes ?? result.items;
+            if (Object.keys(detected).length === 0) {
+                this.#detectedMarkers = null;
+                errorToast(`Unable to detect any ${typeName} for this item.`, 5000);
+                return;
+            }
+
+            this.#detectedMarkers = detected;
+            this.#detectedType = markerType;
+            $('#markerTypeSelect').value = markerType;
+            this.#onMarkerTypeChanged();
+            await this.#check();
+        } catch (err) {
+            errorResponseOverlay(`Unable to detect ${typeName}, please try again later`, err, this.show.bind(this));
+        } finally {
+            if (button.isConnected) {
+                ButtonCreator.setIcon(button, Icons.Detect, ThemeColors.Primary);
+            }
+        }
+    }
+
     /** Update the type of marker to create. */
     #onMarkerTypeChanged() {
         this.#stickySettings.setMarkerType($('#markerTypeSelect').value);
@@ -424,8 +512,8 @@ class BulkAddOverlay {
     }
 
     async #applyInternal() {
-        if (this.chapterMode()) {
-            return this.#applyChapters();
+        if (this.chapterMode() || this.detectionMode()) {
+            return this.#applyCustom();
         }
 
         const startTime = this.startTime();
@@ -454,11 +542,11 @@ class BulkAddOverlay {
     }
 
     /**
-     * Attempt to apply a bulk-add based on chapter data. */
-    async #applyChapters() {
+     * Attempt to apply a bulk-add based on chapter data or detected intros. */
+    async #applyCustom() {
         if (!this.#serverResponse || !this.#table) {
-            // We should only be submitting chapter-based markers if we've queried for episode info.
-            Log.warn(`Attempting to add chapter-based markers without episode data. How did that happen?`);
+            // We should only be submitting custom markers if we've queried for episode info.
+            Log.warn(`Attempting to add custom markers without episode data. How did that happen?`);
             return BulkActionCommon.flashButton('bulkAddApply', ThemeColors.Red);
         }
 
@@ -474,7 +562,12 @@ class BulkAddOverlay {
                 continue;
             }
 
-            const timestamp = row.getChapterTimestampData();
+            const timestamp = row.getCustomTimestampData();
+            if (isNaN(timestamp.start) || isNaN(timestamp.end)) {
+                Log.verbose(`Ignoring bulk add for ${row.id} - no timestamps available.`);
+                continue;
+            }
+
             if (timestamp.start >= timestamp.end) {
                 Log.warn(`Ignoring bulk add for ${row.id} - start timestamp greater than end timestamp.`);
                 continue;
@@ -489,7 +582,7 @@ class BulkAddOverlay {
             return BulkActionCommon.flashButton('bulkAddApply', ThemeColors.Red);
         }
 
-        Log.info(`Attempt to bulk-add ${newMarkerCount} markers based on chapter data.`);
+        Log.info(`Attempt to bulk-add ${newMarkerCount} markers based on ${this.detectionMode() ? 'detected markers' : 'chapter data'}.`);
         const resolveType = this.resolveType();
         const markerType = this.markerType();
         try {
@@ -520,6 +613,7 @@ class BulkAddOverlay {
             return;
         }
 
+        UndoStack.push('Bulk add', result);
         const episodes = Object.values(result.episodeMap);
         let addCount = 0;
         let editCount = 0;
@@ -633,6 +727,18 @@ class BulkAddOverlay {
     chapterStart() { return this.#cachedChapterStart; }
     chapterEnd() { return this.#cachedChapterEnd; }
     chapterIndexMode() { return this.#stickySettings.chapterIndexMode(); }
+    /** @returns {boolean} Whether we're using detected intros instead of manual/chapter input. */
+    detectionMode() { return !!this.#detectedMarkers; }
+    /**
+     * @param {number} episodeId
+     * @returns {DetectedIntro|DetectedCredits|undefined} */
+    detectedMarker(episodeId) { return this.#detectedMarkers?.[episodeId]; }
+    /** @returns {string} The type of marker that was detected. */
+    detectedType() { return this.#detectedType; }
+    /**
+     * @param {number} episodeId
+     * @returns {string|undefined} */
+    detectionFailure(episodeId) { return this.#detectionFailures[episodeId]; }
 
     /** Update all items in the customization table, if present. */
     #updateTableStats() {
@@ -657,6 +763,10 @@ const ChapterMatchMode = {
     Fuzzy : 4,
     /** @readonly This item has no markers. */
     NoMatch : 5,
+    /** @readonly We're using an intro found via audio detection. */
+    Detected : 6,
+    /** @readonly We're using detected intros, but none was found for this item. */
+    NotDetected : 7,
 };
 
 /**
@@ -678,6 +788,13 @@ class BulkAddRow extends BulkActionRow {
     /** @type {ChapterData[]} */
     #chapters;
 
+    /** Descriptions of what credits were detected from. */
+    static #creditsSources = {
+        black : 'black frames',
+        silence : 'silence',
+        both : 'black frames and silence',
+    };
+
     /**
      * @param {BulkAddOverlay} parent
      * @param {SerializedBulkAddResultEntry} episodeInfo
@@ -721,8 +838,9 @@ class BulkAddRow extends BulkActionRow {
 
     /**
      * Return the start and end timestamp for this row. */
-    getChapterTimestampData() {
-        Log.assert(this.#parent.chapterMode(), `We should be in chapterMode if we're calling getChapterTimestampData`);
+    getCustomTimestampData() {
+        Log.assert(this.#parent.chapterMode() || this.#parent.detectionMode(),
+            `We should be in chapterMode or detectionMode if we're calling getCustomTimestampData`);
         const start = this.#calculateStartEnd('start', this.#parent.chapterStart()).time;
         return {
             start : start,
@@ -737,6 +855,14 @@ class BulkAddRow extends BulkActionRow {
      * @param {number} min
      * @returns {{ mode : number, time : number }} */
     #calculateStartEnd(type, baseline, min=-1) {
+        if (this.#parent.detectionMode()) {
+            const detected = this.#parent.detectedMarker(this.#episodeInfo.metadataId);
+            return {
+                mode : detected ? ChapterMatchMode.Detected : ChapterMatchMode.NotDetected,
+                time : detected ? detected[type] : NaN,
+            };
+        }
+
         if (!this.#parent.chapterMode()) {
             return {
                 mode : ChapterMatchMode.Disabled,
@@ -839,7 +965,10 @@ class BulkAddRow extends BulkActionRow {
         let end = endTimeBase;
         let semiWarn = false;
         let isWarn = false;
-        if (isNaN(startTimeBase) || isNaN(endTimeBase)) {
+        if (startData.mode === ChapterMatchMode.NotDetected) {
+            const reason = this.#parent.detectionFailure(this.#episodeInfo.metadataId);
+            tt.addLine(reason ?? `No ${this.#parent.detectedType()} detected for this episode.`);
+        } else if (isNaN(startTimeBase) || isNaN(endTimeBase)) {
             tt.addLine('Invalid start or end time.');
         } else if (startTimeBase >= endTimeBase) {
             tt.addLines(`Start time is greater than end time:`, `Start: ${msToHms(startTimeBase)}`, `End: ${msToHms(endTimeBase)}`);
@@ -962,6 +1091,17 @@ class BulkAddRow extends BulkActionRow {
             Tooltip.setTooltip(this.#titleTd, tooltip);
         };
 
+        if (startMode === ChapterMatchMode.Detected) {
+            const detected = this.#parent.detectedMarker(this.#episodeInfo.metadataId);
+            if (this.#parent.detectedType() === MarkerType.Credits) {
+                return setTitleInfo(detected.source === 'both' ? 'bulkActionOn' : 'bulkActionSemi',
+                    `Credits detected from ${BulkAddRow.#creditsSources[detected.source]} near the end of the episode.`);
+            }
+
+            return setTitleInfo(detected.confidence >= 0.5 ? 'bulkActionOn' : 'bulkActionSemi',
+                `Intro detected from audio shared with another episode (${Math.round(detected.confidence * 100)}% match).`);
+        }
+
         if (startMode === ChapterMatchMode.NoMatch) {
             Log.assert(endMode === ChapterMatchMode.NoMatch, `endData.mode === ChapterMatchMode.NoMatch`);
             return setTitleInfo('bulkActionOff', 'No chapter data found for this episode, using baseline chapter values.');
@@ -12,6 +12,7 @@ import { PlexClientState } from './PlexClientState.js';
 import { ServerCommands } from './Commands.js';
 import TableElements from './TableElements.js';
 import { ThemeColors } from './ThemeColors.js';
+import { UndoStack } from './UndoManager.js';
 
 /** @typedef {!import('/Shared/PlexTypes').SeasonData} SeasonData */
 /** @typedef {!import('/Shared/PlexTypes').SerializedMarkerData} SerializedMarkerData */
@@ -128,6 +129,7 @@ class BulkDeleteOverlay {
             const markerMap = BulkActionCommon.markerMapFromList(result.deletedMarkers);
 
             PlexClientState.notifyBulkActionChange(markerMap, BulkActionType.Delete);
+            UndoStack.push('Bulk delete', result);
             await BulkActionCommon.flashButton('deleteApply', ThemeColors.Green);
 
             // If the bulk operation deleted all markers of the desired type, dismiss the overlay,
@@ -0,0 +1,404 @@
+import { $, $append, $br, $div, $divHolder, $h, $hr, $label, $option, $plainDivHolder, $select, $textInput } from './HtmlHelpers.js';
+import { BulkActionCommon, BulkActionRow, BulkActionTable, BulkActionType } from './BulkActionCommon.js';
+import { BulkMarkerResolveType, MarkerData } from '/Shared/PlexTypes.js';
+import { errorResponseOverlay, errorToast } from './ErrorHandling.js';
+import { MarkerEnum, MarkerType } from '/Shared/MarkerType.js';
+import { pad0, plural, timeInputShortcutHandler, timeToMs, toggleVisibility } from './Common.js';
+import ButtonCreator from './ButtonCreator.js';
+import Icons from './Icons.js';
+import Overlay from './Overlay.js';
+import { PlexClientState } from './PlexClientState.js';
+import { ServerCommands } from './Commands.js';
+import TableElements from './TableElements.js';
+import { ThemeColors } from './ThemeColors.js';
+import { UndoStack } from './UndoManager.js';
+
+/** @typedef {!import('/Shared/PlexTypes').BulkItemsCheckResult} BulkItemsCheckResult */
+/** @typedef {!import('/Shared/PlexTypes').BulkItemsResult} BulkItemsResult */
+/** @typedef {!import('/Shared/PlexTypes').MarkerDataMap} MarkerDataMap */
+/** @typedef {!import('/Shared/PlexTypes').PlexData} PlexData */
+/** @typedef {!import('/Shared/PlexTypes').SerializedEpisodeData} SerializedEpisodeData */
+/** @typedef {!import('/Shared/PlexTypes').SerializedMarkerData} SerializedMarkerData */
+/** @typedef {!import('/Shared/PlexTypes').SerializedMovieData} SerializedMovieData */
+
+/** Display text for each bulk action that can be applied to multiple items. */
+const ActionText = {
+    [BulkActionType.Add] : 'Add',
+    [BulkActionType.Shift] : 'Shift',
+    [BulkActionType.Delete] : 'Delete',
+};
+
+/**
+ * Convert a flat list of serialized markers to a map of MarkerData keyed by their parent id.
+ * @param {SerializedMarkerData[]} markers
+ * @returns {MarkerDataMap} */
+function markerDataMap(markers) {
+    /** @type {MarkerDataMap} */
+    const map = {};
+    for (const marker of markers) {
+        (map[marker.parentId] ??= []).push(new MarkerData().setFromJson(marker));
+    }
+
+    return map;
+}
+
+/**
+ * UI for applying a bulk add/shift/delete to multiple shows/seasons/movies at once, e.g.
+ * the results of a saved search or a manual selection in the result list.
+ */
+class BulkItemsOverlay {
+    /** @type {string} */
+    #title;
+
+    /** @type {PlexData[]} */
+    #items;
+
+    /** @type {string} */
+    #description;
+
+    /**
+     * The customization table, if the user has requested it.
+     * @type {BulkActionTable?} */
+    #table = null;
+
+    /**
+     * The markers and episodes/movies of all items, retrieved when the customization table is first shown.
+     * @type {BulkItemsCheckResult?} */
+    #checkData = null;
+
+    /**
+     * @param {string} title A short description of the items the action applies to.
+     * @param {PlexData[]} items The shows/seasons/movies the action applies to.
+     * @param {string} [description] Text describing what the action applies to. Defaults to the number of selected items. */
+    constructor(title, items, description) {
+        this.#title = title;
+        this.#items = items;
+        this.#description = description ??
+            `The action will apply to all episodes and movies of the ${plural(items.length, 'selected item')}.`;
+    }
+
+    /**
+     * Launch the bulk action overlay.
+     * @param {HTMLElement} focusBack The element to set focus back to after the overlay is dismissed. */
+    show(focusBack) {
+        this.#table = null;
+        const timeInput = (id) => $textInput(
+            { placeholder : 'ms or mm:ss[.000]', id : id, class : 'bulkItemsTime' },
+            { keyup : this.#onTimeInput, keydown : timeInputShortcutHandler });
+
+        const container = $divHolder({ id : 'bulkActionContainer' },
+            $h(1, `Bulk Actions for ${this.#title}`),
+            $hr(),
+            $div({}, this.#description),
+            $divHolder({ id : 'bulkItemsAction' },
+                $label('Action: ', 'bulkItemsActionSelect'),
+                $append($select('bulkItemsActionSelect', this.#onActionChanged.bind(this)),
+                    ...Object.entries(ActionText).map(([value, text]) => $option(text, value)))),
+            $divHolder({ id : 'bulkItemsAddZone' },
+                $label('Marker Type: ', 'bulkItemsMarkerType'),
+                $append($select('bulkItemsMarkerType'),
+                    ...Object.entries(MarkerType).map(([text, value]) => $option(text, value))),
+                $br(),
+                $label('Start: ', 'bulkItemsStart'),
+                timeInput('bulkItemsStart'),
+                $label('End: ', 'bulkItemsEnd'),
+                timeInput('bulkItemsEnd'),
+                $br(),
+                $label('Apply Action: ', 'bulkItemsResolveType'),
+                $append($select('bulkItemsResolveType'),
+                    $option('Merge', BulkMarkerResolveType.Merge),
+                    $option('Ignore', BulkMarkerResolveType.Ignore),
+                    $option('Overwrite', BulkMarkerResolveType.Overwrite))),
+            $divHolder({ id : 'bulkItemsShiftZone', class : 'hidden' },
+                $label('Start shift: ', 'bulkItemsStartShift'),
+                timeInput('bulkItemsStartShift'),
+                $label('End shift: ', 'bulkItemsEndShift'),
+                timeInput('bulkItemsEndShift')),
+            $divHolder({ id : 'bulkItemsApplyTo', class : 'hidden' },
+                BulkActionCommon.markerSelectType('Apply to: ', this.#onApplyToChanged.bind(this))),
+            $hr(),
+            $divHolder({ id : 'bulkActionButtons' },
+                ButtonCreator.fullButton(
+                    'Apply', Icons.Confirm, ThemeColors.Green, this.#apply.bind(this), { id : 'bulkItemsApply' }),
+                ButtonCreator.fullButton(
+                    'Customize',
+                    Icons.Table,
+                    ThemeColors.Primary,
+                    this.#showCustomizationTable.bind(this),
+                    {
+                        id : 'bulkItemsCustomize',
+                        tooltip : 'Bring up a table of all episodes/markers the action applies to, with the option to skip some.'
+                    }),
+                ButtonCreator.fullButton(
+                    'Cancel', Icons.Cancel, ThemeColors.Red, Overlay.dismiss)));
+
+        Overlay.build({
+            dismissible : true,
+            closeButton : true,
+            forceFullscreen : true,
+            focusBack : focusBack }, container);
+    }
+
+    /**
+     * Show the options relevant to the selected action. */
+    #onActionChanged() {
+        const action = this.#action();
+        toggleVisibility($('#bulkItemsAddZone'), action === BulkActionType.Add);
+        toggleVisibility($('#bulkItemsShiftZone'), action === BulkActionType.Shift);
+        toggleVisibility($('#bulkItemsApplyTo'), action !== BulkActionType.Add);
+        this.#rebuildTable();
+    }
+
+    /** Only show markers the action applies to after the marker type filter changes. */
+    #onApplyToChanged() {
+        this.#rebuildTable();
+    }
+
+    /**
+     * Mark time inputs that can't be parsed.
+     * @param {KeyboardEvent} e */
+    #onTimeInput(e) {
+        const input = e.target;
+        isNaN(timeToMs(input.value, true /*allowNegative*/)) ? input.classList.add('badInput') : input.classList.remove('badInput');
+    }
+
+    /** @returns {number} The selected BulkActionType */
+    #action() { return parseInt($('#bulkItemsActionSelect').value); }
+
+    /** @returns {number} The marker type(s) to apply shifts/deletes to. */
+    #applyTo() { return parseInt($('#markerTypeSelect').value); }
+
+    /**
+     * @param {string} id The id of the time input to parse.
+     * @returns {number} */
+    #time(id) { return timeToMs($(`#${id}`).value, true /*allowNegative*/); }
+
+    /**
+     * Retrieve the markers and episodes/movies of all items, then show the customization table. */
+    async #showCustomizationTable() {
+        if (!this.#checkData) {
+            try {
+                this.#checkData = await ServerCommands.checkBulkItems(this.#items.map(item => item.metadataId));
+            } catch (err) {
+                await BulkActionCommon.flashButton('bulkItemsCustomize', ThemeColors.Red, 500);
+                errorResponseOverlay('Unable to retrieve items, please try again later', err, this.show.bind(this));
+                return;
+            }
+        }
+
+        this.#buildTable();
+    }
+
+    /** Rebuild the customization table after the action or marker type filter changes, if it's visible. */
+    #rebuildTable() {
+        if (this.#table) {
+            this.#buildTable();
+        }
+    }
+
+    /**
+     * Build the customization table for the selected action. Adds list every episode/movie,
+     * while shifts and deletes list every marker of the selected type(s). */
+    #buildTable() {
+        this.#table?.remove();
+        this.#table = new BulkActionTable();
+        const data = this.#checkData;
+        if (this.#action() === BulkActionType.Add) {
+            this.#table.buildTableHead(
+                TableElements.customClassColumn('Item', 'bulkActionEpisodeColumn'),
+                TableElements.shortTimeColumn('Markers'));
+
+            /** @type {{ [baseItemId: number]: number }} */
+            const markerCounts = {};
+            data.markers.forEach(marker => markerCounts[marker.parentId] = (markerCounts[marker.parentId] ?? 0) + 1);
+            for (const baseItemId of this.#sortedBaseItems()) {
+                this.#table.addRow(new BulkItemsBaseItemRow(
+                    this.#table, baseItemId, this.#itemText(baseItemId), markerCounts[baseItemId] ?? 0));
+            }
+        } else {
+            this.#table.buildTableHead(
+                TableElements.customClassColumn('Item', 'bulkActionEpisodeColumn'),
+                'Type',
+                TableElements.shortTimeColumn('Start Time'),
+                TableElements.shortTimeColumn('End Time'));
+
+            const order = new Map(this.#sortedBaseItems().map((id, index) => [id, index]));
+            const applyTo = this.#applyTo();
+            const markers = data.markers
+                .filter(marker => MarkerEnum.typeMatch(marker.markerType, applyTo))
+                .sort((a, b) => (order.get(a.parentId) - order.get(b.parentId)) || (a.start - b.start));
+            for (const marker of markers) {
+                this.#table.addRow(new BulkItemsMarkerRow(this.#table, marker, this.#itemText(marker.parentId)));
+            }
+        }
+
+        $('#bulkActionContainer').appendChild(this.#table.html());
+    }
+
+    /**
+     * Retrieve the ids of all episodes and movies of the items, sorted by show/season/episode or movie title.
+     * @returns {number[]} */
+    #sortedBaseItems() {
+        const episodes = Object.values(this.#checkData.episodeData).sort((a, b) =>
+            a.showName.localeCompare(b.showName) || (a.seasonIndex - b.seasonIndex) || (a.index - b.index));
+        const movies = Object.values(this.#checkData.movieData).sort((a, b) => a.title.localeCompare(b.title));
+        return episodes.map(episode => episode.metadataId).concat(movies.map(movie => movie.metadataId));
+    }
+
+    /**
+     * Retrieve the display text for the given episode/movie.
+     * @param {number} baseItemId */
+    #itemText(baseItemId) {
+        /** @type {SerializedEpisodeData} */
+        const episode = this.#checkData.episodeData[baseItemId];
+        if (episode) {
+            return `${episode.showName} S${pad0(episode.seasonIndex, 2)}E${pad0(episode.index, 2)} - ${episode.title}`;
+        }
+
+        /** @type {SerializedMovieData} */
+        const movie = this.#checkData.movieData[baseItemId];
+        return `${movie.title} (${movie.year})`;
+    }
+
+    /**
+     * Send the selected action to the server, returning null if the input is invalid.
+     * @returns {Promise<BulkItemsResult>?} */
+    #send() {
+        const ids = this.#items.map(item => item.metadataId);
+        const ignored = this.#table?.getIgnored() ?? [];
+        switch (this.#action()) {
+            case BulkActionType.Add: {
+                const start = this.#time('bulkItemsStart');
+                const end = this.#time('bulkItemsEnd');
+                if (isNaN(start) || isNaN(end)) {
+                    return null;
+                }
+
+                return ServerCommands.bulkAddItems(
+                    $('#bulkItemsMarkerType').value, ids, start, end, parseInt($('#bulkItemsResolveType').value), ignored);
+            }
+            case BulkActionType.Shift: {
+                const startShift = this.#time('bulkItemsStartShift');
+                const endShift = $('#bulkItemsEndShift').value ? this.#time('bulkItemsEndShift') : startShift;
+                if (isNaN(startShift) || isNaN(endShift) || (startShift === 0 && endShift === 0)) {
+                    return null;
+                }
+
+                return ServerCommands.shiftItems(ids, startShift, endShift, this.#applyTo(), ignored);
+            }
+            default:
+                return ServerCommands.bulkDeleteItems(ids, this.#applyTo(), ignored);
+        }
+    }
+
+    /**
+     * Apply the selected action, updating the UI on success. */
+    async #apply() {
+        /** @type {BulkItemsResult} */
+        let result;
+        try {
+            const request = this.#send();
+            if (!request) {
+                BulkActionCommon.flashButton('bulkItemsApply', ThemeColors.Red, 500);
+                errorToast('Please enter valid timestamps.', 3000);
+                return;
+            }
+
+            result = await request;
+        } catch (err) {
+            await BulkActionCommon.flashButton('bulkItemsApply', ThemeColors.Red, 500);
+            errorResponseOverlay('Unable to apply bulk action, please try again later', err, this.show.bind(this));
+            return;
+        }
+
+        if (!result.applied) {
+            BulkActionCommon.flashButton('bulkItemsApply', ThemeColors.Red, 1000);
+            errorToast(result.notAppliedReason || 'Unable to apply bulk action.', 6000);
+            return;
+        }
+
+        UndoStack.push(`${ActionText[this.#action()]} markers for ${this.#title}`, result);
+        await PlexClientState.notifyUndoChange(markerDataMap(result.added), markerDataMap(result.deleted), markerDataMap(result.edited));
+        await BulkActionCommon.flashButton('bulkItemsApply', ThemeColors.Green, 500);
+        Overlay.show($plainDivHolder(
+            $h(2, 'Bulk Action Succeeded'), $hr(),
+            `Markers Added: ${result.added.length}`, $br(),
+            `Markers Edited: ${result.edited.length}`, $br(),
+            `Markers Deleted: ${result.deleted.length}`));
+    }
+}
+
+/**
+ * A row in the bulk add customization table, representing a single episode or movie.
+ */
+class BulkItemsBaseItemRow extends BulkActionRow {
+    /** @type {string} */
+    #text;
+    /** @type {number} */
+    #markerCount;
+
+    /**
+     * @param {BulkActionTable} table
+     * @param {number} baseItemId The episode/movie id.
+     * @param {string} text The display text of the episode/movie.
+     * @param {number} markerCount The number of existing markers the episode/movie has. */
+    constructor(table, baseItemId, text, markerCount) {
+        super(table, baseItemId);
+        this.#text = text;
+        this.#markerCount = markerCount;
+    }
+
+    /** Construct the table row. */
+    build() {
+        return this.buildRow(
+            this.createCheckbox(true /*checked*/, this.id),
+            TableElements.customClassColumn(this.#text, 'bulkActionEpisodeColumn'),
+            TableElements.shortTimeColumn(this.#markerCount.toString()));
+    }
+
+    /** Gray out the row if the episode/movie won't have a marker added. */
+    update() {
+        for (const col of [this.row.children[1], this.row.children[2]]) {
+            this.enabled ? col.classList.remove('bulkActionInactive') : col.classList.add('bulkActionInactive');
+        }
+    }
+}
+
+/**
+ * A row in the bulk shift/delete customization table, representing a single marker.
+ */
+class BulkItemsMarkerRow extends BulkActionRow {
+    /** @type {SerializedMarkerData} */
+    #marker;
+    /** @type {string} */
+    #text;
+
+    /**
+     * @param {BulkActionTable} table
+     * @param {SerializedMarkerData} marker
+     * @param {string} text The display text of the marker's episode/movie. */
+    constructor(table, marker, text) {
+        super(table, marker.id);
+        this.#marker = marker;
+        this.#text = text;
+    }
+
+    /** Construct the table row. */
+    build() {
+        return this.buildRow(
+            this.createCheckbox(true /*checked*/, this.#marker.id),
+            TableElements.customClassColumn(this.#text, 'bulkActionEpisodeColumn'),
+            this.#marker.markerType[0].toUpperCase() + this.#marker.markerType.substring(1),
+            TableElements.timeData(this.#marker.start),
+            TableElements.timeData(this.#marker.end));
+    }
+
+    /** Gray out the marker's timestamps if it won't be shifted/deleted. */
+    update() {
+        for (const col of [this.row.children[3], this.row.children[4]]) {
+            this.enabled ? col.classList.remove('bulkActionInactive') : col.classList.add('bulkActionInactive');
+        }
+    }
+}
+
+export default BulkItemsOverlay;
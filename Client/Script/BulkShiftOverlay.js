@@ -16,6 +16,7 @@ import TableElements from './TableElements.js';
 import { ThemeColors } from './ThemeColors.js';
 import Tooltip from './Tooltip.js';
 import TooltipBuilder from './TooltipBuilder.js';
+import { UndoStack } from './UndoManager.js';
 
 /** @typedef {!import('/Shared/PlexTypes').EpisodeData} EpisodeData */
 /** @typedef {!import('/Shared/PlexTypes').SeasonData} SeasonData */
@@ -311,6 +312,7 @@ class BulkShiftOverlay {
         if (shiftResult.applied) {
             const markerMap = BulkActionCommon.markerMapFromList(shiftResult.allMarkers);
             PlexClientState.notifyBulkActionChange(markerMap, BulkActionType.Shift);
+            UndoStack.push('Shift markers', shiftResult);
             await BulkActionCommon.flashButton('shiftApply', ThemeColors.Green);
 
             Overlay.dismiss();
@@ -381,6 +383,7 @@ class BulkShiftOverlay {
 
             const markerMap = BulkActionCommon.markerMapFromList(shiftResult.allMarkers);
             PlexClientState.notifyBulkActionChange(markerMap, BulkActionType.Shift);
+            UndoStack.push('Shift markers', shiftResult);
             $('.shiftForceApply').forEach(async f => {
                 await BulkActionCommon.flashButton(f, ThemeColors.Green);
                 Overlay.dismiss();
@@ -6,6 +6,7 @@ import { ConsoleLog, ContextualLog } from '/Shared/ConsoleLog.js';
 import { errorMessage, errorResponseOverlay, errorToast } from './ErrorHandling.js';
 import { LaunchFirstRunSetup, LaunchServerSettingsDialog } from 'ServerSettingsDialog';
 import { Theme, ThemeColors } from './ThemeColors.js';
+import AuditLogOverlay from './AuditLogOverlay.js';
 import ButtonCreator from './ButtonCreator.js';
 import { customCheckbox } from './CommonUI.js';
 import { CustomEvents } from './CustomEvents.js';
@@ -15,10 +16,12 @@ import Overlay from './Overlay.js';
 import { ServerCommands } from './Commands.js';
 import ServerPausedOverlay from './ServerPausedOverlay.js';
 import { Setting } from '/Shared/ServerConfig.js';
+import ShortcutsOverlay from './ShortcutsOverlay.js';
 import { StickySettingsType } from 'StickySettings';
 import StyleSheets from './StyleSheets.js';
 import Tooltip from './Tooltip.js';
 import TooltipBuilder from './TooltipBuilder.js';
+import { UserRole } from '/Shared/PostCommands.js';
 
 /** @typedef {!import('/Shared/ServerConfig').SerializedConfig} SerializedConfig */
 /** @typedef {!import('./Overlay').OverlayOptions} OverlayOptions */
@@ -259,6 +262,35 @@ class StickySettingsSetting extends SettingBase {
     }
 }
 
+/**
+ * Setting that holds any keyboard shortcuts the user has customized. */
+class ShortcutsSetting extends SettingBase {
+    /**
+     * Map of customized shortcuts to their key bindings. Shortcuts that use their default bindings aren't included.
+     * @type {{ [shortcut: string]: string[] }} */
+    bindings = {};
+
+    constructor(settings) {
+        super('shortcuts');
+        const shortcutData = this.fieldOrDefault(settings, this.settingsKey, {});
+        const bindings = this.fieldOrDefault(shortcutData, 'bindings', {});
+        for (const [shortcut, keys] of Object.entries(bindings)) {
+            if (keys instanceof Array && keys.every(key => typeof key === 'string' && key.length > 0)) {
+                this.bindings[shortcut] = keys;
+            } else {
+                Log.warn(keys, `Ignoring invalid key bindings for shortcut '${shortcut}'`);
+            }
+        }
+    }
+
+    /**
+     * Add this setting to the given setting object in preparation for serialization.
+     * @param {{string : any}} object The settings object to attach ourselves to. */
+    serialize(object) {
+        object[this.settingsKey] = { bindings : this.bindings };
+    }
+}
+
 /**
  * `ClientSettings` is responsible for holding the local user settings for the editor.
  */
@@ -286,11 +318,20 @@ class ClientSettings {
      * @type {StickySettingsSetting} */
     stickySettings = false;
 
+    /** Keyboard shortcuts the user has customized.
+     * @type {ShortcutsSetting} */
+    shortcuts;
+
     /**
      * Whether user authentication is enabled.
      * @type {boolean} */
     authEnabled;
 
+    /**
+     * The UserRole of the signed-in user. Always admin if authentication is disabled.
+     * @type {number} */
+    authRole = UserRole.Admin;
+
     /**
      * Create an instance of ClientSettings based on the values stored in {@linkcode localStorage}.
      * Default values are used if the `localStorage` key doesn't exist. */
@@ -307,6 +348,7 @@ class ClientSettings {
         this.extendedMarkerStats = new ExtendedMarkerStatsSetting(json);
         this.lastSection = new RememberLastSectionSetting(json);
         this.stickySettings = new StickySettingsSetting(json);
+        this.shortcuts = new ShortcutsSetting(json);
         if (SettingBase.needsSave) {
             Log.info('Not all expected settings were in localStorage. Saving them now.');
             this.save();
@@ -334,6 +376,7 @@ class ClientSettings {
         this.extendedMarkerStats.serialize(json);
         this.lastSection.serialize(json);
         this.stickySettings.serialize(json);
+        this.shortcuts.serialize(json);
         Log.verbose(json, 'Settings to be serialized');
         return JSON.stringify(json);
     }
@@ -492,6 +535,7 @@ class ClientSettingsUI {
             Log.getLevel(),
             'Set the log verbosity in the browser console.'));
 
+        const isAdmin = this.#settingsManager.isAdmin();
         const icon = (iconName, text, fn, hoverColor, tooltip) => {
             const id = text.toLowerCase() + 'Server';
             tooltip ||= text + ' Server';
@@ -507,9 +551,9 @@ class ClientSettingsUI {
         options.push($hr());
         const container = $append(
             $divHolder({ class : 'settingsContainer clientSettings' },
-                icon(Icons.Pause, 'Pause', this.#pauseServer.bind(this), 'blue'),
-                icon(Icons.Restart, 'Restart', this.#restartServer.bind(this), 'yellow'),
-                icon(Icons.Cancel, 'Shutdown', this.#shutdownServer.bind(this), 'red'),
+                isAdmin ? icon(Icons.Pause, 'Pause', this.#pauseServer.bind(this), 'blue') : null,
+                isAdmin ? icon(Icons.Restart, 'Restart', this.#restartServer.bind(this), 'yellow') : null,
+                isAdmin ? icon(Icons.Cancel, 'Shutdown', this.#shutdownServer.bind(this), 'red') : null,
                 this.#settingsManager.authEnabled() ?
                     icon(Icons.Logout, 'Logout', this.#logout.bind(this), 'blue', 'Logout') : null,
                 $h(3, 'Settings'),
@@ -518,13 +562,26 @@ class ClientSettingsUI {
             ...options
         );
 
-        $append(container,
-            ButtonCreator.textButton(
-                `Server Settings`,
-                () => { LaunchServerSettingsDialog(); },
-                { class : 'launchServerSettingsButton' }),
-            $hr(),
-        );
+        container.appendChild(ButtonCreator.textButton(
+            `Keyboard Shortcuts`,
+            () => { ShortcutsOverlay.Show($('#settings')); },
+            { class : 'launchServerSettingsButton' }));
+
+        // Only admins can change server settings or see who changed what.
+        if (isAdmin) {
+            $append(container,
+                ButtonCreator.textButton(
+                    `Server Settings`,
+                    () => { LaunchServerSettingsDialog(); },
+                    { class : 'launchServerSettingsButton' }),
+                ButtonCreator.textButton(
+                    `Audit Log`,
+                    () => { AuditLogOverlay.Show($('#settings')); },
+                    { class : 'launchServerSettingsButton' }),
+            );
+        }
+
+        container.appendChild($hr());
 
         $append(container.appendChild($div({ class : 'formInput flexKeepRight' })),
             $divHolder({ class : 'settingsButtons' },
@@ -1046,6 +1103,17 @@ class SettingsManager {
         window.dispatchEvent(new CustomEvent(CustomEvents.StickySettingsChanged, { detail : stickiness }));
     }
 
+    /** @returns The keyboard shortcuts the user has customized, mapped to their key bindings. */
+    customShortcuts() { return { ...this.#settings.shortcuts.bindings }; }
+
+    /**
+     * Set (and save) the keyboard shortcuts the user has customized.
+     * @param {{ [shortcut: string]: string[] }} bindings */
+    setCustomShortcuts(bindings) {
+        this.#settings.shortcuts.bindings = { ...bindings };
+        this.#settings.save();
+    }
+
     /** Save the currently active settings to {@linkcode localStorage} */
     save() {
         this.#settings.save();
@@ -1085,6 +1153,9 @@ class SettingsManager {
     /** Return whether server authentication is enabled. */
     authEnabled() { return this.#settings.authEnabled; }
 
+    /** Return whether the signed-in user can change server settings and the server state. */
+    isAdmin() { return this.#settings.authRole === UserRole.Admin; }
+
     /**
      * Called after the client retrieves the server config. Enables the settings
      * icon and determines whether the server is blocking various UI options.
@@ -1109,6 +1180,7 @@ class SettingsManager {
         }
 
         this.#settings.authEnabled = new Setting().setFromSerialized(serverConfig.authEnabled).value();
+        this.#settings.authRole = serverConfig.authRole?.value ?? UserRole.Admin;
 
         return true;
     }
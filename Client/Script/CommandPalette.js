@@ -0,0 +1,294 @@
+import { $append, $clear, $div, $divHolder, $span, $textInput } from './HtmlHelpers.js';
+import { fuzzyMatchScore, pad0 } from './Common.js';
+import { Shortcut, Shortcuts } from './ShortcutManager.js';
+import { BaseItemResultRow } from 'ResultRow';
+import BulkAddOverlay from './BulkAddOverlay.js';
+import BulkDeleteOverlay from './BulkDeleteOverlay.js';
+import BulkShiftOverlay from './BulkShiftOverlay.js';
+import { FilterDialog } from './FilterDialog.js';
+import Overlay from './Overlay.js';
+import { PlexClientState } from './PlexClientState.js';
+import { PlexUI } from './PlexUI.js';
+import SectionOptionsOverlay from './SectionOptionsOverlay.js';
+import { SectionType } from '/Shared/PlexTypes.js';
+import ShortcutsOverlay from './ShortcutsOverlay.js';
+import { UndoStack } from './UndoManager.js';
+
+/** @typedef {!import('/Shared/PlexTypes').SeasonData} SeasonData */
+/** @typedef {!import('/Shared/PlexTypes').ShowData} ShowData */
+/** @typedef {!import('./ClientDataExtensions').ClientMovieData} ClientMovieData */
+
+/**
+ * @typedef {Object} PaletteCommand
+ * @property {string} title
+ * @property {string} [detail] Secondary text, e.g. the show an episode belongs to.
+ * @property {string} [shortcut] The Shortcut that also runs this command, if any.
+ * @property {boolean} [opensOverlay] Whether the command shows its own overlay, replacing the palette.
+ * @property {() => any} run
+ */
+
+/** The maximum number of results to show at once. */
+const MaxResults = 50;
+
+/**
+ * A searchable list of actions and library items, so common tasks
+ * (and navigating to a specific item) don't require the mouse.
+ */
+class CommandPalette {
+    /**
+     * Show the command palette.
+     * @param {HTMLElement} focusBack The element that had focus before the palette was opened. */
+    static Show(focusBack) {
+        new CommandPalette(focusBack).#show();
+    }
+
+    /** @type {HTMLElement} */
+    #focusBack;
+    /** @type {PaletteCommand[]} */
+    #commands;
+    /** @type {PaletteCommand[]} */
+    #matches = [];
+    /** The index of the currently selected match. */
+    #selected = 0;
+    /** @type {HTMLInputElement} */
+    #input;
+    /** @type {HTMLElement} */
+    #results;
+
+    /**
+     * @param {HTMLElement} focusBack */
+    constructor(focusBack) {
+        this.#focusBack = focusBack;
+        this.#commands = [...this.#actions(), ...this.#navigationTargets()];
+    }
+
+    #show() {
+        this.#input = $textInput(
+            { id : 'commandPaletteInput', placeholder : 'Search for an action, show, season, or episode', autocomplete : 'off' },
+            { input : this.#filter.bind(this), keydown : this.#onKeydown.bind(this) });
+        this.#results = $div({ id : 'commandPaletteResults' });
+        this.#filter();
+        Overlay.build({
+            dismissible : true,
+            focusBack : this.#focusBack,
+            setup : { fn : () => this.#input.focus() },
+        }, $divHolder({ id : 'commandPalette' }, this.#input, this.#results));
+    }
+
+    /**
+     * Gather the actions that are applicable given the current state of the UI.
+     * @returns {PaletteCommand[]} */
+    #actions() {
+        /** @type {PaletteCommand[]} */
+        const actions = [];
+        const focusBack = this.#focusBack;
+        const baseItemRow = BaseItemResultRow.FromElement(focusBack);
+        if (baseItemRow) {
+            actions.push({ title : 'Add Marker', detail : baseItemRow.baseItem().title, run : () => this.#addMarker(baseItemRow) });
+        }
+
+        const activeShow = PlexClientState.activeSectionType() === SectionType.TV ? PlexClientState.getActiveShow() : null;
+        if (activeShow) {
+            const activeSeason = PlexClientState.getActiveSeason();
+            const bulkItem = activeSeason ?? activeShow;
+            const detail = activeSeason ? `${this.#seasonTitle(activeSeason)} of ${activeShow.title}` : activeShow.title;
+            const bulkAction = (title, OverlayClass) => ({
+                title : title,
+                detail : detail,
+                opensOverlay : true,
+                run : () => new OverlayClass(bulkItem).show(focusBack),
+            });
+
+            actions.push(
+                bulkAction('Bulk Add Markers', BulkAddOverlay),
+                bulkAction('Bulk Shift Markers', BulkShiftOverlay),
+                bulkAction('Bulk Delete Markers', BulkDeleteOverlay));
+        }
+
+        if (PlexClientState.activeSection() !== -1) {
+            actions.push(
+                { title : 'Section Options', opensOverlay : true, run : () => new SectionOptionsOverlay().show(focusBack) },
+                {
+                    title : 'Sort/Filter',
+                    opensOverlay : true,
+                    run : () => new FilterDialog(PlexClientState.activeSectionType()).show(focusBack)
+                });
+        }
+
+        if (UndoStack.canUndo()) {
+            actions.push({ title : `Undo ${UndoStack.nextUndo()}`, shortcut : Shortcut.Undo, run : () => UndoStack.undo() });
+        }
+
+        if (UndoStack.canRedo()) {
+            actions.push({ title : `Redo ${UndoStack.nextRedo()}`, shortcut : Shortcut.Redo, run : () => UndoStack.redo() });
+        }
+
+        actions.push({
+            title : 'Keyboard Shortcuts',
+            shortcut : Shortcut.ShortcutHelp,
+            opensOverlay : true,
+            run : () => ShortcutsOverlay.Show(focusBack) });
+        return actions;
+    }
+
+    /**
+     * Gather the items that can be navigated to: the episodes of the active season, the seasons
+     * of the active show, and every show/movie in the active library.
+     * @returns {PaletteCommand[]} */
+    #navigationTargets() {
+        /** @type {PaletteCommand[]} */
+        const targets = [];
+        if (PlexClientState.activeSection() === -1) {
+            return targets;
+        }
+
+        if (PlexClientState.activeSectionType() !== SectionType.TV) {
+            /** @type {ClientMovieData[]} */
+            const movies = PlexClientState.getSectionItems();
+            for (const movie of movies) {
+                targets.push({
+                    title : movie.title,
+                    detail : `Movie (${movie.year})`,
+                    run : () => PlexUI.navigateToItem(
+                        { metadataId : movie.metadataId, seasonId : -1, showId : -1, searchTitle : movie.title }),
+                });
+            }
+
+            return targets;
+        }
+
+        const activeShow = PlexClientState.getActiveShow();
+        const activeSeason = PlexClientState.getActiveSeason();
+        if (activeShow && activeSeason) {
+            for (const episode of activeSeason.episodes().sort((a, b) => a.index - b.index)) {
+                targets.push({
+                    title : `S${pad0(episode.seasonIndex, 2)}E${pad0(episode.index, 2)} - ${episode.title || 'Episode ' + episode.index}`,
+                    detail : `Episode of ${activeShow.title}`,
+                    run : () => PlexUI.navigateToItem({
+                        metadataId : episode.metadataId,
+                        seasonId : activeSeason.metadataId,
+                        showId : activeShow.metadataId,
+                        searchTitle : activeShow.title }),
+                });
+            }
+        }
+
+        if (activeShow) {
+            for (const season of activeShow.seasons().sort((a, b) => a.index - b.index)) {
+                targets.push({
+                    title : this.#seasonTitle(season),
+                    detail : `Season of ${activeShow.title}`,
+                    run : () => PlexUI.navigateToItem({
+                        metadataId : season.metadataId,
+                        seasonId : season.metadataId,
+                        showId : activeShow.metadataId,
+                        searchTitle : activeShow.title }),
+                });
+            }
+        }
+
+        /** @type {ShowData[]} */
+        const shows = PlexClientState.getSectionItems();
+        for (const show of shows) {
+            targets.push({
+                title : show.title,
+                detail : 'Show',
+                run : () => PlexUI.navigateToItem(
+                    { metadataId : show.metadataId, seasonId : -1, showId : show.metadataId, searchTitle : show.title }),
+            });
+        }
+
+        return targets;
+    }
+
+    /**
+     * @param {SeasonData} season */
+    #seasonTitle(season) {
+        const base = `Season ${season.index}`;
+        return season.title && season.title.toLowerCase() !== base.toLowerCase() ? `${base} (${season.title})` : base;
+    }
+
+    /** Update the list of results to match the current query. */
+    #filter() {
+        const query = this.#input.value.trim().toLowerCase();
+        if (query.length === 0) {
+            this.#matches = this.#commands.slice(0, MaxResults);
+        } else {
+            this.#matches = this.#commands
+                .map(command => ({ command : command, score : fuzzyMatchScore(query, command.title) }))
+                .filter(match => match.score !== -1)
+                .sort((a, b) => b.score - a.score)
+                .slice(0, MaxResults)
+                .map(match => match.command);
+        }
+
+        this.#selected = 0;
+        $clear(this.#results);
+        if (this.#matches.length === 0) {
+            this.#results.appendChild($div({ class : 'paletteNoResults' }, 'No matching actions or items.'));
+            return;
+        }
+
+        for (const [index, command] of this.#matches.entries()) {
+            this.#results.appendChild($append(
+                $div({ class : 'paletteResult' + (index === 0 ? ' selected' : '') }, 0, { click : () => this.#run(command) }),
+                $span(command.title, { class : 'paletteTitle' }),
+                command.detail ? $span(command.detail, { class : 'paletteDetail' }) : null,
+                command.shortcut ? $span(Shortcuts.display(command.shortcut), { class : 'shortcutKey' }) : null));
+        }
+    }
+
+    /**
+     * Move the selection with the arrow keys, and run the selected command on Enter.
+     * @param {KeyboardEvent} e */
+    #onKeydown(e) {
+        switch (e.key) {
+            case 'ArrowDown':
+            case 'ArrowUp':
+            {
+                e.preventDefault();
+                if (this.#matches.length === 0) {
+                    return;
+                }
+
+                const results = this.#results.children;
+                results[this.#selected].classList.remove('selected');
+                const delta = e.key === 'ArrowDown' ? 1 : -1;
+                this.#selected = (this.#selected + delta + this.#matches.length) % this.#matches.length;
+                results[this.#selected].classList.add('selected');
+                results[this.#selected].scrollIntoView({ block : 'nearest' });
+                break;
+            }
+            case 'Enter':
+                e.preventDefault();
+                if (this.#matches.length > 0) {
+                    this.#run(this.#matches[this.#selected]);
+                }
+                break;
+            default:
+                break;
+        }
+    }
+
+    /**
+     * Run the given command. Commands that show their own overlay replace the palette,
+     * otherwise the palette is dismissed first.
+     * @param {PaletteCommand} command */
+    #run(command) {
+        if (!command.opensOverlay) {
+            Overlay.dismiss();
+        }
+
+        command.run();
+    }
+
+    /**
+     * Show the marker table for the given movie/episode, and start adding a new marker.
+     * @param {BaseItemResultRow} baseItemRow */
+    async #addMarker(baseItemRow) {
+        await baseItemRow.showHideMarkerTable(false /*hide*/);
+        baseItemRow.baseItem().markerTable().startNewMarker();
+    }
+}
+
+export default CommandPalette;
@@ -1,15 +1,31 @@
+import { BatchIdHeader, PostCommands } from '/Shared/PostCommands.js';
 import { BulkMarkerResolveType } from '/Shared/PlexTypes.js';
 import { ContextualLog } from '/Shared/ConsoleLog.js';
 import { CustomEvents } from './CustomEvents.js';
 import FetchError from './FetchError.js';
 import { MarkerEnum } from '/Shared/MarkerType.js';
-import { PostCommands } from '/Shared/PostCommands.js';
 
+/** @typedef {!import('/Shared/PlexTypes').ApiKeyInfo} ApiKeyInfo */
+/** @typedef {!import('/Shared/PlexTypes').AuditLogPage} AuditLogPage */
+/** @typedef {!import('/Shared/PlexTypes').AutoRestoreEntry} AutoRestoreEntry */
 /** @typedef {!import('/Shared/PlexTypes').BulkDeleteResult} BulkDeleteResult */
+/** @typedef {!import('/Shared/PlexTypes').BulkItemsCheckResult} BulkItemsCheckResult */
+/** @typedef {!import('/Shared/PlexTypes').BulkItemsResult} BulkItemsResult */
 /** @typedef {!import('/Shared/PlexTypes').BulkRestoreResponse} BulkRestoreResponse */
 /** @typedef {!import('/Shared/PlexTypes').ChapterMap} ChapterMap */
+/** @typedef {!import('/Shared/PlexTypes').CreditsDetectionResult} CreditsDetectionResult */
 /** @typedef {!import('/Shared/PlexTypes').CustomBulkAddMap} CustomBulkAddMap */
 /** @typedef {!import('/Shared/PlexTypes').ExtendedQueryInfo} ExtendedQueryInfo */
+/** @typedef {!import('/Shared/PlexTypes').IntroDetectionResult} IntroDetectionResult */
+/** @typedef {!import('/Shared/PlexTypes').MarkerCopyResult} MarkerCopyResult */
+/** @typedef {!import('/Shared/PlexTypes').MarkerFilter} MarkerFilter */
+/** @typedef {!import('/Shared/PlexTypes').MarkerFilterResult} MarkerFilterResult */
+/** @typedef {!import('/Shared/PlexTypes').MarkerLintResult} MarkerLintResult */
+/** @typedef {!import('/Shared/PlexTypes').MarkerSyncDiff} MarkerSyncDiff */
+/** @typedef {!import('/Shared/PlexTypes').MarkerSyncResult} MarkerSyncResult */
+/** @typedef {!import('/Shared/PlexTypes').MarkerTimingStats} MarkerTimingStats */
+/** @typedef {!import('/Shared/PlexTypes').NewApiKey} NewApiKey */
+/** @typedef {!import('/Shared/PlexTypes').PlexDbSnapshot} PlexDbSnapshot */
 /** @typedef {!import('/Shared/PlexTypes').PurgeSection} PurgeSection */
 /** @typedef {!import('/Shared/PlexTypes').SerializedBulkAddResult} SerializedBulkAddResult */
 /** @typedef {!import('/Shared/PlexTypes').SerializedEpisodeData} SerializedEpisodeData */
@@ -18,12 +34,28 @@ import { PostCommands } from '/Shared/PostCommands.js';
 /** @typedef {!import('/Shared/PlexTypes').SerializedSeasonData} SerializedSeasonData */
 /** @typedef {!import('/Shared/PlexTypes').SerializedShowData} SerializedShowData */
 /** @typedef {!import('/Shared/PlexTypes').ShiftResult} ShiftResult */
+/** @typedef {!import('/Shared/PlexTypes').SidecarExportResult} SidecarExportResult */
+/** @typedef {!import('/Shared/PlexTypes').SidecarImportResult} SidecarImportResult */
+/** @typedef {!import('/Shared/PlexTypes').WebhookDelivery} WebhookDelivery */
 /** @typedef {!import('/Shared/MarkerBreakdown').MarkerBreakdownMap} MarkerBreakdownMap */
 /** @typedef {!import('/Shared/ServerConfig').SerializedConfig} SerializedConfig */
 /** @template T @typedef {!import('/Shared/ServerConfig').TypedSetting<T>} TypedSetting<T> */
 
 const Log = ContextualLog.Create('ServerCommands');
 
+/**
+ * Map of command responses to the id of the batch of marker actions the command created.
+ * @type {WeakMap<object, number>} */
+const responseBatches = new WeakMap();
+
+/**
+ * Retrieve the id of the batch of marker actions created by the command that returned the given response.
+ * @param {object} response The response of a command that added, edited, or deleted markers.
+ * @returns {number|undefined} */
+export function responseBatchId(response) {
+    return responseBatches.get(response);
+}
+
 /**
  * Core method that makes a request to the server, expecting JSON in return.
  * @param {URL} url The fully built URL endpoint
@@ -54,6 +86,11 @@ async function jsonPostCore(url, body=null) {
 
         const result = await response.json();
         Log.verbose(result, `Response from ${url}`);
+        const batchId = parseInt(response.headers.get(BatchIdHeader));
+        if (!isNaN(batchId) && result instanceof Object) {
+            responseBatches.set(result, batchId);
+        }
+
         if (!result || result.Error) {
 
             // Global check to see if we failed because the server is suspended.
@@ -190,6 +227,64 @@ export const ServerCommands = {
      * @returns {Promise<SerializedBulkAddResult>} */
     bulkAddCustom : (markerType, id, resolveType, newMarkerData) => jsonBodyRequest(PostCommands.BulkAddCustom, { type : markerType, id : id, resolveType : resolveType, markers : JSON.stringify(newMarkerData) }),
 
+    /**
+     * Copy markers from one episode to all other episodes in a show/season.
+     * @param {number} sourceId The episode to copy markers from.
+     * @param {number} id The Show/Season metadata id to copy markers to.
+     * @param {number} applyTo The MarkerEnum of marker types to copy.
+     * @param {number} alignment The MarkerCopyAlignment.
+     * @param {number} resolveType The BulkMarkerResolveType.
+     * @param {number[]?} ignored The list of episode ids to not copy markers to.
+     * @returns {Promise<MarkerCopyResult>} */
+    copyMarkers : (sourceId, id, applyTo, alignment, resolveType, ignored = []) => jsonRequest(PostCommands.CopyMarkers, { sourceId : sourceId, id : id, applyTo : applyTo, alignment : alignment, resolveType : resolveType, ignored : ignored.join(',') }),
+
+    /**
+     * Retrieve all markers and episode/movie data for the given shows/seasons/movies.
+     * @param {number[]} ids Show/Season/Movie metadata ids.
+     * @returns {Promise<BulkItemsCheckResult>} */
+    checkBulkItems : (ids) => jsonRequest(PostCommands.CheckBulkItems, { ids : ids.join(',') }),
+
+    /**
+     * Bulk adds a marker to every episode/movie of each of the given shows/seasons/movies.
+     * @param {string} markerType The type of marker (intro/credits)
+     * @param {number[]} ids Show/Season/Movie metadata ids.
+     * @param {number} start Start time of the marker, in milliseconds.
+     * @param {number} end End time of the marker, in milliseconds.
+     * @param {number} resolveType The BulkMarkerResolveType. Must be Merge, Ignore, or Overwrite.
+     * @param {number[]} ignored List of episode/movie ids to not add markers to.
+     * @returns {Promise<BulkItemsResult>} */
+    bulkAddItems : (markerType, ids, start, end, resolveType, ignored) => jsonRequest(PostCommands.BulkAddItems, { type : markerType, ids : ids.join(','), start : start, end : end, resolveType : resolveType, ignored : ignored.join(',') }),
+
+    /**
+     * Shift all markers of the given type(s) in each of the given shows/seasons/movies.
+     * @param {number[]} ids Show/Season/Movie metadata ids.
+     * @param {number} startShift The number of milliseconds to shift marker starts (positive or negative).
+     * @param {number} endShift The number of milliseconds to shift marker ends (positive or negative).
+     * @param {number} applyTo The marker type(s) to apply the shift to.
+     * @param {number[]} ignored List of marker ids to not shift.
+     * @returns {Promise<BulkItemsResult>} */
+    shiftItems : (ids, startShift, endShift, applyTo, ignored) => jsonRequest(PostCommands.ShiftItems, { ids : ids.join(','), startShift : startShift, endShift : endShift, applyTo : applyTo, ignored : ignored.join(',') }),
+
+    /**
+     * Delete all markers of the given type(s) from each of the given shows/seasons/movies.
+     * @param {number[]} ids Show/Season/Movie metadata ids.
+     * @param {number} applyTo The marker type(s) to delete.
+     * @param {number[]} ignored List of marker ids to not delete.
+     * @returns {Promise<BulkItemsResult>} */
+    bulkDeleteItems : (ids, applyTo, ignored) => jsonRequest(PostCommands.BulkDeleteItems, { ids : ids.join(','), applyTo : applyTo, ignored : ignored.join(',') }),
+
+    /**
+     * Detect intros for all episodes in the given show/season by comparing their audio.
+     * @param {number} id The Show/Season metadata id.
+     * @returns {Promise<IntroDetectionResult>} */
+    detectIntros : (id) => jsonRequest(PostCommands.DetectIntros, { id }),
+
+    /**
+     * Detect credits for the given movie/episode, or all episodes in the given show/season.
+     * @param {number} id The metadata id.
+     * @returns {Promise<CreditsDetectionResult>} */
+    detectCredits : (id) => jsonRequest(PostCommands.DetectCredits, { id }),
+
     /**
      * Retrieve markers for all episodes ids in `keys`.
      * @param {number[]} keys The list of episode ids to grab the markers of.
@@ -239,6 +334,27 @@ export const ServerCommands = {
      * @returns {Promise<{mainData: MarkerBreakdownMap, seasonData?: { [seasonId: number]: MarkerBreakdownMap }}>} */
     getBreakdown : (id, includeSeasons) => jsonRequest(PostCommands.GetBreakdown, { id : id, includeSeasons : includeSeasons ? 1 : 0 }),
 
+    /**
+     * Retrieve marker start time and duration distributions for the given section, optionally limited to a single show.
+     * @param {number} id The library section id.
+     * @param {number} showId The show to limit stats to, or -1 for the entire library.
+     * @returns {Promise<MarkerTimingStats>} */
+    getTimingStats : (id, showId) => jsonRequest(PostCommands.GetTimingStats, { id, showId }),
+
+    /**
+     * Scan the given section for broken markers, optionally limited to a single show.
+     * @param {number} id The library section id.
+     * @param {number} showId The show to limit the scan to, or -1 for the entire library.
+     * @returns {Promise<MarkerLintResult>} */
+    lintMarkers : (id, showId) => jsonRequest(PostCommands.LintMarkers, { id, showId }),
+
+    /**
+     * Find all items in the given section whose markers match the given filter.
+     * @param {number} sectionId The library section id.
+     * @param {MarkerFilter} filter
+     * @returns {Promise<MarkerFilterResult>} */
+    filterItems : (sectionId, filter) => jsonBodyRequest(PostCommands.FilterItems, { sectionId : sectionId, filter : JSON.stringify(filter) }),
+
 
     /**
      * Retrieve the configuration settings relevant to the client application.
@@ -292,6 +408,30 @@ export const ServerCommands = {
      * @returns {Promise<void>} */
     ignorePurge : (purgedIds, readdedIds, sectionId) => jsonRequest(PostCommands.IgnorePurges, { purgedIds, readdedIds, sectionId }),
 
+    /**
+     * Retrieve the history of automatic purge restorations for the current server.
+     * @returns {Promise<AutoRestoreEntry[]>} */
+    autoRestoreHistory : () => jsonRequest(PostCommands.AutoRestoreHistory),
+
+    /**
+     * Mark all automatic purge restorations as seen.
+     * @returns {Promise<void>} */
+    dismissAutoRestores : () => jsonRequest(PostCommands.DismissAutoRestores),
+
+    /**
+     * Revert the most recent marker operation in the given section.
+     * @param {number} sectionId
+     * @param {number} batchId The batch of the operation to revert. Fails if it's not the most recent operation.
+     * @returns {Promise<BulkRestoreResponse>} */
+    undo : (sectionId, batchId) => jsonRequest(PostCommands.Undo, { sectionId, batchId }),
+
+    /**
+     * Reapply the most recently undone marker operation in the given section.
+     * @param {number} sectionId
+     * @param {number} batchId The batch of the undo operation to revert. Fails if it's not the most recent undo.
+     * @returns {Promise<BulkRestoreResponse>} */
+    redo : (sectionId, batchId) => jsonRequest(PostCommands.Redo, { sectionId, batchId }),
+
     /**
      * Irreversibly delete all markers of the given type from the given section.
      * @param {number} sectionId
@@ -320,6 +460,27 @@ export const ServerCommands = {
      * @returns {Promise<void>} */
     resume : () => jsonRequest(PostCommands.ServerResume),
 
+    /**
+     * Retrieve the Plex database snapshots taken before destructive operations, newest first.
+     * @returns {Promise<PlexDbSnapshot[]>} */
+    getSnapshots : () => jsonRequest(PostCommands.GetSnapshots),
+    /**
+     * Overwrite the Plex database with the given snapshot. The server must be suspended first.
+     * @param {string} name The file name of the snapshot.
+     * @returns {Promise<{ restored: string }>} */
+    restoreSnapshot : (name) => jsonRequest(PostCommands.RestoreSnapshot, { name }),
+
+    /**
+     * Retrieve the most recent webhook deliveries, newest first.
+     * @returns {Promise<WebhookDelivery[]>} */
+    getWebhookLog : () => jsonRequest(PostCommands.GetWebhookLog),
+    /**
+     * Send a test payload to the given webhook URL.
+     * @param {string} url
+     * @param {string} secret The secret used to sign the payload, if any.
+     * @returns {Promise<WebhookDelivery>} */
+    testWebhook : (url, secret) => jsonBodyRequest(PostCommands.TestWebhook, { url, secret }),
+
     /**
      * Upload a database file and import the markers present into the given section.
      * @param {Object} database
@@ -327,6 +488,40 @@ export const ServerCommands = {
      * @param {number} resolveType */
     importDatabase : (database, sectionId, resolveType) => jsonBodyRequest(PostCommands.ImportDb, { database, sectionId, resolveType }),
 
+    /**
+     * Write marker sidecar files (EDL/chapters) next to each movie/episode in the given section (or -1 for all sections).
+     * @param {number} sectionId
+     * @param {number} formats The SidecarFormats to write.
+     * @param {boolean} overwrite Whether to overwrite existing sidecar files.
+     * @param {boolean} dryRun Whether to only return the files that would be written.
+     * @returns {Promise<SidecarExportResult>} */
+    exportSidecars : (sectionId, formats, overwrite, dryRun) => jsonRequest(PostCommands.ExportSidecars, { sectionId : sectionId, formats : formats, overwrite : overwrite ? 1 : 0, dryRun : dryRun ? 1 : 0 }),
+
+    /**
+     * Upload a marker sidecar file (EDL/chapters), or a zip file of them, and import its markers into
+     * the given section (or -1 for all sections).
+     * @param {Object} sidecars
+     * @param {number} sectionId
+     * @param {number} resolveType
+     * @param {string} edlType The marker type to use for EDL sections.
+     * @returns {Promise<SidecarImportResult>} */
+    importSidecars : (sidecars, sectionId, resolveType, edlType) => jsonBodyRequest(PostCommands.ImportSidecars, { sidecars, sectionId, resolveType, edlType }),
+
+    /**
+     * Compare the markers in the given section with the markers of the same items in the configured sync database.
+     * @param {number} id The library section id.
+     * @returns {Promise<MarkerSyncDiff>} */
+    compareSync : (id) => jsonRequest(PostCommands.CompareSync, { id }),
+
+    /**
+     * Copy markers for the given items to or from the configured sync database.
+     * @param {number} sectionId
+     * @param {number} direction The MarkerSyncDirection
+     * @param {string[]} guids The GUIDs of the items to sync.
+     * @param {number} resolveType The MarkerConflictResolution type
+     * @returns {Promise<MarkerSyncResult>} */
+    applySync : (sectionId, direction, guids, resolveType) => jsonBodyRequest(PostCommands.ApplySync, { sectionId : sectionId, direction : direction, guids : JSON.stringify(guids), resolveType : resolveType }),
+
     /**
      * Retrieve chapter data (if any) for the given media item (supports shows, seasons, episodes, and movies).
      * @param {number} metadataId
@@ -353,7 +548,7 @@ export const ServerCommands = {
 
     /**
      * Change the password for the given user.
-     * Since currently one one user is supported, `username` MUST be the same as that user.
+     * `username` MUST be the signed-in user, unless no users have been created yet.
      * @param {string} username The user to change the password for
      * @param {string} oldPass The user's old password
      * @param {string} newPass The user's new password */
@@ -363,5 +558,62 @@ export const ServerCommands = {
      * Check whether user authentication is enabled, but a password is not set.
      * @returns {Promise<{ value : boolean }>} */
     needsPassword : () => jsonRequest(PostCommands.NeedsPassword),
+
+    /**
+     * Retrieve all user accounts and their roles.
+     * @returns {Promise<{ username: string, role: number }[]>} */
+    getUsers : () => jsonRequest(PostCommands.GetUsers),
+
+    /**
+     * Create a new user account.
+     * @param {string} username
+     * @param {string} password
+     * @param {number} role The UserRole of the new user.
+     * @returns {Promise<{ username: string, role: number }[]>} All users, including the new one. */
+    addUser : (username, password, role) => jsonBodyRequest(PostCommands.AddUser, { username, password, role }),
+
+    /**
+     * Change the role of an existing user.
+     * @param {string} username
+     * @param {number} role
+     * @returns {Promise<{ username: string, role: number }[]>} All users, with the updated role. */
+    setUserRole : (username, role) => jsonBodyRequest(PostCommands.SetUserRole, { username, role }),
+
+    /**
+     * Set a new password for an existing user, without needing their old password.
+     * @param {string} username
+     * @param {string} newPass
+     * @returns {Promise<void>} */
+    resetUserPassword : (username, newPass) => jsonBodyRequest(PostCommands.ResetUserPassword, { username, newPass }),
+
+    /**
+     * Delete an existing user account.
+     * @param {string} username
+     * @returns {Promise<{ username: string, role: number }[]>} The remaining users. */
+    removeUser : (username) => jsonBodyRequest(PostCommands.RemoveUser, { username }),
+
+    /**
+     * Retrieve all API keys. The keys themselves are only available when they're created.
+     * @returns {Promise<ApiKeyInfo[]>} */
+    getApiKeys : () => jsonRequest(PostCommands.GetApiKeys),
+
+    /**
+     * Create a new API key for the REST API.
+     * @param {string} name What the key will be used for.
+     * @param {number} role The UserRole requests made with the key have.
+     * @returns {Promise<NewApiKey>} */
+    addApiKey : (name, role) => jsonBodyRequest(PostCommands.AddApiKey, { name, role }),
+
+    /**
+     * Revoke an existing API key.
+     * @param {number} id
+     * @returns {Promise<ApiKeyInfo[]>} The remaining API keys. */
+    removeApiKey : (id) => jsonBodyRequest(PostCommands.RemoveApiKey, { id }),
+
+    /**
+     * Retrieve a page of recorded marker actions. Any missing filter fields are ignored.
+     * @param {{ username?: string, sectionId?: number, showId?: number, from?: number, to?: number, page?: number }} filter
+     * @returns {Promise<AuditLogPage>} */
+    auditLog : (filter) => jsonBodyRequest(PostCommands.AuditLog, { filter : JSON.stringify(filter) }),
 };
 /* eslint-enable */
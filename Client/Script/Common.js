@@ -343,3 +343,40 @@ export function toggleVisibility(ele, visible) {
         ele.classList.add('hidden');
     }
 }
+
+/**
+ * Score how well the given query matches the given text, for fuzzy searches. Every character of
+ * the query must appear in the text in order, and consecutive matches and matches at the start
+ * of a word score higher than scattered ones.
+ * @param {string} query The lowercase search query.
+ * @param {string} text The text to match against.
+ * @returns {number} The score of the match, or -1 if the text doesn't match the query. */
+export function fuzzyMatchScore(query, text) {
+    const lowerText = text.toLowerCase();
+    let score = 0;
+    let lastMatch = -2;
+    for (const char of query) {
+        const match = lowerText.indexOf(char, lastMatch + 1);
+        if (match === -1) {
+            return -1;
+        }
+
+        score += 1;
+        if (match === lastMatch + 1) {
+            score += 2;
+        }
+
+        if (match === 0 || /[^\p{L}\p{N}]/u.test(lowerText[match - 1])) {
+            score += 3;
+        }
+
+        lastMatch = match;
+    }
+
+    if (lowerText.includes(query)) {
+        score += query.length;
+    }
+
+    // Break ties in favor of shorter text, since more of it matches the query.
+    return score - (lowerText.length / 1000);
+}
@@ -0,0 +1,237 @@
+import { $, $append, $div, $divHolder, $h, $hr, $label, $option, $select, $span, $table, $tbody, $thead } from './HtmlHelpers.js';
+import { BulkMarkerResolveType, MarkerCopyAlignment } from '/Shared/PlexTypes.js';
+import { errorMessage, errorResponseOverlay, errorToast } from './ErrorHandling.js';
+import { msToHms, pad0, plural } from './Common.js';
+import { BulkActionCommon } from './BulkActionCommon.js';
+import ButtonCreator from './ButtonCreator.js';
+import Icons from './Icons.js';
+import Overlay from './Overlay.js';
+import { PlexClientState } from './PlexClientState.js';
+import { ServerCommands } from './Commands.js';
+import TableElements from './TableElements.js';
+import { ThemeColors } from './ThemeColors.js';
+import { UndoStack } from './UndoManager.js';
+
+/** @typedef {!import('/Shared/PlexTypes').ChangedBaseItem} ChangedBaseItem */
+/** @typedef {!import('/Shared/PlexTypes').CopiedMarker} CopiedMarker */
+/** @typedef {!import('/Shared/PlexTypes').MarkerCopyResult} MarkerCopyResult */
+/** @typedef {!import('/Shared/PlexTypes').SeasonData} SeasonData */
+/** @typedef {!import('/Shared/PlexTypes').SerializedBulkAddResultEntry} SerializedBulkAddResultEntry */
+/** @typedef {!import('/Shared/PlexTypes').SerializedEpisodeData} SerializedEpisodeData */
+/** @typedef {!import('/Shared/PlexTypes').ShowData} ShowData */
+
+
+/** Display text and descriptions for each alignment option. */
+const AlignmentOptions = {
+    [MarkerCopyAlignment.Absolute] : ['Same timestamps', 'Use the exact timestamps of the source episode'],
+    [MarkerCopyAlignment.Percentage] : ['Percentage', 'Scale timestamps to the length of each episode'],
+    [MarkerCopyAlignment.CreditsFromEnd] : ['Credits from end', 'Keep credits the same distance from the end of each episode'],
+    [MarkerCopyAlignment.Chapter] : ['Chapter', 'Keep markers the same distance from the start of the chapter with the same name'],
+};
+
+/**
+ * UI for copying the markers of one episode to every other episode in a show/season.
+ */
+class CopyMarkersOverlay {
+    /** @type {ShowData|SeasonData} */
+    #mediaItem;
+
+    /** @type {{ [episodeId: number]: SerializedBulkAddResultEntry }} The episodes (and their markers) in this show/season. */
+    #episodes = {};
+
+    /**
+     * Construct a new copy markers overlay.
+     * @param {ShowData|SeasonData} mediaItem */
+    constructor(mediaItem) {
+        this.#mediaItem = mediaItem;
+    }
+
+    /**
+     * Launch the copy markers overlay.
+     * @param {HTMLElement} focusBack The element to set focus back to after the overlay is dismissed. */
+    show(focusBack) {
+        const container = $div({ id : 'bulkActionContainer' });
+        $append(container,
+            $h(1, 'Copy Markers'),
+            $hr(),
+            $divHolder({ id : 'copySource' },
+                $label('Copy From: ', 'copySourceEpisode'),
+                $append($select('copySourceEpisode', this.#clearPreview.bind(this), { disabled : true }),
+                    $option('Loading...', -1))),
+            BulkActionCommon.markerSelectType('Marker Type(s): ', this.#clearPreview.bind(this)),
+            $divHolder({ id : 'copyAlignment' },
+                $label('Alignment: ', 'copyAlignmentSelect'),
+                $append($select('copyAlignmentSelect', this.#onAlignmentChanged.bind(this)),
+                    ...Object.entries(AlignmentOptions).map(([value, [text]]) => $option(text, value))),
+                $div({ id : 'copyAlignmentDescription' }, AlignmentOptions[MarkerCopyAlignment.Absolute][1])),
+            $divHolder({ id : 'copyApplyType' },
+                $label('Apply Action: ', 'copyApplyTypeSelect'),
+                $append($select('copyApplyTypeSelect', this.#clearPreview.bind(this)),
+                    $option('Fail', BulkMarkerResolveType.Fail),
+                    $option('Overwrite', BulkMarkerResolveType.Overwrite),
+                    $option('Merge', BulkMarkerResolveType.Merge),
+                    $option('Ignore', BulkMarkerResolveType.Ignore))),
+            $hr(),
+            $divHolder({ id : 'bulkActionButtons' },
+                ButtonCreator.fullButton(
+                    'Apply', Icons.Confirm, ThemeColors.Green, this.#apply.bind(this), { id : 'copyApply' }),
+                ButtonCreator.fullButton(
+                    'Preview',
+                    Icons.Table,
+                    ThemeColors.Primary,
+                    this.#preview.bind(this),
+                    { id : 'copyPreview', tooltip : 'Show the markers that will be added to each episode.' }),
+                ButtonCreator.fullButton(
+                    'Cancel', Icons.Cancel, ThemeColors.Red, Overlay.dismiss, { id : 'copyCancel' })),
+            $div({ id : 'copyPreviewHolder' }));
+
+        Overlay.build({
+            dismissible : true,
+            closeButton : true,
+            forceFullscreen : true,
+            focusBack : focusBack }, container);
+
+        this.#populateSources();
+    }
+
+    /**
+     * Fill in the source episode dropdown with all episodes that have markers. */
+    async #populateSources() {
+        try {
+            this.#episodes = (await ServerCommands.checkBulkAdd(this.#mediaItem.metadataId)).episodeMap;
+        } catch (err) {
+            errorResponseOverlay('Unable to retrieve episodes to copy markers from, please try again later', err);
+            return;
+        }
+
+        const select = $('#copySourceEpisode');
+        const sources = Object.values(this.#episodes).filter(e => e.existingMarkers.length > 0);
+        sources.sort((a, b) => a.episodeData.seasonIndex - b.episodeData.seasonIndex || a.episodeData.index - b.episodeData.index);
+        if (sources.length === 0) {
+            select.replaceChildren($option('No episodes with markers', -1));
+            return;
+        }
+
+        select.replaceChildren(...sources.map(source => $option(
+            `${this.#episodeName(source.episodeData)} (${plural(source.existingMarkers.length, 'marker')})`,
+            source.episodeData.metadataId)));
+        select.disabled = false;
+    }
+
+    /**
+     * Update the alignment description after the alignment changes. */
+    #onAlignmentChanged() {
+        $('#copyAlignmentDescription').innerText = AlignmentOptions[this.#alignment()][1];
+        this.#clearPreview();
+    }
+
+    /**
+     * Remove any existing preview, since it no longer reflects the current options. */
+    #clearPreview() {
+        $('#copyPreviewHolder')?.replaceChildren();
+    }
+
+    /**
+     * Show the markers that will be copied to each episode, and which ones conflict with existing markers. */
+    async #preview() {
+        /** @type {MarkerCopyResult} */
+        let result;
+        try {
+            result = await this.#copy(BulkMarkerResolveType.DryRun);
+        } catch (err) {
+            errorToast(`Unable to preview marker copy: ${errorMessage(err)}`, 5000);
+            return;
+        }
+
+        const body = $tbody();
+        const episodes = Object.values(result.episodeMap).filter(e => e.episodeData.metadataId !== this.#sourceId());
+        episodes.sort((a, b) => a.episodeData.seasonIndex - b.episodeData.seasonIndex || a.episodeData.index - b.episodeData.index);
+        for (const episode of episodes) {
+            const copies = result.copies[episode.episodeData.metadataId];
+            const existing = episode.existingMarkers;
+            const conflict = copies?.some(c => existing.some(e => c.start <= e.start ? c.end >= e.start : c.start <= e.end));
+            const copyText = copies ?
+                copies.map(c => `${c.markerType}: ${msToHms(c.start)}-${msToHms(c.end)}`).join(', ') :
+                (result.unaligned.includes(episode.episodeData.metadataId) ? 'Unable to align markers' : '-');
+
+            body.appendChild(TableElements.rawTableRow(
+                this.#episodeName(episode.episodeData),
+                $span(copyText, { class : copies ? (conflict ? 'bulkActionSemi' : 'bulkActionOn') : 'bulkActionInactive' }),
+                existing.map(e => `${e.markerType}: ${msToHms(e.start)}-${msToHms(e.end)}`).join(', ') || '-'));
+        }
+
+        $('#copyPreviewHolder').replaceChildren(
+            $div({}, `Markers will be copied to ${plural(Object.keys(result.copies).length, 'episode')}` +
+                (result.unaligned.length ? `, ${plural(result.unaligned.length, 'episode')} couldn't be aligned.` : '.')),
+            $append($table({ class : 'markerTable' }),
+                $thead(TableElements.rawTableRow('Episode', 'Copied Markers', 'Existing Markers')),
+                body));
+    }
+
+    /**
+     * Copy the markers, updating the UI on success. */
+    async #apply() {
+        /** @type {MarkerCopyResult} */
+        let result;
+        try {
+            result = await this.#copy(parseInt($('#copyApplyTypeSelect').value));
+        } catch (err) {
+            await BulkActionCommon.flashButton('copyApply', ThemeColors.Red, 500);
+            errorResponseOverlay('Unable to copy markers, please try again later', err, this.show.bind(this));
+            return;
+        }
+
+        if (!result.applied) {
+            BulkActionCommon.flashButton('copyApply', ThemeColors.Red, 1000);
+            errorToast(result.notAppliedReason || 'Unable to copy markers.', 6000);
+            return;
+        }
+
+        UndoStack.push('Copy markers', result);
+
+        /** @type {ChangedBaseItem[]} */
+        const changed = [];
+        for (const episodeId of Object.keys(result.copies)) {
+            const marker = result.episodeMap[episodeId]?.existingMarkers[0];
+            if (marker) {
+                changed.push({
+                    metadataId : marker.parentId,
+                    seasonId : marker.seasonId,
+                    showId : marker.showId,
+                    sectionId : marker.sectionId,
+                });
+            }
+        }
+
+        await PlexClientState.notifyExternalChange(changed);
+        await BulkActionCommon.flashButton('copyApply', ThemeColors.Green, 500);
+        Overlay.dismiss();
+    }
+
+    /**
+     * Send the copy request with the current options.
+     * @param {number} resolveType The BulkMarkerResolveType
+     * @returns {Promise<MarkerCopyResult>} */
+    #copy(resolveType) {
+        return ServerCommands.copyMarkers(
+            this.#sourceId(),
+            this.#mediaItem.metadataId,
+            parseInt($('#markerTypeSelect').value),
+            this.#alignment(),
+            resolveType);
+    }
+
+    /** @returns {number} The metadata id of the episode to copy markers from. */
+    #sourceId() { return parseInt($('#copySourceEpisode').value); }
+
+    /** @returns {number} The selected MarkerCopyAlignment. */
+    #alignment() { return parseInt($('#copyAlignmentSelect').value); }
+
+    /**
+     * @param {SerializedEpisodeData} episode */
+    #episodeName(episode) {
+        return `S${pad0(episode.seasonIndex, 2)}E${pad0(episode.index, 2)} - ${episode.title}`;
+    }
+}
+
+export default CopyMarkersOverlay;
@@ -13,4 +13,10 @@ export const CustomEvents = {
     UISectionChanged : 'uiSectionChanged',
     /** @readonly New purged markers were found. */
     PurgedMarkersChanged : 'purgedMarkersChanged',
+    /** @readonly The undo/redo stack changed. */
+    UndoStackChanged : 'undoStackChanged',
+    /** @readonly A saved search was added, updated, or removed. */
+    SavedSearchesChanged : 'savedSearchesChanged',
+    /** @readonly Bulk select mode was toggled, or an item was added to or removed from the bulk selection. */
+    BulkSelectionChanged : 'bulkSelectionChanged',
 };
@@ -17,8 +17,12 @@ export const Attributes = {
     TooltipId : 'data-tt-id',
     /** @readonly Indicates whether the overlay can be dismissed by the user. */
     OverlayDismissible : 'data-dismissible',
+    /** @readonly The type of marker an element represents. */
+    MarkerType : 'data-marker-type',
     /** @readonly Library type of a library in the selection dropdown. */
     LibraryType : `data-lib-type`,
+    /** @readonly The keyboard shortcut an element changes the binding of. */
+    Shortcut : 'data-shortcut',
     /** @readonly Data attribute for an animation property reset flag. */
     PropReset : prop => `data-${prop}-reset`,
 };
@@ -1,28 +1,34 @@
 import { $, $$, $append, $div, $divHolder, $h, $hr, $label, $option, $select, $textInput } from './HtmlHelpers.js';
-
+import { errorMessage, errorToast } from './ErrorHandling.js';
+import { FilterConditions, MarkerTimingField, SectionType } from '/Shared/PlexTypes.js';
+import { MarkerEnum, MarkerType } from '/Shared/MarkerType.js';
+import { msToHms, timeToMs, toggleVisibility } from './Common.js';
 import { Theme, ThemeColors } from './ThemeColors.js';
 import ButtonCreator from './ButtonCreator.js';
 import { ContextualLog } from '/Shared/ConsoleLog.js';
+import { customCheckbox } from './CommonUI.js';
 import { CustomEvents } from './CustomEvents.js';
+import { FilterStickySettings } from 'StickySettings';
 import { flashBackground } from './AnimationHelpers.js';
+import Icons from './Icons.js';
 import MarkerBreakdown from '/Shared/MarkerBreakdown.js';
 import Overlay from './Overlay.js';
-import { SectionType } from '/Shared/PlexTypes.js';
+import { ServerCommands } from './Commands.js';
 import TooltipBuilder from './TooltipBuilder.js';
 
 /** @typedef {!import('/Shared/MarkerBreakdown').MarkerBreakdownMap} MarkerBreakdownMap */
 /** @typedef {!import('/Shared/PlexTypes').MarkerData} MarkerData */
-
-const Log = ContextualLog.Create('SortFilter');
+/** @typedef {!import('/Shared/PlexTypes').MarkerFilter} MarkerFilter */
+/** @typedef {!import('/Shared/PlexTypes').MarkerTimingFilter} MarkerTimingFilter */
+/** @typedef {!import('./StickySettings/FilterStickySettings').CountFilter} CountFilter */
 
 /**
- * TODO: BETWEEN and percentage-based for TV shows (something like >90% && <100% could be helpful)
- * @enum */
-const FilterConditions = {
-    /**@readonly*/ LessThan : 0,
-    /**@readonly*/ Equals : 1,
-    /**@readonly*/ GreaterThan : 2,
-};
+ * A copy of every sort and filter setting, used to save and restore the state of the filter.
+ * @typedef {{ countFilters: { [markerType: string]: CountFilter }, timingFilters: MarkerTimingFilter[],
+ *             userCreated: boolean, purged: boolean, sortBy: number, sortOrder: number }} FilterState
+ */
+
+const Log = ContextualLog.Create('SortFilter');
 
 /**
  * Strings used to describe each filter condition.
@@ -31,8 +37,53 @@ const FilterConditionText = {
     [FilterConditions.LessThan] : 'is less than',
     [FilterConditions.Equals] : 'is',
     [FilterConditions.GreaterThan] : 'is greater than',
+    [FilterConditions.Between] : 'is between',
 };
 
+/**
+ * Strings used to describe each marker timing field.
+ * @enum */
+const MarkerTimingFieldText = {
+    [MarkerTimingField.Start] : 'start',
+    [MarkerTimingField.End] : 'end',
+    [MarkerTimingField.Duration] : 'duration',
+};
+
+/**
+ * Strings used to describe the marker types a timing filter applies to.
+ * @enum */
+const MarkerEnumText = {
+    [MarkerEnum.Intro] : 'Intro',
+    [MarkerEnum.Credits] : 'Credits',
+    [MarkerEnum.Ad] : 'Ad',
+    [MarkerEnum.All] : 'Any marker',
+};
+
+/**
+ * The marker types that can be filtered by count, and the MarkerBreakdown methods used to evaluate them.
+ * @type {{ markerType: string, text: string, buckets: string, itemsWith: string }[]} */
+const CountFilterTypes = [
+    { markerType : MarkerType.Intro, text : 'Intro', buckets : 'introBuckets', itemsWith : 'itemsWithIntros' },
+    { markerType : MarkerType.Credits, text : 'Credits', buckets : 'creditsBuckets', itemsWith : 'itemsWithCredits' },
+    { markerType : MarkerType.Ad, text : 'Ad', buckets : 'adBuckets', itemsWith : 'itemsWithAds' },
+];
+
+/**
+ * Determine whether the given value satisfies the given condition.
+ * @param {number} value
+ * @param {number} condition The FilterConditions to test.
+ * @param {number} limit
+ * @param {number} limit2 The upper bound for FilterConditions.Between. */
+function conditionMatch(value, condition, limit, limit2) {
+    switch (condition) {
+        case FilterConditions.LessThan: return value < limit;
+        case FilterConditions.Equals: return value === limit;
+        case FilterConditions.GreaterThan: return value > limit;
+        case FilterConditions.Between: return value >= limit && value <= limit2;
+        default: return true; // Default to not filtering it
+    }
+}
+
 /** @enum */
 const SortConditions = {
     /**@readonly*/ Alphabetical : 0,
@@ -77,26 +128,122 @@ const SortOrderText = {
 class FilterSettings {
     // Fields are readonly as far as external consumers are concerned
 
-    /**@readonly*/ static introLimit = -1;
-    /**@readonly*/ static introCondition = 0;
-    /**@readonly*/ static creditsLimit = -1;
-    /**@readonly*/ static creditsCondition = 0;
-    /**@readonly*/ static adLimit = -1;
-    /**@readonly*/ static adCondition = 0;
+    /**
+     * Marker count conditions, keyed by marker type.
+     * @readonly @type {{ [markerType: string]: CountFilter }} */
+    static countFilters = {};
+    /**
+     * Marker timing conditions, evaluated by the server.
+     * @readonly @type {MarkerTimingFilter[]} */
+    static timingFilters = [];
+    /**@readonly*/ static userCreated = false;
+    /**@readonly*/ static purged = false;
     /**@readonly*/ static sortBy = SortConditions.Alphabetical;
     /**@readonly*/ static sortOrder = 0;
 
     /**
-     * @param {MarkerBreakdown} breakdown */
-    static shouldFilter(breakdown) {
-        return FilterSettings.hasFilter()
-            && (
-                FilterSettings.#shouldFilterCore(
-                    breakdown.introBuckets(), FilterSettings.introLimit, FilterSettings.introCondition)
-                || FilterSettings.#shouldFilterCore(
-                    breakdown.creditsBuckets(), FilterSettings.creditsLimit, FilterSettings.creditsCondition)
-                || FilterSettings.#shouldFilterCore(
-                    breakdown.adBuckets(), FilterSettings.adLimit, FilterSettings.adCondition));
+     * The ids of the movies/episodes/seasons/shows that match the server-evaluated conditions,
+     * or null if there are no such conditions (or they couldn't be evaluated).
+     * @type {Set<number>?} */
+    static #serverMatches = null;
+
+    /** Incremented on every refresh of the server matches, so outdated responses can be ignored. */
+    static #refreshId = 0;
+
+    /**
+     * Load the filter state saved by a previous session, if any. Must be called after client settings are initialized. */
+    static Setup() {
+        const settings = new FilterStickySettings();
+        FilterSettings.countFilters = settings.countFilters();
+        FilterSettings.timingFilters = settings.timingFilters();
+        FilterSettings.userCreated = settings.userCreated();
+        FilterSettings.purged = settings.purged();
+        FilterSettings.sortBy = settings.sortBy();
+        FilterSettings.sortOrder = settings.sortOrder();
+    }
+
+    /**
+     * Save the current filter state so it persists based on the user's stickiness setting. */
+    static save() {
+        const settings = new FilterStickySettings();
+        settings.setCountFilters(FilterSettings.countFilters);
+        settings.setTimingFilters(FilterSettings.timingFilters);
+        settings.setUserCreated(FilterSettings.userCreated);
+        settings.setPurged(FilterSettings.purged);
+        settings.setSortBy(FilterSettings.sortBy);
+        settings.setSortOrder(FilterSettings.sortOrder);
+    }
+
+    /**
+     * Retrieve a copy of the current sort and filter settings.
+     * @returns {FilterState} */
+    static snapshot() {
+        return {
+            countFilters : structuredClone(FilterSettings.countFilters),
+            timingFilters : structuredClone(FilterSettings.timingFilters),
+            userCreated : FilterSettings.userCreated,
+            purged : FilterSettings.purged,
+            sortBy : FilterSettings.sortBy,
+            sortOrder : FilterSettings.sortOrder,
+        };
+    }
+
+    /**
+     * Replace the current sort and filter settings with the given state, e.g. from a saved search.
+     * Like any other filter change, refreshServerMatches must be called before the filter is reapplied.
+     * @param {FilterState} state */
+    static restore(state) {
+        FilterSettings.countFilters = structuredClone(state.countFilters ?? {});
+        FilterSettings.timingFilters = structuredClone(state.timingFilters ?? []);
+        FilterSettings.userCreated = !!state.userCreated;
+        FilterSettings.purged = !!state.purged;
+        FilterSettings.sortBy = state.sortBy ?? SortConditions.Alphabetical;
+        FilterSettings.sortOrder = state.sortOrder ?? SortOrder.Ascending;
+        FilterSettings.save();
+    }
+
+    /**
+     * Ask the server which items in the given section match the current timing/user-created/purged
+     * conditions. Must be called before shouldFilter when those conditions change.
+     * @param {number} sectionId */
+    static async refreshServerMatches(sectionId) {
+        const refreshId = ++FilterSettings.#refreshId;
+        FilterSettings.#serverMatches = null;
+        if (!FilterSettings.hasServerFilter() || isNaN(sectionId) || sectionId === -1) {
+            return;
+        }
+
+        /** @type {MarkerFilter} */
+        const filter = {
+            timings : FilterSettings.timingFilters,
+            userCreated : FilterSettings.userCreated,
+            purged : FilterSettings.purged,
+        };
+
+        try {
+            const result = await ServerCommands.filterItems(sectionId, filter);
+            // Ignore stale results if the filter or library changed while waiting for the server.
+            if (refreshId === FilterSettings.#refreshId) {
+                FilterSettings.#serverMatches = new Set(result.ids);
+            }
+        } catch (err) {
+            errorToast(`Unable to apply marker timing filters: ${errorMessage(err)}`, 5000);
+        }
+    }
+
+    /**
+     * @param {MarkerBreakdown} breakdown
+     * @param {number} metadataId The id of the movie/show/season the breakdown belongs to. */
+    static shouldFilter(breakdown, metadataId) {
+        if (!FilterSettings.hasFilter()) {
+            return false;
+        }
+
+        if (FilterSettings.#serverMatches && !FilterSettings.#serverMatches.has(metadataId)) {
+            return true;
+        }
+
+        return CountFilterTypes.some(type => FilterSettings.#shouldFilterCount(breakdown, type));
     }
 
     /**
@@ -104,8 +251,9 @@ class FilterSettings {
      * TODO: If episodes have a MarkerBreakdown attached, they can go through the regular shouldFilter. But
      *       a full MarkerBreakdown for a single episode (or movie for that matter) is a bit overkill, so
      *       I'm not sure if that's better than just having a separate method here for that.
-     * @param {MarkerData[]} markers */
-    static shouldFilterEpisode(markers) {
+     * @param {MarkerData[]} markers
+     * @param {number} metadataId The id of the episode the markers belong to. */
+    static shouldFilterEpisode(markers, metadataId) {
         if (!FilterSettings.hasFilter()) {
             return false;
         }
@@ -115,40 +263,59 @@ class FilterSettings {
         breakdown.initBase();
         const markerKey = markers.reduce((acc, m) => acc + MarkerBreakdown.deltaFromType(1, m.markerType), 0);
         breakdown.delta(0, markerKey);
-        return FilterSettings.shouldFilter(breakdown);
+        return FilterSettings.shouldFilter(breakdown, metadataId);
     }
 
     /**
      * Clear any active filter */
     static resetFilter() {
-        FilterSettings.introLimit = -1;
-        FilterSettings.creditsLimit = -1;
-        FilterSettings.adLimit = -1;
+        FilterSettings.countFilters = {};
+        FilterSettings.timingFilters = [];
+        FilterSettings.userCreated = false;
+        FilterSettings.purged = false;
+        FilterSettings.#serverMatches = null;
     }
 
     /**
      * Returns whether a global filter is active. */
     static hasFilter() {
-        return FilterSettings.introLimit !== -1
-        || FilterSettings.creditsLimit !== -1
-        || FilterSettings.adLimit !== -1
+        return Object.keys(FilterSettings.countFilters).length !== 0
+        || FilterSettings.hasServerFilter()
         || !FilterSettings.isDefaultSort();
     }
 
+    /**
+     * Returns whether any filter conditions need to be evaluated by the server. */
+    static hasServerFilter() {
+        return FilterSettings.timingFilters.length !== 0 || FilterSettings.userCreated || FilterSettings.purged;
+    }
+
     /**
      * Returns a tooltip text that describes the current filter. */
     static filterTooltipText() {
         const tt = new TooltipBuilder();
-        if (FilterSettings.introLimit !== -1) {
-            tt.addLine(`Intro count ${FilterConditionText[FilterSettings.introCondition]} ${FilterSettings.introLimit}`);
+        for (const type of CountFilterTypes) {
+            const filter = FilterSettings.countFilters[type.markerType];
+            if (filter) {
+                const unit = filter.percentage ? '%' : '';
+                const range = filter.condition === FilterConditions.Between ? ` and ${filter.limit2}${unit}` : '';
+                tt.addLine(`${type.text} ${filter.percentage ? 'percentage' : 'count'} ` +
+                    `${FilterConditionText[filter.condition]} ${filter.limit}${unit}${range}`);
+            }
+        }
+
+        for (const timing of FilterSettings.timingFilters) {
+            const range = timing.condition === FilterConditions.Between ? ` and ${msToHms(timing.value2)}` : '';
+            tt.addLine(`${MarkerEnumText[timing.applyTo]} ${MarkerTimingFieldText[timing.field]} ` +
+                `${FilterConditionText[timing.condition]} ${msToHms(timing.value)}${range}`);
         }
 
-        if (FilterSettings.creditsLimit !== -1) {
-            tt.addLine(`Credits count ${FilterConditionText[FilterSettings.creditsCondition]} ${FilterSettings.creditsLimit}`);
+        if (FilterSettings.userCreated) {
+            tt.addLine('Has user-created markers');
         }
 
-        if (FilterSettings.adLimit !== -1) {
-            tt.addLine(`Ad count ${FilterConditionText[FilterSettings.adCondition]} ${FilterSettings.adLimit}`);
+        if (FilterSettings.purged) {
+            tt.addLine('Has purged markers');
         }
 
         if (!FilterSettings.isDefaultSort()) {
@@ -185,29 +352,26 @@ class FilterSettings {
     }
 
     /**
-     * @param {MarkerBreakdownMap} markerCounts
-     * @param {number} markerLimit
-     * @param {number} markerCondition */
-    static #shouldFilterCore(markerCounts, markerLimit, markerCondition) {
-        if (markerLimit < 0) {
+     * Determine whether the given breakdown fails the count condition for the given marker type. Count conditions
+     * pass if any single item has a matching marker count, while percentage conditions look at the percentage
+     * of items that have at least one marker of the given type.
+     * @param {MarkerBreakdown} breakdown
+     * @param {typeof CountFilterTypes[0]} type */
+    static #shouldFilterCount(breakdown, type) {
+        const filter = FilterSettings.countFilters[type.markerType];
+        if (!filter) {
             return false;
         }
 
-        /* eslint-disable padding-line-between-statements */
-        switch (markerCondition) {
-            case FilterConditions.LessThan:
-                for (const bucket of Object.keys(markerCounts)) { if (+bucket < markerLimit) { return false; } }
-                return true;
-            case FilterConditions.Equals:
-                for (const bucket of Object.keys(markerCounts)) { if (+bucket === markerLimit) { return false; } }
-                return true;
-            case FilterConditions.GreaterThan:
-                for (const bucket of Object.keys(markerCounts)) { if (+bucket > markerLimit) { return false; } }
-                return true;
-            default:
-                return false; // Default to not filtering it
+        if (filter.percentage) {
+            const totalItems = breakdown.totalItems();
+            const percentage = totalItems === 0 ? 0 : Math.round(breakdown[type.itemsWith]() / totalItems * 100);
+            return !conditionMatch(percentage, filter.condition, filter.limit, filter.limit2);
         }
-        /* eslint-enable */
+
+        /** @type {MarkerBreakdownMap} */
+        const markerCounts = breakdown[type.buckets]();
+        return !Object.keys(markerCounts).some(bucket => conditionMatch(+bucket, filter.condition, filter.limit, filter.limit2));
     }
 }
 
@@ -216,12 +380,10 @@ class FilterSettings {
 class FilterDialog {
     /** @type {HTMLElement} */
     #html;
+    /** @type {{ [markerType: string]: HTMLElement }} The count filter row for each marker type. */
+    #countFilters = {};
     /** @type {HTMLElement} */
-    #introFilter;
-    /** @type {HTMLElement} */
-    #creditsFilter;
-    /** @type {HTMLElement} */
-    #adFilter;
+    #timingFilters;
     /** @type {number} */
     #libType = -1;
 
@@ -230,39 +392,12 @@ class FilterDialog {
         const containerName = 'settingsContainer'; // 'sortFilterDialog'
         const container = $div({ class : `${containerName} filterDialogContainer` });
 
-        const buildSelect = (text, selected) => {
-            const sel = $select(`${text}MarkerFilterType`, null, { class : 'filterSelect' });
-            $append(sel,
-                $option('<', FilterConditions.LessThan),
-                $option('=', FilterConditions.Equals),
-                $option('>', FilterConditions.GreaterThan));
-            sel.value = selected;
-            return sel;
-        };
-
-        const filterRow = (text, selected, inputValue) =>
-            $divHolder({ class : 'formInput' },
-                $label(`${text} markers `, { for : `${text}MarkerFilterType` }),
-                $divHolder({ class : 'filterMultiInput' },
-                    buildSelect(text, selected),
-                    $textInput(
-                        { placeholder : '#', id : `${text}MarkerFilterValue`, class : 'filterNumberInput', value : inputValue },
-                        { keydown : this.#onTextInput.bind(this) }
-                    )
-                )
-            );
-
-        const introLimit = FilterSettings.introLimit === -1 ? '' : FilterSettings.introLimit;
-        const introCondition = introLimit === '' ? FilterConditions.Equals : FilterSettings.introCondition;
-        this.#introFilter = filterRow('Intro', introCondition, introLimit);
-
-        const creditsLimit = FilterSettings.creditsLimit === -1 ? '' : FilterSettings.creditsLimit;
-        const creditsCondition = creditsLimit === '' ? FilterConditions.Equals : FilterSettings.creditsCondition;
-        this.#creditsFilter = filterRow('Credits', creditsCondition, creditsLimit);
+        for (const type of CountFilterTypes) {
+            this.#countFilters[type.markerType] = this.#countRow(type.text, FilterSettings.countFilters[type.markerType]);
+        }
 
-        const adLimit = FilterSettings.adLimit === -1 ? '' : FilterSettings.adLimit;
-        const adCondition = adLimit === '' ? FilterConditions.Equals : FilterSettings.adCondition;
-        this.#adFilter = filterRow('Ad', adCondition, adLimit);
+        this.#timingFilters = $div({ id : 'timingFilters' });
+        FilterSettings.timingFilters.forEach(timing => this.#timingFilters.appendChild(this.#timingRow(timing)));
 
         $append(container,
             $h(2, 'Sort and Filter'),
@@ -270,9 +405,12 @@ class FilterDialog {
             $divHolder({ style : 'padding: 20px' },
                 $h(3, 'Filter'),
                 $hr(),
-                this.#introFilter,
-                this.#creditsFilter,
-                this.#adFilter,
+                ...Object.values(this.#countFilters),
+                this.#timingFilters,
+                $divHolder({ class : 'formInput' },
+                    ButtonCreator.textButton('Add Timing Condition', this.#onAddTiming.bind(this), { id : 'addTimingFilter' })),
+                this.#checkboxRow('Has user-created markers', 'filterUserCreated', FilterSettings.userCreated),
+                this.#checkboxRow('Has purged markers', 'filterPurged', FilterSettings.purged),
                 $hr(),
             ),
             this.#sortOptions()
@@ -289,6 +427,94 @@ class FilterDialog {
         this.#html = container;
     }
 
+    /**
+     * Build a condition dropdown, showing the second value input of the given row when "between" is selected.
+     * @param {string} id
+     * @param {number} selected The initially selected FilterConditions.
+     * @param {boolean} allowEquals */
+    #conditionSelect(id, selected, allowEquals) {
+        const select = $select(id, this.#onConditionChanged.bind(this), { class : 'filterSelect filterCondition' });
+        $append(select,
+            $option('<', FilterConditions.LessThan),
+            allowEquals ? $option('=', FilterConditions.Equals) : null,
+            $option('>', FilterConditions.GreaterThan),
+            $option('between', FilterConditions.Between));
+        select.value = selected;
+        return select;
+    }
+
+    /**
+     * Build the count filter row for a single marker type.
+     * @param {string} text The marker type's display text.
+     * @param {CountFilter} [filter] The existing filter for this marker type, if any. */
+    #countRow(text, filter) {
+        const condition = filter?.condition ?? FilterConditions.Equals;
+        const between = condition === FilterConditions.Between;
+        const textInput = (id, value, cls) => $textInput(
+            { placeholder : '#', id : id, class : `filterNumberInput ${cls}`, value : value },
+            { keydown : this.#onTextInput.bind(this) });
+
+        const secondValue = textInput(`${text}MarkerFilterValue2`, between ? filter.limit2 : '', 'filterSecondValue');
+        toggleVisibility(secondValue, between);
+        const inputs = [
+            this.#conditionSelect(`${text}MarkerFilterType`, condition, true /*allowEquals*/),
+            textInput(`${text}MarkerFilterValue`, filter?.limit ?? '', 'filterFirstValue'),
+            secondValue,
+        ];
+
+        // Percentages are only useful for shows/seasons, as movies either have a marker or don't.
+        if (this.#libType === SectionType.TV) {
+            const unit = $append($select(`${text}MarkerFilterUnit`, null, { class : 'filterSelect' }),
+                $option('#', 0),
+                $option('%', 1));
+            unit.value = filter?.percentage ? 1 : 0;
+            inputs.push(unit);
+        }
+
+        return $divHolder({ class : 'formInput' },
+            $label(`${text} markers `, `${text}MarkerFilterType`),
+            $divHolder({ class : 'filterMultiInput' }, ...inputs));
+    }
+
+    /**
+     * Build a row for a single marker timing condition.
+     * @param {MarkerTimingFilter} [timing] The existing condition, if any. */
+    #timingRow(timing) {
+        const applyTo = $append($select(null, null, { class : 'filterSelect timingFilterApplyTo' }),
+            ...[MarkerEnum.Intro, MarkerEnum.Credits, MarkerEnum.Ad, MarkerEnum.All].map(e => $option(MarkerEnumText[e], e)));
+        applyTo.value = timing?.applyTo ?? MarkerEnum.Intro;
+
+        const field = $append($select(null, null, { class : 'filterSelect timingFilterField' }),
+            ...Object.values(MarkerTimingField).map(f => $option(MarkerTimingFieldText[f], f)));
+        field.value = timing?.field ?? MarkerTimingField.Start;
+
+        const condition = timing?.condition ?? FilterConditions.GreaterThan;
+        const timeInput = (value, cls) => $textInput(
+            { placeholder : 'mm:ss', class : `filterTimeInput ${cls}`, value : value === undefined ? '' : msToHms(value) },
+            { keydown : this.#onTimeInput.bind(this) });
+        const secondValue = timeInput(timing?.value2, 'filterSecondValue');
+        toggleVisibility(secondValue, condition === FilterConditions.Between);
+
+        return $divHolder({ class : 'formInput timingFilterRow' },
+            applyTo,
+            field,
+            this.#conditionSelect(null, condition, false /*allowEquals*/),
+            timeInput(timing?.value, 'filterFirstValue'),
+            secondValue,
+            ButtonCreator.iconButton(Icons.Delete, 'Remove condition', ThemeColors.Red, this.#onRemoveTiming.bind(this)));
+    }
+
+    /**
+     * Build a label+checkbox row.
+     * @param {string} label
+     * @param {string} id
+     * @param {boolean} checked */
+    #checkboxRow(label, id, checked) {
+        return $divHolder({ class : 'formInput' },
+            $label(label, id),
+            customCheckbox({ id, checked }));
+    }
+
     /**
      * Build the sort section of the dialog (sort by X, sort direction) */
     #sortOptions() {
@@ -388,6 +614,30 @@ class FilterDialog {
         }, this.#html);
     }
 
+    /**
+     * Show or hide the second value input when a condition changes to/from "between".
+     * @param {Event} e */
+    #onConditionChanged(e) {
+        const row = e.target.parentElement;
+        toggleVisibility($$('.filterSecondValue', row), parseInt(e.target.value) === FilterConditions.Between);
+    }
+
+    /**
+     * Add a new, empty timing condition. */
+    #onAddTiming() {
+        const row = this.#timingFilters.appendChild(this.#timingRow());
+        $$('.filterFirstValue', row).focus();
+    }
+
+    /**
+     * Remove the timing condition whose delete button was clicked.
+     * @param {MouseEvent} _e
+     * @param {HTMLElement} button */
+    #onRemoveTiming(_e, button) {
+        this.#timingFilters.removeChild(button.parentElement);
+        $('#addTimingFilter').focus();
+    }
+
     /**
      * Prevent non-digit input
      * @param {KeyboardEvent} e */
@@ -402,6 +652,15 @@ class FilterDialog {
         }
     }
 
+    /**
+     * Apply the filter on Ctrl+Enter, allowing any input otherwise, as timestamps can be in a few different formats.
+     * @param {KeyboardEvent} e */
+    #onTimeInput(e) {
+        if (e.key === 'Enter' && e.ctrlKey) {
+            this.#applyFilter();
+        }
+    }
+
     /**
      * Flash the background of the given element.
      * @param {HTMLElement} input */
@@ -409,47 +668,100 @@ class FilterDialog {
         return flashBackground(input, Theme.getHex(ThemeColors.Red, 8), 1000);
     }
 
+    /**
+     * Parse the count condition in the given row.
+     * @param {HTMLElement} row
+     * @returns {CountFilter|null|false} The condition, null if the row is empty, or false if it's invalid. */
+    #parseCountRow(row) {
+        const first = $$('.filterFirstValue', row);
+        const second = $$('.filterSecondValue', row);
+        if (first.value.length === 0) {
+            return null;
+        }
+
+        const condition = parseInt($$('.filterCondition', row).value);
+        const percentage = parseInt($$('select[id$=FilterUnit]', row)?.value) === 1;
+        const limit = parseInt(first.value);
+        const max = percentage ? 100 : Number.MAX_SAFE_INTEGER;
+        if (isNaN(limit) || limit > max || limit === 0 && condition === FilterConditions.LessThan) {
+            this.#flashInput(first);
+            return false;
+        }
+
+        const limit2 = condition === FilterConditions.Between ? parseInt(second.value) : -1;
+        if (condition === FilterConditions.Between && (isNaN(limit2) || limit2 < limit || limit2 > max)) {
+            this.#flashInput(second);
+            return false;
+        }
+
+        return { condition, limit, limit2, percentage };
+    }
+
+    /**
+     * Parse the timing condition in the given row.
+     * @param {HTMLElement} row
+     * @returns {MarkerTimingFilter|false} The condition, or false if it's invalid. */
+    #parseTimingRow(row) {
+        const condition = parseInt($$('.filterCondition', row).value);
+        const first = $$('.filterFirstValue', row);
+        const value = timeToMs(first.value);
+        if (isNaN(value) || value < 0) {
+            this.#flashInput(first);
+            return false;
+        }
+
+        /** @type {MarkerTimingFilter} */
+        const timing = {
+            applyTo : parseInt($$('.timingFilterApplyTo', row).value),
+            field : parseInt($$('.timingFilterField', row).value),
+            condition : condition,
+            value : value,
+        };
+
+        if (condition === FilterConditions.Between) {
+            const second = $$('.filterSecondValue', row);
+            timing.value2 = timeToMs(second.value);
+            if (isNaN(timing.value2) || timing.value2 < value) {
+                this.#flashInput(second);
+                return false;
+            }
+        }
+
+        return timing;
+    }
+
     /**
      * Validates the given filter, and signals the UI of a change if everything is valid. */
     #applyFilter() {
-        const markerFilters = [
-            {
-                filter : this.#introFilter,
-                setLimit : (l) => FilterSettings.introLimit = l,
-                setCondition : (c) => FilterSettings.introCondition = c
-            },
-            {
-                filter : this.#creditsFilter,
-                setLimit : (l) => FilterSettings.creditsLimit = l,
-                setCondition : (c) => FilterSettings.creditsCondition = c
-            },
-            {
-                filter : this.#adFilter,
-                setLimit : (l) => FilterSettings.adLimit = l,
-                setCondition : (c) => FilterSettings.adCondition = c
-            },
-        ];
+        const countFilters = {};
+        for (const [markerType, row] of Object.entries(this.#countFilters)) {
+            const filter = this.#parseCountRow(row);
+            if (filter === false) {
+                return;
+            }
 
-        for (const markerFilter of markerFilters) {
-            const text = $$('input[type=text]', markerFilter.filter);
-            const count = parseInt(text.value);
-            const condition = parseInt($$('select', markerFilter.filter).value);
-            markerFilter.setCondition(condition);
-            if (text.value.length === 0) {
-                markerFilter.setLimit(-1);
-                continue;
+            if (filter) {
+                countFilters[markerType] = filter;
             }
+        }
 
-            if (isNaN(count) || count === 0 && condition === FilterConditions.LessThan) {
-                this.#flashInput(text);
+        const timingFilters = [];
+        for (const row of this.#timingFilters.children) {
+            const timing = this.#parseTimingRow(row);
+            if (!timing) {
                 return;
             }
 
-            markerFilter.setLimit(count);
+            timingFilters.push(timing);
         }
 
+        FilterSettings.countFilters = countFilters;
+        FilterSettings.timingFilters = timingFilters;
+        FilterSettings.userCreated = $('#filterUserCreated').checked;
+        FilterSettings.purged = $('#filterPurged').checked;
         FilterSettings.sortBy = parseInt($('#sortBy').value);
         FilterSettings.sortOrder = parseInt($('#sortOrder').value);
+        FilterSettings.save();
         Overlay.dismiss();
         window.dispatchEvent(new Event(CustomEvents.MarkerFilterApplied));
     }
@@ -459,6 +771,7 @@ class FilterDialog {
     #resetFilter() {
         FilterSettings.resetFilter();
         FilterSettings.resetSort();
+        FilterSettings.save();
         Overlay.dismiss();
         window.dispatchEvent(new Event(CustomEvents.MarkerFilterApplied));
     }
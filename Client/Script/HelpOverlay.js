@@ -1,7 +1,9 @@
 import { $, $append, $div, $h, $p } from './HtmlHelpers.js';
 import { clickOnEnterCallback } from './Common.js';
 
+import ButtonCreator from './ButtonCreator.js';
 import Overlay from './Overlay.js';
+import ShortcutsOverlay from './ShortcutsOverlay.js';
 
 /**
  * The text to display in the help overlay
@@ -13,6 +15,10 @@ const helpText = $append(
 For help with the configuration and usage of ths app, see the 
 <a href="https://github.com/danrahn/MarkerEditorForPlex/wiki" target="_blank" rel="noreferrer">wiki on GitHub</a>.`),
     $p(`
+Most things can be done without a mouse. The command palette lets you jump to any show, season, or episode and run
+common actions, and every keyboard shortcut (including the one that opens the palette) can be customized.`),
+    ButtonCreator.textButton('Keyboard Shortcuts', () => { ShortcutsOverlay.Show($('#helpContainer')); }),
+    $p(`
 Disclaimer: This interacts directly with your Plex database in a way that is not officially supported. While it should
 be safe to perform various create/update/delete actions, there are no guarantees that it won't break things now or in
 the future. The author is not responsible for any database corruption that may occur; use at your own risk.`,
@@ -139,6 +139,15 @@ export function $passwordInput(attributes, events={}) {
     return buildNode('input', { type : 'password', ...attributes }, 0, events);
 }
 
+/**
+ * Create a date input element.
+ * @param {{[attribute: string]: string}} [attributes={}]
+ * @param {{[event: string]: function}} [events={}]
+ * @returns {HTMLInputElement} */
+export function $dateInput(attributes={}, events={}) {
+    return $input('date', attributes, events);
+}
+
 /**
  * Create a text input element.
  * @param {{[attribute: string]: string}} [attributes={}] Attributes to add to this input.
@@ -14,6 +14,8 @@ const Icons = {
     Cursor : 'cursor',
     /** @readonly A trash cah. */
     Delete : 'delete',
+    /** @readonly A magnifying glass over a sound wave. */
+    Detect : 'detect',
     /** @readonly A pencil. */
     Edit : 'edit',
     /** @readonly A funnel with up/down arrows to indicate sorting. */
@@ -28,12 +30,18 @@ const Icons = {
     Loading : 'loading',
     /** @readonly A circle with a pause button in the middle. */
     Pause : 'pause',
+    /** @readonly A circle with a play button in the middle. */
+    Play : 'play',
+    /** @readonly A curved arrow pointing right. */
+    Redo : 'redo',
     /** @readonly A circular arrow. */
     Restart : 'restart',
     /** @readonly A settings cog. */
     Settings : 'settings',
     /** @readonly A 2x3 grid with a slightly colored header row. */
     Table : 'table',
+    /** @readonly A curved arrow pointing left. */
+    Undo : 'undo',
     /** @readonly A triangle with an exclamation point in the middle. */
     Warn : 'warn',
     /** @readonly A logout icon - an arrow peeking out of a rectangle. */
@@ -49,6 +57,7 @@ const Icons = {
  *   confirm : 'Confirm',
  *   cursor : 'Cursor',
  *   delete : 'Delete',
+ *   detect : 'Detect',
  *   edit : 'Edit',
  *   filter : 'Filter',
  *   help : 'Help',
@@ -56,9 +65,12 @@ const Icons = {
  *   info : 'Info',
  *   loading : 'Loading',
  *   pause : 'Pause',
+ *   play : 'Play',
+ *   redo : 'Redo',
  *   restart : 'Restart',
  *   settings : 'Settings',
  *   table : 'Table',
+ *   undo : 'Undo',
  *   warn : 'Warn',
  *   logout : 'Logout',
  * }} IconKeys
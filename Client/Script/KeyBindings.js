@@ -0,0 +1,60 @@
+/**
+ * Keys that only act as modifiers, and can't be bound on their own.
+ * @type {Set<string>} */
+const ModifierKeys = new Set(['Alt', 'AltGraph', 'Control', 'Meta', 'Shift', 'OS', 'Hyper', 'Super']);
+
+/**
+ * Friendlier names for keys whose KeyboardEvent.key value is hard to read (or type) in a binding.
+ * @type {{ [key: string]: string }} */
+const KeyAliases = {
+    ' ' : 'Space',
+    Esc : 'Escape',
+    '+' : 'Plus',
+};
+
+/**
+ * Normalize the given KeyboardEvent.key value. Letters are upper-cased so bindings aren't
+ * affected by Caps Lock, and a few keys that would be confusing in a binding string are renamed.
+ * @param {string} key */
+function normalizeKey(key) {
+    if (KeyAliases[key]) {
+        return KeyAliases[key];
+    }
+
+    return key.length === 1 ? key.toUpperCase() : key;
+}
+
+/**
+ * Return whether Shift is part of the binding for the given (normalized) key. Shift is implied
+ * for symbols, since the key value already reflects it (e.g. Shift+/ is '?'), and keyboard
+ * layouts differ on which symbols need Shift in the first place.
+ * @param {string} key */
+function shiftMatters(key) {
+    return key.length !== 1 || /\p{L}/u.test(key);
+}
+
+/**
+ * Convert the given keyboard event to a binding string, e.g. 'Ctrl+Shift+E', or null if
+ * the event is just a modifier key being pressed. Cmd on macOS is treated the same as Ctrl.
+ * @param {KeyboardEvent} e
+ * @returns {string?} */
+export function bindingFromEvent(e) {
+    if (!e.key || ModifierKeys.has(e.key)) {
+        return null;
+    }
+
+    const key = normalizeKey(e.key);
+    const parts = [];
+    if (e.ctrlKey || e.metaKey) parts.push('Ctrl');
+    if (e.altKey) parts.push('Alt');
+    if (e.shiftKey && shiftMatters(key)) parts.push('Shift');
+    parts.push(key);
+    return parts.join('+');
+}
+
+/**
+ * Return a display-friendly version of the given binding.
+ * @param {string} binding */
+export function displayBinding(binding) {
+    return binding.replace(/\bArrow(?<direction>Up|Down|Left|Right)\b/g, '$<direction>').replace(/\bEscape\b/, 'Esc');
+}
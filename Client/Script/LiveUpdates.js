@@ -0,0 +1,77 @@
+import { ContextualLog } from '/Shared/ConsoleLog.js';
+
+import { CustomEvents } from './CustomEvents.js';
+import { errorMessage } from './ErrorHandling.js';
+import { LiveUpdateEvent } from '/Shared/PlexTypes.js';
+import { PlexClientState } from './PlexClientState.js';
+import { PurgedMarkers } from './PurgedMarkerManager.js';
+
+/** @typedef {!import('/Shared/PlexTypes').MarkerChangeEvent} MarkerChangeEvent */
+
+
+const Log = ContextualLog.Create('LiveUpdates');
+
+/**
+ * Listens for marker changes pushed by the server, which are the result of Plex (or another
+ * Marker Editor session) modifying the database, and keeps the UI in sync with them.
+ */
+class LiveUpdates {
+    /** @type {EventSource} */
+    static #eventSource = null;
+
+    /**
+     * Changes are applied one at a time, as each one may have to make multiple requests to the server.
+     * @type {Promise<void>} */
+    static #queue = Promise.resolve();
+
+    /** Start listening for live updates from the server. */
+    static Connect() {
+        if (LiveUpdates.#eventSource) {
+            Log.warn(`Already listening for live updates, ignoring Connect call.`);
+            return;
+        }
+
+        if (!window.EventSource) {
+            Log.warn(`Browser doesn't support server-sent events, the UI will not update when markers change outside of this page.`);
+            return;
+        }
+
+        // EventSource reconnects automatically if the connection drops (e.g. if the server restarts).
+        LiveUpdates.#eventSource = new EventSource(new URL('events', window.location.href));
+        LiveUpdates.#eventSource.addEventListener('open', () => Log.verbose(`Listening for live updates.`));
+        LiveUpdates.#eventSource.addEventListener('error', () => Log.verbose(`Lost connection to live updates, retrying.`));
+        LiveUpdates.#eventSource.addEventListener(LiveUpdateEvent.Markers, e => {
+            LiveUpdates.#queue = LiveUpdates.#queue.then(() => LiveUpdates.#onMarkersChanged(e));
+        });
+    }
+
+    /**
+     * Update any affected parts of the UI after markers were changed.
+     * @param {MessageEvent} e */
+    static async #onMarkersChanged(e) {
+        /** @type {MarkerChangeEvent} */
+        let change;
+        try {
+            change = JSON.parse(e.data);
+        } catch (err) {
+            Log.warn(errorMessage(err), `Unable to parse live marker update`);
+            return;
+        }
+
+        Log.verbose(`Markers changed for ${change.items.length} item(s), updating UI.`);
+        try {
+            if (change.purgesChanged) {
+                await PurgedMarkers.refresh();
+            }
+
+            await PlexClientState.notifyExternalChange(change.items);
+        } catch (err) {
+            Log.warn(errorMessage(err), `Unable to apply live marker update`);
+        }
+
+        // After everything's updated, reapply the current filter in case the changes affected anything
+        window.dispatchEvent(new Event(CustomEvents.MarkerFilterApplied));
+    }
+}
+
+export default LiveUpdates;
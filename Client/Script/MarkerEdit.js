@@ -1,22 +1,25 @@
 import { $, $$, $append, $clear, $divHolder, $label, $option, $select, $span, $textInput } from './HtmlHelpers.js';
-import { msToHms, realMs, timeInputShortcutHandler, timeToMs } from './Common.js';
+import { msToHms, realMs, timeInputShortcutHandler, timeToMs, toggleVisibility } from './Common.js';
 import { ContextualLog } from '/Shared/ConsoleLog.js';
 
 import { addWindowResizedListener, isSmallScreen } from './WindowResizeEventHandler.js';
+import { errorResponseOverlay, errorToast } from './ErrorHandling.js';
 import { MarkerType, supportedMarkerType } from '/Shared/MarkerType.js';
+import { Shortcut, Shortcuts } from './ShortcutManager.js';
 import { animateOpacity } from './AnimationHelpers.js';
 import { Attributes } from './DataAttributes.js';
 import ButtonCreator from './ButtonCreator.js';
 import { ClientSettings } from './ClientSettings.js';
-import { errorResponseOverlay } from './ErrorHandling.js';
 import Icons from './Icons.js';
 import { MarkerAddStickySettings } from 'StickySettings';
 import { MarkerData } from '/Shared/PlexTypes.js';
 import Overlay from './Overlay.js';
+import PreviewClipPlayer from './PreviewClipPlayer.js';
 import { ServerCommands } from './Commands.js';
 import { ThemeColors } from './ThemeColors.js';
 import { TimestampThumbnails } from './TimestampThumbnails.js';
 import Tooltip from './Tooltip.js';
+import { UndoStack } from './UndoManager.js';
 
 /** @typedef {!import('/Shared/PlexTypes').ChapterData} ChapterData */
 /** @typedef {!import('/Shared/PlexTypes').SerializedMarkerData} SerializedMarkerData */
@@ -25,6 +28,15 @@ import Tooltip from './Tooltip.js';
 
 const Log = ContextualLog.Create('MarkerEdit');
 
+/**
+ * The marker type each marker type shortcut switches to.
+ * @type {{ [shortcut: string]: string }} */
+const MarkerTypeShortcuts = {
+    [Shortcut.SetIntro] : MarkerType.Intro,
+    [Shortcut.SetCredits] : MarkerType.Credits,
+    [Shortcut.SetAd] : MarkerType.Ad,
+};
+
 /**
  * Handles the editing of markers in the marker table.
  */
@@ -47,6 +59,11 @@ class MarkerEdit {
      * @type {MarkerAddStickySettings} */
     #stickyAddSettings;
 
+    /**
+     * The video player for the clips around this marker's boundaries, if it was requested this edit session.
+     * @type {PreviewClipPlayer?} */
+    #previewPlayer = null;
+
     /**
      * @param {MarkerRow} markerRow The marker row to edit.
      * @param {ChapterData[]} chapters Chapter data (if any) for the media item associated with this marker. */
@@ -73,6 +90,8 @@ class MarkerEdit {
         this.#buildTimeEdit();
         this.#buildConfirmCancel();
         this.#buildChapterSwitch();
+        this.#buildDetectCredits();
+        this.#buildPreviewClip();
         if (startInChapterMode && this.#chapters.length > 0) {
             this.#toggleChapterEntry();
         }
@@ -151,7 +170,7 @@ class MarkerEdit {
         input.addEventListener('paste', pasteListener);
 
         if (isEnd) {
-            Tooltip.setTooltip(input, 'Ctrl+Shift+E to replace with the end of an episode.');
+            Tooltip.setTooltip(input, `${Shortcuts.display(Shortcut.InsertEnd)} to replace with the end of an episode.`);
         }
 
         return input;
@@ -162,29 +181,17 @@ class MarkerEdit {
      * and changing the marker type.
      * @param {KeyboardEvent} e */
     #timeInputEditShortcutHandler(_input, e) {
-        if (e.shiftKey || e.ctrlKey || e.altKey) {
-            return;
+        // Saving is only handled on keyup (see #timeInputEditKeyupShortcutHandler) to avoid any
+        // accidental double submissions that may result in confusing error UI.
+        for (const [shortcut, markerType] of Object.entries(MarkerTypeShortcuts)) {
+            if (Shortcuts.matches(shortcut, e)) {
+                e.preventDefault();
+                return this.#setMarkerType(markerType);
+            }
         }
 
-        switch (e.key) {
-            case 'i':
-                e.preventDefault();
-                return this.#setMarkerType(MarkerType.Intro);
-            case 'c':
-                e.preventDefault();
-                return this.#setMarkerType(MarkerType.Credits);
-            case 'a':
-                e.preventDefault();
-                return this.#setMarkerType(MarkerType.Ad);
-            case 'Enter':
-                // Only commit on Keyup to avoid any accidental double submissions
-                // that may result in confusing error UI. Left here for when my
-                // future self forgets why I didn't add this here.
-                break;
-            case 'Escape':
-                return this.#onMarkerActionCancel(e);
-            default:
-                break;
+        if (Shortcuts.matches(Shortcut.CancelEdit, e)) {
+            return this.#onMarkerActionCancel(e);
         }
     }
 
@@ -194,15 +201,8 @@ class MarkerEdit {
      * @param {*} _input
      * @param {KeyboardEvent} e */
     #timeInputEditKeyupShortcutHandler(_input, e) {
-        switch (e.key) {
-            case 'Enter':
-                // Ctrl+Enter or Shift+Enter attempts to submit the operation
-                if (e.ctrlKey || e.shiftKey) {
-                    this.#onMarkerActionConfirm(e);
-                }
-                break;
-            default:
-                break;
+        if (Shortcuts.matches(Shortcut.ConfirmEdit, e)) {
+            this.#onMarkerActionConfirm(e);
         }
     }
 
@@ -231,6 +231,7 @@ class MarkerEdit {
     #onMarkerTypeChanged() {
         const markerType = this.markerRow.row().children[0].querySelector('select').value;
         this.#stickyAddSettings.setMarkerType(markerType);
+        this.#updateDetectCredits();
     }
 
     /**
@@ -245,6 +246,7 @@ class MarkerEdit {
         this.#stickyAddSettings.setMarkerType(markerType);
         if (supportedMarkerType(markerType)) {
             select.value = markerType;
+            this.#updateDetectCredits();
         } else {
             Log.warn(`setMarkerType - Unknown type ${markerType} given.`);
         }
@@ -296,6 +298,8 @@ class MarkerEdit {
      * Relay a marker add/edit confirmation to the right handler.
      * @param {Event} event */
     #onMarkerActionConfirm(event) {
+        // The player's row would throw off the table's row bookkeeping if it's still around when the table changes.
+        this.#closePreviewClip();
         if (this.markerRow.forAdd()) {
             return this.#onMarkerAddConfirm(event);
         }
@@ -307,6 +311,7 @@ class MarkerEdit {
      * Relay a marker add/edit cancellation to the right handler.
      * @param {Event} event */
     #onMarkerActionCancel(event) {
+        this.#closePreviewClip();
         if (this.markerRow.forAdd()) {
             this.#onMarkerAddCancel(event);
         } else {
@@ -336,6 +341,7 @@ class MarkerEdit {
             // row is already gone, resulting in a ghost tooltip.
             Tooltip.dismiss();
             mediaItem.markerTable().addMarker(newMarker, this.markerRow.row());
+            UndoStack.push('Add marker', rawMarkerData);
         } catch (err) {
             errorResponseOverlay('Sorry, something went wrong trying to add the marker. Please try again later.', err);
         }
@@ -362,6 +368,7 @@ class MarkerEdit {
             const rawMarkerData = await ServerCommands.edit(markerType, markerId, startTime, endTime, +final);
             const editedMarker = new MarkerData().setFromJson(rawMarkerData);
             this.markerRow.baseItemRow().baseItem().markerTable().editMarker(editedMarker);
+            UndoStack.push('Edit marker', rawMarkerData);
             this.resetAfterEdit();
         } catch (err) {
             this.#onMarkerEditCancel();
@@ -424,6 +431,106 @@ class MarkerEdit {
         }
     }
 
+    /**
+     * Adds a button that fills in the time inputs with credits detected from black frames and silence.
+     * Only shown while the marker type is Credits. */
+    #buildDetectCredits() {
+        this.markerRow.row().children[4].appendChild(ButtonCreator.dynamicButton(
+            'Detect',
+            Icons.Detect,
+            ThemeColors.Primary,
+            this.#onDetectCredits.bind(this),
+            {
+                class : 'detectCredits',
+                tooltip : 'Detect credits from black frames and silence (requires FFmpeg)',
+                [Attributes.TableNav] : 'detect-credits'
+            }
+        ));
+
+        this.#updateDetectCredits();
+    }
+
+    /** Show the credits detection button if the current marker type is Credits, and hide it otherwise. */
+    #updateDetectCredits() {
+        const button = $$('.detectCredits', this.markerRow.row());
+        if (button) {
+            toggleVisibility(button, $$('.inlineMarkerType', this.markerRow.row())?.value === MarkerType.Credits);
+        }
+    }
+
+    /**
+     * Adds a button that shows/hides a video player for the clips surrounding the marker's start/end. */
+    #buildPreviewClip() {
+        this.markerRow.row().children[4].appendChild(ButtonCreator.dynamicButton(
+            'Preview',
+            Icons.Play,
+            ThemeColors.Primary,
+            this.#togglePreviewClip.bind(this),
+            {
+                class : 'previewClipToggle',
+                tooltip : 'Play the video around the start/end time (requires FFmpeg)',
+                [Attributes.TableNav] : 'preview-clip'
+            }
+        ));
+    }
+
+    /**
+     * Show or hide the preview clip player. */
+    #togglePreviewClip() {
+        if (this.#previewPlayer?.showing()) {
+            this.#closePreviewClip();
+            return;
+        }
+
+        this.#previewPlayer = new PreviewClipPlayer(this.markerRow);
+        this.#previewPlayer.show();
+    }
+
+    /** Remove the preview clip player, if it's showing. */
+    #closePreviewClip() {
+        this.#previewPlayer?.close();
+        this.#previewPlayer = null;
+    }
+
+    /**
+     * Detect credits for this marker's media item, and populate the time inputs with the result. */
+    async #onDetectCredits() {
+        const row = this.markerRow.row();
+        const button = $$('.detectCredits', row);
+        const metadataId = this.markerRow.baseItemRow().mediaItem().metadataId;
+        ButtonCreator.setIcon(button, Icons.Loading, ThemeColors.Primary);
+        try {
+            const result = await ServerCommands.detectCredits(metadataId);
+            const credits = result.items[metadataId];
+            if (!credits) {
+                errorToast(result.failed.find(f => f.metadataId === metadataId)?.reason ?? 'No credits detected.', 5000);
+                return;
+            }
+
+            if (!this.editing) {
+                return;
+            }
+
+            // Detected credits are raw timestamps, so make sure we're not in chapter mode.
+            if ($('.timeInput', row)?.[0].classList.contains('hidden')) {
+                this.#toggleChapterEntry();
+            }
+
+            const inputs = $('.timeInput', row);
+            inputs[0].value = msToHms(credits.start);
+            inputs[1].value = msToHms(credits.end);
+            for (const input of inputs) {
+                input.dispatchEvent(new KeyboardEvent('keyup', { key : 'Enter', keyCode : 13 }));
+            }
+        } catch (err) {
+            errorResponseOverlay('Unable to detect credits.', err);
+        } finally {
+            if (button.isConnected) {
+                ButtonCreator.setIcon(button, Icons.Detect, ThemeColors.Primary);
+            }
+        }
+    }
+
     /**
      * Handler that toggles the visibility of raw time inputs versus chapter dropdowns when the chapter icon is clicked. */
     #toggleChapterEntry() {
@@ -571,6 +678,11 @@ class MarkerEdit {
         const options = this.markerRow.row().children[4];
         const chapterToggle = $$('.chapterToggle', options);
         chapterToggle?.parentElement.removeChild(chapterToggle);
+        const detectCredits = $$('.detectCredits', options);
+        detectCredits?.parentElement.removeChild(detectCredits);
+        const previewClip = $$('.previewClipToggle', options);
+        previewClip?.parentElement.removeChild(previewClip);
+        this.#closePreviewClip();
 
         for (const child of options.children) {
             child.classList.remove('hidden');
@@ -583,12 +695,12 @@ class MarkerEdit {
     }
 
     /**
-     * Processes input to the 'End time' input field, entering the end of the episode on Ctrl+Shift+E
+     * Processes input to the 'End time' input field, entering the end of the episode on Ctrl+Shift+E (by default).
      * @this {MarkerEdit}
      * @param {HTMLInputElement} input
      * @param {KeyboardEvent} e */
     #onEndTimeInput(input, e) {
-        if (!e.shiftKey || !e.ctrlKey || e.key !== 'E') {
+        if (!Shortcuts.matches(Shortcut.InsertEnd, e)) {
             return;
         }
 
@@ -721,13 +833,9 @@ class ThumbnailMarkerEdit extends MarkerEdit {
     /**
      * @param {KeyboardEvent} e */
     #thumbnailTimeInputShortcutHandler(e) {
-        switch (e.key) {
-            case 't':
-                e.preventDefault();
-                this.#thumbnails.toggleThumbnails();
-                break;
-            default:
-                break;
+        if (Shortcuts.matches(Shortcut.ToggleThumbnails, e)) {
+            e.preventDefault();
+            this.#thumbnails.toggleThumbnails();
         }
     }
 
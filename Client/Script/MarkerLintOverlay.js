@@ -0,0 +1,219 @@
+import { $$, $append, $div, $divHolder, $h, $option, $select, $span, $table, $tbody, $thead } from './HtmlHelpers.js';
+import { errorMessage, errorToast } from './ErrorHandling.js';
+import { MarkerLintCategory, SectionType } from '/Shared/PlexTypes.js';
+import { msToHms, plural } from './Common.js';
+import ButtonCreator from './ButtonCreator.js';
+import { ContextualLog } from '/Shared/ConsoleLog.js';
+import Overlay from './Overlay.js';
+import { PlexClientState } from './PlexClientState.js';
+import { PlexUI } from './PlexUI.js';
+import { ServerCommands } from './Commands.js';
+import TableElements from './TableElements.js';
+import Tooltip from './Tooltip.js';
+
+/** @typedef {!import('/Shared/PlexTypes').MarkerLintProblem} MarkerLintProblem */
+/** @typedef {!import('/Shared/PlexTypes').MarkerLintResult} MarkerLintResult */
+
+
+const Log = ContextualLog.Create('MarkerLint');
+
+/** Display text for each category of problem, in the order they should be displayed. */
+const CategoryTitles = {
+    [MarkerLintCategory.ZeroLength] : 'Zero-length markers',
+    [MarkerLintCategory.PastEnd] : 'Markers past the end of the item',
+    [MarkerLintCategory.Overlap] : 'Overlapping markers',
+    [MarkerLintCategory.CreditsNotFinal] : 'Credits that should be final',
+    [MarkerLintCategory.IntroMismatch] : 'Intros that differ from the rest of the season',
+};
+
+/**
+ * Overlay that scans the active library (or a single show) for broken markers,
+ * and lets the user fix them individually or all at once.
+ */
+class MarkerLintOverlay {
+    /**
+     * Show the marker lint overlay for the active library.
+     * @param {HTMLElement} focusBack The element to focus when the overlay is dismissed. */
+    static Show(focusBack) {
+        new MarkerLintOverlay().#show(focusBack);
+    }
+
+    /** @type {HTMLElement} */
+    #container;
+
+    /**
+     * Build the overlay and scan the entire library.
+     * @param {HTMLElement} focusBack */
+    #show(focusBack) {
+        const showSelect = $append($select('lintShow', this.#scan.bind(this), { class : 'fancySelect hidden' }),
+            $option('All shows', -1));
+
+        this.#container = $divHolder({ id : 'lintContainer' },
+            $h(1, 'Marker Problems'),
+            $divHolder({ id : 'lintFilters' },
+                showSelect,
+                ButtonCreator.textButton('Scan Again', this.#scan.bind(this))),
+            $div({ id : 'lintResults' }, 'Scanning...'));
+
+        Overlay.build({ dismissible : true, closeButton : true, focusBack : focusBack }, this.#container);
+        if (PlexClientState.activeSectionType() === SectionType.TV) {
+            this.#populateShows(showSelect);
+        }
+
+        this.#scan();
+    }
+
+    /**
+     * Fill in the show filter for TV libraries.
+     * @param {HTMLSelectElement} showSelect */
+    async #populateShows(showSelect) {
+        try {
+            const shows = await ServerCommands.getSection(PlexClientState.activeSection());
+            shows.sort((a, b) => a.title.localeCompare(b.title));
+            $append(showSelect, ...shows.map(show => $option(show.title, show.metadataId)));
+            showSelect.classList.remove('hidden');
+        } catch (err) {
+            Log.warn(errorMessage(err), `Unable to retrieve shows for the marker lint filter`);
+        }
+    }
+
+    /**
+     * Scan the library/show for problems and display the results. */
+    async #scan() {
+        const results = $$('#lintResults', this.#container);
+        results.replaceChildren($span('Scanning...'));
+        try {
+            const showId = parseInt($$('#lintShow', this.#container).value);
+            this.#showResults(await ServerCommands.lintMarkers(PlexClientState.activeSection(), showId));
+        } catch (err) {
+            results.replaceChildren($span(`Unable to scan for marker problems: ${errorMessage(err)}`));
+        }
+    }
+
+    /**
+     * @param {MarkerLintResult} result */
+    #showResults(result) {
+        const results = $$('#lintResults', this.#container);
+        const summary = $div({ class : 'lintSummary' },
+            `Found ${plural(result.problems.length, 'problem')} in ${plural(result.itemsScanned, 'item')}.`);
+        results.replaceChildren(summary);
+        for (const category of Object.keys(CategoryTitles)) {
+            const problems = result.problems.filter(p => p.category === category);
+            if (problems.length !== 0) {
+                results.appendChild(this.#categoryTable(category, problems));
+            }
+        }
+    }
+
+    /**
+     * Build the table of problems for a single category.
+     * @param {string} category
+     * @param {MarkerLintProblem[]} problems */
+    #categoryTable(category, problems) {
+        const body = $tbody();
+        /** @type {(() => Promise<boolean>)[]} */
+        const fixes = [];
+        for (const problem of problems) {
+            const row = this.#problemRow(problem);
+            body.appendChild(row.row);
+            if (row.fix) {
+                fixes.push(row.fix);
+            }
+        }
+
+        const header = $divHolder({ class : 'lintCategoryHeader' }, $h(2, `${CategoryTitles[category]} (${problems.length})`));
+        if (fixes.length > 1) {
+            header.appendChild(ButtonCreator.textButton('Fix All', async (_e, button) => {
+                button.classList.add('disabled');
+                for (const fix of fixes) {
+                    await fix();
+                }
+            }));
+        }
+
+        return $divHolder({ class : 'lintCategory' },
+            header,
+            $append($table({ class : 'markerTable' }),
+                $thead(TableElements.rawTableRow(
+                    'Item',
+                    'Problem',
+                    TableElements.centeredColumn('Timings'),
+                    TableElements.centeredColumn('Fix'))),
+                body));
+    }
+
+    /**
+     * Build a single problem row, returning the row and the function that fixes the
+     * problem, if there is one.
+     * @param {MarkerLintProblem} problem
+     * @returns {{ row: HTMLTableRowElement, fix: (() => Promise<boolean>)? }} */
+    #problemRow(problem) {
+        const item = $span(problem.title, { class : 'lintItem' });
+        Tooltip.setTooltip(item, 'Go to marker');
+        item.addEventListener('click', () => {
+            Overlay.dismiss();
+            PlexUI.navigateToItem({
+                metadataId : problem.parentId,
+                seasonId : problem.seasonId,
+                showId : problem.showId,
+                searchTitle : problem.searchTitle,
+            });
+        });
+
+        const fixHolder = $div({}, '-');
+        let fix = null;
+        if (problem.fix) {
+            fixHolder.replaceChildren(ButtonCreator.textButton('Fix', () => fix(), { tooltip : problem.fix.description }));
+            fix = async () => {
+                if (fixHolder.classList.contains('fixed')) {
+                    return true;
+                }
+
+                const fixed = await this.#applyFix(problem);
+                if (fixed) {
+                    fixHolder.classList.add('fixed');
+                    fixHolder.replaceChildren($span('Fixed'));
+                }
+
+                return fixed;
+            };
+        }
+
+        const row = TableElements.rawTableRow(
+            item,
+            problem.description,
+            TableElements.centeredColumn(`${msToHms(problem.start)}-${msToHms(problem.end)}`),
+            TableElements.centeredColumn(fixHolder));
+        return { row, fix };
+    }
+
+    /**
+     * Apply the suggested fix for the given problem using the regular edit/delete commands,
+     * and update the main UI to reflect the change.
+     * @param {MarkerLintProblem} problem
+     * @returns {Promise<boolean>} Whether the fix was applied. */
+    async #applyFix(problem) {
+        const fix = problem.fix;
+        try {
+            if (fix.action === 'delete') {
+                await ServerCommands.delete(problem.markerId);
+            } else {
+                await ServerCommands.edit(problem.markerType, problem.markerId, fix.start, fix.end, fix.final);
+            }
+        } catch (err) {
+            errorToast(`Unable to fix marker for ${problem.title}: ${errorMessage(err)}`, 5000);
+            return false;
+        }
+
+        await PlexClientState.notifyExternalChange([{
+            metadataId : problem.parentId,
+            seasonId : problem.seasonId,
+            showId : problem.showId,
+            sectionId : PlexClientState.activeSection(),
+        }]);
+
+        return true;
+    }
+}
+
+export default MarkerLintOverlay;
@@ -0,0 +1,161 @@
+import { $$, $append, $br, $div, $divHolder, $h, $hr, $label, $option, $plainDivHolder, $select, $span, $table, $tbody,
+    $thead } from './HtmlHelpers.js';
+import { errorMessage, errorResponseOverlay, errorToast } from './ErrorHandling.js';
+import { MarkerConflictResolution, MarkerSyncDirection } from '/Shared/PlexTypes.js';
+import { msToHms, plural } from './Common.js';
+import ButtonCreator from './ButtonCreator.js';
+import { customCheckbox } from './CommonUI.js';
+import Overlay from './Overlay.js';
+import { PlexClientState } from './PlexClientState.js';
+import { ServerCommands } from './Commands.js';
+import TableElements from './TableElements.js';
+
+/** @typedef {!import('/Shared/PlexTypes').MarkerSyncDiff} MarkerSyncDiff */
+/** @typedef {!import('/Shared/PlexTypes').MarkerSyncItem} MarkerSyncItem */
+/** @typedef {!import('/Shared/PlexTypes').MarkerSyncResult} MarkerSyncResult */
+/** @typedef {!import('/Shared/PlexTypes').SyncMarker} SyncMarker */
+
+
+/**
+ * Overlay that compares the active library's markers with the markers of the configured sync server,
+ * and copies the selected items' markers in either direction.
+ */
+class MarkerSyncOverlay {
+    /**
+     * Show the marker sync overlay for the active library.
+     * @param {HTMLElement} focusBack The element to focus when the overlay is dismissed. */
+    static Show(focusBack) {
+        new MarkerSyncOverlay().#show(focusBack);
+    }
+
+    /** @type {HTMLElement} */
+    #container;
+
+    /** @type {HTMLElement} */
+    #focusBack;
+
+    /** @type {MarkerSyncItem[]} The items that differ between the two servers. */
+    #items = [];
+
+    /**
+     * Build the overlay and compare the active library.
+     * @param {HTMLElement} focusBack */
+    #show(focusBack) {
+        this.#focusBack = focusBack;
+        this.#container = $divHolder({ id : 'syncContainer' },
+            $h(1, 'Sync Markers'),
+            $span('Compare markers with the Plex database set as "syncDatabase" in config.json, matching items by GUID. ' +
+                'Syncing adds markers from one server to the other, and never removes markers that only exist on the destination.'),
+            $hr(),
+            $divHolder({ id : 'syncOptions' },
+                $label('Conflict Resolution Type: ', 'syncResolutionType'),
+                $append($select('syncResolutionType'),
+                    $option('Overwrite', MarkerConflictResolution.Overwrite),
+                    $option('Merge', MarkerConflictResolution.Merge),
+                    $option('Ignore', MarkerConflictResolution.Ignore)),
+                ButtonCreator.textButton('Copy to This Server', () => this.#apply(MarkerSyncDirection.Pull),
+                    { id : 'syncPull', class : 'greenOnHover', tooltip : 'Copy the selected items\' markers from the sync server' }),
+                ButtonCreator.textButton('Copy to Sync Server', () => this.#apply(MarkerSyncDirection.Push),
+                    { id : 'syncPush', class : 'greenOnHover', tooltip : 'Copy the selected items\' markers to the sync server' }),
+                ButtonCreator.textButton('Compare Again', this.#compare.bind(this))),
+            $div({ id : 'syncResults' }, 'Comparing...'));
+
+        Overlay.build({ dismissible : true, closeButton : true, focusBack : focusBack }, this.#container);
+        this.#compare();
+    }
+
+    /**
+     * Compare the active library with the sync server and display the differences. */
+    async #compare() {
+        const results = $$('#syncResults', this.#container);
+        results.replaceChildren($span('Comparing...'));
+        try {
+            this.#showResults(await ServerCommands.compareSync(PlexClientState.activeSection()));
+        } catch (err) {
+            this.#items = [];
+            results.replaceChildren($span(`Unable to compare markers: ${errorMessage(err)}`));
+        }
+    }
+
+    /**
+     * @param {MarkerSyncDiff} diff */
+    #showResults(diff) {
+        this.#items = diff.items;
+        const results = $$('#syncResults', this.#container);
+        const summary = $div({ class : 'syncSummary' },
+            `Found ${plural(diff.items.length, 'item')} with different markers out of ` +
+            `${plural(diff.itemsCompared, 'item')} on both servers.`);
+        if (diff.items.length === 0) {
+            results.replaceChildren(summary);
+            return;
+        }
+
+        const body = $tbody();
+        for (const [index, item] of diff.items.entries()) {
+            body.appendChild(TableElements.rawTableRow(
+                customCheckbox({ id : `syncItem_${index}`, checked : true }),
+                item.title,
+                this.#markerText(item.localMarkers),
+                this.#markerText(item.remoteMarkers)));
+        }
+
+        const selectAll = customCheckbox({ id : 'syncSelectAll', checked : true }, { change : this.#onSelectAll.bind(this) });
+        results.replaceChildren(
+            summary,
+            $append($table({ class : 'markerTable' }),
+                $thead(TableElements.rawTableRow(selectAll, 'Item', 'This Server', 'Sync Server')),
+                body));
+    }
+
+    /**
+     * Check or uncheck every item after the header checkbox is toggled.
+     * @param {Event} e */
+    #onSelectAll(e) {
+        for (let i = 0; i < this.#items.length; ++i) {
+            $$(`#syncItem_${i}`, this.#container).checked = e.target.checked;
+        }
+    }
+
+    /**
+     * @param {SyncMarker[]} markers */
+    #markerText(markers) {
+        return markers.map(m => `${m.markerType}: ${msToHms(m.start)}-${msToHms(m.end)}`).join(', ') || '-';
+    }
+
+    /**
+     * Copy the selected items' markers in the given direction, and display the results.
+     * @param {number} direction The MarkerSyncDirection */
+    async #apply(direction) {
+        const guids = this.#items.filter((_item, index) => $$(`#syncItem_${index}`, this.#container)?.checked).map(item => item.guid);
+        if (guids.length === 0) {
+            errorToast('No items selected.', 2500);
+            return;
+        }
+
+        /** @type {MarkerSyncResult} */
+        let result;
+        try {
+            result = await ServerCommands.applySync(
+                PlexClientState.activeSection(), direction, guids, parseInt($$('#syncResolutionType', this.#container).value));
+        } catch (err) {
+            errorResponseOverlay('Failed to sync markers', err);
+            return;
+        }
+
+        const pulled = direction === MarkerSyncDirection.Pull;
+        await Overlay.show(
+            $plainDivHolder($h(2, `Marker Sync Succeeded`), $hr(),
+                `Markers Added: ${result.added}`, $br(),
+                `Ignored Markers (identical): ${result.identical}`, $br(),
+                `Ignored Markers (merge/ignore/self-overlap): ${result.ignored}`, $br(),
+                `Existing Markers Deleted (overwritten): ${result.deleted}`, $br(),
+                `Existing Markers Modified (merged): ${result.modified}`),
+            pulled ? 'Reload' : 'OK',
+            // Like imports, it's easier to reload the page than to reconcile every changed marker.
+            pulled ? () => { window.location.reload(); } : () => MarkerSyncOverlay.Show(this.#focusBack),
+            false /*dismissible*/);
+        Overlay.setFocusBackElement(this.#focusBack);
+    }
+}
+
+export default MarkerSyncOverlay;
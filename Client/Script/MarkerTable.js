@@ -10,6 +10,7 @@ import { ClientSettings } from './ClientSettings.js';
 import { errorToast } from './ErrorHandling.js';
 import { isSmallScreen } from './WindowResizeEventHandler.js';
 import MarkerBreakdown from '/Shared/MarkerBreakdown.js';
+import MarkerTimeline from './MarkerTimeline.js';
 import TableElements from './TableElements.js';
 
 /** @typedef {!import('/Shared/PlexTypes').ChapterData} ChapterData */
@@ -40,6 +41,8 @@ const Log = ContextualLog.Create('MarkerTable');
  * data-nav-target attribute set. Some of these methods might be better suited for MarkerTableRow,
  * but the current DataAttribute.TableNav system is good enough for now at least.
  *
+ * These aren't customizable, but the common ones are listed in the keyboard shortcut overlay (see ShortcutManager).
+ *
  * Breakdown of all shortcuts, when a marker table element currently has focus:
  * @example
  * `
@@ -603,6 +606,11 @@ class MarkerTable {
      * @type {ChapterData[]} */
     #chapters = [];
 
+    /**
+     * The to-scale timeline of this table's markers, if the media item's duration is known.
+     * @type {MarkerTimeline?} */
+    #timeline = null;
+
     /**
      * The number of markers we expect in this table before actually populating it.
      * Only used by movies.
@@ -700,6 +708,10 @@ class MarkerTable {
         table.appendChild(rows);
 
         this.#visibilityControl = $div({ class : 'hidden markerTableVisibility' });
+        if (this.#parentRow.baseItem().duration) {
+            this.#timeline = new MarkerTimeline(this.#parentRow.baseItem(), this);
+            this.#visibilityControl.appendChild(this.#timeline.html());
+        }
 
         // markerTableSpacer is a 10px empty div that is used to ensure there's a consistent margin when
         // showing/hiding the marker table. When animating the table we explicitly set the height, which can
@@ -747,9 +759,26 @@ class MarkerTable {
      * Return whether this table has real data, or just a placeholder marker count. */
     hasRealData() { return this.#cachedMarkerCountKey === undefined; }
 
+    /**
+     * Reset the placeholder marker count of a table that hasn't been populated yet,
+     * e.g. after its markers were changed outside of this client.
+     * @param {MarkerData[]} markers The markers this table's media item currently has. */
+    resetCachedMarkers(markers) {
+        if (this.hasRealData()) {
+            Log.warn(`Attempting to reset the cached marker count of a populated marker table, ignoring.`);
+            return;
+        }
+
+        this.#cachedMarkerCountKey = markers.reduce((acc, marker) => acc + MarkerBreakdown.deltaFromType(1, marker.markerType), 0);
+        this.#parentRow.updateMarkerBreakdown();
+    }
+
     /** @returns {HTMLElement} The raw HTML of the marker table. */
     table() { return this.#html; }
 
+    /** @returns {ChapterData[]} The chapters (if any) associated with this table's media item. */
+    chapters() { return this.#chapters; }
+
     /** @returns {boolean} Whether the marker table is visible. */
     isVisible() { return !!this.#visibilityControl && !this.#visibilityControl.classList.contains('hidden'); }
 
@@ -914,6 +943,12 @@ class MarkerTable {
             await this.removeTemporaryMarkerRow(oldRow);
         }
 
+        if (this.#markers.some(marker => marker.id === newMarker.id)) {
+            // A live update can beat the response of our own request, in which case the marker already exists.
+            Log.verbose(`Marker ${newMarker.id} is already in the table, not adding it again.`);
+            return;
+        }
+
         const tableBody = this.#tbody();
         if (this.#markers.length === 0) {
             // This is the first marker for the episode, which means we also have
@@ -934,6 +969,7 @@ class MarkerTable {
         this.#rows.splice(newIndex, 0, newRow);
         this.#markers.splice(newIndex, 0, newMarker);
         tableBody.insertBefore(newRow.row(), tableBody.children[newIndex]);
+        this.#timeline?.refresh();
         this.#parentRow.updateMarkerBreakdown();
     }
 
@@ -967,6 +1003,7 @@ class MarkerTable {
             }
 
             this.#markers.splice(newIndex, 0, updatedItem);
+            this.#timeline?.refresh();
             this.#parentRow.updateMarkerBreakdown(); // This edit might update the purge status.
             return; // Same position, no rearranging needed.
         }
@@ -981,6 +1018,7 @@ class MarkerTable {
 
         this.#rows.splice(newIndex, 0, this.#rows.splice(oldIndex, 1)[0]);
         this.#markers.splice(newIndex, 0, updatedItem);
+        this.#timeline?.refresh();
         this.#parentRow.updateMarkerBreakdown(); // This edit might update the purge status.
     }
 
@@ -1024,6 +1062,7 @@ class MarkerTable {
         });
         this.#markers.splice(oldIndex, 1);
         this.#rows.splice(oldIndex, 1);
+        this.#timeline?.refresh();
         this.#parentRow.updateMarkerBreakdown();
     }
 
@@ -1065,11 +1104,18 @@ class MarkerTable {
      * Callback invoked when 'Add Marker' is clicked, creating a new temporary marker row.
      * @param {KeyboardEvent|MouseEvent} e */
     #onMarkerAdd(e) {
+        this.startNewMarker(e.shiftKey);
+    }
+
+    /**
+     * Create a new temporary marker row and start editing it.
+     * @param {boolean} [startInChapterMode=false] Whether to start in chapter edit mode. */
+    startNewMarker(startInChapterMode=false) {
         const addRow = new NewMarkerRow(this.#parentRow, this.#chapters);
         const tbody = this.#tbody();
         tbody.insertBefore(addRow.row(), tbody.lastChild);
         this.#rows.push(addRow);
-        addRow.editor().onEdit(e.shiftKey);
+        addRow.editor().onEdit(startInChapterMode);
     }
 
     /**
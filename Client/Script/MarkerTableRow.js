@@ -16,6 +16,7 @@ import { ServerCommands } from './Commands.js';
 import TableElements from './TableElements.js';
 import { TimestampThumbnails } from './TimestampThumbnails.js';
 import Tooltip from './Tooltip.js';
+import { UndoStack } from './UndoManager.js';
 
 
 const Log = ContextualLog.Create('MarkerTableRow');
@@ -269,6 +270,7 @@ class ExistingMarkerRow extends MarkerRow {
             const rawMarkerData = await ServerCommands.delete(this.markerId());
             ButtonCreator.setIcon(confirmBtn, Icons.Confirm, ThemeColors.Green);
             const deletedMarker = new MarkerData().setFromJson(rawMarkerData);
+            UndoStack.push('Delete marker', rawMarkerData);
             /** @type {MediaItemWithMarkerTable} */
             const mediaItem = this.baseItemRow().mediaItem();
             await flashBackground(confirmBtn, Theme.getHex(ThemeColors.Green, '6'), 200);
@@ -0,0 +1,299 @@
+import { $$, $append, $clear, $div, $img, $span } from './HtmlHelpers.js';
+import { dragEdge, percentOf, snapToChapter, timestampAt } from './TimelinePosition.js';
+import { Attributes } from './DataAttributes.js';
+import { ClientSettings } from './ClientSettings.js';
+import { errorResponseOverlay } from './ErrorHandling.js';
+import { MarkerData } from '/Shared/PlexTypes.js';
+import { msToHms } from './Common.js';
+import { ServerCommands } from './Commands.js';
+import Tooltip from './Tooltip.js';
+import { UndoStack } from './UndoManager.js';
+
+/** @typedef {!import('/Shared/PlexTypes').ChapterData} ChapterData */
+/** @typedef {!import('./ClientDataExtensions').MediaItemWithMarkerTable} MediaItemWithMarkerTable */
+/** @typedef {!import('./MarkerTable').default} MarkerTable */
+
+/**
+ * @typedef {{
+ *  marker: MarkerData,
+ *  isEnd: boolean,
+ *  segment: HTMLElement,
+ *  start: number,
+ *  end: number,
+ * }} TimelineDragState
+ */
+
+/**
+ * A horizontal representation of a single episode/movie's markers, drawn to scale against its duration.
+ * Chapter boundaries are overlaid on top of the markers, the edges of each marker can be dragged to adjust
+ * its start/end time, and hovering over the timeline shows the preview thumbnail at that position, if available.
+ */
+class MarkerTimeline {
+    /**
+     * The episode/movie this timeline represents.
+     * @type {MediaItemWithMarkerTable} */
+    #mediaItem;
+
+    /**
+     * The marker table that owns the markers this timeline draws.
+     * @type {MarkerTable} */
+    #markerTable;
+
+    /**
+     * The outer timeline container.
+     * @type {HTMLElement} */
+    #html;
+
+    /**
+     * The scaled track that holds the marker segments and chapter boundaries.
+     * @type {HTMLElement} */
+    #track;
+
+    /**
+     * The timestamp/thumbnail preview shown when hovering over the track.
+     * @type {HTMLElement} */
+    #hover;
+
+    /**
+     * The marker edge currently being dragged, if any.
+     * @type {TimelineDragState?} */
+    #drag = null;
+
+    /**
+     * @param {MediaItemWithMarkerTable} mediaItem The episode/movie to draw the timeline for.
+     * @param {MarkerTable} [markerTable] The marker table holding the item's markers. Defaults to the item's own
+     *                                    table, but can be provided directly if the item isn't associated with it yet. */
+    constructor(mediaItem, markerTable=mediaItem.markerTable()) {
+        this.#mediaItem = mediaItem;
+        this.#markerTable = markerTable;
+        this.#build();
+    }
+
+    /** @returns {HTMLElement} The timeline container. */
+    html() { return this.#html; }
+
+    /**
+     * Redraw all marker segments and chapter boundaries, e.g. after markers were added, edited, or removed.
+     * No-op while the user is dragging a marker, since the drag will redraw the timeline once it's committed. */
+    refresh() {
+        if (this.#drag) {
+            return;
+        }
+
+        $clear(this.#track);
+        const duration = this.#duration();
+        for (const marker of this.#markerTable.markers()) {
+            this.#track.appendChild(this.#buildSegment(marker, duration));
+        }
+
+        for (const chapter of this.#chapters()) {
+            // The first chapter always starts at 0, so there's no boundary to show.
+            if (chapter.start > 0 && chapter.start < duration) {
+                this.#track.appendChild($div({
+                    class : 'timelineChapter',
+                    style : `left: ${this.#percent(chapter.start)}%`,
+                    title : `${chapter.name || `Chapter ${chapter.index + 1}`} (${msToHms(chapter.start)})` }));
+            }
+        }
+
+        this.#track.appendChild(this.#hover);
+    }
+
+    /** Build the outer timeline container and the hover preview. */
+    #build() {
+        this.#hover = $div({ class : 'timelineHover hidden' });
+        if (ClientSettings.useThumbnails() && this.#mediaItem.hasThumbnails) {
+            this.#hover.appendChild($img({ class : 'timelineThumb' }, { error : e => e.target.classList.add('hidden') }));
+        }
+
+        this.#hover.appendChild($span('', { class : 'timelineHoverTime' }));
+        this.#track = $div({ class : 'timelineTrack' }, 0, {
+            mousemove : this.#onTrackHover.bind(this),
+            mouseleave : () => this.#hover.classList.add('hidden'),
+        });
+
+        this.#html = $append($div({ class : 'markerTimeline' }), this.#track);
+        this.refresh();
+    }
+
+    /**
+     * Build the segment representing the given marker, including its drag handles.
+     * @param {MarkerData} marker
+     * @param {number} duration The duration of the media item, in milliseconds. */
+    #buildSegment(marker, duration) {
+        const segment = $div({ class : 'timelineSegment', [Attributes.MarkerType] : marker.markerType });
+        this.#positionSegment(segment, marker.start, Math.min(marker.end, duration));
+        Tooltip.setTooltip(segment, `${marker.markerType}: ${msToHms(marker.start)}-${msToHms(marker.end)}`);
+        for (const isEnd of [false, true]) {
+            segment.appendChild($div({ class : `timelineHandle ${isEnd ? 'timelineHandleEnd' : 'timelineHandleStart'}` }, 0, {
+                pointerdown : e => this.#onDragStart(e, marker, isEnd, segment),
+                pointermove : this.#onDragMove.bind(this),
+                pointerup : this.#onDragEnd.bind(this),
+                pointercancel : this.#onDragCancel.bind(this),
+            }));
+        }
+
+        return segment;
+    }
+
+    /**
+     * Set the position and width of a marker segment.
+     * @param {HTMLElement} segment
+     * @param {number} start
+     * @param {number} end */
+    #positionSegment(segment, start, end) {
+        const left = this.#percent(start);
+        segment.style.left = `${left}%`;
+        segment.style.width = `${Math.max(this.#percent(end) - left, 0)}%`;
+    }
+
+    /**
+     * Show the timestamp (and thumbnail, if available) of the position under the cursor.
+     * @param {MouseEvent} e */
+    #onTrackHover(e) {
+        const timestamp = this.#drag ? (this.#drag.isEnd ? this.#drag.end : this.#drag.start) : this.#timestampAt(e.clientX);
+        this.#showHover(timestamp);
+    }
+
+    /**
+     * Move the hover preview to the given timestamp.
+     * @param {number} timestamp */
+    #showHover(timestamp) {
+        this.#hover.classList.remove('hidden');
+        this.#hover.style.left = `${this.#percent(timestamp)}%`;
+        this.#hover.lastChild.innerText = msToHms(timestamp);
+        const thumb = $$('img', this.#hover);
+        if (thumb) {
+            // Thumbnails aren't more granular than a second, so avoid requesting a new image on every pixel.
+            const url = `t/${this.#mediaItem.metadataId}/${Math.round(timestamp / 1000) * 1000}`;
+            if (!thumb.src.endsWith(url)) {
+                thumb.classList.remove('hidden');
+                thumb.src = url;
+            }
+        }
+    }
+
+    /**
+     * Start dragging the start or end of a marker.
+     * @param {PointerEvent} e
+     * @param {MarkerData} marker
+     * @param {boolean} isEnd
+     * @param {HTMLElement} segment */
+    #onDragStart(e, marker, isEnd, segment) {
+        if (e.button !== 0) {
+            return;
+        }
+
+        e.preventDefault();
+        e.stopPropagation();
+        e.target.setPointerCapture(e.pointerId);
+        Tooltip.dismiss();
+        segment.classList.add('dragging');
+        this.#drag = { marker : marker, isEnd : isEnd, segment : segment, start : marker.start, end : marker.end };
+    }
+
+    /**
+     * Update the dragged marker edge to follow the cursor, snapping to nearby chapter
+     * boundaries unless Shift is held.
+     * @param {PointerEvent} e */
+    #onDragMove(e) {
+        if (!this.#drag) {
+            return;
+        }
+
+        let timestamp = this.#timestampAt(e.clientX);
+        if (!e.shiftKey) {
+            timestamp = snapToChapter(timestamp, this.#chapters(), this.#track.getBoundingClientRect().width, this.#duration());
+        }
+
+        const drag = this.#drag;
+        Object.assign(drag, dragEdge(drag.start, drag.end, drag.isEnd, timestamp));
+
+        this.#positionSegment(drag.segment, drag.start, drag.end);
+        this.#showHover(drag.isEnd ? drag.end : drag.start);
+    }
+
+    /**
+     * Commit the new marker timings once the user lets go of a marker edge.
+     * @param {PointerEvent} e */
+    #onDragEnd(e) {
+        const drag = this.#endDrag(e);
+        if (!drag || (drag.start === drag.marker.start && drag.end === drag.marker.end)) {
+            this.refresh();
+            return;
+        }
+
+        this.#commit(drag.marker, drag.start, drag.end);
+    }
+
+    /**
+     * Abandon the current drag, restoring the marker's original position.
+     * @param {PointerEvent} e */
+    #onDragCancel(e) {
+        this.#endDrag(e);
+        this.refresh();
+    }
+
+    /**
+     * Clear out the current drag state, returning it.
+     * @param {PointerEvent} e
+     * @returns {TimelineDragState?} */
+    #endDrag(e) {
+        const drag = this.#drag;
+        this.#drag = null;
+        if (drag) {
+            e.target.releasePointerCapture(e.pointerId);
+            drag.segment.classList.remove('dragging');
+            this.#hover.classList.add('hidden');
+        }
+
+        return drag;
+    }
+
+    /**
+     * Save the new start/end time of a dragged marker.
+     * @param {MarkerData} marker
+     * @param {number} start
+     * @param {number} end */
+    async #commit(marker, start, end) {
+        if (!this.#markerTable.checkValues(marker.id, start, end)) {
+            this.refresh();
+            return;
+        }
+
+        try {
+            const rawMarkerData = await ServerCommands.edit(marker.markerType, marker.id, start, end, +marker.isFinal);
+            this.#markerTable.editMarker(new MarkerData().setFromJson(rawMarkerData), true /*forceReset*/);
+            UndoStack.push('Edit marker', rawMarkerData);
+        } catch (err) {
+            errorResponseOverlay('Sorry, something went wrong trying to adjust the marker. Please try again later.', err);
+        }
+
+        // The marker table will have refreshed us if the edit succeeded, but if we're not the table's
+        // timeline (e.g. the season view), or the edit failed, we still need to redraw ourselves.
+        this.refresh();
+    }
+
+    /**
+     * Convert the given horizontal client position to a timestamp, clamped to the media item's bounds.
+     * @param {number} clientX */
+    #timestampAt(clientX) {
+        const bounds = this.#track.getBoundingClientRect();
+        return timestampAt(clientX, bounds.left, bounds.width, this.#duration());
+    }
+
+    /**
+     * Convert the given timestamp to a percentage of the media item's duration.
+     * @param {number} timestamp */
+    #percent(timestamp) {
+        return percentOf(timestamp, this.#duration());
+    }
+
+    /** @returns {number} The duration of the media item, in milliseconds. Guards against divide-by-zero for bad data. */
+    #duration() { return this.#mediaItem.duration || 1; }
+
+    /** @returns {ChapterData[]} */
+    #chapters() { return this.#markerTable.chapters() ?? []; }
+}
+
+export default MarkerTimeline;
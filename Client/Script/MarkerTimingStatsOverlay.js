@@ -0,0 +1,186 @@
+import { $$, $append, $div, $divHolder, $h, $label, $option, $select, $span, $table, $tbody, $thead } from './HtmlHelpers.js';
+import { BarChartOptions, getBarChart } from './Chart.js';
+import { ContextualLog } from '/Shared/ConsoleLog.js';
+import { errorMessage } from './ErrorHandling.js';
+import { msToHms } from './Common.js';
+import Overlay from './Overlay.js';
+import { PlexClientState } from './PlexClientState.js';
+import { PlexUI } from './PlexUI.js';
+import { SectionType } from '/Shared/PlexTypes.js';
+import { ServerCommands } from './Commands.js';
+import TableElements from './TableElements.js';
+
+/** @typedef {!import('./Chart').ChartDataPoint} ChartDataPoint */
+/** @typedef {!import('/Shared/PlexTypes').MarkerTimingHistogram} MarkerTimingHistogram */
+/** @typedef {!import('/Shared/PlexTypes').MarkerTimingOutlier} MarkerTimingOutlier */
+/** @typedef {!import('/Shared/PlexTypes').MarkerTimingStats} MarkerTimingStats */
+/** @typedef {!import('/Shared/PlexTypes').MarkerTimingTypeStats} MarkerTimingTypeStats */
+
+
+const Log = ContextualLog.Create('TimingStats');
+
+/**
+ * Overlay that charts where intros/credits start and how long they are for the active library
+ * (or a single show), and lists markers that look out of place so they can be fixed.
+ */
+class MarkerTimingStatsOverlay {
+    /**
+     * Show the timing statistics for the active library.
+     * @param {HTMLElement} focusBack The element to focus when the overlay is dismissed. */
+    static Show(focusBack) {
+        new MarkerTimingStatsOverlay().#show(focusBack);
+    }
+
+    /** @type {HTMLElement} */
+    #container;
+    /** @type {MarkerTimingStats} */
+    #stats;
+
+    /**
+     * Build the overlay and load statistics for the entire library.
+     * @param {HTMLElement} focusBack */
+    #show(focusBack) {
+        const typeSelect = $append($select('timingStatsType', this.#draw.bind(this), { class : 'fancySelect' }),
+            $option('Intros', 'intro'),
+            $option('Credits', 'credits'));
+        const showSelect = $append($select('timingStatsShow', this.#load.bind(this), { class : 'fancySelect hidden' }),
+            $option('All shows', -1));
+
+        this.#container = $divHolder({ id : 'timingStatsContainer' },
+            $h(1, 'Marker Timing Stats'),
+            $divHolder({ id : 'timingStatsFilters' },
+                $label('Marker type', 'timingStatsType'),
+                typeSelect,
+                showSelect),
+            $div({ id : 'timingStatsResults' }, 'Loading...'));
+
+        Overlay.build({ dismissible : true, closeButton : true, focusBack : focusBack }, this.#container);
+        if (PlexClientState.activeSectionType() === SectionType.TV) {
+            this.#populateShows(showSelect);
+        }
+
+        this.#load();
+    }
+
+    /**
+     * Fill in the show filter for TV libraries.
+     * @param {HTMLSelectElement} showSelect */
+    async #populateShows(showSelect) {
+        try {
+            const shows = await ServerCommands.getSection(PlexClientState.activeSection());
+            shows.sort((a, b) => a.title.localeCompare(b.title));
+            $append(showSelect, ...shows.map(show => $option(show.title, show.metadataId)));
+            showSelect.classList.remove('hidden');
+        } catch (err) {
+            // Library-wide stats are still useful without the show filter.
+            Log.warn(errorMessage(err), `Unable to retrieve shows for the timing stats filter`);
+        }
+    }
+
+    /**
+     * Retrieve statistics for the current library/show filter. */
+    async #load() {
+        const results = $$('#timingStatsResults', this.#container);
+        results.replaceChildren($span('Loading...'));
+        try {
+            const showId = parseInt($$('#timingStatsShow', this.#container).value);
+            this.#stats = await ServerCommands.getTimingStats(PlexClientState.activeSection(), showId);
+            this.#draw();
+        } catch (err) {
+            results.replaceChildren($span(`Unable to retrieve marker timing stats: ${errorMessage(err)}`));
+        }
+    }
+
+    /**
+     * Draw the charts and outlier list for the selected marker type. */
+    #draw() {
+        if (!this.#stats) {
+            return; // Still loading.
+        }
+
+        const markerType = $$('#timingStatsType', this.#container).value;
+        /** @type {MarkerTimingTypeStats} */
+        const typeStats = this.#stats[markerType];
+        const results = $$('#timingStatsResults', this.#container);
+        if (typeStats.count === 0) {
+            results.replaceChildren($span(`No ${markerType} markers found.`));
+            return;
+        }
+
+        const width = Math.min(600, window.innerWidth - 80);
+        results.replaceChildren(
+            $div({ class : 'timingStatsSummary' },
+                `${typeStats.count} markers. Median start: ${msToHms(typeStats.medianStart)}, ` +
+                `median length: ${msToHms(typeStats.medianDuration)}`),
+            $divHolder({ class : 'timingStatsCharts' },
+                this.#chart(typeStats.start, 'Start Time', width),
+                this.#chart(typeStats.duration, 'Length', width)),
+            this.#outlierTable(this.#stats.outliers.filter(o => o.markerType === markerType)));
+    }
+
+    /**
+     * Build a bar chart for the given histogram, labeling each bar with its time range.
+     * @param {MarkerTimingHistogram} histogram
+     * @param {string} title
+     * @param {number} width */
+    #chart(histogram, title, width) {
+        /** @type {ChartDataPoint[]} */
+        const points = histogram.buckets.map((count, i) => ({
+            value : count,
+            label : `${msToHms(i * histogram.bucketSize)}-${msToHms((i + 1) * histogram.bucketSize)}`,
+        }));
+
+        const options = new BarChartOptions(points, width, 200);
+        options.noSort = true;
+        options.title = title;
+        return getBarChart(options);
+    }
+
+    /**
+     * Build the list of suspicious markers. Clicking on one navigates to its marker table.
+     * @param {MarkerTimingOutlier[]} outliers */
+    #outlierTable(outliers) {
+        const holder = $divHolder({ id : 'timingStatsOutliers' }, $h(2, 'Outliers'));
+        if (outliers.length === 0) {
+            holder.appendChild($span('No outliers found.'));
+            return holder;
+        }
+
+        const table = $table({ class : 'markerTable' });
+        table.appendChild($thead(TableElements.rawTableRow(
+            'Item',
+            'Reason',
+            TableElements.centeredColumn('Timings'))));
+
+        const body = $tbody();
+        for (const outlier of outliers) {
+            const row = TableElements.rawTableRow(
+                outlier.title,
+                outlier.reason,
+                TableElements.centeredColumn(`${msToHms(outlier.start)}-${msToHms(outlier.end)}`));
+            row.classList.add('timingStatsOutlier');
+            row.title = 'Go to marker';
+            row.addEventListener('click', () => this.#goTo(outlier));
+            body.appendChild(row);
+        }
+
+        table.appendChild(body);
+        holder.appendChild(table);
+        return holder;
+    }
+
+    /**
+     * Dismiss the overlay and show the marker table of the given outlier.
+     * @param {MarkerTimingOutlier} outlier */
+    #goTo(outlier) {
+        Overlay.dismiss();
+        PlexUI.navigateToItem({
+            metadataId : outlier.parentId,
+            seasonId : outlier.seasonId,
+            showId : outlier.showId,
+            searchTitle : outlier.searchTitle,
+        });
+    }
+}
+
+export default MarkerTimingStatsOverlay;
@@ -2,22 +2,26 @@ import { ContextualLog } from '/Shared/ConsoleLog.js';
 
 import { errorMessage, errorResponseOverlay } from './ErrorHandling.js';
 import { FilterSettings, SortConditions, SortOrder } from './FilterDialog.js';
+import { MarkerData, SectionType, ShowData } from '/Shared/PlexTypes.js';
 import { PurgedMovieSection, PurgedTVSection } from './PurgedMarkerCache.js';
-import { SectionType, ShowData } from '/Shared/PlexTypes.js';
 import { addWindowResizedListener } from './WindowResizeEventHandler.js';
 import { BulkActionType } from './BulkActionCommon.js';
 import { ClientMovieData } from './ClientDataExtensions.js';
 import { ClientSettings } from './ClientSettings.js';
+import { CustomEvents } from './CustomEvents.js';
 import { ServerCommands } from './Commands.js';
 
+/** @typedef {!import('/Shared/PlexTypes').ChangedBaseItem} ChangedBaseItem */
 /** @typedef {!import('/Shared/PlexTypes').MarkerDataMap} MarkerDataMap */
 /** @typedef {!import('/Shared/PlexTypes').MovieMap} MovieMap */
+/** @typedef {!import('/Shared/PlexTypes').PlexData} PlexData */
 /** @typedef {!import('/Shared/PlexTypes').PurgeSection} PurgeSection */
 /** @typedef {!import('/Shared/PlexTypes').SeasonData} SeasonData */
 /** @typedef {!import('/Shared/PlexTypes').ShowMap} ShowMap */
 /** @typedef {!import('/Shared/PlexTypes').TopLevelData} TopLevelData */
 /** @typedef {!import('./BulkActionCommon').BulkActionCommon} BulkMarkerResult */
 /** @typedef {!import('./ClientDataExtensions').ClientEpisodeData} ClientEpisodeData */
+/** @typedef {!import('./MarkerTable').default} MarkerTable */
 /** @typedef {!import('./PurgedMarkerCache').PurgedSection} PurgedSection */
 /** @typedef {!import('./ResultRow/MovieResultRow').MovieResultRow} MovieResultRow */
 /** @typedef {!import('./ResultRow/SeasonResultRow').SeasonResultRow} SeasonResultRow */
@@ -61,6 +65,12 @@ class PlexClientStateManager {
     #activeSeason;
     /** Whether we're currently bulk adding/deleting/restoring markers. */
     #inBulkOperation = false;
+    /** Whether result rows can be selected for multi-item bulk actions. */
+    #bulkSelectMode = false;
+    /**
+     * The shows/seasons/movies selected for a multi-item bulk action, keyed by metadata id.
+     * @type {Map<number, PlexData>} */
+    #bulkSelection = new Map();
 
     /** Create the singleton PlexClientState instance. */
     static CreateInstance() {
@@ -102,6 +112,7 @@ class PlexClientStateManager {
         section = +section;
         this.#activeSection = isNaN(section) ? -1 : section;
         this.#activeSectionType = sectionType;
+        this.setBulkSelectMode(false);
         if (this.#activeSection !== -1) {
             await this.populateTopLevel();
         }
@@ -112,11 +123,53 @@ class PlexClientStateManager {
     /** @returns The current section type. */
     activeSectionType() { return this.#activeSectionType; }
 
+    /** @returns Whether result rows can currently be selected for multi-item bulk actions. */
+    bulkSelectMode() { return this.#bulkSelectMode; }
+
+    /**
+     * Enter or leave bulk select mode. Leaving it clears the current selection.
+     * @param {boolean} enabled */
+    setBulkSelectMode(enabled) {
+        if (enabled === this.#bulkSelectMode) {
+            return;
+        }
+
+        this.#bulkSelectMode = enabled;
+        if (!enabled) {
+            this.#bulkSelection.clear();
+        }
+
+        window.dispatchEvent(new Event(CustomEvents.BulkSelectionChanged));
+    }
+
+    /**
+     * @param {number} metadataId
+     * @returns Whether the given show/season/movie is selected for a multi-item bulk action. */
+    isBulkSelected(metadataId) { return this.#bulkSelection.has(metadataId); }
+
+    /**
+     * Add or remove the given show/season/movie from the multi-item bulk action selection.
+     * @param {PlexData} mediaItem
+     * @param {boolean} selected */
+    setBulkSelected(mediaItem, selected) {
+        selected ? this.#bulkSelection.set(mediaItem.metadataId, mediaItem) : this.#bulkSelection.delete(mediaItem.metadataId);
+        window.dispatchEvent(new Event(CustomEvents.BulkSelectionChanged));
+    }
+
+    /** @returns {PlexData[]} The shows/seasons/movies selected for a multi-item bulk action. */
+    bulkSelection() { return [...this.#bulkSelection.values()]; }
+
     /** @returns The list of shows that match the current search. */
     getUnfilteredSearchResults() {
         return this.#activeSearchUnfiltered;
     }
 
+    /**
+     * @returns {ShowData[]|ClientMovieData[]} All shows/movies in the active section, regardless of the current search. */
+    getSectionItems() {
+        return Object.values(this.#sections[this.#activeSection]?.items ?? {});
+    }
+
     /**
      * Retrieve all result rows in the search result list. */
     getActiveSearchRows() {
@@ -633,6 +686,170 @@ class PlexClientStateManager {
         return this.#updateBulkActionSearchRow(markers, bulkActionType);
     }
 
+    /**
+     * Ensure all the right UI bits are updated after undoing or redoing a marker operation.
+     * @param {MarkerDataMap} newMarkers Markers that were re-created, keyed by their parent id.
+     * @param {MarkerDataMap} deletedMarkers Markers that were deleted, keyed by their parent id.
+     * @param {MarkerDataMap} modifiedMarkers Markers whose timings/types were reverted, keyed by their parent id. */
+    async notifyUndoChange(newMarkers, deletedMarkers, modifiedMarkers) {
+        if (this.#activeSectionType === SectionType.Movie) {
+            const changedIds = new Set(Object.keys(newMarkers).concat(Object.keys(deletedMarkers), Object.keys(modifiedMarkers)));
+            /** @type {MovieResultRow} */
+            let searchRow;
+            for (searchRow of this.#activeSearchFiltered) {
+                const metadataId = searchRow.mediaItem().metadataId;
+                if (changedIds.delete(String(metadataId))) {
+                    searchRow.notifyPurgeChange(newMarkers[metadataId], deletedMarkers[metadataId], modifiedMarkers[metadataId]);
+                }
+            }
+
+            // Anything left over isn't visible, but its breakdown may still affect the current filter.
+            const items = this.#sections[this.#activeSection].items;
+            await Promise.all([...changedIds].map(id => items[id] && this.#updateInactiveBreakdownCore(items[id])));
+            return;
+        }
+
+        // Bulk action notifications expect markers to be grouped by show and then season,
+        // and for each notification to only apply to a single show.
+        const toBulkMap = markerMap => {
+            /** @type {{ [showId: number]: BulkMarkerResult }} */
+            const shows = {};
+            for (const marker of Object.values(markerMap).flat()) {
+                const show = shows[marker.showId] ??= { [marker.showId] : {} };
+                (show[marker.showId][marker.seasonId] ??= []).push(marker);
+            }
+
+            return Object.values(shows);
+        };
+
+        this.setInBulkOperation(true);
+        try {
+            for (const show of toBulkMap(deletedMarkers)) {
+                await this.notifyBulkActionChange(show, BulkActionType.Delete);
+            }
+
+            for (const show of toBulkMap(newMarkers)) {
+                await this.notifyBulkActionChange(show, BulkActionType.Add);
+            }
+
+            for (const show of toBulkMap(modifiedMarkers)) {
+                await this.notifyBulkActionChange(show, BulkActionType.Shift);
+            }
+        } finally {
+            this.setInBulkOperation(false);
+        }
+    }
+
+    /**
+     * Ensure all the right UI bits are updated after markers were changed outside of this client,
+     * either by Plex itself or by another Marker Editor session.
+     * @param {ChangedBaseItem[]} items The episodes/movies whose markers changed. */
+    async notifyExternalChange(items) {
+        items = items.filter(item => item.sectionId === this.#activeSection);
+        if (items.length === 0) {
+            return;
+        }
+
+        /** @type {{ [metadataId: number]: MarkerTable }} */
+        const tables = {};
+        const isMovie = this.#activeSectionType === SectionType.Movie;
+        const activeSeasonId = this.#activeSeason?.season().metadataId;
+        for (const item of items) {
+            const table = isMovie ?
+                this.#sections[this.#activeSection].items[item.metadataId]?.markerTable() :
+                item.seasonId === activeSeasonId ? this.getEpisode(item.metadataId)?.markerTable() : null;
+            if (table) {
+                tables[item.metadataId] = table;
+            }
+        }
+
+        const { newMarkers, deletedMarkers, modifiedMarkers } = await this.#reconcileMarkerTables(tables);
+        const sectionItems = this.#sections[this.#activeSection].items;
+        if (isMovie) {
+            // Movie tables can be updated directly, whether or not they're currently visible.
+            for (const [metadataId, table] of Object.entries(tables)) {
+                (newMarkers[metadataId] || []).forEach(marker => table.addMarker(marker, null /*oldRow*/));
+                (deletedMarkers[metadataId] || []).forEach(marker => table.deleteMarker(marker));
+                (modifiedMarkers[metadataId] || []).forEach(marker => table.editMarker(marker, true /*forceReset*/));
+            }
+
+            await Promise.all(items.filter(item => !tables[item.metadataId] && sectionItems[item.metadataId]).map(
+                item => this.#updateInactiveBreakdownCore(sectionItems[item.metadataId])));
+            return;
+        }
+
+        await this.notifyUndoChange(newMarkers, deletedMarkers, modifiedMarkers);
+
+        // Episodes outside of the active season don't have marker tables, but their
+        // show/season breakdowns (and purge displays) still need to be updated.
+        /** @type {{ [showId: number]: { [seasonId: number]: boolean } }} */
+        const otherShows = {};
+        for (const item of items.filter(i => !tables[i.metadataId])) {
+            (otherShows[item.showId] ??= {})[item.seasonId] = true;
+        }
+
+        const activeShowId = this.#activeShow?.show().metadataId;
+        const promises = [];
+        if (otherShows[activeShowId]) {
+            promises.push(this.#activeShow.notifyBulkAction(otherShows[activeShowId]));
+            delete otherShows[activeShowId];
+        }
+
+        for (const searchRow of this.#activeSearchFiltered) {
+            const showId = searchRow.show().metadataId;
+            if (otherShows[showId]) {
+                promises.push(this.updateNonActiveBreakdown(searchRow, []));
+                delete otherShows[showId];
+            }
+        }
+
+        // Anything left over isn't visible, but its breakdown may still affect the current filter.
+        promises.push(...Object.keys(otherShows).filter(id => sectionItems[id]).map(
+            id => this.#updateInactiveBreakdownCore(sectionItems[id])));
+        await Promise.all(promises);
+    }
+
+    /**
+     * Compare the given marker tables against the server's current markers. Tables that haven't been
+     * populated yet have their marker counts reset, and the differences for the rest are returned.
+     * Reconciling instead of applying changes directly is necessary, as tables may already reflect
+     * the changes if they were made by this client.
+     * @param {{ [metadataId: number]: MarkerTable }} tables
+     * @returns {Promise<{ newMarkers: MarkerDataMap, deletedMarkers: MarkerDataMap, modifiedMarkers: MarkerDataMap }>} */
+    async #reconcileMarkerTables(tables) {
+        const result = { newMarkers : {}, deletedMarkers : {}, modifiedMarkers : {} };
+        if (Object.keys(tables).length === 0) {
+            return result;
+        }
+
+        let serverMarkers;
+        try {
+            serverMarkers = await ServerCommands.query(Object.keys(tables));
+        } catch (err) {
+            Log.warn(errorMessage(err), `Unable to retrieve externally changed markers, marker tables may be out of date`);
+            return result;
+        }
+
+        for (const [metadataId, serialized] of Object.entries(serverMarkers)) {
+            const table = tables[metadataId];
+            const markers = serialized.map(marker => new MarkerData().setFromJson(marker));
+            if (!table.hasRealData()) {
+                table.resetCachedMarkers(markers);
+                continue;
+            }
+
+            const diff = diffMarkers(table.markers(), markers);
+            for (const [map, changed] of [
+                [result.newMarkers, diff.added], [result.deletedMarkers, diff.deleted], [result.modifiedMarkers, diff.modified]]) {
+                if (changed.length !== 0) {
+                    map[metadataId] = changed;
+                }
+            }
+        }
+
+        return result;
+    }
+
     /**
      * Updates marker breakdown after a bulk action for the search row result, if present.
      * @param {BulkMarkerResult} markers
@@ -768,4 +985,32 @@ class PlexClientStateManager {
     }
 }
 
+/**
+ * Determine how the markers of a marker table differ from the markers the server currently has.
+ * @param {MarkerData[]} current The markers in the marker table.
+ * @param {MarkerData[]} latest The markers the server has for the same item.
+ * @returns {{ added: MarkerData[], deleted: MarkerData[], modified: MarkerData[] }} */
+function diffMarkers(current, latest) {
+    const remaining = new Map(current.map(marker => [marker.id, marker]));
+    const added = [];
+    const modified = [];
+    for (const marker of latest) {
+        const existing = remaining.get(marker.id);
+        if (!existing) {
+            added.push(marker);
+            continue;
+        }
+
+        remaining.delete(marker.id);
+        if (existing.start !== marker.start
+            || existing.end !== marker.end
+            || existing.markerType !== marker.markerType
+            || existing.isFinal !== marker.isFinal) {
+            modified.push(marker);
+        }
+    }
+
+    return { added : added, deleted : [...remaining.values()], modified : modified };
+}
+
 export { PlexClientStateManager, Instance as PlexClientState };
@@ -1,34 +1,40 @@
-import { $, $$, $br, $clear, $div, $option, $textSpan } from './HtmlHelpers.js';
+import { $, $$, $br, $clear, $div, $option, $textSpan, toggleClass } from './HtmlHelpers.js';
 import { clickOnEnterCallback } from './Common.js';
 import { ContextualLog } from '/Shared/ConsoleLog.js';
 
 import { FilterSettings, SortConditions, SortOrder } from './FilterDialog.js';
 import { MovieResultRow, ResultRow, SectionOptionsResultRow, ShowResultRow } from 'ResultRow';
+import { Shortcut, Shortcuts } from './ShortcutManager.js';
 import { UISection, UISections } from './ResultSections.js';
 import { Attributes } from './DataAttributes.js';
 import { ClientSettings } from './ClientSettings.js';
+import CommandPalette from './CommandPalette.js';
 import { CustomEvents } from './CustomEvents.js';
+import { errorToast } from './ErrorHandling.js';
 import Overlay from './Overlay.js';
 import { PlexClientState } from './PlexClientState.js';
 import { PurgedMarkers } from './PurgedMarkerManager.js';
 import { SectionType } from '/Shared/PlexTypes.js';
+import ShortcutsOverlay from './ShortcutsOverlay.js';
+import { UndoStack } from './UndoManager.js';
 
 /** @typedef {!import('/Shared/PlexTypes').LibrarySection} LibrarySection */
 /** @typedef {!import('/Shared/PlexTypes').ShowData} ShowData */
 /** @typedef {!import('./ClientDataExtensions').ClientMovieData} ClientMovieData */
+/** @typedef {!import('./SavedSearchManager').SavedSearch} SavedSearch */
 
+/**
+ * A movie, show, season, or episode to navigate to in the main UI.
+ * @typedef {Object} NavigationTarget
+ * @property {number} metadataId The movie/episode to show the marker table for. If it's the same as
+ *                               showId or seasonId, navigation stops at that show/season instead.
+ * @property {number} seasonId The season of the episode, or -1 for movies.
+ * @property {number} showId The show of the episode, or -1 for movies.
+ * @property {string} searchTitle The title of the show/movie to search for.
+ */
 
-const BaseLog = ContextualLog.Create('PlexUI');
 
-/**
- * OR-able modifier states
- * @enum */
-const Modifiers = {
-    /**@readonly*/ None  : 0,
-    /**@readonly*/ Ctrl  : 1,
-    /**@readonly*/ Alt   : 2,
-    /**@readonly*/ Shift : 4,
-};
+const BaseLog = ContextualLog.Create('PlexUI');
 
 /**
  * The singleton UI instance
@@ -88,6 +94,9 @@ class PlexUIManager {
         window.addEventListener(CustomEvents.ClientSettingsApplied, PlexUIManager.OnSettingsApplied);
         window.addEventListener(CustomEvents.MarkerFilterApplied, PlexUIManager.OnFilterApplied);
         window.addEventListener(CustomEvents.PurgedMarkersChanged, PlexUIManager.OnPurgedMarkersFound);
+        window.addEventListener(CustomEvents.UndoStackChanged, PlexUIManager.OnUndoStackChanged);
+        window.addEventListener(CustomEvents.SavedSearchesChanged, PlexUIManager.OnSavedSearchesChanged);
+        window.addEventListener(CustomEvents.BulkSelectionChanged, PlexUIManager.OnBulkSelectionChanged);
     }
 
     /**
@@ -110,6 +119,24 @@ class PlexUIManager {
         Instance?.onPurgedMarkersFound();
     }
 
+    /**
+     * Callback invoked when a marker operation is recorded, undone, or redone. */
+    static OnUndoStackChanged() {
+        Instance?.onUndoStackChanged();
+    }
+
+    /**
+     * Callback invoked when a saved search is added, updated, or removed. */
+    static OnSavedSearchesChanged() {
+        Instance?.onSavedSearchesChanged();
+    }
+
+    /**
+     * Callback invoked when bulk select mode is toggled, or the bulk selection changes. */
+    static OnBulkSelectionChanged() {
+        Instance?.onBulkSelectionChanged();
+    }
+
     /** Constructs a new PlexUI and begins listening for change events. */
     constructor() {
         if (Instance) {
@@ -118,7 +145,7 @@ class PlexUIManager {
 
         this.#dropdown.addEventListener('change', this.#libraryChanged.bind(this));
         this.#searchBox.addEventListener('keyup', this.#onSearchInput.bind(this));
-        window.addEventListener('keyup', this.#globalShortcutHandler.bind(this));
+        window.addEventListener('keydown', this.#globalShortcutHandler.bind(this));
     }
 
     /**
@@ -136,29 +163,44 @@ class PlexUIManager {
         return element.offsetParent === null;
     }
 
-    /**
-     * @param {KeyboardEvent} e */
-    #modifiers(e) {
-        return (e.altKey << 2 | e.shiftKey << 1 | e.ctrlKey);
-    }
-
     /**
      * Sets up some global shortcuts to help with navigation.
      * @param {KeyboardEvent} e */
     #globalShortcutHandler(e) {
+        if (e.repeat) {
+            return;
+        }
+
+        // The command palette can be opened from anywhere, including text inputs.
+        if (Shortcuts.matches(Shortcut.CommandPalette, e)) {
+            if (!Overlay.showing()) {
+                e.preventDefault();
+                CommandPalette.Show(document.activeElement);
+            }
+
+            return;
+        }
+
         if (this.#inInput(e)) {
             return;
         }
 
-        const modifiers = this.#modifiers(e);
-        switch (e.key) {
-            case '/':
-                if (modifiers === Modifiers.None && !this.#isHidden(this.#searchBox)) {
-                    this.#searchBox.focus();
-                }
-                break;
-            default:
-                break;
+        let handled = true;
+        if (Shortcuts.matches(Shortcut.FocusSearch, e) && !this.#isHidden(this.#searchBox)) {
+            this.#searchBox.focus();
+        } else if (Shortcuts.matches(Shortcut.ShortcutHelp, e) && !Overlay.showing()) {
+            ShortcutsOverlay.Show(document.activeElement);
+        } else if (Shortcuts.matches(Shortcut.Undo, e) && !Overlay.showing()) {
+            UndoStack.undo();
+        } else if (Shortcuts.matches(Shortcut.Redo, e) && !Overlay.showing()) {
+            UndoStack.redo();
+        } else {
+            handled = false;
+        }
+
+        // Don't let the browser act on shortcuts we handled, e.g. Firefox's quick find for '/'.
+        if (handled) {
+            e.preventDefault();
         }
     }
 
@@ -251,6 +293,7 @@ class PlexUIManager {
             PurgedMarkers.findPurgedMarkers(true /*dryRun*/);
         }
 
+        await FilterSettings.refreshServerMatches(section);
         if (this.#searchBox.value.length > 0 || FilterSettings.hasFilter()) {
             this.#search(); // Restart any existing search in the new library
         } else {
@@ -348,7 +391,7 @@ class PlexUIManager {
 
     #searchMovies() {
         const movieList = UISections.getSection(UISection.MoviesOrShows);
-        this.#sectionOptions = new SectionOptionsResultRow();
+        this.#sectionOptions = new SectionOptionsResultRow(this.#lastSearch);
         movieList.appendChild(this.#sectionOptions.buildRow());
 
         /** @type {ClientMovieData[]} */
@@ -365,7 +408,7 @@ class PlexUIManager {
         let nextFilterIndex = 0;
         for (const movie of searchResults) {
             ++nextFilterIndex;
-            if (!FilterSettings.shouldFilter(movie.markerBreakdown())) {
+            if (!FilterSettings.shouldFilter(movie.markerBreakdown(), movie.metadataId)) {
                 ++nonFiltered;
                 const newRow = new MovieResultRow(movie);
                 filteredResults.push(newRow);
@@ -387,7 +430,7 @@ class PlexUIManager {
                 const focusIndex = movieList.children.length - 1;
                 movieList.removeChild(movieList.children[focusIndex]);
                 for (const movie of searchResults.slice(nextFilterIndex)) {
-                    if (!FilterSettings.shouldFilter(movie.markerBreakdown())) {
+                    if (!FilterSettings.shouldFilter(movie.markerBreakdown(), movie.metadataId)) {
                         const newRow = new MovieResultRow(movie);
                         filteredResults.push(newRow);
                         movieList.appendChild(newRow.buildRow());
@@ -419,7 +462,7 @@ class PlexUIManager {
         }
 
         const showList = UISections.getSection(UISection.MoviesOrShows);
-        this.#sectionOptions = new SectionOptionsResultRow();
+        this.#sectionOptions = new SectionOptionsResultRow(this.#lastSearch);
         showList.appendChild(this.#sectionOptions.buildRow());
 
         /** @type {ShowData[]} */
@@ -432,7 +475,7 @@ class PlexUIManager {
         /** @type {ShowResultRow[]} */
         const filteredResults = [];
         for (const show of searchResults) {
-            if (!FilterSettings.shouldFilter(show.markerBreakdown())) {
+            if (!FilterSettings.shouldFilter(show.markerBreakdown(), show.metadataId)) {
                 const newRow = new ShowResultRow(show);
                 filteredResults.push(newRow);
                 showList.appendChild(newRow.buildRow());
@@ -446,6 +489,53 @@ class PlexUIManager {
         PlexClientState.setActiveSearchRows(filteredResults);
     }
 
+    /**
+     * Search for the given movie/episode in the active library and expand its marker table,
+     * drilling down through the show and season as necessary. Shows and seasons are expanded
+     * to list their seasons/episodes.
+     * @param {NavigationTarget} target */
+    async navigateToItem(target) {
+        this.#searchBox.value = target.searchTitle;
+        this.#lastSearch = null;
+        this.#search();
+
+        const topLevelId = target.showId === -1 ? target.metadataId : target.showId;
+        /** @type {MovieResultRow|ShowResultRow} */
+        const topLevelRow = PlexClientState.getActiveSearchRows().find(row => row.mediaItem().metadataId === topLevelId);
+        if (!topLevelRow) {
+            errorToast(`Could not find "${target.searchTitle}". It may be hidden by the current filter.`, 5000);
+            return;
+        }
+
+        let baseItemRow = topLevelRow;
+        if (topLevelRow instanceof ShowResultRow) {
+            await topLevelRow.expand();
+            if (target.metadataId === target.showId) {
+                return;
+            }
+
+            const seasonRow = topLevelRow.seasonRow(target.seasonId);
+            if (!seasonRow) {
+                errorToast(`Could not find the season for that episode.`, 5000);
+                return;
+            }
+
+            await seasonRow.expand();
+            if (target.metadataId === target.seasonId) {
+                return;
+            }
+
+            baseItemRow = seasonRow.episodeRow(target.metadataId);
+            if (!baseItemRow?.html()?.isConnected) {
+                errorToast(`Could not find that episode. It may be hidden by the current filter.`, 5000);
+                return;
+            }
+        }
+
+        await baseItemRow.showHideMarkerTable(false /*hide*/);
+        baseItemRow.scrollTableIntoView();
+    }
+
     noResultsBecauseNoSearchRow() {
         return $div(
             { class : 'topLevelResult noSearchRow tabbableRow', tabindex : 0 },
@@ -467,7 +557,10 @@ class PlexUIManager {
 
     /**
      * Callback invoked when a new filter is applied. */
-    onFilterApplied() {
+    async onFilterApplied() {
+        // Timing conditions are evaluated by the server, so grab the latest matches before reapplying the filter.
+        await FilterSettings.refreshServerMatches(PlexClientState.activeSection());
+
         // Don't start a search if we don't have any existing items, unless
         // we're in the "start" page.
         const showingStartScreen = $$('.noSearchRow', UISections.getSection(UISection.MoviesOrShows));
@@ -485,11 +578,50 @@ class PlexUIManager {
         PlexClientState.onFilterApplied();
     }
 
+    /**
+     * Restore the query and sort/filter settings of the given saved search, and show its results.
+     * @param {SavedSearch} search */
+    async runSavedSearch(search) {
+        clearTimeout(this.#searchTimer);
+        this.#searchBox.value = search.query;
+        FilterSettings.restore(search.filter);
+        this.#lastSort.by = FilterSettings.sortBy;
+        this.#lastSort.order = FilterSettings.sortOrder;
+        await FilterSettings.refreshServerMatches(PlexClientState.activeSection());
+        this.#lastSearch = null;
+        this.#search();
+        PlexClientState.onFilterApplied();
+    }
+
     /**
      * Callback invoked when new purged markers are found. */
     onPurgedMarkersFound() {
         this.#sectionOptions?.updatePurgeDisplay();
     }
+
+    /**
+     * Callback invoked when the undo/redo stack changes. */
+    onUndoStackChanged() {
+        this.#sectionOptions?.updateUndoDisplay();
+    }
+
+    /**
+     * Callback invoked when the list of saved searches changes. */
+    onSavedSearchesChanged() {
+        this.#sectionOptions?.updateSavedSearches();
+    }
+
+    /**
+     * Callback invoked when bulk select mode is toggled, or the bulk selection changes.
+     * Show/hide the selection checkboxes of all result rows, and make sure they reflect the current selection. */
+    onBulkSelectionChanged() {
+        toggleClass(this.#searchContainer, 'bulkSelectMode', PlexClientState.bulkSelectMode());
+        for (const checkbox of $('.bulkSelectCheckbox input[type=checkbox]', this.#searchContainer)) {
+            checkbox.checked = PlexClientState.isBulkSelected(parseInt(checkbox.getAttribute(Attributes.MetadataId)));
+        }
+
+        this.#sectionOptions?.updateBulkSelection();
+    }
 }
 
 export { PlexUIManager, UISection, Instance as PlexUI };
@@ -0,0 +1,184 @@
+import { $, $$, $append, $div, $span, $td, $tr } from './HtmlHelpers.js';
+import { msToHms, realMs, timeToMs } from './Common.js';
+import { ContextualLog } from '/Shared/ConsoleLog.js';
+
+import ButtonCreator from './ButtonCreator.js';
+import { errorToast } from './ErrorHandling.js';
+import Tooltip from './Tooltip.js';
+
+/** @typedef {!import('./MarkerTableRow').MarkerRow} MarkerRow */
+
+const Log = ContextualLog.Create('PreviewClip');
+
+/** How much video to play on either side of a marker boundary, in milliseconds. */
+const ClipPaddingMs = 3000;
+
+/**
+ * A small video player shown below a marker that's being edited, which plays the few seconds
+ * around the marker's start or end so its boundaries can be set without opening Plex.
+ */
+class PreviewClipPlayer {
+    /**
+     * The marker row being edited.
+     * @type {MarkerRow} */
+    #markerRow;
+
+    /**
+     * The table row holding the player, inserted directly below the marker row.
+     * @type {HTMLTableRowElement} */
+    #html;
+
+    /** @type {HTMLVideoElement} */
+    #video;
+
+    /**
+     * The absolute position of the video, shown below the player.
+     * @type {HTMLElement} */
+    #position;
+
+    /**
+     * The timestamp the current clip starts at, in milliseconds.
+     * @type {number} */
+    #clipStart = 0;
+
+    /**
+     * The url of the current clip, without the direct query parameter.
+     * @type {string} */
+    #clipUrl = '';
+
+    /**
+     * Whether the current clip is a direct (not transcoded) stream, which starts at the keyframe
+     * closest to the requested start, so the reported position may be slightly off.
+     * @type {boolean} */
+    #direct = false;
+
+    /** @param {MarkerRow} markerRow The marker row being edited. */
+    constructor(markerRow) {
+        this.#markerRow = markerRow;
+    }
+
+    /** @returns {boolean} Whether the player is currently showing. */
+    showing() { return !!this.#html?.isConnected; }
+
+    /** Show the player below the marker row. */
+    show() {
+        if (this.showing()) {
+            return;
+        }
+
+        this.#video = document.createElement('video');
+        this.#video.controls = true;
+        this.#video.preload = 'auto';
+        this.#video.classList.add('previewClipVideo');
+        this.#video.addEventListener('error', this.#onClipError.bind(this));
+        this.#video.addEventListener('timeupdate', this.#onTimeUpdate.bind(this));
+        this.#position = $span('', { class : 'previewClipPosition' });
+
+        const button = (text, tooltip, fn) => ButtonCreator.textButton(text, fn, { tooltip : tooltip, class : 'previewClipButton' });
+        const controls = $append($div({ class : 'previewClipControls' }),
+            button('Play Start', 'Play the few seconds around the start time', () => this.#play(false /*isEnd*/)),
+            button('Play End', 'Play the few seconds around the end time', () => this.#play(true /*isEnd*/)),
+            button('Use as Start', 'Set the start time to the current position', () => this.#useCurrent(false /*isEnd*/)),
+            button('Use as End', 'Set the end time to the current position', () => this.#useCurrent(true /*isEnd*/)),
+            this.#position);
+
+        const row = this.#markerRow.row();
+        this.#html = $tr({ class : 'previewClipRow' },
+            $td($append($div({ class : 'previewClipHolder' }), this.#video, controls), { colspan : row.children.length }));
+        row.parentElement.insertBefore(this.#html, row.nextSibling);
+        this.#play(false /*isEnd*/);
+    }
+
+    /** Stop playback and remove the player. */
+    close() {
+        if (!this.#html) {
+            return;
+        }
+
+        // Clearing the source ensures the browser aborts the request, which lets the server stop transcoding.
+        this.#video.pause();
+        this.#video.removeAttribute('src');
+        this.#video.load();
+        this.#html.parentElement?.removeChild(this.#html);
+        this.#html = null;
+        Tooltip.dismiss();
+    }
+
+    /**
+     * Play the clip surrounding the current start or end time.
+     * @param {boolean} isEnd */
+    #play(isEnd) {
+        const timestamp = this.#inputTimestamp(isEnd);
+        if (isNaN(timestamp)) {
+            errorToast(`Enter a valid ${isEnd ? 'end' : 'start'} time before previewing it.`, 3000);
+            return;
+        }
+
+        const metadataId = this.#markerRow.baseItemRow().mediaItem().metadataId;
+        this.#clipStart = Math.max(0, timestamp - ClipPaddingMs);
+        this.#clipUrl = `clip/${metadataId}/${this.#clipStart}/${timestamp + ClipPaddingMs}`;
+        this.#direct = false;
+        this.#load();
+    }
+
+    /** Load (and play) the current clip. */
+    #load() {
+        this.#video.src = this.#clipUrl + (this.#direct ? '?direct=1' : '');
+        this.#video.play().catch(() => {}); // Autoplay may be blocked, but the user can still press play.
+    }
+
+    /**
+     * If the transcoded clip can't be played (e.g. because FFmpeg doesn't have an H.264 encoder),
+     * fall back to streaming the original video, which might be playable by the browser. */
+    #onClipError() {
+        if (!this.#video.getAttribute('src')) {
+            return; // We cleared the source ourselves.
+        }
+
+        if (!this.#direct) {
+            Log.warn(`Unable to play transcoded clip ${this.#clipUrl}, trying a direct stream.`);
+            this.#direct = true;
+            this.#load();
+            return;
+        }
+
+        errorToast('Unable to play preview clip. Make sure FFmpeg is installed and the file is accessible.', 5000);
+    }
+
+    /** Show the absolute timestamp of the current position. */
+    #onTimeUpdate() {
+        this.#position.innerText = msToHms(this.#currentPosition()) + (this.#direct ? ' (approximate)' : '');
+    }
+
+    /**
+     * Set the start or end time input to the current position of the video.
+     * @param {boolean} isEnd */
+    #useCurrent(isEnd) {
+        if (!this.#video.getAttribute('src') || this.#video.readyState === 0) {
+            return;
+        }
+
+        /** @type {HTMLInputElement} */
+        const input = $$(`.timeInput${isEnd ? 'End' : 'Start'}`, this.#markerRow.row());
+        input.value = msToHms(this.#currentPosition());
+
+        // Let listeners (e.g. thumbnails) know the value changed.
+        input.dispatchEvent(new KeyboardEvent('keyup', { key : 'Enter', keyCode : 13 }));
+    }
+
+    /** @returns {number} The absolute timestamp of the video's current position, in milliseconds. */
+    #currentPosition() {
+        return this.#clipStart + Math.round(this.#video.currentTime * 1000);
+    }
+
+    /**
+     * Retrieve the current value of the start or end time input.
+     * @param {boolean} isEnd */
+    #inputTimestamp(isEnd) {
+        const inputs = $('.timeInput', this.#markerRow.row());
+        const value = inputs[isEnd ? 1 : 0]?.value ?? '';
+        return realMs(timeToMs(value, true /*allowNegative*/), this.#markerRow.baseItemRow().mediaItem().duration);
+    }
+}
+
+export default PreviewClipPlayer;
@@ -18,6 +18,7 @@ import { errorMessage, errorResponseOverlay } from './ErrorHandling.js';
 import { MarkerConflictResolution, MarkerData, SectionType } from '/Shared/PlexTypes.js';
 import { Theme, ThemeColors } from './ThemeColors.js';
 import ButtonCreator from './ButtonCreator.js';
+import { ClientSettings } from './ClientSettings.js';
 import { CustomEvents } from './CustomEvents.js';
 import { getSvgIcon } from './SVGHelper.js';
 import Icons from './Icons.js';
@@ -25,6 +26,7 @@ import Overlay from './Overlay.js';
 import { PlexClientState } from './PlexClientState.js';
 import { ServerCommands } from './Commands.js';
 import TableElements from './TableElements.js';
+import { UndoStack } from './UndoManager.js';
 
 /** @typedef {!import('/Shared/PlexTypes').MarkerAction} MarkerAction */
 /** @typedef {!import('../../Server/PlexQueryManager').RawMarkerData} RawMarkerData */
@@ -214,6 +216,7 @@ class PurgeOptions {
                 d => modifiedMarkers[d[0]] = d[1].map(m => new MarkerData().setFromJson(m)));
 
             this.#resetConfirmImg('restoreButton');
+            UndoStack.push('Restore purged markers', restoreData);
             this.#restoreInfo.successFn(newMarkers, deletedMarkers, modifiedMarkers, restoreData.ignoredMarkers);
         } catch (err) {
             errorMessage(err); // For logging
@@ -1118,6 +1121,40 @@ class PurgedMarkerManager {
         }
     }
 
+    /**
+     * Discard all cached purge data and retrieve it again, e.g. after markers were added
+     * or removed outside of Marker Editor. */
+    async refresh() {
+        this.#serverPurgeInfo = new PurgedServer();
+        this.#purgeCache = new AgnosticPurgeCache();
+        if (PlexClientState.activeSection() === -1) {
+            return;
+        }
+
+        if (ClientSettings.extendedMarkerStatsBlocked()) {
+            // Without section-wide purge data we only know about items the user has navigated to,
+            // so re-check the active show or any movies whose markers were retrieved.
+            try {
+                if (PlexClientState.activeSectionType() === SectionType.TV) {
+                    const activeShow = PlexClientState.getActiveShow();
+                    if (activeShow) {
+                        await this.getPurgedShowMarkers(activeShow.metadataId);
+                    }
+                } else {
+                    await Promise.all(PlexClientState.getActiveSearchRows()
+                        .filter(row => row.movie().markerTable()?.hasRealData())
+                        .map(row => this.getPurgedMovieMarkers(row.movie().metadataId)));
+                }
+            } catch (err) {
+                Log.warn(errorMessage(err), `Unable to refresh purged markers`);
+            }
+        } else {
+            await this.findPurgedMarkers(true /*dryRun*/);
+        }
+
+        window.dispatchEvent(new Event(CustomEvents.PurgedMarkersChanged));
+    }
+
     /** Retrieve all purged markers for the show with the given metadata id.
      * @param {number} showId
      * @throws {Error} if the purge_check fails */
@@ -402,6 +402,14 @@ export class BaseItemResultRow extends ResultRow {
         this.baseItem().markerTable().onWindowResize();
     }
 
+    /**
+     * Retrieve the movie/episode row that contains the given element, if any.
+     * @param {Element?} element
+     * @returns {BaseItemResultRow|undefined} */
+    static FromElement(element) {
+        return BaseItemResultRow.#GetBaseItemFromHtml(element?.closest?.(`[${Attributes.MetadataId}]`));
+    }
+
     /**
      * @param {BaseItemResultRow} baseItem */
     static #RegisterBaseItem(baseItem) {
@@ -7,6 +7,9 @@ import BulkDeleteOverlay from '../BulkDeleteOverlay.js';
 import BulkShiftOverlay from '../BulkShiftOverlay.js';
 import ButtonCreator from '../ButtonCreator.js';
 import { ContextualLog } from '/Shared/ConsoleLog.js';
+import CopyMarkersOverlay from '../CopyMarkersOverlay.js';
+import { SeasonData } from '/Shared/PlexTypes.js';
+import SeasonTimelineOverlay from '../SeasonTimelineOverlay.js';
 
 const Log = ContextualLog.Create('BulkActionRow');
 
@@ -20,6 +23,10 @@ export class BulkActionResultRow extends ResultRow {
     #bulkShiftButton;
     /** @type {HTMLElement} */
     #bulkDeleteButton;
+    /** @type {HTMLElement} */
+    #copyMarkersButton;
+    /** @type {HTMLElement?} */
+    #timelineButton = null;
     constructor(mediaItem) {
         super(mediaItem, 'bulkResultRow');
     }
@@ -39,13 +46,24 @@ export class BulkActionResultRow extends ResultRow {
         this.#bulkShiftButton = ButtonCreator.textButton(
             'Bulk Shift', this.#bulkShift.bind(this), { style : 'margin-right: 10px', [Attributes.TableNav] : 'bulk-shift' });
         this.#bulkDeleteButton = ButtonCreator.textButton(
-            'Bulk Delete', this.#bulkDelete.bind(this), { [Attributes.TableNav] : 'bulk-delete' });
-        $append(row,
-            titleNode,
-            $append(row.appendChild($div({ class : 'goBack' })),
-                this.#bulkAddButton,
-                this.#bulkShiftButton,
-                this.#bulkDeleteButton));
+            'Bulk Delete', this.#bulkDelete.bind(this), { style : 'margin-right: 10px', [Attributes.TableNav] : 'bulk-delete' });
+        this.#copyMarkersButton = ButtonCreator.textButton(
+            'Copy Markers', this.#copyMarkers.bind(this), { [Attributes.TableNav] : 'copy-markers' });
+        const buttons = $append(row.appendChild($div({ class : 'goBack' })),
+            this.#bulkAddButton,
+            this.#bulkShiftButton,
+            this.#bulkDeleteButton,
+            this.#copyMarkersButton);
+
+        // The season timeline relies on the episodes' marker tables, which only exist when viewing a season.
+        if (this.mediaItem() instanceof SeasonData) {
+            this.#copyMarkersButton.style.marginRight = '10px';
+            this.#timelineButton = ButtonCreator.textButton(
+                'Timeline', this.#showTimeline.bind(this), { [Attributes.TableNav] : 'season-timeline' });
+            buttons.appendChild(this.#timelineButton);
+        }
+
+        $append(row, titleNode, buttons);
 
         this.setHtml(row);
         return row;
@@ -71,4 +89,16 @@ export class BulkActionResultRow extends ResultRow {
     #bulkDelete() {
         new BulkDeleteOverlay(this.mediaItem()).show(this.#bulkDeleteButton);
     }
+
+    /**
+     * Launch the copy markers overlay for the current media item (show/season). */
+    #copyMarkers() {
+        new CopyMarkersOverlay(this.mediaItem()).show(this.#copyMarkersButton);
+    }
+
+    /**
+     * Launch the stacked marker timeline for the current season. */
+    #showTimeline() {
+        new SeasonTimelineOverlay(this.mediaItem()).show(this.#timelineButton);
+    }
 }
@@ -53,6 +53,7 @@ export class MovieResultRow extends BaseItemResultRow {
 
         const titleText = 'Click to expand/contract.';
         const titleNode = $div({ class : 'movieName', title : titleText });
+        titleNode.appendChild(this.bulkSelectCheckbox());
         titleNode.appendChild(this.getExpandArrow());
         titleNode.appendChild($span(mov.title));
         if (mov.originalTitle) {
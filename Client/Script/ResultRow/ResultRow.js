@@ -6,6 +6,7 @@ import Tooltip, { TooltipTextSize } from '../Tooltip.js';
 import { Attributes } from '../DataAttributes.js';
 import ButtonCreator from '../ButtonCreator.js';
 import { ClientSettings } from '../ClientSettings.js';
+import { customCheckbox } from '../CommonUI.js';
 import { FilterDialog } from '../FilterDialog.js';
 import { getSvgIcon } from '../SVGHelper.js';
 import Icons from '../Icons.js';
@@ -106,6 +107,33 @@ export class ResultRow {
     /** @returns {PlexData} The base media item associated with this row. */
     mediaItem() { return this.#mediaItem; }
 
+    /**
+     * Create the checkbox that adds this row's show/season/movie to the multi-item bulk action
+     * selection. The checkbox is only visible while the result list is in bulk select mode.
+     * @returns {HTMLElement} */
+    bulkSelectCheckbox() {
+        const mediaItem = this.#mediaItem;
+        const checkbox = customCheckbox({
+            id : `bulk_select_${mediaItem.metadataId}`,
+            title : 'Select for bulk actions',
+            [Attributes.MetadataId] : mediaItem.metadataId,
+            checked : PlexClientState.isBulkSelected(mediaItem.metadataId),
+        },
+        { change : e => PlexClientState.setBulkSelected(mediaItem, e.target.checked) });
+
+        // Don't expand/collapse the row when toggling the checkbox.
+        checkbox.classList.add('bulkSelectCheckbox');
+        checkbox.addEventListener('click', e => e.stopPropagation());
+        checkbox.addEventListener('keydown', e => {
+            if (e.key === 'Enter') {
+                e.stopPropagation();
+                clickOnEnterCallback(e);
+            }
+        });
+
+        return checkbox;
+    }
+
     /** @returns The number of purged markers associated with this row. */
     getPurgeCount() { return PurgedMarkers.getPurgeCount(this.#mediaItem?.metadataId); }
 
@@ -153,14 +153,27 @@ export class SeasonResultRow extends SeasonResultRowBase {
             return;
         }
 
+        /*async*/ this.expand();
+    }
+
+    /**
+     * Make this the active season, and display its episodes.
+     * @returns {Promise<void>} Resolves once the episodes are displayed. */
+    expand() {
         if (!PlexClientState.setActiveSeason(this)) {
             Overlay.show('Unable to retrieve data for that season. Please try again later.');
-            return;
+            return Promise.resolve();
         }
 
-        /*async*/ this.#getEpisodes();
+        return this.#getEpisodes();
     }
 
+    /**
+     * Retrieve the row for the given episode, if this is the active season.
+     * @param {number} episodeId
+     * @returns {EpisodeResultRow|undefined} */
+    episodeRow(episodeId) { return this.#episodes[episodeId]; }
+
     /** Make a request for all episodes in this season. */
     async #getEpisodes() {
         this.insertInlineLoadingIcon('.showResultEpisodes');
@@ -195,7 +208,7 @@ export class SeasonResultRow extends SeasonResultRowBase {
         }
 
         try {
-            this.#showEpisodesAndMarkers(await ServerCommands.query(queryIds), chapterData);
+            await this.#showEpisodesAndMarkers(await ServerCommands.query(queryIds), chapterData);
         } catch (err) {
             errorResponseOverlay(`Something went wrong when retrieving the markers for these episodes, please try again.`, err);
         }
@@ -236,7 +249,7 @@ export class SeasonResultRow extends SeasonResultRowBase {
         for (const resultRow of episodeRows) {
             const metadataId = resultRow.episode().metadataId;
             const markers = data[metadataId];
-            if (FilterSettings.shouldFilterEpisode(markers)) {
+            if (FilterSettings.shouldFilterEpisode(markers, metadataId)) {
                 ++this.#episodesFiltered;
             } else {
                 const rowHtml = resultRow.html() || resultRow.buildRow(markers, chapterData?.[metadataId]);
@@ -320,7 +333,7 @@ export class SeasonResultRow extends SeasonResultRowBase {
         let anyShowing = false;
         const episodes = this.#sortedEpisodes(); // Object.values(this.#episodes).sort((a, b) => a.episode().index - b.episode().index);
         for (const episode of episodes) {
-            if (FilterSettings.shouldFilterEpisode(episode.episode().markerTable().markers())) {
+            if (FilterSettings.shouldFilterEpisode(episode.episode().markerTable().markers(), episode.episode().metadataId)) {
                 ++this.#episodesFiltered;
             } else {
                 addRow(episode.html() || episode.buildRow());
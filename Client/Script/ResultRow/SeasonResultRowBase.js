@@ -36,6 +36,10 @@ export class SeasonResultRowBase extends ResultRow {
 
         const season = this.season();
         const title = $div({ class : 'selectedSeasonTitle' }, $span(`Season ${season.index}`));
+        if (!this.titleRow()) {
+            title.prepend(this.bulkSelectCheckbox());
+        }
+
         if (season.title.length > 0 && season.title.toLowerCase() !== `season ${season.index}`) {
             title.appendChild($span(` (${season.title})`, { class : 'resultRowAltTitle' }));
         }
@@ -1,18 +1,27 @@
 import { ResultRow } from './ResultRow.js';
 
-import { $append, $div } from '../HtmlHelpers.js';
+import { $append, $div, $option, $select } from '../HtmlHelpers.js';
 import { FilterDialog, FilterSettings } from '../FilterDialog.js';
+import { plural, toggleVisibility } from '../Common.js';
+import { Shortcut, Shortcuts } from '../ShortcutManager.js';
 import { Attributes } from '../DataAttributes.js';
+import BulkItemsOverlay from '../BulkItemsOverlay.js';
 import ButtonCreator from '../ButtonCreator.js';
 import { ClientSettings } from '../ClientSettings.js';
 import { ContextualLog } from '/Shared/ConsoleLog.js';
 import Icons from '../Icons.js';
 import { PlexClientState } from '../PlexClientState.js';
+import { PlexUI } from '../PlexUI.js';
 import { PurgedMarkers } from '../PurgedMarkerManager.js';
+import SavedSearchBulkOverlay from '../SavedSearchBulkOverlay.js';
+import { SavedSearches } from '../SavedSearchManager.js';
+import SaveSearchOverlay from '../SaveSearchOverlay.js';
 import SectionOptionsOverlay from '../SectionOptionsOverlay.js';
 import { ThemeColors } from '../ThemeColors.js';
-import { toggleVisibility } from '../Common.js';
 import Tooltip from '../Tooltip.js';
+import { UndoStack } from '../UndoManager.js';
+
+/** @typedef {!import('../SavedSearchManager').SavedSearch} SavedSearch */
 
 const Log = ContextualLog.Create('SectionOptionsRow');
 
@@ -27,8 +36,33 @@ export class SectionOptionsResultRow extends ResultRow {
     #filterButton;
     /** @type {HTMLElement} */
     #moreOptionsButton;
-    constructor() {
+    /** @type {HTMLElement} */
+    #undoButton;
+    /** @type {HTMLElement} */
+    #redoButton;
+    /** @type {HTMLSelectElement} */
+    #savedSearchSelect;
+    /** @type {HTMLElement} */
+    #saveSearchButton;
+    /** @type {HTMLElement} */
+    #deleteSearchButton;
+    /** @type {HTMLElement} */
+    #searchBulkButton;
+    /** @type {HTMLElement} */
+    #selectModeButton;
+    /** @type {HTMLElement} */
+    #selectionBulkButton;
+
+    /**
+     * The query of the search results below this row, or null if this row isn't above search results.
+     * @type {string?} */
+    #query;
+
+    /**
+     * @param {string?} [query=null] The query of the search results below this row, if any. */
+    constructor(query=null) {
         super(null, 'topLevelResult sectionOptions');
+        this.#query = query;
     }
 
     /**
@@ -58,6 +92,36 @@ export class SectionOptionsResultRow extends ResultRow {
             this.#filterButton.classList.add('hidden');
         }
 
+        this.#undoButton = ButtonCreator.iconButton(
+            Icons.Undo, 'Undo', ThemeColors.Primary, () => UndoStack.undo(),
+            { class : 'hidden', style : 'margin-right: 10px', [Attributes.TableNav] : 'section-undo' });
+        this.#redoButton = ButtonCreator.iconButton(
+            Icons.Redo, 'Redo', ThemeColors.Primary, () => UndoStack.redo(),
+            { class : 'hidden', style : 'margin-right: 10px', [Attributes.TableNav] : 'section-redo' });
+        this.updateUndoDisplay();
+
+        this.#savedSearchSelect = $select(null, this.#onSavedSearchSelected.bind(this),
+            { class : 'savedSearchSelect', title : 'Saved searches', [Attributes.TableNav] : 'saved-searches' });
+        this.#saveSearchButton = ButtonCreator.textButton(
+            'Save Search', (_e, self) => new SaveSearchOverlay(PlexClientState.activeSection(), this.#query).show(self),
+            { class : 'hidden', style : 'margin-right: 10px', [Attributes.TableNav] : 'save-search' });
+        this.#deleteSearchButton = ButtonCreator.iconButton(
+            Icons.Delete, 'Delete saved search', ThemeColors.Red, this.#deleteSavedSearch.bind(this),
+            { class : 'hidden', style : 'margin-right: 10px', [Attributes.TableNav] : 'delete-search' });
+        this.#searchBulkButton = ButtonCreator.textButton(
+            'Bulk Actions', this.#showSearchBulkActions.bind(this),
+            { class : 'hidden', style : 'margin-right: 10px', [Attributes.TableNav] : 'search-bulk' });
+        this.updateSavedSearches();
+
+        this.#selectModeButton = ButtonCreator.textButton(
+            'Select', () => PlexClientState.setBulkSelectMode(!PlexClientState.bulkSelectMode()),
+            { style : 'margin-right: 10px', [Attributes.TableNav] : 'bulk-select',
+              tooltip : 'Select shows, seasons, or movies to apply a bulk action to all of them at once.' });
+        this.#selectionBulkButton = ButtonCreator.textButton(
+            'Bulk Actions', this.#showSelectionBulkActions.bind(this),
+            { class : 'hidden', style : 'margin-right: 10px', [Attributes.TableNav] : 'selection-bulk' });
+        this.updateBulkSelection();
+
         this.#moreOptionsButton = ButtonCreator.fullButton(
             'More...',
             Icons.Settings,
@@ -69,7 +133,15 @@ export class SectionOptionsResultRow extends ResultRow {
             titleNode,
             $append(
                 row.appendChild($div({ class : 'goBack' })),
+                this.#savedSearchSelect,
+                this.#saveSearchButton,
+                this.#deleteSearchButton,
+                this.#searchBulkButton,
+                this.#selectModeButton,
+                this.#selectionBulkButton,
                 this.#purgeButton,
+                this.#undoButton,
+                this.#redoButton,
                 this.#filterButton,
                 this.#moreOptionsButton));
         this.setHtml(row);
@@ -97,6 +169,100 @@ export class SectionOptionsResultRow extends ResultRow {
         toggleVisibility(this.#purgeButton, PurgedMarkers.getSectionPurgeCount() > 0);
     }
 
+    /**
+     * Show/hide the undo/redo buttons based on whether there's anything to undo/redo, and
+     * update their tooltips to describe the operation they'll revert. */
+    updateUndoDisplay() {
+        toggleVisibility(this.#undoButton, UndoStack.canUndo());
+        Tooltip.setText(this.#undoButton,
+            UndoStack.canUndo() ? `Undo ${UndoStack.nextUndo()} (${Shortcuts.display(Shortcut.Undo)})` : 'Undo');
+        toggleVisibility(this.#redoButton, UndoStack.canRedo());
+        Tooltip.setText(this.#redoButton,
+            UndoStack.canRedo() ? `Redo ${UndoStack.nextRedo()} (${Shortcuts.display(Shortcut.Redo)})` : 'Redo');
+    }
+
+    /**
+     * Rebuild the list of saved searches for the active section, and show the actions
+     * available for the saved search that matches the current results, if any. */
+    updateSavedSearches() {
+        const sectionId = PlexClientState.activeSection();
+        const searches = SavedSearches.forSection(sectionId);
+        const active = this.#activeSavedSearch();
+        this.#savedSearchSelect.replaceChildren(
+            $option('Saved Searches...', '', { disabled : true }),
+            ...searches.map(search => $option(search.name, search.name)));
+        this.#savedSearchSelect.value = active?.name ?? '';
+        toggleVisibility(this.#savedSearchSelect, searches.length > 0);
+        toggleVisibility(this.#saveSearchButton, this.#query !== null && !active);
+        toggleVisibility(this.#deleteSearchButton, !!active);
+        toggleVisibility(this.#searchBulkButton, !!active);
+    }
+
+    /**
+     * Update the bulk select toggle and the selection's bulk action button after
+     * bulk select mode is toggled or the selection changes. */
+    updateBulkSelection() {
+        const selected = PlexClientState.bulkSelection().length;
+        ButtonCreator.setText(this.#selectModeButton, PlexClientState.bulkSelectMode() ? 'Done Selecting' : 'Select');
+        ButtonCreator.setText(this.#selectionBulkButton, `Bulk Actions (${selected})`);
+        toggleVisibility(this.#selectionBulkButton, selected > 0);
+    }
+
+    /**
+     * Retrieve the saved search that matches the search results below this row, if any.
+     * @returns {SavedSearch|undefined} */
+    #activeSavedSearch() {
+        if (this.#query === null) {
+            return undefined;
+        }
+
+        return SavedSearches.find(PlexClientState.activeSection(), this.#query, FilterSettings.snapshot());
+    }
+
+    /**
+     * Run the saved search the user selected. */
+    #onSavedSearchSelected() {
+        const search = SavedSearches.get(PlexClientState.activeSection(), this.#savedSearchSelect.value);
+        if (!search) {
+            Log.warn(`Could not find saved search "${this.#savedSearchSelect.value}"`);
+            return;
+        }
+
+        PlexUI.runSavedSearch(search);
+    }
+
+    /**
+     * Remove the saved search that matches the current results. */
+    #deleteSavedSearch() {
+        const active = this.#activeSavedSearch();
+        if (active) {
+            SavedSearches.delete(active.sectionId, active.name);
+        }
+    }
+
+    /**
+     * Launch the bulk action overlay for every show/movie in the current saved search's results. */
+    #showSearchBulkActions() {
+        const active = this.#activeSavedSearch();
+        const items = PlexClientState.getActiveSearchRows().map(row => row.mediaItem());
+        if (!active || items.length === 0) {
+            return;
+        }
+
+        new SavedSearchBulkOverlay(active, items).show(this.#searchBulkButton);
+    }
+
+    /**
+     * Launch the bulk action overlay for every show/season/movie the user selected. */
+    #showSelectionBulkActions() {
+        const items = PlexClientState.bulkSelection();
+        if (items.length === 0) {
+            return;
+        }
+
+        new BulkItemsOverlay(plural(items.length, 'Selected Item'), items).show(this.#selectionBulkButton);
+    }
+
     /**
      * Update the filter button's style and tooltip based on whether a filter is currently active. */
     updateFilterTooltip() {
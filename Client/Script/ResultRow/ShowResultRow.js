@@ -114,11 +114,18 @@ export class ShowResultRow extends ShowResultRowBase {
 
     /** Click handler for clicking a show row. Initiates a request for season details.
      * @param {MouseEvent} e */
-    async #showClick(e) {
+    #showClick(e) {
         if (this.ignoreRowClick(e.target)) {
             return;
         }
 
+        /*async*/ this.expand();
+    }
+
+    /**
+     * Make this the active show, and display its seasons.
+     * @returns {Promise<void>} Resolves once the seasons are displayed. */
+    async expand() {
         if (!PlexClientState.setActiveShow(this)) {
             Overlay.show('Unable to retrieve data for that show. Please try again later.');
             return;
@@ -139,14 +146,20 @@ export class ShowResultRow extends ShowResultRowBase {
             Log.warn(errorMessage(err), `Unable to get purged marker info for show ${this.show().title}`);
         }
 
-        /*async*/ this.#getSeasons();
+        await this.#getSeasons();
     }
 
+    /**
+     * Retrieve the row for the given season, if this is the active show.
+     * @param {number} seasonId
+     * @returns {SeasonResultRow|undefined} */
+    seasonRow(seasonId) { return this.#seasons[seasonId]; }
+
     /** Get season details for this show */
     async #getSeasons() {
         const show = this.show();
         try {
-            this.#showSeasons(await ServerCommands.getSeasons(show.metadataId));
+            await this.#showSeasons(await ServerCommands.getSeasons(show.metadataId));
         } catch (err) {
             errorResponseOverlay(`Something went wrong when retrieving the seasons for ${show.title}`, err);
         }
@@ -183,7 +196,7 @@ export class ShowResultRow extends ShowResultRowBase {
 
         const sortedSeasons = this.#sortedSeasons();
         for (const seasonRow of sortedSeasons) {
-            if (FilterSettings.shouldFilter(seasonRow.season().markerBreakdown())) {
+            if (FilterSettings.shouldFilter(seasonRow.season().markerBreakdown(), seasonRow.season().metadataId)) {
                 ++this.#seasonsFiltered;
             } else {
                 const rowHtml = seasonRow.buildRow();
@@ -253,7 +266,7 @@ export class ShowResultRow extends ShowResultRowBase {
         this.#seasonsFiltered = 0;
         let anyShowing = false;
         for (const season of seasons) {
-            if (FilterSettings.shouldFilter(season.season().markerBreakdown())) {
+            if (FilterSettings.shouldFilter(season.season().markerBreakdown(), season.season().metadataId)) {
                 ++this.#seasonsFiltered;
             } else {
                 addRow(season.html() || season.buildRow());
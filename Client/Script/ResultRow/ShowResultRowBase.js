@@ -41,6 +41,10 @@ export class ShowResultRowBase extends ResultRow {
 
         const show = this.show();
         const titleNode = $div({}, show.title);
+        if (!this.titleRow()) {
+            titleNode.prepend(this.bulkSelectCheckbox());
+        }
+
         if (show.originalTitle) {
             titleNode.appendChild($span(` (${show.originalTitle})`, { class : 'resultRowAltTitle' }));
         }
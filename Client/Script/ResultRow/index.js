@@ -1,3 +1,4 @@
+export * from './BaseItemResultRow.js';
 export * from './BulkActionResultRow.js';
 export * from './EpisodeResultRow.js';
 export * from './MovieResultRow.js';
@@ -0,0 +1,78 @@
+import { $, $div, $divHolder, $h, $hr, $label, $textInput } from './HtmlHelpers.js';
+import { BulkActionCommon } from './BulkActionCommon.js';
+import ButtonCreator from './ButtonCreator.js';
+import { FilterSettings } from './FilterDialog.js';
+import Icons from './Icons.js';
+import Overlay from './Overlay.js';
+import { SavedSearches } from './SavedSearchManager.js';
+import { ThemeColors } from './ThemeColors.js';
+
+/**
+ * UI for saving the current search query and sort/filter settings under a name.
+ */
+class SaveSearchOverlay {
+    /** @type {number} */
+    #sectionId;
+
+    /** @type {string} */
+    #query;
+
+    /**
+     * @param {number} sectionId The library the search belongs to.
+     * @param {string} query The search query of the current results. */
+    constructor(sectionId, query) {
+        this.#sectionId = sectionId;
+        this.#query = query;
+    }
+
+    /**
+     * Launch the save search overlay.
+     * @param {HTMLElement} focusBack The element to set focus back to after the overlay is dismissed. */
+    show(focusBack) {
+        const filterText = FilterSettings.hasFilter() ? 'the current sort/filter settings' : 'no filter';
+        const container = $divHolder({ id : 'bulkActionContainer' },
+            $h(2, 'Save Search'),
+            $hr(),
+            $div({}, `Save "${this.#query || 'All items'}" with ${filterText}. ` +
+                `Saving with the name of an existing search replaces it.`),
+            $divHolder({ id : 'saveSearchNameHolder' },
+                $label('Name: ', 'saveSearchName'),
+                $textInput({ id : 'saveSearchName', maxlength : 64 }, { keyup : this.#onNameKeyup.bind(this) })),
+            $divHolder({ id : 'bulkActionButtons' },
+                ButtonCreator.fullButton('Save', Icons.Confirm, ThemeColors.Green, this.#save.bind(this), { id : 'saveSearchApply' }),
+                ButtonCreator.fullButton('Cancel', Icons.Cancel, ThemeColors.Red, Overlay.dismiss)));
+
+        Overlay.build({
+            dismissible : true,
+            closeButton : true,
+            focusBack : focusBack,
+            setup : { fn : () => $('#saveSearchName').focus() } }, container);
+    }
+
+    /**
+     * Save the search when Enter is pressed.
+     * @param {KeyboardEvent} e */
+    #onNameKeyup(e) {
+        $('#saveSearchName').classList.remove('badInput');
+        if (e.key === 'Enter') {
+            this.#save();
+        }
+    }
+
+    /**
+     * Save the search under the given name, if it's valid. */
+    #save() {
+        const input = $('#saveSearchName');
+        const name = input.value.trim();
+        if (!name) {
+            input.classList.add('badInput');
+            BulkActionCommon.flashButton('saveSearchApply', ThemeColors.Red, 500);
+            return;
+        }
+
+        SavedSearches.save({ name : name, sectionId : this.#sectionId, query : this.#query, filter : FilterSettings.snapshot() });
+        Overlay.dismiss();
+    }
+}
+
+export default SaveSearchOverlay;
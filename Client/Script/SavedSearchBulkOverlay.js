@@ -0,0 +1,21 @@
+import BulkItemsOverlay from './BulkItemsOverlay.js';
+import { plural } from './Common.js';
+
+/** @typedef {!import('/Shared/PlexTypes').PlexData} PlexData */
+/** @typedef {!import('./SavedSearchManager').SavedSearch} SavedSearch */
+
+/**
+ * UI for applying a bulk add/shift/delete to every item in the results of a saved search.
+ */
+class SavedSearchBulkOverlay extends BulkItemsOverlay {
+    /**
+     * @param {SavedSearch} search The saved search whose results the action applies to.
+     * @param {PlexData[]} items The shows/movies currently matching the saved search. */
+    constructor(search, items) {
+        super(`"${search.name}"`,
+            items,
+            `The action will apply to all episodes and movies of the ${plural(items.length, 'item')} in this search's results.`);
+    }
+}
+
+export default SavedSearchBulkOverlay;
@@ -0,0 +1,116 @@
+import { ContextualLog } from '/Shared/ConsoleLog.js';
+import { CustomEvents } from './CustomEvents.js';
+
+/** @typedef {!import('./FilterDialog').FilterState} FilterState */
+
+/**
+ * A named search query and sort/filter state for a specific library.
+ * @typedef {{ name: string, sectionId: number, query: string, filter: FilterState }} SavedSearch
+ */
+
+const Log = ContextualLog.Create('SavedSearches');
+
+/**
+ * The singleton saved search manager.
+ * @type {SavedSearchManager}
+ * @readonly */ // Externally readonly
+let Instance;
+
+/**
+ * Keeps track of the user's saved searches. Searches are stored in localStorage regardless of
+ * the sticky settings preference, since saving a search is an explicit request to persist it.
+ * Searches are evaluated every time they're run, so their results always reflect the current markers.
+ */
+class SavedSearchManager {
+    /** Key used for getting and retrieving saved searches from {@linkcode localStorage} */
+    static #storageKey = 'markerEditor_savedSearches';
+
+    /**
+     * All saved searches, across all libraries.
+     * @type {SavedSearch[]} */
+    #searches = [];
+
+    /** Create the singleton SavedSearchManager instance. */
+    static CreateInstance() {
+        if (Instance) {
+            Log.error('We should only have a single SavedSearchManager instance!');
+            return;
+        }
+
+        Instance = new SavedSearchManager();
+    }
+
+    constructor() {
+        if (Instance) {
+            throw new Error(`Don't create a new SavedSearchManager when the singleton already exists!`);
+        }
+
+        try {
+            const searches = JSON.parse(localStorage.getItem(SavedSearchManager.#storageKey));
+            if (searches instanceof Array) {
+                this.#searches = searches.filter(s => typeof s?.name === 'string' && typeof s.query === 'string' && s.filter);
+            }
+        } catch (err) {
+            Log.warn(err.message, 'Unable to parse saved searches, starting fresh');
+        }
+    }
+
+    /**
+     * Retrieve all saved searches for the given library, sorted by name.
+     * @param {number} sectionId
+     * @returns {SavedSearch[]} */
+    forSection(sectionId) {
+        return this.#searches.filter(s => s.sectionId === sectionId).sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    /**
+     * Retrieve the saved search with the given name in the given library, if any.
+     * @param {number} sectionId
+     * @param {string} name
+     * @returns {SavedSearch|undefined} */
+    get(sectionId, name) {
+        return this.#searches.find(s => s.sectionId === sectionId && s.name === name);
+    }
+
+    /**
+     * Find the saved search that exactly matches the given query and filter state, if any.
+     * @param {number} sectionId
+     * @param {string} query
+     * @param {FilterState} filter
+     * @returns {SavedSearch|undefined} */
+    find(sectionId, query, filter) {
+        const filterJson = JSON.stringify(filter);
+        return this.#searches.find(s => s.sectionId === sectionId && s.query === query && JSON.stringify(s.filter) === filterJson);
+    }
+
+    /**
+     * Save a search, overwriting any existing search with the same name in the same library.
+     * @param {SavedSearch} search */
+    save(search) {
+        const existing = this.#searches.findIndex(s => s.sectionId === search.sectionId && s.name === search.name);
+        if (existing === -1) {
+            this.#searches.push(search);
+        } else {
+            this.#searches[existing] = search;
+        }
+
+        this.#persist();
+    }
+
+    /**
+     * Remove the saved search with the given name from the given library.
+     * @param {number} sectionId
+     * @param {string} name */
+    delete(sectionId, name) {
+        this.#searches = this.#searches.filter(s => s.sectionId !== sectionId || s.name !== name);
+        this.#persist();
+    }
+
+    /** Write the current saved searches to {@linkcode localStorage}, and let listeners know they changed. */
+    #persist() {
+        localStorage.setItem(SavedSearchManager.#storageKey, JSON.stringify(this.#searches));
+        window.dispatchEvent(new Event(CustomEvents.SavedSearchesChanged));
+    }
+}
+
+export { SavedSearchManager, Instance as SavedSearches };
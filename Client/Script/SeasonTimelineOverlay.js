@@ -0,0 +1,66 @@
+import { $append, $div, $divHolder, $h, $hr, $span } from './HtmlHelpers.js';
+import { Attributes } from './DataAttributes.js';
+import MarkerTimeline from './MarkerTimeline.js';
+import { MarkerType } from '/Shared/MarkerType.js';
+import Overlay from './Overlay.js';
+import { pad0 } from './Common.js';
+
+/** @typedef {!import('./ClientDataExtensions').ClientEpisodeData} ClientEpisodeData */
+/** @typedef {!import('/Shared/PlexTypes').SeasonData} SeasonData */
+
+/**
+ * Overlay that stacks the marker timelines of every episode in a season, making it easy to spot
+ * episodes whose markers don't line up with the rest. Timelines are scaled relative to the longest
+ * episode, and markers can be adjusted directly from the overlay.
+ */
+class SeasonTimelineOverlay {
+    /** @type {SeasonData} */
+    #season;
+
+    /**
+     * @param {SeasonData} season The season to show the timelines of. Expected to be the active season,
+     *                            as we rely on its episodes' marker tables being populated. */
+    constructor(season) {
+        this.#season = season;
+    }
+
+    /**
+     * Launch the season timeline overlay.
+     * @param {HTMLElement} focusBack The element to set focus back to after the overlay is dismissed. */
+    show(focusBack) {
+        /** @type {ClientEpisodeData[]} */
+        const episodes = this.#season.episodes().filter(e => e.duration && e.markerTable()?.hasRealData());
+        episodes.sort((a, b) => a.index - b.index);
+        const maxDuration = Math.max(...episodes.map(e => e.duration));
+        const container = $divHolder({ id : 'bulkActionContainer' },
+            $h(1, `${this.#season.title} Timeline`),
+            $hr(),
+            SeasonTimelineOverlay.#legend());
+
+        if (episodes.length === 0) {
+            container.appendChild($div({}, 'No episodes to show.'));
+        }
+
+        for (const episode of episodes) {
+            const timeline = new MarkerTimeline(episode).html();
+            timeline.style.width = `${episode.duration / maxDuration * 100}%`;
+            container.appendChild($divHolder({ class : 'seasonTimelineRow' },
+                $span(`E${pad0(episode.index, 2)}`, { class : 'seasonTimelineLabel', title : episode.title }),
+                $append($div({ class : 'seasonTimelineHolder' }), timeline)));
+        }
+
+        Overlay.build({ dismissible : true, closeButton : true, forceFullscreen : true, focusBack : focusBack }, container);
+    }
+
+    /** Build the key that maps timeline colors to marker types. */
+    static #legend() {
+        const entry = (markerType, text) => $span(text, { class : 'timelineLegendEntry', [Attributes.MarkerType] : markerType });
+        return $divHolder({ class : 'timelineLegend' },
+            entry(MarkerType.Intro, 'Intro'),
+            entry(MarkerType.Credits, 'Credits'),
+            entry(MarkerType.Ad, 'Ad'),
+            $span('Chapter', { class : 'timelineLegendEntry timelineLegendChapter' }));
+    }
+}
+
+export default SeasonTimelineOverlay;
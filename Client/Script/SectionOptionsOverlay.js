@@ -2,20 +2,25 @@ import { $, $$, $append, $br, $div, $divHolder, $fileInput, $h, $hr, $i, $label,
     $textInput, $textSpan } from './HtmlHelpers.js';
 import { ContextualLog } from '/Shared/ConsoleLog.js';
 
+import { MarkerConflictResolution, MarkerExportFormat, SidecarFormat } from '/Shared/PlexTypes.js';
+import { MarkerEnum, MarkerType } from '/Shared/MarkerType.js';
 import { Theme, ThemeColors } from './ThemeColors.js';
 import ButtonCreator from './ButtonCreator.js';
 import { customCheckbox } from './CommonUI.js';
 import { errorResponseOverlay } from './ErrorHandling.js';
 import { flashBackground } from './AnimationHelpers.js';
 import MarkerBreakdownChart from './MarkerBreakdownChart.js';
-import { MarkerConflictResolution } from '/Shared/PlexTypes.js';
-import { MarkerEnum } from '/Shared/MarkerType.js';
+import MarkerLintOverlay from './MarkerLintOverlay.js';
+import MarkerSyncOverlay from './MarkerSyncOverlay.js';
+import MarkerTimingStatsOverlay from './MarkerTimingStatsOverlay.js';
 import Overlay from './Overlay.js';
 import { PlexClientState } from './PlexClientState.js';
 import { ServerCommands } from './Commands.js';
 import Tooltip from './Tooltip.js';
 
 /** @typedef {import('./Overlay').OverlayOptions} OverlayOptions */
+/** @typedef {!import('/Shared/PlexTypes').SidecarExportResult} SidecarExportResult */
+/** @typedef {!import('/Shared/PlexTypes').SidecarImportResult} SidecarImportResult */
 
 
 const Log = ContextualLog.Create('SectionOps');
@@ -45,8 +50,12 @@ class SectionOptionsOverlay {
             $h(1, 'Section Options'),
             $hr(),
             ButtonCreator.textButton('Marker Breakdown Chart', this.#onBreakdown.bind(this), { class : 'sectionOptionsOverlayBtn' }),
+            ButtonCreator.textButton('Marker Timing Stats', this.#onTimingStats.bind(this), { class : 'sectionOptionsOverlayBtn' }),
+            ButtonCreator.textButton('Check for Marker Problems', this.#onLint.bind(this), { class : 'sectionOptionsOverlayBtn' }),
             ButtonCreator.textButton('Export Markers', this.#onExport.bind(this), { class : 'sectionOptionsOverlayBtn' }),
+            ButtonCreator.textButton('Export Sidecar Files', this.#onSidecarExport.bind(this), { class : 'sectionOptionsOverlayBtn' }),
             ButtonCreator.textButton('Import Markers', this.#onImport.bind(this), { class : 'sectionOptionsOverlayBtn' }),
+            ButtonCreator.textButton('Sync with Another Server', this.#onSync.bind(this), { class : 'sectionOptionsOverlayBtn' }),
             ButtonCreator.textButton(
                 'Delete All Markers',
                 this.#onDeleteAll.bind(this),
@@ -67,6 +76,24 @@ class SectionOptionsOverlay {
         MarkerBreakdownChart.GetBreakdown($$('.moreSectionOptionsBtn'));
     }
 
+    /**
+     * Overlay invoked from the 'Marker Timing Stats' action. */
+    #onTimingStats() {
+        MarkerTimingStatsOverlay.Show($$('.moreSectionOptionsBtn'));
+    }
+
+    /**
+     * Overlay invoked from the 'Check for Marker Problems' action. */
+    #onLint() {
+        MarkerLintOverlay.Show($$('.moreSectionOptionsBtn'));
+    }
+
+    /**
+     * Overlay invoked from the 'Sync with Another Server' action. */
+    #onSync() {
+        MarkerSyncOverlay.Show($$('.moreSectionOptionsBtn'));
+    }
+
     /**
      * Overlay invoked from the 'Export Markers' action. */
     #onExport() {
@@ -74,12 +101,19 @@ class SectionOptionsOverlay {
         $append(container,
             $h(2, 'Marker Export'),
             $hr(),
-            $span('Export all markers to a database file that can be imported at a later date.'),
+            $span('Export all markers to a file that can be imported at a later date. JSON and CSV exports ' +
+                'can also be reviewed and edited by hand.'),
             $hr(),
             $divHolder({ class : 'inlineFlex' },
                 $label('Export all libraries: ', 'exportAll'),
                 customCheckbox({ id : 'exportAll' })
             ),
+            $plainDivHolder(
+                $label('Export Format: ', 'exportFormat'),
+                $append($select('exportFormat'),
+                    $option('Database', MarkerExportFormat.Database),
+                    $option('JSON', MarkerExportFormat.Json),
+                    $option('CSV', MarkerExportFormat.Csv))),
             $br(), $br(),
             $plainDivHolder(
                 ButtonCreator.textButton(
@@ -91,7 +125,7 @@ class SectionOptionsOverlay {
                     this.#showMain.bind(this),
                     { class : 'overlayButton' })));
 
-        Tooltip.setTooltip($$('label', container), 'Export markers from the entire server, not just the active library.');
+        Tooltip.setTooltip($$('label[for="exportAll"]', container), 'Export markers from the entire server, not just the active library.');
         Overlay.build({ dismissible : true, focusBack : this.#focusBack }, container);
     }
 
@@ -100,13 +134,105 @@ class SectionOptionsOverlay {
     #exportConfirmed() {
         const exportAll = $('#exportAll').checked;
         try {
-            window.open(`export/${exportAll ? -1 : PlexClientState.activeSection() }`);
+            window.open(`export/${exportAll ? -1 : PlexClientState.activeSection() }?format=${$('#exportFormat').value}`);
             setTimeout(Overlay.dismiss, 1000);
         } catch (err) {
             errorResponseOverlay('Failed to export library markers.', err);
         }
     }
 
+    /**
+     * Overlay invoked from the 'Export Sidecar Files' action. */
+    #onSidecarExport() {
+        const option = (label, id, checked=false) =>
+            $divHolder({ class : 'inlineFlex' }, $label(label, id), customCheckbox({ id, checked }));
+        const container = $div({ class : 'sectionOptionsOverlayContainer' });
+        $append(container,
+            $h(2, 'Sidecar Export'),
+            $hr(),
+            $span('Write marker files next to each movie/episode so other players (Kodi, mpv, Jellyfin) can use them.'),
+            $hr(),
+            option('Kodi EDL (.edl): ', 'sidecarEdl', true /*checked*/),
+            option('FFmpeg chapters (.ffmetadata): ', 'sidecarFFMetadata'),
+            option('Matroska chapters (.chapters.xml): ', 'sidecarMatroska'),
+            option('Overwrite existing files: ', 'sidecarOverwrite'),
+            option('Export all libraries: ', 'sidecarAll'),
+            $br(),
+            $plainDivHolder(
+                ButtonCreator.textButton(
+                    'Preview',
+                    () => this.#sidecarExportConfirmed(true /*dryRun*/),
+                    { class : 'overlayButton' }),
+                ButtonCreator.textButton(
+                    'Export',
+                    () => this.#sidecarExportConfirmed(false /*dryRun*/),
+                    { id : 'sidecarConfirmBtn', class : 'overlayButton greenOnHover' }),
+                ButtonCreator.textButton(
+                    'Back',
+                    this.#showMain.bind(this),
+                    { class : 'overlayButton' })));
+
+        Overlay.build({ dismissible : true, focusBack : this.#focusBack }, container);
+    }
+
+    /**
+     * Write (or preview writing) sidecar files with the selected options.
+     * @param {boolean} dryRun */
+    async #sidecarExportConfirmed(dryRun) {
+        const formats = ($('#sidecarEdl').checked ? SidecarFormat.Edl : 0) |
+            ($('#sidecarFFMetadata').checked ? SidecarFormat.FFMetadata : 0) |
+            ($('#sidecarMatroska').checked ? SidecarFormat.MatroskaXml : 0);
+        if (!formats) {
+            return this.#flashInput($('#sidecarConfirmBtn'));
+        }
+
+        const overwrite = $('#sidecarOverwrite').checked;
+        const sectionId = $('#sidecarAll').checked ? -1 : PlexClientState.activeSection();
+        try {
+            this.#showSidecarResult(await ServerCommands.exportSidecars(sectionId, formats, overwrite, dryRun), overwrite);
+        } catch (err) {
+            errorResponseOverlay('Failed to export sidecar files.', err);
+        }
+    }
+
+    /**
+     * Display the files that were (or would be) written by a sidecar export.
+     * @param {SidecarExportResult} result
+     * @param {boolean} overwrite */
+    #showSidecarResult(result, overwrite) {
+        const status = file => {
+            if (result.dryRun) {
+                return file.exists ? (overwrite ? 'Overwrite' : 'Skip (exists)') : 'Create';
+            }
+
+            return file.written ? 'Written' : file.error;
+        };
+
+        const fileList = $div({ style : 'max-height: 300px; overflow: auto; text-align: left' });
+        for (const file of result.files) {
+            fileList.appendChild($div({}, `[${status(file)}] ${file.path}`));
+        }
+
+        for (const missing of result.missing) {
+            fileList.appendChild($div({}, `[Media not found] ${missing.file}`));
+        }
+
+        const written = result.files.filter(f => f.written).length;
+        const container = $div({ class : 'sectionOptionsOverlayContainer' });
+        $append(container,
+            $h(2, result.dryRun ? 'Sidecar Export Preview' : 'Sidecar Export Complete'),
+            $hr(),
+            result.dryRun ? `Sidecar Files Found: ${result.files.length}` : `Sidecar Files Written: ${written}`, $br(),
+            result.dryRun ? '' : $textSpan(`Sidecar Files Skipped: ${result.files.length - written}`, $br()),
+            `Media Files Not Found: ${result.missing.length}`,
+            $hr(),
+            fileList,
+            $br(),
+            ButtonCreator.textButton('Back', this.#onSidecarExport.bind(this), { class : 'overlayButton' }));
+
+        Overlay.build({ dismissible : true, focusBack : this.#focusBack }, container);
+    }
+
     /**
      * Overlay invoked from the 'Import Markers' action. */
     #onImport() {
@@ -114,11 +240,13 @@ class SectionOptionsOverlay {
         $append(container,
             $h(2, 'Marker Import'),
             $hr(),
-            $span('Import markers from a backed up database file to items in this library (or the entire server).'),
+            $span('Import markers from a backed up database, JSON, or CSV file to items in this library (or the entire server). ' +
+                'Markers can also be imported from EDL, ffmetadata, and Matroska chapter files (or a zip file of them), ' +
+                'which are matched to items by file name.'),
             $hr(),
             $plainDivHolder(
                 $label('Select a file: ', 'databaseFile'),
-                $fileInput({ accept : '.db,application/x-sqlite3', id : 'databaseFile' })),
+                $fileInput({ accept : '.db,application/x-sqlite3,.json,.csv,.zip,.edl,.ffmetadata,.xml,.txt', id : 'databaseFile' })),
             $plainDivHolder(
                 $label('Apply to all libraries: ', 'applyGlobally'),
                 customCheckbox({ id : 'applyGlobally' })),
@@ -128,6 +256,12 @@ class SectionOptionsOverlay {
                     $option('Overwrite', MarkerConflictResolution.Overwrite),
                     $option('Merge', MarkerConflictResolution.Merge),
                     $option('Ignore', MarkerConflictResolution.Ignore))),
+            $plainDivHolder(
+                $label('EDL Marker Type: ', 'edlMarkerType'),
+                $append($select('edlMarkerType'),
+                    $option('Ad', MarkerType.Ad),
+                    $option('Intro', MarkerType.Intro),
+                    $option('Credits', MarkerType.Credits))),
             $br(),
             $plainDivHolder(
                 ButtonCreator.textButton(
@@ -154,7 +288,8 @@ class SectionOptionsOverlay {
         }
 
         const file = files[0];
-        if (!file.name.endsWith('.db')) {
+        const isDatabase = /\.(?:db|json|csv)$/i.test(file.name);
+        if (!isDatabase && !/\.(?:zip|edl|ffmetadata|xml|txt)$/i.test(file.name)) {
             return this.#flashInput(fileNode);
         }
 
@@ -166,18 +301,22 @@ class SectionOptionsOverlay {
 
         Log.info(file.name, `Uploading File`);
         try {
-            const result = await ServerCommands.importDatabase(
-                file,
-                $('#applyGlobally').checked ? -1 : PlexClientState.activeSection(),
-                $('#resolutionType').value);
+            const sectionId = $('#applyGlobally').checked ? -1 : PlexClientState.activeSection();
+            const resolveType = $('#resolutionType').value;
+            /** @type {SidecarImportResult} */
+            const result = isDatabase ?
+                await ServerCommands.importDatabase(file, sectionId, resolveType) :
+                await ServerCommands.importSidecars(file, sectionId, resolveType, $('#edlMarkerType').value);
 
             await Overlay.show(
                 $plainDivHolder($h(2, `Marker Import Succeeded`), $hr(),
+                    isDatabase ? '' : $textSpan(`Sidecar Files Matched: ${result.matched}`, $br()),
                     `Markers Added: ${result.added}`, $br(),
                     `Ignored Markers (identical): ${result.identical}`, $br(),
                     `Ignored Markers (merge/ignore/self-overlap): ${result.ignored}`, $br(),
                     `Existing Markers Deleted (overwritten): ${result.deleted}`, $br(),
-                    `Existing Markers Modified (merged): ${result.modified}`, $br()),
+                    `Existing Markers Modified (merged): ${result.modified}`, $br(),
+                    isDatabase ? '' : this.#unmatchedSidecars(result)),
                 'Reload',
                 // Easier to just reload the page instead of reconciling all the newly deleted markers
                 () => { window.location.reload(); },
@@ -188,6 +327,22 @@ class SectionOptionsOverlay {
         }
     }
 
+    /**
+     * Create a list of the sidecar files that couldn't be imported, if any.
+     * @param {SidecarImportResult} result */
+    #unmatchedSidecars(result) {
+        if (result.unmatched.length === 0) {
+            return '';
+        }
+
+        const fileList = $div({ style : 'max-height: 200px; overflow: auto; text-align: left' });
+        for (const unmatched of result.unmatched) {
+            fileList.appendChild($div({}, `[${unmatched.reason}] ${unmatched.file}`));
+        }
+
+        return $textSpan($hr(), `Sidecar Files Not Imported: ${result.unmatched.length}`, $br(), fileList);
+    }
+
     /**
      * Show an overlay making it as clear as possible that deleting section markers is not reversible. */
     #onDeleteAll() {
@@ -0,0 +1,210 @@
+import { $, $$, $append, $option, $select, $span, $table, $tbody, $td, $textInput, $thead, $tr } from '../HtmlHelpers.js';
+import { errorMessage, errorToast } from '../ErrorHandling.js';
+import { getDisplayDate, getFullDate } from '../DateUtil.js';
+import ButtonCreator from '../ButtonCreator.js';
+import { ContextualLog } from '/Shared/ConsoleLog.js';
+import Icons from '../Icons.js';
+import { ServerCommands } from '../Commands.js';
+import { ThemeColors } from '../ThemeColors.js';
+import Tooltip from '../Tooltip.js';
+import { UserRole } from '/Shared/PostCommands.js';
+
+/** @typedef {!import('/Shared/PlexTypes').ApiKeyInfo} ApiKeyInfo */
+
+const Log = ContextualLog.Create('ApiKeys');
+
+/** Display names for each UserRole. */
+const RoleNames = {
+    [UserRole.Viewer] : 'Viewer',
+    [UserRole.Editor] : 'Editor',
+    [UserRole.Admin] : 'Admin',
+};
+
+/**
+ * Encapsulates the UI of the REST API key table in the server settings dialog.
+ * Like user management, changes are applied immediately, as keys aren't part of the config file.
+ */
+export class ApiKeysTable {
+    /** @type {HTMLTableElement} */
+    #table;
+
+    constructor() {
+        this.build();
+    }
+
+    /**
+     * Return the HTML table that holds all API keys. */
+    table() { return this.#table; }
+
+    /**
+     * Build the API key table. Keys are populated asynchronously. */
+    build() {
+        this.#table = $append($table({ id : 'apiKeysTable' }),
+            $thead($append($tr(),
+                $td('Name'),
+                $td('Role'),
+                $td('Last Used'),
+                $td(''))
+            ),
+            $append($tbody(),
+                $tr({ class : 'noApiKeys' }, $td('Loading API keys...', { colspan : 4 })),
+                this.#newKeyRow())
+        );
+
+        this.#populate();
+    }
+
+    /**
+     * Retrieve all API keys from the server and add them to the table. */
+    async #populate() {
+        try {
+            this.#setKeys(await ServerCommands.getApiKeys());
+        } catch (err) {
+            errorToast(`Could not retrieve API keys: ${errorMessage(err)}`, 5000);
+            $$('.noApiKeys td', this.#table).innerText = 'Could not retrieve API keys';
+        }
+    }
+
+    /**
+     * Replace all existing key rows with the given keys.
+     * @param {ApiKeyInfo[]} keys */
+    #setKeys(keys) {
+        const tbody = $$('tbody', this.#table);
+        $('.apiKeyRow, .noApiKeys', tbody).forEach(tr => tbody.removeChild(tr));
+        const newRow = $$('.newApiKey', tbody);
+        for (const key of keys) {
+            tbody.insertBefore(this.#keyRow(key), newRow);
+        }
+    }
+
+    /**
+     * Return a table row for an existing API key.
+     * @param {ApiKeyInfo} key */
+    #keyRow(key) {
+        let lastUsed = $span('Never');
+        if (key.lastUsed) {
+            lastUsed = $span(getDisplayDate(key.lastUsed * 1000));
+            Tooltip.setTooltip(lastUsed, getFullDate(key.lastUsed * 1000));
+        }
+
+        const name = $span(key.name);
+        Tooltip.setTooltip(name, `Created ${getFullDate(key.created * 1000)}`);
+        const row = $append($tr({ class : 'apiKeyRow' }),
+            $td(name),
+            $td(RoleNames[key.role]),
+            $td(lastUsed),
+            $td(''));
+        this.#showDefaultActions(row, key);
+        return row;
+    }
+
+    /**
+     * Return the row used to create new API keys. */
+    #newKeyRow() {
+        const roleSelect = $append($select(), ...Object.values(UserRole).map(value => $option(RoleNames[value], value)));
+        roleSelect.value = UserRole.Viewer;
+        return $append($tr({ class : 'newApiKey' }),
+            $td($textInput({ placeholder : 'New key name', maxlength : 256 }, { keydown : this.#onNewKeyKeydown.bind(this) })),
+            $td(roleSelect),
+            $td(''),
+            $td(ButtonCreator.iconButton(Icons.Confirm, 'Create API key', ThemeColors.Green, this.#onAddKey.bind(this))));
+    }
+
+    /**
+     * @param {HTMLTableRowElement} row
+     * @param {ApiKeyInfo} key */
+    #showDefaultActions(row, key) {
+        this.#setActions(row,
+            ButtonCreator.iconButton(Icons.Delete, 'Revoke API key', ThemeColors.Red, () => this.#showRemoveConfirm(row, key)));
+    }
+
+    /**
+     * Ask for confirmation before revoking the given key.
+     * @param {HTMLTableRowElement} row
+     * @param {ApiKeyInfo} key */
+    #showRemoveConfirm(row, key) {
+        this.#setActions(row,
+            ButtonCreator.iconButton(Icons.Confirm, `Revoke ${key.name}`, ThemeColors.Red, this.#onRemoveKey.bind(this, key)),
+            ButtonCreator.iconButton(Icons.Cancel, 'Cancel', ThemeColors.Primary, () => this.#showDefaultActions(row, key)));
+    }
+
+    /**
+     * @param {HTMLTableRowElement} row
+     * @param {...HTMLElement} actions */
+    #setActions(row, ...actions) {
+        Tooltip.dismiss();
+        const cell = row.children[3];
+        cell.replaceChildren(...actions);
+    }
+
+    /**
+     * @param {ApiKeyInfo} key */
+    async #onRemoveKey(key) {
+        try {
+            this.#setKeys(await ServerCommands.removeApiKey(key.id));
+        } catch (err) {
+            errorToast(`Could not revoke API key: ${errorMessage(err)}`, 5000);
+        }
+    }
+
+    /**
+     * Add a new key if enter is pressed in the new key row.
+     * @param {KeyboardEvent} e */
+    #onNewKeyKeydown(e) {
+        if (e.key === 'Enter') {
+            // Don't submit the entire dialog.
+            e.preventDefault();
+            e.stopPropagation();
+            this.#onAddKey();
+        }
+    }
+
+    /**
+     * Create a new key based on the values in the new key row, and show it to the user,
+     * since this is the only time the server will ever return it. */
+    async #onAddKey() {
+        const row = $$('.newApiKey', this.#table);
+        const name = $$('input[type="text"]', row);
+        const role = $$('select', row);
+        if (!name.value.trim()) {
+            errorToast('A name is required to create an API key.');
+            return;
+        }
+
+        let newKey;
+        try {
+            newKey = await ServerCommands.addApiKey(name.value.trim(), parseInt(role.value));
+            name.value = '';
+            this.#setKeys(await ServerCommands.getApiKeys());
+        } catch (err) {
+            errorToast(`Could not create API key: ${errorMessage(err)}`, 5000);
+            return;
+        }
+
+        Log.info(`Created API key "${newKey.info.name}"`);
+        this.#showNewKey(newKey.key);
+    }
+
+    /**
+     * Show the given key below the new key row, replacing any previously created key.
+     * @param {string} key */
+    #showNewKey(key) {
+        const tbody = $$('tbody', this.#table);
+        $$('.newApiKeyValue', tbody)?.remove();
+        const keyInput = $textInput({ value : key, readonly : 1, class : 'apiKeyValue' }, { focus : e => e.target.select() });
+        const copy = ButtonCreator.iconButton(Icons.Confirm, 'Copy to clipboard', ThemeColors.Primary, async () => {
+            try {
+                await navigator.clipboard.writeText(key);
+            } catch (err) {
+                errorToast(`Could not copy API key: ${errorMessage(err)}`, 5000);
+            }
+        });
+
+        tbody.appendChild($append($tr({ class : 'newApiKeyValue' }),
+            $td($append($span(null),
+                $span(`Copy this key now, it won't be shown again: `),
+                keyInput,
+                copy), { colspan : 4 })));
+        keyInput.focus();
+    }
+}
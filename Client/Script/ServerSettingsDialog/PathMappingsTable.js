@@ -128,7 +128,7 @@ export class PathMappingsTable {
                 return;
             }
 
-            // pathMappings validation is the only response where we expect an encoded JSON response on error.
+            // pathMappings and webhooks validation are the only responses where we expect an encoded JSON response on error.
             /** @type {{ row: number, fromError?: string, toError?: string }[]} */
             let validationErrors;
             try {
@@ -15,8 +15,12 @@ import { ServerCommands } from '../Commands.js';
 
 import { buttonsFromConfigState, settingHolder, settingId, settingInput, settingsDialogIntro } from './ServerSettingsDialogHelper.js';
 import { SettingTitles, ValidationInputDelay } from './ServerSettingsDialogConstants.js';
+import { ApiKeysTable } from './ApiKeysTable.js';
 import { GetTooltip } from './ServerSettingsTooltips.js';
 import { PathMappingsTable } from './PathMappingsTable.js';
+import { SnapshotsTable } from './SnapshotsTable.js';
+import { UserManagementTable } from './UserManagementTable.js';
+import { WebhooksTable } from './WebhooksTable.js';
 
 
 /** @typedef {!import('/Shared/ServerConfig').SerializedConfig} SerializedConfig */
@@ -78,6 +82,8 @@ class ServerSettingsDialog {
     #inValidate = false;
     /** @type {PathMappingsTable} */
     #pathMappings;
+    /** @type {WebhooksTable} */
+    #webhooks;
 
     /**
      * @param {SerializedConfig} config */
@@ -136,7 +142,14 @@ class ServerSettingsDialog {
                         config.previewThumbnails,
                         this.#onPreviewThumbnailsChanged.bind(this)),
                     this.#buildBooleanSetting(ServerSettings.FFmpegThumbnails, config.preciseThumbnails),
+                    this.#buildNumberSetting(ServerSettings.AutoRestoreInterval, config.autoRestoreInterval, null, 0, 168),
+                    this.#buildAutoRestoreResolutionSetting(),
+                    this.#buildNumberSetting(ServerSettings.SnapshotCount, config.snapshotCount, null, 0, 100),
+                    this.#buildNumberSetting(ServerSettings.SnapshotMaxAge, config.snapshotMaxAge, null, 0, 365),
+                    this.#buildSnapshots(),
+                    this.#buildApiKeys(),
                     this.#buildPathMappings(),
+                    this.#buildWebhooks(),
                 ),
             ),
             $hr(),
@@ -552,6 +565,7 @@ class ServerSettingsDialog {
      *    * Session Timeout - how long before an inactive session is destroyed.
      *    * Username - the username required for authentication.
      *    * Password - the password required for authentication. This is a button that triggers #4
+     *    * Users - add/remove additional users and change their roles, if authentication is already set up.
      * 4. Password change - a collection of three "settings" that asks for the old password, the new password,
      *    and confirmation of the new password.
      *
@@ -617,13 +631,31 @@ class ServerSettingsDialog {
                     'Click to Change',
                     this.#showHidePasswordUpdate.bind(this),
                     subAttributes
-                )
+                ),
+                this.#buildUserManagement(subAttributes)
             ),
             $br(),
             newPassHolder
         ];
     }
 
+    /**
+     * Build the table of existing users. Only available when authentication has already been set up,
+     * as otherwise there's no admin account to manage other users with.
+     * @param {Object} attributes */
+    #buildUserManagement(attributes) {
+        if (!this.#initialValues.authEnabled.value || this.#initialValues.authPassword.value === null) {
+            return null;
+        }
+
+        const users = new UserManagementTable(this.#initialValues[ServerSettings.Username].value);
+        return $divHolder({ ...attributes, class : attributes.class + ' serverSetting' },
+            $append($span(null, { class : 'serverSettingTitle' }),
+                $label('Users', 'userManagementTable')
+            ),
+            $plainDivHolder(users.table()));
+    }
+
     /**
      * Callback invoked when the authentication is enabled/disabled in the dropdown.
      * When enabled, ensures all sub-settings are enabled. When disabled, ensures all
@@ -790,6 +822,53 @@ class ServerSettingsDialog {
         return this.#buildSettingEntry(ServerSettings.LogLevel, settings, input);
     }
 
+    /**
+     * Build the UI for the auto-restore conflict resolution dropdown. */
+    #buildAutoRestoreResolutionSetting() {
+        const settings = this.#initialValues.autoRestoreResolution;
+        const select = $append($select(null, this.#validateSingle.bind(this, ServerSettings.AutoRestoreResolution, false)),
+            $option('Overwrite', 'overwrite'),
+            $option('Merge', 'merge'),
+            $option('Ignore', 'ignore')
+        );
+
+        select.value = settings.value || settings.defaultValue;
+        select.addEventListener('keydown', this.#inputKeydownListener.bind(this));
+        return this.#buildSettingEntry(ServerSettings.AutoRestoreResolution, settings, $span(select, { class : 'selectHolder' }));
+    }
+
+    /**
+     * Build the list of available Plex database snapshots. Only available when we're connected
+     * to the database, as there's nothing to restore to (or from) otherwise. */
+    #buildSnapshots() {
+        if (this.#initialValues.state !== ServerConfigState.Valid) {
+            return null;
+        }
+
+        const snapshots = new SnapshotsTable();
+        return $divHolder({ class : 'serverSetting' },
+            $append($span(null, { class : 'serverSettingTitle' }),
+                $label('Snapshots', 'snapshotsTable')
+            ),
+            $plainDivHolder(snapshots.table()));
+    }
+
+    /**
+     * Build the list of REST API keys. Like snapshots, only available when we're connected to the
+     * database, as the API can't be used otherwise. */
+    #buildApiKeys() {
+        if (this.#initialValues.state !== ServerConfigState.Valid) {
+            return null;
+        }
+
+        const apiKeys = new ApiKeysTable();
+        return $divHolder({ class : 'serverSetting' },
+            $append($span(null, { class : 'serverSettingTitle' }),
+                $label('API Keys', 'apiKeysTable')
+            ),
+            $plainDivHolder(apiKeys.table()));
+    }
+
     /**
      * Build and return the editable path mappings table. */
     #buildPathMappings() {
@@ -797,6 +876,14 @@ class ServerSettingsDialog {
         return this.#buildSettingEntry(ServerSettings.PathMappings, this.#initialValues.pathMappings, this.#pathMappings.table());
     }
 
+    /**
+     * Build and return the editable webhooks table. Test payloads and the delivery log
+     * are only available if the server is fully running. */
+    #buildWebhooks() {
+        this.#webhooks = new WebhooksTable(this.#initialValues.webhooks, this.#initialValues.state === ServerConfigState.Valid);
+        return this.#buildSettingEntry(ServerSettings.Webhooks, this.#initialValues.webhooks, this.#webhooks.element());
+    }
+
     /**
      * Core routine that adds a new setting to the dialog.
      * @param {string} setting
@@ -1018,12 +1105,17 @@ class ServerSettingsDialog {
             ServerSettings.Port,
             ServerSettings.LogLevel,
             ServerSettings.PathMappings,
+            ServerSettings.Webhooks,
             ServerSettings.UseAuthentication,
             ServerSettings.SessionTimeout,
             ServerSettings.AutoOpen,
             ServerSettings.ExtendedStats,
             ServerSettings.PreviewThumbnails,
             ServerSettings.FFmpegThumbnails,
+            ServerSettings.AutoRestoreInterval,
+            ServerSettings.AutoRestoreResolution,
+            ServerSettings.SnapshotCount,
+            ServerSettings.SnapshotMaxAge,
         ]) {
             const input = settingInput(setting);
             /** @type {TypedSetting<any>} */
@@ -1149,6 +1241,9 @@ class ServerSettingsDialog {
             case ServerSettings.Port:
             case ServerSettings.SslPort:
             case ServerSettings.SessionTimeout:
+            case ServerSettings.AutoRestoreInterval:
+            case ServerSettings.SnapshotCount:
+            case ServerSettings.SnapshotMaxAge:
                 isNum = true;
                 // __fallthrough
             case ServerSettings.DataPath:
@@ -1162,6 +1257,7 @@ class ServerSettingsDialog {
             case ServerSettings.PemCert:
             case ServerSettings.PemKey:
             case ServerSettings.Username:
+            case ServerSettings.AutoRestoreResolution:
             {
                 let currentValue = settingInput(setting).value;
                 if (isNum && currentValue.length !== 0) {
@@ -1186,6 +1282,8 @@ class ServerSettingsDialog {
                 return this.#getCurrentBooleanSetting(setting);
             case ServerSettings.PathMappings:
                 return this.#pathMappings.getCurrentPathMappings();
+            case ServerSettings.Webhooks:
+                return this.#webhooks.getCurrentWebhooks();
             default:
                 throw new Error(`Unexpected server setting "${setting}"`);
         }
@@ -29,5 +29,10 @@ export const SettingTitles = {
     [ServerSettings.ExtendedStats] : 'Extended Marker Statistics',
     [ServerSettings.PreviewThumbnails] : 'Use Preview Thumbnails',
     [ServerSettings.FFmpegThumbnails] : 'Use FFmpeg for Thumbnails',
+    [ServerSettings.AutoRestoreInterval] : 'Auto-Restore Interval',
+    [ServerSettings.AutoRestoreResolution] : 'Auto-Restore Conflicts',
+    [ServerSettings.SnapshotCount] : 'Database Snapshots',
+    [ServerSettings.SnapshotMaxAge] : 'Snapshot Retention',
     [ServerSettings.PathMappings] : 'Path Mappings',
+    [ServerSettings.Webhooks] : 'Webhooks',
 };
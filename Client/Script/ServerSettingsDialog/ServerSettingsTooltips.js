@@ -164,11 +164,45 @@ function initializeServerSettingsTooltips() {
                 ),
             ),
         ),
+        [ServerSettings.AutoRestoreInterval] : createTooltip(
+            `How often (in hours) to automatically restore purged markers`,
+            `Plex can wipe out edited markers when it reanalyzes an item. If this is set, Marker Editor will periodically ` +
+            `look for markers that were purged and restore them without asking, letting you know what it restored the next ` +
+            `time you open Marker Editor. Must be between 0 and 168 (one week). 0 disables automatic restoration. ` +
+            `Requires extended marker statistics.`
+        ),
+        [ServerSettings.AutoRestoreResolution] : createTooltip(
+            `How to handle automatically restored markers that overlap existing markers`,
+            $append($ul(),
+                $append($li(), `Overwrite: Delete the existing marker and restore the purged one.`),
+                $append($li(), `Merge: Combine the existing and purged marker into a single marker that spans both.`),
+                $append($li(), `Ignore: Keep the existing marker and ignore the purged one.`),
+            ),
+        ),
+        [ServerSettings.SnapshotCount] : createTooltip(
+            `The number of Plex database snapshots to keep`,
+            `Before bulk deleting, bulk shifting, importing, or deleting all markers in a library, Marker Editor copies ` +
+            `the Plex database to the Backup/Snapshots folder, which can be restored from the list below if something ` +
+            `goes wrong. Must be between 0 and 100. 0 disables snapshots. Note that each snapshot is a full copy of ` +
+            `the Plex database, which can be quite large.`
+        ),
+        [ServerSettings.SnapshotMaxAge] : createTooltip(
+            `How long (in days) to keep Plex database snapshots`,
+            `Snapshots older than this are removed the next time a snapshot is taken. Must be between 0 and 365. ` +
+            `0 keeps snapshots regardless of age.`
+        ),
         [ServerSettings.PathMappings] : createTooltip(
             `Map paths first FFmpeg-based thumbnails`,
             `A list of "from" and "to" mappings that can map paths in your database to paths to local paths. This ` +
             `can be helpful if you're running Marker Editor on a different device than Plex itself.`
         ),
+        [ServerSettings.Webhooks] : createTooltip(
+            `URLs to notify when markers change`,
+            `Each webhook receives a JSON POST request whenever markers are added, edited, deleted, restored, or ` +
+            `purged, limited to the selected events. Payloads include the Plex GUID of each affected item. If a ` +
+            `secret is set, requests include an X-Marker-Editor-Signature header with the HMAC-SHA256 of the body. ` +
+            `Failed deliveries are retried a few times before giving up.`
+        ),
     };
 }
 
@@ -0,0 +1,159 @@
+import { $$, $append, $span, $table, $tbody, $td, $thead, $tr } from '../HtmlHelpers.js';
+import { errorMessage, errorToast } from '../ErrorHandling.js';
+import { getDisplayDate, getFullDate } from '../DateUtil.js';
+import ButtonCreator from '../ButtonCreator.js';
+import { ContextualLog } from '/Shared/ConsoleLog.js';
+import Icons from '../Icons.js';
+import Overlay from '../Overlay.js';
+import { PostCommands } from '/Shared/PostCommands.js';
+import { ServerCommands } from '../Commands.js';
+import { ThemeColors } from '../ThemeColors.js';
+import Tooltip from '../Tooltip.js';
+
+/** @typedef {!import('/Shared/PlexTypes').PlexDbSnapshot} PlexDbSnapshot */
+
+const Log = ContextualLog.Create('Snapshots');
+
+/** Descriptions of the commands that trigger a snapshot. */
+const SnapshotReasons = {
+    [PostCommands.Nuke] : 'Delete all markers',
+    [PostCommands.BulkDelete] : 'Bulk delete',
+    [PostCommands.BulkDeleteItems] : 'Bulk delete (multiple items)',
+    [PostCommands.ShiftMarkers] : 'Bulk shift',
+    [PostCommands.ShiftItems] : 'Bulk shift (multiple items)',
+    [PostCommands.ImportDb] : 'Import markers',
+    [PostCommands.RestoreSnapshot] : 'Restore snapshot',
+};
+
+/**
+ * Encapsulates the UI of the Plex database snapshot table in the server settings dialog.
+ * Like user management, restoring a snapshot happens immediately, outside of the normal apply flow.
+ */
+export class SnapshotsTable {
+    /** @type {HTMLTableElement} */
+    #table;
+
+    constructor() {
+        this.build();
+    }
+
+    /**
+     * Return the HTML table that holds all snapshots. */
+    table() { return this.#table; }
+
+    /**
+     * Build the snapshot table. Snapshots are populated asynchronously. */
+    build() {
+        this.#table = $append($table({ id : 'snapshotsTable' }),
+            $thead($append($tr(),
+                $td('Taken'),
+                $td('Before'),
+                $td('Size'),
+                $td(''))
+            ),
+            $append($tbody(),
+                $tr({ class : 'noSnapshots' }, $td('Loading snapshots...', { colspan : 4 })))
+        );
+
+        this.#populate();
+    }
+
+    /**
+     * Retrieve all snapshots from the server and add them to the table. */
+    async #populate() {
+        const tbody = $$('tbody', this.#table);
+        /** @type {PlexDbSnapshot[]} */
+        let snapshots;
+        try {
+            snapshots = await ServerCommands.getSnapshots();
+        } catch (err) {
+            errorToast(`Could not retrieve snapshots: ${errorMessage(err)}`, 5000);
+            $$('.noSnapshots td', this.#table).innerText = 'Could not retrieve snapshots';
+            return;
+        }
+
+        if (snapshots.length === 0) {
+            $$('.noSnapshots td', this.#table).innerText = 'No snapshots available';
+            return;
+        }
+
+        tbody.replaceChildren(...snapshots.map(snapshot => this.#snapshotRow(snapshot)));
+    }
+
+    /**
+     * Return a table row for the given snapshot.
+     * @param {PlexDbSnapshot} snapshot */
+    #snapshotRow(snapshot) {
+        const date = $span(getDisplayDate(snapshot.created));
+        Tooltip.setTooltip(date, getFullDate(snapshot.created));
+        const row = $append($tr({ class : 'snapshotRow' }),
+            $td(date),
+            $td(SnapshotReasons[snapshot.reason] ?? snapshot.reason),
+            $td(`${(snapshot.size / 1024 / 1024).toFixed(1)} MB`),
+            $td(''));
+        this.#showDefaultActions(row, snapshot);
+        return row;
+    }
+
+    /**
+     * @param {HTMLTableRowElement} row
+     * @param {PlexDbSnapshot} snapshot */
+    #showDefaultActions(row, snapshot) {
+        this.#setActions(row,
+            ButtonCreator.iconButton(Icons.Undo, 'Restore snapshot', ThemeColors.Primary, () => this.#showRestoreConfirm(row, snapshot)));
+    }
+
+    /**
+     * Ask for confirmation before restoring the given snapshot.
+     * @param {HTMLTableRowElement} row
+     * @param {PlexDbSnapshot} snapshot */
+    #showRestoreConfirm(row, snapshot) {
+        this.#setActions(row,
+            ButtonCreator.iconButton(Icons.Confirm,
+                'Replace the Plex database with this snapshot. Plex should be shut down first.',
+                ThemeColors.Red,
+                this.#onRestore.bind(this, snapshot)),
+            ButtonCreator.iconButton(Icons.Cancel, 'Cancel', ThemeColors.Primary, () => this.#showDefaultActions(row, snapshot)));
+    }
+
+    /**
+     * @param {HTMLTableRowElement} row
+     * @param {...HTMLElement} actions */
+    #setActions(row, ...actions) {
+        Tooltip.dismiss();
+        const cell = row.children[3];
+        cell.replaceChildren(...actions);
+    }
+
+    /**
+     * Suspend the server, restore the given snapshot, and resume. Everything the client knows about
+     * is potentially out of date afterwards, so the page has to be reloaded.
+     * @param {PlexDbSnapshot} snapshot */
+    async #onRestore(snapshot) {
+        let restoreError;
+        try {
+            await ServerCommands.suspend();
+        } catch (err) {
+            errorToast(`Could not suspend the server to restore the snapshot: ${errorMessage(err)}`, 5000);
+            return;
+        }
+
+        try {
+            await ServerCommands.restoreSnapshot(snapshot.name);
+            Log.info(`Restored snapshot ${snapshot.name}`);
+        } catch (err) {
+            restoreError = err;
+        }
+
+        try {
+            await ServerCommands.resume();
+        } catch (err) {
+            Log.error(errorMessage(err), 'Failed to resume server after restoring snapshot');
+        }
+
+        const message = restoreError ?
+            `Could not restore snapshot: ${errorMessage(restoreError)}` :
+            `Snapshot restored! Press 'Reload' below to reload this page with the restored markers.`;
+        Overlay.show(message, 'Reload', () => { window.location.reload(); }, false /*dismissible*/);
+    }
+}
@@ -0,0 +1,263 @@
+import { $, $$, $append, $option, $passwordInput, $select, $table, $tbody, $td, $textInput, $thead, $tr } from '../HtmlHelpers.js';
+import { errorMessage, errorToast } from '../ErrorHandling.js';
+import ButtonCreator from '../ButtonCreator.js';
+import { ContextualLog } from '/Shared/ConsoleLog.js';
+import Icons from '../Icons.js';
+import { ServerCommands } from '../Commands.js';
+import { ThemeColors } from '../ThemeColors.js';
+import Tooltip from '../Tooltip.js';
+import { UserRole } from '/Shared/PostCommands.js';
+
+/** @typedef {{ username: string, role: number }} UserInfo */
+
+const Log = ContextualLog.Create('UserManagement');
+
+/** Display names for each UserRole. */
+const RoleNames = {
+    [UserRole.Viewer] : 'Viewer',
+    [UserRole.Editor] : 'Editor',
+    [UserRole.Admin] : 'Admin',
+};
+
+/**
+ * Encapsulates the UI of the user management table in the server settings dialog.
+ * Unlike other settings, changes are applied immediately, as users aren't part of the config file.
+ */
+export class UserManagementTable {
+    /** @type {HTMLTableElement} */
+    #table;
+    /** The username of the signed-in user, who can't remove themselves or revoke their own admin access. */
+    #currentUser;
+
+    /**
+     * @param {string} currentUser */
+    constructor(currentUser) {
+        this.#currentUser = currentUser.toLowerCase();
+        this.build();
+    }
+
+    /**
+     * Return the HTML table that holds all users. */
+    table() { return this.#table; }
+
+    /**
+     * Build the user table. Users are populated asynchronously. */
+    build() {
+        this.#table = $append($table({ id : 'userManagementTable' }),
+            $thead($append($tr(),
+                $td('User'),
+                $td('Role'),
+                $td(''))
+            ),
+            $append($tbody(),
+                $tr({ class : 'noUsers' }, $td('Loading users...', { colspan : 3 })),
+                this.#newUserRow())
+        );
+
+        this.#populate();
+    }
+
+    /**
+     * Retrieve all users from the server and add them to the table. */
+    async #populate() {
+        try {
+            this.#setUsers(await ServerCommands.getUsers());
+        } catch (err) {
+            errorToast(`Could not retrieve users: ${errorMessage(err)}`, 5000);
+            $$('.noUsers td', this.#table).innerText = 'Could not retrieve users';
+        }
+    }
+
+    /**
+     * Replace all existing user rows with the given users.
+     * @param {UserInfo[]} users */
+    #setUsers(users) {
+        const tbody = $$('tbody', this.#table);
+        $('.userRow, .noUsers', tbody).forEach(tr => tbody.removeChild(tr));
+        for (const user of users) {
+            tbody.insertBefore(this.#userRow(user), tbody.lastChild);
+        }
+    }
+
+    /**
+     * Return a table row for an existing user.
+     * @param {UserInfo} user */
+    #userRow(user) {
+        const isSelf = user.username.toLowerCase() === this.#currentUser;
+        const roleSelect = this.#roleSelect(user.role, this.#onRoleChanged.bind(this, user));
+        if (isSelf) {
+            roleSelect.setAttribute('disabled', 1);
+            Tooltip.setTooltip(roleSelect, `You can't change your own role.`);
+        }
+
+        const row = $append($tr({ class : 'userRow' }),
+            $td(user.username, { class : 'userName' }),
+            $td(roleSelect),
+            $td(''));
+        this.#showDefaultActions(row, user, isSelf);
+        return row;
+    }
+
+    /**
+     * Return the row used to create new users. */
+    #newUserRow() {
+        const password = $passwordInput({ placeholder : 'Password' }, { keydown : this.#onNewUserKeydown.bind(this) });
+        return $append($tr({ class : 'newUser' }),
+            $td($textInput({ placeholder : 'New username', maxlength : 256 }, { keydown : this.#onNewUserKeydown.bind(this) })),
+            $td(this.#roleSelect(UserRole.Editor)),
+            $append($td(password),
+                ButtonCreator.iconButton(Icons.Confirm, 'Add user', ThemeColors.Green, this.#onAddUser.bind(this))));
+    }
+
+    /**
+     * Return a dropdown containing all roles.
+     * @param {number} role The initially selected role.
+     * @param {(e: Event) => void} [onChange] */
+    #roleSelect(role, onChange) {
+        const select = $append($select(null, onChange),
+            ...Object.values(UserRole).map(value => $option(RoleNames[value], value)));
+        select.value = role;
+        return select;
+    }
+
+    /**
+     * Show the standard reset password/remove buttons for the given user.
+     * @param {HTMLTableRowElement} row
+     * @param {UserInfo} user
+     * @param {boolean} isSelf */
+    #showDefaultActions(row, user, isSelf) {
+        const actions = [
+            ButtonCreator.iconButton(Icons.Edit, 'Reset password', ThemeColors.Primary, () => this.#showResetPassword(row, user, isSelf)),
+        ];
+
+        if (!isSelf) {
+            actions.push(ButtonCreator.iconButton(Icons.Delete, 'Remove user', ThemeColors.Red, () => this.#showRemoveConfirm(row, user)));
+        }
+
+        this.#setActions(row, ...actions);
+    }
+
+    /**
+     * Replace the user's actions with a new password input.
+     * @param {HTMLTableRowElement} row
+     * @param {UserInfo} user
+     * @param {boolean} isSelf */
+    #showResetPassword(row, user, isSelf) {
+        const cancel = () => this.#showDefaultActions(row, user, isSelf);
+        const confirm = () => this.#onResetPassword(user, password.value, cancel);
+        const password = $passwordInput({ placeholder : 'New password' }, {
+            keydown : e => {
+                if (e.key === 'Enter') {
+                    e.preventDefault();
+                    confirm();
+                } else if (e.key === 'Escape') {
+                    e.preventDefault();
+                    e.stopPropagation();
+                    cancel();
+                }
+            }
+        });
+
+        this.#setActions(row,
+            password,
+            ButtonCreator.iconButton(Icons.Confirm, 'Set password', ThemeColors.Green, confirm),
+            ButtonCreator.iconButton(Icons.Cancel, 'Cancel', ThemeColors.Red, cancel));
+        password.focus();
+    }
+
+    /**
+     * Ask for confirmation before removing the given user.
+     * @param {HTMLTableRowElement} row
+     * @param {UserInfo} user */
+    #showRemoveConfirm(row, user) {
+        this.#setActions(row,
+            ButtonCreator.iconButton(Icons.Confirm, `Remove ${user.username}`, ThemeColors.Red, this.#onRemoveUser.bind(this, user)),
+            ButtonCreator.iconButton(Icons.Cancel, 'Cancel', ThemeColors.Primary, () => this.#showDefaultActions(row, user, false)));
+    }
+
+    /**
+     * @param {HTMLTableRowElement} row
+     * @param {...HTMLElement} actions */
+    #setActions(row, ...actions) {
+        Tooltip.dismiss();
+        const cell = row.children[2];
+        cell.replaceChildren(...actions);
+    }
+
+    /**
+     * Change the role of the given user, reverting the selection if it fails.
+     * @param {UserInfo} user
+     * @param {Event} e */
+    async #onRoleChanged(user, e) {
+        /** @type {HTMLSelectElement} */
+        const select = e.target;
+        try {
+            this.#setUsers(await ServerCommands.setUserRole(user.username, parseInt(select.value)));
+        } catch (err) {
+            errorToast(`Could not change role: ${errorMessage(err)}`, 5000);
+            select.value = user.role;
+        }
+    }
+
+    /**
+     * @param {UserInfo} user
+     * @param {string} newPassword
+     * @param {() => void} onSuccess */
+    async #onResetPassword(user, newPassword, onSuccess) {
+        if (!newPassword) {
+            errorToast('New password cannot be empty.');
+            return;
+        }
+
+        try {
+            await ServerCommands.resetUserPassword(user.username, newPassword);
+            Log.info(`Reset password for ${user.username}`);
+            onSuccess();
+        } catch (err) {
+            errorToast(`Could not reset password: ${errorMessage(err)}`, 5000);
+        }
+    }
+
+    /**
+     * @param {UserInfo} user */
+    async #onRemoveUser(user) {
+        try {
+            this.#setUsers(await ServerCommands.removeUser(user.username));
+        } catch (err) {
+            errorToast(`Could not remove user: ${errorMessage(err)}`, 5000);
+        }
+    }
+
+    /**
+     * Add a new user if enter is pressed in the new user row.
+     * @param {KeyboardEvent} e */
+    #onNewUserKeydown(e) {
+        if (e.key === 'Enter') {
+            // Don't submit the entire dialog.
+            e.preventDefault();
+            e.stopPropagation();
+            this.#onAddUser();
+        }
+    }
+
+    /**
+     * Create a new user based on the values in the new user row. */
+    async #onAddUser() {
+        const row = $$('.newUser', this.#table);
+        const username = $$('input[type="text"]', row);
+        const password = $$('input[type="password"]', row);
+        const role = $$('select', row);
+        if (!username.value || !password.value) {
+            errorToast('Username and password are required to add a user.');
+            return;
+        }
+
+        try {
+            this.#setUsers(await ServerCommands.addUser(username.value, password.value, parseInt(role.value)));
+            username.value = '';
+            password.value = '';
+        } catch (err) {
+            errorToast(`Could not add user: ${errorMessage(err)}`, 5000);
+        }
+    }
+}
@@ -0,0 +1,364 @@
+import { $, $$, $append, $checkbox, $div, $label, $span, $table, $tbody, $td, $textInput, $thead, $tr } from '../HtmlHelpers.js';
+import { errorMessage, errorToast } from '../ErrorHandling.js';
+import { getDisplayDate, getFullDate } from '../DateUtil.js';
+import { ServerSettings, Setting, WebhookEvent } from '/Shared/ServerConfig.js';
+import { Theme, ThemeColors } from '../ThemeColors.js';
+import ButtonCreator from '../ButtonCreator.js';
+import { ContextualLog } from '/Shared/ConsoleLog.js';
+import { flashBackground } from '../AnimationHelpers.js';
+import Icons from '../Icons.js';
+import { ServerCommands } from '../Commands.js';
+import { settingId } from './ServerSettingsDialogHelper.js';
+import Tooltip from '../Tooltip.js';
+import { ValidationInputDelay } from './ServerSettingsDialogConstants.js';
+
+/** @typedef {!import('/Shared/PlexTypes').WebhookDelivery} WebhookDelivery */
+/** @typedef {!import('/Shared/ServerConfig').Webhook} Webhook */
+/**
+ * @template T
+ * @typedef {!import('/Shared/ServerConfig').TypedSetting<T>} TypedSetting<T>
+ * */
+
+const Log = ContextualLog.Create('Webhooks');
+
+/** Display names for each WebhookEvent. */
+const EventNames = {
+    [WebhookEvent.Added] : 'Added',
+    [WebhookEvent.Edited] : 'Edited',
+    [WebhookEvent.Deleted] : 'Deleted',
+    [WebhookEvent.Restored] : 'Restored',
+    [WebhookEvent.Purged] : 'Purged',
+};
+
+/**
+ * Encapsulates the UI of the editable webhooks table in the server settings dialog, along
+ * with the ability to send test payloads and view recent deliveries.
+ */
+export class WebhooksTable {
+    /** @type {HTMLDivElement} */
+    #holder;
+    /** @type {HTMLTableElement} */
+    #table;
+    /** @type {Setting<Webhook[]>} */
+    #initialValue;
+    /** Whether we can talk to the server about anything other than the config itself.
+     * @type {boolean} */
+    #connected;
+
+    /** @type {number} */
+    #keyupTimer;
+
+    /** Incremented for every row so event checkboxes have unique ids for their labels. */
+    #rowCount = 0;
+
+    /**
+     * @param {TypedSetting<Webhook[]>} initialValue
+     * @param {boolean} connected Whether the server is fully running, which is required to test webhooks. */
+    constructor(initialValue, connected) {
+        this.#initialValue = new Setting().setFromSerialized(initialValue);
+        this.#connected = connected;
+        this.build();
+    }
+
+    /**
+     * Return the element that holds the webhooks table and delivery log. */
+    element() { return this.#holder; }
+
+    /**
+     * Build the webhooks table based on the initial webhooks. */
+    build() {
+        const tbody = $tbody();
+        this.#table = $append($table({ id : settingId(ServerSettings.Webhooks) }),
+            $thead($append($tr(),
+                $td('URL'),
+                $td('Events'),
+                $td('Secret'),
+                $td(''))
+            ),
+            tbody
+        );
+
+        this.#table.addEventListener('change', this.#onWebhooksChanged.bind(this));
+
+        const webhooks = this.#initialValue.value();
+        for (const webhook of webhooks) {
+            tbody.appendChild(this.#webhookRow(webhook));
+        }
+
+        if (webhooks.length === 0) {
+            tbody.appendChild(this.#noWebhooksRow());
+        }
+
+        tbody.appendChild($append($tr({ class : 'newWebhook' }),
+            $td(ButtonCreator.textButton('New Webhook', this.#onNewWebhook.bind(this)), { colspan : 4 })
+        ));
+
+        this.#holder = $append($div({ class : 'webhooksHolder' }), this.#table);
+        if (this.#connected) {
+            this.#holder.appendChild($append($div({ class : 'webhookLog' }),
+                ButtonCreator.textButton('Show Recent Deliveries', this.#onToggleLog.bind(this))));
+        }
+    }
+
+    /**
+     * Return a "no webhooks" spanning table row. */
+    #noWebhooksRow() {
+        return $tr({ class : 'noWebhooks' }, $td('No webhooks', { colspan : 4 }));
+    }
+
+    /**
+     * Return an editable webhook row with the given initial values.
+     * @param {Webhook} [webhook] */
+    #webhookRow(webhook={}) {
+        const urlAttrib = webhook.url ? { value : webhook.url } : {};
+        const secretAttrib = webhook.secret ? { value : webhook.secret } : {};
+
+        /** @type {() => void} */
+        const autoValidate = function () {
+            if (this.#keyupTimer) {
+                clearTimeout(this.#keyupTimer);
+            }
+
+            this.#keyupTimer = setTimeout(this.#onWebhooksChanged.bind(this), ValidationInputDelay);
+        }.bind(this);
+
+        const rowId = ++this.#rowCount;
+        const events = $span(null, { class : 'webhookEvents' });
+        for (const [event, name] of Object.entries(EventNames)) {
+            const id = `webhookEvent_${rowId}_${event}`;
+            const checkbox = $checkbox({ id : id, value : event });
+            checkbox.checked = !webhook.events || webhook.events.includes(event);
+            $append(events, $append($span(), checkbox, $label(name, id)));
+        }
+
+        const actions = $td(ButtonCreator.iconButton(Icons.Delete, 'Delete webhook', ThemeColors.Red, this.#onDeleteWebhook.bind(this)));
+        if (this.#connected) {
+            actions.insertBefore(
+                ButtonCreator.iconButton(Icons.Play, 'Send test payload', ThemeColors.Primary, this.#onTestWebhook.bind(this)),
+                actions.firstChild);
+        }
+
+        return $append($tr({ class : 'realWebhook' }),
+            $td($textInput({ placeholder : 'https://example.com/webhook', ...urlAttrib }, { keyup : autoValidate })),
+            $td(events),
+            $td($textInput({ placeholder : 'Optional', ...secretAttrib }, { keyup : autoValidate })),
+            actions,
+        );
+    }
+
+    /**
+     * Return the webhook represented by the given row.
+     * @param {HTMLTableRowElement} row
+     * @returns {Webhook} */
+    #rowValue(row) {
+        const url = $$('input', row.children[0]).value.trim();
+        const secret = $$('input', row.children[2]).value;
+        const allEvents = Array.from($('input[type="checkbox"]', row.children[1]));
+        const events = allEvents.filter(checkbox => checkbox.checked).map(checkbox => checkbox.value);
+
+        /** @type {Webhook} */
+        const webhook = { url };
+        if (events.length !== allEvents.length) {
+            webhook.events = events;
+        }
+
+        if (secret) {
+            webhook.secret = secret;
+        }
+
+        return webhook;
+    }
+
+    /**
+     * Validates webhooks when a value changes.
+     * @param {Event} _e */
+    async #onWebhooksChanged(_e) {
+        /** @type {HTMLTableRowElement[]} */
+        const realWebhooks = Array.from($('.realWebhook', this.#table));
+        if (realWebhooks.length === 0) {
+            this.#table.classList.remove('invalid');
+            return;
+        }
+
+        $('td input, td .webhookEvents', this.#table).forEach(input => {
+            input.classList.remove('invalid');
+            Tooltip.removeTooltip(input);
+        });
+
+        const newSetting = this.getCurrentWebhooks();
+
+        try {
+            const result = await ServerCommands.validateConfigValue(ServerSettings.Webhooks, JSON.stringify(newSetting));
+            if (result.isValid) {
+                Tooltip.removeTooltip(this.#table);
+                return;
+            }
+
+            /** @type {{ row: number, urlError?: string, eventsError?: string, secretError?: string }[]} */
+            let validationErrors;
+            try {
+                validationErrors = JSON.parse(result.invalidMessage);
+            } catch (_ex) {
+                const message = `Could not validate webhooks - invalid request: "${result.invalidMessage}"`;
+                errorToast(message, 5000);
+                this.#table.classList.add('invalid');
+                Tooltip.setTooltip(this.#table, message);
+                return;
+            }
+
+            // Rows without a URL aren't sent to the server, so map validation rows back to table rows.
+            const validatedRows = realWebhooks.filter(row => this.#rowValue(row).url);
+            Log.assert(validationErrors.length <= validatedRows.length);
+            for (const validationError of validationErrors) {
+                const row = validatedRows[validationError.row];
+                for (const [error, column] of [['urlError', 0], ['eventsError', 1], ['secretError', 2]]) {
+                    if (!validationError[error]) {
+                        continue;
+                    }
+
+                    const input = $$('input[type="text"], .webhookEvents', row.children[column]);
+                    Tooltip.setTooltip(input, validationError[error]);
+                    input.classList.add('invalid');
+                }
+            }
+        } catch (ex) {
+            errorToast(`Could not validate webhooks: ${errorMessage(ex)}`, 5000);
+            this.#table.classList.add('invalid');
+        }
+    }
+
+    /**
+     * Return the current webhooks, ignoring any rows without a URL.
+     * @returns {TypedSetting<Webhook[]>} */
+    getCurrentWebhooks() {
+        /** @type {HTMLTableRowElement[]} */
+        const realWebhooks = Array.from($('.realWebhook', this.#table) || []);
+        const newWebhooks = realWebhooks.map(row => this.#rowValue(row)).filter(webhook => webhook.url);
+        return {
+            value : newWebhooks.length === 0 ? null : newWebhooks,
+            defaultValue : [],
+            isInvalid : false,
+        };
+    }
+
+    /**
+     * Send a test payload to the webhook this row belongs to. Uses the current values of the row,
+     * so webhooks can be tested before they're saved.
+     * @param {MouseEvent} _e
+     * @param {HTMLElement} button */
+    async #onTestWebhook(_e, button) {
+        const webhook = this.#rowValue(button.parentElement.parentElement);
+        if (!webhook.url) {
+            errorToast('Enter a URL before sending a test payload.');
+            return;
+        }
+
+        ButtonCreator.setIcon(button, Icons.Loading, ThemeColors.Primary);
+        let success = false;
+        try {
+            const delivery = await ServerCommands.testWebhook(webhook.url, webhook.secret ?? '');
+            success = delivery.success;
+            if (!success) {
+                errorToast(`Webhook test failed: ${delivery.error}`, 5000);
+            }
+        } catch (err) {
+            errorToast(`Could not test webhook: ${errorMessage(err)}`, 5000);
+        }
+
+        ButtonCreator.setIcon(button, Icons.Play, ThemeColors.Primary);
+        flashBackground(button, Theme.getHex(success ? ThemeColors.Green : ThemeColors.Red, 8), 2000);
+        const log = $$('.webhookDeliveries', this.#holder);
+        if (log) {
+            await this.#populateLog(log);
+        }
+    }
+
+    /**
+     * Delete the webhook that this row belongs to.
+     * @param {MouseEvent} _e
+     * @param {HTMLElement} button */
+    #onDeleteWebhook(_e, button) {
+        /** @type {HTMLTableRowElement} */
+        const tr = button.parentElement.parentElement;
+        Tooltip.dismiss();
+        const tbody = tr.parentElement;
+        tbody.removeChild(tr);
+        if (tbody.childNodes.length === 1) {
+            tbody.insertBefore(this.#noWebhooksRow(), tbody.lastChild);
+        }
+    }
+
+    /**
+     * Add a new webhook row.
+     * @param {MouseEvent} _e
+     * @param {HTMLElement} _button */
+    #onNewWebhook(_e, _button) {
+        const tbody = $$('tbody', this.#table);
+        $$('.noWebhooks', tbody)?.remove();
+        const newRow = this.#webhookRow();
+        tbody.insertBefore(newRow, tbody.lastChild);
+        $$('input', newRow)?.focus();
+    }
+
+    /**
+     * Show or hide the recent deliveries table.
+     * @param {MouseEvent} _e
+     * @param {HTMLElement} button */
+    async #onToggleLog(_e, button) {
+        const existing = $$('.webhookDeliveries', this.#holder);
+        if (existing) {
+            existing.remove();
+            ButtonCreator.setText(button, 'Show Recent Deliveries');
+            return;
+        }
+
+        const log = $append($table({ class : 'webhookDeliveries' }),
+            $thead($append($tr(),
+                $td('Sent'),
+                $td('Event'),
+                $td('URL'),
+                $td('Result'))
+            ),
+            $tbody());
+        this.#holder.appendChild(log);
+        ButtonCreator.setText(button, 'Hide Recent Deliveries');
+        await this.#populateLog(log);
+    }
+
+    /**
+     * Retrieve the most recent deliveries from the server and add them to the given table.
+     * @param {HTMLTableElement} log */
+    async #populateLog(log) {
+        const tbody = $$('tbody', log);
+        /** @type {WebhookDelivery[]} */
+        let deliveries;
+        try {
+            deliveries = await ServerCommands.getWebhookLog();
+        } catch (err) {
+            errorToast(`Could not retrieve webhook deliveries: ${errorMessage(err)}`, 5000);
+            tbody.replaceChildren($tr({}, $td('Could not retrieve webhook deliveries', { colspan : 4 })));
+            return;
+        }
+
+        if (deliveries.length === 0) {
+            tbody.replaceChildren($tr({ class : 'noWebhooks' }, $td('No webhooks have been sent', { colspan : 4 })));
+            return;
+        }
+
+        tbody.replaceChildren(...deliveries.map(delivery => {
+            const sent = $span(getDisplayDate(delivery.sentAt * 1000));
+            Tooltip.setTooltip(sent, getFullDate(delivery.sentAt * 1000));
+            const result = $span(delivery.success ? `OK (${delivery.status})` : `Failed: ${delivery.error}`,
+                { class : delivery.success ? 'webhookSuccess' : 'webhookFailure' });
+            if (delivery.attempts > 1) {
+                Tooltip.setTooltip(result, `${delivery.attempts} attempts`);
+            }
+
+            return $append($tr(),
+                $td(sent),
+                $td(EventNames[delivery.event] ?? 'Test'),
+                $td($span(delivery.url, { class : 'webhookUrl' })),
+                $td(result));
+        }));
+    }
+}
@@ -0,0 +1,274 @@
+import { bindingFromEvent, displayBinding } from './KeyBindings.js';
+import { ClientSettings } from './ClientSettings.js';
+import { ContextualLog } from '/Shared/ConsoleLog.js';
+
+const Log = ContextualLog.Create('Shortcuts');
+
+/**
+ * All keyboard shortcuts that can be customized by the user.
+ * @enum */
+export const Shortcut = {
+    /**@readonly*/ CommandPalette   : 'commandPalette',
+    /**@readonly*/ ShortcutHelp     : 'shortcutHelp',
+    /**@readonly*/ FocusSearch      : 'focusSearch',
+    /**@readonly*/ Undo             : 'undo',
+    /**@readonly*/ Redo             : 'redo',
+    /**@readonly*/ SetIntro         : 'setIntro',
+    /**@readonly*/ SetCredits       : 'setCredits',
+    /**@readonly*/ SetAd            : 'setAd',
+    /**@readonly*/ ConfirmEdit      : 'confirmEdit',
+    /**@readonly*/ CancelEdit       : 'cancelEdit',
+    /**@readonly*/ InsertEnd        : 'insertEnd',
+    /**@readonly*/ ToggleThumbnails : 'toggleThumbnails',
+};
+
+/**
+ * The groups shortcuts are listed under in the shortcut overlay. Shortcuts in the same
+ * category are active at the same time, so they can't share a binding.
+ * @enum */
+export const ShortcutCategory = {
+    /**@readonly*/ General    : 'General',
+    /**@readonly*/ MarkerEdit : 'Adding/Editing Markers',
+    /**@readonly*/ TimeInput  : 'Time Inputs',
+    /**@readonly*/ Navigation : 'Marker Table Navigation',
+};
+
+/**
+ * @typedef {Object} ShortcutDefinition
+ * @property {string} category The ShortcutCategory of the shortcut.
+ * @property {string} description
+ * @property {string[]} defaults The default key bindings of the shortcut.
+ *
+ * @typedef {Object} FixedShortcut A shortcut that can't be customized, but is still listed in the shortcut overlay.
+ * @property {string} category
+ * @property {string} description
+ * @property {string[]} keys
+ */
+
+/** @type {{ [shortcut: string]: ShortcutDefinition }} */
+const ShortcutDefinitions = {
+    [Shortcut.CommandPalette] : {
+        category : ShortcutCategory.General,
+        description : 'Open the command palette',
+        defaults : ['Ctrl+K'] },
+    [Shortcut.ShortcutHelp] : {
+        category : ShortcutCategory.General,
+        description : 'Show keyboard shortcuts',
+        defaults : ['?'] },
+    [Shortcut.FocusSearch] : {
+        category : ShortcutCategory.General,
+        description : 'Focus the search box',
+        defaults : ['/'] },
+    [Shortcut.Undo] : {
+        category : ShortcutCategory.General,
+        description : 'Undo the last marker change',
+        defaults : ['Ctrl+Z'] },
+    [Shortcut.Redo] : {
+        category : ShortcutCategory.General,
+        description : 'Redo the last undone marker change',
+        defaults : ['Ctrl+Y'] },
+    [Shortcut.SetIntro] : {
+        category : ShortcutCategory.MarkerEdit,
+        description : 'Set the marker type to Intro',
+        defaults : ['I'] },
+    [Shortcut.SetCredits] : {
+        category : ShortcutCategory.MarkerEdit,
+        description : 'Set the marker type to Credits',
+        defaults : ['C'] },
+    [Shortcut.SetAd] : {
+        category : ShortcutCategory.MarkerEdit,
+        description : 'Set the marker type to Ad',
+        defaults : ['A'] },
+    [Shortcut.ConfirmEdit] : {
+        category : ShortcutCategory.MarkerEdit,
+        description : 'Save the marker',
+        defaults : ['Ctrl+Enter', 'Shift+Enter'] },
+    [Shortcut.CancelEdit] : {
+        category : ShortcutCategory.MarkerEdit,
+        description : 'Cancel the edit',
+        defaults : ['Escape'] },
+    [Shortcut.InsertEnd] : {
+        category : ShortcutCategory.MarkerEdit,
+        description : 'Set the end time to the end of the episode/movie',
+        defaults : ['Ctrl+Shift+E'] },
+    [Shortcut.ToggleThumbnails] : {
+        category : ShortcutCategory.MarkerEdit,
+        description : 'Show/hide preview thumbnails',
+        defaults : ['T'] },
+};
+
+/** @type {FixedShortcut[]} */
+const FixedShortcuts = [
+    { category : ShortcutCategory.TimeInput, keys : ['-', '='], description : 'Subtract/add 10 seconds' },
+    { category : ShortcutCategory.TimeInput, keys : ['_', 'Plus'], description : 'Subtract/add 1 minute' },
+    { category : ShortcutCategory.TimeInput, keys : ['[', ']'], description : 'Subtract/add 1 second' },
+    { category : ShortcutCategory.TimeInput, keys : ['{', '}'], description : 'Subtract/add 0.1 seconds' },
+    { category : ShortcutCategory.TimeInput, keys : ['\\'], description : 'Round to the nearest second' },
+    { category : ShortcutCategory.TimeInput, keys : ['|'], description : 'Round to the nearest tenth of a second' },
+    { category : ShortcutCategory.TimeInput, keys : ['Alt'], description : 'Hold with any of the above to multiply by 5' },
+    { category : ShortcutCategory.Navigation, keys : ['ArrowUp', 'ArrowDown'], description : 'Previous/next row' },
+    {
+        category : ShortcutCategory.Navigation,
+        keys : ['ArrowLeft', 'ArrowRight'],
+        description : 'Previous/next input, or hide/show a marker table' },
+    { category : ShortcutCategory.Navigation, keys : ['Ctrl+ArrowUp', 'Ctrl+ArrowDown'], description : 'First/last row' },
+    { category : ShortcutCategory.Navigation, keys : ['Alt+ArrowUp', 'Alt+ArrowDown'], description : 'Previous/next episode or movie' },
+    { category : ShortcutCategory.Navigation, keys : ['Shift+ArrowUp', 'Shift+ArrowDown'], description : 'Previous/next marker table' },
+    { category : ShortcutCategory.Navigation, keys : ['Ctrl+ArrowLeft', 'Ctrl+ArrowRight'], description : 'Hide/show all marker tables' },
+];
+
+/**
+ * Keys that time inputs already use, which can't be assigned to marker edit shortcuts.
+ * @type {Set<string>} */
+const TimeInputKeys = new Set([
+    ...'0123456789:.'.split(''),
+    ...FixedShortcuts.filter(s => s.category === ShortcutCategory.TimeInput).flatMap(s => s.keys),
+    'Tab', 'Enter', 'Backspace', 'Delete', 'ArrowUp', 'ArrowDown', 'ArrowLeft', 'ArrowRight', 'Home', 'End']);
+
+/**
+ * The singleton shortcut manager.
+ * @type {ShortcutManager}
+ * @readonly */ // Externally readonly
+let Instance;
+
+/**
+ * Central registry of keyboard shortcuts, which maps each shortcut to its default
+ * or user-customized key bindings.
+ */
+class ShortcutManager {
+    /**
+     * Shortcuts the user has changed from their defaults.
+     * @type {{ [shortcut: string]: string[] }} */
+    #custom = {};
+
+    /** Create the singleton ShortcutManager instance. Must be called after the SettingsManager is created. */
+    static CreateInstance() {
+        if (Instance) {
+            Log.error('We should only have a single ShortcutManager instance!');
+            return;
+        }
+
+        Instance = new ShortcutManager();
+    }
+
+    constructor() {
+        if (Instance) {
+            throw new Error(`Don't create a new ShortcutManager when the singleton already exists!`);
+        }
+
+        for (const [shortcut, bindings] of Object.entries(ClientSettings.customShortcuts())) {
+            if (ShortcutDefinitions[shortcut]) {
+                this.#custom[shortcut] = bindings;
+            } else {
+                Log.warn(`Ignoring custom bindings for unknown shortcut '${shortcut}'`);
+            }
+        }
+    }
+
+    /**
+     * Return whether the given keyboard event triggers the given shortcut.
+     * @param {string} shortcut The Shortcut to check.
+     * @param {KeyboardEvent} e */
+    matches(shortcut, e) {
+        const binding = bindingFromEvent(e);
+        return !!binding && this.bindings(shortcut).includes(binding);
+    }
+
+    /**
+     * @param {string} shortcut
+     * @returns {string[]} The current key bindings for the given shortcut. */
+    bindings(shortcut) {
+        return this.#custom[shortcut] ?? ShortcutDefinitions[shortcut].defaults;
+    }
+
+    /**
+     * @param {string} shortcut
+     * @returns {string} The display text of the primary binding for the given shortcut, for tooltips and the like. */
+    display(shortcut) {
+        const bindings = this.bindings(shortcut);
+        return bindings.length > 0 ? displayBinding(bindings[0]) : '';
+    }
+
+    /**
+     * @param {string} shortcut
+     * @returns {boolean} Whether the user has changed the given shortcut's bindings. */
+    isCustomized(shortcut) {
+        return !!this.#custom[shortcut];
+    }
+
+    /**
+     * @returns {{ [category: string]: { shortcut?: string, description: string, keys: string[] }[] }}
+     * All shortcuts grouped by category, including those that can't be customized. */
+    allShortcuts() {
+        const categories = {};
+        for (const category of Object.values(ShortcutCategory)) {
+            categories[category] = [];
+        }
+
+        for (const [shortcut, definition] of Object.entries(ShortcutDefinitions)) {
+            categories[definition.category].push(
+                { shortcut : shortcut, description : definition.description, keys : this.bindings(shortcut) });
+        }
+
+        for (const fixed of FixedShortcuts) {
+            categories[fixed.category].push({ description : fixed.description, keys : fixed.keys });
+        }
+
+        return categories;
+    }
+
+    /**
+     * Return why the given binding can't be assigned to the given shortcut, or null if it can.
+     * @param {string} shortcut
+     * @param {string} binding
+     * @returns {string?} */
+    conflict(shortcut, binding) {
+        const category = ShortcutDefinitions[shortcut].category;
+        if (category === ShortcutCategory.MarkerEdit && TimeInputKeys.has(binding)) {
+            return `${displayBinding(binding)} is used to enter or adjust marker times.`;
+        }
+
+        for (const [other, definition] of Object.entries(ShortcutDefinitions)) {
+            // The command palette can be opened from anywhere, so it can't overlap with anything.
+            const overlaps = definition.category === category
+                || shortcut === Shortcut.CommandPalette
+                || other === Shortcut.CommandPalette;
+            if (other !== shortcut && overlaps && this.bindings(other).includes(binding)) {
+                return `${displayBinding(binding)} is already used to ${definition.description.toLowerCase()}.`;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Replace the bindings of the given shortcut with a single binding, saving the change.
+     * The caller is expected to have checked for conflicts.
+     * @param {string} shortcut
+     * @param {string} binding */
+    setBinding(shortcut, binding) {
+        const defaults = ShortcutDefinitions[shortcut].defaults;
+        if (defaults.length === 1 && defaults[0] === binding) {
+            delete this.#custom[shortcut];
+        } else {
+            this.#custom[shortcut] = [binding];
+        }
+
+        ClientSettings.setCustomShortcuts(this.#custom);
+    }
+
+    /**
+     * Restore the default bindings of the given shortcut, or all shortcuts if no shortcut is given.
+     * @param {string} [shortcut] */
+    reset(shortcut) {
+        if (shortcut) {
+            delete this.#custom[shortcut];
+        } else {
+            this.#custom = {};
+        }
+
+        ClientSettings.setCustomShortcuts(this.#custom);
+    }
+}
+
+export { ShortcutManager, Instance as Shortcuts };
@@ -0,0 +1,174 @@
+import { $$, $append, $clear, $div, $divHolder, $h, $span, $table, $tbody, $td, $tr } from './HtmlHelpers.js';
+import { bindingFromEvent, displayBinding } from './KeyBindings.js';
+import { Attributes } from './DataAttributes.js';
+import ButtonCreator from './ButtonCreator.js';
+import { errorToast } from './ErrorHandling.js';
+import Icons from './Icons.js';
+import Overlay from './Overlay.js';
+import { Shortcuts } from './ShortcutManager.js';
+import { ThemeColors } from './ThemeColors.js';
+
+/**
+ * Overlay that lists every keyboard shortcut, and lets the user change the bindings of those that can be customized.
+ */
+class ShortcutsOverlay {
+    /**
+     * Show the keyboard shortcut overlay.
+     * @param {HTMLElement} focusBack The element to focus when the overlay is dismissed. */
+    static Show(focusBack) {
+        new ShortcutsOverlay().#show(focusBack);
+    }
+
+    /** @type {HTMLElement} */
+    #tables;
+
+    /**
+     * Stops waiting for a new key binding, if we're currently waiting for one.
+     * @type {(() => void)?} */
+    #stopCapture = null;
+
+    /**
+     * @param {HTMLElement} focusBack */
+    #show(focusBack) {
+        this.#tables = $div({ id : 'shortcutTables' });
+        this.#buildTables();
+        const container = $divHolder({ id : 'shortcutsContainer' },
+            $h(1, 'Keyboard Shortcuts'),
+            $div({ class : 'shortcutsIntro' },
+                'Select a shortcut to change it, then press the new key combination. Press Escape to cancel.'),
+            this.#tables,
+            $divHolder({ class : 'buttonContainer' },
+                ButtonCreator.textButton('Restore All Defaults', this.#resetAll.bind(this), { class : 'redOnHover' })));
+
+        Overlay.build({ dismissible : true, closeButton : true, focusBack : focusBack, onDismiss : () => this.#stopCapture?.() },
+            container);
+    }
+
+    /**
+     * (Re)build the shortcut tables, one per shortcut category.
+     * @param {string} [focusShortcut] The shortcut whose binding button should be focused afterwards. */
+    #buildTables(focusShortcut) {
+        $clear(this.#tables);
+        for (const [category, shortcuts] of Object.entries(Shortcuts.allShortcuts())) {
+            const rows = $tbody();
+            for (const entry of shortcuts) {
+                rows.appendChild(this.#row(entry));
+            }
+
+            $append(this.#tables, $h(3, category), $append($table({ class : 'shortcutTable' }), rows));
+        }
+
+        if (focusShortcut) {
+            $$(`[${Attributes.Shortcut}="${focusShortcut}"]`, this.#tables)?.focus();
+        }
+    }
+
+    /**
+     * @param {{ shortcut?: string, description: string, keys: string[] }} entry */
+    #row(entry) {
+        const keys = $td(0, { class : 'shortcutKeys' });
+        const reset = $td(0, { class : 'shortcutReset' });
+        if (entry.shortcut) {
+            keys.appendChild(ButtonCreator.textButton(
+                entry.keys.map(displayBinding).join(' / '),
+                (_e, button) => this.#capture(entry.shortcut, button),
+                { class : 'shortcutBinding', tooltip : 'Change shortcut', [Attributes.Shortcut] : entry.shortcut }));
+            if (Shortcuts.isCustomized(entry.shortcut)) {
+                reset.appendChild(ButtonCreator.iconButton(
+                    Icons.Undo, 'Restore default', ThemeColors.Primary, () => this.#reset(entry.shortcut)));
+            }
+        } else {
+            $append(keys, ...entry.keys.map(key => $span(displayBinding(key), { class : 'shortcutKey' })));
+        }
+
+        return $append($tr(), $td(entry.description), keys, reset);
+    }
+
+    /**
+     * Wait for the user to press the new key combination for the given shortcut.
+     * @param {string} shortcut
+     * @param {HTMLElement} button */
+    #capture(shortcut, button) {
+        this.#stopCapture?.();
+        ButtonCreator.setText(button, 'Press a key...');
+        button.classList.add('capturing');
+
+        /** @param {KeyboardEvent} e */
+        const onKeydown = e => {
+            if (!button.isConnected) {
+                return this.#stopCapture();
+            }
+
+            const binding = bindingFromEvent(e);
+
+            // Let Tab move focus as usual, which cancels the change.
+            if (binding === 'Tab' || binding === 'Shift+Tab') {
+                return;
+            }
+
+            // Don't let the overlay, the button itself, or any global shortcuts act on the key.
+            e.preventDefault();
+            e.stopPropagation();
+            if (!binding) {
+                return; // Just a modifier, keep waiting.
+            }
+
+            if (binding === 'Escape') {
+                this.#stopCapture();
+                return this.#buildTables(shortcut);
+            }
+
+            const conflict = Shortcuts.conflict(shortcut, binding);
+            if (conflict) {
+                errorToast(conflict, 5000);
+                return;
+            }
+
+            this.#stopCapture();
+            Shortcuts.setBinding(shortcut, binding);
+            this.#buildTables(shortcut);
+        };
+
+        const onBlur = () => {
+            this.#stopCapture();
+            this.#buildTables();
+        };
+
+        // Listen during the capture phase so we see the key before anyone else.
+        window.addEventListener('keydown', onKeydown, true);
+        button.addEventListener('blur', onBlur);
+        this.#stopCapture = () => {
+            window.removeEventListener('keydown', onKeydown, true);
+            button.removeEventListener('blur', onBlur);
+            this.#stopCapture = null;
+        };
+    }
+
+    /**
+     * Restore the default bindings of the given shortcut, as long as they aren't
+     * being used by a different shortcut now.
+     * @param {string} shortcut */
+    #reset(shortcut) {
+        const current = Shortcuts.bindings(shortcut);
+        Shortcuts.reset(shortcut);
+        for (const binding of Shortcuts.bindings(shortcut)) {
+            const conflict = Shortcuts.conflict(shortcut, binding);
+            if (conflict) {
+                Shortcuts.setBinding(shortcut, current[0]);
+                errorToast(`Unable to restore the default shortcut. ${conflict}`, 5000);
+                return;
+            }
+        }
+
+        this.#buildTables(shortcut);
+    }
+
+    /** Restore the default bindings of all shortcuts. */
+    #resetAll() {
+        this.#stopCapture?.();
+        Shortcuts.reset();
+        this.#buildTables();
+    }
+}
+
+export default ShortcutsOverlay;
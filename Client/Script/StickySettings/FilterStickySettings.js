@@ -0,0 +1,110 @@
+import { StickySettingsBase } from './StickySettingsBase.js';
+
+/** @typedef {!import('./StickySettingsBase').StickySettingsBaseProtected} StickySettingsBaseProtected */
+/** @typedef {!import('/Shared/PlexTypes').MarkerTimingFilter} MarkerTimingFilter */
+
+/**
+ * A marker count condition for a single marker type.
+ * @typedef {{ condition: number, limit: number, limit2: number, percentage: boolean }} CountFilter
+ */
+
+/**
+ * Contains sort and filter settings that can persist depending on client persistence setting.
+ */
+export class FilterStickySettings extends StickySettingsBase {
+
+    /** Sort and filter settings that persist based on the user's stickiness setting. */
+    static #keys = {
+        /** @readonly */
+        CountFilters : 'countFilters',
+        /** @readonly */
+        TimingFilters : 'timingFilters',
+        /** @readonly */
+        UserCreated : 'userCreated',
+        /** @readonly */
+        Purged : 'purged',
+        /** @readonly */
+        SortBy : 'sortBy',
+        /** @readonly */
+        SortOrder : 'sortOrder',
+    };
+
+    /**
+     * Imitates "protected" methods from the base class.
+     * @type {StickySettingsBaseProtected} */
+    #protected = {};
+
+    /** Create sort and filter settings. */
+    constructor() {
+        const protectedMethods = {};
+        super('filter', protectedMethods);
+        this.#protected = protectedMethods;
+    }
+
+    /** Default values, used when the user doesn't want to persist settings, or they haven't changed the defaults. */
+    defaultData() {
+        const keys = FilterStickySettings.#keys;
+        return {
+            [keys.CountFilters] : {},
+            [keys.TimingFilters] : [],
+            [keys.UserCreated] : false,
+            [keys.Purged] : false,
+            [keys.SortBy] : 0,
+            [keys.SortOrder] : 0,
+        };
+    }
+
+    /** The marker count conditions, keyed by marker type.
+     * @returns {{ [markerType: string]: CountFilter }} */
+    countFilters() { return this.#protected.get(FilterStickySettings.#keys.CountFilters); }
+    /** Set the marker count conditions.
+     * @param {{ [markerType: string]: CountFilter }} countFilters */
+    setCountFilters(countFilters) { this.#protected.set(FilterStickySettings.#keys.CountFilters, countFilters); }
+
+    /** The marker timing conditions.
+     * @returns {MarkerTimingFilter[]} */
+    timingFilters() { return this.#protected.get(FilterStickySettings.#keys.TimingFilters); }
+    /** Set the marker timing conditions.
+     * @param {MarkerTimingFilter[]} timingFilters */
+    setTimingFilters(timingFilters) { this.#protected.set(FilterStickySettings.#keys.TimingFilters, timingFilters); }
+
+    /** Whether to only show items with user-created markers.
+     * @returns {boolean} */
+    userCreated() { return this.#protected.get(FilterStickySettings.#keys.UserCreated); }
+    /** Set whether to only show items with user-created markers.
+     * @param {boolean} userCreated */
+    setUserCreated(userCreated) { this.#protected.set(FilterStickySettings.#keys.UserCreated, userCreated); }
+
+    /** Whether to only show items with purged markers.
+     * @returns {boolean} */
+    purged() { return this.#protected.get(FilterStickySettings.#keys.Purged); }
+    /** Set whether to only show items with purged markers.
+     * @param {boolean} purged */
+    setPurged(purged) { this.#protected.set(FilterStickySettings.#keys.Purged, purged); }
+
+    /** The field to sort results by.
+     * @returns {number} */
+    sortBy() { return this.#protected.get(FilterStickySettings.#keys.SortBy); }
+    /** Set the field to sort results by.
+     * @param {number} sortBy */
+    setSortBy(sortBy) { this.#protected.set(FilterStickySettings.#keys.SortBy, sortBy); }
+
+    /** The order to sort results in.
+     * @returns {number} */
+    sortOrder() { return this.#protected.get(FilterStickySettings.#keys.SortOrder); }
+    /** Set the order to sort results in.
+     * @param {number} sortOrder */
+    setSortOrder(sortOrder) { this.#protected.set(FilterStickySettings.#keys.SortOrder, sortOrder); }
+
+    /** Custom validation for a stored key/value pair. */
+    validateStorageKey(key, value) {
+        switch (key) {
+            case FilterStickySettings.#keys.CountFilters:
+                return value !== null && !(value instanceof Array);
+            case FilterStickySettings.#keys.TimingFilters:
+                return value instanceof Array;
+            default:
+                return true; // All other keys are handled by default validation
+        }
+    }
+}
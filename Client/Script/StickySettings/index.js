@@ -1,6 +1,7 @@
 export * from './BulkAddStickySettings.js';
 export * from './BulkDeleteStickySettings.js';
 export * from './BulkShiftStickySettings.js';
+export * from './FilterStickySettings.js';
 export * from './MarkerAddStickySettings.js';
 export * from './StickySettingsTypes.js';
 export * from './StickySettingsBase.js';
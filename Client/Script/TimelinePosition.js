@@ -0,0 +1,61 @@
+/** @typedef {!import('/Shared/PlexTypes').ChapterData} ChapterData */
+
+/**
+ * The distance, in pixels, a dragged marker edge has to be from a chapter boundary to snap to it.
+ * @type {number} */
+const SnapThreshold = 6;
+
+/**
+ * Convert a horizontal position on a timeline to a timestamp, clamped to the bounds of the timeline.
+ * @param {number} x The position, relative to the same origin as `left`.
+ * @param {number} left The left edge of the timeline.
+ * @param {number} width The width of the timeline.
+ * @param {number} duration The duration the timeline represents, in milliseconds. */
+export function timestampAt(x, left, width, duration) {
+    const ratio = Math.min(Math.max((x - left) / width, 0), 1);
+    return Math.round(ratio * duration);
+}
+
+/**
+ * Convert the given timestamp to a percentage of the given duration, capped at 100%.
+ * @param {number} timestamp
+ * @param {number} duration */
+export function percentOf(timestamp, duration) {
+    return Math.min(timestamp / duration * 100, 100);
+}
+
+/**
+ * Return the chapter boundary closest to the given timestamp if it's within the snapping threshold, otherwise
+ * the timestamp itself. The threshold is a fixed number of pixels, so it depends on how wide the timeline is.
+ * @param {number} timestamp
+ * @param {ChapterData[]} chapters
+ * @param {number} width The width of the timeline, in pixels.
+ * @param {number} duration The duration the timeline represents, in milliseconds. */
+export function snapToChapter(timestamp, chapters, width, duration) {
+    let best = timestamp;
+    let bestDiff = SnapThreshold / width * duration;
+    for (const chapter of chapters) {
+        for (const boundary of [chapter.start, chapter.end]) {
+            const diff = Math.abs(boundary - timestamp);
+            if (diff < bestDiff) {
+                best = boundary;
+                bestDiff = diff;
+            }
+        }
+    }
+
+    return best;
+}
+
+/**
+ * Move the start or end of a marker to the given timestamp, without letting it cross the other edge.
+ * @param {number} start The current start of the marker.
+ * @param {number} end The current end of the marker.
+ * @param {boolean} isEnd Whether the end of the marker is being moved.
+ * @param {number} timestamp
+ * @returns {{ start: number, end: number }} */
+export function dragEdge(start, end, isEnd, timestamp) {
+    return isEnd ?
+        { start : start, end : Math.max(timestamp, start + 1) } :
+        { start : Math.min(timestamp, end - 1), end : end };
+}
@@ -0,0 +1,174 @@
+import { errorMessage, errorToast } from './ErrorHandling.js';
+import { responseBatchId, ServerCommands } from './Commands.js';
+import { ContextualLog } from '/Shared/ConsoleLog.js';
+import { CustomEvents } from './CustomEvents.js';
+import { MarkerData } from '/Shared/PlexTypes.js';
+import { PlexClientState } from './PlexClientState.js';
+
+/** @typedef {!import('/Shared/PlexTypes').MarkerDataMap} MarkerDataMap */
+/** @typedef {!import('/Shared/PlexTypes').SerializedMarkerData} SerializedMarkerData */
+
+const Log = ContextualLog.Create('UndoManager');
+
+/**
+ * An operation that can be undone/redone.
+ * @typedef {Object} UndoEntry
+ * @property {string} description User-facing description of the operation.
+ * @property {number} batchId The id of the batch of marker actions to revert to undo/redo the operation.
+ */
+
+/**
+ * The singleton undo manager.
+ * @type {UndoManager}
+ * @readonly */ // Externally readonly
+let Instance;
+
+/**
+ * Keeps track of the marker operations made during this session so they can be undone/redone.
+ * The server owns the real history (the backup database's actions table), so the stacks here
+ * only hold descriptions of each operation and the batch the server recorded it under, and are
+ * reset whenever the active library changes. Other clients can modify the same library, so the
+ * server will refuse to revert a batch that isn't the most recent one.
+ */
+class UndoManager {
+    /**
+     * Operations that can be undone, most recent last.
+     * @type {UndoEntry[]} */
+    #undoStack = [];
+    /**
+     * Operations that can be redone, most recent last.
+     * @type {UndoEntry[]} */
+    #redoStack = [];
+    /**
+     * The library section the current stacks apply to.
+     * @type {number} */
+    #sectionId = -1;
+    /** Whether we're waiting on an undo/redo request to complete. */
+    #inProgress = false;
+
+    /** Create the singleton UndoManager instance. */
+    static CreateInstance() {
+        if (Instance) {
+            Log.error('We should only have a single UndoManager instance!');
+            return;
+        }
+
+        Instance = new UndoManager();
+    }
+
+    constructor() {
+        if (Instance) {
+            throw new Error(`Don't create a new UndoManager when the singleton already exists!`);
+        }
+    }
+
+    /**
+     * Record that a new operation was successfully applied to the active section.
+     * Any previously undone operations can no longer be redone.
+     * @param {string} description User-facing description of the operation.
+     * @param {object} response The server's response to the operation, used to determine the batch to undo. */
+    push(description, response) {
+        this.#verifySection();
+        const batchId = responseBatchId(response);
+        if (batchId === undefined) {
+            Log.warn(`No batch id found for "${description}", it can't be undone.`);
+            return;
+        }
+
+        this.#undoStack.push({ description, batchId });
+        this.#redoStack = [];
+        this.#notify();
+    }
+
+    /** @returns Whether there's an operation in the active section that can be undone. */
+    canUndo() { this.#verifySection(); return !this.#inProgress && this.#undoStack.length > 0; }
+    /** @returns Whether there's an operation in the active section that can be redone. */
+    canRedo() { this.#verifySection(); return !this.#inProgress && this.#redoStack.length > 0; }
+    /** @returns The description of the operation that will be undone, if any. */
+    nextUndo() { return this.canUndo() ? this.#undoStack.at(-1).description : undefined; }
+    /** @returns The description of the operation that will be redone, if any. */
+    nextRedo() { return this.canRedo() ? this.#redoStack.at(-1).description : undefined; }
+
+    /** Undo the most recent operation in the active section. */
+    undo() { return this.#revert(false /*redo*/); }
+    /** Redo the most recently undone operation in the active section. */
+    redo() { return this.#revert(true /*redo*/); }
+
+    /**
+     * Undo or redo the most recent operation, updating the UI to reflect the changes.
+     * @param {boolean} redo */
+    async #revert(redo) {
+        if (!(redo ? this.canRedo() : this.canUndo())) {
+            return;
+        }
+
+        const opName = redo ? 'redo' : 'undo';
+        const [source, target] = redo ? [this.#redoStack, this.#undoStack] : [this.#undoStack, this.#redoStack];
+        const entry = source.at(-1);
+        this.#inProgress = true;
+        this.#notify();
+
+        let result;
+        try {
+            result = await (redo ?
+                ServerCommands.redo(this.#sectionId, entry.batchId) :
+                ServerCommands.undo(this.#sectionId, entry.batchId));
+        } catch (err) {
+            // If the server couldn't revert the operation (e.g. because another client made changes since),
+            // it's unlikely it'll work later, so don't keep it around.
+            source.pop();
+            errorToast(`Unable to ${opName}: ${errorMessage(err)}`, 5000);
+            return;
+        } finally {
+            this.#inProgress = false;
+            this.#notify();
+        }
+
+        source.pop();
+        const batchId = responseBatchId(result);
+        if (batchId === undefined) {
+            Log.warn(`No batch id found for ${opName} of "${entry.description}", it can't be reverted.`);
+        } else {
+            target.push({ description : entry.description, batchId : batchId });
+        }
+
+        Log.info(`Successfully applied ${opName} of "${entry.description}"`);
+
+        await PlexClientState.notifyUndoChange(
+            this.#toMarkerDataMap(result.newMarkers),
+            this.#toMarkerDataMap(result.deletedMarkers),
+            this.#toMarkerDataMap(result.modifiedMarkers));
+        this.#notify();
+    }
+
+    /**
+     * Clear out our stacks if the active section changed since the last operation. */
+    #verifySection() {
+        const activeSection = PlexClientState.activeSection();
+        if (activeSection === this.#sectionId) {
+            return;
+        }
+
+        Log.verbose(`Active section changed from ${this.#sectionId} to ${activeSection}, clearing undo history.`);
+        this.#sectionId = activeSection;
+        this.#undoStack = [];
+        this.#redoStack = [];
+    }
+
+    /** Let listeners know the state of the undo/redo stacks changed. */
+    #notify() {
+        window.dispatchEvent(new Event(CustomEvents.UndoStackChanged));
+    }
+
+    /**
+     * Convert a map of serialized markers to a map of MarkerData.
+     * @param {{ [parentId: number]: SerializedMarkerData[] }} map
+     * @returns {MarkerDataMap} */
+    #toMarkerDataMap(map) {
+        const markers = {};
+        Object.entries(map).forEach(d => markers[d[0]] = d[1].map(m => new MarkerData().setFromJson(m)));
+        return markers;
+    }
+}
+
+export { UndoManager, Instance as UndoStack };
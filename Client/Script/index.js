@@ -3,17 +3,23 @@ import { BaseLog } from '/Shared/ConsoleLog.js';
 import { ClientSettings, SettingsManager } from './ClientSettings.js';
 import { errorMessage, errorResponseOverlay } from './ErrorHandling.js';
 import { PlexUI, PlexUIManager } from './PlexUI.js';
+import AutoRestoreReport from './AutoRestoreReport.js';
 import ButtonCreator from './ButtonCreator.js';
+import { FilterSettings } from './FilterDialog.js';
 import HelpOverlay from './HelpOverlay.js';
+import LiveUpdates from './LiveUpdates.js';
 import { PlexClientStateManager } from './PlexClientState.js';
 import { PurgedMarkerManager } from './PurgedMarkerManager.js';
 import { ResultSections } from './ResultSections.js';
+import { SavedSearchManager } from './SavedSearchManager.js';
 import { ServerCommands } from './Commands.js';
 import ServerPausedOverlay from './ServerPausedOverlay.js';
 import { SetupWindowResizeEventHandler } from './WindowResizeEventHandler.js';
+import { ShortcutManager } from './ShortcutManager.js';
 import { StickySettingsBase } from 'StickySettings';
 import { ThumbnailMarkerEdit } from './MarkerEdit.js';
 import Tooltip from './Tooltip.js';
+import { UndoManager } from './UndoManager.js';
 import VersionManager from './VersionManager.js';
 
 /** @typedef {!import('/Shared/ServerConfig').SerializedConfig} SerializedConfig */
@@ -27,9 +33,13 @@ function init() {
     HelpOverlay.SetupHelperListeners();
     StickySettingsBase.Setup(); // MUST be before SettingsManager
     SettingsManager.CreateInstance();
+    ShortcutManager.CreateInstance(); // MUST be after SettingsManager
+    FilterSettings.Setup(); // MUST be after SettingsManager
     PlexUIManager.CreateInstance();
     PlexClientStateManager.CreateInstance();
     ResultSections.CreateInstance();
+    UndoManager.CreateInstance();
+    SavedSearchManager.CreateInstance();
     Tooltip.Setup();
     ButtonCreator.Setup();
     ThumbnailMarkerEdit.Setup();
@@ -64,7 +74,10 @@ async function mainSetup() {
     VersionManager.CheckForUpdates(config.version.value);
 
     try {
-        PlexUI.init(await ServerCommands.getSections());
+        const sections = await ServerCommands.getSections();
+        PlexUI.init(sections);
+        AutoRestoreReport.Check(sections);
+        LiveUpdates.Connect();
     } catch (err) {
         errorResponseOverlay('Error getting libraries, please verify you have provided the correct database path and try again.', err);
     }
@@ -0,0 +1,157 @@
+import { createHash, randomBytes } from 'crypto';
+
+import { ApiKeyTableName } from './AuthenticationConstants.js';
+import { AuthDB } from './AuthDatabase.js';
+import { ContextualLog } from '../../Shared/ConsoleLog.js';
+import ServerError from '../ServerError.js';
+import { validateRole } from './Authentication.js';
+
+/** @typedef {!import('./AuthenticationConstants').DBApiKey} DBApiKey */
+/** @typedef {!import('../../Shared/PlexTypes').ApiKeyInfo} ApiKeyInfo */
+/** @typedef {!import('../../Shared/PlexTypes').NewApiKey} NewApiKey */
+
+const Log = ContextualLog.Create('ApiKeys');
+
+/** All keys start with this, making them easier to identify (and search for in accidentally committed scripts). */
+const KEY_PREFIX = 'mek_';
+const KEY_BYTES = 32;
+
+/** Don't write to the database on every request, only when a key hasn't been marked as used in the last minute. */
+const LAST_USED_RESOLUTION = 60;
+
+/** @readonly @type {ApiKeyManager} */ // readonly in the sense that external classes should not be modifying it.
+export let ApiKeys;
+
+/**
+ * Manages the keys used to authenticate against the REST API. Only a hash of each key is stored, since unlike
+ * passwords, keys are long random strings that don't need a slow hash to protect against brute forcing.
+ */
+export class ApiKeyManager {
+    /** Create the singleton ApiKeyManager. */
+    static async Initialize() {
+        if (ApiKeys) {
+            return ApiKeys;
+        }
+
+        ApiKeys = new ApiKeyManager();
+        await ApiKeys.#init();
+        return ApiKeys;
+    }
+
+    /**
+     * All API keys, keyed by the hash of the key.
+     * @type {Map<string, ApiKeyInfo>} */
+    #keys = new Map();
+
+    /**
+     * Load all existing keys from the authentication database. */
+    async #init() {
+        if (!AuthDB || !AuthDB.db()) {
+            throw new ServerError(`ApiKeyManager initialized before authentication database. Cannot continue.`, 500);
+        }
+
+        /** @type {DBApiKey[]} */
+        const allKeys = await AuthDB.db().all(`SELECT * FROM ${ApiKeyTableName} ORDER BY id ASC;`);
+        for (const key of allKeys) {
+            this.#keys.set(key.key_hash, {
+                id : key.id,
+                name : key.name,
+                role : key.role,
+                created : key.created_at,
+                lastUsed : key.last_used,
+            });
+        }
+    }
+
+    /**
+     * @returns {ApiKeyInfo[]} All API keys, oldest first. */
+    list() {
+        return [...this.#keys.values()].sort((a, b) => a.id - b.id).map(key => ({ ...key }));
+    }
+
+    /**
+     * Create a new API key.
+     * @param {string} name
+     * @param {number} role
+     * @returns {Promise<NewApiKey>} */
+    async add(name, role) {
+        validateName(name);
+        validateRole(role);
+        const nameNorm = name.toLowerCase();
+        for (const existing of this.#keys.values()) {
+            if (existing.name.toLowerCase() === nameNorm) {
+                throw new ServerError(`An API key named "${name}" already exists.`, 400);
+            }
+        }
+
+        const key = KEY_PREFIX + randomBytes(KEY_BYTES).toString('base64url');
+        const hash = hashKey(key);
+        await AuthDB.db().run(`INSERT INTO ${ApiKeyTableName} (name, key_hash, role) VALUES (?, ?, ?);`, [name, hash, role]);
+
+        /** @type {DBApiKey} */
+        const row = await AuthDB.db().get(`SELECT * FROM ${ApiKeyTableName} WHERE key_hash=?;`, [hash]);
+        const info = { id : row.id, name : row.name, role : row.role, created : row.created_at, lastUsed : null };
+        this.#keys.set(hash, info);
+        Log.info(`Created API key "${name}"`);
+        return { info : { ...info }, key : key };
+    }
+
+    /**
+     * Revoke the API key with the given id.
+     * @param {number} id */
+    async remove(id) {
+        for (const [hash, key] of this.#keys) {
+            if (key.id === id) {
+                await AuthDB.db().run(`DELETE FROM ${ApiKeyTableName} WHERE id=?;`, [id]);
+                this.#keys.delete(hash);
+                Log.info(`Removed API key "${key.name}"`);
+                return;
+            }
+        }
+
+        throw new ServerError(`API key ${id} does not exist.`, 404);
+    }
+
+    /**
+     * Retrieve the API key that matches the given key, if any, updating when it was last used.
+     * @param {string} key
+     * @returns {ApiKeyInfo|undefined} */
+    verify(key) {
+        if (!key?.startsWith(KEY_PREFIX)) {
+            return undefined;
+        }
+
+        const info = this.#keys.get(hashKey(key));
+        if (!info) {
+            return undefined;
+        }
+
+        const now = Math.floor(Date.now() / 1000);
+        if (!info.lastUsed || now - info.lastUsed >= LAST_USED_RESOLUTION) {
+            info.lastUsed = now;
+            AuthDB.db().run(`UPDATE ${ApiKeyTableName} SET last_used=? WHERE id=?;`, [now, info.id]).catch(err => {
+                Log.warn(err.message, `Unable to update last use of API key "${info.name}"`);
+            });
+        }
+
+        return info;
+    }
+}
+
+/**
+ * @param {string} key */
+function hashKey(key) {
+    return createHash('sha256').update(key).digest('hex');
+}
+
+/**
+ * @param {string} name */
+function validateName(name) {
+    if (!name?.trim()) {
+        throw new ServerError('API key name cannot be empty', 400);
+    }
+
+    if (name.length > 256) {
+        throw new ServerError('API key names are limited to 256 characters', 400);
+    }
+}
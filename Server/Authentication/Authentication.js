@@ -1,8 +1,9 @@
 import { pbkdf2Sync, randomBytes } from 'crypto';
 
+import { SessionTableName, UserTableName } from './AuthenticationConstants.js';
 import { AuthDB } from './AuthDatabase.js';
 import ServerError from '../ServerError.js';
-import { UserTableName } from './AuthenticationConstants.js';
+import { UserRole } from '../../Shared/PostCommands.js';
 
 /** @typedef {!import('express').Request} ExpressRequest */
 /** @typedef {!import('./AuthenticationConstants').DBUser} DBUser */
@@ -17,6 +18,13 @@ import { UserTableName } from './AuthenticationConstants.js';
  * }} PasswordInfo
  */
 
+/**
+ * @typedef {Object} AuthUser
+ * @property {number} id The database id of the user, which stays the same if the user is renamed.
+ * @property {string} username The username, as entered when creating the account.
+ * @property {number} role The UserRole of the user.
+ */
+
 /* (Overkill?) auth parameters. */
 
 const SALT_LEN = 64;
@@ -28,7 +36,7 @@ const HASH_ALG = 'sha512';
 export let User;
 
 /**
- * Class that handles simple single-user authentication.
+ * Class that handles authentication for one or more user accounts.
  */
 export class UserAuthentication {
     /** Create the singleton UserAuthentication object. */
@@ -42,8 +50,10 @@ export class UserAuthentication {
         return User;
     }
 
-    /** The (normalized) username required to log into a session. Currently only a single user is supported. */
-    #username = '';
+    /**
+     * All user accounts, keyed by their normalized (lowercase) username.
+     * @type {Map<string, AuthUser>} */
+    #users = new Map();
 
     /**
      * Verify authorization management. */
@@ -53,48 +63,29 @@ export class UserAuthentication {
         }
 
         /** @type {DBUser[]} */
-        const allUsers = await AuthDB.db().all(`SELECT * FROM ${UserTableName};`);
-
-        // We only expect one user (for now?)
-        if (allUsers.length > 1) {
-            throw new ServerError(`Found more than one user in the database. That's not expected! You may need to delete auth.db.`, 500);
-        }
-
-        if (allUsers.length !== 1) {
-            return; // No user has been created.
+        const allUsers = await AuthDB.db().all(`SELECT * FROM ${UserTableName} ORDER BY id ASC;`);
+        for (const user of allUsers) {
+            this.#users.set(user.user_norm, { id : user.id, username : user.username, role : user.role });
         }
-
-        this.#username = allUsers[0].username;
-
     }
 
     /**
      * Verify that the given username and password matches what's in the authentication database.
      * @param {string} username
-     * @param {string} password */
-    login(username, password) {
+     * @param {string} password
+     * @returns {Promise<boolean>} */
+    async login(username, password) {
         if (!this.passwordSet()) {
             throw new ServerError(`Cannot verify password when it has not been set up yet!`, 500);
         }
 
-        if (username.toLowerCase() !== this.usernameNorm()) {
-            return false;
-        }
-
-        return this.loginInternal(password);
-    }
-
-    /**
-     * Verify that the given password matches our single user's password.
-     * If there is ever a need for multiple users, this _must_ go away.
-     * @param {string} password */
-    async loginInternal(password) {
-        if (!password) {
+        const user = this.get(username);
+        if (!user || !password) {
             return false;
         }
 
         /** @type {DBUser} */
-        const userInfo = await AuthDB.db().get(`SELECT * FROM ${UserTableName} WHERE user_norm=?;`, this.usernameNorm());
+        const userInfo = await AuthDB.db().get(`SELECT password FROM ${UserTableName} WHERE id=?;`, [user.id]);
 
         const [salt, iterations, algorithm, hash] = userInfo.password.split('/');
 
@@ -103,60 +94,248 @@ export class UserAuthentication {
     }
 
     /**
-     * Change the current password (or set one for the first time)
+     * Change the password of the given user. If no users exist yet, creates the initial admin account.
      * @param {string} username
      * @param {string} oldPassword
      * @param {string} newPassword
      * @returns {Promise<boolean>} False if the old password does not match.*/
     async changePassword(username, oldPassword, newPassword) {
-        if (this.passwordSet() && !this.login(username, oldPassword)) {
+        if (!this.passwordSet()) {
+            // Initial setup. The first user can't be anything other than an admin.
+            await this.addUser(username, newPassword, UserRole.Admin);
+            return true;
+        }
+
+        if (!(await this.login(username, oldPassword))) {
             return false;
         }
 
-        const salt = randomBytes(SALT_LEN).toString('hex');
-        const hash = pbkdf2Sync(newPassword, salt, SALT_ITERATIONS, HASH_KEY_LEN, HASH_ALG).toString('hex');
-        const iterations = SALT_ITERATIONS.toString(16);
-        const pass = `${salt}/${iterations}/${HASH_ALG}/${hash}`;
+        await this.resetPassword(username, newPassword);
+        return true;
+    }
+
+    /**
+     * Set the password of the given user without verifying their old password.
+     * @param {string} username
+     * @param {string} newPassword */
+    async resetPassword(username, newPassword) {
+        const user = this.#getOrThrow(username);
+        await AuthDB.db().run(`UPDATE ${UserTableName} SET password=? WHERE id=?;`, [hashPassword(newPassword), user.id]);
+    }
+
+    /**
+     * Create a new user account.
+     * @param {string} username
+     * @param {string} password
+     * @param {number} role */
+    async addUser(username, password, role) {
+        validateUsername(username);
+        validateRole(role);
+        if (!password) {
+            throw new ServerError(`Password cannot be empty.`, 400);
+        }
+
+        const userNorm = username.toLowerCase();
+        if (this.#users.has(userNorm)) {
+            throw new ServerError(`User "${username}" already exists.`, 400);
+        }
+
+        await AuthDB.db().run(
+            `INSERT INTO ${UserTableName} (username, user_norm, password, role) VALUES (?, ?, ?, ?);`,
+            [username, userNorm, hashPassword(password), role]
+        );
+
+        const { id } = await AuthDB.db().get(`SELECT id FROM ${UserTableName} WHERE user_norm=?;`, [userNorm]);
+        this.#users.set(userNorm, { id, username, role });
+    }
+
+    /**
+     * Change the username of an existing user.
+     * @param {string} oldUsername
+     * @param {string} newUsername */
+    async changeUsername(oldUsername, newUsername) {
+        const user = this.#getOrThrow(oldUsername);
+        validateUsername(newUsername);
+        const newNorm = newUsername.toLowerCase();
+        const existing = this.#users.get(newNorm);
+        if (existing && existing.id !== user.id) {
+            throw new ServerError(`User "${newUsername}" already exists.`, 400);
+        }
+
+        await AuthDB.db().run(`UPDATE ${UserTableName} SET username=?, user_norm=? WHERE id=?;`, [newUsername, newNorm, user.id]);
+        this.#users.delete(oldUsername.toLowerCase());
+        this.#users.set(newNorm, { ...user, username : newUsername });
+    }
 
-        if (this.passwordSet()) {
-            await AuthDB.db().run(`UPDATE ${UserTableName} SET password=? WHERE user_norm=?`, [pass, this.usernameNorm()]);
-        } else {
-            // Initial setup.
-            this.#username = username;
-            await AuthDB.db().run(
-                `INSERT INTO ${UserTableName} (username, user_norm, password) VALUES (?, ?, ?)`,
-                [username, this.usernameNorm(), pass]
-            );
+    /**
+     * Change the role of an existing user.
+     * @param {string} username
+     * @param {number} role */
+    async setRole(username, role) {
+        const user = this.#getOrThrow(username);
+        validateRole(role);
+        if (role !== UserRole.Admin) {
+            this.#throwIfLastAdmin(user, 'change the role of');
         }
 
-        return true;
+        await AuthDB.db().run(`UPDATE ${UserTableName} SET role=? WHERE id=?;`, [role, user.id]);
+        user.role = role;
+    }
+
+    /**
+     * Delete a user account, signing them out of any active sessions.
+     * @param {string} username */
+    async removeUser(username) {
+        const user = this.#getOrThrow(username);
+        this.#throwIfLastAdmin(user, 'remove');
+        await AuthDB.db().run(`DELETE FROM ${UserTableName} WHERE id=?;`, [user.id]);
+        await AuthDB.db().run(`DELETE FROM ${SessionTableName} WHERE json_extract(session, '$.userId')=?;`, [user.id]);
+        this.#users.delete(username.toLowerCase());
     }
 
     /**
-     * Remove the current user's password. This will result in the user being asked to (re-)set up a username/password. */
+     * Remove all users. This will result in the user being asked to (re-)set up a username/password. */
     async removePassword() {
-        // Just wipe out the table, since we should only have one user anyway.
         await AuthDB.db().run(`DELETE FROM ${UserTableName};`);
-        this.#username = '';
+        this.#users.clear();
     }
 
     /**
-     * Username for authentication */
-    username() { return this.#username; }
+     * Retrieve the user with the given username, if any.
+     * @param {string} username
+     * @returns {AuthUser|undefined} */
+    get(username) {
+        return username ? this.#users.get(username.toLowerCase()) : undefined;
+    }
 
     /**
-     * Returns the normalized (lowercase) username. */
-    usernameNorm() { return this.#username.toLowerCase(); }
+     * @returns {{ username: string, role: number }[]} All user accounts, oldest first. */
+    users() {
+        return [...this.#users.values()].sort((a, b) => a.id - b.id).map(user => ({ username : user.username, role : user.role }));
+    }
+
+    /**
+     * The account server settings apply to when nobody is signed in (i.e. authentication is disabled),
+     * which is the oldest admin account.
+     * @returns {AuthUser|undefined} */
+    defaultAccount() {
+        let oldest;
+        for (const user of this.#users.values()) {
+            if (user.role === UserRole.Admin && (!oldest || user.id < oldest.id)) {
+                oldest = user;
+            }
+        }
+
+        return oldest;
+    }
 
     /**
-     * Whether a password has been set. Should only be false if the user has not gone through first-time setup. */
-    passwordSet() { return !!this.username(); }
+     * Whether any user has been created. Should only be false if the user has not gone through first-time setup. */
+    passwordSet() { return this.#users.size > 0; }
 
     /**
-     * Return whether the given request is from an authenticated session.
+     * Return whether the given request is from an authenticated session of a user that still exists.
      * @param {ExpressRequest} request
      * @returns {boolean} */
     signedIn(request) {
-        return !!request?.session?.authenticated;
+        return !!this.sessionUser(request);
+    }
+
+    /**
+     * Mark the given session as belonging to the given user.
+     * @param {ExpressRequest['session']} session
+     * @param {string} username */
+    setSessionUser(session, username) {
+        session.authenticated = true;
+        session.userId = this.#getOrThrow(username).id;
+    }
+
+    /**
+     * Retrieve the user associated with the given request, if they're signed in.
+     * @param {ExpressRequest} request
+     * @returns {AuthUser|undefined} */
+    sessionUser(request) {
+        const session = request?.session;
+        if (!session?.authenticated) {
+            return undefined;
+        }
+
+        // Sessions created before multiple users were supported don't have a user id,
+        // but can only belong to the original user, i.e. the oldest admin.
+        if (session.userId === undefined) {
+            return this.defaultAccount();
+        }
+
+        for (const user of this.#users.values()) {
+            if (user.id === session.userId) {
+                return user;
+            }
+        }
+
+        return undefined;
+    }
+
+    /**
+     * @param {string} username
+     * @returns {AuthUser} */
+    #getOrThrow(username) {
+        const user = this.get(username);
+        if (!user) {
+            throw new ServerError(`User "${username}" does not exist.`, 404);
+        }
+
+        return user;
+    }
+
+    /**
+     * Ensure there's always at least one admin, as otherwise nobody would be able to manage users or server settings.
+     * @param {AuthUser} user
+     * @param {string} action */
+    #throwIfLastAdmin(user, action) {
+        if (user.role !== UserRole.Admin) {
+            return;
+        }
+
+        for (const other of this.#users.values()) {
+            if (other.id !== user.id && other.role === UserRole.Admin) {
+                return;
+            }
+        }
+
+        throw new ServerError(`Cannot ${action} the only admin.`, 400);
+    }
+}
+
+/**
+ * Hash the given password, returning a string that contains everything needed to verify it later.
+ * @param {string} password */
+function hashPassword(password) {
+    const salt = randomBytes(SALT_LEN).toString('hex');
+    const hash = pbkdf2Sync(password, salt, SALT_ITERATIONS, HASH_KEY_LEN, HASH_ALG).toString('hex');
+    const iterations = SALT_ITERATIONS.toString(16);
+    return `${salt}/${iterations}/${HASH_ALG}/${hash}`;
+}
+
+/**
+ * @param {string} username */
+function validateUsername(username) {
+    if (!username) {
+        throw new ServerError('Username cannot be empty', 400);
+    }
+
+    if (username.length > 256) {
+        throw new ServerError('Usernames are limited to 256 characters', 400);
+    }
+
+    if (/\s/.test(username)) {
+        throw new ServerError('Username cannot contain whitespace', 400);
+    }
+}
+
+/**
+ * @param {number} role */
+export function validateRole(role) {
+    if (!Object.values(UserRole).includes(role)) {
+        throw new ServerError(`Invalid user role "${role}".`, 400);
     }
 }
@@ -1,14 +1,28 @@
+import { UserRole } from '../../Shared/PostCommands.js';
+
 /**
  * @typedef {Object} DBUser
  * @property {number} id
  * @property {string} username
  * @property {string} user_norm
  * @property {string} password
+ * @property {number} role
+ */
+
+/**
+ * @typedef {Object} DBApiKey
+ * @property {number} id
+ * @property {string} name
+ * @property {string} key_hash
+ * @property {number} role
+ * @property {number} created_at
+ * @property {number?} last_used
  */
 
 export const SessionTableName = 'sessions';
 export const UserTableName = 'users';
 export const SessionSecretTableName = 'secrets';
+export const ApiKeyTableName = 'api_keys';
 
 const sessionTable = `
 CREATE TABLE IF NOT EXISTS ${SessionTableName} (
@@ -23,7 +37,8 @@ CREATE TABLE IF NOT EXISTS ${UserTableName} (
     id        INTEGER PRIMARY KEY AUTOINCREMENT,
     username  TEXT    NOT NULL    UNIQUE,
     user_norm TEXT    NOT NULL    UNIQUE,
-    password  TEXT    NOT NULL
+    password  TEXT    NOT NULL,
+    role      INTEGER NOT NULL    DEFAULT ${UserRole.Admin}` /* V3: Multiple users with different roles. */ + `
 );`.replace(/ +/g, ' ');
 
 const secretTable = `
@@ -34,7 +49,17 @@ CREATE TABLE IF NOT EXISTS ${SessionSecretTableName} (
     created_at INTEGER NOT NULL    DEFAULT (strftime('%s', 'now'))
 );`.replace(/ +/g, ' ');
 
-export const authSchemaVersion = 2;
+const apiKeyTable = `
+CREATE TABLE IF NOT EXISTS ${ApiKeyTableName} (
+    id         INTEGER PRIMARY KEY AUTOINCREMENT,
+    name       TEXT    NOT NULL    UNIQUE,
+    key_hash   TEXT    NOT NULL    UNIQUE,
+    role       INTEGER NOT NULL    DEFAULT ${UserRole.Viewer},
+    created_at INTEGER NOT NULL    DEFAULT (strftime('%s', 'now')),
+    last_used  INTEGER
+);`.replace(/ +/g, ' '); // V4: API keys for the REST API.
+
+export const authSchemaVersion = 4;
 const schemaVersionTable = `
 CREATE TABLE IF NOT EXISTS schema_version (
     version INTEGER
@@ -45,17 +70,25 @@ INSERT INTO schema_version (version) SELECT ${authSchemaVersion} WHERE NOT EXIST
 /** @type {(table: string) => string} Create "DROP TABLE IF EXISTS" statement for the given table. */
 const dtii = table => `DROP TABLE IF EXISTS ${table};`;
 
-export const AuthDatabaseSchema = `${sessionTable} ${userTable} ${secretTable} ${schemaVersionTable}`;
+export const AuthDatabaseSchema = `${sessionTable} ${userTable} ${secretTable} ${apiKeyTable} ${schemaVersionTable}`;
 
 /**
  * Array of database queries to run when upgrading to a particular schema version. */
 export const authSchemaUpgrades = [
     // Version 0 - no existing database, so create everything.
-    `${dtii(SessionTableName)} ${dtii(UserTableName)} ${dtii(SessionSecretTableName)} ${dtii('schema_version')}
+    `${dtii(SessionTableName)} ${dtii(UserTableName)} ${dtii(SessionSecretTableName)} ${dtii(ApiKeyTableName)} ${dtii('schema_version')}
     ${AuthDatabaseSchema}`,
 
     // Version 1 -> 2: Add https column to secrets table.
     `ALTER TABLE ${SessionSecretTableName} ADD COLUMN https INTEGER DEFAULT 0;
-    UPDATE schema_version SET version=2;`
+    UPDATE schema_version SET version=2;`,
+
+    // Version 2 -> 3: Add role column to users table. The only existing user is the admin.
+    `ALTER TABLE ${UserTableName} ADD COLUMN role INTEGER NOT NULL DEFAULT ${UserRole.Admin};
+    UPDATE schema_version SET version=3;`,
+
+    // Version 3 -> 4: Add API key table.
+    `${apiKeyTable}
+    UPDATE schema_version SET version=4;`,
 ];
 
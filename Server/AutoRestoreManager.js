@@ -0,0 +1,218 @@
+import { ContextualLog } from '../Shared/ConsoleLog.js';
+import { MarkerConflictResolution } from '../Shared/PlexTypes.js';
+
+import { GetServerState, ServerState } from './ServerState.js';
+import { ServerEventHandler, ServerEvents } from './ServerEvents.js';
+import { BackupManager } from './MarkerBackupManager.js';
+import { Config } from './Config/MarkerEditorConfig.js';
+import { DatabaseWatcher } from './DatabaseWatcher.js';
+import { MarkerCache } from './MarkerCacheManager.js';
+import { PlexSnapshots } from './PlexDatabaseSnapshots.js';
+import { PostCommands } from '../Shared/PostCommands.js';
+import { registerCommand } from './Commands/PostCommand.js';
+import { restorePurgedMarkers } from './Commands/PurgeCommands.js';
+import { runWithoutActor } from './RequestContext.js';
+
+/** @typedef {!import('../Shared/PlexTypes').MarkerDataMap} MarkerDataMap */
+
+
+const Log = ContextualLog.Create('AutoRestore');
+
+/** How long to wait after the server starts before the first check, in milliseconds. */
+const InitialDelayMs = 60 * 1000;
+
+/**
+ * Maps the autoRestoreResolution config value to its MarkerConflictResolution.
+ * @type {{ [resolution: string]: number }} */
+const ResolutionTypes = {
+    overwrite : MarkerConflictResolution.Overwrite,
+    merge : MarkerConflictResolution.Merge,
+    ignore : MarkerConflictResolution.Ignore,
+};
+
+/**
+ * Singleton auto-restore manager instance
+ * @type {AutoRestoreManager}
+ * @readonly */ // Externally readonly
+let Instance;
+
+ServerEventHandler.on(ServerEvents.RescheduleAutoRestore, (resolve) => {
+    Instance?.schedule();
+    resolve();
+});
+
+/**
+ * Periodically looks for markers that Plex purged (e.g. after a reanalysis) and restores them
+ * without user interaction, keeping a history of what was restored so the client can report it.
+ */
+class AutoRestoreManager {
+    /**
+     * Create the singleton AutoRestoreManager and schedule the first check, if enabled. */
+    static Create() {
+        if (Instance) {
+            Log.warn(`Auto-restore manager already initialized, we shouldn't be trying to do this again!`);
+            Instance.stop();
+        }
+
+        Instance = new AutoRestoreManager();
+        Instance.schedule();
+        return Instance;
+    }
+
+    /** Stop any scheduled checks and clear out the singleton instance. */
+    static Close() {
+        Instance?.stop();
+        Instance = null;
+    }
+
+    /** @type {NodeJS.Timeout?} */
+    #timer = null;
+
+    /** Incremented every time the schedule changes, so a check that finishes after
+     *  the schedule changed doesn't queue up an outdated followup check. */
+    #generation = 0;
+
+    /** Whether we're currently checking for/restoring purged markers. */
+    #running = false;
+
+    /**
+     * (Re)schedule checks based on the current auto-restore interval. */
+    schedule() {
+        this.stop();
+        const hours = Config.autoRestoreInterval();
+        if (!hours) {
+            Log.verbose('Automatic purge restoration is disabled.');
+            return;
+        }
+
+        if (!Config.extendedMarkerStats()) {
+            Log.warn(`Automatic purge restoration requires extended marker statistics, which are disabled. Not scheduling.`);
+            return;
+        }
+
+        Log.info(`Checking for purged markers to restore every ${hours} hour(s).`);
+        const interval = hours * 60 * 60 * 1000;
+        const generation = this.#generation;
+        const next = delay => {
+            this.#timer = setTimeout(async () => {
+                // This may have been scheduled by a settings change, but the run itself isn't attributable to that user.
+                await runWithoutActor(() => DatabaseWatcher.TrackWrite(() => this.run()));
+                if (generation === this.#generation) {
+                    next(interval);
+                }
+            }, delay);
+
+            // Don't keep the process alive just for this.
+            this.#timer.unref();
+        };
+
+        // Plex may have purged markers while we weren't running, so don't wait a full interval for the first check.
+        next(Math.min(InitialDelayMs, interval));
+    }
+
+    /** Cancel any scheduled checks. */
+    stop() {
+        ++this.#generation;
+        if (this.#timer) {
+            clearTimeout(this.#timer);
+            this.#timer = null;
+        }
+    }
+
+    /**
+     * Look for purged markers in every library section and restore them with the configured conflict resolution. */
+    async run() {
+        if (this.#running) {
+            Log.verbose('Auto-restore already in progress, not starting another one.');
+            return;
+        }
+
+        if (GetServerState() !== ServerState.Running || !BackupManager || !MarkerCache) {
+            Log.verbose('Server is not in a state to restore purged markers, skipping this check.');
+            return;
+        }
+
+        this.#running = true;
+        try {
+            // Plex can wipe out markers without us knowing about it, so refresh everything first.
+            await MarkerCache.reinitialize();
+            await BackupManager.reinitialize();
+
+            const resolution = Config.autoRestoreResolution();
+            const resolveType = ResolutionTypes[resolution];
+            const purgedSections = Object.entries(BackupManager.purgedActionsBySection());
+            if (resolveType === MarkerConflictResolution.Overwrite && purgedSections.some(([_, actions]) => actions.length > 0)) {
+                await PlexSnapshots.snapshot(PostCommands.RestorePurges);
+            }
+
+            const totals = { sections : 0, purged : 0, restored : 0, deleted : 0, modified : 0, ignored : 0, failed : 0 };
+            for (const [sectionId, actions] of purgedSections) {
+                if (actions.length === 0) {
+                    continue;
+                }
+
+                ++totals.sections;
+                totals.purged += actions.length;
+                const restoreInfo = {
+                    restoreIds : actions.filter(a => !a.readded).map(a => a.marker_id),
+                    redeleteIds : actions.filter(a => a.readded).map(a => ({ oldId : a.marker_id, newId : a.readded_id })),
+                };
+
+                try {
+                    const result = await restorePurgedMarkers(restoreInfo, +sectionId, resolveType);
+                    const counts = {
+                        restored : markerCount(result.newMarkers),
+                        deleted : markerCount(result.deletedMarkers),
+                        modified : markerCount(result.modifiedMarkers),
+                        ignored : result.ignoredMarkers,
+                    };
+
+                    for (const [key, value] of Object.entries(counts)) {
+                        totals[key] += value;
+                    }
+
+                    await BackupManager.recordAutoRestore(+sectionId, resolveType, actions.length, counts);
+                } catch (err) {
+                    ++totals.failed;
+                    Log.error(err.message, `Failed to restore ${actions.length} purged marker(s) in section ${sectionId}`);
+                    await BackupManager.recordAutoRestore(+sectionId, resolveType, actions.length, null, err.message);
+                }
+            }
+
+            if (totals.sections === 0) {
+                Log.info('Looked for purged markers to restore and didn\'t find any.');
+                return;
+            }
+
+            const ll = (k, v) => `\n\t\t${k}: ${v}`;
+            Log.info(`Automatically restored purged markers (${resolution}):` +
+                ll('Sections with purged markers', totals.sections) +
+                ll('Purged markers found', totals.purged) +
+                ll('Markers restored', totals.restored) +
+                ll('Existing markers deleted', totals.deleted) +
+                ll('Existing markers modified (merged)', totals.modified) +
+                ll('Purged markers ignored', totals.ignored) +
+                ll('Sections that failed', totals.failed));
+        } catch (err) {
+            Log.error(err.message, 'Automatic purge restoration failed');
+        } finally {
+            this.#running = false;
+        }
+    }
+}
+
+/**
+ * @param {MarkerDataMap} markerMap
+ * @returns The total number of markers in the given map. */
+function markerCount(markerMap) {
+    return Object.values(markerMap).reduce((sum, markers) => sum + markers.length, 0);
+}
+
+/**
+ * Register POST handlers related to automatic purge restoration. */
+export function registerAutoRestoreCommands() {
+    registerCommand(PostCommands.AutoRestoreHistory, _ => BackupManager.autoRestoreHistory());
+    registerCommand(PostCommands.DismissAutoRestores, _ => BackupManager.dismissAutoRestores());
+}
+
+export { AutoRestoreManager, Instance as AutoRestore };
@@ -0,0 +1,323 @@
+import { basename, resolve } from 'path';
+import { copyFileSync, readFileSync, writeFileSync } from 'fs';
+
+import { ContextualLog } from '../Shared/ConsoleLog.js';
+
+import { DatabaseImportExport, timestampToMs } from './ImportExport.js';
+import { MarkerConflictResolution, MarkerExportFormat } from '../Shared/PlexTypes.js';
+import { MarkerEnum, MarkerType } from '../Shared/MarkerType.js';
+import { flattenPurges } from './Commands/PurgeCommands.js';
+import { PostCommands } from '../Shared/PostCommands.js';
+import { runLocalCommand } from './PostCommands.js';
+import ServerError from './ServerError.js';
+
+/**
+ * @typedef {Object} CliArgs
+ * @property {string[]} positional Arguments that aren't options, in the order they were given.
+ * @property {{ [name: string]: string|true }} options `--name value` options, or `--name` flags.
+ */
+
+/**
+ * @typedef {Object} CliAction
+ * @property {string} usage The arguments this action expects.
+ * @property {string} description
+ * @property {string[]} flags Options that don't take a value.
+ * @property {(args: CliArgs) => Promise<any>} run Run the action, returning the object to write to stdout.
+ */
+
+const Log = ContextualLog.Create('CLI');
+
+/** The marker types that can be passed to `--type`, and their MarkerEnum values for `--apply-to`. */
+const MarkerTypes = {
+    [MarkerType.Intro] : MarkerEnum.Intro,
+    [MarkerType.Credits] : MarkerEnum.Credits,
+    [MarkerType.Ad] : MarkerEnum.Ad,
+    all : MarkerEnum.All,
+};
+
+/**
+ * Map of all available command line actions.
+ * @type {{ [action: string]: CliAction }} */
+const CliActions = {
+    list : {
+        usage : '<metadataId>...',
+        description : 'List the markers for the given movies/episodes.',
+        flags : [],
+        run : args => runLocalCommand(PostCommands.Query, { keys : requireArgs(args, 1).map(id => int(id, 'metadataId')).join(',') }),
+    },
+    add : {
+        usage : '<metadataId> <start> <end> [--type intro|credits|commercial] [--final]',
+        description : 'Add a marker. Times are milliseconds or [HH:]MM:SS[.mmm]. Defaults to an intro.',
+        flags : ['final'],
+        run : args => {
+            const [metadataId, start, end] = requireArgs(args, 3);
+            return runLocalCommand(PostCommands.AddMarker, {
+                metadataId : int(metadataId, 'metadataId'),
+                type : markerType(args.options.type ?? MarkerType.Intro),
+                start : time(start, 'start'),
+                end : time(end, 'end'),
+                final : args.options.final ? 1 : 0,
+            });
+        },
+    },
+    shift : {
+        usage : '<metadataId> <shift> [--end-shift <shift>] [--apply-to intro|credits|commercial|all] [--ignore <markerIds>] [--force]',
+        description : 'Shift all markers of a show, season, movie, or episode. Shifts the start and end by the same ' +
+            'amount unless --end-shift is given. Fails on conflicts unless --force is set.',
+        flags : ['force'],
+        run : args => {
+            const [metadataId, shift] = requireArgs(args, 2);
+            return runLocalCommand(PostCommands.ShiftMarkers, {
+                id : int(metadataId, 'metadataId'),
+                startShift : time(shift, 'shift', true /*allowNegative*/),
+                endShift : time(args.options['end-shift'] ?? shift, 'end-shift', true /*allowNegative*/),
+                applyTo : MarkerTypes[markerType(args.options['apply-to'] ?? 'all', true /*allowAll*/)],
+                force : args.options.force ? 1 : 0,
+                ignored : idList(args.options.ignore),
+            });
+        },
+    },
+    delete : {
+        usage : '<markerId>',
+        description : 'Delete a marker.',
+        flags : [],
+        run : args => runLocalCommand(PostCommands.DeleteMarker, { id : int(requireArgs(args, 1)[0], 'markerId') }),
+    },
+    export : {
+        usage : '[sectionId] [--format db|json|csv] [--out <file>]',
+        description : 'Export markers for a library section, or the entire server if no section is given.',
+        flags : [],
+        run : args => exportMarkers(args),
+    },
+    import : {
+        usage : '<file> [--section <sectionId>] [--resolve overwrite|merge|ignore]',
+        description : 'Import markers from a previous export. Imports into all sections unless --section is given.',
+        flags : [],
+        run : args => importMarkers(args),
+    },
+    'restore-purges' : {
+        usage : '<sectionId> [--resolve overwrite|merge|ignore]',
+        description : 'Restore all markers Plex has purged from the given library section.',
+        flags : [],
+        run : args => restorePurges(args),
+    },
+};
+
+/**
+ * Route log messages to stderr, so stdout only contains the JSON output of the command. */
+export function setupCliLogging() {
+    console.log = console.error;
+    console.info = console.error;
+    console.debug = console.error;
+}
+
+/**
+ * Print usage information for command line actions. */
+export function printCliUsage() {
+    const isBin = process.argv[1]?.includes('built.cjs');
+    const invoke = (isBin ? (process.platform === 'win32' ? '.\\MarkerEditor.exe' : './MarkerEditor') : 'node app.js');
+    console.log(`Usage: ${invoke} markers <action> [arguments]`);
+    console.log();
+    console.log(`  Runs a single marker action against the configured Plex database without starting the server,`);
+    console.log(`  writing the result to stdout as JSON. Errors are written to stderr as { "Error" : message },`);
+    console.log(`  and result in a non-zero exit code.`);
+    console.log();
+    console.log(`  ACTIONS`);
+    for (const [action, info] of Object.entries(CliActions)) {
+        console.log(`    ${action} ${info.usage}`);
+        console.log(`        ${info.description}`);
+    }
+}
+
+/**
+ * Retrieve the arguments of a command line action from the full process arguments. `markers` is only treated
+ * as the subcommand when it's the first argument after the script, so option values like `--config-override markers`
+ * still launch the server.
+ * @param {string[]} argv The full process arguments, including node and the script being run.
+ * @returns {string[]?} The arguments after `markers`, or null if the server should be launched normally. */
+export function markerCommandArgs(argv) {
+    return argv[2]?.toLowerCase() === 'markers' ? argv.slice(3) : null;
+}
+
+/**
+ * Run the command line action described by the given arguments. Expects the server to be initialized,
+ * but not listening for requests, as the Plex database shouldn't be modified by anything else in the meantime.
+ * @param {string[]} argv The arguments after `markers`.
+ * @param {(text: string) => void} [write] Where to write the result. Defaults to stdout.
+ * @param {(text: string) => void} [writeError] Where to write errors. Defaults to stderr.
+ * @returns {Promise<number>} The exit code for the process. */
+export async function runCliCommand(argv, write=text => process.stdout.write(text), writeError=text => process.stderr.write(text)) {
+    const [actionName, ...rest] = argv;
+    const action = CliActions[actionName?.toLowerCase()];
+    if (!action) {
+        writeError(JSON.stringify({ Error : actionName ? `Unknown action "${actionName}"` : 'No action provided' }) + '\n');
+        return 1;
+    }
+
+    try {
+        const result = await action.run(parseArgs(rest, action.flags));
+        write(JSON.stringify(result ?? { success : true }, null, 2) + '\n');
+        return 0;
+    } catch (err) {
+        Log.verbose(err.stack ?? '[Stack trace not available]');
+        writeError(JSON.stringify({ Error : err.message }) + '\n');
+        return 1;
+    }
+}
+
+/**
+ * Split the given arguments into positional arguments and options.
+ * @param {string[]} argv
+ * @param {string[]} flags Options that don't take a value.
+ * @returns {CliArgs} */
+function parseArgs(argv, flags) {
+    /** @type {CliArgs} */
+    const args = { positional : [], options : {} };
+    for (let i = 0; i < argv.length; ++i) {
+        if (!argv[i].startsWith('--')) {
+            args.positional.push(argv[i]);
+            continue;
+        }
+
+        const option = argv[i].substring(2).toLowerCase();
+        if (flags.includes(option)) {
+            args.options[option] = true;
+        } else if (i === argv.length - 1) {
+            throw new ServerError(`Expected a value for --${option}`, 400);
+        } else {
+            args.options[option] = argv[++i];
+        }
+    }
+
+    return args;
+}
+
+/**
+ * Ensure at least the given number of positional arguments were given, returning them.
+ * @param {CliArgs} args
+ * @param {number} count */
+function requireArgs(args, count) {
+    if (args.positional.length < count) {
+        throw new ServerError(`Expected ${count} argument${count === 1 ? '' : 's'}, found ${args.positional.length}`, 400);
+    }
+
+    return args.positional;
+}
+
+/**
+ * Parse the given argument as an integer.
+ * @param {string} value
+ * @param {string} name The name of the argument, for error messages. */
+function int(value, name) {
+    if (!/^-?\d+$/.test(value)) {
+        throw new ServerError(`Expected an integer for ${name}, found "${value}"`, 400);
+    }
+
+    return parseInt(value);
+}
+
+/**
+ * Parse the given argument as a timestamp, in milliseconds or [HH:]MM:SS[.mmm]
+ * @param {string} value
+ * @param {string} name The name of the argument, for error messages.
+ * @param {boolean} [allowNegative=false] Whether the timestamp can be negative, i.e. for shifts. */
+function time(value, name, allowNegative=false) {
+    const negative = allowNegative && value.startsWith('-');
+    const ms = timestampToMs(negative ? value.substring(1) : value);
+    if (isNaN(ms)) {
+        throw new ServerError(`Expected a timestamp for ${name}, found "${value}"`, 400);
+    }
+
+    return negative ? -ms : ms;
+}
+
+/**
+ * Validate the given marker type.
+ * @param {string} value
+ * @param {boolean} [allowAll=false] Whether 'all' is a valid type. */
+function markerType(value, allowAll=false) {
+    const type = value.toLowerCase();
+    if (!(type in MarkerTypes) || (type === 'all' && !allowAll)) {
+        throw new ServerError(`Invalid marker type "${value}"`, 400);
+    }
+
+    return type;
+}
+
+/**
+ * Parse a comma separated list of ids.
+ * @param {string|undefined} value */
+function idList(value) {
+    return value ? value.split(',').map(id => int(id.trim(), 'id')).join(',') : '';
+}
+
+/**
+ * Parse the conflict resolution type, defaulting to overwriting existing markers like the client does.
+ * @param {string|undefined} value */
+function resolveType(value) {
+    if (!value) {
+        return MarkerConflictResolution.Overwrite;
+    }
+
+    const resolution = Object.entries(MarkerConflictResolution).find(([key, _]) => key.toLowerCase() === value.toLowerCase());
+    if (!resolution) {
+        throw new ServerError(`Invalid resolve type "${value}", expected overwrite, merge, or ignore`, 400);
+    }
+
+    return resolution[1];
+}
+
+/**
+ * Export markers to a file, defaulting to the same name exports from the client use.
+ * @param {CliArgs} args */
+async function exportMarkers(args) {
+    const sectionId = args.positional.length > 0 ? int(args.positional[0], 'sectionId') : -1;
+    const format = args.options.format?.toLowerCase() ?? MarkerExportFormat.Database;
+    const markerExport = await DatabaseImportExport.createExport(sectionId, format);
+    const outFile = resolve(args.options.out ?? markerExport.name);
+    if (markerExport.data === undefined) {
+        copyFileSync(markerExport.path, outFile);
+    } else {
+        writeFileSync(outFile, markerExport.data);
+    }
+
+    return { file : outFile, format : format };
+}
+
+/**
+ * Import markers from a database, JSON, or CSV export.
+ * @param {CliArgs} args */
+function importMarkers(args) {
+    const file = requireArgs(args, 1)[0];
+    let data;
+    try {
+        data = readFileSync(file).toString('binary');
+    } catch (err) {
+        throw new ServerError(`Unable to read "${file}": ${err.message}`, 400);
+    }
+
+    const sectionId = args.options.section === undefined ? -1 : int(args.options.section, 'section');
+    return runLocalCommand(PostCommands.ImportDb, {}, {
+        database : { name : 'database', filename : basename(file), data : data },
+        sectionId : { name : 'sectionId', data : sectionId.toString() },
+        resolveType : { name : 'resolveType', data : resolveType(args.options.resolve).toString() },
+    });
+}
+
+/**
+ * Restore all purged markers in the given section.
+ * @param {CliArgs} args */
+async function restorePurges(args) {
+    const sectionId = int(requireArgs(args, 1)[0], 'sectionId');
+    const actions = flattenPurges(await runLocalCommand(PostCommands.AllPurges, { sectionId }));
+    const restoreInfo = {
+        restoreIds : actions.filter(a => !a.readded).map(a => a.marker_id),
+        redeleteIds : actions.filter(a => a.readded).map(a => ({ oldId : a.marker_id, newId : a.readded_id })),
+    };
+
+    return runLocalCommand(PostCommands.RestorePurges, {}, {
+        restoreInfo : { name : 'restoreInfo', data : JSON.stringify(restoreInfo) },
+        sectionId : { name : 'sectionId', data : sectionId.toString() },
+        resolveType : { name : 'resolveType', data : resolveType(args.options.resolve).toString() },
+    });
+}
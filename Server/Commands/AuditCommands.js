@@ -0,0 +1,58 @@
+import { BackupManager } from '../MarkerBackupManager.js';
+import { PostCommands } from '../../Shared/PostCommands.js';
+import { registerCommand } from './PostCommand.js';
+import ServerError from '../ServerError.js';
+
+/** @typedef {!import('../MarkerBackupManager').AuditLogFilter} AuditLogFilter */
+/** @typedef {!import('../../Shared/PlexTypes').AuditLogPage} AuditLogPage */
+
+/**
+ * Retrieve a page of recorded marker actions that match the given filter.
+ * @param {AuditLogFilter} filter
+ * @returns {Promise<AuditLogPage>} */
+function auditLog(filter) {
+    return BackupManager.auditLog(filter);
+}
+
+/**
+ * Parse and validate the audit log filter sent by the client.
+ * @param {string} filterString
+ * @returns {AuditLogFilter} */
+function parseAuditLogFilter(filterString) {
+    /** @type {AuditLogFilter} */
+    let filter;
+    try {
+        filter = JSON.parse(filterString || '{}');
+    } catch (err) {
+        throw new ServerError(`Failed to parse audit log filter: ${err.message}`, 400);
+    }
+
+    if (typeof filter !== 'object' || filter === null || filter instanceof Array) {
+        throw new ServerError(`Expected audit log filter to be an object, found ${JSON.stringify(filter)}`, 400);
+    }
+
+    if (filter.username !== undefined && typeof filter.username !== 'string') {
+        throw new ServerError(`Expected audit log username to be a string, found ${typeof filter.username}`, 400);
+    }
+
+    for (const field of ['sectionId', 'showId', 'from', 'to', 'page']) {
+        if (filter[field] !== undefined && !Number.isInteger(filter[field])) {
+            throw new ServerError(`Expected audit log ${field} to be an integer, found ${JSON.stringify(filter[field])}`, 400);
+        }
+    }
+
+    return {
+        username : filter.username,
+        sectionId : filter.sectionId,
+        showId : filter.showId,
+        from : filter.from,
+        to : filter.to,
+        page : filter.page,
+    };
+}
+
+/**
+ * Register POST handlers related to the marker audit log. */
+export function registerAuditCommands() {
+    registerCommand(PostCommands.AuditLog, q => auditLog(q.fc('filter', parseAuditLogFilter)));
+}
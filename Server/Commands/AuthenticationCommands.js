@@ -1,5 +1,6 @@
+import { PostCommands, UserRole } from '../../Shared/PostCommands.js';
+import { ApiKeys } from '../Authentication/ApiKeys.js';
 import { Config } from '../Config/MarkerEditorConfig.js';
-import { PostCommands } from '../../Shared/PostCommands.js';
 import { registerCommand } from './PostCommand.js';
 import ServerError from '../ServerError.js';
 import { User } from '../Authentication/Authentication.js';
@@ -7,6 +8,8 @@ import { User } from '../Authentication/Authentication.js';
 /** @typedef {!import('express').Request} ExpressRequest */
 /** @typedef {!import('express').Response} ExpressResponse */
 /** @typedef {!import('express-session')} Session */
+/** @typedef {!import('../../Shared/PlexTypes').ApiKeyInfo} ApiKeyInfo */
+/** @typedef {!import('../../Shared/PlexTypes').NewApiKey} NewApiKey */
 /** @typedef {Session.Session & Partial<Session.SessionData>} ExpressSession */
 
 /**
@@ -22,7 +25,7 @@ async function login(username, password, session) {
         throw new ServerError('Incorrect username or password', 401);
     }
 
-    session.authenticated = true;
+    User.setSessionUser(session, username);
 }
 
 /**
@@ -47,7 +50,7 @@ function logout(request, response) {
 }
 
 /**
- * Change the current single-user password.
+ * Change the signed-in user's password, or set up the initial admin account if no users exist.
  * @param {string} username
  * @param {string} oldPassword
  * @param {string} newPassword
@@ -58,11 +61,17 @@ async function changePassword(username, oldPassword, newPassword, request) {
         throw new ServerError('Unexpected call to /change_password, authentication is not enabled.', 400);
     }
 
-    const firstSet = !request.session?.authenticated && !User.passwordSet();
-    if (!request.session?.authenticated && User.passwordSet()) {
+    const signedIn = User.signedIn(request);
+    const firstSet = !signedIn && !User.passwordSet();
+    if (!signedIn && User.passwordSet()) {
         throw new ServerError('Cannot change password when not logged in.', 403);
     }
 
+    // Admins can reset other passwords via reset_user_password, but everyone has to know their own old password here.
+    if (signedIn && User.get(username)?.id !== User.sessionUser(request).id) {
+        throw new ServerError(`Cannot change the password of another user.`, 403);
+    }
+
     if (!newPassword) {
         throw new ServerError('New password cannot be empty.', 400);
     }
@@ -76,9 +85,8 @@ async function changePassword(username, oldPassword, newPassword, request) {
     }
 
     if (firstSet) {
-        // eslint-disable-next-line require-atomic-updates
         if (request.session) {
-            request.session.authenticated = true;
+            User.setSessionUser(request.session, username);
         }
     }
 }
@@ -92,10 +100,110 @@ function needsPassword() {
     };
 }
 
+/**
+ * Retrieve all user accounts and their roles.
+ * @returns {{ username: string, role: number }[]} */
+function getUsers() {
+    return User.users();
+}
+
+/**
+ * Create a new user account.
+ * @param {string} username
+ * @param {string} password
+ * @param {number} role */
+async function addUser(username, password, role) {
+    throwIfNoUsers();
+    await User.addUser(username, password, role);
+    return User.users();
+}
+
+/**
+ * Change the role of an existing user.
+ * @param {string} username
+ * @param {number} role
+ * @param {ExpressRequest} request */
+async function setUserRole(username, role, request) {
+    throwIfNoUsers();
+    if (role !== UserRole.Admin && User.get(username)?.id === User.sessionUser(request)?.id) {
+        throw new ServerError(`Cannot remove your own admin access.`, 400);
+    }
+
+    await User.setRole(username, role);
+    return User.users();
+}
+
+/**
+ * Set a new password for an existing user without requiring their old password.
+ * @param {string} username
+ * @param {string} newPassword */
+async function resetUserPassword(username, newPassword) {
+    throwIfNoUsers();
+    if (!newPassword) {
+        throw new ServerError('New password cannot be empty.', 400);
+    }
+
+    await User.resetPassword(username, newPassword);
+}
+
+/**
+ * Delete an existing user account.
+ * @param {string} username
+ * @param {ExpressRequest} request */
+async function removeUser(username, request) {
+    throwIfNoUsers();
+    if (User.get(username)?.id === User.sessionUser(request)?.id) {
+        throw new ServerError(`Cannot remove the account you're signed in with.`, 400);
+    }
+
+    await User.removeUser(username);
+    return User.users();
+}
+
+/**
+ * Retrieve all API keys. The keys themselves are never returned after they're created.
+ * @returns {ApiKeyInfo[]} */
+function getApiKeys() {
+    return ApiKeys.list();
+}
+
+/**
+ * Create a new API key.
+ * @param {string} name
+ * @param {number} role
+ * @returns {Promise<NewApiKey>} */
+function addApiKey(name, role) {
+    return ApiKeys.add(name, role);
+}
+
+/**
+ * Revoke an existing API key.
+ * @param {number} id */
+async function removeApiKey(id) {
+    await ApiKeys.remove(id);
+    return ApiKeys.list();
+}
+
+/**
+ * Users can only be managed after the initial admin account has been created, via change_password. */
+function throwIfNoUsers() {
+    if (!User.passwordSet()) {
+        throw new ServerError(`Cannot manage users before authentication is set up.`, 400);
+    }
+}
+
 /** Register authentication related commands. */
 export function registerAuthCommands() {
     registerCommand(PostCommands.Login, q => login(q.fs('username'), q.fs('password'), q.r().session));
     registerCommand(PostCommands.Logout, q => logout(q.r(), q.response()));
     registerCommand(PostCommands.ChangePassword, q => changePassword(q.fs('username'), q.fs('oldPass'), q.fs('newPass'), q.r()));
     registerCommand(PostCommands.NeedsPassword, _q => needsPassword());
+    registerCommand(PostCommands.GetUsers, _q => getUsers());
+    registerCommand(PostCommands.AddUser, q => addUser(q.fs('username'), q.fs('password'), q.fi('role')));
+    registerCommand(PostCommands.SetUserRole, q => setUserRole(q.fs('username'), q.fi('role'), q.r()));
+    registerCommand(PostCommands.ResetUserPassword, q => resetUserPassword(q.fs('username'), q.fs('newPass')));
+    registerCommand(PostCommands.RemoveUser, q => removeUser(q.fs('username'), q.r()));
+    registerCommand(PostCommands.GetApiKeys, _q => getApiKeys());
+    registerCommand(PostCommands.AddApiKey, q => addApiKey(q.fs('name'), q.fi('role')));
+    registerCommand(PostCommands.RemoveApiKey, q => removeApiKey(q.fi('id')));
 }
@@ -7,31 +7,44 @@ import { PostCommands } from '../../Shared/PostCommands.js';
 import { registerCommand } from './PostCommand.js';
 import { sendJsonSuccess } from '../ServerHelpers.js';
 import ServerError from '../ServerError.js';
+import { User } from '../Authentication/Authentication.js';
 
+/** @typedef {!import('express').Request} ExpressRequest */
 /** @typedef {!import('express').Response} ExpressResponse */
 
 /** @typedef {!import('/Shared/ServerConfig').SerializedConfig} SerializedConfig */
 /** @typedef {!import('/Shared/ServerConfig').TypedSetting<T>} TypedSetting<T> */
 
+/**
+ * Retrieve the user whose authentication settings are being viewed or modified. If authentication
+ * is disabled, nobody is signed in, so fall back to the original admin account.
+ * @param {ExpressRequest} request */
+function settingsUser(request) {
+    return (User.sessionUser(request) ?? User.defaultAccount())?.username ?? '';
+}
+
 /**
  * Retrieve a subset of the app configuration that the frontend needs access to.
- * This is only async to conform with the command handler signature. */
-function getConfig() {
-    return Config.serialize();
+ * This is only async to conform with the command handler signature.
+ * @param {ExpressRequest} request */
+function getConfig(request) {
+    return Config.serialize(settingsUser(request));
 }
 
 /**
  * Validate a serialized config file.
- * @param {SerializedConfig} config */
-function validateConfig(config) {
-    return Config.validateConfig(config);
+ * @param {SerializedConfig} config
+ * @param {ExpressRequest} request */
+function validateConfig(config, request) {
+    return Config.validateConfig(config, false /*forWrite*/, settingsUser(request));
 }
 
 /**
  * Validate a single setting of the server configuration.
  * @param {string} setting
- * @param {string} value */
-async function validateConfigValue(setting, value) {
+ * @param {string} value
+ * @param {ExpressRequest} request */
+async function validateConfigValue(setting, value, request) {
     let asJson;
     try {
         asJson = JSON.parse(value);
@@ -39,7 +52,7 @@ async function validateConfigValue(setting, value) {
         throw new ServerError(`Invalid configuration value. Expected JSON object, but couldn't parse it`, 400);
     }
 
-    const checkedSetting = await Config.validateField(setting, asJson);
+    const checkedSetting = await Config.validateField(setting, asJson, settingsUser(request));
     if (setting === ServerSettings.Password) {
         // Don't pass the actual password back to the client.
         checkedSetting.setValue('');
@@ -51,10 +64,11 @@ async function validateConfigValue(setting, value) {
 /**
  * Replace the current configuration with the given configuration, if valid.
  * @param {SerializedConfig} config
+ * @param {ExpressRequest} request
  * @param {ExpressResponse} response */
-async function setConfig(config, response) {
+async function setConfig(config, request, response) {
     const oldConfigState = Config.getValid();
-    const newConfig = await Config.trySetConfig(config);
+    const newConfig = await Config.trySetConfig(config, settingsUser(request));
     switch (newConfig.config.state) {
         case ServerConfigState.FullReloadNeeded:
             await waitForServerEvent(ServerEvents.HardRestart, response, newConfig);
@@ -81,8 +95,8 @@ async function setConfig(config, response) {
  * Validation commands use form fields to "hide" values from logging so we
  * don't log password validation information. */
 export function registerConfigCommands() {
-    registerCommand(PostCommands.GetConfig, _ => getConfig());
-    registerCommand(PostCommands.ValidateConfig, q => validateConfig(q.fc('config', JSON.parse)));
-    registerCommand(PostCommands.ValidateConfigValue, q => validateConfigValue(q.fs('setting'), q.fs('value')));
-    registerCommand(PostCommands.SetConfig, q => setConfig(q.fc('config', JSON.parse), q.response()), true /*ownsResponse*/);
+    registerCommand(PostCommands.GetConfig, q => getConfig(q.r()));
+    registerCommand(PostCommands.ValidateConfig, q => validateConfig(q.fc('config', JSON.parse), q.r()));
+    registerCommand(PostCommands.ValidateConfigValue, q => validateConfigValue(q.fs('setting'), q.fs('value'), q.r()));
+    registerCommand(PostCommands.SetConfig, q => setConfig(q.fc('config', JSON.parse), q.r(), q.response()), true /*ownsResponse*/);
 }
@@ -1,27 +1,41 @@
-import { BulkMarkerResolveType, EpisodeData, MarkerData } from '../../Shared/PlexTypes.js';
+import { BulkMarkerResolveType, EpisodeData, MarkerCopyAlignment, MarkerData, MovieData } from '../../Shared/PlexTypes.js';
 import { MarkerEnum, MarkerType } from '../../Shared/MarkerType.js';
 import { ContextualLog } from '../../Shared/ConsoleLog.js';
 
 import { MetadataType, PlexQueries } from '../PlexQueryManager.js';
+import { alignMarkers } from '../MarkerCopy.js';
 import { BackupManager } from '../MarkerBackupManager.js';
 import LegacyMarkerBreakdown from '../LegacyMarkerBreakdown.js';
 import { MarkerCache } from '../MarkerCacheManager.js';
+import { PlexSnapshots } from '../PlexDatabaseSnapshots.js';
 import { PostCommands } from '../../Shared/PostCommands.js';
 import { registerCommand } from './PostCommand.js';
 import ServerError from '../ServerError.js';
 
+/** @typedef {!import('../MarkerBackupManager').ActionBatch} ActionBatch */
 /** @typedef {!import('../../Shared/PlexTypes').BulkAddResult} BulkAddResult */
 /** @typedef {!import('../../Shared/PlexTypes').BulkDeleteResult} BulkDeleteResult */
+/** @typedef {!import('../../Shared/PlexTypes').BulkItemsCheckResult} BulkItemsCheckResult */
+/** @typedef {!import('../../Shared/PlexTypes').BulkItemsResult} BulkItemsResult */
+/** @typedef {!import('../../Shared/PlexTypes').CopiedMarker} CopiedMarker */
 /** @typedef {!import('../../Shared/PlexTypes').CustomBulkAddMap} CustomBulkAddMap */
+/** @typedef {!import('../../Shared/PlexTypes').MarkerCopyResult} MarkerCopyResult */
 /** @typedef {!import('../../Shared/PlexTypes').OldMarkerTimings} OldMarkerTimings */
 /** @typedef {!import('../../Shared/PlexTypes').SerializedEpisodeData} SerializedEpisodeData */
 /** @typedef {!import('../../Shared/PlexTypes').SerializedMarkerData} SerializedMarkerData */
 /** @typedef {!import('../../Shared/PlexTypes').ShiftResult} ShiftResult */
+/** @typedef {!import('../PlexQueryManager').MarkersWithTypeInfo} MarkersWithTypeInfo */
 /** @typedef {!import('../PlexQueryManager').RawEpisodeData} RawEpisodeData */
 /** @typedef {!import('../PlexQueryManager').RawMarkerData} RawMarkerData */
+/** @typedef {!import('../PlexQueryManager').RawMovieData} RawMovieData */
 /** @typedef {!import('../QueryParse').QueryParser} QueryParser */
 
 
+/**
+ * The existing markers and episodes/movie of a single item targeted by a multi-item bulk action.
+ * @typedef {{ markerInfo: MarkersWithTypeInfo, baseItems: RawEpisodeData[]|RawMovieData[] }} BulkItem
+ */
+
 const Log = ContextualLog.Create('CoreCommands');
 
 /*
@@ -55,8 +69,9 @@ function checkMarkerBounds(startMs, endMs, markerType) {
 
 /**
  * @param {BulkAddResult} addResult
- * @param {RawMarkerData[]} previousMarkers */
-async function bulkAddPostProcess(addResult, previousMarkers) {
+ * @param {RawMarkerData[]} previousMarkers
+ * @param {ActionBatch} [batch] The batch to record changes under. Defaults to a new batch. */
+async function bulkAddPostProcess(addResult, previousMarkers, batch=BackupManager.newBatch()) {
     if (!addResult.applied) {
         // Nothing applied, nothing to do.
         return 0;
@@ -113,9 +128,10 @@ async function bulkAddPostProcess(addResult, previousMarkers) {
         LegacyMarkerBreakdown.Update(deleted, markerCounts[deleted.parentId]--, -1);
     }
 
-    await BackupManager.recordAdds(adds);
-    await BackupManager.recordEdits(edits, oldMarkerTimings);
-    await BackupManager.recordDeletes(deletes);
+    // Record everything under the same batch so it can be undone as a single operation.
+    await BackupManager.recordAdds(adds, batch);
+    await BackupManager.recordEdits(edits, oldMarkerTimings, batch);
+    await BackupManager.recordDeletes(deletes, batch);
     return adds.length;
 }
 
@@ -153,6 +169,29 @@ function parseCustomMarkerData(markers) {
     }
 }
 
+/**
+ * Retrieve the base item data (the episodes, or the movie itself) for the given base item ids.
+ * @param {MarkersWithTypeInfo} markerInfo The markers for `metadataId`, used to determine its type.
+ * @param {Set<number>} baseItemIds
+ * @param {number} metadataId The movie/show/season/episode that contains all the base items.
+ * @returns {Promise<RawEpisodeData[]|RawMovieData[]>} */
+function baseItemsFromList(markerInfo, baseItemIds, metadataId) {
+    if (markerInfo.typeInfo.metadata_type !== MetadataType.Movie) {
+        return PlexQueries.getEpisodesFromList(baseItemIds, metadataId);
+    }
+
+    return baseItemIds.size === 0 ? Promise.resolve([]) : PlexQueries.getMoviesFromList([...baseItemIds]);
+}
+
+/**
+ * Wrap the given raw episode/movie in the data class that matches the item's type.
+ * @param {MarkersWithTypeInfo} markerInfo
+ * @param {RawEpisodeData|RawMovieData} baseItem
+ * @returns {EpisodeData|MovieData} */
+function baseItemData(markerInfo, baseItem) {
+    return markerInfo.typeInfo.metadata_type === MetadataType.Movie ? new MovieData(baseItem) : new EpisodeData(baseItem);
+}
+
 /* **************
  * Core Methods *
  ************** */
@@ -232,14 +271,19 @@ async function editMarker(markerType, markerId, startMs, endMs, final) {
 
     // Make the edit, then adjust indexes
     // TODO: removeIndex: newIndex parameter shouldn't be necessary
-    await PlexQueries.editMarker(markerId, newIndex, startMs, endMs, markerType, final);
+    await PlexQueries.editMarker(currentMarker.parent_id, markerId, newIndex, startMs, endMs, markerType, final);
     await PlexQueries.reindex(currentMarker.parent_id);
 
     const newMarkerRaw = await PlexQueries.getSingleMarker(markerId);
     const newMarker = new MarkerData(newMarkerRaw);
-    const oldStart = currentMarker.start;
-    const oldEnd = currentMarker.end;
-    await BackupManager.recordEdits([newMarker], { [newMarker.id] : { start : oldStart, end : oldEnd } });
+    const oldTimings = {
+        start : currentMarker.start,
+        end : currentMarker.end,
+        markerType : currentMarker.marker_type,
+        final : currentMarker.final
+    };
+
+    await BackupManager.recordEdits([newMarker], { [newMarker.id] : oldTimings });
     Log.info(`Edited Marker for item ${currentMarker.parent_id}, ` +
         `was [${currentMarker.start}-${currentMarker.end}], now [${startMs}-${endMs}]`);
     return newMarker;
@@ -263,7 +307,7 @@ async function deleteMarker(markerId) {
     }
 
     // Now that we're done rearranging, delete the original tag.
-    await PlexQueries.deleteMarker(markerId);
+    await PlexQueries.deleteMarker(markerToDelete);
 
     // If deletion was successful, now we can check to see whether we need to rearrange indexes to keep things contiguous
     if (deleteIndex < allMarkers.length - 1) {
@@ -290,9 +334,24 @@ async function deleteMarker(markerId) {
 async function shiftMarkers(metadataId, startShift, endShift, applyTo, applyType, ignoredMarkerIds) {
     const markerInfo = await PlexQueries.getMarkersAuto(metadataId);
     if (markerInfo.typeInfo.metadata_type === MetadataType.Movie) {
-        throw new ServerError(`Bulk delete doesn't support movies (yet?).`, 400);
+        throw new ServerError(`Bulk shift doesn't support movies (yet?).`, 400);
     }
 
+    return shiftMarkersCore(metadataId, markerInfo, startShift, endShift, applyTo, applyType, ignoredMarkerIds);
+}
+
+/**
+ * Core shift implementation shared by single and multi-item shifts. Unlike shiftMarkers, movies are allowed.
+ * @param {number} metadataId movie, show, season, or episode metadata id
+ * @param {MarkersWithTypeInfo} markerInfo The existing markers for metadataId.
+ * @param {number} startShift The number of milliseconds to shift marker starts.
+ * @param {number} endShift The number of milliseconds to shift marker ends.
+ * @param {number} applyTo The marker type(s) to apply the shift to.
+ * @param {number} applyType The ShiftApplyType
+ * @param {number[]} ignoredMarkerIds Markers to ignore when shifting.
+ * @param {ActionBatch} [batch] The batch to record changes under. Defaults to a new batch.
+ * @returns {Promise<ShiftResult>} */
+async function shiftMarkersCore(metadataId, markerInfo, startShift, endShift, applyTo, applyType, ignoredMarkerIds, batch) {
     /** @type {{ [episodeId: number]: RawMarkerData[] }} */
     const seen = {};
 
@@ -326,18 +385,16 @@ async function shiftMarkers(metadataId, startShift, endShift, applyTo, applyType
         }
     }
 
-    /** @type {number[]} */
-    const episodeIds = new Set(Object.keys(seen).map(k => parseInt(k)));
-    const rawEpisodeData = await PlexQueries.getEpisodesFromList(episodeIds, metadataId);
+    const rawEpisodeData = await baseItemsFromList(markerInfo, new Set(Object.keys(seen).map(k => parseInt(k))), metadataId);
     const foundOverflow = checkOverflow(seen, rawEpisodeData, startShift, endShift);
 
     if (applyType === ShiftApplyType.DontApply || foundOverflow || (applyType === ShiftApplyType.TryApply && foundConflict)) {
         /** @type {MarkerData[]} */
         const notRaw = [];
         markerInfo.markers.forEach(rm => notRaw.push(new MarkerData(rm)));
-        /** @type {{[episodeId: number]: EpisodeData}} */
+        /** @type {{[episodeId: number]: EpisodeData|MovieData}} */
         const episodeData = {};
-        rawEpisodeData.forEach(e => episodeData[e.id] = new EpisodeData(e));
+        rawEpisodeData.forEach(e => episodeData[e.id] = baseItemData(markerInfo, e));
         return {
             applied : false,
             conflict : foundConflict,
@@ -351,6 +408,11 @@ async function shiftMarkers(metadataId, startShift, endShift, applyTo, applyType
         Log.verbose('Applying shift even though some episodes have multiple markers.');
     }
 
+    // Multi-item shifts snapshot the database once before shifting anything.
+    if (!batch) {
+        await PlexSnapshots.snapshot(PostCommands.ShiftMarkers);
+    }
+
     // TODO: Check if shift causes overlap with ignored markers?
     const shifted = await PlexQueries.shiftMarkers(seen, rawEpisodeData, startShift, endShift);
 
@@ -375,7 +437,7 @@ async function shiftMarkers(metadataId, startShift, endShift, applyTo, applyType
         markerData.push(nonRaw);
     }
 
-    await BackupManager.recordEdits(markerData, oldMarkerMap);
+    await BackupManager.recordEdits(markerData, oldMarkerMap, batch);
     Log.info(`Shifted ${markerData.length} markers for item ${metadataId} [startShift=${startShift}, endShift=${endShift}]`);
 
     return {
@@ -399,6 +461,23 @@ async function bulkDelete(metadataId, dryRun, applyTo, ignoredMarkerIds) {
         throw new ServerError(`Bulk delete doesn't support movies (yet?).`, 400);
     }
 
+    if (!dryRun) {
+        await PlexSnapshots.snapshot(PostCommands.BulkDelete);
+    }
+
+    return bulkDeleteCore(metadataId, markerInfo, dryRun, applyTo, ignoredMarkerIds);
+}
+
+/**
+ * Core delete implementation shared by single and multi-item deletes. Unlike bulkDelete, movies are allowed.
+ * @param {number} metadataId Metadata id of the movie/episode/season/show
+ * @param {MarkersWithTypeInfo} markerInfo The existing markers for metadataId.
+ * @param {boolean} dryRun Whether we should just gather data about what we would delete.
+ * @param {number} applyTo The type of marker(s) to delete.
+ * @param {number[]} ignoredMarkerIds List of marker ids to not delete.
+ * @param {ActionBatch} [batch] The batch to record changes under. Defaults to a new batch.
+ * @returns {Promise<BulkDeleteResult>} */
+async function bulkDeleteCore(metadataId, markerInfo, dryRun, applyTo, ignoredMarkerIds, batch) {
     const ignoreSet = new Set();
     for (const markerId of ignoredMarkerIds) {
         ignoreSet.add(markerId);
@@ -427,10 +506,10 @@ async function bulkDelete(metadataId, dryRun, applyTo, ignoredMarkerIds) {
             serializedMarkers.push(new MarkerData(marker));
         }
 
-        /** @type {{ [episodeId: number]: EpisodeData }} */
+        /** @type {{ [episodeId: number]: EpisodeData|MovieData }} */
         const serializedEpisodeData = {};
-        const rawEpisodeData = await PlexQueries.getEpisodesFromList(episodeIds, metadataId);
-        rawEpisodeData.forEach(e => serializedEpisodeData[e.id] = new EpisodeData(e));
+        const rawEpisodeData = await baseItemsFromList(markerInfo, episodeIds, metadataId);
+        rawEpisodeData.forEach(e => serializedEpisodeData[e.id] = baseItemData(markerInfo, e));
         return {
             markers : serializedMarkers,
             deletedMarkers : [],
@@ -462,7 +541,7 @@ async function bulkDelete(metadataId, dryRun, applyTo, ignoredMarkerIds) {
         deleted.push(nonRaw);
     }
 
-    await BackupManager.recordDeletes(deleted);
+    await BackupManager.recordDeletes(deleted, batch);
     Log.info(`Deleted ${deleted.length} markers for item ${metadataId} (explicitly ignored ${ignoredMarkerIds.length})`);
     return {
         markers : serializedMarkers,
@@ -478,8 +557,9 @@ async function bulkDelete(metadataId, dryRun, applyTo, ignoredMarkerIds) {
  * @param {number} end
  * @param {number} resolveType The `BulkMarkerResolveType`
  * @param {number[]} [ignored=[]] List of episode ids to not add markers to.
+ * @param {ActionBatch} [batch] The batch to record changes under. Defaults to a new batch.
  * @returns {Promise<BulkAddResult>>} */
-async function bulkAdd(markerType, metadataId, start, end, resolveType, ignored=[]) {
+async function bulkAdd(markerType, metadataId, start, end, resolveType, ignored=[], batch) {
     const knownInvalid = start < 0 ? end <= start : (end > 0 && end <= start);
     if (resolveType !== BulkMarkerResolveType.DryRun && knownInvalid) {
         throw new ServerError(`Start cannot be negative or greater than end, found (start: ${start} end: ${end})`, 500);
@@ -491,7 +571,7 @@ async function bulkAdd(markerType, metadataId, start, end, resolveType, ignored=
 
     const currentMarkers = await PlexQueries.getMarkersAuto(metadataId);
     const addResult = await PlexQueries.bulkAddSimple(currentMarkers, metadataId, start, end, markerType, resolveType, ignored);
-    const adds = await bulkAddPostProcess(addResult, currentMarkers.markers);
+    const adds = await bulkAddPostProcess(addResult, currentMarkers.markers, batch);
 
     if (resolveType !== BulkMarkerResolveType.DryRun) {
         Log.info(`Added ${adds} markers to item ${metadataId} (explicitly ignored ${ignored.length})`);
@@ -523,6 +603,297 @@ async function bulkAddCustom(metadataId, markerType, newMarkers, resolveType) {
     return addResult;
 }
 
+/**
+ * Verify that the items targeted by a multi-item bulk action are all movies/shows/seasons/episodes in the same
+ * library, and that no episode is covered by more than one item (e.g. a show and one of its seasons), which would
+ * apply the same action to it multiple times.
+ * @param {number[]} metadataIds
+ * @returns {Promise<{ [metadataId: number]: BulkItem }>} The existing markers and base items of each item.
+ * @throws {ServerError} */
+async function checkBulkItems(metadataIds) {
+    if (metadataIds.length === 0) {
+        throw new ServerError(`Expected at least one item to apply the bulk action to.`, 400);
+    }
+
+    /** @type {{ [metadataId: number]: BulkItem }} */
+    const items = {};
+    const seen = new Set();
+    let sectionId;
+    for (const metadataId of metadataIds) {
+        const markerInfo = await PlexQueries.getMarkersAuto(metadataId);
+        sectionId ??= markerInfo.typeInfo.section_id;
+        if (markerInfo.typeInfo.section_id !== sectionId) {
+            throw new ServerError(`All items must belong to the same library, cannot apply bulk action.`, 400);
+        }
+
+        const baseItems = await PlexQueries.getBaseItemsAuto(metadataId);
+        for (const baseItem of baseItems) {
+            if (seen.has(baseItem.id)) {
+                throw new ServerError(`Item ${baseItem.id} is included in multiple items, cannot apply bulk action.`, 400);
+            }
+
+            seen.add(baseItem.id);
+        }
+
+        items[metadataId] = { markerInfo, baseItems };
+    }
+
+    return items;
+}
+
+/**
+ * Retrieve the subset of ignored marker ids that belong to the given item.
+ * @param {MarkersWithTypeInfo} markerInfo
+ * @param {Set<number>} ignored */
+function ignoredForItem(markerInfo, ignored) {
+    return markerInfo.markers.filter(marker => ignored.has(marker.id)).map(marker => marker.id);
+}
+
+/**
+ * Retrieve all markers and episode/movie data for the given shows/seasons/movies, used to
+ * customize which episodes/markers a multi-item bulk action applies to.
+ * @param {number[]} metadataIds
+ * @returns {Promise<BulkItemsCheckResult>} */
+async function checkItems(metadataIds) {
+    const items = await checkBulkItems(metadataIds);
+    /** @type {BulkItemsCheckResult} */
+    const result = { markers : [], episodeData : {}, movieData : {} };
+    for (const { markerInfo, baseItems } of Object.values(items)) {
+        result.markers.push(...markerInfo.markers.map(marker => new MarkerData(marker)));
+        const isMovie = markerInfo.typeInfo.metadata_type === MetadataType.Movie;
+        for (const baseItem of baseItems) {
+            (isMovie ? result.movieData : result.episodeData)[baseItem.id] = baseItemData(markerInfo, baseItem);
+        }
+    }
+
+    return result;
+}
+
+/**
+ * Bulk add a marker to every episode/movie of each of the given shows/seasons/movies. All changes
+ * are recorded under a single batch, so the entire operation can be undone at once.
+ * @param {string} markerType
+ * @param {number[]} metadataIds
+ * @param {number} start
+ * @param {number} end
+ * @param {number} resolveType The `BulkMarkerResolveType`
+ * @param {number[]} [ignored=[]] List of episode/movie ids to not add markers to.
+ * @returns {Promise<BulkItemsResult>} */
+async function bulkAddItems(markerType, metadataIds, start, end, resolveType, ignored=[]) {
+    // Dry runs aren't aggregated across items, and a failure in one item can't roll back items
+    // that were already applied, so only allow resolve types that always apply.
+    if (resolveType <= BulkMarkerResolveType.Fail || resolveType > BulkMarkerResolveType.Max) {
+        throw new ServerError(`Unsupported resolve type for multi-item bulk add: ${resolveType}`, 400);
+    }
+
+    await checkBulkItems(metadataIds);
+    if (resolveType === BulkMarkerResolveType.Overwrite) {
+        await PlexSnapshots.snapshot(PostCommands.BulkAddItems);
+    }
+
+    const batch = BackupManager.newBatch();
+    /** @type {BulkItemsResult} */
+    const result = { applied : true, added : [], edited : [], deleted : [] };
+    for (const metadataId of metadataIds) {
+        const addResult = await bulkAdd(markerType, metadataId, start, end, resolveType, ignored, batch);
+        for (const episodeInfo of Object.values(addResult.episodeMap)) {
+            if (episodeInfo.changedMarker) {
+                (episodeInfo.isAdd ? result.added : result.edited).push(episodeInfo.changedMarker);
+            }
+
+            result.deleted.push(...(episodeInfo.deletedMarkers ?? []));
+        }
+    }
+
+    return result;
+}
+
+/**
+ * Shift markers for each of the given shows/seasons/movies. Unlike shiftMarkers, items with multiple markers
+ * are always shifted, but nothing is applied if any shifted marker would end up outside of its episode/movie.
+ * @param {number[]} metadataIds
+ * @param {number} startShift
+ * @param {number} endShift
+ * @param {number} applyTo The marker type(s) to apply the shift to.
+ * @param {number[]} [ignored=[]] Markers to ignore when shifting.
+ * @returns {Promise<BulkItemsResult>} */
+async function shiftItems(metadataIds, startShift, endShift, applyTo, ignored=[]) {
+    const items = await checkBulkItems(metadataIds);
+    const ignoreSet = new Set(ignored);
+    /** @type {BulkItemsResult} */
+    const result = { applied : false, added : [], edited : [], deleted : [] };
+    for (const metadataId of metadataIds) {
+        const markerInfo = items[metadataId].markerInfo;
+        const check = await shiftMarkersCore(
+            metadataId, markerInfo, startShift, endShift, applyTo, ShiftApplyType.DontApply, ignoredForItem(markerInfo, ignoreSet));
+        if (check.overflow) {
+            result.notAppliedReason = `Shift would move at least one marker beyond the bounds of its episode or movie.`;
+            return result;
+        }
+    }
+
+    await PlexSnapshots.snapshot(PostCommands.ShiftItems);
+    const batch = BackupManager.newBatch();
+    for (const metadataId of metadataIds) {
+        const markerInfo = items[metadataId].markerInfo;
+        const shiftResult = await shiftMarkersCore(metadataId, markerInfo, startShift, endShift, applyTo,
+            ShiftApplyType.ForceApply, ignoredForItem(markerInfo, ignoreSet), batch);
+        result.edited.push(...shiftResult.allMarkers);
+    }
+
+    result.applied = true;
+    return result;
+}
+
+/**
+ * Delete markers of the given type(s) from each of the given shows/seasons/movies.
+ * @param {number[]} metadataIds
+ * @param {number} applyTo The marker type(s) to delete.
+ * @param {number[]} [ignored=[]] List of marker ids to not delete.
+ * @returns {Promise<BulkItemsResult>} */
+async function bulkDeleteItems(metadataIds, applyTo, ignored=[]) {
+    const items = await checkBulkItems(metadataIds);
+    await PlexSnapshots.snapshot(PostCommands.BulkDeleteItems);
+    const ignoreSet = new Set(ignored);
+    const batch = BackupManager.newBatch();
+    /** @type {BulkItemsResult} */
+    const result = { applied : true, added : [], edited : [], deleted : [] };
+    for (const metadataId of metadataIds) {
+        const markerInfo = items[metadataId].markerInfo;
+        const deleteResult = await bulkDeleteCore(
+            metadataId, markerInfo, false /*dryRun*/, applyTo, ignoredForItem(markerInfo, ignoreSet), batch);
+        result.deleted.push(...deleteResult.deletedMarkers);
+    }
+
+    return result;
+}
+
+/**
+ * Copy markers from a single episode to all episodes in the given show/season, translating each marker's
+ * timestamps to the target episode based on the given alignment. Episodes whose markers can't be aligned
+ * (e.g. they don't have a chapter with the same name) are skipped, and reported in `unaligned`.
+ * @param {number} sourceId The episode to copy markers from.
+ * @param {number} targetId The show/season/episode to copy markers to.
+ * @param {number} applyTo The MarkerEnum of marker types to copy.
+ * @param {number} alignment The `MarkerCopyAlignment`
+ * @param {number} resolveType The `BulkMarkerResolveType`
+ * @param {number[]} [ignored=[]] List of episode ids to not copy markers to.
+ * @returns {Promise<MarkerCopyResult>} */
+async function copyMarkers(sourceId, targetId, applyTo, alignment, resolveType, ignored=[]) {
+    if (Object.values(MarkerCopyAlignment).indexOf(alignment) === -1) {
+        throw new ServerError(`Unknown marker alignment ${alignment}`, 400);
+    }
+
+    if (resolveType < BulkMarkerResolveType.DryRun || resolveType > BulkMarkerResolveType.Max) {
+        throw new ServerError(`Unknown resolve type ${resolveType}`, 400);
+    }
+
+    const source = await PlexQueries.getMarkersAuto(sourceId);
+    if (source.typeInfo.metadata_type !== MetadataType.Episode) {
+        throw new ServerError(`Markers can only be copied from a single episode`, 400);
+    }
+
+    const sourceMarkers = source.markers.filter(m => MarkerEnum.typeMatch(m.marker_type, applyTo));
+    sourceMarkers.sort((a, b) => a.start - b.start);
+    if (sourceMarkers.length === 0) {
+        throw new ServerError(`Episode ${sourceId} doesn't have any markers to copy`, 400);
+    }
+
+    const { copies, unaligned } = await alignCopies(sourceMarkers, sourceId, targetId, alignment, ignored);
+    const existingMarkers = (await PlexQueries.getMarkersAuto(targetId)).markers;
+    let notAppliedReason;
+    if (Object.keys(copies).length === 0) {
+        notAppliedReason = 'No target episodes could be aligned with the source episode.';
+    } else if (resolveType === BulkMarkerResolveType.Fail && copiesConflict(copies, existingMarkers)) {
+        notAppliedReason = 'At least one copied marker overlaps with an existing marker.';
+    }
+
+    const apply = resolveType !== BulkMarkerResolveType.DryRun && !notAppliedReason;
+    if (apply) {
+        if (resolveType === BulkMarkerResolveType.Overwrite) {
+            await PlexSnapshots.snapshot(PostCommands.CopyMarkers);
+        }
+
+        // bulkAddCustom only adds a single marker type per episode at a time, so add each source marker
+        // separately, but under the same batch so the entire copy can be undone at once.
+        const batch = BackupManager.newBatch();
+        let added = 0;
+        for (const [index, sourceMarker] of sourceMarkers.entries()) {
+            /** @type {CustomBulkAddMap} */
+            const newMarkers = {};
+            for (const [episodeId, episodeCopies] of Object.entries(copies)) {
+                const { start, end, final } = episodeCopies[index];
+                newMarkers[episodeId] = { start, end, final };
+            }
+
+            const currentMarkers = await PlexQueries.getMarkersAuto(targetId);
+            const addResult = await PlexQueries.bulkAddCustom(currentMarkers, targetId, sourceMarker.marker_type, resolveType, newMarkers);
+            added += await bulkAddPostProcess(addResult, currentMarkers.markers, batch);
+        }
+
+        Log.info(`Copied ${added} markers from episode ${sourceId} to item ${targetId} (${unaligned.length} unaligned)`);
+    }
+
+    // Always return the current state of all target episodes, which is the post-copy state if the copy was applied.
+    const finalMarkers = await PlexQueries.getMarkersAuto(targetId);
+    const dryRun = await PlexQueries.bulkAddCustom(finalMarkers, targetId, MarkerType.Intro, BulkMarkerResolveType.DryRun, {});
+
+    return {
+        applied : apply,
+        notAppliedReason : notAppliedReason,
+        episodeMap : dryRun.episodeMap,
+        copies : copies,
+        unaligned : unaligned,
+    };
+}
+
+/**
+ * Translate the given markers to each episode under targetId.
+ * @param {RawMarkerData[]} sourceMarkers The markers to copy.
+ * @param {number} sourceId The episode the markers belong to.
+ * @param {number} targetId The show/season/episode to copy markers to.
+ * @param {number} alignment The `MarkerCopyAlignment`
+ * @param {number[]} ignored List of episode ids to not copy markers to.
+ * @returns {Promise<{ copies: { [episodeId: number]: CopiedMarker[] }, unaligned: number[] }>} */
+async function alignCopies(sourceMarkers, sourceId, targetId, alignment, ignored) {
+    const sourceEpisode = (await PlexQueries.getEpisodesAuto(sourceId))[0];
+    const targetEpisodes = await PlexQueries.getEpisodesAuto(targetId);
+    const chapters = alignment === MarkerCopyAlignment.Chapter ?
+        { ...(await PlexQueries.getMediaChapters(targetId)), ...(await PlexQueries.getMediaChapters(sourceId)) } :
+        {};
+
+    const sourceInfo = { duration : sourceEpisode.duration, chapters : chapters[sourceId] ?? [] };
+    const skipped = new Set(ignored).add(sourceId);
+    /** @type {{ [episodeId: number]: CopiedMarker[] }} */
+    const copies = {};
+    /** @type {number[]} */
+    const unaligned = [];
+    for (const episode of targetEpisodes) {
+        if (skipped.has(episode.id)) {
+            continue;
+        }
+
+        const targetInfo = { duration : episode.duration, chapters : chapters[episode.id] ?? [] };
+        const aligned = alignMarkers(sourceMarkers, sourceInfo, targetInfo, alignment);
+        if (aligned) {
+            copies[episode.id] = aligned;
+        } else {
+            unaligned.push(episode.id);
+        }
+    }
+
+    return { copies, unaligned };
+}
+
+/**
+ * Determine whether any of the given copied markers overlap with existing markers.
+ * @param {{ [episodeId: number]: CopiedMarker[] }} copies
+ * @param {RawMarkerData[]} existingMarkers */
+function copiesConflict(copies, existingMarkers) {
+    return existingMarkers.some(existing => copies[existing.parent_id]?.some(copy =>
+        copy.start <= existing.start ? copy.end >= existing.start : copy.start <= existing.end));
+}
+
 /**
  * @param {{ [episodeId: string]: RawMarkerData[] }} seen
  * @param {RawEpisodeData[]} rawEpisodeData
@@ -560,6 +931,11 @@ export function registerCoreCommands() {
     registerCommand(PostCommands.BulkDelete, q => bulkDelete(...q.is('id', 'dryRun', 'applyTo'), q.ia('ignored', true /*allowEmpty*/)));
     registerCommand(PostCommands.BulkAdd, q => bulkAdd(q.s('type'), ...q.is('id', 'start', 'end', 'resolveType'), q.ia('ignored')));
     registerCommand(PostCommands.BulkAddCustom, q => bulkAddCustom(q.fi('id'), q.fs('type'), q.fc('markers', parseCustomMarkerData), q.fi('resolveType')));
+    registerCommand(PostCommands.CopyMarkers, q => copyMarkers(...q.is('sourceId', 'id', 'applyTo', 'alignment', 'resolveType'), q.ia('ignored', true /*allowEmpty*/)));
+    registerCommand(PostCommands.CheckBulkItems, q => checkItems(q.ia('ids')));
+    registerCommand(PostCommands.BulkAddItems, q => bulkAddItems(q.s('type'), q.ia('ids'), ...q.is('start', 'end', 'resolveType'), q.ia('ignored', true /*allowEmpty*/)));
+    registerCommand(PostCommands.ShiftItems, q => shiftItems(q.ia('ids'), ...q.is('startShift', 'endShift', 'applyTo'), q.ia('ignored', true /*allowEmpty*/)));
+    registerCommand(PostCommands.BulkDeleteItems, q => bulkDeleteItems(q.ia('ids'), q.i('applyTo'), q.ia('ignored', true /*allowEmpty*/)));
     /* eslint-enable max-len */
 }
 
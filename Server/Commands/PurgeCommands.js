@@ -5,12 +5,16 @@ import { BackupManager } from '../MarkerBackupManager.js';
 import LegacyMarkerBreakdown from '../LegacyMarkerBreakdown.js';
 import { MarkerCache } from '../MarkerCacheManager.js';
 import { PlexQueries } from '../PlexQueryManager.js';
+import { PlexSnapshots } from '../PlexDatabaseSnapshots.js';
 import { PostCommands } from '../../Shared/PostCommands.js';
 import { registerCommand } from './PostCommand.js';
 import ServerError from '../ServerError.js';
+import { Webhooks } from '../Webhooks.js';
 
 /** @typedef {!import('../../Shared/PlexTypes').BulkRestoreResponse} BulkRestoreResponse */
+/** @typedef {!import('../../Shared/PlexTypes').MarkerAction} MarkerAction */
 /** @typedef {!import('../../Shared/PlexTypes').MarkerDataMap} MarkerDataMap */
+/** @typedef {!import('../../Shared/PlexTypes').PurgeSection} PurgeSection */
 
 
 const Log = ContextualLog.Create('PurgeCommands');
@@ -29,25 +33,34 @@ function allPurges(sectionId) {
     return BackupManager.purgesForSection(sectionId);
 }
 
+/**
+ * Flatten the given purge tree (show > season > episode > marker, or movie > marker) into a list of marker actions.
+ * @param {PurgeSection} purgeTree
+ * @returns {MarkerAction[]} */
+export function flattenPurges(purgeTree) {
+    return Object.values(purgeTree).flatMap(value => ('marker_id' in value ? [value] : flattenPurges(value)));
+}
+
 /**
  * Attempts to restore the last known state of the markers with the given ids.
  * @param {{ restoreIds : number[], redeleteIds : { oldId : number, newId : number }[]}} restoreInfo
  * @param {number} sectionId
  * @param {number} resolveType
  * @returns {Promise<BulkRestoreResponse>} */
-async function restoreMarkers(restoreInfo, sectionId, resolveType) {
+export async function restorePurgedMarkers(restoreInfo, sectionId, resolveType) {
     // TODO: Why does bulk overwrite keep the old markers around?
     if (Object.keys(MarkerConflictResolution).filter(k => MarkerConflictResolution[k] === resolveType).length === 0) {
         throw new ServerError(`Unexpected MarkerConflictResolution type: ${resolveType}`, 400);
     }
 
     // Handle re-added markers first - Plex-generated markers that were manually deleted, but were subsequently re-added to the database.
-    const redeleted = await BackupManager.redeleteMarkers(restoreInfo.redeleteIds, sectionId);
+    const batch = BackupManager.newBatch();
+    const redeleted = await BackupManager.redeleteMarkers(restoreInfo.redeleteIds, sectionId, batch);
     if (redeleted.length > 0) {
         await reindexAfterRedelete(redeleted);
     }
 
-    const restoredMarkerData = await BackupManager.restoreMarkers(restoreInfo.restoreIds, sectionId, resolveType);
+    const restoredMarkerData = await BackupManager.restoreMarkers(restoreInfo.restoreIds, sectionId, resolveType, batch);
     const restoredMarkers = restoredMarkerData.restoredMarkers;
     const deletedMarkers = restoredMarkerData.deletedMarkers.concat(redeleted);
     const modifiedMarkers = restoredMarkerData.modifiedMarkers;
@@ -106,9 +119,11 @@ async function nukeSection(sectionId, deleteType) {
         throw new ServerError('Action is not enabled due to a configuration setting.', 400);
     }
 
+    await PlexSnapshots.snapshot(PostCommands.Nuke);
     const dbDeleteCount = await PlexQueries.nukeSection(sectionId, deleteType);
     const backupDeleteCount = await BackupManager.nukeSection(sectionId, deleteType);
     const cacheRemoveCount = MarkerCache.nukeSection(sectionId, deleteType);
+    Webhooks.sectionPurged(sectionId, deleteType, dbDeleteCount);
 
     // Don't bother doing anything special with this, just clear it out and force
     // repopulation. We shouldn't even be using this if this command is enabled anyway.
@@ -223,7 +238,7 @@ function parseRestoreData(purgeInfo) {
 export function registerPurgeCommands() {
     registerCommand(PostCommands.PurgeCheck, q => purgeCheck(q.i('id')));
     registerCommand(PostCommands.AllPurges, q => allPurges(q.i('sectionId')));
-    registerCommand(PostCommands.RestorePurges, q => restoreMarkers(
+    registerCommand(PostCommands.RestorePurges, q => restorePurgedMarkers(
         q.fc('restoreInfo', parseRestoreData),
         q.fi('sectionId'),
         q.fi('resolveType')));
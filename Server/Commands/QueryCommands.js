@@ -3,9 +3,14 @@ import { ContextualLog } from '../../Shared/ConsoleLog.js';
 import MarkerBreakdown from '../../Shared/MarkerBreakdown.js';
 import { supportedMarkerType } from '../../Shared/MarkerType.js';
 
+import { lintItemFromEpisode, lintItemFromMovie, lintMarkers } from '../MarkerLint.js';
+import { matchMarkerFilter, parseMarkerFilter } from '../MarkerFilter.js';
+import { BackupManager } from '../MarkerBackupManager.js';
+import { buildTimingStats } from '../MarkerTimingStats.js';
 import { Config } from '../Config/MarkerEditorConfig.js';
 import LegacyMarkerBreakdown from '../LegacyMarkerBreakdown.js';
 import { MarkerCache } from '../MarkerCacheManager.js';
+import MarkerEditCache from '../MarkerEditCache.js';
 import { PlexQueries } from '../PlexQueryManager.js';
 import { PostCommands } from '../../Shared/PostCommands.js';
 import { registerCommand } from './PostCommand.js';
@@ -13,6 +18,10 @@ import ServerError from '../ServerError.js';
 import { Thumbnails } from '../ThumbnailManager.js';
 
 /** @typedef {!import('../../Shared/PlexTypes').LibrarySection} LibrarySection */
+/** @typedef {!import('../../Shared/PlexTypes').MarkerFilter} MarkerFilter */
+/** @typedef {!import('../../Shared/PlexTypes').MarkerFilterResult} MarkerFilterResult */
+/** @typedef {!import('../../Shared/PlexTypes').MarkerLintResult} MarkerLintResult */
+/** @typedef {!import('../../Shared/PlexTypes').MarkerTimingStats} MarkerTimingStats */
 /** @typedef {!import('../PlexQueryManager').RawMarkerData} RawMarkerData */
 /** @typedef {!import('../MarkerCacheManager').TreeStats} TreeStats */
 
@@ -262,6 +271,70 @@ function getMarkerBreakdownTree(metadataId, includeSeasons) {
     return data;
 }
 
+/**
+ * Retrieve the start time and duration distributions of intro and credits markers in the
+ * given library, along with any markers whose timings look suspicious.
+ * @param {number} sectionId The library section to gather stats for.
+ * @param {number} showId Limit stats to a single show, or -1 for the entire library.
+ * @returns {Promise<MarkerTimingStats>} */
+async function timingStats(sectionId, showId) {
+    return buildTimingStats(await PlexQueries.markerTimingsForSection(sectionId, showId));
+}
+
+/**
+ * Scan all markers in the given library or show for problems, like overlapping markers,
+ * or markers that extend past the end of the episode/movie.
+ * @param {number} sectionId The library section to scan.
+ * @param {number} showId Limit the scan to a single show, or -1 for the entire library.
+ * @returns {Promise<MarkerLintResult>} */
+async function checkMarkers(sectionId, showId) {
+    const section = (await PlexQueries.getLibraries()).find(s => s.id === sectionId);
+    let items;
+    switch (section?.type) {
+        case SectionType.Movie:
+            items = (await PlexQueries.getMovies(sectionId)).map(lintItemFromMovie);
+            break;
+        case SectionType.TV:
+            items = (showId === -1 ?
+                await PlexQueries.getSectionEpisodes(sectionId) :
+                await PlexQueries.getEpisodesAuto(showId)).map(lintItemFromEpisode);
+            break;
+        default:
+            throw new ServerError(`Section id "${sectionId}" is not a valid movie or TV library`, 400);
+    }
+
+    const markers = items.length === 0 ? [] : await PlexQueries.getMarkersForItems(items.map(i => i.id), sectionId);
+    return lintMarkers(items, markers);
+}
+
+/**
+ * Find every item in the given library whose markers match the given timing, user-created, and purged conditions.
+ * @param {number} sectionId The library section to filter.
+ * @param {MarkerFilter} filter
+ * @returns {Promise<MarkerFilterResult>} */
+async function filterItems(sectionId, filter) {
+    const section = (await PlexQueries.getLibraries()).find(s => s.id === sectionId);
+    if (section?.type !== SectionType.Movie && section?.type !== SectionType.TV) {
+        throw new ServerError(`Section id "${sectionId}" is not a valid movie or TV library`, 400);
+    }
+
+    let purges = [];
+    if (filter.purged) {
+        if (!BackupManager) {
+            throw new ServerError(`Filtering by purged markers requires marker backup to be enabled.`, 400);
+        }
+
+        purges = BackupManager.purgedActionsBySection()[sectionId] ?? [];
+    }
+
+    const markers = await PlexQueries.markerTimingsForSection(sectionId);
+    for (const marker of markers) {
+        marker.user_created = MarkerEditCache.getUserCreated(marker.id);
+    }
+
+    return matchMarkerFilter(filter, markers, purges);
+}
+
 /**
  * Retrieve chapters for the given metadata id.
  * @param {number} metadataId */
@@ -299,6 +372,9 @@ export function registerQueryCommands() {
     registerCommand(PostCommands.CheckThumbs, q => checkForThumbs(q.i('id')));
     registerCommand(PostCommands.GetStats, q => allStats(q.i('id')));
     registerCommand(PostCommands.GetBreakdown, q => getMarkerBreakdownTree(...q.is('id', 'includeSeasons')));
+    registerCommand(PostCommands.GetTimingStats, q => timingStats(...q.is('id', 'showId')));
+    registerCommand(PostCommands.LintMarkers, q => checkMarkers(...q.is('id', 'showId')));
+    registerCommand(PostCommands.FilterItems, q => filterItems(q.fi('sectionId'), q.fc('filter', parseMarkerFilter)));
     registerCommand(PostCommands.GetChapters, q => getChapters(q.i('id')));
     registerCommand(PostCommands.FullQuery, q => extendedQuery(q.i('id')));
 }
@@ -0,0 +1,58 @@
+import { ContextualLog } from '../../Shared/ConsoleLog.js';
+import { MarkerData } from '../../Shared/PlexTypes.js';
+
+import { BackupManager } from '../MarkerBackupManager.js';
+import { MarkerCache } from '../MarkerCacheManager.js';
+import { PostCommands } from '../../Shared/PostCommands.js';
+import { registerCommand } from './PostCommand.js';
+
+/** @typedef {!import('../../Shared/PlexTypes').BulkRestoreResponse} BulkRestoreResponse */
+/** @typedef {!import('../../Shared/PlexTypes').MarkerDataMap} MarkerDataMap */
+
+
+const Log = ContextualLog.Create('UndoCommands');
+
+/**
+ * Revert the last operation (or the last undo operation) for the given section.
+ * @param {number} sectionId The library section to undo/redo the last operation of.
+ * @param {number} batchId The batch id of the operation to revert, which must be the last operation in the section.
+ * @param {boolean} redo Whether to redo the last undo operation instead of undoing the last operation.
+ * @returns {Promise<BulkRestoreResponse>} */
+async function revert(sectionId, batchId, redo) {
+    const result = await BackupManager.revertLastBatch(sectionId, batchId, redo);
+
+    /** @type {MarkerDataMap} */
+    const deletedMarkers = {};
+    for (const deleted of result.deletedMarkers) {
+        MarkerCache?.removeMarkerFromCache(deleted.id);
+        (deletedMarkers[deleted.parentId] ??= []).push(deleted);
+    }
+
+    /** @type {MarkerDataMap} */
+    const newMarkers = {};
+    for (const restored of result.restoredMarkers) {
+        MarkerCache?.addMarkerToCache(restored);
+        (newMarkers[restored.parent_id] ??= []).push(new MarkerData(restored));
+    }
+
+    /** @type {MarkerDataMap} */
+    const modifiedMarkers = {};
+    for (const modified of result.modifiedMarkers) {
+        (modifiedMarkers[modified.parentId] ??= []).push(modified);
+    }
+
+    Log.verbose(`${redo ? 'Redo' : 'Undo'} complete for section ${sectionId}`);
+    return {
+        newMarkers : newMarkers,
+        deletedMarkers : deletedMarkers,
+        modifiedMarkers : modifiedMarkers,
+        ignoredMarkers : result.ignoredMarkers,
+    };
+}
+
+/**
+ * Register all POST commands related to undoing and redoing marker operations. */
+export function registerUndoCommands() {
+    registerCommand(PostCommands.Undo, q => revert(...q.is('sectionId', 'batchId'), false /*redo*/));
+    registerCommand(PostCommands.Redo, q => revert(...q.is('sectionId', 'batchId'), true /*redo*/));
+}
@@ -2,7 +2,7 @@ import { execSync } from 'child_process';
 import { existsSync } from 'fs';
 import { join } from 'path';
 
-import { isAuthSetting, isFeaturesSetting, isSslSetting, ServerSettings } from '../../Shared/ServerConfig.js';
+import { isAuthSetting, isFeaturesSetting, isSslSetting, ServerSettings, WebhookEvent } from '../../Shared/ServerConfig.js';
 import { ContextualLog } from '../../Shared/ConsoleLog.js';
 
 const Log = ContextualLog.Create('EditorConfig');
@@ -110,6 +110,37 @@ export function validSessionTimeout(timeout) {
     return !isNaN(timeoutInt) && timeoutInt > 59 && timeoutInt.toString() === timeout.toString();
 }
 
+/**
+ * Verify that the given auto-restore interval is a whole number of hours between 0 (disabled) and a week.
+ * @param {string|number} interval The user-supplied interval, in hours. */
+export function validAutoRestoreInterval(interval) {
+    const intervalInt = parseInt(interval);
+    return !isNaN(intervalInt) && intervalInt >= 0 && intervalInt <= 168 && intervalInt.toString() === interval.toString();
+}
+
+/**
+ * Verify that the given auto-restore conflict resolution is one we know about.
+ * @param {string} resolution The user-supplied resolution type. */
+export function validAutoRestoreResolution(resolution) {
+    return ['overwrite', 'merge', 'ignore'].includes(resolution);
+}
+
+/**
+ * Verify that the given snapshot count is a whole number between 0 (disabled) and 100.
+ * @param {string|number} count The user-supplied number of Plex database snapshots to keep. */
+export function validSnapshotCount(count) {
+    const countInt = parseInt(count);
+    return !isNaN(countInt) && countInt >= 0 && countInt <= 100 && countInt.toString() === count.toString();
+}
+
+/**
+ * Verify that the given snapshot age is a whole number of days between 0 (no limit) and a year.
+ * @param {string|number} age The user-supplied maximum snapshot age, in days. */
+export function validSnapshotMaxAge(age) {
+    const ageInt = parseInt(age);
+    return !isNaN(ageInt) && ageInt >= 0 && ageInt <= 365 && ageInt.toString() === age.toString();
+}
+
 /**
  * Ensure all path mappings are valid, setting isValid to false if that's not the case.
  * @param {Setting<PathMapping[]>} setting
@@ -163,6 +194,82 @@ export function validatePathMappings(setting, existing) {
     return setting;
 }
 
+/**
+ * Return whether the given string is an absolute HTTP(S) URL.
+ * @param {string} url */
+export function validWebhookUrl(url) {
+    try {
+        return ['http:', 'https:'].includes(new URL(url).protocol);
+    } catch (_err) {
+        return false;
+    }
+}
+
+/**
+ * Ensure all webhooks are valid, setting isValid to false if that's not the case.
+ * @param {Setting<Webhook[]>} setting
+ * @param {Webhook[]} existing */
+export function validateWebhooks(setting, existing) {
+    const values = setting.value();
+    if (!(values instanceof Array)) {
+        setting.setValid(false, `Expected an array of webhooks, found ${typeof values}`);
+        return setting;
+    }
+
+    /** @type {(webhook: Webhook) => string} */
+    const hookKey = webhook => JSON.stringify(
+        [webhook.url, webhook.events instanceof Array ? webhook.events.toSorted() : null, webhook.secret || null]);
+    const existingKeys = new Set(existing.map(hookKey));
+    const allEvents = Object.values(WebhookEvent);
+    const invalidRows = [];
+    let anyChangedHooks = existing.length !== values.length;
+    let i = 0;
+    for (const webhook of values) {
+        const invalidInfo = { row : i++ };
+        if (typeof webhook !== 'object' || !webhook) {
+            invalidRows.push({ ...invalidInfo, urlError : `Expected a webhook object, found '${typeof webhook}'` });
+            anyChangedHooks = true;
+            continue;
+        }
+
+        anyChangedHooks ||= !existingKeys.has(hookKey(webhook));
+        let rowInvalid = false;
+        if (typeof webhook.url !== 'string' || !validWebhookUrl(webhook.url)) {
+            rowInvalid = true;
+            invalidInfo.urlError = `Expected an http or https URL.`;
+        }
+
+        if (webhook.events !== undefined && webhook.events !== null) {
+            if (!(webhook.events instanceof Array) || webhook.events.length === 0) {
+                rowInvalid = true;
+                invalidInfo.eventsError = `At least one event must be selected.`;
+            } else if (webhook.events.some(e => !allEvents.includes(e))) {
+                rowInvalid = true;
+                invalidInfo.eventsError = `Unknown event(s): ${webhook.events.filter(e => !allEvents.includes(e)).join(', ')}`;
+            }
+        }
+
+        if (webhook.secret !== undefined && webhook.secret !== null && typeof webhook.secret !== 'string') {
+            rowInvalid = true;
+            invalidInfo.secretError = `Expected the secret to be a string, found '${typeof webhook.secret}'`;
+        }
+
+        if (rowInvalid) {
+            invalidRows.push(invalidInfo);
+        }
+    }
+
+    if (invalidRows.length > 0) {
+        setting.setValid(false, JSON.stringify(invalidRows));
+    }
+
+    if (anyChangedHooks) {
+        setting.setUnchanged(false);
+    }
+
+    return setting;
+}
+
 
 /**
  * @template T
@@ -1,3 +1,4 @@
+import { validAutoRestoreInterval, validAutoRestoreResolution, validSnapshotCount, validSnapshotMaxAge } from './ConfigHelpers.js';
 import ConfigBase from './ConfigBase.js';
 import { ContextualLog } from '../../Shared/ConsoleLog.js';
 import { testFfmpeg } from '../ServerHelpers.js';
@@ -11,7 +12,11 @@ import { testFfmpeg } from '../ServerHelpers.js';
  *  autoOpen?: boolean,
  *  extendedMarkerStats?: boolean,
  *  previewThumbnails?: boolean,
- *  preciseThumbnails?: boolean
+ *  preciseThumbnails?: boolean,
+ *  autoRestoreInterval?: number,
+ *  autoRestoreResolution?: 'overwrite'|'merge'|'ignore',
+ *  snapshotCount?: number,
+ *  snapshotMaxAge?: number
  * }} RawConfigFeatures
  */
 
@@ -43,6 +48,22 @@ export default class PlexFeatures extends ConfigBase {
      * @type {Setting<boolean>} */
     preciseThumbnails;
 
+    /** Setting for how often (in hours) to check for and restore purged markers. 0 disables automatic restoration.
+     * @type {Setting<number>} */
+    autoRestoreInterval;
+
+    /** Setting for how to resolve conflicts with existing markers when automatically restoring purged markers.
+     * @type {Setting<'overwrite'|'merge'|'ignore'>} */
+    autoRestoreResolution;
+
+    /** Setting for the number of Plex database snapshots to keep. 0 disables snapshots before destructive operations.
+     * @type {Setting<number>} */
+    snapshotCount;
+
+    /** Setting for how long (in days) to keep Plex database snapshots. 0 keeps them regardless of age.
+     * @type {Setting<number>} */
+    snapshotMaxAge;
+
     /** Sets the application features based on the given json.
      * @param {RawConfigFeatures} json */
     constructor(json) {
@@ -57,6 +78,10 @@ export default class PlexFeatures extends ConfigBase {
         this.extendedMarkerStats = this.#getOrDefault('extendedMarkerStats', true);
         this.previewThumbnails = this.#getOrDefault('previewThumbnails', true);
         this.preciseThumbnails = this.#getOrDefault('preciseThumbnails', false);
+        this.autoRestoreInterval = this.#getOrDefault('autoRestoreInterval', 0);
+        this.autoRestoreResolution = this.#getOrDefault('autoRestoreResolution', 'merge');
+        this.snapshotCount = this.#getOrDefault('snapshotCount', 5);
+        this.snapshotMaxAge = this.#getOrDefault('snapshotMaxAge', 30);
 
         if (this.previewThumbnails.value() && this.preciseThumbnails.value()) {
             const canEnable = testFfmpeg();
@@ -65,6 +90,26 @@ export default class PlexFeatures extends ConfigBase {
                 Log.warn(`Precise thumbnails enabled, but ffmpeg wasn't found in your path! Falling back to BIF`);
             }
         }
+
+        if (!validAutoRestoreInterval(this.autoRestoreInterval.value())) {
+            Log.warn(`Invalid autoRestoreInterval "${this.autoRestoreInterval.value()}", disabling automatic purge restoration.`);
+            this.autoRestoreInterval.setValue(null);
+        }
+
+        if (!validAutoRestoreResolution(this.autoRestoreResolution.value())) {
+            Log.warn(`Invalid autoRestoreResolution "${this.autoRestoreResolution.value()}", defaulting to "merge".`);
+            this.autoRestoreResolution.setValue(null);
+        }
+
+        if (!validSnapshotCount(this.snapshotCount.value())) {
+            Log.warn(`Invalid snapshotCount "${this.snapshotCount.value()}", defaulting to 5.`);
+            this.snapshotCount.setValue(null);
+        }
+
+        if (!validSnapshotMaxAge(this.snapshotMaxAge.value())) {
+            Log.warn(`Invalid snapshotMaxAge "${this.snapshotMaxAge.value()}", defaulting to 30 days.`);
+            this.snapshotMaxAge.setValue(null);
+        }
     }
 
     /** Forwards to {@link ConfigBase}s `#getOrDefault`
@@ -8,6 +8,7 @@ import { ContextualLog } from '../../Shared/ConsoleLog.js';
 import { testFfmpeg, testHostPort } from '../ServerHelpers.js';
 import { getDefaultPlexDataPath } from './ConfigHelpers.js';
 import { User } from '../Authentication/Authentication.js';
+import { UserRole } from '../../Shared/PostCommands.js';
 
 /** @typedef {!import('./MarkerEditorConfig').PathMapping} PathMapping */
 /** @typedef {!import('./MarkerEditorConfig').RawConfig} RawConfig */
@@ -192,20 +193,24 @@ async function setupSsl(config) {
 /**
  * Set up authentication related settings. */
 async function setupUserPass() {
+    let existingUser = '';
     let existingPass = '';
     if (User.passwordSet()) {
         console.log(`\n!!! Existing username/password detected !!!\n`);
-        console.log(`If you choose to change the username/password, you will be asked for the existing password.`);
+        console.log(`If you choose to change the username/password, you will be asked for an existing admin's password.`);
         console.log(`If you do not remember your old password, you will have to manually delete auth.db\n`);
 
-        const replace = await askUserYesNo('Do you want to change the existing username/password', false);
+        const replace = await askUserYesNo('Do you want to change an existing admin username/password', false);
         if (replace) {
+            existingUser = (await askUser('Existing username: ', null, value => User.get(value.trim())?.role === UserRole.Admin,
+                'Username does not belong to an existing admin')).trim();
+
             existingPass = await askUserPrivate('Current password', null, async (pass) => {
                 if (pass === '-1') {
                     return true;
                 }
 
-                return await User.loginInternal(pass);
+                return await User.login(existingUser, pass);
             }, 'Passwords do not match (-1 to abort)'); // Assume the user doesn't want '-1' as their password.
 
             if (existingPass === '-1') {
@@ -267,7 +272,7 @@ async function setupUserPass() {
         return false;
     }
 
-    if (!await User.changePassword(username, password, password)) {
+    if (!await changeUserPass(existingUser, existingPass, username, password)) {
         console.log('\n!!! ERROR - auth setup failed !!!\n');
         if (await askUserYesNo('Would you like to continue setup with auth disabled', false)) {
             return false;
@@ -280,6 +285,33 @@ async function setupUserPass() {
     return true;
 }
 
+/**
+ * Create the initial admin account, or update the username/password of an existing one.
+ * @param {string} existingUser The existing admin to change, or an empty string if no users exist.
+ * @param {string} existingPass
+ * @param {string} username
+ * @param {string} password */
+async function changeUserPass(existingUser, existingPass, username, password) {
+    if (!existingUser) {
+        return User.changePassword(username, '', password);
+    }
+
+    try {
+        if (!await User.changePassword(existingUser, existingPass, password)) {
+            return false;
+        }
+
+        if (username !== existingUser) {
+            await User.changeUsername(existingUser, username);
+        }
+    } catch (err) {
+        Log.error(err.message);
+        return false;
+    }
+
+    return true;
+}
+
 /**
  * Determine the type of thumbnails to use, if any.
  * @param {RawConfig} config */
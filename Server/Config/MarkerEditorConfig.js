@@ -1,3 +1,4 @@
+import { access, constants as fsConstants } from 'fs/promises';
 import { dirname, join } from 'path';
 import { existsSync, readFileSync, statSync, writeFileSync } from 'fs';
 import { createServer as createHttpsServer } from 'https';
@@ -9,7 +10,8 @@ import {
     ServerConfigState,
     ServerSettings,
     Setting,
-    SslState } from '../../Shared/ServerConfig.js';
+    SslState,
+    WebhookEvent } from '../../Shared/ServerConfig.js';
 import { BaseLog, ConsoleLog, ContextualLog } from '../../Shared/ConsoleLog.js';
 import {
     flatToRaw,
@@ -17,25 +19,38 @@ import {
     mapNameToRaw,
     settingValue,
     validatePathMappings,
+    validateWebhooks,
+    validAutoRestoreInterval,
+    validAutoRestoreResolution,
     validPort,
-    validSessionTimeout } from './ConfigHelpers.js';
+    validSessionTimeout,
+    validSnapshotCount,
+    validSnapshotMaxAge,
+    validWebhookUrl } from './ConfigHelpers.js';
 import { GetServerState, ServerState } from '../ServerState.js';
 import { isBinary, testFfmpeg, testHostPort } from '../ServerHelpers.js';
 import { PlexQueries, PlexQueryManager } from '../PlexQueryManager.js';
 import { ServerEvents, waitForServerEvent } from '../ServerEvents.js';
 import AuthenticationConfig from './AuthenticationConfig.js';
 import ConfigBase from './ConfigBase.js';
+import PlexBackendConfig from './PlexBackendConfig.js';
 import PlexFeatures from './FeaturesConfig.js';
 import ServerError from '../ServerError.js';
 import SslConfig from './SslConfig.js';
 import { User } from '../Authentication/Authentication.js';
+import { UserRole } from '../../Shared/PostCommands.js';
 
 /** @typedef {!import('./AuthenticationConfig').RawAuthConfig} RawAuthConfig */
 /** @typedef {!import('./FeaturesConfig').RawConfigFeatures} RawConfigFeatures */
+/** @typedef {!import('./PlexBackendConfig').RawPlexBackendConfig} RawPlexBackendConfig */
+/** @typedef {!import('../PlexBackend').PlexBackendOptions} PlexBackendOptions */
 /** @typedef {!import('./SslConfig').RawSslConfig} RawSslConfig */
 /** @typedef {!import('/Shared/ServerConfig').SerializedConfig} SerializedConfig */
 /** @typedef {!import('/Shared/ServerConfig').PathMapping} PathMapping */
 /** @typedef {!import('/Shared/ServerConfig').RawSerializedConfig} RawSerializedConfig */
+/** @typedef {!import('/Shared/ServerConfig').Webhook} Webhook */
+
+/** @typedef {{ file: string, duration: number }} MediaVersion A single-file version of a movie/episode. */
 
 /**
  * @template T
@@ -51,8 +66,11 @@ import { User } from '../Authentication/Authentication.js';
  *  logLevel?: string,
  *  ssl?: RawSslConfig,
  *  authentication?: RawAuthConfig,
+ *  plexBackend?: RawPlexBackendConfig,
+ *  syncDatabase?: string,
  *  features?: RawConfigFeatures,
  *  pathMappings?: PathMapping[],
+ *  webhooks?: Webhook[],
  * }} RawConfig
  */
 
@@ -120,6 +138,14 @@ class MarkerEditorConfig extends ConfigBase {
     /** @type {AuthenticationConfig} */
     #auth;
 
+    /** How marker changes are made, either directly to the database or through PMS.
+     * @type {PlexBackendConfig} */
+    #plexBackend;
+
+    /** The path to another server's Plex database to sync markers with, if any.
+     * @type {Setting<string>} */
+    #syncDbPath;
+
     /** Configurable features that can be enabled/disabled in this application.
      * @type {PlexFeatures} */
     #features;
@@ -128,6 +154,10 @@ class MarkerEditorConfig extends ConfigBase {
      * @type {Setting<PathMapping[]>} */
     #mappings = [];
 
+    /** URLs to notify when markers change.
+     * @type {Setting<Webhook[]>} */
+    #webhooks;
+
     /** Current app version, retrieved from package.json
      * @type {Setting<string>} */
     #version;
@@ -205,9 +235,12 @@ class MarkerEditorConfig extends ConfigBase {
         await this.#validateDatabasePath(this.#dbPath, true /*setInvalid*/);
         this.#ssl = new SslConfig(this.#Base.json.ssl);
         this.#auth = new AuthenticationConfig(this.#Base.json.authentication);
+        this.#plexBackend = new PlexBackendConfig(this.#Base.json.plexBackend);
+        this.#syncDbPath = this.#getOrDefault('syncDatabase', '');
         this.#features = new PlexFeatures(this.#Base.json.features);
 
         this.#getPathMappings();
+        this.#getWebhooksCore(this.#getOrDefault('webhooks', []).value());
 
         // We only need the data path if BIF-based preview thumbnails are enabled,
         // so don't fail if we're not using them.
@@ -265,6 +298,41 @@ class MarkerEditorConfig extends ConfigBase {
         this.#mappings = new Setting(mappings.length === 0 ? null : validMappings, []);
     }
 
+    /**
+     * Validate the given webhooks, dropping any that are malformed.
+     * @param {Webhook[]} webhooks */
+    #getWebhooksCore(webhooks) {
+        const validHooks = [];
+        const allEvents = Object.values(WebhookEvent);
+        for (const webhook of webhooks) {
+            if (typeof webhook?.url !== 'string' || !validWebhookUrl(webhook.url)) {
+                Log.warn(webhook, `Malformed webhook. 'url' must be an http or https URL, skipping`);
+                continue;
+            }
+
+            // Like path mappings, build a new object to get rid of any unexpected fields.
+            /** @type {Webhook} */
+            const validHook = { url : webhook.url };
+            if (webhook.events instanceof Array) {
+                const events = webhook.events.filter(e => allEvents.includes(e));
+                if (events.length === 0) {
+                    Log.warn(webhook, `Webhook doesn't have any valid events, skipping`);
+                    continue;
+                }
+
+                validHook.events = events;
+            }
+
+            if (webhook.secret && typeof webhook.secret === 'string') {
+                validHook.secret = webhook.secret;
+            }
+
+            validHooks.push(validHook);
+        }
+
+        this.#webhooks = new Setting(webhooks.length === 0 ? null : validHooks, []);
+    }
+
     /** Forwards to {@link ConfigBase}s `#getOrDefault`}
      * @type {GetOrDefault} */
     #getOrDefault(key, defaultValue=null, defaultType=null) {
@@ -283,20 +351,134 @@ class MarkerEditorConfig extends ConfigBase {
     sslState() { return this.useSsl() ? (this.sslOnly() ? SslState.Forced : SslState.Enabled) : SslState.Disabled; }
     useAuth() { return this.#auth.enabled.value(); }
     authSessionTimeout() { return this.#auth.sessionTimeout.value(); }
+    /** @returns {PlexBackendOptions} */
+    plexBackendOptions() { return this.#plexBackend.options(); }
+    syncDatabasePath() { return this.#syncDbPath.value(); }
     autoOpen() { return this.#features.autoOpen.value(); }
     useThumbnails() { return this.#features.previewThumbnails.value(); }
     usePreciseThumbnails() { return this.#features.preciseThumbnails.value(); }
+    autoRestoreInterval() { return this.#features.autoRestoreInterval.value(); }
+    autoRestoreResolution() { return this.#features.autoRestoreResolution.value(); }
+    snapshotCount() { return this.#features.snapshotCount.value(); }
+    snapshotMaxAge() { return this.#features.snapshotMaxAge.value(); }
     metadataPath() { return this.#dataPath.value(); }
     extendedMarkerStats() { return this.#features.extendedMarkerStats.value(); }
     disableExtendedMarkerStats() { this.#features.extendedMarkerStats = false; }
     appVersion() { return this.#version.value(); }
     pathMappings() { return this.#mappings.value(); }
+    /** @returns {Webhook[]} */
+    webhooks() { return this.#webhooks.value(); }
     getValid() { return this.#configState; }
 
+    /**
+     * Get all possible file paths to test based on the path in Plex's database
+     * and any configured path mappings.
+     * @param {string} filePath */
+    mappedFilePaths(filePath) {
+        /** @type {string[]} */
+        const paths = [];
+
+        for (const mapping of this.pathMappings()) {
+            if (filePath.startsWith(mapping.from)) {
+                let newPath = filePath.replace(mapping.from, mapping.to);
+                const forward = mapping.from.includes('/');
+                if (forward !== mapping.to.includes('/')) {
+                    // Path separator is different. Replace that as well.
+                    newPath = newPath.replace(forward ? /\//g : /\\/g, forward ? '\\' : '/');
+                }
+
+                paths.push(newPath);
+            }
+        }
+
+        // Even if we have a matching path mapping, still try the original path.
+        paths.push(filePath);
+        return paths;
+    }
+
+    /**
+     * Find a readable path for the given media file, taking path mappings into account.
+     * @param {string} filePath The file path stored in Plex's database.
+     * @returns {Promise<string?>} */
+    async findMediaFile(filePath) {
+        for (const path of this.mappedFilePaths(filePath)) {
+            try {
+                await access(path, fsConstants.R_OK);
+                return path;
+            } catch (_err) {
+                // Try the next one
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Group the given media files by movie/episode, keeping only the versions that consist of a single file.
+     * Markers are relative to the entire item, so the individual parts of stacked items can't be used.
+     * @param {{ id: number, media_id: number, file: string, duration: number }[]} files
+     * @returns {Map<number, MediaVersion[]>} The single-file versions of each item, keyed by metadata id.
+     *          Items that only have stacked versions map to an empty list. */
+    singleFileVersions(files) {
+        /** @type {Map<number, Map<number, MediaVersion[]>>} */
+        const items = new Map();
+        for (const file of files) {
+            if (!items.has(file.id)) {
+                items.set(file.id, new Map());
+            }
+
+            const versions = items.get(file.id);
+            if (!versions.has(file.media_id)) {
+                versions.set(file.media_id, []);
+            }
+
+            versions.get(file.media_id).push({ file : file.file, duration : file.duration });
+        }
+
+        /** @type {Map<number, MediaVersion[]>} */
+        const result = new Map();
+        for (const [metadataId, versions] of items.entries()) {
+            const single = [];
+            for (const parts of versions.values()) {
+                if (parts.length === 1) {
+                    single.push(parts[0]);
+                } else {
+                    Log.verbose(`Ignoring "${parts[0].file}", as it's part of a stacked version of ${metadataId}.`);
+                }
+            }
+
+            result.set(metadataId, single);
+        }
+
+        return result;
+    }
+
+    /**
+     * Find the first readable version of a movie/episode that has a known duration.
+     * @param {MediaVersion[]} versions The single-file versions of the item, from singleFileVersions.
+     * @returns {Promise<{ path: string, version: MediaVersion }?>} */
+    async findVersionFile(versions) {
+        for (const version of versions) {
+            if (!version.duration) {
+                continue;
+            }
+
+            const path = await this.findMediaFile(version.file);
+            if (path) {
+                return { path, version };
+            }
+        }
+
+        return null;
+    }
+
     /**
      * Serializes the current config as a flat list (e.g. no Features or Authentication subbranches)
+     * @param {string} [username=''] The user requesting the config, which determines the authentication settings returned.
      * @returns {SerializedConfig} */
-    serialize() {
+    serialize(username='') {
+        // Everyone has full access if auth is disabled.
+        const role = this.useAuth() ? User.get(username)?.role ?? UserRole.Viewer : UserRole.Admin;
         return {
             dataPath : this.#dataPath.serialize(),
             database : this.#dbPath.serialize(),
@@ -320,10 +502,17 @@ class MarkerEditorConfig extends ConfigBase {
             extendedMarkerStats : this.#features.extendedMarkerStats.serialize(),
             previewThumbnails : this.#features.previewThumbnails.serialize(),
             preciseThumbnails : this.#features.preciseThumbnails.serialize(),
+            autoRestoreInterval : this.#features.autoRestoreInterval.serialize(),
+            autoRestoreResolution : this.#features.autoRestoreResolution.serialize(),
+            snapshotCount : this.#features.snapshotCount.serialize(),
+            snapshotMaxAge : this.#features.snapshotMaxAge.serialize(),
             pathMappings : this.#mappings.serialize(),
+            // Webhook URLs and secrets can be sensitive, and only admins can change them anyway.
+            webhooks : role === UserRole.Admin ? this.#webhooks.serialize() : new Setting(null, []).serialize(),
             version : this.#version.serialize(),
-            authUsername : this.#pseudoSetting(User.username()),
+            authUsername : this.#pseudoSetting(User.get(username)?.username ?? ''),
             authPassword : this.#pseudoSetting(User.passwordSet() ? '' : null),
+            authRole : this.#pseudoSetting(role),
             state : this.#configState,
             isDocker : !!process.env.IS_DOCKER,
         };
@@ -344,9 +533,10 @@ class MarkerEditorConfig extends ConfigBase {
     }
 
     /**
-     * @param {SerializedConfig} config */
-    async trySetConfig(config) {
-        const newConfig = await this.validateConfig(config, true /*forWrite*/);
+     * @param {SerializedConfig} config
+     * @param {string} [username=''] The user changing the config, whose authentication settings are being modified. */
+    async trySetConfig(config, username='') {
+        const newConfig = await this.validateConfig(config, true /*forWrite*/, username);
         const result = {
             success : false,
             message : '',
@@ -417,7 +607,7 @@ class MarkerEditorConfig extends ConfigBase {
 
         // Try to change the internal state first, that way we don't write the config to disk if
         // we failed to update things internally for whatever reason.
-        result.config.state = await this.#updateInternalConfig(newJson, changedKeys);
+        result.config.state = await this.#updateInternalConfig(newJson, changedKeys, username);
 
         // Make sure any pseudo-settings aren't saved to the actual config.
         delete newJson[ServerSettings.Username];
@@ -432,9 +622,10 @@ class MarkerEditorConfig extends ConfigBase {
 
     /**
      * @param {RawConfig} newConfig
-     * @param {Set<string>} changedKeys */
+     * @param {Set<string>} changedKeys
+     * @param {string} username */
     // eslint-disable-next-line complexity
-    async #updateInternalConfig(newConfig, changedKeys) {
+    async #updateInternalConfig(newConfig, changedKeys, username) {
 
         // Some settings require a full server reboot (or aren't worth implementing
         // in-place updates for), so skip update attempts.
@@ -509,13 +700,32 @@ class MarkerEditorConfig extends ConfigBase {
                     this.#features.preciseThumbnails.setValue(newValue);
                     await waitForThumbsReset();
                     break;
+                case ServerSettings.AutoRestoreInterval:
+                    this.#features.autoRestoreInterval.setValue(newValue);
+                    await waitForServerEvent(ServerEvents.RescheduleAutoRestore);
+                    break;
+                case ServerSettings.AutoRestoreResolution:
+                    // Read when the next auto-restore runs, nothing to reschedule.
+                    this.#features.autoRestoreResolution.setValue(newValue);
+                    break;
+                case ServerSettings.SnapshotCount:
+                    // Only read when taking a snapshot, so existing snapshots aren't pruned until the next one.
+                    this.#features.snapshotCount.setValue(newValue);
+                    break;
+                case ServerSettings.SnapshotMaxAge:
+                    this.#features.snapshotMaxAge.setValue(newValue);
+                    break;
                 case ServerSettings.Username:
-                    await User.changeUsername(newValue);
+                    await User.changeUsername(username, newValue);
                     break;
                 case ServerSettings.PathMappings:
                     this.#getPathMappingsCore(newValue);
                     await waitForThumbsReset();
                     break;
+                case ServerSettings.Webhooks:
+                    // Read every time markers change, nothing else to update.
+                    this.#getWebhooksCore(newValue ?? []);
+                    break;
                 default:
                     break;
             }
@@ -530,8 +740,9 @@ class MarkerEditorConfig extends ConfigBase {
      * @param {SerializedConfig} config
      * @param {boolean} [forWrite=false] Whether we're planning on writing out the resulting config. This
      *                                   determines whether sensitive settings are added to the response.
+     * @param {string} [username=''] The user whose authentication settings are being validated.
      * @returns {Promise<SerializedConfig>} The config with isValid details. */
-    async validateConfig(config, forWrite=false) {
+    async validateConfig(config, forWrite=false, username='') {
         /** @type {SerializedConfig} */
         const newConfig = { };
 
@@ -546,7 +757,7 @@ class MarkerEditorConfig extends ConfigBase {
                 throw new ServerError(`Unexpected server setting "${serverSetting}". Cannot validate.`, 400);
             }
 
-            const newSetting = (await this.validateField(serverSetting, setting)).serialize(true);
+            const newSetting = (await this.validateField(serverSetting, setting, username)).serialize(true);
             newConfig[serverSetting] = newSetting;
         };
 
@@ -558,12 +769,17 @@ class MarkerEditorConfig extends ConfigBase {
             ServerSettings.BaseUrl,
             ServerSettings.LogLevel,
             ServerSettings.PathMappings,
+            ServerSettings.Webhooks,
             ServerSettings.UseSsl,
             ServerSettings.UseAuthentication,
             ServerSettings.AutoOpen,
             ServerSettings.ExtendedStats,
             ServerSettings.PreviewThumbnails,
             ServerSettings.FFmpegThumbnails,
+            ServerSettings.AutoRestoreInterval,
+            ServerSettings.AutoRestoreResolution,
+            ServerSettings.SnapshotCount,
+            ServerSettings.SnapshotMaxAge,
         ]) {
             await updateSingle(serverSetting);
         }
@@ -703,9 +919,10 @@ class MarkerEditorConfig extends ConfigBase {
      * Validate a single configuration field of type T
      * @template T
      * @param {string} field
-     * @param {TypedSetting<T>} value */
+     * @param {TypedSetting<T>} value
+     * @param {string} [username=''] The user whose authentication settings are being validated. */
     // eslint-disable-next-line complexity
-    async validateField(field, value) {
+    async validateField(field, value, username='') {
         const setting = new Setting();
         setting.setFromSerialized(value);
         setting.setValid(true);
@@ -787,7 +1004,12 @@ class MarkerEditorConfig extends ConfigBase {
             case ServerSettings.Username:
             {
                 const val = setting.value();
-                setting.setUnchanged(val === User.username());
+                setting.setUnchanged(val === User.get(username)?.username);
+                const existing = User.get(val);
+                if (existing && existing.id !== User.get(username)?.id) {
+                    return setting.setValid(false, 'Username is already taken');
+                }
+
                 return setting.setValid(val && val.length <= 256 && val.length === val.replace(/\s/g, '').length,
                     val ? val.length > 256 ?
                         'Usernames are limited to 256 characters' :
@@ -800,7 +1022,7 @@ class MarkerEditorConfig extends ConfigBase {
                 // validation, but since we don't store the password in config.json (or in plaintext), it
                 // doesn't really belong here. Valid in this case means the correct password was entered,
                 // or no password is set (i.e. enabling auth for the first time).
-                const valid = await this.#isPasswordValid(setting);
+                const valid = await this.#isPasswordValid(setting, username);
                 setting.setUnchanged(valid);
                 return setting.setValid(valid, `Password is incorrect.`);
             }
@@ -821,8 +1043,26 @@ class MarkerEditorConfig extends ConfigBase {
                 }
 
                 return setting;
+            case ServerSettings.AutoRestoreInterval:
+                setting.setUnchanged(setting.value() === this.autoRestoreInterval());
+                return setting.setValid(validAutoRestoreInterval(setting.value()),
+                    `Auto-restore interval must be a whole number of hours between 0 (disabled) and 168 (one week).`);
+            case ServerSettings.AutoRestoreResolution:
+                setting.setUnchanged(setting.value() === this.autoRestoreResolution());
+                return setting.setValid(validAutoRestoreResolution(setting.value()),
+                    `Auto-restore resolution must be "overwrite", "merge", or "ignore".`);
+            case ServerSettings.SnapshotCount:
+                setting.setUnchanged(setting.value() === this.snapshotCount());
+                return setting.setValid(validSnapshotCount(setting.value()),
+                    `Snapshot count must be a whole number between 0 (disabled) and 100.`);
+            case ServerSettings.SnapshotMaxAge:
+                setting.setUnchanged(setting.value() === this.snapshotMaxAge());
+                return setting.setValid(validSnapshotMaxAge(setting.value()),
+                    `Maximum snapshot age must be a whole number of days between 0 (no limit) and 365.`);
             case ServerSettings.PathMappings:
                 return validatePathMappings(setting, this.pathMappings());
+            case ServerSettings.Webhooks:
+                return validateWebhooks(setting, this.webhooks());
             default:
                 throw new ServerError(`Unknown server setting '${field}'`, 400);
 
@@ -830,10 +1070,11 @@ class MarkerEditorConfig extends ConfigBase {
     }
 
     /**
-     * Return whether the given password is valid (or no password is set).
-     * @param {Setting<string>} setting */
-    async #isPasswordValid(setting) {
-        return !User.passwordSet() || await User.loginInternal(setting.value());
+     * Return whether the given password is valid for the given user (or no password is set).
+     * @param {Setting<string>} setting
+     * @param {string} username */
+    async #isPasswordValid(setting, username) {
+        return !User.passwordSet() || await User.login(username, setting.value());
     }
 
     /**
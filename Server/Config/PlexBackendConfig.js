@@ -0,0 +1,68 @@
+import ConfigBase from './ConfigBase.js';
+import { ContextualLog } from '../../Shared/ConsoleLog.js';
+import { PlexBackendType } from '../PlexBackend.js';
+
+/** @typedef {!import('./ConfigBase').ConfigBaseProtected} ConfigBaseProtected */
+/** @typedef {!import('./ConfigBase').GetOrDefault} GetOrDefault */
+/** @typedef {!import('../PlexBackend').PlexBackendOptions} PlexBackendOptions */
+/** @template T @typedef {!import('/Shared/ServerConfig').Setting<T>} Setting<T> */
+
+/**
+ * @typedef {{
+ *  type?: string,
+ *  url?: string,
+ *  token?: string
+ * }} RawPlexBackendConfig
+ */
+
+const Log = ContextualLog.Create('EditorConfig');
+
+/**
+ * Captures the 'plexBackend' portion of the configuration file, which determines
+ * whether marker changes are written to the database directly or go through PMS.
+ */
+export default class PlexBackendConfig extends ConfigBase {
+    /** @type {ConfigBaseProtected} */
+    #Base = {};
+    /** @type {Setting<string>} */
+    type;
+    /** @type {Setting<string>} */
+    url;
+    /** @type {Setting<string>} */
+    token;
+
+    constructor(json) {
+        const baseClass = {};
+        super(json, baseClass);
+        this.#Base = baseClass;
+        if (!json) {
+            Log.verbose('plexBackend not found in config, writing to the database directly');
+        }
+
+        this.type = this.#getOrDefault('type', PlexBackendType.Sqlite);
+        if (Object.values(PlexBackendType).indexOf(this.type.value()) === -1) {
+            Log.warn(`Unknown plexBackend type "${this.type.value()}", falling back to "${PlexBackendType.Sqlite}"`);
+            this.type.setValue(PlexBackendType.Sqlite);
+        }
+
+        this.url = this.#getOrDefault('url', 'http://localhost:32400');
+        this.token = this.#getOrDefault('token', '');
+    }
+
+    /**
+     * Retrieve the options used to create the PlexBackend.
+     * @returns {PlexBackendOptions} */
+    options() {
+        return {
+            type : this.type.value(),
+            url : this.url.value(),
+            token : this.token.value(),
+        };
+    }
+
+    /** Forwards to {@link ConfigBase}s `#getOrDefault`
+     * @type {GetOrDefault} */
+    #getOrDefault(key, defaultValue=null) {
+        return this.#Base.getOrDefault(key, defaultValue);
+    }
+}
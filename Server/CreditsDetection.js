@@ -0,0 +1,222 @@
+import { execFile as execFileCb } from 'child_process';
+import { default as util } from 'util';
+
+import { ContextualLog } from '../Shared/ConsoleLog.js';
+
+import { Config } from './Config/MarkerEditorConfig.js';
+import { PlexQueries } from './PlexQueryManager.js';
+import { PostCommands } from '../Shared/PostCommands.js';
+import { registerCommand } from './Commands/PostCommand.js';
+import ServerError from './ServerError.js';
+import { testFfmpeg } from './ServerHelpers.js';
+
+/** @typedef {!import('./Config/MarkerEditorConfig').MediaVersion} MediaVersion */
+/** @typedef {!import('../Shared/PlexTypes').CreditsDetectionResult} CreditsDetectionResult */
+/** @typedef {!import('../Shared/PlexTypes').DetectedCredits} DetectedCredits */
+
+/** @typedef {{ start: number, end: number }} DetectedRange */
+/** @typedef {{ black: DetectedRange[], silence: DetectedRange[] }} DetectedRanges */
+
+
+const execFile = util.promisify(execFileCb);
+
+const Log = ContextualLog.Create('CreditsDetection');
+
+/** The smallest and largest portion of the end of an item that we scan for credits, in milliseconds. */
+const MinScanMs = 120000;
+const MaxScanMs = 600000;
+/** The fraction of the item to scan, within the bounds above. */
+const ScanRatio = 0.2;
+/** The shortest credits we'll propose. Anything shorter is more likely a fade out right before the end. */
+const MinCreditsMs = 20000;
+/** Black segments at least this long are likely credits rolling over a black background. */
+const LongBlackMs = 10000;
+/** If credits rolling over black end this long before the end of the item, assume there's a post-credits scene. */
+const PostCreditsMs = 30000;
+/** How far apart black frames and silence can be and still be considered the same transition. */
+const TransitionToleranceMs = 1000;
+
+/**
+ * Parse the blackdetect and silencedetect output of an ffmpeg run.
+ * @param {string} output ffmpeg's stderr.
+ * @param {number} offset The timestamp ffmpeg started at, in milliseconds.
+ * @param {number} end The timestamp ffmpeg stopped at, used for silence that doesn't end.
+ * @returns {DetectedRanges} */
+export function parseDetectOutput(output, offset, end) {
+    /** @type {DetectedRanges} */
+    const ranges = { black : [], silence : [] };
+    const toMs = seconds => offset + Math.round(parseFloat(seconds) * 1000);
+    let silenceStart = -1;
+    for (const line of output.split(/\r?\n/)) {
+        const black = /black_start:\s*(?<start>-?[\d.]+)\s+black_end:\s*(?<end>-?[\d.]+)/.exec(line);
+        if (black) {
+            ranges.black.push({ start : toMs(black.groups.start), end : toMs(black.groups.end) });
+            continue;
+        }
+
+        const silenceBegin = /silence_start:\s*(?<start>-?[\d.]+)/.exec(line);
+        if (silenceBegin) {
+            silenceStart = Math.max(offset, toMs(silenceBegin.groups.start));
+            continue;
+        }
+
+        const silenceEnd = /silence_end:\s*(?<end>-?[\d.]+)/.exec(line);
+        if (silenceEnd && silenceStart !== -1) {
+            ranges.silence.push({ start : silenceStart, end : toMs(silenceEnd.groups.end) });
+            silenceStart = -1;
+        }
+    }
+
+    // Silence that lasts until the end of the file doesn't get a silence_end.
+    if (silenceStart !== -1) {
+        ranges.silence.push({ start : silenceStart, end : end });
+    }
+
+    return ranges;
+}
+
+/**
+ * Propose a credits marker based on the black frames and silence found at the end of an item.
+ *
+ * Transitions that contain both black frames and silence (i.e. a fade out) are preferred, followed by
+ * black frames alone, then silence alone. Long stretches of black are almost always credits rolling over
+ * a black background, so the first of those wins outright. Otherwise, the last transition that leaves
+ * room for credits is used, since credits are usually the last thing in an episode.
+ * @param {DetectedRanges} ranges
+ * @param {number} duration The duration of the item, in milliseconds.
+ * @returns {DetectedCredits?} */
+export function proposeCredits(ranges, duration) {
+    const latestStart = duration - MinCreditsMs;
+    const longBlack = ranges.black.find(b => b.end - b.start >= LongBlackMs && b.start <= latestStart);
+    if (longBlack) {
+        const postCredits = duration - longBlack.end > PostCreditsMs;
+        return {
+            start : longBlack.start,
+            end : postCredits ? longBlack.end : duration,
+            final : !postCredits,
+            source : 'black',
+        };
+    }
+
+    const overlaps = (a, b) => a.start <= b.end + TransitionToleranceMs && a.end >= b.start - TransitionToleranceMs;
+
+    /** @type {{ time: number, source: string }[][]} */
+    const tiers = [[], [], []];
+    for (const black of ranges.black) {
+        // Credits start as soon as we fade back in from black.
+        const both = ranges.silence.some(silence => overlaps(black, silence));
+        tiers[both ? 0 : 1].push({ time : black.end, source : both ? 'both' : 'black' });
+    }
+
+    for (const silence of ranges.silence) {
+        if (!ranges.black.some(black => overlaps(black, silence))) {
+            tiers[2].push({ time : silence.end, source : 'silence' });
+        }
+    }
+
+    for (const tier of tiers) {
+        const candidates = tier.filter(c => c.time <= latestStart).sort((a, b) => b.time - a.time);
+        if (candidates.length > 0) {
+            return { start : candidates[0].time, end : duration, final : true, source : candidates[0].source };
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Static class that detects credits by looking for black frames and silence at the end of movies/episodes.
+ */
+export class CreditsDetection {
+    /**
+     * Detect credits for the given movie/episode, or all episodes in the given show/season.
+     * @param {number} metadataId
+     * @returns {Promise<CreditsDetectionResult>} */
+    static async detectCredits(metadataId) {
+        const files = await PlexQueries.getBaseItemFiles(metadataId);
+        if (!testFfmpeg()) {
+            throw new ServerError(`FFmpeg could not be found on your path, so credits cannot be detected.`, 400);
+        }
+
+        const items = Config.singleFileVersions(files);
+        /** @type {CreditsDetectionResult} */
+        const result = { items : {}, failed : [] };
+        for (const [id, itemVersions] of items.entries()) {
+            await CreditsDetection.#detectItem(id, itemVersions, result);
+        }
+
+        Log.info(`Credits detection for ${metadataId} complete: ${Object.keys(result.items).length} item(s) with credits, ` +
+            `${result.failed.length} item(s) without.`);
+        return result;
+    }
+
+    /**
+     * Detect credits for a single movie/episode.
+     * @param {number} metadataId
+     * @param {MediaVersion[]} versions The single-file versions of the item.
+     * @param {CreditsDetectionResult} result The result to add to. */
+    static async #detectItem(metadataId, versions, result) {
+        const candidates = versions.filter(version => version.duration);
+        if (candidates.length === 0) {
+            result.failed.push({ metadataId : metadataId, reason : 'No single-file version with a known duration' });
+            return;
+        }
+
+        const found = await Config.findVersionFile(candidates);
+        if (!found) {
+            result.failed.push({ metadataId : metadataId, reason : 'Unable to find media file' });
+            return;
+        }
+
+        const { path, version } = found;
+        let ranges;
+        try {
+            ranges = await CreditsDetection.#analyze(path, version.duration);
+        } catch (err) {
+            Log.warn(`Unable to analyze "${path}": ${err.message}`);
+            result.failed.push({ metadataId : metadataId, reason : 'Unable to analyze media file' });
+            return;
+        }
+
+        const credits = proposeCredits(ranges, version.duration);
+        if (!credits) {
+            result.failed.push({ metadataId : metadataId, reason : 'No black frames or silence found near the end' });
+            return;
+        }
+
+        // Plex uses the longest version to determine whether a marker is final, so stretch to that.
+        if (credits.final) {
+            credits.end = Math.max(...candidates.map(c => c.duration));
+        }
+
+        result.items[metadataId] = credits;
+    }
+
+    /**
+     * Run blackdetect and silencedetect over the end of the given file.
+     * @param {string} path
+     * @param {number} duration The duration of the file, in milliseconds.
+     * @returns {Promise<DetectedRanges>} */
+    static async #analyze(path, duration) {
+        const scanMs = Math.min(duration, Math.max(MinScanMs, Math.min(MaxScanMs, duration * ScanRatio)));
+        const start = Math.round(duration - scanMs);
+        const execStart = performance.now();
+        const { stderr } = await execFile('ffmpeg',
+            [   '-hide_banner', '-nostats',                // Only output detection results
+                '-ss', `${start}ms`,                       // Only scan the end of the file
+                '-i', path,                                // Input file
+                '-vf', 'blackdetect=d=0.5:pix_th=0.10',    // Report black stretches at least half a second long
+                '-af', 'silencedetect=noise=-50dB:d=1',    // Report silence at least a second long
+                '-f', 'null', '-'],                        // Don't output anything
+            { maxBuffer : 16 * 1024 * 1024, timeout : 600000 });
+
+        Log.verbose(`Analyzed the last ${Math.round(scanMs / 1000)}s of "${path}" in ${Math.round(performance.now() - execStart)}ms`);
+        return parseDetectOutput(stderr, start, duration);
+    }
+}
+
+/**
+ * Register POST handlers related to credits detection. */
+export function registerCreditsDetectionCommands() {
+    registerCommand(PostCommands.DetectCredits, q => CreditsDetection.detectCredits(q.i('id')));
+}
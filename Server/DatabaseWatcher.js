@@ -0,0 +1,304 @@
+import { unwatchFile, watchFile } from 'fs';
+
+import { ContextualLog } from '../Shared/ConsoleLog.js';
+import { LiveUpdateEvent } from '../Shared/PlexTypes.js';
+
+import { GetServerState, ServerState } from './ServerState.js';
+import { BackupManager } from './MarkerBackupManager.js';
+import { LiveUpdates } from './LiveUpdates.js';
+import { MarkerCache } from './MarkerCacheManager.js';
+import { PlexQueries } from './PlexQueryManager.js';
+
+/** @typedef {!import('../Shared/PlexTypes').ChangedBaseItem} ChangedBaseItem */
+/** @typedef {!import('../Shared/PlexTypes').MarkerChangeEvent} MarkerChangeEvent */
+/** @typedef {!import('./PlexQueryManager').RawMarkerData} RawMarkerData */
+
+
+const Log = ContextualLog.Create('DatabaseWatcher');
+
+/** How often to check whether the database files were modified, in milliseconds. */
+const PollIntervalMs = 2000;
+
+/** How long to wait after a modification before looking for changes, so a burst of writes is only processed once. */
+const SettleDelayMs = 500;
+
+/** The number of Marker Editor operations currently writing to the database. */
+let writesInProgress = 0;
+
+/** Incremented every time one of our own writes starts, so a check that overlaps with it can be thrown out. */
+let writeGeneration = 0;
+
+/**
+ * Singleton database watcher instance
+ * @type {DatabaseWatcher}
+ * @readonly */ // Externally readonly
+let Instance;
+
+/**
+ * Watches the Plex database for marker changes, whether they come from Plex itself or from
+ * Marker Editor, keeping the marker cache up to date and notifying clients of what changed.
+ */
+class DatabaseWatcher {
+    /**
+     * Create the singleton DatabaseWatcher and start watching the given database.
+     * @param {string} databasePath */
+    static async Create(databasePath) {
+        if (Instance) {
+            Log.warn(`Database watcher already initialized, we shouldn't be trying to do this again!`);
+            Instance.stop();
+        }
+
+        Instance = new DatabaseWatcher(databasePath);
+        await Instance.start();
+        return Instance;
+    }
+
+    /** Stop watching the database and clear out the singleton instance. */
+    static Close() {
+        Instance?.stop();
+        Instance = null;
+    }
+
+    /**
+     * Run an operation that may modify markers. Checks are postponed until the operation completes, as
+     * changes it has written but not yet added to the marker cache would look like they came from Plex.
+     * @template T
+     * @param {() => Promise<T>} fn
+     * @returns {Promise<T>} */
+    static async TrackWrite(fn) {
+        ++writesInProgress;
+        ++writeGeneration;
+        try {
+            return await fn();
+        } finally {
+            if (--writesInProgress === 0 && Instance?.#pending) {
+                Instance.#pending = false;
+                Instance.#schedule();
+            }
+        }
+    }
+
+    /**
+     * The database and its write-ahead log, as Plex's writes may only touch the latter.
+     * @type {string[]} */
+    #files;
+
+    /**
+     * The markers in the database the last time we looked, keyed by marker id.
+     * @type {Map<number, RawMarkerData>} */
+    #snapshot = new Map();
+
+    /**
+     * The marker fingerprint of the database the last time we looked, so we only have to
+     * retrieve every marker if something actually changed.
+     * @type {string} */
+    #fingerprint = '';
+
+    /** @type {NodeJS.Timeout?} */
+    #timer = null;
+
+    /** Whether we're currently looking for changes. */
+    #checking = false;
+
+    /** Whether the database was modified while we were looking for changes. */
+    #pending = false;
+
+    /** The watchFile listener, kept around so we can remove it. */
+    #listener = this.#onFileChanged.bind(this);
+
+    /**
+     * @param {string} databasePath */
+    constructor(databasePath) {
+        this.#files = [databasePath, `${databasePath}-wal`];
+    }
+
+    /** Take the initial snapshot of the database and start watching for changes. */
+    async start() {
+        this.#fingerprint = await PlexQueries.getMarkerFingerprint();
+        this.#snapshot = await DatabaseWatcher.#takeSnapshot();
+        for (const file of this.#files) {
+            // Polling is more reliable than fs.watch, especially for databases on network shares or Docker volumes.
+            watchFile(file, { interval : PollIntervalMs, persistent : false }, this.#listener);
+        }
+
+        Log.verbose(`Watching ${this.#files[0]} for changes (${this.#snapshot.size} markers)`);
+    }
+
+    /** Stop watching for changes. */
+    stop() {
+        for (const file of this.#files) {
+            unwatchFile(file, this.#listener);
+        }
+
+        clearTimeout(this.#timer);
+        this.#timer = null;
+    }
+
+    /**
+     * Compare the database against our last snapshot, updating caches and notifying clients if anything changed.
+     * @returns {Promise<MarkerChangeEvent?>} The changes sent to clients, or null if nothing changed. */
+    async check() {
+        clearTimeout(this.#timer);
+        this.#timer = null;
+        if (this.#checking || writesInProgress > 0) {
+            this.#pending = true;
+            return null;
+        }
+
+        if (GetServerState() !== ServerState.Running) {
+            return null;
+        }
+
+        this.#checking = true;
+        try {
+            return await this.#checkCore();
+        } catch (err) {
+            Log.warn(err.message, `Unable to check the database for marker changes`);
+            return null;
+        } finally {
+            this.#checking = false;
+            if (this.#pending) {
+                this.#pending = false;
+                this.#schedule();
+            }
+        }
+    }
+
+    /**
+     * Core routine of check(), which assumes we're in a state to look for changes.
+     * @returns {Promise<MarkerChangeEvent?>} */
+    async #checkCore() {
+        const generation = writeGeneration;
+        const fingerprint = await PlexQueries.getMarkerFingerprint();
+        if (fingerprint === this.#fingerprint) {
+            return null;
+        }
+
+        const snapshot = await DatabaseWatcher.#takeSnapshot();
+        if (generation !== writeGeneration) {
+            // One of our own writes started while we were looking, so wait for it to finish.
+            this.#pending = true;
+            return null;
+        }
+
+        this.#fingerprint = fingerprint;
+        /** @type {Map<number, ChangedBaseItem>} */
+        const changed = new Map();
+        /** @param {RawMarkerData} marker */
+        const markChanged = marker => changed.set(marker.parent_id, {
+            metadataId : marker.parent_id,
+            seasonId : marker.season_id,
+            showId : marker.show_id,
+            sectionId : marker.section_id,
+        });
+
+        const added = [];
+        const deleted = [];
+        for (const [id, marker] of snapshot) {
+            const old = this.#snapshot.get(id);
+            if (!old) {
+                added.push(marker);
+                markChanged(marker);
+            } else if (!sameMarker(old, marker)) {
+                markChanged(old);
+                markChanged(marker);
+            }
+        }
+
+        for (const [id, marker] of this.#snapshot) {
+            if (!snapshot.has(id)) {
+                deleted.push(marker);
+                markChanged(marker);
+            }
+        }
+
+        this.#snapshot = snapshot;
+        if (changed.size === 0) {
+            return null;
+        }
+
+        /** @type {MarkerChangeEvent} */
+        const changeEvent = {
+            items : [...changed.values()],
+            purgesChanged : await this.#syncCaches(added, deleted),
+        };
+
+        Log.verbose(`Markers changed for ${changed.size} item(s), notifying ${LiveUpdates.clientCount()} client(s).`);
+        LiveUpdates.broadcast(LiveUpdateEvent.Markers, changeEvent);
+        return changeEvent;
+    }
+
+    /**
+     * Update the marker cache and purged markers to account for changes made outside of Marker Editor.
+     * @param {RawMarkerData[]} added
+     * @param {RawMarkerData[]} deleted
+     * @returns {Promise<boolean>} Whether purged markers may have changed. */
+    async #syncCaches(added, deleted) {
+        if (!MarkerCache) {
+            return false;
+        }
+
+        // Our own changes are already reflected in the marker cache, so anything
+        // it doesn't know about was changed by someone else (i.e. Plex).
+        const externalAdds = added.filter(marker => !MarkerCache.markerExists(marker.id));
+        const externalDeletes = deleted.filter(marker => MarkerCache.markerExists(marker.id));
+        if (externalAdds.length === 0 && externalDeletes.length === 0) {
+            return false;
+        }
+
+        Log.info(`Found ${externalAdds.length} marker(s) added and ${externalDeletes.length} marker(s) removed outside of Marker Editor.`);
+        for (const marker of externalDeletes) {
+            MarkerCache.removeMarkerFromCache(marker.id);
+        }
+
+        for (const marker of externalAdds) {
+            MarkerCache.addMarkerToCache(marker);
+        }
+
+        // Deleted markers may now be purged, and added markers may be re-added purges.
+        await BackupManager?.reinitialize();
+        return true;
+    }
+
+    /**
+     * Invoked when one of the watched files is modified.
+     * @param {import('fs').Stats} current
+     * @param {import('fs').Stats} previous */
+    #onFileChanged(current, previous) {
+        if (current.mtimeMs !== previous.mtimeMs || current.size !== previous.size) {
+            this.#schedule();
+        }
+    }
+
+    /** Look for changes once writes have settled down. */
+    #schedule() {
+        clearTimeout(this.#timer);
+        this.#timer = setTimeout(() => this.check(), SettleDelayMs);
+        this.#timer.unref();
+    }
+
+    /**
+     * @returns {Promise<Map<number, RawMarkerData>>} The current markers in the database, keyed by marker id. */
+    static async #takeSnapshot() {
+        const snapshot = new Map();
+        for (const marker of await PlexQueries.getAllMarkers()) {
+            snapshot.set(marker.id, marker);
+        }
+
+        return snapshot;
+    }
+}
+
+/**
+ * Determine whether any user-visible marker details differ between the two markers.
+ * @param {RawMarkerData} a
+ * @param {RawMarkerData} b */
+function sameMarker(a, b) {
+    return a.parent_id === b.parent_id
+        && a.start === b.start
+        && a.end === b.end
+        && a.marker_type === b.marker_type
+        && a.final === b.final;
+}
+
+export { DatabaseWatcher, Instance as DbWatcher };
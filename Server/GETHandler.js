@@ -12,6 +12,8 @@ import { GetServerState, ServerState } from './ServerState.js';
 import { isBinary, sendCompressedData } from './ServerHelpers.js';
 import { ThumbnailNotGeneratedError, Thumbnails } from './ThumbnailManager.js';
 import { DatabaseImportExport } from './ImportExport.js';
+import { LiveUpdates } from './LiveUpdates.js';
+import { PreviewClips } from './PreviewClips.js';
 import ServerError from './ServerError.js';
 import { User } from './Authentication/Authentication.js';
 
@@ -107,8 +109,12 @@ class GETHandler {
                 break;
         }
 
-        if (url.startsWith('/export/')) {
-            return await DatabaseImportExport.exportDatabase(res, parseInt(url.substring('/export/'.length)));
+        if (urlLower === '/events') {
+            return LiveUpdates.subscribe(req, res);
+        }
+
+        if (await GETHandler.#handleGeneratedContent(url, res)) {
+            return;
         }
 
         const mimetype = contentType(lookup(urlStripped));
@@ -150,9 +156,9 @@ class GETHandler {
             }
         }
 
-        // Most GET requests are allowed in first run, except for thumbnails and export
+        // Most GET requests are allowed in first run, except for thumbnails, preview clips, and export
         if (GetServerState() === ServerState.RunningWithoutConfig
-            && (url.substring(0, 3) === '/t/' || url.startsWith('/export/'))) {
+            && (url.substring(0, 3) === '/t/' || url.startsWith('/clip/') || url.startsWith('/export/'))) {
             res.writeHead(503).end(`Disallowed request during First Run experience: "${url}"`);
             return false;
         }
@@ -160,6 +166,60 @@ class GETHandler {
         return true;
     }
 
+    /**
+     * Handle requests for content that's generated on-demand, i.e. database exports and preview clips.
+     * @param {string} url The requested URL (with baseUrl stripped if present)
+     * @param {ExpressResponse} res
+     * @returns {Promise<boolean>} Whether the request was handled. */
+    static async #handleGeneratedContent(url, res) {
+        if (url.startsWith('/clip/')) {
+            await GETHandler.#getPreviewClip(url, res);
+            return true;
+        }
+
+        if (url.startsWith('/export/')) {
+            const format = new URLSearchParams(url.split('?')[1] ?? '').get('format') ?? undefined;
+            await DatabaseImportExport.exportDatabase(res, parseInt(url.substring('/export/'.length)), format);
+            return true;
+        }
+
+        return false;
+    }
+
+    /**
+     * Stream a short clip of the movie/episode denoted by the url, /clip/metadataId/startMs/endMs[?direct=1]
+     * @param {string} url The clip url
+     * @param {ExpressResponse} res */
+    static async #getPreviewClip(url, res) {
+        const [path, query] = url.split('?');
+        const split = path.split('/');
+        if (split.length !== 5) {
+            res.writeHead(400).end(`Malformed clip URL: ${url}`);
+            return;
+        }
+
+        const [metadataId, start, end] = split.slice(2).map(p => parseInt(p));
+        if (isNaN(metadataId) || isNaN(start) || isNaN(end)) {
+            res.writeHead(400).end(`Non-integer id/start/end provided`);
+            return;
+        }
+
+        if (GetServerState() === ServerState.Suspended) {
+            res.writeHead(503).end(`Server is suspended, can't retrieve preview clip.`);
+            return;
+        }
+
+        try {
+            const direct = new URLSearchParams(query ?? '').get('direct') === '1';
+            await PreviewClips.streamClip(res, metadataId, start, end, direct);
+        } catch (err) {
+            Log.warn(err.message, `Unable to stream preview clip for ${metadataId}`);
+            if (!res.headersSent) {
+                res.writeHead(err instanceof ServerError ? err.code : 500).end(err.message);
+            }
+        }
+    }
+
     /**
      * Serve an HTTP file that has [[BASE_URL]] indicators that should be
      * replaced with the user-defined base url.
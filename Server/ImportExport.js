@@ -1,14 +1,16 @@
 import { createReadStream, existsSync, mkdirSync, rmSync, statSync, writeFileSync } from 'fs';
-import { join } from 'path';
+import { extname, join } from 'path';
 
 import { ContextualLog } from '../Shared/ConsoleLog.js';
 
 import { Config, ProjectRoot } from './Config/MarkerEditorConfig.js';
-import { MarkerConflictResolution, MarkerData } from '../Shared/PlexTypes.js';
-import { MetadataType, PlexQueries } from './PlexQueryManager.js';
+import { ExtraData, MetadataType, PlexQueries } from './PlexQueryManager.js';
+import { MarkerConflictResolution, MarkerData, MarkerExportFormat } from '../Shared/PlexTypes.js';
+import { MarkerType, supportedMarkerType } from '../Shared/MarkerType.js';
 import { ServerEvents, waitForServerEvent } from './ServerEvents.js';
 import { BackupManager } from './MarkerBackupManager.js';
 import MarkerEditCache from './MarkerEditCache.js';
+import { PlexSnapshots } from './PlexDatabaseSnapshots.js';
 import { PostCommands } from '../Shared/PostCommands.js';
 import { registerCommand } from './Commands/PostCommand.js';
 import ServerError from './ServerError.js';
@@ -47,6 +49,28 @@ import TransactionBuilder from './TransactionBuilder.js';
  * }} MinimalBaseItem
  */
 
+/**
+ * Map of sections to the markers to import into each movie/episode in that section.
+ * @typedef {{[sectionId: number]: {sectionType: number, items : {[baseId: number]: MarkerAction[]}}}} ImportSections
+ */
+
+/**
+ * @typedef {Object} ImportStats
+ * @property {number} added The number of markers added.
+ * @property {number} identical The number of markers ignored because they're identical to an existing marker.
+ * @property {number} deleted The number of existing markers deleted (overwritten).
+ * @property {number} modified The number of existing markers modified (merged).
+ * @property {number} ignored The number of markers ignored due to conflicts.
+ */
+
+/**
+ * @typedef {Object} MarkerExport
+ * @property {string} name The file name of the export.
+ * @property {string} mimetype
+ * @property {string} [path] The full path to the exported file, for database exports.
+ * @property {string} [data] The exported text, for JSON/CSV exports.
+ */
+
 /*
 Export table V1:
 
@@ -99,47 +123,203 @@ INSERT INTO schema_version (version) SELECT ${CurrentSchemaVersion} WHERE NOT EX
 
 const Log = ContextualLog.Create('ImportExport');
 
+/**
+ * A marker to export, along with the information needed to identify its movie/episode.
+ * @typedef {BackupRow & {
+ *  metadata_id: number,
+ *  metadata_type: number,
+ *  title: string,
+ *  episode_index: number,
+ *  season_index: number?,
+ *  show_title: string?
+ * }} ExportRow
+ */
+
+/**
+ * A single marker in a JSON marker export.
+ * @typedef {{ type: string, start: string, end: string, final: boolean, userCreated: boolean }} TextExportMarker
+ */
+
+/**
+ * A movie/episode in a JSON marker export. Titles and indexes are only for readability, items are matched by GUID.
+ * @typedef {Object} TextExportItem
+ * @property {string} guid
+ * @property {string} type Either 'movie' or 'episode'
+ * @property {string} [show] The show's title, for episodes.
+ * @property {number} [season] The season number, for episodes.
+ * @property {number} [episode] The episode number, for episodes.
+ * @property {string} title
+ * @property {TextExportMarker[]} markers
+ */
+
+/** Version of the JSON export format. */
+const CurrentTextVersion = 1;
+
+/** The columns of a CSV export, one row per marker. */
+const CsvColumns = ['guid', 'type', 'show', 'season', 'episode', 'title', 'marker_type', 'start', 'end', 'final', 'user_created'];
+
+/**
+ * Convert milliseconds to an HH:MM:SS.mmm timestamp.
+ * @param {number} ms */
+function msToTimestamp(ms) {
+    const pad = (val, len=2) => val.toString().padStart(len, '0');
+    return `${pad(Math.floor(ms / 3600000))}:${pad(Math.floor(ms / 60000) % 60)}:${pad(Math.floor(ms / 1000) % 60)}.${pad(ms % 1000, 3)}`;
+}
+
+/**
+ * Parse a timestamp from a JSON/CSV import. Like timestamps entered in the client, a plain integer is
+ * milliseconds, a decimal is seconds, and anything else is expected to be [HH:]MM:SS[.mmm]
+ * @param {string|number} value
+ * @returns {number} The timestamp in milliseconds, or NaN if it isn't valid. */
+export function timestampToMs(value) {
+    value = value?.toString().trim() ?? '';
+    if (/^\d+$/.test(value)) {
+        return parseInt(value);
+    }
+
+    if (/^\d*\.\d+$/.test(value)) {
+        return Math.round(parseFloat(value) * 1000);
+    }
+
+    const match = /^(?:(?<hours>\d+):)?(?<minutes>\d{1,2}):(?<seconds>\d{1,2})(?:\.(?<ms>\d{1,3}))?$/.exec(value);
+    if (!match) {
+        return NaN;
+    }
+
+    const { hours, minutes, seconds, ms } = match.groups;
+    return ((parseInt(hours ?? 0) * 60 + parseInt(minutes)) * 60 + parseInt(seconds)) * 1000 + parseInt((ms ?? '0').padEnd(3, '0'));
+}
+
+/**
+ * Escape the given value for a CSV file.
+ * @param {string|number|null|undefined} value */
+function csvField(value) {
+    const str = value === null || value === undefined ? '' : value.toString();
+    return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+/**
+ * Parse the given CSV text into rows of fields, following RFC 4180's quoting rules.
+ * @param {string} text
+ * @returns {string[][]} */
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+    for (let i = 0; i < text.length; ++i) {
+        const c = text[i];
+        if (quoted) {
+            if (c !== '"') {
+                field += c;
+            } else if (text[i + 1] === '"') {
+                field += '"';
+                ++i;
+            } else {
+                quoted = false;
+            }
+        } else if (c === '"') {
+            quoted = true;
+        } else if (c === ',') {
+            row.push(field);
+            field = '';
+        } else if (c === '\n' || c === '\r') {
+            if (c === '\r' && text[i + 1] === '\n') {
+                ++i;
+            }
+
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += c;
+        }
+    }
+
+    if (field || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    // Ignore blank lines
+    return rows.filter(r => r.length > 1 || r[0].trim() !== '');
+}
+
+
 /**
  * Static class that handles the import/export of markers
  */
 export class DatabaseImportExport {
 
     /**
-     * Exports a database of markers for the given section (or -1 for the entire library)
+     * Exports markers for the given section (or -1 for the entire library), either as a database
+     * that can be imported later, or as a human-readable JSON/CSV file.
      * @param {ExpressResponse} response
-     * @param {number} sectionId */
-    static async exportDatabase(response, sectionId) {
-        if (isNaN(sectionId)) {
-            response.writeHead(400).end('Invalid section id');
+     * @param {number} sectionId
+     * @param {string} format The MarkerExportFormat to export. */
+    static async exportDatabase(response, sectionId, format=MarkerExportFormat.Database) {
+        let markerExport;
+        try {
+            markerExport = await DatabaseImportExport.createExport(sectionId, format);
+        } catch (err) {
+            if (!(err instanceof ServerError)) {
+                throw err;
+            }
+
+            response.writeHead(err.code).end(err.message);
             return;
         }
 
+        const headers = {
+            'Content-Type' : markerExport.mimetype,
+            'Content-Disposition' : `attachment; filename="${markerExport.name}"`,
+        };
+
+        if (markerExport.data !== undefined) {
+            response.writeHead(200, { ...headers, 'Content-Length' : Buffer.byteLength(markerExport.data) }).end(markerExport.data);
+            return;
+        }
+
+        const readStream = createReadStream(markerExport.path);
+        response.writeHead(200, { ...headers, 'Content-Length' : statSync(markerExport.path).size });
+        readStream.pipe(response);
+    }
+
+    /**
+     * Export markers for the given section (or -1 for the entire library). Database exports are written
+     * to the Backup/MarkerExports directory, while JSON/CSV exports are returned directly.
+     * @param {number} sectionId
+     * @param {string} format The MarkerExportFormat to export.
+     * @returns {Promise<MarkerExport>}
+     * @throws {ServerError} If the section or format is invalid, or the export could not be created. */
+    static async createExport(sectionId, format=MarkerExportFormat.Database) {
+        if (isNaN(sectionId)) {
+            throw new ServerError('Invalid section id', 400);
+        }
+
+        if (!Object.values(MarkerExportFormat).includes(format)) {
+            throw new ServerError('Invalid export format', 400);
+        }
+
         let sectionName = 'Server';
         if (sectionId !== -1) {
-            let valid = false;
-            const sections = await PlexQueries.getLibraries();
-            for (const section of sections) {
-                if (section.id === sectionId) {
-                    sectionName = `${section.name.replace(/[<>:"/\\|?*]/g, '')}[${section.id}]`;
-                    valid = true;
-                    break;
-                }
+            const section = (await PlexQueries.getLibraries()).find(s => s.id === sectionId);
+            if (!section) {
+                throw new ServerError('Invalid section id', 400);
             }
 
-            if (!valid) {
-                response.writeHead(400).end('Invalid section id');
-                return;
-            }
+            sectionName = `${section.name.replace(/[<>:"/\\|?*]/g, '')}[${section.id}]`;
+        }
+
+        if (format !== MarkerExportFormat.Database) {
+            return DatabaseImportExport.#exportText(sectionId, sectionName, format);
         }
 
         // Save to backup subdirectory.
         const backupDir = join(ProjectRoot(), 'Backup', 'MarkerExports');
         mkdirSync(backupDir, { recursive : true });
-        const time = new Date();
-        const padL = (val, pad=2) => { val = val.toString(); return '0'.repeat(Math.max(0, pad - val.length)) + val; };
-
-        const backupName = `${sectionName}-${time.getFullYear()}.${padL(time.getMonth() + 1)}.` +
-                           `${padL(time.getDate())}-${padL(time.getHours())}.${padL(time.getMinutes())}.${padL(time.getSeconds())}.db`;
+        const backupName = DatabaseImportExport.#exportFileName(sectionName, MarkerExportFormat.Database);
         const backupFullPath = join(backupDir, backupName);
         if (existsSync(backupFullPath)) {
             Log.warn(`Backup file "${backupName}" already exists, removing first...`);
@@ -150,27 +330,7 @@ export class DatabaseImportExport {
         await db.exec(CheckVersionTable);
         await db.exec(ExportTable);
 
-        /** @type {DbDictParameters} */
-        const params = { $tagId : PlexQueries.markerTagId() };
-        let query =
-`SELECT t.id AS id,
-        t.text AS marker_type,
-        t.time_offset AS start,
-        t.end_time_offset AS end,
-        t.created_at AS created_at,
-        t.extra_data AS extra,
-        m.guid AS guid
-FROM taggings t
-INNER JOIN metadata_items m ON m.id=t.metadata_item_id
-WHERE t.tag_id=$tagId`;
-
-        if (sectionId !== -1) {
-            query += ` AND m.library_section_id=$sectionId`;
-            params.$sectionId = sectionId;
-        }
-
-        /** @type {BackupRow[]} */
-        const markers = await PlexQueries.database().all(query, params);
+        const markers = await DatabaseImportExport.#getExportMarkers(sectionId);
 
         // Note: some markers might overlap with each other for the same GUID.
         //       This is okay, since our import method should handle it gracefully.
@@ -222,23 +382,124 @@ WHERE t.tag_id=$tagId`;
         const stats = statSync(backupFullPath);
         if (!stats.isFile()) {
             // Failed to save db file?
-            response.writeHead(500).end('Unable to retrieve marker database.');
-            return;
+            throw new ServerError('Unable to retrieve marker database.', 500);
         }
 
-        const mimetype = 'application/x-sqlite3';
-        const readStream = createReadStream(backupFullPath);
-        response.writeHead(200, {
-            'Content-Type' : mimetype,
-            'Content-Length' : stats.size,
-            'Content-Disposition' : `attachment; filename="${backupName}"`,
-        });
-
         Log.info(`Successfully created marker backup.`);
-        readStream.pipe(response);
+        return { name : backupName, mimetype : 'application/x-sqlite3', path : backupFullPath };
     }
 
     /**
+     * Retrieve all markers to export for the given section (or -1 for the entire server), along with
+     * the information needed to identify their movie/episode.
+     * @param {number} sectionId
+     * @returns {Promise<ExportRow[]>} */
+    static #getExportMarkers(sectionId) {
+        /** @type {DbDictParameters} */
+        const params = { $tagId : PlexQueries.markerTagId() };
+        let query =
+`SELECT t.id AS id,
+        t.text AS marker_type,
+        t.time_offset AS start,
+        t.end_time_offset AS end,
+        t.created_at AS created_at,
+        t.extra_data AS extra,
+        m.guid AS guid,
+        m.id AS metadata_id,
+        m.metadata_type AS metadata_type,
+        m.title AS title,
+        m.\`index\` AS episode_index,
+        season.\`index\` AS season_index,
+        show_item.title AS show_title
+FROM taggings t
+INNER JOIN metadata_items m ON m.id=t.metadata_item_id
+LEFT JOIN metadata_items season ON m.metadata_type=${MetadataType.Episode} AND season.id=m.parent_id
+LEFT JOIN metadata_items show_item ON show_item.id=season.parent_id
+WHERE t.tag_id=$tagId`;
+
+        if (sectionId !== -1) {
+            query += ` AND m.library_section_id=$sectionId`;
+            params.$sectionId = sectionId;
+        }
+
+        query += `
+ORDER BY show_item.title, season.\`index\`, m.\`index\`, m.title, m.id, t.time_offset;`;
+        return PlexQueries.database().all(query, params);
+    }
+
+    /**
+     * Get the name of an export file for the given section.
+     * @param {string} sectionName
+     * @param {string} extension */
+    static #exportFileName(sectionName, extension) {
+        const time = new Date();
+        const padL = (val, pad=2) => { val = val.toString(); return '0'.repeat(Math.max(0, pad - val.length)) + val; };
+
+        return `${sectionName}-${time.getFullYear()}.${padL(time.getMonth() + 1)}.` +
+               `${padL(time.getDate())}-${padL(time.getHours())}.${padL(time.getMinutes())}.${padL(time.getSeconds())}.${extension}`;
+    }
+
+    /**
+     * Export markers as human-readable JSON or CSV, which can be diffed, edited by hand, and imported later.
+     * @param {number} sectionId
+     * @param {string} sectionName
+     * @param {string} format MarkerExportFormat.Json or MarkerExportFormat.Csv
+     * @returns {Promise<MarkerExport>} */
+    static async #exportText(sectionId, sectionName, format) {
+        const markers = await DatabaseImportExport.#getExportMarkers(sectionId);
+
+        /** @type {Map<number, TextExportItem>} */
+        const items = new Map();
+        for (const marker of markers) {
+            if (!items.has(marker.metadata_id)) {
+                items.set(marker.metadata_id, marker.metadata_type === MetadataType.Movie ? {
+                    guid : marker.guid,
+                    type : 'movie',
+                    title : marker.title,
+                    markers : [],
+                } : {
+                    guid : marker.guid,
+                    type : 'episode',
+                    show : marker.show_title,
+                    season : marker.season_index,
+                    episode : marker.episode_index,
+                    title : marker.title,
+                    markers : [],
+                });
+            }
+
+            items.get(marker.metadata_id).markers.push({
+                type : marker.marker_type,
+                start : msToTimestamp(marker.start),
+                end : msToTimestamp(marker.end),
+                final : !!marker.extra?.includes('%3Afinal=1'),
+                userCreated : MarkerEditCache.getUserCreated(marker.id),
+            });
+        }
+
+        let data;
+        if (format === MarkerExportFormat.Json) {
+            data = JSON.stringify({ version : CurrentTextVersion, items : Array.from(items.values()) }, null, 2) + '\n';
+        } else {
+            data = CsvColumns.join(',') + '\n';
+            for (const item of items.values()) {
+                for (const marker of item.markers) {
+                    data += [item.guid, item.type, item.show, item.season, item.episode, item.title,
+                        marker.type, marker.start, marker.end, +marker.final, +marker.userCreated].map(csvField).join(',') + '\n';
+                }
+            }
+        }
+
+        Log.info(`Exporting ${markers.length} markers as ${format.toUpperCase()}.`);
+        return {
+            name : DatabaseImportExport.#exportFileName(sectionName, format),
+            mimetype : format === MarkerExportFormat.Json ? 'application/json' : 'text/csv',
+            data : data,
+        };
+    }
+
+    /**
+     * Import markers from a previously exported database, or a JSON/CSV export.
      * @param {ParsedFormField} database
      * @param {number} sectionId
      * @param {number} resolveType */
@@ -251,6 +512,13 @@ WHERE t.tag_id=$tagId`;
             throw new ServerError(`importDatabase: resolveType must be a MarkerConflictResolution type, found ${resolveType}`);
         }
 
+        await PlexSnapshots.snapshot(PostCommands.ImportDb);
+        const extension = extname(database.filename).substring(1).toLowerCase();
+        if (extension === MarkerExportFormat.Json || extension === MarkerExportFormat.Csv) {
+            const text = Buffer.from(database.data, 'binary').toString('utf-8');
+            return DatabaseImportExport.#importText(text, extension, sectionId, resolveType);
+        }
+
         const backupDir = join(ProjectRoot(), 'Backup', 'MarkerExports');
         mkdirSync(backupDir, { recursive : true });
         const dbData = Buffer.from(database.data, 'binary');
@@ -266,12 +534,6 @@ WHERE t.tag_id=$tagId`;
             Log.warn(err.message, `Unable to clean up uploaded database file`);
         }
 
-        // Success. Instead of trying to properly adjust everything, rebuild necessary caches from
-        // scratch, since this shouldn't be a common action, so efficiency isn't super important.
-        await Promise.all([
-            waitForServerEvent(
-                ServerEvents.ReloadMarkerStats, Config.extendedMarkerStats(), PlexQueries.database(), PlexQueries.markerTagId()),
-            waitForServerEvent(ServerEvents.RebuildPurgedCache)]);
         return stats;
     }
 
@@ -306,34 +568,21 @@ WHERE t.tag_id=$tagId`;
         /** @type {BackupRow[]} */
         const backupMarkers = await db.all('SELECT * FROM markers;');
         db.close(); // We don't need this once we've read all rows.
+        return DatabaseImportExport.#importBackupRows(backupMarkers, sectionId, resolveType);
+    }
 
+    /**
+     * Import the given markers into every item in this section (or server) whose GUID matches.
+     * @param {BackupRow[]} backupMarkers
+     * @param {number} sectionId Section ID to apply markers to. -1 to apply server-wide
+     * @param {number} resolveType The MarkerConflictResolution type */
+    static async #importBackupRows(backupMarkers, sectionId, resolveType) {
         /** @type {{[guid: string]: BackupRow[]}} */
         const backupGuidMap = {};
         for (const backupMarker of backupMarkers) {
             (backupGuidMap[backupMarker.guid] ??= []).push(backupMarker);
         }
 
-        /** @type {DbDictParameters} */
-        const params = {};
-        let allMedia =
-`SELECT
-    base.id AS id,
-    (CASE WHEN season.id IS NULL THEN -1 ELSE season.id END) AS season_id,
-    (CASE WHEN season.id IS NULL THEN -1 ELSE season.parent_id END) AS show_id,
-    base.guid AS guid,
-    base.library_section_id AS section_id,
-    base.metadata_type AS metadata_type
-FROM metadata_items base
-LEFT JOIN metadata_items season ON base.parent_id=season.id
-WHERE (base.metadata_type=1 OR base.metadata_type=4)`;
-
-        if (sectionId !== -1) {
-            allMedia += ' AND base.library_section_id=$sectionId';
-            params.$sectionId = sectionId;
-        }
-
-        allMedia += ';';
-
         /**
          * @param {BackupRow[]} backupRows
          * @param {MinimalBaseItem} baseItem Not actually a MarkerQueryResult, but close */
@@ -365,10 +614,9 @@ WHERE (base.metadata_type=1 OR base.metadata_type=4)`;
         // Note that this means multiple individual items can match to the same set of markers, e.g. the same
         // movies/episodes across different episodes, or split apart items (that don't use Editions).
 
-        /** @type {{[sectionId: number]: {sectionType: number, items : {[baseId: number]: MarkerAction[]}}}} */
+        /** @type {ImportSections} */
         const sectionsToUpdate = {};
-        /** @type {MinimalBaseItem[]} */
-        const plexItems = await PlexQueries.database().all(allMedia, params);
+        const plexItems = await DatabaseImportExport.getImportableItems(sectionId);
         for (const item of plexItems) {
             if (!sectionsToUpdate[item.library_section_id]) {
                 sectionsToUpdate[item.library_section_id] = {
@@ -382,6 +630,165 @@ WHERE (base.metadata_type=1 OR base.metadata_type=4)`;
             }
         }
 
+        return DatabaseImportExport.applyImport(sectionsToUpdate, resolveType);
+    }
+
+    /**
+     * Import markers from a human-readable JSON or CSV export.
+     * @param {string} text The contents of the uploaded file.
+     * @param {string} format MarkerExportFormat.Json or MarkerExportFormat.Csv
+     * @param {number} sectionId Section ID to apply markers to. -1 to apply server-wide
+     * @param {number} resolveType The MarkerConflictResolution type */
+    static #importText(text, format, sectionId, resolveType) {
+        text = text.replace(/^\uFEFF/, '');
+        const backupMarkers = format === MarkerExportFormat.Json ?
+            DatabaseImportExport.#parseJsonImport(text) :
+            DatabaseImportExport.#parseCsvImport(text);
+
+        if (backupMarkers.length === 0) {
+            throw new ServerError(`${format.toUpperCase()} file does not have any markers to import!`, 400);
+        }
+
+        Log.info(`Importing ${backupMarkers.length} markers from ${format.toUpperCase()} file.`);
+        return DatabaseImportExport.#importBackupRows(backupMarkers, sectionId, resolveType);
+    }
+
+    /**
+     * Parse a JSON marker export.
+     * @param {string} text
+     * @returns {BackupRow[]} */
+    static #parseJsonImport(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (err) {
+            throw new ServerError(`Unable to parse JSON file: ${err.message}`, 400);
+        }
+
+        if (data?.version > CurrentTextVersion) {
+            throw new ServerError('JSON file was created with a newer version of this application, cannot continue.', 400);
+        }
+
+        if (!(data?.items instanceof Array)) {
+            throw new ServerError(`JSON file does not have an "items" array. Are you sure it was created by this application?`, 400);
+        }
+
+        const rows = [];
+        for (const [index, item] of data.items.entries()) {
+            if (typeof item?.guid !== 'string' || !(item.markers instanceof Array)) {
+                throw new ServerError(`Item ${index} does not have a guid and list of markers.`, 400);
+            }
+
+            const location = `for item ${index} (${item.guid})`;
+            for (const marker of item.markers) {
+                rows.push(DatabaseImportExport.#toBackupRow(
+                    item.guid, marker.type, marker.start, marker.end, marker.final, marker.userCreated, location));
+            }
+        }
+
+        return rows;
+    }
+
+    /**
+     * Parse a CSV marker export. Only the guid, marker_type, start, and end columns are required.
+     * @param {string} text
+     * @returns {BackupRow[]} */
+    static #parseCsvImport(text) {
+        const [header, ...data] = parseCsv(text);
+        const columns = {};
+        header?.forEach((column, index) => { columns[column.trim().toLowerCase()] = index; });
+        const missing = ['guid', 'marker_type', 'start', 'end'].filter(column => columns[column] === undefined);
+        if (missing.length > 0) {
+            throw new ServerError(`CSV file is missing required column(s): ${missing.join(', ')}`, 400);
+        }
+
+        const flag = value => /^\s*(?:1|true|yes)\s*$/i.test(value ?? '');
+        return data.map((row, index) => DatabaseImportExport.#toBackupRow(
+            row[columns.guid],
+            row[columns.marker_type],
+            row[columns.start],
+            row[columns.end],
+            flag(row[columns.final]),
+            flag(row[columns.user_created]),
+            `on line ${index + 2}`));
+    }
+
+    /**
+     * Validate and convert a marker from a JSON/CSV file into a BackupRow.
+     * @param {string} guid
+     * @param {string} markerType
+     * @param {string|number} start
+     * @param {string|number} end
+     * @param {boolean} final
+     * @param {boolean} userCreated
+     * @param {string} location Description of where the marker is in the file, for error messages.
+     * @returns {BackupRow} */
+    static #toBackupRow(guid, markerType, start, end, final, userCreated, location) {
+        if (!guid) {
+            throw new ServerError(`Missing guid ${location}.`, 400);
+        }
+
+        if (!supportedMarkerType(markerType)) {
+            throw new ServerError(`Invalid marker type "${markerType}" ${location}.`, 400);
+        }
+
+        const startMs = timestampToMs(start);
+        const endMs = timestampToMs(end);
+        if (isNaN(startMs) || isNaN(endMs) || startMs < 0 || startMs >= endMs) {
+            throw new ServerError(`Invalid marker timestamps "${start}" to "${end}" ${location}.`, 400);
+        }
+
+        const now = Math.floor(Date.now() / 1000);
+        return {
+            id : -1,
+            marker_type : markerType,
+            start : startMs,
+            end : endMs,
+            // Like database exports, a negative modified date indicates a user-created marker.
+            modified_at : userCreated ? -now : null,
+            created_at : now,
+            extra : ExtraData.get(markerType, final && markerType === MarkerType.Credits) ?? '',
+            guid : guid,
+        };
+    }
+
+    /**
+     * Retrieve the minimal set of data needed to import markers into every movie and
+     * episode in the given section (or -1 for the entire server).
+     * @param {number} sectionId
+     * @returns {Promise<MinimalBaseItem[]>} */
+    static getImportableItems(sectionId) {
+        /** @type {DbDictParameters} */
+        const params = {};
+        let allMedia =
+`SELECT
+    base.id AS id,
+    (CASE WHEN season.id IS NULL THEN -1 ELSE season.id END) AS season_id,
+    (CASE WHEN season.id IS NULL THEN -1 ELSE season.parent_id END) AS show_id,
+    base.guid AS guid,
+    base.library_section_id AS section_id,
+    base.metadata_type AS metadata_type
+FROM metadata_items base
+LEFT JOIN metadata_items season ON base.parent_id=season.id
+WHERE (base.metadata_type=1 OR base.metadata_type=4)`;
+
+        if (sectionId !== -1) {
+            allMedia += ' AND base.library_section_id=$sectionId';
+            params.$sectionId = sectionId;
+        }
+
+        allMedia += ';';
+        return PlexQueries.database().all(allMedia, params);
+    }
+
+    /**
+     * Apply imported markers to their items, resolving conflicts with existing markers
+     * based on the given resolution type, and record the changes in the backup database.
+     * @param {ImportSections} sectionsToUpdate
+     * @param {number} resolveType The MarkerConflictResolution type
+     * @returns {Promise<ImportStats>} */
+    static async applyImport(sectionsToUpdate, resolveType) {
+        /** @type {ImportStats} */
         const stats = {
             added : 0,
             identical : 0,
@@ -406,8 +813,9 @@ WHERE (base.metadata_type=1 OR base.metadata_type=4)`;
 
             // Add changed markers to the backup database. While we'll clear out the BackupManager after this
             // action, we still want the database to know about these changes so they can be restored if needed.
-            await BackupManager.recordAdds(restoredMarkerData.newMarkers.map(x => new MarkerData(x)));
-            await BackupManager.recordDeletes(restoredMarkerData.deletedMarkers.map(x => new MarkerData(x)));
+            const batch = BackupManager.newBatch();
+            await BackupManager.recordAdds(restoredMarkerData.newMarkers.map(x => new MarkerData(x)), batch);
+            await BackupManager.recordDeletes(restoredMarkerData.deletedMarkers.map(x => new MarkerData(x)), batch);
             /** @type {OldMarkerTimings} */
             const oldMarkerTimings = {};
             /** @type {MarkerData[]} */
@@ -416,7 +824,12 @@ WHERE (base.metadata_type=1 OR base.metadata_type=4)`;
             for (const mod of restoredMarkerData.modifiedMarkers) {
                 const edited = mod.marker;
                 const newData = mod.newData;
-                oldMarkerTimings[edited.id] = { start : edited.start, end : edited.end };
+                oldMarkerTimings[edited.id] = {
+                    start : edited.start,
+                    end : edited.end,
+                    markerType : edited.marker_type,
+                    final : edited.final
+                };
                 edited.start = newData.newStart;
                 edited.end = newData.newEnd;
                 edited.modified_date = newData.newModified;
@@ -425,7 +838,7 @@ WHERE (base.metadata_type=1 OR base.metadata_type=4)`;
                 editedMarkers.push(new MarkerData(edited));
             }
 
-            await BackupManager.recordEdits(editedMarkers, oldMarkerTimings);
+            await BackupManager.recordEdits(editedMarkers, oldMarkerTimings, batch);
 
             stats.added += restoredMarkerData.newMarkers.length;
             stats.identical += restoredMarkerData.identicalMarkers.length;
@@ -441,6 +854,12 @@ WHERE (base.metadata_type=1 OR base.metadata_type=4)`;
             ll('Existing markers modified (merged)', stats.modified) +
             ll('Ignored imports', stats.ignored));
 
+        // Success. Instead of trying to properly adjust everything, rebuild necessary caches from
+        // scratch, since this shouldn't be a common action, so efficiency isn't super important.
+        await Promise.all([
+            waitForServerEvent(
+                ServerEvents.ReloadMarkerStats, Config.extendedMarkerStats(), PlexQueries.database(), PlexQueries.markerTagId()),
+            waitForServerEvent(ServerEvents.RebuildPurgedCache)]);
         return stats;
     }
 
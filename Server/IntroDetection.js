@@ -0,0 +1,401 @@
+import { execFile as execFileCb } from 'child_process';
+import { default as util } from 'util';
+
+import { ContextualLog } from '../Shared/ConsoleLog.js';
+
+import { Config } from './Config/MarkerEditorConfig.js';
+import { PlexQueries } from './PlexQueryManager.js';
+import { PostCommands } from '../Shared/PostCommands.js';
+import { registerCommand } from './Commands/PostCommand.js';
+import ServerError from './ServerError.js';
+import { testFfmpeg } from './ServerHelpers.js';
+
+/** @typedef {!import('../Shared/PlexTypes').DetectedIntro} DetectedIntro */
+/** @typedef {!import('../Shared/PlexTypes').IntroDetectionResult} IntroDetectionResult */
+/** @typedef {!import('./Config/MarkerEditorConfig').MediaVersion} MediaVersion */
+
+/**
+ * @typedef {Object} AudioFingerprint
+ * @property {Uint16Array} hashes One hash per frame, where each bit indicates whether the energy difference
+ *                         between two adjacent frequency bands increased or decreased since the last frame.
+ * @property {Uint8Array} silent Whether each frame is (nearly) silent.
+ *
+ * @typedef {{ startA: number, endA: number, startB: number, endB: number, confidence: number }} SharedSegment
+ * @typedef {{ id: number, versions: MediaVersion[] }} DetectionEpisode
+ */
+
+const execFile = util.promisify(execFileCb);
+
+const Log = ContextualLog.Create('IntroDetection');
+
+/** The sample rate of the audio we extract. Intros don't need high fidelity to be matched. */
+const SampleRate = 8000;
+/** The number of samples in each FFT window. */
+const WindowSize = 2048;
+/** The number of samples between the start of two adjacent frames. */
+const HopSize = 512;
+/** The duration of a single frame, in milliseconds. */
+export const FrameMs = HopSize / SampleRate * 1000;
+/** The number of frequency bands we look at, resulting in a (BandCount - 1)-bit hash for each frame. */
+const BandCount = 17;
+/** The frequency range that's split into bands, in Hz. */
+const MinFrequency = 300;
+const MaxFrequency = 2000;
+/** The maximum number of differing bits between two frame hashes for the frames to be considered a match. */
+const MaxBitErrors = 3;
+/** The maximum number of consecutive mismatched frames (~0.5 seconds) allowed within a shared segment. */
+const MaxGapFrames = 8;
+/** Mean sample energy below which a frame is considered silent. Silence is shared by nearly
+ * every episode, so it shouldn't contribute to a match. */
+const SilenceThreshold = 100 * 100;
+/** The shortest and longest segments we consider to be an intro. */
+const MinIntroMs = 15000;
+const MaxIntroMs = 150000;
+/** The maximum amount of each episode to scan for an intro. */
+const MaxScanMs = 600000;
+/** The longest we'll crunch numbers before letting the event loop handle other requests. */
+const MaxBlockingMs = 20;
+
+/** Lookup table for the number of set bits in a 16-bit integer. */
+const BitCounts = new Uint8Array(1 << 16);
+for (let i = 1; i < BitCounts.length; ++i) {
+    BitCounts[i] = BitCounts[i >> 1] + (i & 1);
+}
+
+/** Hann window applied to each frame before running the FFT. */
+const Window = Float64Array.from({ length : WindowSize }, (_, i) => 0.5 - 0.5 * Math.cos(2 * Math.PI * i / (WindowSize - 1)));
+
+/** The first FFT bin of each band, plus the end of the last band. Bands are logarithmically spaced. */
+const BandEdges = Array.from({ length : BandCount + 1 },
+    (_, i) => Math.round(MinFrequency * Math.pow(MaxFrequency / MinFrequency, i / BandCount) * WindowSize / SampleRate));
+
+/**
+ * Fingerprinting and comparing a season's worth of episodes can take a while, and would prevent the server from
+ * responding to anything else if run all at once. Returns a function that yields to the event loop if we've been
+ * running for longer than MaxBlockingMs since the last time we yielded.
+ * @returns {() => Promise<void>|undefined} */
+function yielder() {
+    let sliceStart = performance.now();
+    return () => {
+        if (performance.now() - sliceStart < MaxBlockingMs) {
+            return;
+        }
+
+        return new Promise(resolve => {
+            setImmediate(() => {
+                sliceStart = performance.now();
+                resolve();
+            });
+        });
+    };
+}
+
+/**
+ * In-place iterative radix-2 FFT.
+ * @param {Float64Array} re
+ * @param {Float64Array} im */
+function fft(re, im) {
+    const n = re.length;
+    for (let i = 1, j = 0; i < n; ++i) {
+        let bit = n >> 1;
+        for (; j & bit; bit >>= 1) {
+            j ^= bit;
+        }
+
+        j ^= bit;
+        if (i < j) {
+            [re[i], re[j]] = [re[j], re[i]];
+            [im[i], im[j]] = [im[j], im[i]];
+        }
+    }
+
+    for (let len = 2; len <= n; len <<= 1) {
+        const angle = -2 * Math.PI / len;
+        const wRe = Math.cos(angle);
+        const wIm = Math.sin(angle);
+        for (let i = 0; i < n; i += len) {
+            let curRe = 1;
+            let curIm = 0;
+            for (let j = 0; j < len / 2; ++j) {
+                const a = i + j;
+                const b = a + len / 2;
+                const tRe = re[b] * curRe - im[b] * curIm;
+                const tIm = re[b] * curIm + im[b] * curRe;
+                re[b] = re[a] - tRe;
+                im[b] = im[a] - tIm;
+                re[a] += tRe;
+                im[a] += tIm;
+                [curRe, curIm] = [curRe * wRe - curIm * wIm, curRe * wIm + curIm * wRe];
+            }
+        }
+    }
+}
+
+/**
+ * Fingerprint the given mono audio (sampled at SampleRate). Loosely based on Haitsma & Kalker's
+ * "A Highly Robust Audio Fingerprinting System", which holds up well against the re-encoding and
+ * volume differences we'll see between episodes.
+ * @param {Int16Array} samples
+ * @returns {Promise<AudioFingerprint>} */
+export async function fingerprintAudio(samples) {
+    const maybeYield = yielder();
+    const frameCount = samples.length < WindowSize ? 0 : Math.floor((samples.length - WindowSize) / HopSize) + 1;
+    const hashes = new Uint16Array(frameCount);
+    const silent = new Uint8Array(frameCount);
+    const re = new Float64Array(WindowSize);
+    const im = new Float64Array(WindowSize);
+    let energies = new Float64Array(BandCount);
+    let lastEnergies = new Float64Array(BandCount);
+    for (let frame = 0; frame < frameCount; ++frame) {
+        await maybeYield();
+        const offset = frame * HopSize;
+        let frameEnergy = 0;
+        for (let i = 0; i < WindowSize; ++i) {
+            const sample = samples[offset + i];
+            frameEnergy += sample * sample;
+            re[i] = sample * Window[i];
+            im[i] = 0;
+        }
+
+        silent[frame] = frameEnergy / WindowSize < SilenceThreshold ? 1 : 0;
+        fft(re, im);
+        for (let band = 0; band < BandCount; ++band) {
+            let energy = 0;
+            for (let bin = BandEdges[band]; bin < BandEdges[band + 1]; ++bin) {
+                energy += re[bin] * re[bin] + im[bin] * im[bin];
+            }
+
+            energies[band] = energy;
+        }
+
+        if (frame > 0) {
+            let hash = 0;
+            for (let band = 0; band < BandCount - 1; ++band) {
+                const diff = (energies[band] - energies[band + 1]) - (lastEnergies[band] - lastEnergies[band + 1]);
+                if (diff > 0) {
+                    hash |= 1 << band;
+                }
+            }
+
+            hashes[frame] = hash;
+        }
+
+        [energies, lastEnergies] = [lastEnergies, energies];
+    }
+
+    return { hashes, silent };
+}
+
+/**
+ * Find the longest segment of audio shared between two fingerprints, trying every possible alignment.
+ * @param {AudioFingerprint} a
+ * @param {AudioFingerprint} b
+ * @returns {Promise<SharedSegment?>} The shared segment, in milliseconds, or null if no intro-length segment was found. */
+export async function findSharedSegment(a, b) {
+    const maybeYield = yielder();
+    const minFrames = Math.ceil(MinIntroMs / FrameMs);
+    const maxFrames = Math.floor(MaxIntroMs / FrameMs);
+    let best = { start : 0, offset : 0, length : 0, matches : 0 };
+
+    // For a given offset, frame i of a is aligned with frame i - offset of b.
+    for (let offset = minFrames - b.hashes.length; offset <= a.hashes.length - minFrames; ++offset) {
+        await maybeYield();
+        const first = Math.max(0, offset);
+        const last = Math.min(a.hashes.length, b.hashes.length + offset);
+        let runStart = -1;
+        let lastMatch = -1;
+        let matches = 0;
+        for (let i = first; i <= last; ++i) {
+            const isMatch = i < last
+                && !a.silent[i]
+                && !b.silent[i - offset]
+                && BitCounts[a.hashes[i] ^ b.hashes[i - offset]] <= MaxBitErrors;
+            if (isMatch) {
+                if (runStart === -1) {
+                    runStart = i;
+                    matches = 0;
+                }
+
+                lastMatch = i;
+                ++matches;
+                continue;
+            }
+
+            if (runStart === -1 || (i < last && i - lastMatch <= MaxGapFrames)) {
+                continue;
+            }
+
+            // Anything longer than an intro is more likely a duplicate episode or a recap, not an intro.
+            const length = lastMatch - runStart + 1;
+            if (length >= minFrames && length <= maxFrames && length > best.length) {
+                best = { start : runStart, offset : offset, length : length, matches : matches };
+            }
+
+            runStart = -1;
+        }
+    }
+
+    if (best.length === 0) {
+        return null;
+    }
+
+    const toMs = frame => Math.round(frame * FrameMs);
+    return {
+        startA : toMs(best.start),
+        endA : toMs(best.start + best.length),
+        startB : toMs(best.start - best.offset),
+        endB : toMs(best.start - best.offset + best.length),
+        confidence : best.matches / best.length,
+    };
+}
+
+/**
+ * Static class that detects intros by finding the audio that's shared between the episodes of a season.
+ */
+export class IntroDetection {
+    /**
+     * Detect intros for all episodes in the given show or season.
+     * @param {number} metadataId The show/season metadata id.
+     * @returns {Promise<IntroDetectionResult>} */
+    static async detectIntros(metadataId) {
+        const files = await PlexQueries.getEpisodeFiles(metadataId);
+        if (!testFfmpeg()) {
+            throw new ServerError(`FFmpeg could not be found on your path, so intros cannot be detected.`, 400);
+        }
+
+        /** @type {IntroDetectionResult} */
+        const result = { episodes : {}, failed : [] };
+        const seasonIds = new Map(files.map(file => [file.id, file.season_id]));
+
+        /** @type {Map<number, DetectionEpisode[]>} */
+        const seasons = new Map();
+        for (const [id, versions] of Config.singleFileVersions(files).entries()) {
+            if (versions.length === 0) {
+                result.failed.push({ metadataId : id, reason : 'No single-file version' });
+                continue;
+            }
+
+            const seasonId = seasonIds.get(id);
+            if (!seasons.has(seasonId)) {
+                seasons.set(seasonId, []);
+            }
+
+            seasons.get(seasonId).push({ id, versions });
+        }
+
+        for (const episodes of seasons.values()) {
+            await IntroDetection.#detectSeason(episodes, result);
+        }
+
+        Log.info(`Intro detection for ${metadataId} complete: ${Object.keys(result.episodes).length} intro(s) found, ` +
+            `${result.failed.length} episode(s) without an intro.`);
+        return result;
+    }
+
+    /**
+     * Fingerprint every episode in a season and compare them to each other.
+     * @param {DetectionEpisode[]} episodes
+     * @param {IntroDetectionResult} result The result to add to. */
+    static async #detectSeason(episodes, result) {
+        if (episodes.length < 2) {
+            const reason = 'No other episodes in the season to compare against';
+            result.failed.push(...episodes.map(e => ({ metadataId : e.id, reason : reason })));
+            return;
+        }
+
+        /** @type {{ episode: DetectionEpisode, print: AudioFingerprint }[]} */
+        const prints = [];
+        for (const episode of episodes) {
+            const found = await Config.findVersionFile(episode.versions);
+            if (!found) {
+                result.failed.push({ metadataId : episode.id, reason : 'Unable to find media file' });
+                continue;
+            }
+
+            const { path, version } = found;
+            try {
+                const scanMs = Math.min(MaxScanMs, Math.max(version.duration / 2, MinIntroMs));
+                prints.push({ episode : episode, print : await fingerprintAudio(await IntroDetection.#extractAudio(path, scanMs)) });
+            } catch (err) {
+                Log.warn(`Unable to extract audio from "${path}": ${err.message}`);
+                result.failed.push({ metadataId : episode.id, reason : 'Unable to extract audio' });
+            }
+        }
+
+        /** @type {DetectedIntro[]} */
+        const best = [];
+        const consider = (index, start, end, other, confidence) => {
+            const current = best[index];
+            if (!current || end - start > current.end - current.start) {
+                best[index] = { start : start, end : end, matchedWith : prints[other].episode.id, confidence : confidence };
+            }
+        };
+
+        const compare = async (i, j) => {
+            const segment = await findSharedSegment(prints[i].print, prints[j].print);
+            if (!segment) {
+                return false;
+            }
+
+            consider(i, segment.startA, segment.endA, j, segment.confidence);
+            consider(j, segment.startB, segment.endB, i, segment.confidence);
+            return true;
+        };
+
+        // Adjacent episodes are the most likely to share the same intro, so start there,
+        // only falling back to the rest of the season for episodes that didn't match.
+        for (let i = 0; i < prints.length - 1; ++i) {
+            await compare(i, i + 1);
+        }
+
+        for (let i = 0; i < prints.length; ++i) {
+            for (let j = 0; j < prints.length && !best[i]; ++j) {
+                if (Math.abs(i - j) > 1) {
+                    await compare(i, j);
+                }
+            }
+        }
+
+        for (const [index, { episode }] of prints.entries()) {
+            if (best[index]) {
+                result.episodes[episode.id] = best[index];
+            } else {
+                result.failed.push({ metadataId : episode.id, reason : 'No audio shared with other episodes was found' });
+            }
+        }
+    }
+
+    /**
+     * Extract the first scanMs of audio from the given file as mono 16-bit PCM.
+     * @param {string} path
+     * @param {number} scanMs
+     * @returns {Promise<Int16Array>} */
+    static async #extractAudio(path, scanMs) {
+        const execStart = performance.now();
+        const { stdout } = await execFile('ffmpeg',
+            [   '-loglevel', 'error',           // We don't care about the output
+                '-t', `${Math.round(scanMs)}ms`, // Only read the beginning of the file
+                '-i', path,                      // Input file
+                '-vn',                           // Ignore video
+                '-ac', '1',                      // Downmix to mono
+                '-ar', `${SampleRate}`,          // Downsample
+                '-f', 's16le',                   // Raw 16-bit PCM...
+                '-'],                            // ...to stdout
+            { encoding : 'buffer', maxBuffer : Math.ceil(scanMs / 1000 * SampleRate * 2) + 1024 * 1024, timeout : 120000 });
+
+        const samples = new Int16Array(stdout.length >> 1);
+        for (let i = 0; i < samples.length; ++i) {
+            samples[i] = stdout.readInt16LE(i * 2);
+        }
+
+        Log.verbose(`Extracted ${Math.round(samples.length / SampleRate)}s of audio from "${path}" ` +
+            `in ${Math.round(performance.now() - execStart)}ms`);
+        return samples;
+    }
+}
+
+/**
+ * Register POST handlers related to intro detection. */
+export function registerIntroDetectionCommands() {
+    registerCommand(PostCommands.DetectIntros, q => IntroDetection.detectIntros(q.i('id')));
+}
@@ -0,0 +1,100 @@
+/** @typedef {!import('express').Request} ExpressRequest */
+/** @typedef {!import('express').Response} ExpressResponse */
+
+import { ContextualLog } from '../Shared/ConsoleLog.js';
+
+
+const Log = ContextualLog.Create('LiveUpdates');
+
+/** How often to send a comment to idle connections so proxies don't close them, in milliseconds. */
+const KeepAliveMs = 30000;
+
+/** How long clients should wait before reconnecting after losing their connection, in milliseconds. */
+const RetryMs = 5000;
+
+/**
+ * Static class that pushes events to connected clients via server-sent events.
+ */
+export class LiveUpdates {
+    /**
+     * All open event streams.
+     * @type {Set<ExpressResponse>} */
+    static #clients = new Set();
+
+    /** @type {NodeJS.Timeout?} */
+    static #keepAlive = null;
+
+    /**
+     * Turn the given request into a long-lived event stream. The connection stays open
+     * until the client disconnects or the server shuts down.
+     * @param {ExpressRequest} req
+     * @param {ExpressResponse} res */
+    static subscribe(req, res) {
+        res.writeHead(200, {
+            'Content-Type' : 'text/event-stream',
+            'Cache-Control' : 'no-cache',
+            Connection : 'keep-alive',
+        });
+
+        res.write(`retry: ${RetryMs}\n\n`);
+        LiveUpdates.#clients.add(res);
+        Log.verbose(`Client subscribed to live updates (${LiveUpdates.#clients.size} connected)`);
+        req.on('close', () => {
+            LiveUpdates.#clients.delete(res);
+            Log.verbose(`Client unsubscribed from live updates (${LiveUpdates.#clients.size} connected)`);
+            if (LiveUpdates.#clients.size === 0) {
+                LiveUpdates.#stopKeepAlive();
+            }
+        });
+
+        if (!LiveUpdates.#keepAlive) {
+            LiveUpdates.#keepAlive = setInterval(() => LiveUpdates.#write(': keepalive\n\n'), KeepAliveMs);
+            LiveUpdates.#keepAlive.unref();
+        }
+    }
+
+    /**
+     * Send the given event to every connected client.
+     * @param {string} event The LiveUpdateEvent to send.
+     * @param {any} data The event data, which will be serialized to JSON. */
+    static broadcast(event, data) {
+        if (LiveUpdates.#clients.size === 0) {
+            return;
+        }
+
+        Log.tmi(`Sending "${event}" to ${LiveUpdates.#clients.size} client(s)`);
+        LiveUpdates.#write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    }
+
+    /** @returns {number} The number of connected clients. */
+    static clientCount() {
+        return LiveUpdates.#clients.size;
+    }
+
+    /**
+     * End all open event streams. Required before shutting down, as open streams
+     * would otherwise keep the server from closing. */
+    static closeAll() {
+        for (const res of LiveUpdates.#clients) {
+            res.end();
+        }
+
+        LiveUpdates.#clients.clear();
+        LiveUpdates.#stopKeepAlive();
+    }
+
+    /**
+     * Write raw event stream data to every client.
+     * @param {string} message */
+    static #write(message) {
+        for (const res of LiveUpdates.#clients) {
+            res.write(message);
+        }
+    }
+
+    /** Stop sending keepalive messages. */
+    static #stopKeepAlive() {
+        clearInterval(LiveUpdates.#keepAlive);
+        LiveUpdates.#keepAlive = null;
+    }
+}
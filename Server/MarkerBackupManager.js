@@ -3,20 +3,28 @@ import { existsSync, mkdirSync } from 'fs';
 import { join as joinPath } from 'path';
 
 // Client/Server shared dependencies
-import { EpisodeData, MarkerData, MovieData } from '../Shared/PlexTypes.js';
+import { EpisodeData, MarkerConflictResolution, MarkerData, MovieData } from '../Shared/PlexTypes.js';
 import { ContextualLog } from '../Shared/ConsoleLog.js';
+import { WebhookEvent } from '../Shared/ServerConfig.js';
 
 // Server dependencies/typedefs
 import { ExtraData, MetadataType, PlexQueries } from './PlexQueryManager.js';
 import { MarkerEnum, MarkerType } from '../Shared/MarkerType.js';
 import { ServerEventHandler, ServerEvents } from './ServerEvents.js';
 import { Config } from './Config/MarkerEditorConfig.js';
+import { currentActor } from './RequestContext.js';
 import { MarkerCache } from './MarkerCacheManager.js';
 import MarkerEditCache from './MarkerEditCache.js';
+import { PlexSnapshots } from './PlexDatabaseSnapshots.js';
+import { PostCommands } from '../Shared/PostCommands.js';
 import ServerError from './ServerError.js';
 import SqliteDatabase from './SqliteDatabase.js';
 import TransactionBuilder from './TransactionBuilder.js';
+import { Webhooks } from './Webhooks.js';
 
+/** @typedef {!import('../Shared/PlexTypes').AuditLogEntry} AuditLogEntry */
+/** @typedef {!import('../Shared/PlexTypes').AuditLogPage} AuditLogPage */
+/** @typedef {!import('../Shared/PlexTypes').AutoRestoreEntry} AutoRestoreEntry */
 /** @typedef {!import('../Shared/PlexTypes').MarkerAction} MarkerAction */
 /** @typedef {!import('../Shared/PlexTypes').OldMarkerTimings} OldMarkerTimings */
 /** @typedef {!import('../Shared/PlexTypes').PurgeMovieSection} PurgeMovieSection */
@@ -173,6 +181,81 @@ In addition to the above, do the following:
 Backup table V7 modifications:
 
 Commercial markers set extra_data to null, so allow our backup database to store null as well.
+*/
+
+/*
+Backup table V8 additions:
+
+| COLUMN          | TYPE         | DESCRIPTION                                                                  |
++-----------------+--------------+------------------------------------------------------------------------------+
+| batch_id        | INTEGER      | Groups all actions that were the result of a single user operation.          |
++-----------------+--------------+------------------------------------------------------------------------------+
+| batch_type      | INTEGER      | The ActionBatchType of the operation (standard/undo/redo)                    |
++-----------------+--------------+------------------------------------------------------------------------------+
+| reverted_by     | INTEGER      | The batch_id of the undo/redo operation that reverted this action, if any.   |
++-----------------+--------------+------------------------------------------------------------------------------+
+| old_marker_type | VARCHAR(255) | MarkerOp.Edit only - the previous type of the marker                         |
++-----------------+--------------+------------------------------------------------------------------------------+
+| old_final       | INTEGER      | MarkerOp.Edit only - the previous final flag of the marker                   |
++-----------------+--------------+------------------------------------------------------------------------------+
+
+Indexes:
+* batch_id
+
+Undo/redo support. A single add/edit/delete is a batch of one, but bulk operations can touch hundreds
+of markers, and undoing them should be an all or nothing operation. Actions recorded before V8 have
+a NULL batch_id, and cannot be undone.
+*/
+
+/*
+Backup database V9 additions - new auto_restores table:
+
+| COLUMN       | TYPE         | DESCRIPTION                                                                    |
++--------------+--------------+--------------------------------------------------------------------------------+
+| id           | INT NOT NULL | Autoincrement primary key                                                      |
++--------------+--------------+--------------------------------------------------------------------------------+
+| section_id   | INT NOT NULL | The library section the purged markers belong to.                              |
++--------------+--------------+--------------------------------------------------------------------------------+
+| section_uuid | VARCHAR(255) | The unique identifier of the library section (see actions.section_uuid).       |
++--------------+--------------+--------------------------------------------------------------------------------+
+| resolve_type | INT NOT NULL | The MarkerConflictResolution used when restoring markers.                      |
++--------------+--------------+--------------------------------------------------------------------------------+
+| purged       | INT NOT NULL | The number of purged markers found in the section.                             |
++--------------+--------------+--------------------------------------------------------------------------------+
+| restored     | INT          | The number of markers that were restored.                                      |
++--------------+--------------+--------------------------------------------------------------------------------+
+| deleted      | INT          | The number of existing markers deleted (overwrite, or readded Plex markers).   |
++--------------+--------------+--------------------------------------------------------------------------------+
+| modified     | INT          | The number of existing markers modified (merge).                               |
++--------------+--------------+--------------------------------------------------------------------------------+
+| ignored      | INT          | The number of purged markers that were ignored.                                |
++--------------+--------------+--------------------------------------------------------------------------------+
+| error        | VARCHAR(255) | The reason the restoration failed, if it did.                                  |
++--------------+--------------+--------------------------------------------------------------------------------+
+| run_at       | INTEGER      | Epoch timestamp of the restoration.                                            |
++--------------+--------------+--------------------------------------------------------------------------------+
+| seen         | INTEGER      | 1/0. Whether the user has been shown the results of this restoration.          |
++--------------+--------------+--------------------------------------------------------------------------------+
+
+Scheduled auto-restores (see AutoRestoreManager) happen in the background, so keep track of what
+they did so the client can report it the next time it loads.
+*/
+
+/*
+Backup table V10 additions:
+
+| COLUMN          | TYPE         | DESCRIPTION                                                                  |
++-----------------+--------------+------------------------------------------------------------------------------+
+| username        | VARCHAR(255) | The signed-in user that performed the action, if authentication is enabled.  |
++-----------------+--------------+------------------------------------------------------------------------------+
+| client_ip       | VARCHAR(255) | The IP address of the client that performed the action, if known.            |
++-----------------+--------------+------------------------------------------------------------------------------+
+
+Indexes:
+* username
+
+Audit trail. Background operations (e.g. scheduled auto-restores) and actions recorded before V10 have NULL for both.
+*/
 
 /**
  * The accepted operation types
@@ -188,6 +271,28 @@ const MarkerOp = {
     Restore : 4
 };
 
+/**
+ * The names of each MarkerOp, as reported in the audit log.
+ * @type {{ [op: number]: 'add'|'edit'|'delete'|'restore' }} */
+const AuditActionNames = {
+    [MarkerOp.Add] : 'add',
+    [MarkerOp.Edit] : 'edit',
+    [MarkerOp.Delete] : 'delete',
+    [MarkerOp.Restore] : 'restore',
+};
+
+/**
+ * The type of operation that created a batch of marker actions.
+ * @enum */
+const ActionBatchType = {
+    /** A regular user operation. */
+    Standard : 0,
+    /** An operation that reverted a previous Standard or Redo batch. */
+    Undo : 1,
+    /** An operation that reverted a previous Undo batch. */
+    Redo : 2,
+};
+
 /* eslint-disable indent */ /* eslint-disable no-useless-concat */
 /** The main table. See above for details.
  *  WARNING: Indentation is copied as-is into the database, so if any spacing changes,
@@ -218,18 +323,70 @@ CREATE TABLE IF NOT EXISTS actions (
     /* V4 */`
     marker_type  VARCHAR(255) DEFAULT 'intro',
     final        INTEGER      DEFAULT 0,
-    user_created INTEGER      DEFAULT 0
+    user_created INTEGER      DEFAULT 0,` +
+    /* V8 */`
+    batch_id        INTEGER      DEFAULT NULL,
+    batch_type      INTEGER      DEFAULT 0,
+    reverted_by     INTEGER      DEFAULT NULL,
+    old_marker_type VARCHAR(255) DEFAULT NULL,
+    old_final       INTEGER      DEFAULT NULL,` +
+    /* V10 */`
+    username        VARCHAR(255) DEFAULT NULL,
+    client_ip       VARCHAR(255) DEFAULT NULL
 );
 `;
 /* eslint-enable*/
 
+/** History of scheduled purge restorations. */
+const AutoRestoreTable = `
+CREATE TABLE IF NOT EXISTS auto_restores (
+    id           INTEGER      PRIMARY KEY AUTOINCREMENT,
+    section_id   INTEGER      NOT NULL,
+    section_uuid VARCHAR(255) NOT NULL,
+    resolve_type INTEGER      NOT NULL,
+    purged       INTEGER      NOT NULL,
+    restored     INTEGER      DEFAULT 0,
+    deleted      INTEGER      DEFAULT 0,
+    modified     INTEGER      DEFAULT 0,
+    ignored      INTEGER      DEFAULT 0,
+    error        VARCHAR(255) DEFAULT NULL,
+    run_at       INTEGER      DEFAULT (strftime('%s','now')),
+    seen         INTEGER      DEFAULT 0
+);
+`;
+
+/** The number of audit log entries returned at a time. */
+const AuditLogPageSize = 50;
+
+/**
+ * Criteria to filter the audit log by. Missing fields aren't filtered on.
+ * @typedef {Object} AuditLogFilter
+ * @property {string} [username] Only include actions from this user (case-insensitive).
+ * @property {number} [sectionId] Only include actions in this library section.
+ * @property {number} [showId] Only include actions for episodes of this show.
+ * @property {number} [from] Only include actions recorded at or after this epoch timestamp, in seconds.
+ * @property {number} [to] Only include actions recorded at or before this epoch timestamp, in seconds.
+ * @property {number} [page] The zero-based page of results to return.
+ */
+
 /**
  * A map of purged markers
  * @typedef {{ [sectionId: number] : PurgeSection }} PurgeMap
  */
 
+/**
+ * A group of actions that were the result of a single operation.
+ * @typedef {{ id: number, type: number, username: string?, clientIp: string? }} ActionBatch
+ */
+
+/**
+ * The result of an undo/redo operation.
+ * @typedef {{ restoredMarkers: RawMarkerData[], deletedMarkers: MarkerData[],
+ *             modifiedMarkers: MarkerData[], ignoredMarkers: number }} RevertResult
+ */
+
 /** The current table schema version. */
-const CurrentSchemaVersion = 7;
+const CurrentSchemaVersion = 10;
 
 /** Single-row table that indicates the current version of the actions table. */
 const CheckVersionTable = `
@@ -254,6 +411,8 @@ ${ciine('mid', 'marker_id')};
 ${ciine('resid', 'restored_id')};
 ${ciine('sectionid', 'section_id')};
 ${ciine('markertype', 'marker_type')};
+${ciine('batchid', 'batch_id')};
+${ciine('username', 'username')};
 `;
 
 /* eslint-disable indent */
@@ -262,7 +421,7 @@ const SchemaUpgrades = [
     // New database. Create the full table and its indexes. (and drop the existing actions table as a precaution)
     // Set version to current version, as a new database starts with the latest schema version.
     `DROP TABLE IF EXISTS actions;
-    ${ActionsTable} ${CheckVersionTable} ${CreateIndexes}
+    ${ActionsTable} ${AutoRestoreTable} ${CheckVersionTable} ${CreateIndexes}
     UPDATE schema_version SET version=${CurrentSchemaVersion};`,
 
     // 1 -> 2: Add the section_id column and create an index for it
@@ -316,6 +475,27 @@ const SchemaUpgrades = [
     PRAGMA writable_schema = RESET;
     UPDATE schema_version SET version=7;`,
     /* eslint-enable */
+
+    // 7 -> 8:
+    // Undo/redo support. Group actions into batches, keep track of which batches have been reverted,
+    // and store the previous type/final state of edited markers.
+    `ALTER TABLE actions ADD COLUMN batch_id        INTEGER      DEFAULT NULL;
+    ALTER TABLE actions ADD COLUMN batch_type      INTEGER      DEFAULT 0;
+    ALTER TABLE actions ADD COLUMN reverted_by     INTEGER      DEFAULT NULL;
+    ALTER TABLE actions ADD COLUMN old_marker_type VARCHAR(255) DEFAULT NULL;
+    ALTER TABLE actions ADD COLUMN old_final       INTEGER      DEFAULT NULL;
+    ${ciine('batchid', 'batch_id')};
+    UPDATE schema_version SET version=8;`,
+
+    // 8 -> 9: Add the auto_restores table to keep track of scheduled purge restorations.
+    `${AutoRestoreTable}
+    UPDATE schema_version SET version=9;`,
+
+    // 9 -> 10: Keep track of who performed each action.
+    `ALTER TABLE actions ADD COLUMN username        VARCHAR(255) DEFAULT NULL;
+    ALTER TABLE actions ADD COLUMN client_ip       VARCHAR(255) DEFAULT NULL;
+    ${ciine('username', 'username')};
+    UPDATE schema_version SET version=10;`,
 ];
 /* eslint-enable */
 
@@ -359,6 +539,10 @@ class MarkerBackupManager {
     /** @type {{[sectionId: number]: number}} */
     #sectionTypes = {};
 
+    /** The last batch id handed out by `newBatch`.
+     * @type {number} */
+    #lastBatchId = 0;
+
     /** @type {((callback: Function) => Promise<void>)[]} */
     #schemaUpgradeCallbacks = [
         async () => { },
@@ -370,6 +554,9 @@ class MarkerBackupManager {
         async () => { }, // 4 -> 5. Just renaming columns, nothing else to do.
         PlexQueries.removeThumbUrlHack.bind(PlexQueries), // 5 -> 6. Remove Plex DB hack that commandeers thumb_url.
         async () => { }, // 6 -> 7. Just allowing a column to be null. No followup needed.
+        async () => { }, // 7 -> 8. New columns with default values. No followup needed.
+        async () => { }, // 8 -> 9. New table. No followup needed.
+        async () => { }, // 9 -> 10. New columns with default values. No followup needed.
     ];
 
     /**
@@ -472,10 +659,23 @@ class MarkerBackupManager {
         this.#actions = actionsDatabase;
     }
 
-    initialize() {
+    async initialize() {
+        this.#lastBatchId = (await this.#actions.get('SELECT MAX(batch_id) AS batch_id FROM actions;'))?.batch_id ?? 0;
         return this.#buildMarkerEditDataCache();
     }
 
+    /**
+     * Create a new batch that groups together all actions that are the result of a single operation,
+     * attributed to whoever is responsible for the current request.
+     * @param {number} batchType The ActionBatchType of the operation.
+     * @returns {ActionBatch} */
+    newBatch(batchType=ActionBatchType.Standard) {
+        const actor = currentActor();
+        const id = ++this.#lastBatchId;
+        actor.batchIds?.push(id);
+        return { id : id, type : batchType, username : actor.username, clientIp : actor.clientIp };
+    }
+
     /**
      * Clear out and rebuild purged marker information. */
     async reinitialize() {
@@ -643,14 +843,17 @@ class MarkerBackupManager {
      * @param {TransactionBuilder} transaction
      * @param {number} markerOp
      * @param {MarkerData} marker
-     * @param {{start: number|null, end: number|null}?} oldTimings
+     * @param {ActionBatch} batch The batch this action belongs to.
+     * @param {{start: number|null, end: number|null, markerType?: string, final?: number}?} oldTimings
      * @param {MarkerAction?} restoresAction */
-    #recordOp(transaction, markerOp, marker, oldTimings=null, restoresAction=null) {
+    #recordOp(transaction, markerOp, marker, batch, oldTimings=null, restoresAction=null) {
         const query = `INSERT INTO actions (
 op, marker_id, parent_id, season_id, show_id, section_id, start, end, old_start, old_end, modified_at, created_at,
-extra_data, section_uuid, restores_id, parent_guid, marker_type, final, user_created) VALUES (
+extra_data, section_uuid, restores_id, parent_guid, marker_type, final, user_created, batch_id, batch_type,
+old_marker_type, old_final, username, client_ip) VALUES (
 $op, $id, $pid, $seasonId, $showId, $sectionId, $start, $end, $oldStart, $oldEnd, $modifiedAt, $createdAt,
-$extraData, $sectionUUID, $restoresId, $parentGuid, $markerType, $final, $userCreated);`;
+$extraData, $sectionUUID, $restoresId, $parentGuid, $markerType, $final, $userCreated, $batchId, $batchType,
+$oldMarkerType, $oldFinal, $username, $clientIp);`;
 
         let modifiedAt;
         let createdAt;
@@ -726,6 +929,12 @@ $extraData, $sectionUUID, $restoresId, $parentGuid, $markerType, $final, $userCr
             $markerType : marker.markerType,
             $final : marker.isFinal ? 1 : 0,
             $userCreated : marker.createdByUser,
+            $batchId : batch.id,
+            $batchType : batch.type,
+            $oldMarkerType : oldTimings.markerType ?? null,
+            $oldFinal : oldTimings.final === undefined ? null : (oldTimings.final ? 1 : 0),
+            $username : batch.username,
+            $clientIp : batch.clientIp,
             _asRaw : asRaw,
         };
 
@@ -734,8 +943,9 @@ $extraData, $sectionUUID, $restoresId, $parentGuid, $markerType, $final, $userCr
 
     /**
      * Records a marker that was added to the Plex database.
-     * @param {MarkerData[]} markers */
-    async recordAdds(markers) {
+     * @param {MarkerData[]} markers
+     * @param {ActionBatch} [batch] The batch these adds belong to. Defaults to a new standard batch. */
+    async recordAdds(markers, batch=this.newBatch()) {
         const transaction = new TransactionBuilder(this.#actions);
         for (const marker of markers) {
             if (!(marker.sectionId in this.#uuids)) {
@@ -743,7 +953,7 @@ $extraData, $sectionUUID, $restoresId, $parentGuid, $markerType, $final, $userCr
                 return;
             }
 
-            this.#recordOp(transaction, MarkerOp.Add, marker);
+            this.#recordOp(transaction, MarkerOp.Add, marker, batch);
         }
 
         if (transaction.empty()) {
@@ -753,6 +963,7 @@ $extraData, $sectionUUID, $restoresId, $parentGuid, $markerType, $final, $userCr
         try {
             await transaction.exec();
             Log.verbose(`${transaction.statementCount()} marker add(s) added to backup.`);
+            Webhooks.markersChanged(WebhookEvent.Added, markers, batch.username);
         } catch (err) {
             Log.error(err.message, 'Unable to record added marker');
         }
@@ -761,9 +972,11 @@ $extraData, $sectionUUID, $restoresId, $parentGuid, $markerType, $final, $userCr
     /**
      * Records a marker that was edited in the Plex database.
      * @param {MarkerData[]} markers
-     * @param {OldMarkerTimings} oldMarkerTimings */
-    async recordEdits(markers, oldMarkerTimings) {
+     * @param {OldMarkerTimings} oldMarkerTimings
+     * @param {ActionBatch} [batch] The batch these edits belong to. Defaults to a new standard batch. */
+    async recordEdits(markers, oldMarkerTimings, batch=this.newBatch()) {
         const transaction = new TransactionBuilder(this.#actions);
+        const recorded = [];
         for (const marker of markers) {
             if (!(marker.sectionId in this.#uuids)) {
                 Log.error(marker.sectionId, 'Unable to record edited marker - unexpected section id');
@@ -776,7 +989,8 @@ $extraData, $sectionUUID, $restoresId, $parentGuid, $markerType, $final, $userCr
                 continue;
             }
 
-            this.#recordOp(transaction, MarkerOp.Edit, marker, oldTimings);
+            this.#recordOp(transaction, MarkerOp.Edit, marker, batch, oldTimings);
+            recorded.push(marker);
         }
 
         if (transaction.empty()) {
@@ -786,6 +1000,7 @@ $extraData, $sectionUUID, $restoresId, $parentGuid, $markerType, $final, $userCr
         try {
             await transaction.exec();
             Log.verbose(`Backed up ${transaction.statementCount()} marker edit(s).`);
+            Webhooks.markersChanged(WebhookEvent.Edited, recorded, batch.username, oldMarkerTimings);
         } catch (err) {
             Log.error(err.message, 'Unable to record edited marker');
         }
@@ -793,16 +1008,19 @@ $extraData, $sectionUUID, $restoresId, $parentGuid, $markerType, $final, $userCr
 
     /**
      * Records a marker that was deleted from the Plex database.
-     * @param {MarkerData[]} markers */
-    async recordDeletes(markers) {
+     * @param {MarkerData[]} markers
+     * @param {ActionBatch} [batch] The batch these deletes belong to. Defaults to a new standard batch. */
+    async recordDeletes(markers, batch=this.newBatch()) {
         const transaction = new TransactionBuilder(this.#actions);
+        const recorded = [];
         for (const marker of markers) {
             if (!(marker.sectionId in this.#uuids)) {
                 Log.error(marker.sectionId, 'Unable to record deleted marker - unexpected section id');
                 continue;
             }
 
-            this.#recordOp(transaction, MarkerOp.Delete, marker);
+            this.#recordOp(transaction, MarkerOp.Delete, marker, batch);
+            recorded.push(marker);
         }
 
         if (transaction.empty()) {
@@ -812,6 +1030,7 @@ $extraData, $sectionUUID, $restoresId, $parentGuid, $markerType, $final, $userCr
         try {
             await transaction.exec();
             Log.verbose(`${transaction.statementCount()} marker delete(s) added to backup.`);
+            Webhooks.markersChanged(WebhookEvent.Deleted, recorded, batch.username);
         } catch (err) {
             Log.error(err.message, 'Unable to record deleted markers');
         }
@@ -820,13 +1039,15 @@ $extraData, $sectionUUID, $restoresId, $parentGuid, $markerType, $final, $userCr
     /**
      * Records a restore operation in the database.
      * @param {{marker : RawMarkerData, oldAction : MarkerAction}[]} restores The markers to record
-     * @param {number} sectionId The id of the section this marker belongs to. */
-    async recordRestores(restores, sectionId) {
+     * @param {number} sectionId The id of the section this marker belongs to.
+     * @param {ActionBatch} [batch] The batch these restores belong to. Defaults to a new standard batch. */
+    async recordRestores(restores, sectionId, batch=this.newBatch()) {
         const transaction = new TransactionBuilder(this.#actions);
-
+        const restored = [];
         for (const restore of restores) {
             const marker = new MarkerData(restore.marker);
-            this.#recordOp(transaction, MarkerOp.Restore, marker, null /*oldTimings*/, restore.oldAction);
+            restored.push(marker);
+            this.#recordOp(transaction, MarkerOp.Restore, marker, batch, null /*oldTimings*/, restore.oldAction);
             MarkerEditCache.updateInPlaceRaw(restore.marker);
 
             const updateQuery = 'UPDATE actions SET restored_id=? WHERE marker_id=? AND section_uuid=?;\n';
@@ -836,6 +1057,7 @@ $extraData, $sectionUUID, $restoresId, $parentGuid, $markerType, $final, $userCr
 
         try {
             await transaction.exec();
+            Webhooks.markersChanged(WebhookEvent.Restored, restored, batch.username);
         } catch (err) {
             // Swallow the error, though we should probably actually do something about this.
             Log.error(err.message, 'Unable to record restoration of marker');
@@ -1036,7 +1258,7 @@ ORDER BY id DESC;`;
 
         // Ignore disconnected markers all at once
         for (const [sectionId, markerIds] of Object.entries(disconnected)) {
-            this.ignorePurgedMarkers(markerIds, parseInt(sectionId));
+            await this.ignorePurgedMarkers(markerIds, [] /*readdedIds*/, parseInt(sectionId));
         }
 
         // If no purged markers were found, initialize an empty cache to indicate that.
@@ -1200,6 +1422,27 @@ ORDER BY id DESC;`;
         return this.#purgesForSectionInternal(sectionId, true /*populateData*/);
     }
 
+    /**
+     * Retrieve a flat list of all purged (and readded) marker actions, grouped by library section.
+     * @returns {{ [sectionId: number]: MarkerAction[] }} */
+    purgedActionsBySection() {
+        /** @type {{ [sectionId: number]: MarkerAction[] }} */
+        const actions = {};
+        for (const [sectionId, section] of Object.entries(this.#purgeCache ?? {})) {
+            const sectionActions = actions[sectionId] = [];
+            const isMovie = this.#sectionTypes[sectionId] === MetadataType.Movie;
+            for (const topLevel of Object.values(section)) {
+                // Movies are directly below the section, episodes are below their show and season.
+                const baseItems = isMovie ? [topLevel] : Object.values(topLevel).flatMap(season => Object.values(season));
+                for (const baseItem of baseItems) {
+                    sectionActions.push(...Object.values(baseItem));
+                }
+            }
+        }
+
+        return actions;
+    }
+
     /**
      * Retrieve purged markers for the given library section.
      * @param {number} sectionId The section to parse.
@@ -1350,8 +1593,9 @@ ORDER BY id DESC;`;
      * Attempts to restore the markers specified by the given ids
      * @param {number[]} oldMarkerIds The ids of the old markers we're trying to restore.
      * @param {number} sectionId The id of the section the old marker belonged to.
-     * @param {number} resolveType How to resolve overlapping markers. */
-    async restoreMarkers(oldMarkerIds, sectionId, resolveType) {
+     * @param {number} resolveType How to resolve overlapping markers.
+     * @param {ActionBatch} [batch] The batch to record changes under. Defaults to a new standard batch. */
+    async restoreMarkers(oldMarkerIds, sectionId, resolveType, batch=this.newBatch()) {
         if (!(sectionId in this.#uuids)) {
             throw new ServerError(`Unable to restore marker - unexpected section id: ${sectionId}`, 400);
         }
@@ -1386,7 +1630,7 @@ ORDER BY id DESC;`;
         // First thing to log is deletes, as we want order to indicate that they were replaced by subsequent entries.
         const deletedMarkers = markerData.deletedMarkers.map(x => new MarkerData(x));
         if (deletedMarkers.length > 0) {
-            await this.recordDeletes(deletedMarkers);
+            await this.recordDeletes(deletedMarkers, batch);
         }
 
         // Then record edits
@@ -1398,7 +1642,12 @@ ORDER BY id DESC;`;
             for (const mod of markerData.modifiedMarkers) {
                 const edited = mod.marker;
                 const newData = mod.newData;
-                oldTimings[edited.id] = { start : edited.start, end : edited.end };
+                oldTimings[edited.id] = {
+                    start : edited.start,
+                    end : edited.end,
+                    markerType : edited.marker_type,
+                    final : edited.final
+                };
                 edited.start = newData.newStart;
                 edited.end = newData.newEnd;
                 edited.modified_date = newData.newModified;
@@ -1407,7 +1656,7 @@ ORDER BY id DESC;`;
                 editedMarkers.push(new MarkerData(edited));
             }
 
-            await this.recordEdits(editedMarkers, oldTimings);
+            await this.recordEdits(editedMarkers, oldTimings, batch);
         }
 
         // Then the ones we actually restored.
@@ -1431,7 +1680,7 @@ ORDER BY id DESC;`;
             this.#removeFromPurgeMap(firstOldAction);
         }
 
-        await this.recordRestores(restoredList, sectionId);
+        await this.recordRestores(restoredList, sectionId, batch);
 
         // Then "ignored via identical" markers, where we pretend the exiting marker is the one
         // we created to restore the purged one.
@@ -1452,11 +1701,11 @@ ORDER BY id DESC;`;
             this.#removeFromPurgeMap(oldAction);
         }
 
-        await this.recordRestores(restoredList, sectionId);
+        await this.recordRestores(restoredList, sectionId, batch);
 
         // Finally, ignore anything that we decided to ignore based on the resolution type/overlapping status.
         if (markerData.ignoredActions.length > 0) {
-            await this.ignorePurgedMarkers(markerData.ignoredActions.map(a => a.marker_id), sectionId);
+            await this.ignorePurgedMarkers(markerData.ignoredActions.map(a => a.marker_id), [] /*readdedIds*/, sectionId);
         }
 
         // Return everything that might require a client-side update: restored, deleted existing, and modifiedExisting.
@@ -1519,8 +1768,9 @@ ORDER BY id DESC;`;
     /**
      * Delete markers that were previously deleted but have since been re-added.
      * @param {{ oldId: number, newId: number }[]} markerInfo Array of marker ID mappings
-     * @param {number} sectionId */
-    async redeleteMarkers(markerInfo, sectionId) {
+     * @param {number} sectionId
+     * @param {ActionBatch} [batch] The batch to record deletes under. Defaults to a new standard batch. */
+    async redeleteMarkers(markerInfo, sectionId, batch=this.newBatch()) {
         if (markerInfo.length < 1) {
             return [];
         }
@@ -1549,7 +1799,7 @@ ORDER BY id DESC;`;
         const toDelete = await PlexQueries.getMarkersFromIds(Array.from(deleteIds));
         await PlexQueries.bulkDelete(toDelete);
         const toRecord = toDelete.map(m => new MarkerData(m));
-        await this.recordDeletes(toRecord);
+        await this.recordDeletes(toRecord, batch);
 
         if (this.#purgeCache) {
             this.#removeFromPurgeCache(toRemoveFromPurgeCache, sectionId);
@@ -1558,6 +1808,163 @@ ORDER BY id DESC;`;
         return toRecord;
     }
 
+    /**
+     * Record the result of a scheduled purge restoration.
+     * @param {number} sectionId The section the purged markers belong to.
+     * @param {number} resolveType The MarkerConflictResolution used to restore the markers.
+     * @param {number} purged The number of purged markers that were found.
+     * @param {{ restored: number, deleted: number, modified: number, ignored: number }?} counts The result of the
+     *        restoration, or null if it failed.
+     * @param {string?} error The reason the restoration failed, if it did. */
+    async recordAutoRestore(sectionId, resolveType, purged, counts, error=null) {
+        if (!(sectionId in this.#uuids)) {
+            throw new ServerError(`Unable to record auto-restore - unexpected section id: ${sectionId}`, 400);
+        }
+
+        await this.#actions.run(
+            `INSERT INTO auto_restores (section_id, section_uuid, resolve_type, purged, restored, deleted, modified, ignored, error)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?);`,
+            [sectionId, this.#uuids[sectionId], resolveType, purged,
+                counts?.restored ?? 0, counts?.deleted ?? 0, counts?.modified ?? 0, counts?.ignored ?? 0, error]);
+    }
+
+    /**
+     * Retrieve the most recent scheduled purge restorations for the sections of the current server.
+     * @param {number} [limit=100] The maximum number of entries to return.
+     * @returns {Promise<AutoRestoreEntry[]>} */
+    async autoRestoreHistory(limit=100) {
+        const uuids = Object.values(this.#uuids);
+        if (uuids.length === 0) {
+            return [];
+        }
+
+        /** @type {{ id: number, section_id: number, resolve_type: number, purged: number, restored: number, deleted: number,
+         *           modified: number, ignored: number, error: string?, run_at: number, seen: number }[]} */
+        const rows = await this.#actions.all(
+            `SELECT * FROM auto_restores WHERE section_uuid IN (${uuids.map(() => '?').join(',')})
+                ORDER BY run_at DESC, id DESC LIMIT ?;`,
+            [...uuids, limit]);
+
+        return rows.map(row => ({
+            id : row.id,
+            sectionId : row.section_id,
+            resolveType : row.resolve_type,
+            purged : row.purged,
+            restored : row.restored,
+            deleted : row.deleted,
+            modified : row.modified,
+            ignored : row.ignored,
+            error : row.error,
+            runAt : row.run_at,
+            seen : !!row.seen,
+        }));
+    }
+
+    /**
+     * Retrieve a page of recorded actions for the current server, most recent first.
+     * @param {AuditLogFilter} filter
+     * @returns {Promise<AuditLogPage>} */
+    async auditLog(filter) {
+        const page = Math.max(filter.page ?? 0, 0);
+        const uuids = Object.values(this.#uuids);
+        if (uuids.length === 0) {
+            return { entries : [], total : 0, page : page, pageSize : AuditLogPageSize };
+        }
+
+        const conditions = [`section_uuid IN (${uuids.map(() => '?').join(',')})`];
+        /** @type {DbArrayParameters} */
+        const parameters = [...uuids];
+        const addCondition = (condition, value) => {
+            if (value !== undefined && value !== null) {
+                conditions.push(condition);
+                parameters.push(value);
+            }
+        };
+
+        addCondition('username=? COLLATE NOCASE', filter.username || null);
+        addCondition('section_id=?', filter.sectionId);
+        addCondition('show_id=?', filter.showId);
+        addCondition('recorded_at>=?', filter.from);
+        addCondition('recorded_at<=?', filter.to);
+
+        const where = conditions.join(' AND ');
+        const { total } = await this.#actions.get(`SELECT COUNT(*) AS total FROM actions WHERE ${where};`, parameters);
+
+        /** @type {MarkerAction[]} */
+        const rows = await this.#actions.all(
+            `SELECT * FROM actions WHERE ${where} ORDER BY id DESC LIMIT ? OFFSET ?;`,
+            [...parameters, AuditLogPageSize, page * AuditLogPageSize]);
+
+        const titles = await this.#auditTitles(rows);
+        return {
+            entries : rows.map(row => ({
+                id : row.id,
+                action : AuditActionNames[row.op],
+                revert : row.batch_type === ActionBatchType.Undo ? 'undo' : row.batch_type === ActionBatchType.Redo ? 'redo' : null,
+                markerId : row.marker_id,
+                markerType : row.marker_type,
+                parentId : row.parent_id,
+                seasonId : row.season_id,
+                showId : row.show_id,
+                sectionId : row.section_id,
+                title : titles[row.parent_id] ?? null,
+                start : row.start,
+                end : row.end,
+                oldStart : row.old_start,
+                oldEnd : row.old_end,
+                recordedAt : row.recorded_at,
+                batchId : row.batch_id,
+                username : row.username,
+                clientIp : row.client_ip,
+            })),
+            total : total,
+            page : page,
+            pageSize : AuditLogPageSize,
+        };
+    }
+
+    /**
+     * Retrieve display titles for the movies/episodes the given actions apply to.
+     * Items that no longer exist in the Plex database won't have a title.
+     * @param {MarkerAction[]} actions
+     * @returns {Promise<{ [parentId: number]: string }>} */
+    async #auditTitles(actions) {
+        const episodeIds = new Set();
+        const movieIds = new Set();
+        for (const action of actions) {
+            (action.season_id === -1 ? movieIds : episodeIds).add(action.parent_id);
+        }
+
+        const titles = {};
+        if (episodeIds.size > 0) {
+            for (const episode of await PlexQueries.getEpisodesFromList(episodeIds)) {
+                const season = String(episode.season_index).padStart(2, '0');
+                const index = String(episode.index).padStart(2, '0');
+                titles[episode.id] = `${episode.show} - S${season}E${index} - ${episode.title}`;
+            }
+        }
+
+        if (movieIds.size > 0) {
+            for (const movie of await PlexQueries.getMoviesFromList([...movieIds])) {
+                titles[movie.id] = movie.year ? `${movie.title} (${movie.year})` : movie.title;
+            }
+        }
+
+        return titles;
+    }
+
+    /**
+     * Mark all scheduled purge restorations for the current server as seen, so the client doesn't report them again. */
+    async dismissAutoRestores() {
+        const uuids = Object.values(this.#uuids);
+        if (uuids.length === 0) {
+            return;
+        }
+
+        await this.#actions.run(
+            `UPDATE auto_restores SET seen=1 WHERE seen=0 AND section_uuid IN (${uuids.map(() => '?').join(',')});`, uuids);
+    }
+
     /**
      * Remove all given marker ids from the purge cache.
      * @param {Set<number>} markerIds
@@ -1587,6 +1994,262 @@ ORDER BY id DESC;`;
         }
     }
 
+    /**
+     * Reverts the most recent operation for the given section. If `redo` is true, reverts the most
+     * recent undo operation instead, as long as no other operations have been made since that undo.
+     * @param {number} sectionId
+     * @param {number} expectedBatchId The batch the client expects to revert. Multiple clients can make changes
+     *                                 to the same section, so refuse to revert anything if it's not the most recent one.
+     * @param {boolean} redo Whether this is a redo operation instead of an undo operation.
+     * @returns {Promise<RevertResult>}
+     * @throws {ServerError} If there is nothing to undo/redo, or the expected batch isn't the one to revert. */
+    async revertLastBatch(sectionId, expectedBatchId, redo) {
+        const opName = redo ? 'redo' : 'undo';
+        if (!(sectionId in this.#uuids)) {
+            throw new ServerError(`Unable to ${opName} - unexpected section id: ${sectionId}`, 400);
+        }
+
+        const sectionUuid = this.#uuids[sectionId];
+        const batchId = await this.#revertCandidate(sectionUuid, redo);
+        if (batchId === null) {
+            throw new ServerError(`Nothing to ${opName}.`, 400);
+        }
+
+        if (batchId !== expectedBatchId) {
+            throw new ServerError(`Unable to ${opName}, markers in this library have been changed since then.`, 400);
+        }
+
+        await PlexSnapshots.snapshot(redo ? PostCommands.Redo : PostCommands.Undo);
+
+        /** @type {MarkerAction[]} */
+        const actions = await this.#actions.all(
+            'SELECT * FROM actions WHERE batch_id=? AND section_uuid=? ORDER BY id DESC;', [batchId, sectionUuid]);
+        Log.verbose(`Attempting to ${opName} batch ${batchId} (${actions.length} action(s)).`);
+        const batch = this.newBatch(redo ? ActionBatchType.Redo : ActionBatchType.Undo);
+
+        /** @type {{ [markerId: number]: RawMarkerData }} */
+        const existingMarkers = {};
+        const parentIds = Array.from(new Set(actions.map(a => a.parent_id)));
+        for (const marker of await PlexQueries.getMarkersForItems(parentIds, sectionId)) {
+            existingMarkers[marker.id] = marker;
+        }
+
+        const { toDelete, toEdit, toRestore, unrestored } =
+            await this.#classifyBatchActions(actions, existingMarkers, sectionUuid, opName);
+
+        // Deletes first, as restored markers might overlap with them.
+        const deletedMarkers = Array.from(toDelete.values());
+        for (const markerId of toDelete.keys()) {
+            delete toEdit[markerId];
+        }
+
+        if (deletedMarkers.length > 0) {
+            await PlexQueries.bulkDelete(deletedMarkers);
+        }
+
+        const deletedMarkerData = deletedMarkers.map(m => new MarkerData(m));
+        await this.recordDeletes(deletedMarkerData, batch);
+        await this.#unrestoreMarkers(unrestored, sectionUuid);
+
+        // Then edits
+        const editedMarkers = await this.#revertEdits(toEdit, existingMarkers, batch);
+
+        const reindexIds = new Set(deletedMarkers.map(m => m.parent_id));
+        editedMarkers.forEach(marker => reindexIds.add(marker.parentId));
+        for (const parentId of reindexIds) {
+            await PlexQueries.reindex(parentId);
+        }
+
+        // Finally, bring back anything that was deleted.
+        const restoreResult = await this.restoreMarkers(toRestore, sectionId, MarkerConflictResolution.Ignore, batch);
+
+        await this.#actions.run(
+            'UPDATE actions SET reverted_by=? WHERE batch_id=? AND section_uuid=?;', [batch.id, batchId, sectionUuid]);
+
+        Log.info(`Reverted batch ${batchId} (${opName}): ${deletedMarkers.length} deleted, ` +
+            `${editedMarkers.length} edited, ${restoreResult.restoredMarkers.length} restored.`);
+        return {
+            restoredMarkers : restoreResult.restoredMarkers,
+            deletedMarkers : deletedMarkerData.concat(restoreResult.deletedMarkers),
+            modifiedMarkers : editedMarkers.concat(restoreResult.modifiedMarkers),
+            ignoredMarkers : restoreResult.ignoredMarkers,
+        };
+    }
+
+    /**
+     * Sort the actions of a batch into the markers that need to be deleted, edited, and restored to revert it.
+     * @param {MarkerAction[]} actions The batch's actions, newest to oldest.
+     * @param {{ [markerId: number]: RawMarkerData }} existingMarkers The current state of all markers in the batch's items.
+     * @param {string} sectionUuid
+     * @param {string} opName 'undo' or 'redo', for logging.
+     * @returns {Promise<{
+     *     toDelete: Map<number, RawMarkerData>,
+     *     toEdit: { [markerId: number]: { parentId: number, start: number, end: number, markerType: string, final: number } },
+     *     toRestore: number[],
+     *     unrestored: MarkerAction[] }>} */
+    async #classifyBatchActions(actions, existingMarkers, sectionUuid, opName) {
+        /** @type {Map<number, RawMarkerData>} */
+        const toDelete = new Map();
+        /** @type {{ [markerId: number]: { parentId: number, start: number, end: number, markerType: string, final: number } }} */
+        const toEdit = {};
+        /** @type {number[]} */
+        const toRestore = [];
+        /** @type {MarkerAction[]} */
+        const unrestored = [];
+
+        // Actions are processed newest to oldest, so if a marker was edited multiple times
+        // in the same batch, we'll end up with the oldest timings.
+        for (const action of actions) {
+            switch (action.op) {
+                case MarkerOp.Add:
+                case MarkerOp.Restore: {
+                    const markerId = await this.#currentMarkerId(action.marker_id, sectionUuid);
+                    if (existingMarkers[markerId]) {
+                        toDelete.set(markerId, existingMarkers[markerId]);
+                    }
+
+                    if (action.op === MarkerOp.Restore && action.restores_id) {
+                        unrestored.push(action);
+                    }
+
+                    break;
+                }
+                case MarkerOp.Edit: {
+                    const markerId = await this.#currentMarkerId(action.marker_id, sectionUuid);
+                    if (!existingMarkers[markerId]) {
+                        Log.warn(`Unable to ${opName} edit of marker ${action.marker_id}, it no longer exists.`);
+                        break;
+                    }
+
+                    toEdit[markerId] = {
+                        parentId : existingMarkers[markerId].parent_id,
+                        start : action.old_start,
+                        end : action.old_end,
+                        markerType : action.old_marker_type ?? action.marker_type,
+                        final : action.old_final ?? action.final,
+                    };
+                    break;
+                }
+                case MarkerOp.Delete:
+                    toRestore.push(action.marker_id);
+                    break;
+                default:
+                    throw new ServerError(`Unknown marker backup operation (${action.op}), cannot ${opName}.`, 500);
+            }
+        }
+
+        return { toDelete, toEdit, toRestore, unrestored };
+    }
+
+    /**
+     * Apply the edit portion of an undo/redo operation.
+     * @param {{ [markerId: number]: { parentId: number, start: number, end: number, markerType: string, final: number } }} toEdit
+     * @param {{ [markerId: number]: RawMarkerData }} existingMarkers The current state of all markers being edited.
+     * @param {ActionBatch} batch The undo/redo batch to record the edits under.
+     * @returns {Promise<MarkerData[]>} The edited markers. */
+    async #revertEdits(toEdit, existingMarkers, batch) {
+        const editIds = Object.keys(toEdit).map(id => +id);
+        if (editIds.length === 0) {
+            return [];
+        }
+
+        await PlexQueries.bulkEdit(toEdit);
+
+        /** @type {OldMarkerTimings} */
+        const oldTimings = {};
+        for (const markerId of editIds) {
+            const old = existingMarkers[markerId];
+            oldTimings[markerId] = { start : old.start, end : old.end, markerType : old.marker_type, final : old.final };
+        }
+
+        const editedMarkers = (await PlexQueries.getMarkersFromIds(editIds)).map(marker => new MarkerData(marker));
+        await this.recordEdits(editedMarkers, oldTimings, batch);
+        return editedMarkers;
+    }
+
+    /**
+     * Determine the batch to revert for an undo/redo operation.
+     * @param {string} sectionUuid
+     * @param {boolean} redo
+     * @returns {Promise<number|null>} The batch id to revert, or null if there's nothing to revert. */
+    async #revertCandidate(sectionUuid, redo) {
+        // Undo: the newest batch that hasn't already been undone. Note that redo batches can themselves be undone.
+        // Redo: the newest undo batch that hasn't already been redone, as long as the user hasn't made any changes since.
+        const candidate = await this.#actions.get(
+            `SELECT batch_id FROM actions
+            WHERE section_uuid=? AND batch_id IS NOT NULL AND reverted_by IS NULL AND batch_type${redo ? '=' : '<>'}?
+            ORDER BY batch_id DESC LIMIT 1;`,
+            [sectionUuid, ActionBatchType.Undo]);
+        if (!candidate) {
+            return null;
+        }
+
+        if (!redo) {
+            return candidate.batch_id;
+        }
+
+        const newerStandard = await this.#actions.get(
+            'SELECT id FROM actions WHERE section_uuid=? AND batch_id>? AND batch_type=? LIMIT 1;',
+            [sectionUuid, candidate.batch_id, ActionBatchType.Standard]);
+        return newerStandard ? null : candidate.batch_id;
+    }
+
+    /**
+     * Markers that are deleted and then restored are given a new id. Follow the chain
+     * of restorations to find the id of the marker as it exists today.
+     * @param {number} markerId The original id of the marker.
+     * @param {string} sectionUuid */
+    async #currentMarkerId(markerId, sectionUuid) {
+        const seen = new Set();
+        let currentId = markerId;
+        while (!seen.has(currentId)) {
+            seen.add(currentId);
+            const row = await this.#actions.get(
+                'SELECT restored_id FROM actions WHERE marker_id=? AND section_uuid=? AND restored_id>0 LIMIT 1;',
+                [currentId, sectionUuid]);
+            if (!row) {
+                break;
+            }
+
+            currentId = row.restored_id;
+        }
+
+        return currentId;
+    }
+
+    /**
+     * After deleting markers that restored other markers, clear out the restoration link
+     * so the original markers are considered purged again (or deleted, if they were deleted by the user).
+     * @param {MarkerAction[]} restoreActions The Restore actions whose markers were deleted.
+     * @param {string} sectionUuid */
+    async #unrestoreMarkers(restoreActions, sectionUuid) {
+        if (restoreActions.length === 0) {
+            return;
+        }
+
+        const transaction = new TransactionBuilder(this.#actions);
+        for (const action of restoreActions) {
+            transaction.addStatement(
+                'UPDATE actions SET restored_id=NULL WHERE marker_id=? AND restored_id=? AND section_uuid=?;',
+                [action.restores_id, action.marker_id, sectionUuid]);
+        }
+
+        await transaction.exec();
+        if (!this.#purgeCache) {
+            return;
+        }
+
+        for (const action of restoreActions) {
+            /** @type {MarkerAction} */
+            const original = await this.#actions.get(
+                'SELECT * FROM actions WHERE marker_id=? AND section_uuid=? ORDER BY id DESC LIMIT 1;',
+                [action.restores_id, sectionUuid]);
+            if (original && original.op !== MarkerOp.Delete && original.restored_id === null) {
+                this.#addToPurgeMap(original);
+            }
+        }
+    }
+
     /**
      * Erases all traces of the given marker type(s) from the backup database. I.e.
      * deletes items in a completely unrecoverable way.
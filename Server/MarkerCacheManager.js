@@ -302,6 +302,12 @@ class MarkerCacheManager {
      * Assumes the marker has already been added to the database.
      * @param {MarkerQueryResult} marker */
     addMarkerToCache(marker) {
+        if (this.#allMarkers[marker.id]) {
+            // Can happen if the database watcher sees a new marker before the command that added it updates the cache.
+            Log.verbose(`Marker ${marker.id} is already cached, not adding it again.`);
+            return;
+        }
+
         marker.tag_id = this.#tagId;
         this.#addMarkerData(marker);
     }
@@ -0,0 +1,118 @@
+import { MarkerCopyAlignment } from '../Shared/PlexTypes.js';
+import { MarkerType } from '../Shared/MarkerType.js';
+
+/** @typedef {!import('../Shared/PlexTypes').ChapterData} ChapterData */
+/** @typedef {!import('../Shared/PlexTypes').CopiedMarker} CopiedMarker */
+/** @typedef {!import('./PlexQueryManager').RawMarkerData} RawMarkerData */
+
+/**
+ * The information about an episode needed to translate marker timestamps to or from it.
+ * @typedef {{ duration: number, chapters: ChapterData[] }} CopyItemInfo
+ */
+
+/**
+ * Translate the given source markers to the target episode.
+ * @param {RawMarkerData[]} markers The markers to copy.
+ * @param {CopyItemInfo} source The episode the markers belong to.
+ * @param {CopyItemInfo} target The episode to copy the markers to.
+ * @param {number} alignment The MarkerCopyAlignment to use.
+ * @returns {CopiedMarker[]|null} The translated markers, or null if any marker couldn't be aligned (e.g. the target
+ *                                doesn't have a matching chapter, or is too short), or the translated markers overlap. */
+export function alignMarkers(markers, source, target, alignment) {
+    /** @type {CopiedMarker[]} */
+    const copies = [];
+    for (const marker of markers) {
+        const copy = alignMarker(marker, source, target, alignment);
+        if (!copy) {
+            return null;
+        }
+
+        copies.push(copy);
+    }
+
+    // Copies are returned in the same order as the source markers, but can't overlap each other.
+    const sorted = [...copies].sort((a, b) => a.start - b.start);
+    for (let i = 1; i < sorted.length; ++i) {
+        if (sorted[i].start <= sorted[i - 1].end) {
+            return null;
+        }
+    }
+
+    return copies;
+}
+
+/**
+ * @param {RawMarkerData} marker
+ * @param {CopyItemInfo} source
+ * @param {CopyItemInfo} target
+ * @param {number} alignment
+ * @returns {CopiedMarker?} */
+function alignMarker(marker, source, target, alignment) {
+    let start = marker.start;
+    let end = marker.end;
+    switch (alignment) {
+        case MarkerCopyAlignment.Absolute:
+            break;
+        case MarkerCopyAlignment.Percentage:
+            if (!source.duration || !target.duration) {
+                return null;
+            }
+
+            start = Math.round(start / source.duration * target.duration);
+            end = Math.round(end / source.duration * target.duration);
+            break;
+        case MarkerCopyAlignment.CreditsFromEnd:
+            if (marker.marker_type === MarkerType.Credits) {
+                if (!source.duration || !target.duration) {
+                    return null;
+                }
+
+                start = target.duration - (source.duration - start);
+                end = target.duration - (source.duration - end);
+            }
+            break;
+        case MarkerCopyAlignment.Chapter:
+        {
+            const offset = chapterOffset(marker, source.chapters, target.chapters);
+            if (offset === null) {
+                return null;
+            }
+
+            start += offset;
+            end += offset;
+            break;
+        }
+        default:
+            return null;
+    }
+
+    if (target.duration) {
+        end = Math.min(end, target.duration);
+    }
+
+    if (start < 0 || start >= end) {
+        return null;
+    }
+
+    // A final marker is only still final if it reaches the end of the target.
+    const final = !!marker.final && (!target.duration || end >= target.duration);
+    return { markerType : marker.marker_type, start : start, end : end, final : final };
+}
+
+/**
+ * Find the chapter the marker starts in, and return how far the chapter with the same name
+ * is shifted in the target episode.
+ * @param {RawMarkerData} marker
+ * @param {ChapterData[]} sourceChapters
+ * @param {ChapterData[]} targetChapters
+ * @returns {number?} The offset to apply to the marker, or null if there's no matching chapter. */
+function chapterOffset(marker, sourceChapters, targetChapters) {
+    const chapterName = name => name?.trim().toLowerCase();
+    const sourceChapter = sourceChapters?.find(c => c.start <= marker.start && marker.start < c.end && chapterName(c.name));
+    if (!sourceChapter) {
+        return null;
+    }
+
+    const targetChapter = targetChapters?.find(c => chapterName(c.name) === chapterName(sourceChapter.name));
+    return targetChapter ? targetChapter.start - sourceChapter.start : null;
+}
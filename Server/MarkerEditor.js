@@ -21,17 +21,24 @@ import { BackupManager, MarkerBackupManager } from './MarkerBackupManager.js';
 import { Config, MarkerEditorConfig, ProjectRoot } from './Config/MarkerEditorConfig.js';
 import { GetServerState, ServerState, SetServerState } from './ServerState.js';
 import { isBinary, sendJsonError, sendJsonSuccess } from './ServerHelpers.js';
-import { PostCommands, SuspendedWhitelist } from '../Shared/PostCommands.js';
+import { markerCommandArgs, printCliUsage, runCliCommand, setupCliLogging } from './CommandLine.js';
+import { PostCommands, SuspendedWhitelist, UserRole } from '../Shared/PostCommands.js';
 import { registerPostCommands, runPostCommand } from './PostCommands.js';
 import { ServerEventHandler, ServerEvents } from './ServerEvents.js';
 import { User, UserAuthentication } from './Authentication/Authentication.js';
+import { ApiKeyManager } from './Authentication/ApiKeys.js';
 import { AuthDatabase } from './Authentication/AuthDatabase.js';
+import { AutoRestoreManager } from './AutoRestoreManager.js';
+import { createApiRouter } from './RestApi.js';
 import { DatabaseImportExport } from './ImportExport.js';
+import { DatabaseWatcher } from './DatabaseWatcher.js';
 import FirstRunConfig from './Config/FirstRunConfig.js';
 import GETHandler from './GETHandler.js';
 import LegacyMarkerBreakdown from './LegacyMarkerBreakdown.js';
+import { LiveUpdates } from './LiveUpdates.js';
 import { MarkerCacheManager } from './MarkerCacheManager.js';
 import { PlexQueryManager } from './PlexQueryManager.js';
+import { PlexSnapshotManager } from './PlexDatabaseSnapshots.js';
 import { ServerConfigState } from '../Shared/ServerConfig.js';
 import ServerError from './ServerError.js';
 import { default as Sqlite3Store } from './Authentication/SqliteSessionStore.js';
@@ -44,6 +51,8 @@ import { ThumbnailManager } from './ThumbnailManager.js';
  * @property {boolean} version The user passed `-v`/`--version` to the command line
  * @property {boolean} help The user passed `-h`/`--help`/`--?` to the command line
  * @property {boolean} cliSetup The user wants to set up Marker Editor using the command line, not a browser.
+ * @property {string[]?} markerCommand The arguments after `markers`, if the user wants to run a single marker
+ *                                     action from the command line instead of starting the server.
  */
 
 const Log = ContextualLog.Create('ServerCore');
@@ -71,11 +80,15 @@ async function run() {
 
     // In docker, the location of the config and backup data files are not the project root.
     const dataRoot = process.env.IS_DOCKER ? '/Data' : ProjectRoot();
+    if (argInfo.markerCommand) {
+        process.exit(await runMarkerCommand(argInfo, dataRoot));
+    }
 
     // Initialize auth database before everything else, as it doesn't rely on Config, and
     // FirstRunConfig might need access to it.
     await AuthDatabase.Initialize(dataRoot);
     await UserAuthentication.Initialize();
+    await ApiKeyManager.Initialize();
 
     if (!argInfo.isTest) {
         await FirstRunConfig(dataRoot, argInfo.cliSetup);
@@ -87,22 +100,13 @@ async function run() {
 
 
     if (configValid) {
-
-        // Set up the database, and make sure it's the right one.
-        const queryManager = await PlexQueryManager.CreateInstance(config.databasePath());
-        await MarkerBackupManager.CreateInstance(IsTest ? join(dataRoot, 'Test') : dataRoot);
-
+        const queryManager = await initializeMarkerData(config, dataRoot);
         ThumbnailManager.Create(queryManager.database(), config.metadataPath());
-        if (config.extendedMarkerStats()) {
-            try {
-                await MarkerCacheManager.Create(queryManager.database(), queryManager.markerTagId());
-                await BackupManager.buildAllPurges();
-            } catch (err) {
-                Log.error(err.message, 'Failed to build marker cache');
-                Log.error('Continuing to server creation, but extended marker statistics will not be available.');
-                config.disableExtendedMarkerStats();
-                MarkerCacheManager.Close();
-            }
+        AutoRestoreManager.Create();
+        try {
+            await DatabaseWatcher.Create(config.databasePath());
+        } catch (err) {
+            Log.warn(err.message, 'Unable to watch the database for changes, clients will not receive live updates');
         }
     }
 
@@ -113,6 +117,55 @@ async function run() {
     }
 }
 
+/**
+ * Connect to the Plex and backup databases, and build the marker cache if enabled.
+ * @param {MarkerEditorConfig} config
+ * @param {string} dataRoot
+ * @returns {Promise<PlexQueryManager>} */
+async function initializeMarkerData(config, dataRoot) {
+    // Set up the database, and make sure it's the right one.
+    const queryManager = await PlexQueryManager.CreateInstance(config.databasePath(), config.plexBackendOptions());
+    await MarkerBackupManager.CreateInstance(IsTest ? join(dataRoot, 'Test') : dataRoot);
+    PlexSnapshotManager.CreateInstance(IsTest ? join(dataRoot, 'Test') : dataRoot);
+
+    if (config.extendedMarkerStats()) {
+        try {
+            await MarkerCacheManager.Create(queryManager.database(), queryManager.markerTagId());
+            await BackupManager.buildAllPurges();
+        } catch (err) {
+            Log.error(err.message, 'Failed to build marker cache');
+            Log.error('Continuing without extended marker statistics.');
+            config.disableExtendedMarkerStats();
+            MarkerCacheManager.Close();
+        }
+    }
+
+    return queryManager;
+}
+
+/**
+ * Run a single marker action from the command line against the configured database, without
+ * starting the HTTP server.
+ * @param {CLIArguments} argInfo
+ * @param {string} dataRoot
+ * @returns {Promise<number>} The exit code for the process. */
+async function runMarkerCommand(argInfo, dataRoot) {
+    setupCliLogging();
+    const config = await MarkerEditorConfig.Create(argInfo, dataRoot);
+    if (config.getValid() !== ServerConfigState.Valid) {
+        Log.critical('Marker Editor has not been configured. Run it without arguments first to set it up.');
+        return 1;
+    }
+
+    try {
+        await initializeMarkerData(config, dataRoot);
+        SetServerState(ServerState.Running);
+        return await runCliCommand(argInfo.markerCommand);
+    } finally {
+        await cleanupForShutdown(true /*fullShutdown*/);
+    }
+}
+
 /**
  * Set up core processes of Marker Editor. */
 function bootstrap() {
@@ -240,9 +293,13 @@ async function handleClose(signal, restart=false) {
  * Properly close out open resources in preparation for shutting down the process.
  * @param {boolean} fullShutdown Whether we're _really_ shutting down the process, or just suspending/restarting it. */
 async function cleanupForShutdown(fullShutdown, resetConfig=true) {
+    AutoRestoreManager.Close();
+    DatabaseWatcher.Close();
+    LiveUpdates.closeAll();
     LegacyMarkerBreakdown.Clear();
     MarkerCacheManager.Close();
     DatabaseImportExport.Close(fullShutdown);
+    PlexSnapshotManager.Close(fullShutdown);
 
     await Promise.all([
         PlexQueryManager.Close(),
@@ -389,6 +446,8 @@ async function createServer(host, port, ssl, resolve) {
     const app = express();
     await initializeSessionStore(app, ssl);
 
+    // The REST API authenticates each request itself, so it's registered ahead of the catch-all handlers below.
+    const apiRoot = `${Config.baseUrl()}api/v1`;
     if (Config.useAuth()) {
         // One unauthenticated request per second, spread out over 5 seconds.
         const strictRateLimit = {
@@ -400,6 +459,13 @@ async function createServer(host, port, ssl, resolve) {
         app.use(new RegExp(`.*/${PostCommands.Login}`), rateLimit(strictRateLimit));
         app.use(new RegExp(`.*/${PostCommands.NeedsPassword}`), rateLimit(strictRateLimit));
 
+        // Only failed authentication counts towards the API limit, so integrations can make as many requests as they need.
+        app.use(apiRoot, rateLimit({
+            ...strictRateLimit,
+            skipSuccessfulRequests : true,
+            requestWasSuccessful : (_req, res) => res.statusCode !== 401,
+        }), createApiRouter());
+
         // Strict limit for other POST commands as well, but no limit for authenticated users.
         app.post(/.*/, rateLimit({ skip : (req, _res) => req.session?.authenticated, ...strictRateLimit }), serverPost);
 
@@ -414,6 +480,7 @@ async function createServer(host, port, ssl, resolve) {
     } else {
         // Explicitly ignore rate limiting - the user has bigger problems than DoS if they're externally exposing an unauthenticated app.
         const noRateLimit = rateLimit({ windowMs : 5000, limit : 200, skip : () => true });
+        app.use(apiRoot, noRateLimit, createApiRouter());
         app.get(/.*/, noRateLimit, serverGet);
         app.post(/.*/, noRateLimit, serverPost);
     }
@@ -579,8 +646,10 @@ async function handlePost(req, res) {
     try {
         if (Object.prototype.hasOwnProperty.call(ServerActionMap, endpoint)
             && typeof ServerActionMap[endpoint] === 'function') {
-            if (!Config?.useAuth() || User.signedIn(req)) {
+            if (!Config?.useAuth() || User.sessionUser(req)?.role === UserRole.Admin) {
                 await ServerActionMap[endpoint](res);
+            } else if (User.signedIn(req)) {
+                sendJsonError(res, new ServerError('Only admins can change the server state', 403));
             } else {
                 sendJsonError(res, new ServerError('Not authorized', 401));
             }
@@ -606,6 +675,7 @@ function checkArgs() {
         version : false,
         help : false,
         cliSetup : false,
+        markerCommand : null,
     };
 
     const argsLower = process.argv.map(x => x.replace(/_/g, '-').toLowerCase());
@@ -644,6 +714,8 @@ function checkArgs() {
         argInfo.configOverride = process.argv[coi + 1];
     }
 
+    argInfo.markerCommand = markerCommandArgs(process.argv);
+
     return argInfo;
 }
 
@@ -671,6 +743,11 @@ function shouldExitEarly(args) {
         }
     }
 
+    if (args.markerCommand && (args.help || args.markerCommand.length === 0)) {
+        printCliUsage();
+        return true;
+    }
+
     if (args.help) {
         const isBin = process.argv[1]?.includes('built.cjs');
         const isWin = process.platform === 'win32';
@@ -681,6 +758,7 @@ function shouldExitEarly(args) {
         console.log(`    -v | --version              Print out the current version of MarkerEditor.`);
         console.log(`    -h | --help                 Print out this help text.`);
         console.log(`    --cli-setup                 Set up Marker Editor using the command line instead of a browser.`);
+        console.log(`    markers <action> [args]     Run a single marker action without starting the server (see 'markers --help').`);
         console.log(`    --config-override [config]  Use the given config file instead of the standard config.json`);
         console.log(`    --test                      Indicates we're launching MarkerEditor for tests. Do not set manually.`);
         console.log('\n    For setup and usage instructions, visit https://github.com/danrahn/MarkerEditorForPlex/wiki.');
@@ -0,0 +1,134 @@
+import { FilterConditions, MarkerTimingField } from '../Shared/PlexTypes.js';
+import { MarkerEnum } from '../Shared/MarkerType.js';
+import ServerError from './ServerError.js';
+
+/** @typedef {!import('../Shared/PlexTypes').MarkerFilter} MarkerFilter */
+/** @typedef {!import('../Shared/PlexTypes').MarkerFilterResult} MarkerFilterResult */
+/** @typedef {!import('../Shared/PlexTypes').MarkerTimingFilter} MarkerTimingFilter */
+
+/**
+ * A marker to check against a filter, along with the item it belongs to.
+ * @typedef {{ marker_type: string, start: number, end: number, parent_id: number, season_id: number, show_id: number,
+ *             user_created: boolean }} FilterMarker
+ */
+
+/**
+ * The location of a purged marker.
+ * @typedef {{ parent_id: number, season_id: number, show_id: number }} FilterPurge
+ */
+
+/**
+ * Verify that a marker filter retrieved from form-data is correctly formatted.
+ * @param {string} filter
+ * @returns {MarkerFilter} */
+export function parseMarkerFilter(filter) {
+    /** @type {MarkerFilter} */
+    let parsed;
+    try {
+        parsed = JSON.parse(filter);
+    } catch (err) {
+        throw new ServerError(`Unable to parse marker filter: ${err.message}`, 400);
+    }
+
+    if (!(parsed?.timings instanceof Array) || typeof parsed.userCreated !== 'boolean' || typeof parsed.purged !== 'boolean') {
+        throw new ServerError(`Unexpected marker filter format.`, 400);
+    }
+
+    if (parsed.timings.length === 0 && !parsed.userCreated && !parsed.purged) {
+        throw new ServerError(`Marker filter doesn't have any conditions.`, 400);
+    }
+
+    parsed.timings.forEach(validateTimingFilter);
+    return parsed;
+}
+
+/**
+ * @param {MarkerTimingFilter} timing */
+function validateTimingFilter(timing) {
+    const validInt = (value, min, max) => Number.isInteger(value) && value >= min && value <= max;
+    if (!validInt(timing?.applyTo, 1, MarkerEnum.All)) {
+        throw new ServerError(`Invalid marker type in timing filter: ${timing?.applyTo}`, 400);
+    }
+
+    if (Object.values(MarkerTimingField).indexOf(timing.field) === -1) {
+        throw new ServerError(`Invalid field in timing filter: ${timing.field}`, 400);
+    }
+
+    // Exact millisecond matches aren't useful for timings.
+    if (Object.values(FilterConditions).indexOf(timing.condition) === -1 || timing.condition === FilterConditions.Equals) {
+        throw new ServerError(`Invalid condition in timing filter: ${timing.condition}`, 400);
+    }
+
+    if (!validInt(timing.value, 0, Number.MAX_SAFE_INTEGER)) {
+        throw new ServerError(`Invalid timestamp in timing filter: ${timing.value}`, 400);
+    }
+
+    if (timing.condition === FilterConditions.Between && !validInt(timing.value2, timing.value, Number.MAX_SAFE_INTEGER)) {
+        throw new ServerError(`Invalid range in timing filter: ${timing.value}-${timing.value2}`, 400);
+    }
+}
+
+/**
+ * Find every movie/episode that matches all conditions of the given filter.
+ * @param {MarkerFilter} filter
+ * @param {FilterMarker[]} markers Every marker in the library.
+ * @param {FilterPurge[]} purges Every purged marker in the library.
+ * @returns {MarkerFilterResult} */
+export function matchMarkerFilter(filter, markers, purges) {
+    /** @type {Map<number, FilterMarker|FilterPurge>} Every item that has markers or purged markers. */
+    const items = new Map();
+    /** @type {{ [parentId: number]: FilterMarker[] }} */
+    const markersByItem = {};
+    for (const marker of markers) {
+        (markersByItem[marker.parent_id] ??= []).push(marker);
+        items.set(marker.parent_id, marker);
+    }
+
+    const purgedItems = new Set();
+    for (const purge of purges) {
+        purgedItems.add(purge.parent_id);
+        if (!items.has(purge.parent_id)) {
+            items.set(purge.parent_id, purge);
+        }
+    }
+
+    const ids = new Set();
+    for (const [id, item] of items) {
+        const itemMarkers = markersByItem[id] ?? [];
+        if ((filter.purged && !purgedItems.has(id))
+            || (filter.userCreated && !itemMarkers.some(marker => marker.user_created))
+            || !filter.timings.every(timing => itemMarkers.some(marker => timingMatch(marker, timing)))) {
+            continue;
+        }
+
+        ids.add(id);
+        if (item.season_id !== -1) {
+            ids.add(item.season_id);
+            ids.add(item.show_id);
+        }
+    }
+
+    return { ids : [...ids] };
+}
+
+/**
+ * @param {FilterMarker} marker
+ * @param {MarkerTimingFilter} timing */
+function timingMatch(marker, timing) {
+    if (!MarkerEnum.typeMatch(marker.marker_type, timing.applyTo)) {
+        return false;
+    }
+
+    let value;
+    switch (timing.field) {
+        case MarkerTimingField.Start: value = marker.start; break;
+        case MarkerTimingField.End: value = marker.end; break;
+        default: value = marker.end - marker.start; break;
+    }
+
+    switch (timing.condition) {
+        case FilterConditions.LessThan: return value < timing.value;
+        case FilterConditions.GreaterThan: return value > timing.value;
+        default: return value >= timing.value && value <= timing.value2;
+    }
+}
@@ -0,0 +1,225 @@
+import { episodeDisplayTitle, median, movieDisplayTitle } from './MarkerTimingStats.js';
+import { MarkerLintCategory } from '../Shared/PlexTypes.js';
+import { MarkerType } from '../Shared/MarkerType.js';
+
+/** @typedef {!import('../Shared/PlexTypes').MarkerLintFix} MarkerLintFix */
+/** @typedef {!import('../Shared/PlexTypes').MarkerLintProblem} MarkerLintProblem */
+/** @typedef {!import('../Shared/PlexTypes').MarkerLintResult} MarkerLintResult */
+/** @typedef {!import('./PlexQueryManager').RawEpisodeData} RawEpisodeData */
+/** @typedef {!import('./PlexQueryManager').RawMarkerData} RawMarkerData */
+/** @typedef {!import('./PlexQueryManager').RawMovieData} RawMovieData */
+
+/**
+ * A movie or episode to check, along with enough information to display it and navigate to it.
+ * @typedef {{ id: number, duration: number, seasonId: number, showId: number, title: string, searchTitle: string }} LintItem
+ */
+
+/** How close to the end of the file credits have to end to be considered "at the end". */
+const EndTolerance = 1000;
+
+/** Seasons need at least this many intros before we can say what a "typical" intro looks like. */
+const MinSeasonIntros = 3;
+
+/** How far an intro's start can be from the season's median before it's flagged. */
+const IntroStartTolerance = 60_000;
+
+/** How much an intro's duration can differ from the season's median, as a fraction of the median, before it's flagged. */
+const IntroDurationTolerance = 0.5;
+
+/**
+ * @param {RawEpisodeData} episode
+ * @returns {LintItem} */
+export function lintItemFromEpisode(episode) {
+    return {
+        id : episode.id,
+        duration : episode.duration,
+        seasonId : episode.season_id,
+        showId : episode.show_id,
+        title : episodeDisplayTitle(episode.show, episode.season_index, episode.index, episode.title),
+        searchTitle : episode.show,
+    };
+}
+
+/**
+ * @param {RawMovieData} movie
+ * @returns {LintItem} */
+export function lintItemFromMovie(movie) {
+    return {
+        id : movie.id,
+        duration : movie.duration,
+        seasonId : -1,
+        showId : -1,
+        title : movieDisplayTitle(movie.title, movie.year),
+        searchTitle : movie.title,
+    };
+}
+
+/**
+ * Look for markers that are almost certainly wrong, suggesting a fix where there's an obvious one.
+ * @param {LintItem[]} items The movies/episodes to check.
+ * @param {RawMarkerData[]} markers All markers for the given items.
+ * @returns {MarkerLintResult} */
+export function lintMarkers(items, markers) {
+    /** @type {{ [metadataId: number]: RawMarkerData[] }} */
+    const markersByItem = {};
+    for (const marker of markers) {
+        (markersByItem[marker.parent_id] ??= []).push(marker);
+    }
+
+    /** @type {MarkerLintProblem[]} */
+    const problems = [];
+    for (const item of items) {
+        const itemMarkers = (markersByItem[item.id] ?? []).sort((a, b) => a.start - b.start || a.end - b.end);
+        for (const [index, marker] of itemMarkers.entries()) {
+            const problem = checkMarker(marker, item, itemMarkers[index - 1]);
+            if (problem) {
+                problems.push(problem);
+            }
+        }
+    }
+
+    problems.push(...checkSeasonIntros(items, markersByItem, new Set(problems.map(p => p.markerId))));
+    problems.sort((a, b) => a.category.localeCompare(b.category) || a.title.localeCompare(b.title) || a.start - b.start);
+    return { itemsScanned : items.length, problems : problems };
+}
+
+/**
+ * Check a single marker for problems, only reporting the most severe one.
+ * @param {RawMarkerData} marker
+ * @param {LintItem} item
+ * @param {RawMarkerData?} previous The marker before this one, if any.
+ * @returns {MarkerLintProblem?} */
+function checkMarker(marker, item, previous) {
+    if (marker.end <= marker.start) {
+        return toProblem(MarkerLintCategory.ZeroLength, marker, item, `Marker doesn't end after it starts.`,
+            deleteFix());
+    }
+
+    if (item.duration && marker.end > item.duration) {
+        const overBy = Math.round((marker.end - item.duration) / 1000);
+        const description = `Marker ends ${overBy} second(s) after the item ends.`;
+        if (marker.start >= item.duration) {
+            return toProblem(MarkerLintCategory.PastEnd, marker, item, description, deleteFix());
+        }
+
+        const final = marker.marker_type === MarkerType.Credits ? 1 : marker.final;
+        return toProblem(MarkerLintCategory.PastEnd, marker, item, description,
+            editFix(marker.start, item.duration, final, 'Trim the marker to end at the end of the item.'));
+    }
+
+    if (previous && marker.start < previous.end) {
+        const description = `Marker overlaps with the ${previous.marker_type} marker before it.`;
+        // Edits treat markers that touch as overlapping, so leave a 1ms gap.
+        const newStart = previous.end + 1;
+        if (marker.end <= newStart) {
+            return toProblem(MarkerLintCategory.Overlap, marker, item, description, deleteFix());
+        }
+
+        return toProblem(MarkerLintCategory.Overlap, marker, item, description,
+            editFix(newStart, marker.end, marker.final, 'Move the start of the marker to the end of the previous marker.'));
+    }
+
+    if (marker.marker_type === MarkerType.Credits && !marker.final && item.duration && marker.end >= item.duration - EndTolerance) {
+        return toProblem(MarkerLintCategory.CreditsNotFinal, marker, item, `Credits end at the end of the item, but aren't final.`,
+            editFix(marker.start, marker.end, 1, 'Mark the credits as final.'));
+    }
+
+    return null;
+}
+
+/**
+ * Flag intros that look nothing like the other intros in the same season.
+ * There's no fix for these, since the marker may be right and the rest of the season wrong.
+ * @param {LintItem[]} items
+ * @param {{ [metadataId: number]: RawMarkerData[] }} markersByItem
+ * @param {Set<number>} flagged Markers that already have a problem, which won't be reported twice.
+ * @returns {MarkerLintProblem[]} */
+function checkSeasonIntros(items, markersByItem, flagged) {
+    /** @type {{ [seasonId: number]: { item: LintItem, marker: RawMarkerData }[] }} */
+    const seasons = {};
+    for (const item of items) {
+        if (item.seasonId === -1) {
+            continue;
+        }
+
+        for (const marker of markersByItem[item.id] ?? []) {
+            if (marker.marker_type === MarkerType.Intro) {
+                (seasons[item.seasonId] ??= []).push({ item, marker });
+            }
+        }
+    }
+
+    /** @type {MarkerLintProblem[]} */
+    const problems = [];
+    for (const intros of Object.values(seasons)) {
+        if (intros.length < MinSeasonIntros) {
+            continue;
+        }
+
+        const medianStart = median(intros.map(i => i.marker.start));
+        const medianDuration = median(intros.map(i => i.marker.end - i.marker.start));
+        for (const { item, marker } of intros) {
+            if (flagged.has(marker.id)) {
+                continue;
+            }
+
+            const startDelta = marker.start - medianStart;
+            const durationDelta = marker.end - marker.start - medianDuration;
+            const seconds = ms => Math.round(Math.abs(ms) / 1000);
+            let description;
+            if (Math.abs(startDelta) > IntroStartTolerance) {
+                description = `Intro starts ${seconds(startDelta)} second(s) ${startDelta < 0 ? 'earlier' : 'later'} ` +
+                    `than most intros this season.`;
+            } else if (Math.abs(durationDelta) > medianDuration * IntroDurationTolerance) {
+                description = `Intro is ${seconds(durationDelta)} second(s) ${durationDelta < 0 ? 'shorter' : 'longer'} ` +
+                    `than most intros this season.`;
+            } else {
+                continue;
+            }
+
+            problems.push(toProblem(MarkerLintCategory.IntroMismatch, marker, item, description, null));
+        }
+    }
+
+    return problems;
+}
+
+/** @returns {MarkerLintFix} */
+function deleteFix() {
+    return { action : 'delete', description : 'Delete the marker.' };
+}
+
+/**
+ * @param {number} start
+ * @param {number} end
+ * @param {number} final
+ * @param {string} description
+ * @returns {MarkerLintFix} */
+function editFix(start, end, final, description) {
+    return { action : 'edit', start : start, end : end, final : final, description : description };
+}
+
+/**
+ * @param {string} category
+ * @param {RawMarkerData} marker
+ * @param {LintItem} item
+ * @param {string} description
+ * @param {MarkerLintFix?} fix
+ * @returns {MarkerLintProblem} */
+function toProblem(category, marker, item, description, fix) {
+    return {
+        category : category,
+        markerId : marker.id,
+        markerType : marker.marker_type,
+        start : marker.start,
+        end : marker.end,
+        final : marker.final,
+        parentId : item.id,
+        seasonId : item.seasonId,
+        showId : item.showId,
+        title : item.title,
+        searchTitle : item.searchTitle,
+        description : description,
+        fix : fix,
+    };
+}
@@ -0,0 +1,257 @@
+import { episodeDisplayTitle, movieDisplayTitle } from './MarkerTimingStats.js';
+import { MarkerConflictResolution, MarkerSyncDirection } from '../Shared/PlexTypes.js';
+import { MetadataType, PlexQueries, PlexQueryManager } from './PlexQueryManager.js';
+import { Config } from './Config/MarkerEditorConfig.js';
+import { ContextualLog } from '../Shared/ConsoleLog.js';
+import { DatabaseImportExport } from './ImportExport.js';
+import { PlexSnapshots } from './PlexDatabaseSnapshots.js';
+import { PostCommands } from '../Shared/PostCommands.js';
+import { registerCommand } from './Commands/PostCommand.js';
+import ServerError from './ServerError.js';
+
+/** @typedef {!import('./ImportExport').ImportSections} ImportSections */
+/** @typedef {!import('./ImportExport').ImportStats} ImportStats */
+/** @typedef {!import('./PlexQueryManager').RawSyncItem} RawSyncItem */
+/** @typedef {!import('./PlexQueryManager').RawSyncMarker} RawSyncMarker */
+/** @typedef {!import('../Shared/PlexTypes').MarkerSyncDiff} MarkerSyncDiff */
+/** @typedef {!import('../Shared/PlexTypes').SyncMarker} SyncMarker */
+
+/**
+ * The movies/episodes of one side of a sync, indexed for matching against the other side.
+ * @typedef {{ items: RawSyncItem[], byGuid: { [guid: string]: RawSyncItem[] },
+ *             markers: { [parentId: number]: RawSyncMarker[] } }} SyncSide
+ */
+
+
+const Log = ContextualLog.Create('MarkerSync');
+
+/**
+ * Compares and copies markers between this server's database and another Plex database (e.g. a backup server
+ * with the same content), matching items by GUID the same way marker import does.
+ */
+export class MarkerSync {
+    /**
+     * Compare the markers of every item in the given section with the markers of the same items in the sync database.
+     * @param {number} sectionId
+     * @returns {Promise<MarkerSyncDiff>} */
+    static async compare(sectionId) {
+        const local = MarkerSync.#index(await PlexQueries.getSyncData(sectionId));
+        const remote = await MarkerSync.#withRemote(async remotePQM => MarkerSync.#index(await remotePQM.getSyncData(-1)));
+
+        /** @type {MarkerSyncDiff} */
+        const diff = { itemsCompared : 0, items : [] };
+        for (const item of local.items) {
+            const remoteItem = remote.byGuid[item.guid]?.[0];
+            if (!remoteItem) {
+                continue;
+            }
+
+            ++diff.itemsCompared;
+            const localMarkers = MarkerSync.#syncMarkers(local.markers[item.id]);
+            const remoteMarkers = MarkerSync.#syncMarkers(remote.markers[remoteItem.id]);
+            if (JSON.stringify(localMarkers) !== JSON.stringify(remoteMarkers)) {
+                diff.items.push({
+                    guid : item.guid,
+                    metadataId : item.id,
+                    seasonId : item.season_id,
+                    showId : item.show_id,
+                    title : MarkerSync.#displayTitle(item),
+                    localMarkers : localMarkers,
+                    remoteMarkers : remoteMarkers,
+                });
+            }
+        }
+
+        Log.verbose(`Compared ${diff.itemsCompared} items in section ${sectionId}, ${diff.items.length} differ.`);
+        return diff;
+    }
+
+    /**
+     * Copy the markers of the given items from one database to the other.
+     * @param {number} sectionId The section on this server the items belong to.
+     * @param {number} direction The MarkerSyncDirection.
+     * @param {string[]} guids The GUIDs of the items to sync.
+     * @param {number} resolveType The MarkerConflictResolution type
+     * @returns {Promise<ImportStats>} */
+    static async apply(sectionId, direction, guids, resolveType) {
+        if (Object.values(MarkerSyncDirection).indexOf(direction) === -1) {
+            throw new ServerError(`Unexpected sync direction "${direction}"`, 400);
+        }
+
+        if (Object.values(MarkerConflictResolution).indexOf(resolveType) === -1) {
+            throw new ServerError(`Unexpected conflict resolution type "${resolveType}"`, 400);
+        }
+
+        const guidSet = new Set(guids);
+        const local = MarkerSync.#index(await PlexQueries.getSyncData(sectionId));
+        return MarkerSync.#withRemote(async remotePQM => {
+            const remote = MarkerSync.#index(await remotePQM.getSyncData(-1));
+            // Snapshots only cover the Plex database, which pushes don't touch.
+            if (direction === MarkerSyncDirection.Pull) {
+                await PlexSnapshots.snapshot(PostCommands.ApplySync);
+                return DatabaseImportExport.applyImport(MarkerSync.#importSections(remote, local, guidSet), resolveType);
+            }
+
+            return MarkerSync.#push(remotePQM, MarkerSync.#importSections(local, remote, guidSet), resolveType);
+        });
+    }
+
+    /**
+     * Open the sync database, run the given callback, and close the database.
+     * @template T
+     * @param {(remotePQM: PlexQueryManager) => Promise<T>} callback
+     * @returns {Promise<T>} */
+    static async #withRemote(callback) {
+        const syncPath = Config.syncDatabasePath();
+        if (!syncPath) {
+            throw new ServerError(`No sync database configured. Set "syncDatabase" in config.json to compare markers.`, 400);
+        }
+
+        const remotePQM = await PlexQueryManager.CreateSecondaryInstance(syncPath);
+        try {
+            return await callback(remotePQM);
+        } finally {
+            await remotePQM.close();
+        }
+    }
+
+    /**
+     * @param {{ items: RawSyncItem[], markers: RawSyncMarker[] }} syncData
+     * @returns {SyncSide} */
+    static #index(syncData) {
+        /** @type {SyncSide} */
+        const side = { items : syncData.items, byGuid : {}, markers : {} };
+        for (const item of syncData.items) {
+            (side.byGuid[item.guid] ??= []).push(item);
+        }
+
+        for (const marker of syncData.markers) {
+            (side.markers[marker.parent_id] ??= []).push(marker);
+        }
+
+        return side;
+    }
+
+    /**
+     * Convert the given markers to their comparable form, sorted by start time.
+     * @param {RawSyncMarker[]} [markers]
+     * @returns {SyncMarker[]} */
+    static #syncMarkers(markers) {
+        return (markers ?? []).map(marker => ({
+            markerType : marker.marker_type,
+            start : marker.start,
+            end : marker.end,
+            final : MarkerSync.#isFinal(marker),
+        })).sort((a, b) => a.start - b.start || a.end - b.end || a.markerType.localeCompare(b.markerType));
+    }
+
+    /**
+     * @param {RawSyncMarker} marker */
+    static #isFinal(marker) {
+        return marker.extra_data?.includes('final=1') ? 1 : 0;
+    }
+
+    /**
+     * @param {RawSyncItem} item */
+    static #displayTitle(item) {
+        return item.metadata_type === MetadataType.Movie ?
+            movieDisplayTitle(item.title, item.year) :
+            episodeDisplayTitle(item.show_title, item.season_index, item.index, item.title);
+    }
+
+    /**
+     * Build the set of marker actions that copy the markers of the requested items in `source` to every
+     * item in `target` with the same GUID. Items without any markers in `source` are skipped, since
+     * syncing never removes markers that only exist in the target.
+     * @param {SyncSide} source
+     * @param {SyncSide} target
+     * @param {Set<string>} guids
+     * @returns {ImportSections} */
+    static #importSections(source, target, guids) {
+        /** @type {ImportSections} */
+        const sections = {};
+        for (const guid of guids) {
+            const sourceItem = source.byGuid[guid]?.[0];
+            const sourceMarkers = sourceItem ? source.markers[sourceItem.id] : undefined;
+            if (!sourceMarkers) {
+                continue;
+            }
+
+            for (const targetItem of target.byGuid[guid] ?? []) {
+                sections[targetItem.section_id] ??= {
+                    sectionType : targetItem.metadata_type === MetadataType.Movie ? MetadataType.Movie : MetadataType.Show,
+                    items : {},
+                };
+
+                sections[targetItem.section_id].items[targetItem.id] = sourceMarkers.map(marker => ({
+                    marker_type : marker.marker_type,
+                    final : MarkerSync.#isFinal(marker),
+                    start : marker.start,
+                    end : marker.end,
+                    modified_at : null,
+                    created_at : marker.created_at,
+                    extra_data : marker.extra_data,
+                    user_created : false,
+                    parent_guid : guid,
+                    parent_id : targetItem.id,
+                    season_id : targetItem.season_id,
+                    show_id : targetItem.show_id,
+                    section_id : targetItem.section_id,
+                }));
+            }
+        }
+
+        return sections;
+    }
+
+    /**
+     * Write the given markers to the sync database. Unlike pulling, there's nothing to back up
+     * or reload, since this server doesn't track the other database's changes.
+     * @param {PlexQueryManager} remotePQM
+     * @param {ImportSections} sections
+     * @param {number} resolveType
+     * @returns {Promise<ImportStats>} */
+    static async #push(remotePQM, sections, resolveType) {
+        /** @type {ImportStats} */
+        const stats = { added : 0, identical : 0, deleted : 0, modified : 0, ignored : 0 };
+        for (const [sectionId, sectionInfo] of Object.entries(sections)) {
+            Log.info(`Pushing markers for ${Object.keys(sectionInfo.items).length} items to sync section ${sectionId}`);
+            const result = await remotePQM.bulkRestore(sectionInfo.items, parseInt(sectionId), sectionInfo.sectionType, resolveType);
+            stats.added += result.newMarkers.length;
+            stats.identical += result.identicalMarkers.length;
+            stats.deleted += result.deletedMarkers.length;
+            stats.modified += result.modifiedMarkers.length;
+            stats.ignored += result.ignoredActions.length;
+        }
+
+        return stats;
+    }
+}
+
+/**
+ * Verify that the list of GUIDs retrieved from form-data is correctly formatted.
+ * @param {string} guids
+ * @returns {string[]} */
+function parseSyncGuids(guids) {
+    /** @type {string[]} */
+    let parsed;
+    try {
+        parsed = JSON.parse(guids);
+    } catch (err) {
+        throw new ServerError(`Unable to parse the list of items to sync: ${err.message}`, 400);
+    }
+
+    if (!(parsed instanceof Array) || parsed.length === 0 || parsed.some(guid => typeof guid !== 'string')) {
+        throw new ServerError(`Expected a list of items to sync.`, 400);
+    }
+
+    return parsed;
+}
+
+/**
+ * Register POST handlers related to syncing markers with another Plex database. */
+export function registerMarkerSyncCommands() {
+    registerCommand(PostCommands.CompareSync, q => MarkerSync.compare(q.i('id')));
+    registerCommand(PostCommands.ApplySync,
+        q => MarkerSync.apply(q.fi('sectionId'), q.fi('direction'), q.fc('guids', parseSyncGuids), q.fi('resolveType')));
+}
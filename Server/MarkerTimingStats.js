@@ -0,0 +1,141 @@
+import { MarkerType } from '../Shared/MarkerType.js';
+
+/** @typedef {!import('../Shared/PlexTypes').MarkerTimingHistogram} MarkerTimingHistogram */
+/** @typedef {!import('../Shared/PlexTypes').MarkerTimingOutlier} MarkerTimingOutlier */
+/** @typedef {!import('../Shared/PlexTypes').MarkerTimingStats} MarkerTimingStats */
+/** @typedef {!import('../Shared/PlexTypes').MarkerTimingTypeStats} MarkerTimingTypeStats */
+/** @typedef {!import('./PlexQueryManager').RawMarkerTimingData} RawMarkerTimingData */
+
+/**
+ * Histogram bucket sizes for each marker type, in milliseconds. Credits can appear anywhere
+ * in a long movie and vary more in length, so they get wider buckets than intros.
+ * @type {{ [markerType: string]: { start: number, duration: number } }} */
+const BucketSizes = {
+    [MarkerType.Intro] : { start : 30_000, duration : 5_000 },
+    [MarkerType.Credits] : { start : 60_000, duration : 15_000 },
+};
+
+/**
+ * Conditions that flag a marker as an outlier. Markers are only reported for the first rule they match.
+ * @type {{ markerType: string, reason: string, test: (start: number, duration: number) => boolean }[]} */
+const OutlierRules = [
+    { markerType : MarkerType.Intro, reason : 'Intro is shorter than 5 seconds', test : (_, duration) => duration < 5_000 },
+    { markerType : MarkerType.Intro, reason : 'Intro is longer than 3 minutes', test : (_, duration) => duration > 180_000 },
+    { markerType : MarkerType.Intro, reason : 'Intro starts after 20 minutes', test : (start) => start > 1_200_000 },
+    { markerType : MarkerType.Credits, reason : 'Credits are shorter than 5 seconds', test : (_, duration) => duration < 5_000 },
+];
+
+/**
+ * Build start time and duration distributions for the given markers, and flag any that look suspicious.
+ * Commercial markers are ignored, as there's no "typical" placement to compare them against.
+ * @param {RawMarkerTimingData[]} markers
+ * @returns {MarkerTimingStats} */
+export function buildTimingStats(markers) {
+    /** @type {{ [markerType: string]: RawMarkerTimingData[] }} */
+    const byType = { [MarkerType.Intro] : [], [MarkerType.Credits] : [] };
+    /** @type {MarkerTimingOutlier[]} */
+    const outliers = [];
+    for (const marker of markers) {
+        if (!byType[marker.marker_type]) {
+            continue;
+        }
+
+        byType[marker.marker_type].push(marker);
+        const rule = OutlierRules.find(r => r.markerType === marker.marker_type && r.test(marker.start, marker.end - marker.start));
+        if (rule) {
+            outliers.push(toOutlier(marker, rule.reason));
+        }
+    }
+
+    outliers.sort((a, b) => a.searchTitle.localeCompare(b.searchTitle) || a.title.localeCompare(b.title) || a.start - b.start);
+    return {
+        intro : typeStats(byType[MarkerType.Intro], BucketSizes[MarkerType.Intro]),
+        credits : typeStats(byType[MarkerType.Credits], BucketSizes[MarkerType.Credits]),
+        outliers : outliers,
+    };
+}
+
+/**
+ * @param {RawMarkerTimingData[]} markers Markers of a single type.
+ * @param {{ start: number, duration: number }} bucketSizes
+ * @returns {MarkerTimingTypeStats} */
+function typeStats(markers, bucketSizes) {
+    const starts = markers.map(m => m.start);
+    const durations = markers.map(m => m.end - m.start);
+    return {
+        count : markers.length,
+        medianStart : median(starts),
+        medianDuration : median(durations),
+        start : histogram(starts, bucketSizes.start),
+        duration : histogram(durations, bucketSizes.duration),
+    };
+}
+
+/**
+ * @param {number[]} values
+ * @param {number} bucketSize
+ * @returns {MarkerTimingHistogram} */
+function histogram(values, bucketSize) {
+    const buckets = [];
+    for (const value of values) {
+        const bucket = Math.floor(Math.max(value, 0) / bucketSize);
+        while (buckets.length <= bucket) {
+            buckets.push(0);
+        }
+
+        ++buckets[bucket];
+    }
+
+    return { bucketSize, buckets };
+}
+
+/**
+ * @param {number[]} values */
+export function median(values) {
+    if (values.length === 0) {
+        return 0;
+    }
+
+    const sorted = [...values].sort((a, b) => a - b);
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[mid] : Math.round((sorted[mid - 1] + sorted[mid]) / 2);
+}
+
+/**
+ * @param {RawMarkerTimingData} marker
+ * @param {string} reason
+ * @returns {MarkerTimingOutlier} */
+function toOutlier(marker, reason) {
+    const title = marker.show_id === -1 ?
+        movieDisplayTitle(marker.title, marker.year) :
+        episodeDisplayTitle(marker.search_title, marker.season_index, marker.episode_index, marker.title);
+    return {
+        markerId : marker.id,
+        markerType : marker.marker_type,
+        start : marker.start,
+        end : marker.end,
+        parentId : marker.parent_id,
+        seasonId : marker.season_id,
+        showId : marker.show_id,
+        title : title,
+        searchTitle : marker.search_title,
+        reason : reason,
+    };
+}
+
+/**
+ * @param {string} title
+ * @param {number?} year */
+export function movieDisplayTitle(title, year) {
+    return year ? `${title} (${year})` : title;
+}
+
+/**
+ * @param {string} show
+ * @param {number} seasonIndex
+ * @param {number} episodeIndex
+ * @param {string} title */
+export function episodeDisplayTitle(show, seasonIndex, episodeIndex, title) {
+    const pad = n => n.toString().padStart(2, '0');
+    return `${show} - S${pad(seasonIndex)}E${pad(episodeIndex)} - ${title}`;
+}
@@ -0,0 +1,495 @@
+import { ContextualLog } from '../Shared/ConsoleLog.js';
+import { MarkerType } from '../Shared/MarkerType.js';
+import { SectionType } from '../Shared/PlexTypes.js';
+
+import { ExtraData } from './PlexQueryManager.js';
+import ServerError from './ServerError.js';
+import TransactionBuilder from './TransactionBuilder.js';
+
+/** @typedef {!import('../Shared/PlexTypes').LibrarySection} LibrarySection */
+/** @typedef {!import('./PlexQueryManager').RawMarkerData} RawMarkerData */
+/** @typedef {!import('./SqliteDatabase').DbDictParameters} DbDictParameters */
+/** @typedef {!import('./SqliteDatabase').default} SqliteDatabase */
+
+/**
+ * @typedef {Object} PlexBackendOptions
+ * @property {string} type The PlexBackendType to use.
+ * @property {string} [url] The base URL of PMS, for the HTTP backend.
+ * @property {string} [token] The X-Plex-Token used to authenticate with PMS, for the HTTP backend.
+ */
+
+/**
+ * @typedef {Object} MarkerAdd
+ * @property {number} metadataId The movie/episode to add the marker to.
+ * @property {number} index The new marker's index in the list of existing markers.
+ * @property {number} start
+ * @property {number} end
+ * @property {string} markerType
+ * @property {number} final
+ * @property {number} [createdAt] The 'created at' time to set, if not now. Only supported by the database backend.
+ *
+ * @typedef {Object} MarkerEdit
+ * @property {number} metadataId The movie/episode the marker belongs to.
+ * @property {number} id
+ * @property {number} start
+ * @property {number} end
+ * @property {string} markerType
+ * @property {number} final
+ */
+
+
+const Log = ContextualLog.Create('PlexBackend');
+
+/** How long to wait for PMS to respond to a request, in milliseconds. */
+const RequestTimeout = 30_000;
+
+/**
+ * The available mechanisms for modifying Plex data.
+ * @enum */
+export const PlexBackendType = {
+    /** @readonly Write directly to the Plex database. Requires PMS to be shut down for safe edits. */
+    Sqlite : 'sqlite',
+    /** @readonly Go through the PMS HTTP API wherever possible, which is safe while PMS is running. */
+    Http : 'http',
+};
+
+/**
+ * A set of marker changes made by a single bulk operation. The database backend applies them all in a single
+ * transaction, while the HTTP backend sends them to PMS one marker at a time.
+ */
+export class MarkerChanges {
+    /** @type {MarkerAdd[]} */
+    adds = [];
+    /** @type {MarkerEdit[]} */
+    edits = [];
+    /** @type {{ id: number, parent_id: number }[]} */
+    deletes = [];
+    /** @type {{ id: number, index: number }[]} */
+    indexes = [];
+
+    /**
+     * Add a new marker to the given movie/episode.
+     * @param {number} metadataId
+     * @param {number} index
+     * @param {number} start
+     * @param {number} end
+     * @param {string} markerType
+     * @param {number} final
+     * @param {number} [createdAt] */
+    add(metadataId, index, start, end, markerType, final, createdAt) {
+        this.adds.push({ metadataId, index, start, end, markerType, final, createdAt });
+    }
+
+    /**
+     * Update the timings, type, and final flag of an existing marker.
+     * @param {number} metadataId
+     * @param {number} id
+     * @param {number} start
+     * @param {number} end
+     * @param {string} markerType
+     * @param {number} final */
+    edit(metadataId, id, start, end, markerType, final) {
+        this.edits.push({ metadataId, id, start, end, markerType, final });
+    }
+
+    /**
+     * Delete an existing marker.
+     * @param {{ id: number, parent_id: number }} marker */
+    delete(marker) {
+        this.deletes.push(marker);
+    }
+
+    /**
+     * Set the index of an existing marker.
+     * @param {number} id
+     * @param {number} index */
+    setIndex(id, index) {
+        this.indexes.push({ id, index });
+    }
+
+    /** @returns {boolean} Whether there are no changes to apply. */
+    empty() {
+        return this.adds.length + this.edits.length + this.deletes.length + this.indexes.length === 0;
+    }
+
+    toString() {
+        return `${this.adds.length} add(s), ${this.edits.length} edit(s), ${this.deletes.length} delete(s), ` +
+            `${this.indexes.length} index change(s)`;
+    }
+}
+
+/**
+ * The PlexBackend class provides the base interface for the operations PlexQueryManager delegates to
+ * the underlying data source. Everything else (and all complex queries) are made directly against
+ * the Plex database, as PMS doesn't expose the data needed for them.
+ */
+export class PlexBackend {
+    /**
+     * Create the backend described by the given options.
+     * @param {SqliteDatabase} database The Plex database connection.
+     * @param {number} markerTagId The database tag id that represents markers.
+     * @param {PlexBackendOptions} options
+     * @returns {Promise<PlexBackend>} */
+    static async Create(database, markerTagId, options) {
+        if (options?.type !== PlexBackendType.Http) {
+            return new SqliteBackend(database, markerTagId);
+        }
+
+        const http = new PlexHttpBackend(options.url, options.token);
+        await http.verifyConnection();
+        return http;
+    }
+
+    /** @returns {string} The PlexBackendType of this backend. */
+    type() {
+        Log.error(`type: This should not be called on the base class`);
+        throw new ServerError('Incorrect method call', 500);
+    }
+
+    /**
+     * Retrieve all movie and TV show libraries.
+     * @returns {Promise<LibrarySection[]>} */
+    getLibraries() {
+        Log.error(`getLibraries: This should not be called on the base class`);
+        throw new ServerError('Incorrect method call', 500);
+    }
+
+    /**
+     * Add a new marker to the given movie/episode.
+     * @param {number} metadataId The movie/episode to add the marker to.
+     * @param {number} index The new marker's index in the list of existing markers.
+     * @param {number} startMs
+     * @param {number} endMs
+     * @param {string} markerType
+     * @param {number} final Whether this is the last credits marker that goes to the end of the item.
+     * @returns {Promise<void>} */
+    addMarker(metadataId, index, startMs, endMs, markerType, final) {
+        Log.error(`addMarker: This should not be called on the base class (${metadataId}, ${index}, ${startMs}, ${endMs}, ` +
+            `${markerType}, ${final})`);
+        throw new ServerError('Incorrect method call', 500);
+    }
+
+    /**
+     * Update an existing marker.
+     * @param {number} metadataId The movie/episode the marker belongs to.
+     * @param {number} markerId
+     * @param {number} index The marker's new index.
+     * @param {number} startMs
+     * @param {number} endMs
+     * @param {string} markerType
+     * @param {number} final
+     * @returns {Promise<void>} */
+    editMarker(metadataId, markerId, index, startMs, endMs, markerType, final) {
+        Log.error(`editMarker: This should not be called on the base class (${metadataId}, ${markerId}, ${index}, ` +
+            `${startMs}, ${endMs}, ${markerType}, ${final})`);
+        throw new ServerError('Incorrect method call', 500);
+    }
+
+    /**
+     * Delete the given markers.
+     * @param {RawMarkerData[]} markers
+     * @returns {Promise<void>} */
+    deleteMarkers(markers) {
+        Log.error(`deleteMarkers: This should not be called on the base class (${markers.length} markers)`);
+        throw new ServerError('Incorrect method call', 500);
+    }
+
+    /**
+     * Set the index of existing markers.
+     * @param {{ id: number, index: number }[]} indexes
+     * @returns {Promise<void>} */
+    setIndexes(indexes) {
+        Log.error(`setIndexes: This should not be called on the base class (${indexes.length} markers)`);
+        throw new ServerError('Incorrect method call', 500);
+    }
+
+    /**
+     * Apply all changes made by a bulk operation.
+     * @param {MarkerChanges} changes
+     * @returns {Promise<void>} */
+    applyChanges(changes) {
+        Log.error(`applyChanges: This should not be called on the base class (${changes})`);
+        throw new ServerError('Incorrect method call', 500);
+    }
+
+    async close() {}
+}
+
+/**
+ * Backend that reads from and writes to the Plex database directly.
+ */
+export class SqliteBackend extends PlexBackend {
+    /** @type {SqliteDatabase} */
+    #database;
+    /** @type {number} */
+    #markerTagId;
+
+    /**
+     * @param {SqliteDatabase} database
+     * @param {number} markerTagId */
+    constructor(database, markerTagId) {
+        super();
+        this.#database = database;
+        this.#markerTagId = markerTagId;
+    }
+
+    type() { return PlexBackendType.Sqlite; }
+
+    getLibraries() {
+        return this.#database.all('SELECT id, section_type AS type, name FROM library_sections WHERE section_type=1 OR section_type=2');
+    }
+
+    addMarker(metadataId, index, startMs, endMs, markerType, final) {
+        const transaction = new TransactionBuilder(this.#database);
+        this.addMarkerStatement(transaction, metadataId, index, startMs, endMs, markerType, final);
+        return transaction.exec();
+    }
+
+    /**
+     * Helper that adds an 'add marker' statement to the given transaction.
+     * @param {TransactionBuilder} transaction
+     * @param {number} episodeId The episode to add the marker to.
+     * @param {number} newIndex New marker's index in the list of existing markers.
+     * @param {number} startMs Start time of the new marker, in milliseconds.
+     * @param {number} endMs End time of the new marker, in milliseconds.
+     * @param {string} markerType The type of marker (intro/credits)
+     * @param {number} final Whether this is the last credits marker that goes to the end of the episode
+     * @param {number} [createdAt] What to set as the 'created at' time. Used by bulkRestore to restore original timestamps. */
+    addMarkerStatement(transaction, episodeId, newIndex, startMs, endMs, markerType, final, createdAt=undefined) {
+        const validNumber = (n, name) => {
+            if (isNaN(newIndex) || (!newIndex && newIndex !== 0)) {
+                const realValue = n === undefined ? 'undefined' : n === null ? 'null' : n === '' ? '[Empty String]' : n;
+                Log.error(`Not adding marker, expected a number for parameter ${name}, found "${realValue}"`);
+                return false;
+            }
+
+            return true;
+        };
+
+        // The caller should have validated most of this already, but be extra sure we don't add invalid data
+        if (!validNumber(episodeId, 'episodeId')
+            || !validNumber(newIndex, 'newIndex')
+            || !validNumber (startMs, 'startMs')
+            || !validNumber(endMs, 'endMs')) {
+            throw new ServerError(`Unable to add one or more markers, invalid parameters given`, 500);
+        }
+
+        if (Object.values(MarkerType).indexOf(markerType) === -1) {
+            Log.error(`Not adding marker, unexpected type "${markerType}"`);
+            throw new ServerError(`Unable to add one or more markers, invalid marker type given (${markerType})`, 500);
+        }
+
+        const asRaw = new Set();
+        const created_at = isNaN(createdAt) ? `(strftime('%s','now'))` : createdAt;
+        if (isNaN(createdAt)) {
+            asRaw.add('$createdAt');
+        }
+
+        const addQuery =
+            'INSERT INTO taggings ' +
+                '(metadata_item_id, tag_id, `index`, text, time_offset, end_time_offset, thumb_url, created_at, extra_data) ' +
+            'VALUES ' +
+                `($metadataId, $tagId, $index, $text, $startMs, $endMs, "", $createdAt, $extraData);`;
+
+        /** @type {DbDictParameters} */
+        const parameters = {
+            $metadataId : episodeId,
+            $tagId : this.#markerTagId,
+            $index : newIndex,
+            $text : markerType,
+            $startMs : startMs,
+            $endMs : endMs,
+            $createdAt : created_at,
+            $extraData : ExtraData.get(markerType, final),
+            _asRaw : asRaw,
+        };
+
+        transaction.addStatement(addQuery, parameters);
+    }
+
+    editMarker(_metadataId, markerId, index, startMs, endMs, markerType, final) {
+        return this.#database.run(
+            'UPDATE taggings SET `index`=?, text=?, time_offset=?, end_time_offset=?, extra_data=? WHERE id=?;',
+            [index, markerType, startMs, endMs, ExtraData.get(markerType, final), markerId]);
+    }
+
+    deleteMarkers(markers) {
+        const transaction = new TransactionBuilder(this.#database);
+        for (const marker of markers) {
+            transaction.addStatement(`DELETE FROM taggings WHERE id=?;`, [marker.id]);
+        }
+
+        return transaction.exec();
+    }
+
+    async setIndexes(indexes) {
+        const transaction = new TransactionBuilder(this.#database);
+        for (const { id, index } of indexes) {
+            transaction.addStatement('UPDATE taggings SET `index`=? WHERE id=?;', [index, id]);
+        }
+
+        if (!transaction.empty()) {
+            Log.verbose(`setIndexes: Reindexing ${transaction.statementCount()} markers.`);
+            await transaction.exec();
+        }
+    }
+
+    applyChanges(changes) {
+        const transaction = new TransactionBuilder(this.#database);
+        for (const add of changes.adds) {
+            this.addMarkerStatement(transaction, add.metadataId, add.index, add.start, add.end, add.markerType, add.final, add.createdAt);
+        }
+
+        for (const edit of changes.edits) {
+            transaction.addStatement(
+                'UPDATE taggings SET text=?, time_offset=?, end_time_offset=?, extra_data=? WHERE id=?;',
+                [edit.markerType, edit.start, edit.end, ExtraData.get(edit.markerType, edit.final), edit.id]);
+        }
+
+        for (const marker of changes.deletes) {
+            transaction.addStatement('DELETE FROM taggings WHERE id=?;', [marker.id]);
+        }
+
+        for (const { id, index } of changes.indexes) {
+            transaction.addStatement('UPDATE taggings SET `index`=? WHERE id=?;', [index, id]);
+        }
+
+        return transaction.exec();
+    }
+}
+
+/**
+ * Backend that makes changes through the Plex Media Server HTTP API, so markers can be
+ * edited while PMS is running. PMS writes the changes to its own database, so reads
+ * still go through the database directly.
+ */
+export class PlexHttpBackend extends PlexBackend {
+    /** The base URL of PMS, without a trailing slash. */
+    #url;
+    /** @type {string} */
+    #token;
+
+    /**
+     * @param {string} url
+     * @param {string} token */
+    constructor(url, token) {
+        super();
+        if (!url) {
+            throw new ServerError(`The Plex HTTP backend requires the URL of Plex Media Server.`, 500);
+        }
+
+        this.#url = url.replace(/\/+$/, '');
+        this.#token = token;
+    }
+
+    type() { return PlexBackendType.Http; }
+
+    /**
+     * Ensure PMS is reachable and accepts our token, so we fail on boot instead of on the first edit. */
+    async verifyConnection() {
+        const identity = await this.#request('GET', '/identity');
+        Log.info(`Connected to Plex Media Server ${identity?.MediaContainer?.machineIdentifier ?? ''} at ${this.#url}`);
+    }
+
+    async getLibraries() {
+        /** @type {{ MediaContainer: { Directory?: { key: string, type: string, title: string }[] } }} */
+        const result = await this.#request('GET', '/library/sections');
+        const sectionTypes = { movie : SectionType.Movie, show : SectionType.TV };
+        return (result.MediaContainer.Directory ?? [])
+            .filter(section => sectionTypes[section.type])
+            .map(section => ({ id : parseInt(section.key), type : sectionTypes[section.type], name : section.title }));
+    }
+
+    async addMarker(metadataId, _index, startMs, endMs, markerType, final) {
+        // PMS determines the marker's index itself.
+        await this.#request('POST', `/library/metadata/${metadataId}/marker`, markerParameters(startMs, endMs, markerType, final));
+    }
+
+    async editMarker(metadataId, markerId, _index, startMs, endMs, markerType, final) {
+        await this.#request('PUT', `/library/metadata/${metadataId}/marker/${markerId}`,
+            markerParameters(startMs, endMs, markerType, final));
+    }
+
+    async deleteMarkers(markers) {
+        // No bulk delete endpoint, so delete them one at a time.
+        for (const marker of markers) {
+            await this.#request('DELETE', `/library/metadata/${marker.parent_id}/marker/${marker.id}`);
+        }
+    }
+
+    setIndexes(indexes) {
+        // PMS keeps marker indexes in order as they're added/edited/removed.
+        Log.tmi(`setIndexes: Ignoring ${indexes.length} index changes, PMS manages marker order.`);
+        return Promise.resolve();
+    }
+
+    async applyChanges(changes) {
+        // PMS has no bulk endpoints, so send each change separately. Delete first so PMS never
+        // sees new or edited markers that overlap with ones that are about to be removed.
+        Log.verbose(`applyChanges: Sending ${changes} to Plex Media Server.`);
+        await this.deleteMarkers(changes.deletes);
+        for (const edit of changes.edits) {
+            await this.editMarker(edit.metadataId, edit.id, -1 /*index*/, edit.start, edit.end, edit.markerType, edit.final);
+        }
+
+        for (const add of changes.adds) {
+            await this.addMarker(add.metadataId, add.index, add.start, add.end, add.markerType, add.final);
+        }
+
+        await this.setIndexes(changes.indexes);
+    }
+
+    /**
+     * Make a request to PMS, returning the parsed JSON response, if any.
+     * @param {string} method
+     * @param {string} path
+     * @param {{ [key: string]: string|number }} [parameters={}] */
+    async #request(method, path, parameters={}) {
+        const url = new URL(this.#url + path);
+        for (const [key, value] of Object.entries(parameters)) {
+            url.searchParams.append(key, value);
+        }
+
+        const headers = { Accept : 'application/json' };
+        if (this.#token) {
+            headers['X-Plex-Token'] = this.#token;
+        }
+
+        let response;
+        try {
+            response = await fetch(url, { method : method, headers : headers, signal : AbortSignal.timeout(RequestTimeout) });
+        } catch (err) {
+            if (err.name === 'TimeoutError') {
+                throw new ServerError(`Plex Media Server at ${this.#url} didn't respond to ${method} ${path} in time.`, 500);
+            }
+
+            throw new ServerError(`Unable to connect to Plex Media Server at ${this.#url}: ${err.message}`, 500);
+        }
+
+        if (!response.ok) {
+            if (response.status === 401) {
+                throw new ServerError(`Plex Media Server rejected the configured token.`, 500);
+            }
+
+            throw new ServerError(`Plex Media Server returned ${response.status} for ${method} ${path}.`, 500);
+        }
+
+        const text = await response.text();
+        return text ? JSON.parse(text) : null;
+    }
+}
+
+/**
+ * Retrieve the PMS query parameters that describe a marker.
+ * @param {number} startMs
+ * @param {number} endMs
+ * @param {string} markerType
+ * @param {number} final */
+function markerParameters(startMs, endMs, markerType, final) {
+    return {
+        type : markerType,
+        startTimeOffset : startMs,
+        endTimeOffset : endMs,
+        final : final ? 1 : 0,
+    };
+}
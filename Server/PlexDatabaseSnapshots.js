@@ -0,0 +1,207 @@
+import { existsSync, mkdirSync, readdirSync, rmSync, statSync } from 'fs';
+import { join } from 'path';
+
+import { ContextualLog } from '../Shared/ConsoleLog.js';
+import { PostCommands } from '../Shared/PostCommands.js';
+
+import { GetServerState, ServerState } from './ServerState.js';
+import { Config } from './Config/MarkerEditorConfig.js';
+import { PlexQueries } from './PlexQueryManager.js';
+import { registerCommand } from './Commands/PostCommand.js';
+import ServerError from './ServerError.js';
+import SqliteDatabase from './SqliteDatabase.js';
+
+/** @typedef {!import('../Shared/PlexTypes').PlexDbSnapshot} PlexDbSnapshot */
+
+
+const Log = ContextualLog.Create('PlexSnapshots');
+
+/**
+ * Snapshot file names are the time the snapshot was taken followed by the command that triggered it.
+ * Restore requests are checked against this to ensure we never touch anything outside the snapshot directory. */
+const SnapshotFileRegex = /^(?<created>\d+)-(?<reason>[a-z_]+)\.db$/;
+
+/**
+ * Singleton snapshot manager instance
+ * @type {PlexSnapshotManager}
+ * @readonly */ // Externally readonly
+let Instance;
+
+/**
+ * Takes copies of the Plex database before operations that can change or remove many existing markers at once
+ * (bulk deletes, shifts, overwriting copies/imports/restores, undo/redo, section wipes), and allows restoring one of those copies if something
+ * went wrong. Snapshots are taken with SQLite's online backup API, so they're consistent even if PMS is running.
+ */
+class PlexSnapshotManager {
+    /**
+     * Create the singleton snapshot manager.
+     * @param {string} dataRoot The root of the data directory. Snapshots are stored in Backup/Snapshots. */
+    static CreateInstance(dataRoot) {
+        if (Instance) {
+            Log.verbose(`Snapshot manager already initialized, replacing it.`);
+        }
+
+        Instance = new PlexSnapshotManager(join(dataRoot, 'Backup', 'Snapshots'));
+        return Instance;
+    }
+
+    /**
+     * Clear out the singleton instance. Snapshots can be restored while the server is
+     * suspended, so the manager is only cleared if we're really shutting down.
+     * @param {boolean} fullShutdown */
+    static Close(fullShutdown) {
+        if (fullShutdown) {
+            Instance = null;
+        }
+    }
+
+    /**
+     * The directory snapshots are stored in.
+     * @type {string} */
+    #root;
+
+    /** @param {string} root The directory to store snapshots in. */
+    constructor(root) {
+        this.#root = root;
+    }
+
+    /**
+     * Snapshot the Plex database before running a destructive command, then remove any snapshots that
+     * exceed the configured retention limits. No-op if snapshots are disabled.
+     * @param {string} reason The PostCommand that's about to modify the database.
+     * @throws {ServerError} If the snapshot could not be taken, in which case the command shouldn't continue. */
+    async snapshot(reason) {
+        if (!Config.snapshotCount()) {
+            Log.verbose(`Snapshots are disabled, not backing up the database before "${reason}"`);
+            return;
+        }
+
+        await this.#take(PlexQueries.database(), reason);
+        this.#prune();
+    }
+
+    /**
+     * Retrieve all available snapshots, newest first.
+     * @returns {PlexDbSnapshot[]} */
+    list() {
+        if (!existsSync(this.#root)) {
+            return [];
+        }
+
+        /** @type {PlexDbSnapshot[]} */
+        const snapshots = [];
+        for (const file of readdirSync(this.#root)) {
+            const match = SnapshotFileRegex.exec(file);
+            if (!match) {
+                continue;
+            }
+
+            snapshots.push({
+                name : file,
+                reason : match.groups.reason,
+                created : parseInt(match.groups.created),
+                size : statSync(join(this.#root, file)).size,
+            });
+        }
+
+        return snapshots.sort((a, b) => b.created - a.created);
+    }
+
+    /**
+     * Overwrite the Plex database with the given snapshot. The server must be suspended so we don't have any
+     * open connections or caches that would be out of sync with the restored database. The current database
+     * is snapshotted first, so the restore itself can be undone.
+     * @param {string} name The file name of the snapshot to restore. */
+    async restore(name) {
+        if (GetServerState() !== ServerState.Suspended) {
+            throw new ServerError(`The server must be suspended before restoring a snapshot.`, 400);
+        }
+
+        const snapshotPath = join(this.#root, name);
+        if (!SnapshotFileRegex.test(name) || !existsSync(snapshotPath)) {
+            throw new ServerError(`Snapshot "${name}" does not exist.`, 404);
+        }
+
+        const db = await SqliteDatabase.OpenDatabase(PlexSnapshotManager.#databaseFile(), false /*allowCreate*/);
+        try {
+            if (Config.snapshotCount()) {
+                await this.#take(db, PostCommands.RestoreSnapshot);
+            }
+
+            Log.info(`Restoring Plex database from snapshot ${name}...`);
+            await db.backup(snapshotPath, true /*restore*/);
+            Log.info(`Restored Plex database from snapshot ${name}`);
+        } finally {
+            await db.close();
+        }
+
+        // Prune after restoring, as the pre-restore snapshot could otherwise push out the one we're restoring.
+        this.#prune();
+        return { restored : name };
+    }
+
+    /**
+     * Copy the given database into a new snapshot file.
+     * @param {SqliteDatabase} db
+     * @param {string} reason */
+    async #take(db, reason) {
+        mkdirSync(this.#root, { recursive : true });
+        const path = join(this.#root, `${Date.now()}-${reason}.db`);
+        const start = Date.now();
+        try {
+            await db.backup(path);
+        } catch (err) {
+            rmSync(path, { force : true });
+            Log.error(err.message, `Failed to snapshot the Plex database`);
+            throw new ServerError(`Unable to back up the Plex database before running "${reason}", not continuing.`, 500);
+        }
+
+        Log.info(`Snapshotted the Plex database before "${reason}" in ${Date.now() - start}ms`);
+    }
+
+    /**
+     * Remove snapshots beyond the configured count or age. Does nothing if snapshots
+     * are disabled, since existing snapshots may still be useful. */
+    #prune() {
+        const maxCount = Config.snapshotCount();
+        if (!maxCount) {
+            return;
+        }
+
+        const maxAgeDays = Config.snapshotMaxAge();
+        const cutoff = maxAgeDays > 0 ? Date.now() - (maxAgeDays * 24 * 60 * 60 * 1000) : 0;
+        this.list().forEach((snapshot, index) => {
+            if (index < maxCount && snapshot.created >= cutoff) {
+                return;
+            }
+
+            try {
+                rmSync(join(this.#root, snapshot.name));
+                Log.verbose(`Removed old snapshot ${snapshot.name}`);
+            } catch (err) {
+                Log.warn(err.message, `Unable to remove old snapshot ${snapshot.name}`);
+            }
+        });
+    }
+
+    /**
+     * Return the path to the Plex database file itself, as the config can point to the folder containing it.
+     * @returns {string} */
+    static #databaseFile() {
+        const databasePath = Config.databasePath();
+        if (statSync(databasePath, { throwIfNoEntry : false })?.isDirectory()) {
+            return join(databasePath, 'com.plexapp.plugins.library.db');
+        }
+
+        return databasePath;
+    }
+}
+
+/**
+ * Register POST handlers related to Plex database snapshots. */
+export function registerSnapshotCommands() {
+    registerCommand(PostCommands.GetSnapshots, _ => Instance.list());
+    registerCommand(PostCommands.RestoreSnapshot, q => Instance.restore(q.s('name')));
+}
+
+export { PlexSnapshotManager, Instance as PlexSnapshots };
@@ -1,14 +1,14 @@
 import { join } from 'path';
 import { statSync } from 'fs';
 
-import { BulkMarkerResolveType, EpisodeData, MarkerConflictResolution, MarkerData } from '../Shared/PlexTypes.js';
+import { BulkMarkerResolveType, EpisodeData, MarkerConflictResolution, MarkerData, MovieData } from '../Shared/PlexTypes.js';
 import { ConsoleLog, ContextualLog } from '../Shared/ConsoleLog.js';
 import { MarkerEnum, MarkerType } from '../Shared/MarkerType.js';
 
+import { MarkerChanges, PlexBackend, PlexBackendType, SqliteBackend } from './PlexBackend.js';
 import MarkerEditCache from './MarkerEditCache.js';
 import ServerError from './ServerError.js';
 import SqliteDatabase from './SqliteDatabase.js';
-import TransactionBuilder from './TransactionBuilder.js';
 
 /** @typedef {!import('../Shared/PlexTypes').BulkAddResultEntry} BulkAddResultEntry */
 /** @typedef {!import('../Shared/PlexTypes').BulkAddResult} BulkAddResult */
@@ -17,7 +17,7 @@ import TransactionBuilder from './TransactionBuilder.js';
 /** @typedef {!import('../Shared/PlexTypes').CustomBulkAddMap} CustomBulkAddMap */
 /** @typedef {!import('../Shared/PlexTypes').LibrarySection} LibrarySection */
 /** @typedef {!import('../Shared/PlexTypes').MarkerAction} MarkerAction */
-/** @typedef {!import('./SqliteDatabase').DbDictParameters} DbDictParameters */
+/** @typedef {!import('./PlexBackend').PlexBackendOptions} PlexBackendOptions */
 
 /**
  * @typedef {{ id : number, index : number, start : number, end : number, modified_date : number|null, created_at : number,
@@ -29,8 +29,8 @@ import TransactionBuilder from './TransactionBuilder.js';
  *
  * @typedef {{ id: number, title: string, index: number, episode_count: number }} RawSeasonData
  *
- * @typedef {{ title: string, index: number, id: number, season: string, season_index: number,
- *             show: string, duration: number, parts: number}} RawEpisodeData
+ * @typedef {{ title: string, index: number, id: number, season: string, season_id: number, season_index: number,
+ *             show: string, show_id: number, duration: number, parts: number}} RawEpisodeData
  *
  * @typedef {{ id: number, title: string, title_sort: string, original_title: string, year: number,
  *             edition: string, duration: number }} RawMovieData
@@ -49,6 +49,17 @@ import TransactionBuilder from './TransactionBuilder.js';
  *            modifiedMarkers: ModifiedMarkerDetails[], ignoredActions: MarkerAction[]}} BulkRestoreResult
  *
  * @typedef {{ start: number, end: number, marker_type: string, final: number, modified_at: number|null }} MinimalMarkerAction
+ *
+ * @typedef {{ id: number, marker_type: string, start: number, end: number, parent_id: number, season_id: number,
+ *             show_id: number, title: string, search_title: string, season_index: number, episode_index: number,
+ *             year: number|null }} RawMarkerTimingData
+ *
+ * @typedef {{ id: number, guid: string, section_id: number, metadata_type: number, title: string, index: number,
+ *             year: number|null, season_id: number, show_id: number, season_index: number|null,
+ *             show_title: string|null }} RawSyncItem
+ *
+ * @typedef {{ parent_id: number, marker_type: string, start: number, end: number, created_at: number,
+ *             extra_data: string|null }} RawSyncMarker
  */
 
 
@@ -185,6 +196,11 @@ class PlexQueryManager {
     /** @type {SqliteDatabase} */
     #database;
 
+    /**
+     * The backend used to retrieve libraries and make marker changes, which might go through PMS instead of the database.
+     * @type {PlexBackend} */
+    #backend;
+
     /** The default fields to return for an individual marker, which includes the episode/season/show/section id. */
     #extendedEpisodeMarkerFields = `
     taggings.id,
@@ -225,13 +241,48 @@ FROM taggings
     /**
      * Creates a new PlexQueryManager instance. This show always be used opposed to creating
      * a PlexQueryManager directly via 'new'.
-     * @param {string} databasePath The path to the Plex database. */
-    static async CreateInstance(databasePath) {
+     * @param {string} databasePath The path to the Plex database.
+     * @param {PlexBackendOptions} [backendOptions] How to make changes to Plex data. Defaults to the database itself. */
+    static async CreateInstance(databasePath, backendOptions) {
         if (Instance) {
             Log.warn(`Query manager already initialized, we shouldn't be initializing it again`);
             await Instance.close();
         }
 
+        const { db, markerTagId, isLegacy } = await PlexQueryManager.#openPlexDatabase(databasePath);
+        if (isLegacy) {
+            Log.verbose('PMS < 1.40 detected, falling back to legacy extra_data (non-JSON)');
+            ExtraData.isLegacy = true;
+        } else if (isLegacy === false) {
+            Log.verbose('PMS >= 1.40 detected, using JSON for extra_data');
+        } else {
+            Log.warn('No existing markers found. Assuming PMS >=1.40. If you are not running PMS >= 1.40, DO NOT ADD CUSTOM MARKERS.');
+        }
+
+        Log.info('Database verified');
+
+        let backend;
+        try {
+            backend = await PlexBackend.Create(db, markerTagId, backendOptions);
+        } catch (err) {
+            await db.close();
+            throw err;
+        }
+
+        Log.info(`Using the ${backend.type()} backend for marker changes`);
+
+        // Something's gone terribly wrong if we've initiated multiple calls to CreateInstance/Close
+        // eslint-disable-next-line require-atomic-updates
+        Instance = new PlexQueryManager(db, markerTagId, backend);
+        return Instance;
+    }
+
+    /**
+     * Open the Plex database at the given path, verifying that it looks like the Plex database.
+     * @param {string} databasePath The path to the Plex database, or the folder that contains it.
+     * @returns {Promise<{ db: SqliteDatabase, markerTagId: number, isLegacy: boolean|undefined }>} The opened database,
+     *          its marker tag id, and whether it uses pre-PMS 1.40 extra_data (undefined if there aren't any markers). */
+    static async #openPlexDatabase(databasePath) {
         Log.info(`Verifying database ${databasePath}...`);
         const dbInfo = statSync(databasePath, { throwIfNoEntry : false });
         if (!dbInfo) {
@@ -264,6 +315,9 @@ FROM taggings
         }
 
         Log.tmi(`Opened database, making sure it looks like the Plex database`);
+        let markerTagId;
+        /** @type {boolean|undefined} */
+        let isLegacy;
         try {
             Log.tmi(`Checking tags table for marker tag_type`);
             const row = await db.get('SELECT id FROM tags WHERE tag_type=12;');
@@ -282,33 +336,45 @@ FROM taggings
                 throw new ServerError(`Plex database must contain at least one marker.`, 500);
             }
 
+            markerTagId = row.id;
+
             Log.tmi(`Checking taggings table for extra_data to determine PMS version.`);
 
             // Need to check extra_data of a marker to determine whether we should use plain text or JSON strings
             // for markers' extra_data.
-            const marker = await db.get('SELECT extra_data FROM taggings WHERE tag_id=?', [row.id]);
-            if (!marker) {
-                Log.warn('No existing markers found. Assuming PMS >=1.40. If you are not running PMS >= 1.40, DO NOT ADD CUSTOM MARKERS.');
-            } else if (marker.extra_data && marker.extra_data[0] !== '{') {
-                Log.verbose('PMS < 1.40 detected, falling back to legacy extra_data (non-JSON)');
-                ExtraData.isLegacy = true;
-            } else {
-                Log.verbose('PMS >= 1.40 detected, using JSON for extra_data');
+            const marker = await db.get('SELECT extra_data FROM taggings WHERE tag_id=?', [markerTagId]);
+            if (marker) {
+                isLegacy = !!marker.extra_data && marker.extra_data[0] !== '{';
             }
-
-            Log.info('Database verified');
-            // Something's gone terribly wrong if we've initiated multiple calls to CreateInstance/Close
-            // eslint-disable-next-line require-atomic-updates
-            Instance = new PlexQueryManager(db, row.id);
-            return Instance;
         } catch (err) {
             Log.error(`Are you sure "${databasePath}" is the Plex database, and has at least one existing marker?`);
             if (err instanceof Error && err.message?.startsWith('SQLITE_CANTOPEN')) {
                 Log.error(`\tNOTE: This might be caused by attempting to open a database stored on a network drive.`);
             }
 
+            await db.close();
             throw ServerError.FromDbError(err);
         }
+
+        return { db, markerTagId, isLegacy };
+
+
+    }
+
+    /**
+     * Creates a PlexQueryManager for a Plex database other than the one this application is editing,
+     * e.g. another server to sync markers with. Unlike CreateInstance, this doesn't replace the global
+     * instance, always writes to the database directly, and should be closed by the caller.
+     * @param {string} databasePath The path to the other Plex database.
+     * @returns {Promise<PlexQueryManager>} */
+    static async CreateSecondaryInstance(databasePath) {
+        const { db, markerTagId, isLegacy } = await PlexQueryManager.#openPlexDatabase(databasePath);
+        if (isLegacy !== undefined && isLegacy !== ExtraData.isLegacy) {
+            await db.close();
+            throw new ServerError(`"${databasePath}" is from a different version of PMS than the main database, cannot continue.`, 400);
+        }
+
+        return new PlexQueryManager(db, markerTagId);
     }
 
     /**
@@ -346,15 +412,19 @@ FROM taggings
     /**
      * Initializes the query manager. Should only be called via the static CreateInstance.
      * @param {SqliteDatabase} database
-     * @param {markerTagId} markerTagId The database tag id that represents markers. */
-    constructor(database, markerTagId) {
+     * @param {markerTagId} markerTagId The database tag id that represents markers.
+     * @param {PlexBackend} [backend] The backend to use for marker changes. Defaults to the database itself. */
+    constructor(database, markerTagId, backend) {
         this.#database = database;
         this.#markerTagId = markerTagId;
+        this.#backend = backend ?? new SqliteBackend(database, markerTagId);
     }
 
     /** On process exit, close the database connection. */
     async close() {
         Log.verbose(`Shutting down Plex database connection...`);
+        await this.#backend?.close();
+        this.#backend = null;
         if (this.#database) {
             try {
                 await this.#database.close();
@@ -369,13 +439,15 @@ FROM taggings
 
     markerTagId() { return this.#markerTagId; }
     database() { return this.#database; }
+    /** @returns {string} The PlexBackendType used for marker changes. */
+    backendType() { return this.#backend.type(); }
 
-    /** Retrieve all movie and TV show libraries in the database.
+    /** Retrieve all movie and TV show libraries.
      *
-     * Fields returned: `id`, `name`.
+     * Fields returned: `id`, `type`, `name`.
      * @returns {Promise<LibrarySection[]>} */
     getLibraries() {
-        return this.#database.all('SELECT id, section_type AS type, name FROM library_sections WHERE section_type=1 OR section_type=2');
+        return this.#backend.getLibraries();
     }
 
     /**
@@ -455,13 +527,21 @@ ORDER BY seasons.\`index\` ASC;`;
     /**
      * Retrieve all episodes in the given season.
      *
-     * Fields returned: `title`, `index`, `id`, `season`, `season_index`, `show`, `duration`, `parts`.
+     * Fields returned: `title`, `index`, `id`, `season`, `season_id`, `season_index`, `show`, `show_id`, `duration`, `parts`.
      * @param {number} seasonMetadataId
      * @returns {Promise<RawEpisodeData[]>} */
     getEpisodes(seasonMetadataId) {
         return this.#getEpisodesCore(seasonMetadataId, `p.id`);
     }
 
+    /**
+     * Retrieve all episodes in the given library section.
+     * @param {number} sectionId
+     * @returns {Promise<RawEpisodeData[]>} */
+    getSectionEpisodes(sectionId) {
+        return this.#getEpisodesCore(sectionId, `e.library_section_id`);
+    }
+
     /**
      * Return all episodes for the given show, season, or episode id.
      * @param {number} metadataId
@@ -480,6 +560,20 @@ ORDER BY seasons.\`index\` ASC;`;
         return this.#getEpisodesCore(metadataId, where);
     }
 
+    /**
+     * Return all base items for the given movie, show, season, or episode id, i.e. the
+     * movie itself, or all episodes that belong to the show/season/episode.
+     * @param {number} metadataId
+     * @returns {Promise<RawEpisodeData[]|RawMovieData[]>} */
+    async getBaseItemsAuto(metadataId) {
+        const typeInfo = await this.#mediaTypeFromId(metadataId);
+        if (typeInfo.metadata_type === MetadataType.Movie) {
+            return this.getMoviesFromList([metadataId]);
+        }
+
+        return this.getEpisodesAuto(metadataId);
+    }
+
     #getEpisodesCore(metadataId, whereClause) {
         // Multiple joins to grab the season name, show name, and episode duration (MAX so that we capture
         // the longest available episode, as Plex seems fine with ends beyond the media's length).
@@ -489,8 +583,10 @@ SELECT
     e.\`index\` AS \`index\`,
     e.id AS id,
     p.title AS season,
+    p.id AS season_id,
     p.\`index\` AS season_index,
     g.title AS show,
+    g.id AS show_id,
     MAX(m.duration) AS duration,
     COUNT(e.id) AS parts
 FROM metadata_items e
@@ -667,6 +763,81 @@ ORDER BY e.\`index\` ASC;`;
         return dict;
     }
 
+    /**
+     * Retrieve the media files for all "base" items (movies or episodes) in the given section.
+     * @param {number} sectionId
+     * @returns {Promise<{ id: number, media_id: number, file: string, duration: number }[]>} */
+    getMediaFiles(sectionId) {
+        const query = `
+SELECT base.id AS id, media_items.id AS media_id, media_parts.file AS file, media_items.duration AS duration
+FROM metadata_items base
+INNER JOIN media_items ON media_items.metadata_item_id=base.id
+INNER JOIN media_parts ON media_parts.media_item_id=media_items.id
+WHERE base.library_section_id=? AND (base.metadata_type=? OR base.metadata_type=?) AND media_parts.file IS NOT NULL;`;
+        return this.#database.all(query, [sectionId, MetadataType.Movie, MetadataType.Episode]);
+    }
+
+    /**
+     * Retrieve the media files for all episodes in the given show or season, ordered by season and episode.
+     * @param {number} metadataId The show/season metadata id.
+     * @returns {Promise<{ id: number, media_id: number, season_id: number, season_index: number, index: number,
+     *                     file: string, duration: number }[]>} */
+    async getEpisodeFiles(metadataId) {
+        let where = '';
+        const typeInfo = await this.#mediaTypeFromId(metadataId);
+        switch (typeInfo.metadata_type) {
+            case MetadataType.Show:   where = `p.parent_id`; break;
+            case MetadataType.Season: where = `p.id`; break;
+            default:
+                throw new ServerError(`Item ${metadataId} is not a season or series`, 400);
+        }
+
+        const query = `
+SELECT e.id AS id, media_items.id AS media_id, p.id AS season_id, p.\`index\` AS season_index, e.\`index\` AS \`index\`,
+    media_parts.file AS file, media_items.duration AS duration
+FROM metadata_items e
+INNER JOIN metadata_items p ON e.parent_id=p.id
+INNER JOIN media_items ON media_items.metadata_item_id=e.id
+INNER JOIN media_parts ON media_parts.media_item_id=media_items.id
+WHERE ${where}=? AND e.metadata_type=? AND media_parts.file IS NOT NULL
+ORDER BY p.\`index\` ASC, e.\`index\` ASC, media_items.id ASC, media_parts.id ASC;`;
+        return this.#database.all(query, [metadataId, MetadataType.Episode]);
+    }
+
+    /**
+     * Retrieve the media files for the given movie/episode, or all episodes in the given show/season.
+     * @param {number} metadataId
+     * @returns {Promise<{ id: number, media_id: number, file: string, duration: number }[]>} */
+    async getBaseItemFiles(metadataId) {
+        let seasonJoin = '';
+        let where = '';
+        const typeInfo = await this.#mediaTypeFromId(metadataId);
+        switch (typeInfo.metadata_type) {
+            case MetadataType.Movie:
+            case MetadataType.Episode:
+                where = `base.id`;
+                break;
+            case MetadataType.Season:
+                where = `base.parent_id`;
+                break;
+            case MetadataType.Show:
+                seasonJoin = `\nINNER JOIN metadata_items season ON base.parent_id=season.id`;
+                where = `season.parent_id`;
+                break;
+            default:
+                throw new ServerError(`Item ${metadataId} is not a movie, episode, season, or series`, 400);
+        }
+
+        const query = `
+SELECT base.id AS id, media_items.id AS media_id, media_parts.file AS file, media_items.duration AS duration
+FROM metadata_items base
+INNER JOIN media_items ON media_items.metadata_item_id=base.id
+INNER JOIN media_parts ON media_parts.media_item_id=media_items.id${seasonJoin}
+WHERE ${where}=? AND (base.metadata_type=? OR base.metadata_type=?) AND media_parts.file IS NOT NULL
+ORDER BY base.id ASC, media_items.id ASC, media_parts.id ASC;`;
+        return this.#database.all(query, [metadataId, MetadataType.Movie, MetadataType.Episode]);
+    }
+
     /**
      * Does some post-processing on the given marker data to extract relevant fields.
      * @param {RawMarkerData[]|RawMarkerData} markerData */
@@ -778,6 +949,33 @@ ORDER BY e.\`index\` ASC;`;
         return this.#database.all(markerQuery, parameters);
     }
 
+    /**
+     * Retrieve every marker in the database.
+     * @returns {Promise<RawMarkerData[]>} */
+    async getAllMarkers() {
+        const episodeMarkers = await this.#database.all(
+            `SELECT ${this.#extendedEpisodeMarkerFields} WHERE taggings.tag_id=?;`, [this.#markerTagId]);
+        const movieMarkers = await this.#database.all(
+            `SELECT ${this.#extendedMovieMarkerFields} WHERE taggings.tag_id=? AND movies.metadata_type=?;`,
+            [this.#markerTagId, MetadataType.Movie]);
+        return this.#postProcessExtendedMarkerFields(episodeMarkers.concat(movieMarkers));
+    }
+
+    /**
+     * Retrieve a summary of every marker in the database that changes whenever a marker is added, removed, or
+     * edited. Much cheaper than getAllMarkers, as it only looks at the taggings table.
+     * @returns {Promise<string>} */
+    async getMarkerFingerprint() {
+        // Weight each marker's values by its id, so e.g. swapping the timestamps of two markers is still noticed.
+        const query = `
+SELECT COUNT(*) AS count, MAX(id) AS max_id,
+    SUM(id * metadata_item_id % 1000003) AS parents,
+    SUM(id * (time_offset + end_time_offset * 3) % 1000003) AS timestamps,
+    SUM(id * (LENGTH(text) + LENGTH(COALESCE(extra_data, '')) * 3) % 1000003) AS details
+FROM taggings WHERE tag_id=?;`;
+        return JSON.stringify(await this.#database.get(query, [this.#markerTagId]));
+    }
+
     /**
      * Retrieve all markers for a single episode.
      * @param {number} metadataId
@@ -1008,18 +1206,7 @@ ORDER BY e.\`index\` ASC;`;
             throw new ServerError(`Attempting to make a new marker final, but it won't be the last marker of the episode.`, 400);
         }
 
-        // Use a transaction to share common add statement with bulk operations
-        const transaction = new TransactionBuilder(this.#database);
-        this.#addMarkerStatement(
-            transaction,
-            metadataId,
-            newIndex,
-            startMs,
-            endMs,
-            markerType,
-            final);
-
-        await transaction.exec();
+        await this.#backend.addMarker(metadataId, newIndex, startMs, endMs, markerType, final);
 
         // Insert succeeded, update indexes of other markers if necessary
         await this.reindex(metadataId);
@@ -1028,68 +1215,6 @@ ORDER BY e.\`index\` ASC;`;
         return { allMarkers, newMarker };
     }
 
-    /**
-     * Helper that adds an 'add marker' statement to the given transaction.
-     * @param {TransactionBuilder} transaction
-     * @param {number} episodeId The episode to add the marker to.
-     * @param {number} newIndex New marker's index in the list of existing markers.
-     * @param {number} startMs Start time of the new marker, in milliseconds.
-     * @param {number} endMs End time of the new marker, in milliseconds.
-     * @param {string} markerType The type of marker (intro/credits)
-     * @param {number} final Whether this is the last credits marker that goes to the end of the episode
-     * @param {number} [createdAt] What to set as the 'created at' time. Used by bulkRestore to restore original timestamps. */
-    #addMarkerStatement(transaction, episodeId, newIndex, startMs, endMs, markerType, final, createdAt=undefined) {
-        const validNumber = (n, name) => {
-            if (isNaN(newIndex) || (!newIndex && newIndex !== 0)) {
-                const realValue = n === undefined ? 'undefined' : n === null ? 'null' : n === '' ? '[Empty String]' : n;
-                Log.error(`Not adding marker, expected a number for parameter ${name}, found "${realValue}"`);
-                return false;
-            }
-
-            return true;
-        };
-
-        // The caller should have validated most of this already, but be extra sure we don't add invalid data
-        if (!validNumber(episodeId, 'episodeId')
-            || !validNumber(newIndex, 'newIndex')
-            || !validNumber (startMs, 'startMs')
-            || !validNumber(endMs, 'endMs')) {
-            throw new ServerError(`Unable to add one or more markers, invalid parameters given`, 500);
-        }
-
-        if (Object.values(MarkerType).indexOf(markerType) === -1) {
-            Log.error(`Not adding marker, unexpected type "${markerType}"`);
-            throw new ServerError(`Unable to add one or more markers, invalid marker type given (${markerType})`, 500);
-        }
-
-        const asRaw = new Set();
-        const created_at = isNaN(createdAt) ? `(strftime('%s','now'))` : createdAt;
-        if (isNaN(createdAt)) {
-            asRaw.add('$createdAt');
-        }
-
-        const addQuery =
-            'INSERT INTO taggings ' +
-                '(metadata_item_id, tag_id, `index`, text, time_offset, end_time_offset, thumb_url, created_at, extra_data) ' +
-            'VALUES ' +
-                `($metadataId, $tagId, $index, $text, $startMs, $endMs, "", $createdAt, $extraData);`;
-
-        /** @type {DbDictParameters} */
-        const parameters = {
-            $metadataId : episodeId,
-            $tagId : this.#markerTagId,
-            $index : newIndex,
-            $text : markerType,
-            $startMs : startMs,
-            $endMs : endMs,
-            $createdAt : created_at,
-            $extraData : ExtraData.get(markerType, final),
-            _asRaw : asRaw,
-        };
-
-        transaction.addStatement(addQuery, parameters);
-    }
-
     /**
      * Restore multiple markers at once.
      * NOTE: This method is shared between purge restoration and marker import. If changes are made,
@@ -1128,7 +1253,7 @@ ORDER BY e.\`index\` ASC;`;
         const toDelete = [];
         /** @type {{[id: number]: ModifiedMarkerDetails}} */
         const toModify = {};
-        const transaction = new TransactionBuilder(this.#database);
+        const changes = new MarkerChanges();
         for (const [baseItemId, markerActions] of Object.entries(actions)) {
             markerActions.sort((a, b) => a.start - b.start);
             /** @type {MinimalMarkerAction} */
@@ -1276,7 +1401,7 @@ ORDER BY e.\`index\` ASC;`;
                 }
 
                 ++expectedInserts;
-                this.#addMarkerStatement(transaction,
+                changes.add(
                     parseInt(baseItemId),
                     marker.newIndex,
                     marker.start,
@@ -1290,7 +1415,7 @@ ORDER BY e.\`index\` ASC;`;
             for (const marker of Object.values(existingMarkers[baseItemId])) {
                 if (marker.index !== marker.newIndex && marker.existing()) {
                     Log.tmi(`Found marker to reindex (was ${marker.index}, now ${marker.newIndex})`);
-                    transaction.addStatement('UPDATE taggings SET `index`=? WHERE id=?;', [marker.newIndex, marker.id]);
+                    changes.setIndex(marker.id, marker.newIndex);
                 }
             }
         }
@@ -1300,20 +1425,19 @@ ORDER BY e.\`index\` ASC;`;
         }
 
         for (const marker of toDelete) {
-            transaction.addStatement('DELETE FROM taggings WHERE id=?;', [marker.id]);
+            changes.delete(marker);
         }
 
         for (const markerInfo of Object.values(toModify)) {
             const newData = markerInfo.newData;
             // Index is taken care of further down below.
-            transaction.addStatement(
-                'UPDATE taggings SET text=?, time_offset=?, end_time_offset=?, extra_data=? WHERE id=?',
-                [newData.newType,
-                    newData.newStart,
-                    newData.newEnd,
-                    ExtraData.get(newData.newType, newData.newFinal),
-                    markerInfo.marker.id]
-            );
+            changes.edit(
+                markerInfo.marker.parent_id,
+                markerInfo.marker.id,
+                newData.newStart,
+                newData.newEnd,
+                newData.newType,
+                newData.newFinal);
         }
 
         if (expectedInserts === 0) {
@@ -1336,12 +1460,12 @@ ORDER BY e.\`index\` ASC;`;
             }
         }
 
-        Log.tmi('Built full restore query:\n' + transaction.toString());
+        Log.tmi(`Built full restore: ${changes}`);
 
         try {
-            transaction.exec();
+            await this.#backend.applyChanges(changes);
         } catch (err) {
-            throw ServerError.FromDbError(err);
+            throw err instanceof ServerError ? err : ServerError.FromDbError(err);
         }
 
         Log.verbose('Successfully restored markers to Plex database');
@@ -1451,6 +1575,7 @@ ORDER BY e.\`index\` ASC;`;
 
     /**
      * Updates the start/end/update time of the marker with the given id.
+     * @param {number} metadataId The movie/episode the marker belongs to.
      * @param {number} markerId
      * @param {number} index The marker's new index in the marker table.
      * @param {number} startMs The new start time, in milliseconds.
@@ -1458,18 +1583,16 @@ ORDER BY e.\`index\` ASC;`;
      * @param {string} markerType The type of marker (intro/credits)
      * @param {number} final Whether this Credits marker goes to the end of the media item.
      * @returns {Promise<void>} */
-    editMarker(markerId, index, startMs, endMs, markerType, final) {
-        return this.#database.run(
-            'UPDATE taggings SET `index`=?, text=?, time_offset=?, end_time_offset=?, extra_data=? WHERE id=?;',
-            [index, markerType, startMs, endMs, ExtraData.get(markerType, final), markerId]);
+    editMarker(metadataId, markerId, index, startMs, endMs, markerType, final) {
+        return this.#backend.editMarker(metadataId, markerId, index, startMs, endMs, markerType, final);
     }
 
     /**
-     * Delete the given marker from the database.
-     * @param {number} markerId
+     * Delete the given marker.
+     * @param {RawMarkerData} marker
      * @returns {Promise<void>} */
-    deleteMarker(markerId) {
-        return this.#database.run('DELETE FROM taggings WHERE id=?;', [markerId]);
+    deleteMarker(marker) {
+        return this.#backend.deleteMarkers([marker]);
     }
 
     /**
@@ -1493,6 +1616,44 @@ ORDER BY e.\`index\` ASC;`;
         return marker[0];
     }
 
+    /**
+     * Retrieve the timings of all markers in the given section, along with the details
+     * needed to identify the movie/episode they belong to.
+     *
+     * Fields returned: `id`, `marker_type`, `start`, `end`, `parent_id`, `season_id`, `show_id`,
+     * `title`, `search_title`, `season_index`, `episode_index`, `year`
+     * @param {number} sectionId
+     * @param {number} [showId=-1] Limit results to a single show, if not -1. Ignored for movie sections.
+     * @returns {Promise<RawMarkerTimingData[]>} */
+    async markerTimingsForSection(sectionId, showId=-1) {
+        const baseType = await this.#baseItemTypeFromSection(sectionId);
+        if (baseType === MetadataType.Movie) {
+            return this.#database.all(`
+            SELECT taggings.id, taggings.text AS marker_type, taggings.time_offset AS start, taggings.end_time_offset AS end,
+                movies.id AS parent_id, -1 AS season_id, -1 AS show_id, movies.title AS title, movies.title AS search_title,
+                -1 AS season_index, -1 AS episode_index, movies.year AS year
+            FROM taggings
+                INNER JOIN metadata_items movies ON taggings.metadata_item_id = movies.id
+            WHERE taggings.tag_id=? AND movies.library_section_id=?;`, [this.#markerTagId, sectionId]);
+        }
+
+        const showFilter = showId === -1 ? '' : ' AND shows.id=?';
+        const parameters = [this.#markerTagId, sectionId];
+        if (showId !== -1) {
+            parameters.push(showId);
+        }
+
+        return this.#database.all(`
+        SELECT taggings.id, taggings.text AS marker_type, taggings.time_offset AS start, taggings.end_time_offset AS end,
+            episodes.id AS parent_id, seasons.id AS season_id, shows.id AS show_id, episodes.title AS title,
+            shows.title AS search_title, seasons.\`index\` AS season_index, episodes.\`index\` AS episode_index, NULL AS year
+        FROM taggings
+            INNER JOIN metadata_items episodes ON taggings.metadata_item_id = episodes.id
+            INNER JOIN metadata_items seasons ON episodes.parent_id = seasons.id
+            INNER JOIN metadata_items shows ON seasons.parent_id = shows.id
+        WHERE taggings.tag_id=? AND episodes.library_section_id=?${showFilter};`, parameters);
+    }
+
     /**
      * Retrieve all base items (episodes/movies) and their markers (if any) in the given section.
      *
@@ -1513,6 +1674,48 @@ ORDER BY e.\`index\` ASC;`;
         return this.#database.all(query, [sectionId, baseType]);
     }
 
+    /**
+     * Retrieve every movie/episode in the given section (or the entire server if sectionId is -1), along with
+     * every marker for those items, in a form that can be compared against another server's database.
+     * @param {number} sectionId
+     * @returns {Promise<{ items: RawSyncItem[], markers: RawSyncMarker[] }>} */
+    async getSyncData(sectionId) {
+        const sectionFilter = sectionId === -1 ? '' : ' AND base.library_section_id=?';
+        const parameters = sectionId === -1 ? [] : [sectionId];
+        const items = await this.#database.all(`
+SELECT
+    base.id AS id,
+    base.guid AS guid,
+    base.library_section_id AS section_id,
+    base.metadata_type AS metadata_type,
+    base.title AS title,
+    base.\`index\` AS \`index\`,
+    base.year AS year,
+    (CASE WHEN season.id IS NULL THEN -1 ELSE season.id END) AS season_id,
+    (CASE WHEN season.id IS NULL THEN -1 ELSE season.parent_id END) AS show_id,
+    season.\`index\` AS season_index,
+    shows.title AS show_title
+FROM metadata_items base
+    LEFT JOIN metadata_items season ON base.parent_id=season.id
+    LEFT JOIN metadata_items shows ON season.parent_id=shows.id
+WHERE (base.metadata_type=1 OR base.metadata_type=4)${sectionFilter};`, parameters);
+
+        const markers = await this.#database.all(`
+SELECT
+    taggings.metadata_item_id AS parent_id,
+    taggings.text AS marker_type,
+    taggings.time_offset AS start,
+    taggings.end_time_offset AS end,
+    taggings.created_at AS created_at,
+    taggings.extra_data AS extra_data
+FROM taggings
+    INNER JOIN metadata_items base ON taggings.metadata_item_id=base.id
+WHERE taggings.tag_id=?${sectionFilter}
+ORDER BY taggings.time_offset ASC;`, [this.#markerTagId, ...parameters]);
+
+        return { items, markers };
+    }
+
     /**
      * Retrieve the base item type for a given section, i.e. the media type
      * that can actually have markers associated with it.
@@ -1551,7 +1754,7 @@ ORDER BY e.\`index\` ASC;`;
             limits[episode.id] = episode.duration;
         }
 
-        const transaction = new TransactionBuilder(this.#database);
+        const changes = new MarkerChanges();
         let expectedShifts = 0;
         let backupSection = undefined;
         for (const episodeMarkers of Object.values(markers)) {
@@ -1572,14 +1775,11 @@ ORDER BY e.\`index\` ASC;`;
                         `puts it outside the bounds of the episode (0-${maxDuration})!`, 400);
                 }
 
-                transaction.addStatement(
-                    'UPDATE taggings SET time_offset=?, end_time_offset=? WHERE id=?',
-                    [newStart, newEnd, marker.id]
-                );
+                changes.edit(marker.parent_id, marker.id, newStart, newEnd, marker.marker_type, marker.final);
             }
         }
 
-        await transaction.exec();
+        await this.#backend.applyChanges(changes);
         const newMarkers = await this.getMarkersForItems(episodeIds, backupSection);
         // No ignored markers, no need to prune
         if (newMarkers.length === expectedShifts) {
@@ -1609,7 +1809,8 @@ ORDER BY e.\`index\` ASC;`;
             (episodeMap[marker.parent_id] ??= []).push(marker);
         }
 
-        const transaction = new TransactionBuilder(this.#database);
+        /** @type {{ id: number, index: number }[]} */
+        const indexes = [];
         for (const markerGroup of Object.values(episodeMap)) {
             markerGroup.sort((a, b) => a.start - b.start).forEach((marker, index) => {
                 marker.newIndex = index;
@@ -1617,30 +1818,37 @@ ORDER BY e.\`index\` ASC;`;
 
             for (const marker of markerGroup) {
                 if (marker.newIndex !== marker.index) {
-                    transaction.addStatement('UPDATE taggings SET `index`=? WHERE id=?;', [marker.newIndex, marker.id]);
+                    indexes.push({ id : marker.id, index : marker.newIndex });
                     marker.index = marker.newIndex;
                 }
             }
         }
 
-        if (!transaction.empty()) {
-            Log.verbose(`reindex: Reindexing ${transaction.statementCount()} markers.`);
-            await transaction.exec();
+        if (indexes.length > 0) {
+            await this.#backend.setIndexes(indexes);
         }
 
         return markerInfo;
     }
 
     /**
-     * Delete all markers with the given ids.
+     * Delete all the given markers.
      * @param {RawMarkerData[]} markers */
     bulkDelete(markers) {
-        const transaction = new TransactionBuilder(this.#database);
-        for (const marker of markers) {
-            transaction.addStatement(`DELETE FROM taggings WHERE id=?;`, [marker.id]);
+        return this.#backend.deleteMarkers(markers);
+    }
+
+    /**
+     * Update the timings, type, and final flag of the given markers.
+     * Does not reindex, the caller is responsible for ensuring indexes are correct afterwards.
+     * @param {{ [markerId: number]: { parentId: number, start: number, end: number, markerType: string, final: number } }} edits */
+    bulkEdit(edits) {
+        const changes = new MarkerChanges();
+        for (const [markerId, edit] of Object.entries(edits)) {
+            changes.edit(edit.parentId, +markerId, edit.start, edit.end, edit.markerType, edit.final);
         }
 
-        return transaction.exec();
+        return this.#backend.applyChanges(changes);
     }
 
     /**
@@ -1660,7 +1868,7 @@ ORDER BY e.\`index\` ASC;`;
         const realTimestamp = (offset, episode) =>
             (offset < 0 || Object.is(offset, -0)) ? episode.duration + offset : offset;
 
-        const episodeData = await this.getEpisodesAuto(metadataId);
+        const episodeData = await this.getBaseItemsAuto(metadataId);
         const ignoredEpisodes = new Set(ignored);
         for (const episode of episodeData) {
             if (!ignoredEpisodes.has(episode.id)) {
@@ -1668,7 +1876,7 @@ ORDER BY e.\`index\` ASC;`;
             }
         }
 
-        return this.#bulkAddCore(metadataId, markerData.markers, bulkMarkerAddData, episodeData, markerType, resolveType);
+        return this.#bulkAddCore(metadataId, markerData, bulkMarkerAddData, episodeData, markerType, resolveType);
     }
 
     /**
@@ -1679,22 +1887,24 @@ ORDER BY e.\`index\` ASC;`;
      * @param {number} resolveType The `BulkMarkerResolveType`
      * @param {CustomBulkAddMap} newMarkers The map of episode ids to the custom start/end timestamps. */
     async bulkAddCustom(markerData, metadataId, markerType, resolveType, newMarkers) {
-        const existingMarkers = markerData.markers;
-        const episodeData = await this.getEpisodesAuto(metadataId);
-        return this.#bulkAddCore(metadataId, existingMarkers, newMarkers, episodeData, markerType, resolveType);
+        const episodeData = await this.getBaseItemsAuto(metadataId);
+        return this.#bulkAddCore(metadataId, markerData, newMarkers, episodeData, markerType, resolveType);
     }
 
     /**
-     * Core operation that adds markers to multiple episodes, with multiple overlapping marker resolution strategies.
+     * Core operation that adds markers to multiple episodes (or a single movie), with multiple
+     * overlapping marker resolution strategies.
      * @param {number} metadataId Metadata id for the item that encompasses all episodes associated with this action.
-     * @param {RawMarkerData[]} existingMarkers Existing markers for all episodes that belong to `metadataId`.
+     * @param {MarkersWithTypeInfo} markerInfo Existing markers for all episodes that belong to `metadataId`.
      * @param {CustomBulkAddMap} newMarkers The map of episode ids to the new markers to add.
-     * @param {RawEpisodeData[]} episodeData The episode data for all items under the given metadata id
+     * @param {RawEpisodeData[]|RawMovieData[]} episodeData The episode/movie data for all items under the given metadata id
      * @param {string} markerType Type of marker (intro/credits)
      * @param {number} resolveType The `BulkMarkerResolveType`
      * @returns {Promise<BulkAddResult>} */
     /* eslint-disable-next-line complexity */ // TODO: eslint is right, this is massive and should be broken up.
-    async #bulkAddCore(metadataId, existingMarkers, newMarkers, episodeData, markerType, resolveType) {
+    async #bulkAddCore(metadataId, markerInfo, newMarkers, episodeData, markerType, resolveType) {
+        const existingMarkers = markerInfo.markers;
+        const BaseItemData = markerInfo.typeInfo.metadata_type === MetadataType.Movie ? MovieData : EpisodeData;
         const ignoredEpisodes = new Set();
 
         // Only need to iterate over episodes that we're attempting to add a marker to,
@@ -1704,7 +1914,7 @@ ORDER BY e.\`index\` ASC;`;
         const episodeMarkerMap = {};
         for (const episode of episodeData) {
             // Add data even for ignored markers, purely to make client-side reporting easier.
-            episodeMarkerMap[episode.id] = { episodeData : new EpisodeData(episode), existingMarkers : [] };
+            episodeMarkerMap[episode.id] = { episodeData : new BaseItemData(episode), existingMarkers : [] };
             if (!episodeIds.has(episode.id)) {
                 ignoredEpisodes.add(episode.id);
             }
@@ -1771,7 +1981,7 @@ ORDER BY e.\`index\` ASC;`;
         const mergeEdited = new Set();
         // Set of episodeIds that have a normal add. Correlate after reindex with start and end time, map to episodeMap.addedMarkers
         const plainAdd = new Set();
-        const transaction = new TransactionBuilder(this.#database);
+        const changes = new MarkerChanges();
 
         // Pass 3: Apply new markers and adjust them as necessary
         for (const episodeId of episodeIds) {
@@ -1780,10 +1990,10 @@ ORDER BY e.\`index\` ASC;`;
             const duration = episodeMarkerMap[episodeId].episodeData.duration;
             const newEnd = Math.min(duration, newMarker.end);
             // bool vs number shouldn't matter, since it only really matters for backup db purposes, but be consistent.
-            const final = (markerType === MarkerType.Credits && newMarker.end >= duration) ? 1 : 0;
+            const final = (markerType === MarkerType.Credits && (newMarker.final ?? newMarker.end >= duration)) ? 1 : 0;
             const episodeMarkers = episodeMarkerMap[episodeId].existingMarkers;
             if (!episodeMarkers || episodeMarkers.length === 0) {
-                this.#addMarkerStatement(transaction, episodeId, 0 /*newIndex*/, newStart, newEnd, markerType, final);
+                changes.add(episodeId, 0 /*newIndex*/, newStart, newEnd, markerType, final);
                 plainAdd.add(episodeId);
                 episodeMarkerMap[episodeId].isAdd = true;
                 continue;
@@ -1796,7 +2006,7 @@ ORDER BY e.\`index\` ASC;`;
                 if (episodeMarker.end < newStart) {
                     if (i === existingCount - 1) {
                         // We're adding beyond the last marker
-                        this.#addMarkerStatement(transaction, episodeId, existingCount, newStart, newEnd, markerType, final);
+                        changes.add(episodeId, existingCount, newStart, newEnd, markerType, final);
                         plainAdd.add(episodeId);
                         episodeMarkerMap[episodeId].isAdd = true;
                     }
@@ -1816,26 +2026,25 @@ ORDER BY e.\`index\` ASC;`;
                         // Merge next marker into existing, deleting next marker.
                         const nextMarker = episodeMarkers[++i];
                         endAdj = Math.max(endAdj, nextMarker.end);
-                        transaction.addStatement(`DELETE FROM taggings WHERE id=?;`, [nextMarker.id]);
+                        changes.delete({ id : nextMarker.id, parent_id : episodeId });
                         (episodeMarkerMap[episodeId].deletedMarkers ??= []).push(nextMarker);
                     }
 
                     if (resolveType === BulkMarkerResolveType.Merge) {
                         episodeMarker.start = Math.min(newStart, episodeMarker.start);
                         episodeMarker.end = endAdj;
-                        transaction.addStatement(
-                            `UPDATE taggings SET time_offset=?, end_time_offset=? WHERE id=?;`,
-                            [episodeMarker.start, episodeMarker.end, episodeMarker.id]);
+                        changes.edit(episodeId, episodeMarker.id, episodeMarker.start, episodeMarker.end,
+                            episodeMarker.markerType, episodeMarker.isFinal ? 1 : 0);
                         episodeMarkerMap[episodeId].isAdd = false;
                         mergeEdited.add(episodeMarker.id);
                         break;
                     } else {
-                        transaction.addStatement(`DELETE FROM taggings WHERE id=?;`, [episodeMarker.id]);
+                        changes.delete({ id : episodeMarker.id, parent_id : episodeId });
                         (episodeMarkerMap[episodeId].deletedMarkers ??= []).push(episodeMarker);
                     }
                 }
 
-                this.#addMarkerStatement(transaction, episodeId, i, newStart, newEnd, markerType, final);
+                changes.add(episodeId, i, newStart, newEnd, markerType, final);
                 episodeMarkerMap[episodeId].isAdd = true;
                 plainAdd.add(episodeId);
                 break;
@@ -1845,7 +2054,7 @@ ORDER BY e.\`index\` ASC;`;
         // Clear existing markers and refill with reindexed markers
         Object.values(episodeMarkerMap).forEach(eg => eg.existingMarkers = []);
 
-        await transaction.exec();
+        await this.#backend.applyChanges(changes);
         const adjustedMarkers = (await this.reindex(metadataId)).markers;
         for (const marker of adjustedMarkers) {
             const markerData = new MarkerData(marker);
@@ -1894,23 +2103,16 @@ ORDER BY e.\`index\` ASC;`;
         markerTypeFilter = markerTypeFilter.substring(4);
         whereClause += markerTypeFilter + ')';
 
-        // Determine how many markers we're deleting, purely for reporting
-        const countQuery =
-`SELECT COUNT(*) AS count FROM taggings
+        const markerQuery =
+`SELECT taggings.id AS id, taggings.metadata_item_id AS parent_id FROM taggings
  INNER JOIN metadata_items m ON m.id=taggings.metadata_item_id
  ${whereClause};`;
-        const deleteCount = (await this.#database.get(countQuery, params)).count;
+        /** @type {{ id: number, parent_id: number }[]} */
+        const markers = await this.#database.all(markerQuery, params);
 
-        const deleteQuery = `
-DELETE FROM taggings
-WHERE metadata_item_id in (SELECT id FROM metadata_items WHERE library_section_id=?)
-    AND tag_id=?
-    AND (${markerTypeFilter});`;
-
-        Log.info(`Attempting to delete ${deleteCount} markers for section ${section}.`);
-        Log.tmi(params, deleteQuery + `\nParams`);
-        await this.#database.run(deleteQuery, params);
-        return deleteCount;
+        Log.info(`Attempting to delete ${markers.length} markers for section ${section}.`);
+        await this.#backend.deleteMarkers(markers);
+        return markers.length;
     }
 
     /**
@@ -1918,6 +2120,12 @@ WHERE metadata_item_id in (SELECT id FROM metadata_items WHERE library_section_i
      * was commandeered to indicate when a marker had been last modified, and whether the marker
      * was user-created. Remove that and rely on our own marker actions database. */
     async removeThumbUrlHack() {
+        if (this.#backend.type() !== PlexBackendType.Sqlite) {
+            // PMS doesn't expose thumb_url, and leftover values don't affect how it treats markers.
+            Log.warn(`removeThumbUrlHack - Not clearing thumb_url entries, the Plex HTTP backend can't modify them.`);
+            return;
+        }
+
         const hackCountQuery = `SELECT COUNT(*) AS count FROM taggings WHERE tag_id=? AND LENGTH(thumb_url) > 0;`;
         const count = (await this.#database.get(hackCountQuery, [this.#markerTagId])).count;
         Log.info(`removeThumbUrlHack - Removing ${count} hacked thumb_url entries.`);
@@ -1,19 +1,31 @@
 /** @typedef {!import('express').Request} ExpressRequest */
 /** @typedef {!import('express').Response} ExpressResponse */
 
+import { BatchIdHeader, CommandRoles, PostCommands, UserRole } from '../Shared/PostCommands.js';
+import { getLocalQueryParser, getQueryParser } from './QueryParse.js';
 import { GetServerState, ServerState } from './ServerState.js';
 import { sendJsonError, sendJsonSuccess } from './ServerHelpers.js';
 import { Config } from './Config/MarkerEditorConfig.js';
 import { ContextualLog } from '../Shared/ConsoleLog.js';
+import { DatabaseWatcher } from './DatabaseWatcher.js';
 import { getPostCommand } from './Commands/PostCommand.js';
-import { getQueryParser } from './QueryParse.js';
-import { PostCommands } from '../Shared/PostCommands.js';
+import { registerAuditCommands } from './Commands/AuditCommands.js';
 import { registerAuthCommands } from './Commands/AuthenticationCommands.js';
+import { registerAutoRestoreCommands } from './AutoRestoreManager.js';
 import { registerConfigCommands } from './Commands/ConfigCommands.js';
 import { registerCoreCommands } from './Commands/CoreCommands.js';
+import { registerCreditsDetectionCommands } from './CreditsDetection.js';
 import { registerImportExportCommands } from './ImportExport.js';
+import { registerIntroDetectionCommands } from './IntroDetection.js';
+import { registerMarkerSyncCommands } from './MarkerSync.js';
 import { registerPurgeCommands } from './Commands/PurgeCommands.js';
 import { registerQueryCommands } from './Commands/QueryCommands.js';
+import { registerSidecarExportCommands } from './SidecarExport.js';
+import { registerSidecarImportCommands } from './SidecarImport.js';
+import { registerSnapshotCommands } from './PlexDatabaseSnapshots.js';
+import { registerUndoCommands } from './Commands/UndoCommands.js';
+import { registerWebhookCommands } from './Webhooks.js';
+import { runAsActor } from './RequestContext.js';
 import ServerError from './ServerError.js';
 import { User } from './Authentication/Authentication.js';
 
@@ -33,6 +45,9 @@ const noAuthWhitelist = new Set([
     PostCommands.NeedsPassword,
 ]);
 
+/** The actor for commands run from the command line. */
+const LocalActor = Object.freeze({ username : null, clientIp : 'cli' });
+
 /**
  * Verify that the given endpoint is allowed given the current server state.
  * @param {string} endpoint
@@ -43,6 +58,11 @@ function throwIfBadEndpoint(endpoint, request) {
         if (!noAuthWhitelist.has(endpoint) && (endpoint !== PostCommands.ChangePassword || User.passwordSet())) {
             throw new ServerError(`${endpoint} is not allowed without authentication`, 401);
         }
+    } else if (Config.useAuth()) {
+        const role = User.sessionUser(request)?.role ?? UserRole.Viewer;
+        if (role < (CommandRoles[endpoint] ?? UserRole.Admin)) {
+            throw new ServerError(`${endpoint} is not allowed for this user`, 403);
+        }
     }
 
     // Like above, allow change_password if a password isn't set, as that may be part of the initial setup.
@@ -53,6 +73,27 @@ function throwIfBadEndpoint(endpoint, request) {
     }
 }
 
+/**
+ * Retrieve who is making the given request, so marker actions can be attributed to them.
+ * @param {ExpressRequest} request
+ * @returns {import('./RequestContext').RequestActor} */
+function requestActor(request) {
+    return {
+        username : Config.useAuth() ? User.sessionUser(request)?.username ?? null : null,
+        clientIp : request.ip ?? request.socket?.remoteAddress ?? null,
+        batchIds : [],
+    };
+}
+
+/**
+ * Run the given command's handler, letting the database watcher know if it may modify markers.
+ * @param {string} endpoint
+ * @param {() => Promise<any>} fn */
+function runHandler(endpoint, fn) {
+    // Commands that viewers can run don't modify anything.
+    return (CommandRoles[endpoint] ?? UserRole.Admin) > UserRole.Viewer ? DatabaseWatcher.TrackWrite(fn) : fn();
+}
+
 /**
  * Register all available POST endpoints. */
 export function registerPostCommands() {
@@ -61,12 +102,22 @@ export function registerPostCommands() {
         return;
     }
 
+    registerAutoRestoreCommands();
     registerConfigCommands();
     registerCoreCommands();
+    registerCreditsDetectionCommands();
     registerImportExportCommands();
+    registerIntroDetectionCommands();
+    registerMarkerSyncCommands();
     registerPurgeCommands();
     registerQueryCommands();
+    registerSidecarExportCommands();
+    registerSidecarImportCommands();
+    registerSnapshotCommands();
+    registerUndoCommands();
+    registerWebhookCommands();
     registerAuthCommands();
+    registerAuditCommands();
 }
 
 /**
@@ -82,7 +133,14 @@ export async function runPostCommand(endpoint, request, response) {
         const command = getPostCommand(endpoint);
         const handler = command.handler();
         const params = await getQueryParser(request, response);
-        const result = await handler(params);
+        const actor = requestActor(request);
+        const result = await runAsActor(actor, () => runHandler(endpoint, () => handler(params)));
+
+        // Let the client know which batch to reference if it wants to undo this request.
+        if (actor.batchIds.length > 0) {
+            response.setHeader(BatchIdHeader, actor.batchIds.at(-1));
+        }
+
         if (!command.ownsResponse()) {
             sendJsonSuccess(response, result);
         }
@@ -92,3 +150,32 @@ export async function runPostCommand(endpoint, request, response) {
         sendJsonError(response, err, +err.code || 500);
     }
 }
+
+/**
+ * Run the given command outside of an HTTP request, returning its result directly. Any marker actions
+ * are attributed to the current actor (see runAsActor), and it's up to the caller to verify the actor
+ * is allowed to run the command.
+ * @param {string} endpoint
+ * @param {{ [key: string]: string|number }} [params={}]
+ * @param {import('./FormDataParse.js').ParsedFormData} [formData={}]
+ * @throws {ServerError} If the endpoint does not exist or the command fails. */
+export function runDirectCommand(endpoint, params={}, formData={}) {
+    const command = getPostCommand(endpoint);
+    if (command.ownsResponse()) {
+        throw new ServerError(`${endpoint} can only be run as part of an HTTP request.`, 400);
+    }
+
+    const handler = command.handler();
+    return runHandler(endpoint, () => handler(getLocalQueryParser(params, formData)));
+}
+
+/**
+ * Run the given command on behalf of the command line interface, which is only available to someone
+ * who already has access to the server's config and database, so there are no authentication or role checks.
+ * @param {string} endpoint
+ * @param {{ [key: string]: string|number }} [params={}]
+ * @param {import('./FormDataParse.js').ParsedFormData} [formData={}]
+ * @throws {ServerError} If the endpoint does not exist or the command fails. */
+export function runLocalCommand(endpoint, params={}, formData={}) {
+    return runAsActor(LocalActor, () => runDirectCommand(endpoint, params, formData));
+}
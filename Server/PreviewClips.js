@@ -0,0 +1,143 @@
+import { spawn } from 'child_process';
+
+/** @typedef {!import('express').Response} ExpressResponse */
+
+import { ContextualLog } from '../Shared/ConsoleLog.js';
+
+import { Config } from './Config/MarkerEditorConfig.js';
+import { PlexQueries } from './PlexQueryManager.js';
+import ServerError from './ServerError.js';
+import { testFfmpeg } from './ServerHelpers.js';
+
+
+const Log = ContextualLog.Create('PreviewClips');
+
+/** The longest clip we'll generate, in milliseconds. Clips are meant for verifying boundaries, not watching. */
+export const MaxClipMs = 30000;
+
+/** How long we let ffmpeg run before giving up on a clip, in milliseconds. */
+const ClipTimeoutMs = 60000;
+
+/**
+ * Build the ffmpeg arguments that write the given portion of a file to stdout as a streamable MP4.
+ * @param {string} path The media file to read from.
+ * @param {number} start The start of the clip, in milliseconds.
+ * @param {number} end The end of the clip, in milliseconds.
+ * @param {boolean} direct Whether to copy the original streams instead of transcoding. Much cheaper, but the
+ *                         clip will start at the keyframe before `start`, and may not be playable in the browser. */
+export function clipArgs(path, start, end, direct) {
+    const codecArgs = direct ?
+        [   '-c', 'copy',                            // Keep the original streams
+            '-avoid_negative_ts', 'make_zero'] :     // Start at 0 even though we likely started before the requested keyframe
+        [   '-vf', `scale=-2:'min(480,ih)'`,         // Small enough to be quick, large enough to see what's happening
+            '-c:v', 'libx264', '-preset', 'veryfast', '-crf', '28',
+            '-c:a', 'aac', '-ac', '2', '-b:a', '128k'];
+    return [
+        '-hide_banner', '-loglevel', 'error', // Only care about actual errors
+        '-ss', `${start}ms`,                  // Accurate seek, since we're transcoding (or copying from the closest keyframe)
+        '-i', path,                           // Input file
+        '-t', `${end - start}ms`,             // Clip length
+        '-map', '0:v:0', '-map', '0:a:0?',    // First video stream, and first audio stream if it exists
+        ...codecArgs,
+        '-movflags', 'frag_keyframe+empty_moov+default_base_moof', // Fragmented MP4 so it can be streamed without seeking
+        '-f', 'mp4',
+        'pipe:1'];
+}
+
+/**
+ * Static class that streams short clips of movies/episodes, allowing users to verify marker
+ * boundaries more precisely than still thumbnails allow.
+ */
+export class PreviewClips {
+    /**
+     * Stream the given portion of a movie/episode.
+     * @param {ExpressResponse} res
+     * @param {number} metadataId The movie/episode to grab the clip from.
+     * @param {number} start The start of the clip, in milliseconds.
+     * @param {number} end The end of the clip, in milliseconds.
+     * @param {boolean} direct Whether to copy the original streams instead of transcoding them. */
+    static async streamClip(res, metadataId, start, end, direct) {
+        if (start < 0 || end <= start) {
+            throw new ServerError(`Invalid clip range ${start}-${end}`, 400);
+        }
+
+        if (end - start > MaxClipMs) {
+            throw new ServerError(`Clips can be at most ${MaxClipMs / 1000} seconds long`, 400);
+        }
+
+        const { path, duration } = await PreviewClips.#findFile(metadataId);
+        if (start >= duration) {
+            throw new ServerError(`Clip start ${start} is beyond the end of the item (${duration})`, 400);
+        }
+
+        if (!testFfmpeg()) {
+            throw new ServerError(`FFmpeg could not be found on your path, so preview clips cannot be generated.`, 400);
+        }
+
+        await PreviewClips.#stream(res, clipArgs(path, start, Math.min(end, duration), direct));
+        Log.verbose(`Streamed ${direct ? 'direct' : 'transcoded'} clip ${start}-${end} of ${metadataId}`);
+    }
+
+    /**
+     * Find a readable, single-file version of the given movie/episode.
+     * @param {number} metadataId
+     * @returns {Promise<{ path: string, duration: number }>} */
+    static async #findFile(metadataId) {
+        const items = Config.singleFileVersions(await PlexQueries.getBaseItemFiles(metadataId));
+        if (items.size > 1 || (items.size === 1 && !items.has(metadataId))) {
+            throw new ServerError(`Preview clips can only be generated for individual movies and episodes`, 400);
+        }
+
+        const found = await Config.findVersionFile(items.get(metadataId) ?? []);
+        if (!found) {
+            throw new ServerError(`Unable to find a media file for ${metadataId}`, 404);
+        }
+
+        return { path : found.path, duration : found.version.duration };
+    }
+
+    /**
+     * Run ffmpeg with the given arguments, piping its output to the response. Headers aren't
+     * written until ffmpeg gives us data, so we can still return an error if it fails outright.
+     * @param {ExpressResponse} res
+     * @param {string[]} args */
+    static #stream(res, args) {
+        return new Promise((resolve, reject) => {
+            const ffmpeg = spawn('ffmpeg', args, { stdio : ['ignore', 'pipe', 'pipe'], timeout : ClipTimeoutMs });
+            let stderr = '';
+            ffmpeg.stderr.on('data', data => { stderr = (stderr + data).slice(-2048); });
+            ffmpeg.stdout.once('data', chunk => {
+                res.writeHead(200, {
+                    'Content-Type' : 'video/mp4',
+                    'Cache-Control' : 'no-store',
+                    'x-content-type-options' : 'nosniff',
+                });
+
+                res.write(chunk);
+                ffmpeg.stdout.pipe(res);
+            });
+
+            // Don't keep transcoding if the user navigated away.
+            res.on('close', () => {
+                if (ffmpeg.exitCode === null) {
+                    ffmpeg.kill();
+                }
+            });
+
+            ffmpeg.on('error', err => {
+                if (!res.headersSent) {
+                    reject(new ServerError(`Unable to start FFmpeg: ${err.message}`, 500));
+                }
+            });
+
+            ffmpeg.on('close', code => {
+                if (res.headersSent) {
+                    resolve();
+                } else {
+                    Log.warn(stderr.trim(), `FFmpeg exited with code ${code} before generating a clip`);
+                    reject(new ServerError(`Unable to generate preview clip.`, 500));
+                }
+            });
+        });
+    }
+}
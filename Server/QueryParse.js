@@ -57,6 +57,14 @@ export class QueryParser {
         return this;
     }
 
+    /**
+     * Initialize this query parser with the given form data instead of reading it from a request body.
+     * @param {ParsedFormData} formData */
+    initLocal(formData) {
+        this.#formData = formData;
+        return this;
+    }
+
     /**
      * Return the raw request.
      * @returns {ExpressRequest} */
@@ -183,3 +191,14 @@ export async function getQueryParser(request, response) {
     await parser.init();
     return parser;
 }
+
+/**
+ * Create a query parser for a command that doesn't originate from an HTTP request, e.g. the command line.
+ * @param {{ [key: string]: string|number }} params The query parameters to pass to the command.
+ * @param {ParsedFormData} [formData={}] Any form data the command expects. */
+export function getLocalQueryParser(params, formData={}) {
+    initGuard = true;
+    const parser = new QueryParser({ url : `/?${new URLSearchParams(params)}` }, null /*response*/);
+    initGuard = false;
+    return parser.initLocal(formData);
+}
@@ -0,0 +1,44 @@
+import { AsyncLocalStorage } from 'async_hooks';
+
+/**
+ * Who is responsible for the current operation.
+ * @typedef {Object} RequestActor
+ * @property {string?} username The signed-in user, or null if authentication is disabled.
+ * @property {string?} clientIp The IP address the request came from.
+ * @property {number[]} [batchIds] The ids of the marker action batches created on behalf of the actor,
+ *                                 so the client can reference them later (e.g. to undo the operation).
+ */
+
+/** @type {AsyncLocalStorage<RequestActor>} */
+const storage = new AsyncLocalStorage();
+
+/** The actor for operations that weren't triggered by a request, e.g. scheduled auto-restores. */
+const NoActor = Object.freeze({ username : null, clientIp : null });
+
+/**
+ * Run the given function, associating any operations it performs with the given actor.
+ * Avoids having to pass request details through every layer that might record a marker action.
+ * @template T
+ * @param {RequestActor} actor
+ * @param {() => T} fn
+ * @returns {T} */
+export function runAsActor(actor, fn) {
+    return storage.run(actor, fn);
+}
+
+/**
+ * Run the given function without an actor. Timers inherit the context they were created in, so background
+ * tasks scheduled while handling a request must use this to avoid being attributed to that request.
+ * @template T
+ * @param {() => T} fn
+ * @returns {T} */
+export function runWithoutActor(fn) {
+    return storage.exit(fn);
+}
+
+/**
+ * Retrieve the actor responsible for the current operation.
+ * @returns {RequestActor} */
+export function currentActor() {
+    return storage.getStore() ?? NoActor;
+}
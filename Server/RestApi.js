@@ -0,0 +1,617 @@
+/** @typedef {!import('express').Request} ExpressRequest */
+/** @typedef {!import('express').Response} ExpressResponse */
+/** @typedef {!import('express').Router} ExpressRouter */
+
+import { default as express } from 'express';
+
+import { CommandRoles, PostCommands, UserRole } from '../Shared/PostCommands.js';
+import { GetServerState, ServerState } from './ServerState.js';
+import { MarkerEnum, MarkerType } from '../Shared/MarkerType.js';
+import { sendJsonError, sendJsonSuccess } from './ServerHelpers.js';
+import { ApiKeys } from './Authentication/ApiKeys.js';
+import { Config } from './Config/MarkerEditorConfig.js';
+import { ContextualLog } from '../Shared/ConsoleLog.js';
+import { flattenPurges } from './Commands/PurgeCommands.js';
+import { MarkerConflictResolution } from '../Shared/PlexTypes.js';
+import { runAsActor } from './RequestContext.js';
+import { runDirectCommand } from './PostCommands.js';
+import ServerError from './ServerError.js';
+import { User } from './Authentication/Authentication.js';
+
+/**
+ * @typedef {Object} ApiParameter
+ * @property {string} name
+ * @property {'integer'|'string'|'boolean'|'integer[]'} type
+ * @property {string} description
+ * @property {boolean} [required=false]
+ * @property {any} [default] The value to use if the parameter isn't given.
+ * @property {string[]} [enum] The only values allowed for string parameters.
+ */
+
+/**
+ * @typedef {Object} ApiRoute
+ * @property {'get'|'post'|'put'|'delete'} method
+ * @property {string} path The path relative to /api/v1, in OpenAPI format (e.g. `/markers/{markerId}`).
+ *                         Path parameters are always integer ids.
+ * @property {string} id The OpenAPI operationId of the route.
+ * @property {string} command The PostCommand that does the actual work, which determines the role required to use the route.
+ * @property {string} tag
+ * @property {string} summary
+ * @property {ApiParameter[]} [body] Parameters expected in the JSON body of the request.
+ * @property {object} response The OpenAPI schema of a successful response.
+ * @property {(args: { [name: string]: any }) => Promise<any>} run Run the route, given its path and body parameters.
+ */
+
+const Log = ContextualLog.Create('RestApi');
+
+/** The version of the API described by the routes below. Breaking changes require a new version (and a new router). */
+const ApiVersion = '1.0.0';
+
+/** Marker types that can be passed to `applyTo`, and their MarkerEnum values. */
+const ApplyToTypes = {
+    [MarkerType.Intro] : MarkerEnum.Intro,
+    [MarkerType.Credits] : MarkerEnum.Credits,
+    [MarkerType.Ad] : MarkerEnum.Ad,
+    all : MarkerEnum.All,
+};
+
+/** The values accepted for `resolveType`, and their MarkerConflictResolution values. */
+const ResolveTypes = {
+    overwrite : MarkerConflictResolution.Overwrite,
+    merge : MarkerConflictResolution.Merge,
+    ignore : MarkerConflictResolution.Ignore,
+};
+
+/** Descriptions of each path parameter. */
+const PathParameters = {
+    sectionId : 'The id of a library section.',
+    showId : 'The metadata id of a show.',
+    seasonId : 'The metadata id of a season.',
+    metadataId : 'The metadata id of a movie or episode. When shifting, this can also be a show or season.',
+    markerId : 'The id of a marker.',
+};
+
+/**
+ * Return a reference to one of the schemas in the OpenAPI document, or an array of them.
+ * @param {string} schema
+ * @param {boolean} [array=false] */
+const ref = (schema, array=false) => (array ?
+    { type : 'array', items : { $ref : `#/components/schemas/${schema}` } } :
+    { $ref : `#/components/schemas/${schema}` });
+
+/**
+ * Return the schema for a map of metadata ids to their markers.
+ * @param {string} description */
+const markerMap = description => ({ type : 'object', additionalProperties : ref('Marker', true), description : description });
+
+/** @type {ApiParameter[]} The parameters that describe a single marker. */
+const MarkerParameters = [
+    { name : 'start', type : 'integer', required : true, description : 'The start of the marker, in milliseconds.' },
+    { name : 'end', type : 'integer', required : true, description : 'The end of the marker, in milliseconds.' },
+    { name : 'type', type : 'string', enum : Object.values(MarkerType), default : MarkerType.Intro, description : 'The type of marker.' },
+    { name : 'final', type : 'boolean', default : false, description : 'Whether these credits run until the end of the item.' },
+];
+
+/**
+ * All available API routes.
+ * @type {ApiRoute[]} */
+const ApiRoutes = [
+    {
+        method : 'get',
+        path : '/libraries',
+        id : 'listLibraries',
+        command : PostCommands.GetLibraries,
+        tag : 'Libraries',
+        summary : 'List all movie and TV libraries.',
+        response : ref('Library', true),
+        run : _ => runDirectCommand(PostCommands.GetLibraries),
+    },
+    {
+        method : 'get',
+        path : '/libraries/{sectionId}/items',
+        id : 'listLibraryItems',
+        command : PostCommands.GetLibrary,
+        tag : 'Libraries',
+        summary : 'List all movies or shows in a library.',
+        response : { type : 'array', items : { oneOf : [ref('Movie'), ref('Show')] } },
+        run : args => runDirectCommand(PostCommands.GetLibrary, { id : args.sectionId }),
+    },
+    {
+        method : 'get',
+        path : '/shows/{showId}/seasons',
+        id : 'listSeasons',
+        command : PostCommands.GetSeasons,
+        tag : 'Items',
+        summary : 'List all seasons of a show.',
+        response : ref('Season', true),
+        run : args => runDirectCommand(PostCommands.GetSeasons, { id : args.showId }),
+    },
+    {
+        method : 'get',
+        path : '/seasons/{seasonId}/episodes',
+        id : 'listEpisodes',
+        command : PostCommands.GetEpisodes,
+        tag : 'Items',
+        summary : 'List all episodes of a season.',
+        response : ref('Episode', true),
+        run : args => runDirectCommand(PostCommands.GetEpisodes, { id : args.seasonId }),
+    },
+    {
+        method : 'get',
+        path : '/items/{metadataId}/markers',
+        id : 'listMarkers',
+        command : PostCommands.Query,
+        tag : 'Markers',
+        summary : 'List the markers of a movie or episode.',
+        response : ref('Marker', true),
+        run : async args => (await runDirectCommand(PostCommands.Query, { keys : args.metadataId }))[args.metadataId] ?? [],
+    },
+    {
+        method : 'post',
+        path : '/items/{metadataId}/markers',
+        id : 'addMarker',
+        command : PostCommands.AddMarker,
+        tag : 'Markers',
+        summary : 'Add a marker to a movie or episode.',
+        body : MarkerParameters,
+        response : ref('Marker'),
+        run : args => runDirectCommand(PostCommands.AddMarker, {
+            metadataId : args.metadataId,
+            type : args.type,
+            start : args.start,
+            end : args.end,
+            final : args.final ? 1 : 0,
+        }),
+    },
+    {
+        method : 'post',
+        path : '/items/{metadataId}/shift',
+        id : 'shiftMarkers',
+        command : PostCommands.ShiftMarkers,
+        tag : 'Markers',
+        summary : 'Shift all markers of a show, season, movie, or episode.',
+        body : [
+            { name : 'startShift', type : 'integer', required : true, description : 'The milliseconds to shift marker starts by.' },
+            { name : 'endShift', type : 'integer', description : 'The milliseconds to shift marker ends by. Defaults to startShift.' },
+            { name : 'applyTo', type : 'string', enum : Object.keys(ApplyToTypes), default : 'all', description : 'The markers to shift.' },
+            { name : 'ignored', type : 'integer[]', default : [], description : 'Ids of markers to leave as-is.' },
+            {
+                name : 'force',
+                type : 'boolean',
+                default : false,
+                description : 'Shift even if some episodes have multiple markers of the same type. If false, nothing is shifted ' +
+                    'and `conflict` is set in the response.',
+            },
+        ],
+        response : ref('ShiftResult'),
+        run : args => runDirectCommand(PostCommands.ShiftMarkers, {
+            id : args.metadataId,
+            startShift : args.startShift,
+            endShift : args.endShift ?? args.startShift,
+            applyTo : ApplyToTypes[args.applyTo],
+            force : args.force ? 1 : 0,
+            ignored : args.ignored.join(','),
+        }),
+    },
+    {
+        method : 'put',
+        path : '/markers/{markerId}',
+        id : 'editMarker',
+        command : PostCommands.EditMarker,
+        tag : 'Markers',
+        summary : 'Replace the timings and type of an existing marker.',
+        body : MarkerParameters.map(param => ({ ...param, required : true, default : undefined })),
+        response : ref('Marker'),
+        run : args => runDirectCommand(PostCommands.EditMarker, {
+            id : args.markerId,
+            type : args.type,
+            start : args.start,
+            end : args.end,
+            final : args.final ? 1 : 0,
+        }),
+    },
+    {
+        method : 'delete',
+        path : '/markers/{markerId}',
+        id : 'deleteMarker',
+        command : PostCommands.DeleteMarker,
+        tag : 'Markers',
+        summary : 'Delete a marker.',
+        response : ref('Marker'),
+        run : args => runDirectCommand(PostCommands.DeleteMarker, { id : args.markerId }),
+    },
+    {
+        method : 'get',
+        path : '/libraries/{sectionId}/purges',
+        id : 'listPurges',
+        command : PostCommands.AllPurges,
+        tag : 'Purges',
+        summary : 'List markers in a library that Plex has purged. Requires extended marker statistics.',
+        response : ref('PurgedMarkers'),
+        run : args => runDirectCommand(PostCommands.AllPurges, { sectionId : args.sectionId }),
+    },
+    {
+        method : 'post',
+        path : '/libraries/{sectionId}/purges/restore',
+        id : 'restorePurges',
+        command : PostCommands.RestorePurges,
+        tag : 'Purges',
+        summary : 'Restore markers in a library that Plex has purged. Requires extended marker statistics.',
+        body : [
+            {
+                name : 'markerIds',
+                type : 'integer[]',
+                description : 'The purged markers to restore. Restores all purged markers if not given.',
+            },
+            {
+                name : 'resolveType',
+                type : 'string',
+                enum : Object.keys(ResolveTypes),
+                default : 'overwrite',
+                description : 'How to handle purged markers that overlap existing markers.',
+            },
+        ],
+        response : ref('RestoreResult'),
+        run : args => restorePurges(args.sectionId, args.markerIds, ResolveTypes[args.resolveType]),
+    },
+];
+
+/**
+ * Create the router that handles all /api/v1 requests.
+ * @returns {ExpressRouter} */
+export function createApiRouter() {
+    const router = express.Router();
+    router.use(express.json({ limit : '1mb' }));
+
+    // The spec itself doesn't contain any library data, so let anyone retrieve it.
+    router.get('/openapi.json', (_req, res) => { sendJsonSuccess(res, openApiSpec()); });
+    for (const route of ApiRoutes) {
+        router[route.method](route.path.replace(/\{(?<name>\w+)\}/g, ':$<name>'), routeHandler(route));
+    }
+
+    router.use((req, res) => {
+        sendJsonError(res, new ServerError(`Unknown API route: ${req.method} ${req.path}`, 404, true /*expected*/));
+    });
+
+    // Express only treats this as an error handler if it takes four arguments.
+    router.use((err, _req, res, _next) => {
+        sendJsonError(res, new ServerError(`Invalid request body: ${err.message}`, err.status ?? 400));
+    });
+
+    return router;
+}
+
+/**
+ * Return the request handler for the given route.
+ * @param {ApiRoute} route
+ * @returns {(req: ExpressRequest, res: ExpressResponse) => Promise<void>} */
+function routeHandler(route) {
+    return async (req, res) => {
+        Log.verbose(`(${req.socket.remoteAddress || 'UNKNOWN'}) ${req.method}: ${req.originalUrl}`);
+        try {
+            throwIfUnavailable();
+            const { role, actor, source } = authenticate(req);
+            if (role < (CommandRoles[route.command] ?? UserRole.Admin)) {
+                throw new ServerError(`${req.method} ${route.path} is not allowed for this ${source}`, 403);
+            }
+
+            const args = { ...pathArgs(req.params), ...bodyArgs(route.body ?? [], req.body ?? {}) };
+            const result = await runAsActor(actor, () => route.run(args));
+            sendJsonSuccess(res, result);
+        } catch (err) {
+            err.message = `${req.method} ${req.originalUrl} failed: ${err.message}`;
+            sendJsonError(res, err, +err.code || 500);
+        }
+    };
+}
+
+/**
+ * Ensure we can handle API requests in the current server state. */
+function throwIfUnavailable() {
+    switch (GetServerState()) {
+        case ServerState.RunningWithoutConfig:
+            throw new ServerError('Marker Editor has not been configured yet', 503);
+        case ServerState.Suspended:
+            throw new ServerError('Server is suspended', 503, true /*expected*/);
+        default:
+            break;
+    }
+}
+
+/**
+ * Determine who is making the given request, and what they're allowed to do. Requests can be authenticated with an
+ * API key, either as a bearer token or via X-Api-Key, or with an existing browser session. If authentication
+ * is disabled, API keys are optional, but are still attributed to the key if given.
+ * @param {ExpressRequest} req
+ * @returns {{ role: number, actor: import('./RequestContext').RequestActor, source: string }} */
+function authenticate(req) {
+    const clientIp = req.ip ?? req.socket?.remoteAddress ?? null;
+    const bearer = /^Bearer\s+(?<key>\S+)$/i.exec(req.get('authorization') ?? '')?.groups.key;
+    const key = req.get('x-api-key') ?? bearer;
+    if (key) {
+        const apiKey = ApiKeys.verify(key);
+        if (!apiKey) {
+            throw new ServerError('Invalid API key', 401);
+        }
+
+        return { role : apiKey.role, actor : { username : `api:${apiKey.name}`, clientIp : clientIp }, source : 'API key' };
+    }
+
+    if (!Config.useAuth()) {
+        return { role : UserRole.Admin, actor : { username : null, clientIp : clientIp }, source : 'user' };
+    }
+
+    const user = User.sessionUser(req);
+    if (!user) {
+        throw new ServerError('An API key is required', 401);
+    }
+
+    return { role : user.role, actor : { username : user.username, clientIp : clientIp }, source : 'user' };
+}
+
+/**
+ * Parse the path parameters of a request, which are always ids.
+ * @param {{ [name: string]: string }} params */
+function pathArgs(params) {
+    const args = {};
+    for (const [name, value] of Object.entries(params)) {
+        if (!/^\d+$/.test(value)) {
+            throw new ServerError(`Expected an integer for ${name}, found "${value}"`, 400);
+        }
+
+        args[name] = parseInt(value);
+    }
+
+    return args;
+}
+
+/**
+ * Validate the JSON body of a request against the parameters the route expects.
+ * @param {ApiParameter[]} params
+ * @param {{ [name: string]: any }} body */
+function bodyArgs(params, body) {
+    if (typeof body !== 'object' || body instanceof Array) {
+        throw new ServerError(`Expected the request body to be a JSON object`, 400);
+    }
+
+    const args = {};
+    for (const param of params) {
+        const value = body[param.name];
+        if (value === undefined || value === null) {
+            if (param.required) {
+                throw new ServerError(`Missing required parameter "${param.name}"`, 400);
+            }
+
+            args[param.name] = param.default;
+            continue;
+        }
+
+        if (!validParameter(param, value)) {
+            const expected = param.enum ? `one of ${param.enum.join(', ')}` : `type ${param.type}`;
+            throw new ServerError(`Expected "${param.name}" to be ${expected}, found ${JSON.stringify(value)}`, 400);
+        }
+
+        args[param.name] = value;
+    }
+
+    return args;
+}
+
+/**
+ * @param {ApiParameter} param
+ * @param {any} value */
+function validParameter(param, value) {
+    switch (param.type) {
+        case 'integer':
+            return Number.isInteger(value);
+        case 'boolean':
+            return typeof value === 'boolean';
+        case 'integer[]':
+            return value instanceof Array && value.every(v => Number.isInteger(v));
+        case 'string':
+            return typeof value === 'string' && (!param.enum || param.enum.includes(value));
+        default:
+            return false;
+    }
+}
+
+/**
+ * Restore the given purged markers, or all purged markers in the section if no markers are given.
+ * @param {number} sectionId
+ * @param {number[]|undefined} markerIds
+ * @param {number} resolveType */
+async function restorePurges(sectionId, markerIds, resolveType) {
+    let actions = flattenPurges(await runDirectCommand(PostCommands.AllPurges, { sectionId }));
+    if (markerIds) {
+        const toRestore = new Set(markerIds);
+        actions = actions.filter(a => toRestore.has(a.marker_id));
+    }
+
+    const restoreInfo = {
+        restoreIds : actions.filter(a => !a.readded).map(a => a.marker_id),
+        redeleteIds : actions.filter(a => a.readded).map(a => ({ oldId : a.marker_id, newId : a.readded_id })),
+    };
+
+    return runDirectCommand(PostCommands.RestorePurges, {}, {
+        restoreInfo : { name : 'restoreInfo', data : JSON.stringify(restoreInfo) },
+        sectionId : { name : 'sectionId', data : sectionId.toString() },
+        resolveType : { name : 'resolveType', data : resolveType.toString() },
+    });
+}
+
+/**
+ * Convert an API parameter to its OpenAPI schema.
+ * @param {ApiParameter} param */
+function parameterSchema(param) {
+    const schema = param.type === 'integer[]' ? { type : 'array', items : { type : 'integer' } } : { type : param.type };
+    schema.description = param.description;
+    if (param.enum) {
+        schema.enum = param.enum;
+    }
+
+    if (param.default !== undefined) {
+        schema.default = param.default;
+    }
+
+    return schema;
+}
+
+/**
+ * Generate the OpenAPI document describing all routes.
+ * @returns {object} */
+function openApiSpec() {
+    const roleNames = Object.fromEntries(Object.entries(UserRole).map(([name, role]) => [role, name]));
+    const errorResponse = description => ({ description : description, content : { 'application/json' : { schema : ref('Error') } } });
+    const paths = {};
+    for (const route of ApiRoutes) {
+        const role = roleNames[CommandRoles[route.command] ?? UserRole.Admin];
+        const operation = {
+            operationId : route.id,
+            tags : [route.tag],
+            summary : route.summary,
+            description : `Requires the ${role} role.`,
+            parameters : [...route.path.matchAll(/\{(?<name>\w+)\}/g)].map(match => ({
+                name : match.groups.name,
+                in : 'path',
+                required : true,
+                description : PathParameters[match.groups.name],
+                schema : { type : 'integer' },
+            })),
+            responses : {
+                200 : { description : 'Success', content : { 'application/json' : { schema : route.response } } },
+                400 : errorResponse('Invalid parameters'),
+                401 : errorResponse('Missing or invalid API key'),
+                403 : errorResponse(`The API key doesn't have the ${role} role`),
+                503 : errorResponse('The server is suspended or not configured'),
+            },
+        };
+
+        if (route.body) {
+            operation.requestBody = {
+                required : route.body.some(param => param.required),
+                content : { 'application/json' : { schema : {
+                    type : 'object',
+                    required : route.body.filter(param => param.required).map(param => param.name),
+                    properties : Object.fromEntries(route.body.map(param => [param.name, parameterSchema(param)])),
+                } } },
+            };
+        }
+
+        paths[route.path] ??= {};
+        paths[route.path][route.method] = operation;
+    }
+
+    return {
+        openapi : '3.0.3',
+        info : {
+            title : 'Marker Editor for Plex',
+            version : ApiVersion,
+            description : 'View and edit intro, credits, and commercial markers in a Plex library. ' +
+                'API keys are created in the server settings dialog. Times are in milliseconds.',
+        },
+        servers : [{ url : `${Config.baseUrl()}api/v1` }],
+        security : [{ apiKeyHeader : [] }, { bearerAuth : [] }],
+        tags : [...new Set(ApiRoutes.map(route => route.tag))].map(name => ({ name })),
+        paths : paths,
+        components : {
+            securitySchemes : {
+                apiKeyHeader : { type : 'apiKey', in : 'header', name : 'X-Api-Key' },
+                bearerAuth : { type : 'http', scheme : 'bearer' },
+            },
+            schemas : ApiSchemas,
+        },
+    };
+}
+
+/** Schemas for the data returned by the API. Only the most useful fields are described. */
+const ApiSchemas = {
+    Error : {
+        type : 'object',
+        properties : { Error : { type : 'string' } },
+    },
+    Library : {
+        type : 'object',
+        properties : {
+            id : { type : 'integer' },
+            type : { type : 'integer', enum : [1, 2], description : '1 for movie libraries, 2 for TV libraries.' },
+            name : { type : 'string' },
+        },
+    },
+    Movie : {
+        type : 'object',
+        properties : {
+            metadataId : { type : 'integer' },
+            title : { type : 'string' },
+            originalTitle : { type : 'string' },
+            year : { type : 'integer' },
+        },
+    },
+    Show : {
+        type : 'object',
+        properties : {
+            metadataId : { type : 'integer' },
+            title : { type : 'string' },
+            originalTitle : { type : 'string' },
+            seasonCount : { type : 'integer' },
+            episodeCount : { type : 'integer' },
+        },
+    },
+    Season : {
+        type : 'object',
+        properties : {
+            metadataId : { type : 'integer' },
+            index : { type : 'integer' },
+            title : { type : 'string' },
+            episodeCount : { type : 'integer' },
+        },
+    },
+    Episode : {
+        type : 'object',
+        properties : {
+            metadataId : { type : 'integer' },
+            title : { type : 'string' },
+            index : { type : 'integer' },
+            seasonIndex : { type : 'integer' },
+            showName : { type : 'string' },
+            duration : { type : 'integer', description : 'The length of the episode, in milliseconds.' },
+        },
+    },
+    Marker : {
+        type : 'object',
+        properties : {
+            id : { type : 'integer' },
+            markerType : { type : 'string', enum : Object.values(MarkerType) },
+            start : { type : 'integer' },
+            end : { type : 'integer' },
+            isFinal : { type : 'boolean' },
+            index : { type : 'integer', description : 'The position of the marker relative to other markers of the same item.' },
+            parentId : { type : 'integer', description : 'The metadata id of the movie or episode.' },
+            seasonId : { type : 'integer', description : 'The season of the episode, or -1 for movies.' },
+            showId : { type : 'integer', description : 'The show of the episode, or -1 for movies.' },
+            sectionId : { type : 'integer' },
+        },
+    },
+    ShiftResult : {
+        type : 'object',
+        properties : {
+            applied : { type : 'boolean' },
+            conflict : { type : 'boolean', description : 'Whether the shift was not applied because force was false.' },
+            overflow : { type : 'boolean', description : 'Whether any marker was shifted past the end of its item.' },
+            allMarkers : ref('Marker', true),
+        },
+    },
+    PurgedMarkers : {
+        type : 'object',
+        description : 'Purged markers, keyed by show, season, and episode id (or movie id), then marker id.',
+        additionalProperties : true,
+    },
+    RestoreResult : {
+        type : 'object',
+        properties : {
+            newMarkers : markerMap('Restored markers, by item id.'),
+            deletedMarkers : markerMap('Existing markers that were overwritten, by item id.'),
+            modifiedMarkers : markerMap('Existing markers that were merged with restored markers, by item id.'),
+            ignoredMarkers : { type : 'integer' },
+        },
+    },
+};
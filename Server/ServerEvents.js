@@ -11,6 +11,8 @@ export const ServerEvents = {
     ReloadMarkerStats : 'reloadStats',
     /** @readonly Event triggered when we should reload (or clear) the purged marker cache. */
     RebuildPurgedCache : 'rebuildPurges',
+    /** @readonly Event triggered when the scheduled purge restoration interval changes. */
+    RescheduleAutoRestore : 'rescheduleAutoRestore',
 };
 
 /**
@@ -0,0 +1,280 @@
+import { access, constants as fsConstants, writeFile } from 'fs/promises';
+import { extname } from 'path';
+
+import { ContextualLog } from '../Shared/ConsoleLog.js';
+
+import { Config } from './Config/MarkerEditorConfig.js';
+import { MarkerType } from '../Shared/MarkerType.js';
+import { PlexQueries } from './PlexQueryManager.js';
+import { PostCommands } from '../Shared/PostCommands.js';
+import { registerCommand } from './Commands/PostCommand.js';
+import ServerError from './ServerError.js';
+import { SidecarFormat } from '../Shared/PlexTypes.js';
+
+/** @typedef {!import('./Config/MarkerEditorConfig').MediaVersion} MediaVersion */
+/** @typedef {!import('./PlexQueryManager').RawMarkerData} RawMarkerData */
+/** @typedef {!import('../Shared/PlexTypes').SidecarExportResult} SidecarExportResult */
+/** @typedef {!import('../Shared/PlexTypes').SidecarFile} SidecarFile */
+
+/** @typedef {{ start: number, end: number, title: string? }} SidecarChapter */
+
+
+const Log = ContextualLog.Create('SidecarExport');
+
+/** Kodi's EDL action for a commercial break, which is skipped automatically during playback. */
+const EdlCommercialBreak = 3;
+
+/** Chapter titles for each marker type. */
+export const ChapterTitles = {
+    [MarkerType.Intro] : 'Intro',
+    [MarkerType.Credits] : 'Credits',
+    [MarkerType.Ad] : 'Advertisement',
+};
+
+/**
+ * Convert the given markers to a list of chapters that spans the entire item,
+ * with untitled chapters filling in the gaps between markers.
+ * @param {RawMarkerData[]} markers
+ * @param {number?} duration The duration of the item, in milliseconds, if known.
+ * @returns {SidecarChapter[]} */
+function markersToChapters(markers, duration) {
+    /** @type {SidecarChapter[]} */
+    const chapters = [];
+    let lastEnd = 0;
+    for (const marker of [...markers].sort((a, b) => a.start - b.start)) {
+        if (marker.start > lastEnd) {
+            chapters.push({ start : lastEnd, end : marker.start, title : null });
+        }
+
+        // Markers shouldn't overlap, but chapters definitely can't.
+        const start = Math.max(marker.start, lastEnd);
+        if (marker.end > start) {
+            chapters.push({ start : start, end : marker.end, title : ChapterTitles[marker.marker_type] ?? marker.marker_type });
+            lastEnd = marker.end;
+        }
+    }
+
+    if (duration && duration > lastEnd) {
+        chapters.push({ start : lastEnd, end : duration, title : null });
+    }
+
+    return chapters;
+}
+
+/**
+ * Build a Kodi EDL file, skipping over every marker.
+ * @param {RawMarkerData[]} markers */
+function buildEdl(markers) {
+    const seconds = ms => (ms / 1000).toFixed(3);
+    return markers.map(m => `${seconds(m.start)}\t${seconds(m.end)}\t${EdlCommercialBreak}\n`).join('');
+}
+
+/**
+ * Build an FFmpeg metadata file containing chapters for each marker.
+ * @param {RawMarkerData[]} markers
+ * @param {number?} duration */
+function buildFFMetadata(markers, duration) {
+    let text = ';FFMETADATA1\n';
+    for (const chapter of markersToChapters(markers, duration)) {
+        text += `\n[CHAPTER]\nTIMEBASE=1/1000\nSTART=${chapter.start}\nEND=${chapter.end}\n`;
+        if (chapter.title) {
+            text += `title=${chapter.title}\n`;
+        }
+    }
+
+    return text;
+}
+
+/**
+ * Build a Matroska chapter XML file containing chapters for each marker.
+ * @param {RawMarkerData[]} markers
+ * @param {number?} duration */
+function buildMatroskaXml(markers, duration) {
+    const pad = (val, len=2) => val.toString().padStart(len, '0');
+    const timestamp = ms => `${pad(Math.floor(ms / 3600000))}:${pad(Math.floor(ms / 60000) % 60)}:` +
+                            `${pad(Math.floor(ms / 1000) % 60)}.${pad(ms % 1000, 3)}000000`;
+    let text = '<?xml version="1.0" encoding="UTF-8"?>\n' +
+        '<!DOCTYPE Chapters SYSTEM "matroskachapters.dtd">\n' +
+        '<Chapters>\n' +
+        '  <EditionEntry>\n';
+
+    for (const chapter of markersToChapters(markers, duration)) {
+        text += '    <ChapterAtom>\n' +
+            `      <ChapterTimeStart>${timestamp(chapter.start)}</ChapterTimeStart>\n` +
+            `      <ChapterTimeEnd>${timestamp(chapter.end)}</ChapterTimeEnd>\n`;
+        if (chapter.title) {
+            text += '      <ChapterDisplay>\n' +
+                `        <ChapterString>${chapter.title}</ChapterString>\n` +
+                '        <ChapterLanguage>eng</ChapterLanguage>\n' +
+                '      </ChapterDisplay>\n';
+        }
+
+        text += '    </ChapterAtom>\n';
+    }
+
+    return text + '  </EditionEntry>\n</Chapters>\n';
+}
+
+/**
+ * The file extension and content builder for each sidecar format.
+ * @type {{ [format: number]: { extension: string, build: (markers: RawMarkerData[], duration: number?) => string } }} */
+const SidecarBuilders = {
+    [SidecarFormat.Edl] : { extension : '.edl', build : buildEdl },
+    [SidecarFormat.FFMetadata] : { extension : '.ffmetadata', build : buildFFMetadata },
+    [SidecarFormat.MatroskaXml] : { extension : '.chapters.xml', build : buildMatroskaXml },
+};
+
+/**
+ * Static class that exports markers to sidecar files (EDL, ffmetadata, Matroska chapters) that live
+ * next to each movie/episode, allowing other players (Kodi, mpv, Jellyfin) to make use of them.
+ */
+export class SidecarExport {
+    /**
+     * Write sidecar files for all movies/episodes with markers in the given section (or -1 for all sections).
+     * @param {number} sectionId
+     * @param {number} formats The SidecarFormats to export.
+     * @param {boolean} overwrite Whether to overwrite existing sidecar files.
+     * @param {boolean} dryRun If true, don't write anything, just return the files that would be written.
+     * @returns {Promise<SidecarExportResult>} */
+    static async exportSidecars(sectionId, formats, overwrite, dryRun) {
+        if (!formats || (formats & ~SidecarFormat.All) !== 0) {
+            throw new ServerError(`Invalid sidecar formats: ${formats}`, 400);
+        }
+
+        const sections = (await PlexQueries.getLibraries()).map(section => section.id);
+        if (sectionId !== -1 && !sections.includes(sectionId)) {
+            throw new ServerError(`Invalid section id: ${sectionId}`, 400);
+        }
+
+        /** @type {SidecarExportResult} */
+        const result = { dryRun : dryRun, files : [], missing : [] };
+        for (const section of (sectionId === -1 ? sections : [sectionId])) {
+            await SidecarExport.#exportSection(section, formats, overwrite, dryRun, result);
+        }
+
+        const written = result.files.filter(f => f.written).length;
+        Log.info(`Sidecar export ${dryRun ? '(dry run) ' : ''}complete: ${result.files.length} file(s) found, ` +
+            `${written} written, ${result.missing.length} media file(s) not found.`);
+        return result;
+    }
+
+    /**
+     * Export sidecar files for a single section.
+     * @param {number} sectionId
+     * @param {number} formats
+     * @param {boolean} overwrite
+     * @param {boolean} dryRun
+     * @param {SidecarExportResult} result The result to add to. */
+    static async #exportSection(sectionId, formats, overwrite, dryRun, result) {
+        const mediaFiles = await PlexQueries.getMediaFiles(sectionId);
+        if (mediaFiles.length === 0) {
+            return;
+        }
+
+        /** @type {{ [metadataId: number]: RawMarkerData[] }} */
+        const markers = {};
+        const metadataIds = Array.from(new Set(mediaFiles.map(f => f.id)));
+        for (const marker of await PlexQueries.getMarkersForItems(metadataIds, sectionId)) {
+            (markers[marker.parent_id] ??= []).push(marker);
+        }
+
+        for (const [metadataId, versions] of Config.singleFileVersions(mediaFiles).entries()) {
+            const itemMarkers = markers[metadataId];
+            if (!itemMarkers) {
+                continue;
+            }
+
+            for (const version of versions) {
+                await SidecarExport.#exportVersion(metadataId, version, itemMarkers, formats, overwrite, dryRun, result);
+            }
+        }
+    }
+
+    /**
+     * Export sidecar files for a single version of a movie/episode.
+     * @param {number} metadataId
+     * @param {MediaVersion} version
+     * @param {RawMarkerData[]} itemMarkers
+     * @param {number} formats
+     * @param {boolean} overwrite
+     * @param {boolean} dryRun
+     * @param {SidecarExportResult} result The result to add to. */
+    static async #exportVersion(metadataId, version, itemMarkers, formats, overwrite, dryRun, result) {
+        const file = await Config.findMediaFile(version.file);
+        if (!file) {
+            Log.verbose(`Unable to find "${version.file}", can't export sidecar files for ${metadataId}.`);
+            result.missing.push({ metadataId : metadataId, file : version.file });
+            return;
+        }
+
+        const basePath = file.substring(0, file.length - extname(file).length);
+        for (const [format, builder] of Object.entries(SidecarBuilders)) {
+            if ((formats & format) === 0) {
+                continue;
+            }
+
+            const contents = builder.build(itemMarkers, version.duration);
+            result.files.push(await SidecarExport.#writeSidecar(
+                metadataId, basePath + builder.extension, +format, contents, itemMarkers.length, overwrite, dryRun));
+        }
+    }
+
+    /**
+     * Write a single sidecar file, if allowed.
+     * @param {number} metadataId
+     * @param {string} path
+     * @param {number} format
+     * @param {string} contents
+     * @param {number} markerCount
+     * @param {boolean} overwrite
+     * @param {boolean} dryRun
+     * @returns {Promise<SidecarFile>} */
+    static async #writeSidecar(metadataId, path, format, contents, markerCount, overwrite, dryRun) {
+        /** @type {SidecarFile} */
+        const sidecar = {
+            metadataId : metadataId,
+            path : path,
+            format : format,
+            markerCount : markerCount,
+            exists : await SidecarExport.#exists(path),
+            written : false,
+            error : null,
+        };
+        if (dryRun) {
+            return sidecar;
+        }
+
+        if (sidecar.exists && !overwrite) {
+            sidecar.error = 'File already exists';
+            return sidecar;
+        }
+
+        try {
+            await writeFile(path, contents, { encoding : 'utf-8' });
+            sidecar.written = true;
+        } catch (err) {
+            Log.warn(`Failed to write sidecar file "${path}": ${err.message}`);
+            sidecar.error = err.message;
+        }
+
+        return sidecar;
+    }
+
+    /**
+     * @param {string} path */
+    static async #exists(path) {
+        try {
+            await access(path, fsConstants.F_OK);
+            return true;
+        } catch (_err) {
+            return false;
+        }
+    }
+}
+
+/**
+ * Register POST handlers related to sidecar file export. */
+export function registerSidecarExportCommands() {
+    registerCommand(PostCommands.ExportSidecars,
+        q => SidecarExport.exportSidecars(...q.is('sectionId', 'formats'), !!q.i('overwrite'), !!q.i('dryRun')));
+}
@@ -0,0 +1,516 @@
+import { basename } from 'path';
+import { inflateRawSync } from 'zlib';
+
+import { ContextualLog } from '../Shared/ConsoleLog.js';
+
+import { ExtraData, MetadataType, PlexQueries } from './PlexQueryManager.js';
+import { MarkerConflictResolution, SidecarFormat } from '../Shared/PlexTypes.js';
+import { MarkerType, supportedMarkerType } from '../Shared/MarkerType.js';
+import { ChapterTitles } from './SidecarExport.js';
+import { DatabaseImportExport } from './ImportExport.js';
+import { PlexSnapshots } from './PlexDatabaseSnapshots.js';
+import { PostCommands } from '../Shared/PostCommands.js';
+import { registerCommand } from './Commands/PostCommand.js';
+import ServerError from './ServerError.js';
+
+/** @typedef {!import('./FormDataParse').ParsedFormField} ParsedFormField */
+/** @typedef {!import('./ImportExport').ImportSections} ImportSections */
+/** @typedef {!import('./ImportExport').MinimalBaseItem} MinimalBaseItem */
+/** @typedef {!import('../Shared/PlexTypes').MarkerAction} MarkerAction */
+/** @typedef {!import('../Shared/PlexTypes').SidecarImportResult} SidecarImportResult */
+
+/**
+ * A marker parsed from a sidecar file. `end` is null if the file didn't specify
+ * one, in which case it ends at the start of the next chapter, or the end of the item.
+ * @typedef {{ start: number, end: number?, markerType: string }} SidecarMarker */
+
+/** @typedef {{ name: string, format: number, markers: SidecarMarker[] }} ParsedSidecar */
+
+/** @typedef {{ file: string, duration: number, item: MinimalBaseItem }} ImportTarget */
+
+
+const Log = ContextualLog.Create('SidecarImport');
+
+/**
+ * The maximum uncompressed size of a single file in an uploaded zip file. Sidecar files are
+ * small, so anything larger than this is either not a sidecar file, or a malicious "zip bomb". */
+const MaxZipEntrySize = 10 * 1024 * 1024;
+
+/** The maximum uncompressed size of all files in an uploaded zip file. */
+const MaxZipSize = 50 * 1024 * 1024;
+
+/** Kodi EDL actions that indicate a section that should be skipped (cut and commercial break). */
+const EdlSkipActions = new Set([0, 3]);
+
+/**
+ * Map of lowercase chapter titles to the marker type they represent. Chapters with other titles are
+ * regular chapters, not markers. Includes the titles we use when exporting, along with common alternatives.
+ * @type {{ [title: string]: string }} */
+const ChapterMarkerTypes = {
+    ...Object.fromEntries(Object.entries(ChapterTitles).map(([type, title]) => [title.toLowerCase(), type])),
+    ...Object.fromEntries(Object.values(MarkerType).map(type => [type, type])),
+    opening : MarkerType.Intro,
+    ending : MarkerType.Credits,
+    'end credits' : MarkerType.Credits,
+    ad : MarkerType.Ad,
+};
+
+/**
+ * When multiple sidecar files are found for the same item, the format to prefer. Chapter-based
+ * formats come first, since they keep track of the marker type, while EDL files don't.
+ * @type {number[]} */
+const FormatPriority = [SidecarFormat.MatroskaXml, SidecarFormat.FFMetadata, SidecarFormat.Edl];
+
+/** File extensions to strip from sidecar file names before matching them to media files, longest first. */
+const SidecarExtensions = ['.chapters.xml', '.ffmetadata', '.xml', '.edl', '.txt'];
+
+/**
+ * Parse a Kodi EDL file. EDL files don't indicate what a section is, so every
+ * skipped section is imported as the given marker type.
+ * @param {string} text
+ * @param {string} markerType
+ * @returns {SidecarMarker[]} */
+function parseEdl(text, markerType) {
+    const markers = [];
+    for (const line of text.split(/\r?\n/)) {
+        const fields = line.trim().split(/\s+/);
+        if (fields.length < 2) {
+            continue;
+        }
+
+        const start = parseFloat(fields[0]);
+        const end = parseFloat(fields[1]);
+        const action = fields.length > 2 ? parseInt(fields[2]) : 0;
+        if (isNaN(start) || isNaN(end) || !EdlSkipActions.has(action)) {
+            continue;
+        }
+
+        markers.push({ start : Math.round(start * 1000), end : Math.round(end * 1000), markerType : markerType });
+    }
+
+    return markers;
+}
+
+/**
+ * Parse the chapters of an FFmpeg metadata file, returning those whose titles indicate a marker.
+ * @param {string} text
+ * @returns {SidecarMarker[]} */
+function parseFFMetadata(text) {
+    /** @type {{ start: number, end: number, title: string, timebase: number[] }[]} */
+    const chapters = [];
+    let chapter = null;
+    for (const line of text.split(/\r?\n/)) {
+        if (line.startsWith('[')) {
+            chapter = line.trim() === '[CHAPTER]' ? { start : NaN, end : NaN, title : '', timebase : [1, 1000000000] } : null;
+            if (chapter) {
+                chapters.push(chapter);
+            }
+
+            continue;
+        }
+
+        const separator = line.indexOf('=');
+        if (!chapter || separator === -1) {
+            continue;
+        }
+
+        const value = line.substring(separator + 1).replace(/\\(?<char>.)/g, '$<char>');
+        switch (line.substring(0, separator).toUpperCase()) {
+            case 'TIMEBASE':
+                chapter.timebase = value.split('/').map(v => parseInt(v));
+                break;
+            case 'START':
+                chapter.start = parseInt(value);
+                break;
+            case 'END':
+                chapter.end = parseInt(value);
+                break;
+            case 'TITLE':
+                chapter.title = value;
+                break;
+            default:
+                break;
+        }
+    }
+
+    const markers = [];
+    for (const { start, end, title, timebase } of chapters) {
+        const markerType = ChapterMarkerTypes[title.trim().toLowerCase()];
+        const toMs = val => Math.round(val * timebase[0] * 1000 / timebase[1]);
+        if (markerType && !isNaN(start) && !isNaN(end) && timebase[1]) {
+            markers.push({ start : toMs(start), end : toMs(end), markerType : markerType });
+        }
+    }
+
+    return markers;
+}
+
+/**
+ * Parse a Matroska chapter XML file, returning the chapters whose titles indicate a marker.
+ * @param {string} text
+ * @returns {SidecarMarker[]} */
+function parseMatroskaXml(text) {
+    /** @param {string} timestamp HH:MM:SS.nnnnnnnnn */
+    const toMs = timestamp => {
+        const match = /^\s*(?<h>\d+):(?<m>\d{1,2}):(?<s>\d{1,2})(?:\.(?<ns>\d+))?\s*$/.exec(timestamp ?? '');
+        if (!match) {
+            return null;
+        }
+
+        const { h, m, s, ns } = match.groups;
+        const fraction = Math.round(parseFloat(`0.${ns ?? 0}`) * 1000);
+        return ((parseInt(h) * 60 + parseInt(m)) * 60 + parseInt(s)) * 1000 + fraction;
+    };
+
+    const tag = (atom, name) => new RegExp(`<${name}>(?<value>[^<]*)</${name}>`).exec(atom)?.groups.value;
+
+    /** @type {{ start: number, end: number?, title: string }[]} */
+    const chapters = [];
+    for (const atom of text.matchAll(/<ChapterAtom>(?<atom>[\s\S]*?)<\/ChapterAtom>/g)) {
+        const contents = atom.groups.atom;
+        const start = toMs(tag(contents, 'ChapterTimeStart'));
+        if (start !== null) {
+            chapters.push({ start : start, end : toMs(tag(contents, 'ChapterTimeEnd')), title : tag(contents, 'ChapterString') ?? '' });
+        }
+    }
+
+    chapters.sort((a, b) => a.start - b.start);
+    const markers = [];
+    for (const [index, chapter] of chapters.entries()) {
+        const markerType = ChapterMarkerTypes[chapter.title.trim().toLowerCase()];
+        if (markerType) {
+            markers.push({ start : chapter.start, end : chapter.end ?? chapters[index + 1]?.start ?? null, markerType : markerType });
+        }
+    }
+
+    return markers;
+}
+
+/**
+ * Extract all files from the given zip archive. Only supports stored and deflated
+ * entries, which covers just about every zip file created by standard tools.
+ * Offsets and sizes come from the (untrusted) archive itself, so ensure they stay within the
+ * buffer, and that the files don't decompress to more than MaxZipEntrySize/MaxZipSize.
+ * @param {Buffer} buffer
+ * @returns {{ name: string, data: string }[]} */
+function readZip(buffer) {
+    const EndOfCentralDirectory = 0x06054b50;
+    const CentralDirectoryHeader = 0x02014b50;
+
+    // The end of central directory record is at least 22 bytes, followed by a comment of up to 64K.
+    let eocd = -1;
+    for (let i = buffer.length - 22; i >= Math.max(0, buffer.length - 22 - 0xFFFF); --i) {
+        if (buffer.readUInt32LE(i) === EndOfCentralDirectory) {
+            eocd = i;
+            break;
+        }
+    }
+
+    if (eocd === -1) {
+        throw new ServerError('Invalid zip file, could not find central directory.', 400);
+    }
+
+    const files = [];
+    let totalSize = 0;
+    const checkBounds = (end, what) => {
+        if (end > buffer.length) {
+            throw new ServerError(`Invalid zip file, ${what} extends past the end of the file.`, 400);
+        }
+    };
+
+    const tooLarge = name => new ServerError(`"${name}" is too large. Files in zip files must be smaller than ` +
+        `${MaxZipEntrySize / 1024 / 1024}MB, and ${MaxZipSize / 1024 / 1024}MB combined.`, 400);
+
+    try {
+        const entryCount = buffer.readUInt16LE(eocd + 10);
+        let offset = buffer.readUInt32LE(eocd + 16);
+        for (let i = 0; i < entryCount; ++i) {
+            if (buffer.readUInt32LE(offset) !== CentralDirectoryHeader) {
+                throw new ServerError('Invalid zip file, malformed central directory.', 400);
+            }
+
+            const method = buffer.readUInt16LE(offset + 10);
+            const compressedSize = buffer.readUInt32LE(offset + 20);
+            const nameLength = buffer.readUInt16LE(offset + 28);
+            const localOffset = buffer.readUInt32LE(offset + 42);
+            const name = buffer.toString('utf-8', offset + 46, offset + 46 + nameLength);
+            offset += 46 + nameLength + buffer.readUInt16LE(offset + 30) + buffer.readUInt16LE(offset + 32);
+            if (name.endsWith('/')) {
+                continue; // Directory
+            }
+
+            checkBounds(localOffset + 30, `the local header of "${name}"`);
+            const dataStart = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+            checkBounds(dataStart + compressedSize, `the data of "${name}"`);
+            const data = buffer.subarray(dataStart, dataStart + compressedSize);
+            const maxSize = Math.min(MaxZipEntrySize, MaxZipSize - totalSize);
+            let contents;
+            switch (method) {
+                case 0:
+                    contents = data;
+                    break;
+                case 8:
+                    try {
+                        contents = inflateRawSync(data, { maxOutputLength : maxSize });
+                    } catch (err) {
+                        throw err.code === 'ERR_BUFFER_TOO_LARGE' ? tooLarge(name) : err;
+                    }
+                    break;
+                default:
+                    Log.warn(`Unsupported compression method ${method} for "${name}", skipping it.`);
+                    continue;
+            }
+
+            if (contents.length > maxSize) {
+                throw tooLarge(name);
+            }
+
+            totalSize += contents.length;
+            files.push({ name : name, data : contents.toString('utf-8') });
+        }
+    } catch (err) {
+        if (err instanceof ServerError) {
+            throw err;
+        }
+
+        throw new ServerError(`Unable to read zip file: ${err.message}`, 400);
+    }
+
+    return files;
+}
+
+/**
+ * Static class that imports markers from sidecar files created by other tools (EDL, ffmetadata,
+ * Matroska chapters), matching them to movies/episodes by file name or GUID.
+ */
+export class SidecarImport {
+    /**
+     * Import markers from the given sidecar file (or zip of sidecar files) into the given section (or -1 for all sections).
+     * @param {ParsedFormField} upload The uploaded sidecar or zip file.
+     * @param {number} sectionId
+     * @param {number} resolveType The MarkerConflictResolution type.
+     * @param {string} edlType The marker type to use for sections skipped by EDL files.
+     * @returns {Promise<SidecarImportResult>} */
+    static async importSidecars(upload, sectionId, resolveType, edlType) {
+        if (!upload.filename) {
+            throw new ServerError(`importSidecars: no filename provided for sidecar file`, 400);
+        }
+
+        if (!Object.values(MarkerConflictResolution).includes(resolveType)) {
+            throw new ServerError(`importSidecars: resolveType must be a MarkerConflictResolution type, found ${resolveType}`, 400);
+        }
+
+        if (!supportedMarkerType(edlType)) {
+            throw new ServerError(`importSidecars: unknown EDL marker type "${edlType}"`, 400);
+        }
+
+        const sections = (await PlexQueries.getLibraries()).map(section => section.id);
+        if (sectionId !== -1 && !sections.includes(sectionId)) {
+            throw new ServerError(`Invalid section id: ${sectionId}`, 400);
+        }
+
+        const data = Buffer.from(upload.data, 'binary');
+        const files = upload.filename.toLowerCase().endsWith('.zip') ?
+            readZip(data) :
+            [{ name : upload.filename, data : data.toString('utf-8') }];
+
+        /** @type {SidecarImportResult} */
+        const result = { added : 0, identical : 0, deleted : 0, modified : 0, ignored : 0, matched : 0, unmatched : [] };
+
+        /** @type {ParsedSidecar[]} */
+        const sidecars = [];
+        for (const file of files) {
+            const sidecar = SidecarImport.#parse(file.name, file.data, edlType);
+            if (sidecar) {
+                sidecars.push(sidecar);
+            } else {
+                result.unmatched.push({ file : file.name, reason : 'Not a recognized sidecar file' });
+            }
+        }
+
+        const targets = await SidecarImport.#getTargets(sectionId === -1 ? sections : [sectionId]);
+
+        /** @type {{ [metadataId: number]: { target: ImportTarget, sidecar: ParsedSidecar } }} */
+        const matches = {};
+        for (const sidecar of sidecars) {
+            SidecarImport.#match(sidecar, targets, matches, result);
+        }
+
+        /** @type {ImportSections} */
+        const sectionsToUpdate = {};
+        for (const { target, sidecar } of Object.values(matches)) {
+            const actions = SidecarImport.#toMarkerActions(sidecar.markers, target);
+            if (actions.length === 0) {
+                result.unmatched.push({ file : sidecar.name, reason : 'No markers found' });
+                continue;
+            }
+
+            const section = (sectionsToUpdate[target.item.section_id] ??= {
+                sectionType : target.item.metadata_type === MetadataType.Movie ? MetadataType.Movie : MetadataType.Show,
+                items : {},
+            });
+
+            section.items[target.item.id] = actions;
+            ++result.matched;
+        }
+
+        if (result.matched === 0) {
+            Log.warn(`Sidecar import: no sidecar files matched any items, nothing to import.`);
+            return result;
+        }
+
+        if (resolveType === MarkerConflictResolution.Overwrite) {
+            await PlexSnapshots.snapshot(PostCommands.ImportSidecars);
+        }
+
+        return { ...result, ...(await DatabaseImportExport.applyImport(sectionsToUpdate, resolveType)) };
+    }
+
+    /**
+     * Parse the given sidecar file, returning null if it's not a format we recognize.
+     * @param {string} name
+     * @param {string} text
+     * @param {string} edlType
+     * @returns {ParsedSidecar?} */
+    static #parse(name, text, edlType) {
+        text = text.replace(/^\uFEFF/, '');
+        if (text.startsWith(';FFMETADATA')) {
+            return { name : name, format : SidecarFormat.FFMetadata, markers : parseFFMetadata(text) };
+        }
+
+        if (/<Chapters[\s>]/.test(text)) {
+            return { name : name, format : SidecarFormat.MatroskaXml, markers : parseMatroskaXml(text) };
+        }
+
+        if (name.toLowerCase().endsWith('.edl')) {
+            return { name : name, format : SidecarFormat.Edl, markers : parseEdl(text, edlType) };
+        }
+
+        return null;
+    }
+
+    /**
+     * Retrieve all movies/episodes in the given sections that sidecar files can be matched against.
+     * @param {number[]} sections
+     * @returns {Promise<ImportTarget[]>} */
+    static async #getTargets(sections) {
+        /** @type {ImportTarget[]} */
+        const targets = [];
+        for (const sectionId of sections) {
+            /** @type {{ [id: number]: MinimalBaseItem }} */
+            const items = {};
+            for (const item of await DatabaseImportExport.getImportableItems(sectionId)) {
+                items[item.id] = item;
+            }
+
+            for (const mediaFile of await PlexQueries.getMediaFiles(sectionId)) {
+                if (items[mediaFile.id]) {
+                    targets.push({ file : mediaFile.file, duration : mediaFile.duration, item : items[mediaFile.id] });
+                }
+            }
+        }
+
+        return targets;
+    }
+
+    /**
+     * Find the item the given sidecar file belongs to, adding it to the given matches. A sidecar file
+     * matches if its path (minus the sidecar extension) matches the end of a media file's path (minus
+     * the media extension), or if its name is the item's GUID, with invalid file name characters replaced by '_'.
+     * @param {ParsedSidecar} sidecar
+     * @param {ImportTarget[]} targets
+     * @param {{ [metadataId: number]: { target: ImportTarget, sidecar: ParsedSidecar } }} matches
+     * @param {SidecarImportResult} result The result to add unmatched sidecar files to. */
+    static #match(sidecar, targets, matches, result) {
+        const normalize = path => path.replace(/\\/g, '/');
+        let key = normalize(sidecar.name);
+        const extension = SidecarExtensions.find(ext => key.toLowerCase().endsWith(ext));
+        key = key.substring(0, key.length - (extension?.length ?? 0));
+        const keyName = basename(key);
+
+        const candidates = targets.filter(target => {
+            const file = normalize(target.file);
+            const dot = file.lastIndexOf('.');
+            const base = dot > file.lastIndexOf('/') ? file.substring(0, dot) : file;
+            return base === key || base.endsWith('/' + key) || target.item.guid.replace(/[<>:"/\\|?*]/g, '_') === keyName;
+        });
+
+        const unmatched = (file, reason) => { result.unmatched.push({ file, reason }); };
+
+        const metadataIds = new Set(candidates.map(target => target.item.id));
+        if (metadataIds.size === 0) {
+            unmatched(sidecar.name, 'No matching movie or episode found');
+            return;
+        }
+
+        if (metadataIds.size > 1) {
+            const ids = Array.from(metadataIds).join(', ');
+            unmatched(sidecar.name, `Matches multiple items (${ids}), include the parent directory to disambiguate`);
+            return;
+        }
+
+        const target = candidates[0];
+        const existing = matches[target.item.id];
+        if (existing) {
+            if (FormatPriority.indexOf(existing.sidecar.format) <= FormatPriority.indexOf(sidecar.format)) {
+                unmatched(sidecar.name, `Ignored in favor of "${existing.sidecar.name}"`);
+                return;
+            }
+
+            unmatched(existing.sidecar.name, `Ignored in favor of "${sidecar.name}"`);
+        }
+
+        matches[target.item.id] = { target, sidecar };
+    }
+
+    /**
+     * Convert the markers parsed from a sidecar file into marker actions that bulkRestore understands.
+     * The last credits marker is considered the "final" credits marker if it reaches the end of the item.
+     * @param {SidecarMarker[]} markers
+     * @param {ImportTarget} target
+     * @returns {MarkerAction[]} */
+    static #toMarkerActions(markers, target) {
+        const now = Math.floor(Date.now() / 1000);
+        const actions = [];
+        for (const marker of markers) {
+            const end = Math.min(marker.end ?? target.duration, target.duration || Infinity);
+            if (!end || marker.start < 0 || end <= marker.start) {
+                Log.verbose(marker, `Ignoring invalid sidecar marker for ${target.item.id}`);
+                continue;
+            }
+
+            actions.push({
+                marker_type : marker.markerType,
+                final : 0,
+                start : marker.start,
+                end : end,
+                modified_at : null,
+                created_at : now,
+                user_created : true,
+                parent_guid : target.item.guid,
+                parent_id : target.item.id,
+                season_id : target.item.season_id,
+                show_id : target.item.show_id,
+                section_id : target.item.section_id,
+            });
+        }
+
+        const lastCredits = actions.filter(a => a.marker_type === MarkerType.Credits).sort((a, b) => b.start - a.start)[0];
+        if (lastCredits && (!target.duration || lastCredits.end >= target.duration)) {
+            lastCredits.final = 1;
+        }
+
+        for (const action of actions) {
+            action.extra_data = ExtraData.get(action.marker_type, action.final);
+        }
+
+        return actions;
+    }
+}
+
+/**
+ * Register POST handlers related to sidecar file import. */
+export function registerSidecarImportCommands() {
+    registerCommand(PostCommands.ImportSidecars,
+        q => SidecarImport.importSidecars(q.fr('sidecars'), q.fi('sectionId'), q.fi('resolveType'), q.fs('edlType')));
+}
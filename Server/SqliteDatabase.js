@@ -86,6 +86,38 @@ class SqliteDatabase {
         return this.#action(this.#db.exec.bind(this.#db), query, null /*parameters*/);
     }
 
+    /**
+     * Copy this database to the given file (or the given file to this database) using SQLite's online backup API,
+     * which results in a consistent copy even if another process (i.e. PMS) is writing to the database.
+     * @param {string} path The file to write the backup to, or restore from.
+     * @param {boolean} [restore=false] Whether to overwrite this database with the contents of `path`.
+     * @returns {Promise<void>} */
+    backup(path, restore=false) {
+        return new Promise((resolve, reject) => {
+            let attempts = 0;
+            const fail = (err) => { backup.finish(); reject(ServerError.FromDbError(err)); };
+
+            const step = () => {
+                backup.step(-1 /*all pages*/, (err) => {
+                    if (backup.completed) {
+                        backup.finish(() => resolve());
+                    } else if (!backup.failed && ++attempts < 20) {
+                        // The database is busy/locked by someone else. Try again shortly.
+                        setTimeout(step, 250);
+                    } else {
+                        fail(err ?? new Error(`Backup of ${path} did not complete`));
+                    }
+                });
+            };
+
+            const backup = this.#db.backup(path, 'main', 'main', !restore /*filenameIsDest*/, (err) => {
+                if (err) { fail(err); return; }
+
+                step();
+            });
+        });
+    }
+
     /** Closes the underlying database connection. */
     close() {
         return new Promise((resolve, _) => {
@@ -345,7 +345,7 @@ class FfmpegThumbnailManager extends ThumbnailManager {
 
         let bestFile = null;
         for (const entry of rows) {
-            const paths = this.#getFilePaths(entry.file);
+            const paths = Config.mappedFilePaths(entry.file);
             for (const file of paths) {
                 if (await this.#canReadFile(file)) {
                     Log.verbose(file, `Found file for ${metadataId}`);
@@ -369,32 +369,6 @@ class FfmpegThumbnailManager extends ThumbnailManager {
         return false;
     }
 
-    /**
-     * Get all possible file paths to test based on the path in Plex's database
-     * and any configured path mappings.
-     * @param {string} filePath */
-    #getFilePaths(filePath) {
-        /** @type {string[]} */
-        const paths = [];
-
-        for (const mapping of Config.pathMappings()) {
-            if (filePath.startsWith(mapping.from)) {
-                let newPath = filePath.replace(mapping.from, mapping.to);
-                const forward = mapping.from.includes('/');
-                if (forward !== mapping.to.includes('/')) {
-                    // Path separator is different. Replace that as well.
-                    newPath = newPath.replace(forward ? /\//g : /\\/g, forward ? '\\' : '/');
-                }
-
-                paths.push(newPath);
-            }
-        }
-
-        // Even if we have a matching path mapping, still try the original path.
-        paths.push(filePath);
-        return paths;
-    }
-
     /**
      * Retrieve the thumbnail for the given episode at the given timestamp (to the nearest tenth, rounded down).
      * @param {number} metadataId Episode metadata id.
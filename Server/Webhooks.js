@@ -0,0 +1,289 @@
+import { createHmac, randomUUID } from 'crypto';
+
+import { MarkerEnum, MarkerType } from '../Shared/MarkerType.js';
+import { ContextualLog } from '../Shared/ConsoleLog.js';
+import { PostCommands } from '../Shared/PostCommands.js';
+import { WebhookEvent } from '../Shared/ServerConfig.js';
+
+import { Config } from './Config/MarkerEditorConfig.js';
+import { currentActor } from './RequestContext.js';
+import { registerCommand } from './Commands/PostCommand.js';
+import ServerError from './ServerError.js';
+import { validWebhookUrl } from './Config/ConfigHelpers.js';
+
+/** @typedef {!import('../Shared/PlexTypes').MarkerData} MarkerData */
+/** @typedef {!import('../Shared/PlexTypes').OldMarkerTimings} OldMarkerTimings */
+/** @typedef {!import('../Shared/PlexTypes').WebhookDelivery} WebhookDelivery */
+/** @typedef {!import('../Shared/ServerConfig').Webhook} Webhook */
+
+/**
+ * @typedef {Object} WebhookMarker
+ * @property {number} id
+ * @property {string} type
+ * @property {number} start
+ * @property {number} end
+ * @property {boolean} final
+ * @property {number} metadataId The episode/movie the marker belongs to.
+ * @property {string} guid The Plex GUID of the episode/movie, which is stable across databases, unlike metadataId.
+ * @property {number} seasonId
+ * @property {number} showId
+ * @property {number} sectionId
+ * @property {{ start: number, end: number, type: string, final: boolean }} [previous] Edits only - the old marker values.
+ */
+
+/**
+ * @typedef {Object} WebhookPayload
+ * @property {string} id Unique id of this payload, which doesn't change when retrying a delivery.
+ * @property {string} event
+ * @property {number} timestamp The epoch timestamp (in seconds) the change was made.
+ * @property {string?} user The user who made the change, if authentication is enabled.
+ * @property {WebhookMarker[]} [markers] The markers that changed, for all events other than 'purged'.
+ * @property {number} [sectionId] Purges only - the library section that was purged.
+ * @property {string[]} [markerTypes] Purges only - the types of markers that were purged.
+ * @property {number} [deleted] Purges only - the number of markers deleted from the Plex database.
+ */
+
+
+const Log = ContextualLog.Create('Webhooks');
+
+/** Not a real WebhookEvent, since it can't be subscribed to, but lets targets know the payload can be ignored. */
+const TestEvent = 'test';
+
+/** How long to wait before each retry of a failed delivery, in milliseconds. */
+const RetryDelays = [1000, 10_000, 60_000];
+
+/** How long to wait for a webhook target to respond, in milliseconds. */
+const RequestTimeout = 10_000;
+
+/** The maximum number of deliveries to keep in the delivery log. */
+const MaxLogEntries = 100;
+
+/**
+ * Notifies external services (e.g. a script that regenerates sidecar files) when markers change,
+ * POSTing a JSON payload to every configured webhook that's subscribed to the event.
+ */
+class WebhookDispatcher {
+    /**
+     * The most recent deliveries, oldest first. Kept in memory only, since it's just a
+     * troubleshooting aid, and the backup database already records what actually changed.
+     * @type {WebhookDelivery[]} */
+    #deliveries = [];
+
+    /**
+     * Notify webhooks of added, edited, deleted, or restored markers.
+     * @param {string} event The WebhookEvent.
+     * @param {MarkerData[]} markers
+     * @param {string?} username The user who made the change.
+     * @param {OldMarkerTimings} [oldTimings] For edits, the previous marker values. */
+    markersChanged(event, markers, username, oldTimings={}) {
+        if (markers.length === 0) {
+            return;
+        }
+
+        this.#dispatch(event, { user : username, markers : markers.map(m => markerPayload(m, oldTimings[m.id])) });
+    }
+
+    /**
+     * Notify webhooks that all markers of the given type(s) were wiped from a library section.
+     * @param {number} sectionId
+     * @param {number} deleteType The MarkerEnum of the purged markers.
+     * @param {number} deleted The number of markers deleted from the Plex database. */
+    sectionPurged(sectionId, deleteType, deleted) {
+        this.#dispatch(WebhookEvent.Purged, {
+            user : currentActor().username,
+            sectionId : sectionId,
+            markerTypes : Object.values(MarkerType).filter(markerType => MarkerEnum.typeMatch(markerType, deleteType)),
+            deleted : deleted,
+        });
+    }
+
+    /**
+     * Send a test payload to the given URL. Unlike regular deliveries, failures aren't retried,
+     * since the user is waiting on the result.
+     * @param {string} url
+     * @param {string} [secret]
+     * @returns {Promise<WebhookDelivery>} */
+    test(url, secret) {
+        if (!validWebhookUrl(url)) {
+            throw new ServerError(`Webhook URL must be an http or https URL.`, 400);
+        }
+
+        const payload = this.#payload(TestEvent, {
+            user : currentActor().username,
+            markers : [],
+        });
+
+        return this.#deliver({ url, secret }, payload, false /*retry*/);
+    }
+
+    /**
+     * @returns {WebhookDelivery[]} The most recent deliveries, newest first. */
+    deliveryLog() {
+        return this.#deliveries.toReversed();
+    }
+
+    /**
+     * Send the given event to all subscribed webhooks. Deliveries happen in the background, as we
+     * don't want marker operations to wait on (or fail because of) external services.
+     * @param {string} event
+     * @param {Partial<WebhookPayload>} data */
+    #dispatch(event, data) {
+        const webhooks = (Config?.webhooks() ?? []).filter(webhook => !webhook.events || webhook.events.includes(event));
+        if (webhooks.length === 0) {
+            return;
+        }
+
+        const payload = this.#payload(event, data);
+        for (const webhook of webhooks) {
+            this.#deliver(webhook, payload).catch(err => {
+                Log.error(err.message, `Unexpected error sending ${event} webhook to ${webhook.url}`);
+            });
+        }
+    }
+
+    /**
+     * @param {string} event
+     * @param {Partial<WebhookPayload>} data
+     * @returns {WebhookPayload} */
+    #payload(event, data) {
+        return {
+            id : randomUUID(),
+            event : event,
+            timestamp : Math.floor(Date.now() / 1000),
+            ...data,
+        };
+    }
+
+    /**
+     * POST the payload to the given webhook, retrying on network errors, rate limiting, and server errors.
+     * @param {Webhook} webhook
+     * @param {WebhookPayload} payload
+     * @param {boolean} [retry=true]
+     * @returns {Promise<WebhookDelivery>} */
+    async #deliver(webhook, payload, retry=true) {
+        const body = JSON.stringify(payload);
+        const headers = {
+            'Content-Type' : 'application/json',
+            'User-Agent' : `MarkerEditorForPlex/${Config?.appVersion() ?? '0.0.0'}`,
+            'X-Marker-Editor-Event' : payload.event,
+            'X-Marker-Editor-Delivery' : payload.id,
+        };
+
+        if (webhook.secret) {
+            headers['X-Marker-Editor-Signature'] = 'sha256=' + createHmac('sha256', webhook.secret).update(body).digest('hex');
+        }
+
+        const maxAttempts = retry ? RetryDelays.length + 1 : 1;
+        let attempts = 0;
+        let result;
+        while (attempts < maxAttempts) {
+            if (attempts > 0) {
+                const delay = RetryDelays[attempts - 1];
+                await new Promise(resolve => { setTimeout(resolve, delay).unref(); });
+            }
+
+            ++attempts;
+            result = await sendPayload(webhook.url, headers, body);
+            if (!result.error || !result.canRetry) {
+                break;
+            }
+
+            Log.verbose(`Failed to send ${payload.event} webhook to ${webhook.url} (attempt ${attempts}): ${result.error}`);
+        }
+
+        /** @type {WebhookDelivery} */
+        const delivery = {
+            id : payload.id,
+            url : webhook.url,
+            event : payload.event,
+            sentAt : Math.floor(Date.now() / 1000),
+            attempts : attempts,
+            status : result.status,
+            error : result.error,
+            success : !result.error,
+        };
+
+        if (delivery.success) {
+            Log.verbose(`Sent ${payload.event} webhook to ${webhook.url}`);
+        } else {
+            Log.warn(`Failed to send ${payload.event} webhook to ${webhook.url} after ${attempts} attempt(s): ${delivery.error}`);
+        }
+
+        this.#deliveries.push(delivery);
+        if (this.#deliveries.length > MaxLogEntries) {
+            this.#deliveries.shift();
+        }
+
+        return delivery;
+    }
+}
+
+/**
+ * Make a single attempt to POST the given body to the given URL.
+ * @param {string} url
+ * @param {{ [header: string]: string }} headers
+ * @param {string} body
+ * @returns {Promise<{ status: number?, error: string?, canRetry: boolean }>} */
+async function sendPayload(url, headers, body) {
+    try {
+        const response = await fetch(url, {
+            method : 'POST',
+            headers : headers,
+            body : body,
+            signal : AbortSignal.timeout(RequestTimeout),
+        });
+
+        return {
+            status : response.status,
+            error : response.ok ? null : `${response.status} ${response.statusText}`.trim(),
+            // Other client errors won't go away by sending the same payload again.
+            canRetry : response.status === 429 || response.status >= 500,
+        };
+    } catch (err) {
+        return { status : null, error : err.cause?.message ?? err.message, canRetry : true };
+    }
+}
+
+/**
+ * @param {MarkerData} marker
+ * @param {{ start: number|null, end: number|null, markerType?: string, final?: number }} [old]
+ * @returns {WebhookMarker} */
+function markerPayload(marker, old) {
+    /** @type {WebhookMarker} */
+    const payload = {
+        id : marker.id,
+        type : marker.markerType,
+        start : marker.start,
+        end : marker.end,
+        final : !!marker.isFinal,
+        metadataId : marker.parentId,
+        guid : marker.parentGuid,
+        seasonId : marker.seasonId,
+        showId : marker.showId,
+        sectionId : marker.sectionId,
+    };
+
+    if (old) {
+        payload.previous = {
+            start : old.start,
+            end : old.end,
+            type : old.markerType ?? marker.markerType,
+            final : old.final === undefined ? !!marker.isFinal : !!old.final,
+        };
+    }
+
+    return payload;
+}
+
+/**
+ * @type {WebhookDispatcher} */
+const Webhooks = new WebhookDispatcher();
+
+/**
+ * Register POST handlers related to webhooks. */
+export function registerWebhookCommands() {
+    registerCommand(PostCommands.GetWebhookLog, _ => Webhooks.deliveryLog());
+    registerCommand(PostCommands.TestWebhook, q => Webhooks.test(q.fs('url'), q.fs('secret')));
+}
+
+export { Webhooks };
@@ -40,7 +40,7 @@ import { MarkerType } from './MarkerType.js';
  * @typedef {PurgeShowSection|PurgeMovieSection} PurgeSection
  *
  * @typedef {{
- *      episodeData: EpisodeData,
+ *      episodeData: EpisodeData|MovieData,
  *      existingMarkers: MarkerData[],
  *      changedMarker: MarkerData?,
  *      isAdd: boolean?,
@@ -69,20 +69,45 @@ import { MarkerType } from './MarkerType.js';
  *      ignoredEpisodes: number[]?
  * }} SerializedBulkAddResult
  *
+ * @typedef {{ markerType: string, start: number, end: number, final: boolean }} CopiedMarker
+ *
+ * @typedef {{
+ *      applied: boolean,
+ *      notAppliedReason: string?,
+ *      episodeMap: {[episodeId: number]: SerializedBulkAddResultEntry},
+ *      copies: {[episodeId: number]: CopiedMarker[]},
+ *      unaligned: number[]
+ * }} MarkerCopyResult
+ *
  * @typedef {{
  *      markers: SerializedMarkerData[],
  *      deletedMarkers: SerializedMarkerData[],
  *      episodeData?: { [episodeId: number]: SerializedEpisodeData }
  * }} BulkDeleteResult
  *
+ * @typedef {{
+ *      applied: boolean,
+ *      notAppliedReason: string?,
+ *      added: SerializedMarkerData[],
+ *      edited: SerializedMarkerData[],
+ *      deleted: SerializedMarkerData[]
+ * }} BulkItemsResult The result of a bulk add/shift/delete that targets multiple shows/seasons/movies at once.
+ *
+ * @typedef {{
+ *      markers: SerializedMarkerData[],
+ *      episodeData: { [baseItemId: number]: SerializedEpisodeData },
+ *      movieData: { [baseItemId: number]: SerializedMovieData }
+ * }} BulkItemsCheckResult All existing markers for the episodes/movies targeted by a multi-item bulk action.
+ *
  * @typedef {{[metadataId: number]: MarkerData[] }} MarkerDataMap
  * @typedef {{[metadataId: number]: SerializedMarkerData[] }} SerializedMarkerDataMap
  *
  * @typedef {{ name : string, index : number, start : number, end : number }} ChapterData
  * @typedef {{ [metadataId: number]: ChapterData[] }} ChapterMap
- * @typedef {{ [episodeId: number]: { start : number, end : number } }} CustomBulkAddMap
+ * @typedef {{ [episodeId: number]: { start : number, end : number, final? : boolean } }} CustomBulkAddMap
+ * If `final` isn't set, credits markers are final if they reach the end of the episode.
  *
- * @typedef {{ [markerId: number]: { start: number|null, end: number|null }}} OldMarkerTimings
+ * @typedef {{ [markerId: number]: { start: number|null, end: number|null, markerType?: string, final?: number }}} OldMarkerTimings
  */
 /**
  * @typedef {Object} BulkRestoreResponse
@@ -100,7 +125,265 @@ import { MarkerType } from './MarkerType.js';
  *            season_id: number, show_id: number, section_id: number, start: number, end: number, old_start: number?,
  *            old_end: number?, modified_at: number|null, created_at: number, recorded_at: number, extra_data: string,
  *            section_uuid: string, restores_id: number?, restored_id: number?, user_created: number, parent_guid: string?,
- *            readded: boolean?, readded_id: number?, episodeData: EpisodeData?, movieData: MovieData? }} MarkerAction
+ *            batch_id: number?, batch_type: number, reverted_by: number?, old_marker_type: string?, old_final: number?,
+ *            username: string?, client_ip: string?, readded: boolean?, readded_id: number?, episodeData: EpisodeData?,
+ *            movieData: MovieData? }} MarkerAction
+ */
+
+/**
+ * A single sidecar file that was (or would be) written during a sidecar export.
+ * @typedef {Object} SidecarFile
+ * @property {number} metadataId The movie/episode the sidecar file is for.
+ * @property {string} path The full path of the sidecar file.
+ * @property {number} format The SidecarFormat of the file.
+ * @property {number} markerCount The number of markers in the sidecar file.
+ * @property {boolean} exists Whether a file already exists at the given path.
+ * @property {boolean} written Whether the file was written. Always false for dry runs.
+ * @property {string?} error The reason the file could not be written, if any.
+ */
+/**
+ * @typedef {Object} SidecarExportResult
+ * @property {boolean} dryRun Whether this was a dry run that didn't write any files.
+ * @property {SidecarFile[]} files The sidecar files that were (or would be) written.
+ * @property {{ metadataId: number, file: string }[]} missing Items with markers whose media file couldn't be found.
+ */
+/**
+ * @typedef {Object} SidecarImportResult
+ * @property {number} added The number of markers added.
+ * @property {number} identical The number of markers ignored because they're identical to an existing marker.
+ * @property {number} deleted The number of existing markers deleted (overwritten).
+ * @property {number} modified The number of existing markers modified (merged).
+ * @property {number} ignored The number of markers ignored due to conflicts.
+ * @property {number} matched The number of sidecar files that were matched to a movie/episode.
+ * @property {{ file: string, reason: string }[]} unmatched Sidecar files that couldn't be imported, and why.
+ */
+/**
+ * An intro found by comparing the audio of an episode to the other episodes in its season.
+ * @typedef {Object} DetectedIntro
+ * @property {number} start The start of the intro, in milliseconds.
+ * @property {number} end The end of the intro, in milliseconds.
+ * @property {number} matchedWith The metadata id of the episode that shares this intro.
+ * @property {number} confidence The fraction of the intro that closely matched the other episode, between 0 and 1.
+ */
+/**
+ * @typedef {Object} IntroDetectionResult
+ * @property {{ [episodeId: number]: DetectedIntro }} episodes The intros that were found.
+ * @property {{ metadataId: number, reason: string }[]} failed Episodes where no intro was found, and why.
+ */
+/**
+ * Credits found by looking for black frames and silence near the end of a movie/episode.
+ * @typedef {Object} DetectedCredits
+ * @property {number} start The start of the credits, in milliseconds.
+ * @property {number} end The end of the credits, in milliseconds.
+ * @property {boolean} final Whether the credits run until the end of the item.
+ * @property {'black'|'silence'|'both'} source What the credits were detected from.
+ */
+/**
+ * @typedef {Object} CreditsDetectionResult
+ * @property {{ [metadataId: number]: DetectedCredits }} items The credits that were found.
+ * @property {{ metadataId: number, reason: string }[]} failed Items where no credits were found, and why.
+ */
+/**
+ * @typedef {Object} AutoRestoreEntry
+ * @property {number} id
+ * @property {number} sectionId The library section the purged markers belong to.
+ * @property {number} resolveType The MarkerConflictResolution used to restore markers.
+ * @property {number} purged The number of purged markers found.
+ * @property {number} restored The number of markers restored.
+ * @property {number} deleted The number of existing markers deleted.
+ * @property {number} modified The number of existing markers modified.
+ * @property {number} ignored The number of purged markers ignored.
+ * @property {string?} error The reason the restoration failed, if it did.
+ * @property {number} runAt The epoch timestamp (in seconds) of the restoration.
+ * @property {boolean} seen Whether the user has already been notified of this restoration.
+ */
+/**
+ * @typedef {Object} PlexDbSnapshot
+ * @property {string} name The file name of the snapshot, used to identify it when restoring.
+ * @property {string} reason The command that triggered the snapshot.
+ * @property {number} created The epoch timestamp (in milliseconds) the snapshot was taken.
+ * @property {number} size The size of the snapshot, in bytes.
+ */
+/**
+ * @typedef {Object} ApiKeyInfo
+ * @property {number} id
+ * @property {string} name A description of what the key is used for, e.g. the integration that uses it.
+ * @property {number} role The UserRole requests made with this key have.
+ * @property {number} created The epoch timestamp (in seconds) the key was created.
+ * @property {number?} lastUsed The epoch timestamp (in seconds) the key was last used, or null if it's never been used.
+ */
+/**
+ * @typedef {Object} NewApiKey
+ * @property {ApiKeyInfo} info
+ * @property {string} key The key itself. Only the hash of the key is stored, so this is the only time it's available.
+ */
+/**
+ * The result of sending a payload to a webhook.
+ * @typedef {Object} WebhookDelivery
+ * @property {string} id The unique id of the payload, which is the same across retries.
+ * @property {string} url
+ * @property {string} event The WebhookEvent that was sent, or 'test'.
+ * @property {number} sentAt The epoch timestamp (in seconds) of the final attempt.
+ * @property {number} attempts The number of times we tried to send the payload.
+ * @property {number?} status The HTTP status of the final attempt, or null if the request failed outright.
+ * @property {string?} error Why the delivery failed, if it did.
+ * @property {boolean} success
+ */
+/**
+ * A single recorded marker action, as shown in the audit log.
+ * @typedef {Object} AuditLogEntry
+ * @property {number} id
+ * @property {'add'|'edit'|'delete'|'restore'} action What happened to the marker.
+ * @property {'undo'|'redo'|null} revert Whether this action was the result of an undo/redo.
+ * @property {number} markerId
+ * @property {string} markerType
+ * @property {number} parentId The metadata id of the episode/movie the marker belongs to.
+ * @property {number} seasonId The season of the episode, or -1 for movies.
+ * @property {number} showId The show of the episode, or -1 for movies.
+ * @property {number} sectionId
+ * @property {string?} title The display title of the episode/movie, or null if it no longer exists.
+ * @property {number} start
+ * @property {number} end
+ * @property {number?} oldStart The start of the marker before an edit.
+ * @property {number?} oldEnd The end of the marker before an edit.
+ * @property {number} recordedAt The epoch timestamp (in seconds) of the action.
+ * @property {number?} batchId The operation this action was a part of.
+ * @property {string?} username Who performed the action, or null if authentication was disabled.
+ * @property {string?} clientIp Where the action was performed from, if known.
+ */
+/**
+ * @typedef {Object} AuditLogPage
+ * @property {AuditLogEntry[]} entries The actions in this page, most recent first.
+ * @property {number} total The total number of actions that match the filter.
+ * @property {number} page The zero-based page number.
+ * @property {number} pageSize The maximum number of entries per page.
+ */
+/**
+ * A movie or episode whose markers changed, as reported to clients listening for live updates.
+ * @typedef {Object} ChangedBaseItem
+ * @property {number} metadataId The metadata id of the movie/episode.
+ * @property {number} seasonId The season of the episode, or -1 for movies.
+ * @property {number} showId The show of the episode, or -1 for movies.
+ * @property {number} sectionId The library section of the item.
+ */
+/**
+ * @typedef {Object} MarkerChangeEvent
+ * @property {ChangedBaseItem[]} items The movies/episodes whose markers changed.
+ * @property {boolean} purgesChanged Whether the changes may have added or resolved purged markers.
+ */
+/**
+ * Marker counts grouped into fixed-size time buckets.
+ * @typedef {Object} MarkerTimingHistogram
+ * @property {number} bucketSize The size of each bucket, in milliseconds.
+ * @property {number[]} buckets The number of markers in each bucket, where bucket N covers [N * bucketSize, (N + 1) * bucketSize).
+ */
+/**
+ * Start time and duration distributions for a single marker type.
+ * @typedef {Object} MarkerTimingTypeStats
+ * @property {number} count The number of markers of this type.
+ * @property {number} medianStart The median start time, in milliseconds.
+ * @property {number} medianDuration The median duration, in milliseconds.
+ * @property {MarkerTimingHistogram} start
+ * @property {MarkerTimingHistogram} duration
+ */
+/**
+ * A marker whose timings look suspicious.
+ * @typedef {Object} MarkerTimingOutlier
+ * @property {number} markerId
+ * @property {string} markerType
+ * @property {number} start
+ * @property {number} end
+ * @property {number} parentId The metadata id of the episode/movie the marker belongs to.
+ * @property {number} seasonId The season of the episode, or -1 for movies.
+ * @property {number} showId The show of the episode, or -1 for movies.
+ * @property {string} title The display title of the episode/movie.
+ * @property {string} searchTitle The title of the show/movie, used to find the item in the main UI.
+ * @property {string} reason Why this marker is considered an outlier.
+ */
+/**
+ * @typedef {Object} MarkerTimingStats
+ * @property {MarkerTimingTypeStats} intro
+ * @property {MarkerTimingTypeStats} credits
+ * @property {MarkerTimingOutlier[]} outliers
+ */
+/**
+ * A one-click fix for a marker problem, applied with the regular edit/delete marker commands.
+ * @typedef {Object} MarkerLintFix
+ * @property {'edit'|'delete'} action
+ * @property {number} [start] The new start of the marker, for edits.
+ * @property {number} [end] The new end of the marker, for edits.
+ * @property {number} [final] The new final flag of the marker, for edits.
+ * @property {string} description What the fix will do.
+ */
+/**
+ * A problem found with a single marker.
+ * @typedef {Object} MarkerLintProblem
+ * @property {string} category The MarkerLintCategory of the problem.
+ * @property {number} markerId
+ * @property {string} markerType
+ * @property {number} start
+ * @property {number} end
+ * @property {number} final
+ * @property {number} parentId The metadata id of the episode/movie the marker belongs to.
+ * @property {number} seasonId The season of the episode, or -1 for movies.
+ * @property {number} showId The show of the episode, or -1 for movies.
+ * @property {string} title The display title of the episode/movie.
+ * @property {string} searchTitle The title of the show/movie, used to find the item in the main UI.
+ * @property {string} description Details about the problem.
+ * @property {MarkerLintFix?} fix The suggested fix, or null if the marker needs to be fixed manually.
+ */
+/**
+ * @typedef {Object} MarkerLintResult
+ * @property {number} itemsScanned The number of movies/episodes that were checked.
+ * @property {MarkerLintProblem[]} problems
+ */
+/**
+ * A condition on the timing of markers. An item matches if any of its markers of the given type(s) match.
+ * @typedef {Object} MarkerTimingFilter
+ * @property {number} applyTo The MarkerEnum type(s) of markers to check.
+ * @property {number} field The MarkerTimingField to compare.
+ * @property {number} condition The FilterConditions to use. Equals isn't supported for timings.
+ * @property {number} value The timestamp/duration to compare against, in milliseconds.
+ * @property {number} [value2] The upper bound for Between conditions, in milliseconds.
+ */
+/**
+ * Filter conditions that need every marker in a library, so they're evaluated by the server.
+ * @typedef {Object} MarkerFilter
+ * @property {MarkerTimingFilter[]} timings Timing conditions, all of which must match.
+ * @property {boolean} userCreated Only include items with markers created through Marker Editor.
+ * @property {boolean} purged Only include items with purged markers.
+ */
+/**
+ * @typedef {Object} MarkerFilterResult
+ * @property {number[]} ids The ids of every movie/episode that matches the filter, along with the seasons and shows they belong to.
+ */
+/**
+ * A marker as it exists on one side of a sync.
+ * @typedef {{ markerType: string, start: number, end: number, final: number }} SyncMarker
+ */
+/**
+ * A movie/episode whose markers differ between this server and the sync server.
+ * @typedef {Object} MarkerSyncItem
+ * @property {string} guid The GUID used to match the item across servers.
+ * @property {number} metadataId The id of the item on this server.
+ * @property {number} seasonId The season of the episode on this server, or -1 for movies.
+ * @property {number} showId The show of the episode on this server, or -1 for movies.
+ * @property {string} title The display title of the episode/movie.
+ * @property {SyncMarker[]} localMarkers The item's markers on this server.
+ * @property {SyncMarker[]} remoteMarkers The item's markers on the sync server.
+ */
+/**
+ * @typedef {Object} MarkerSyncDiff
+ * @property {number} itemsCompared The number of movies/episodes that exist on both servers.
+ * @property {MarkerSyncItem[]} items The items whose markers differ.
+ */
+/**
+ * @typedef {Object} MarkerSyncResult
+ * @property {number} added The number of markers added.
+ * @property {number} identical The number of markers skipped because they already existed.
+ * @property {number} deleted The number of existing markers deleted (overwritten).
+ * @property {number} modified The number of existing markers modified (merged).
+ * @property {number} ignored The number of markers skipped because they conflicted with existing markers.
  */
 
 /**
@@ -301,6 +584,13 @@ class ShowData extends TopLevelData {
         return this.#seasons[metadataId];
     }
 
+    /**
+     * Retrieve all cached seasons of this show.
+     * @returns {SeasonData[]} */
+    seasons() {
+        return Object.values(this.#seasons);
+    }
+
     /** Clears out this show's cache of seasons. */
     clearSeasons() {
         this.#seasons = {};
@@ -363,6 +653,13 @@ class SeasonData extends PlexData {
         return this.#episodes[metadataId];
     }
 
+    /**
+     * Retrieve all cached episodes of this season.
+     * @returns {EpisodeData[]} */
+    episodes() {
+        return Object.values(this.#episodes);
+    }
+
     /** Clear out this season's episode cache. */
     clearEpisodes() {
         this.#episodes = {};
@@ -606,6 +903,20 @@ const BulkMarkerResolveType = {
     Max : 4,
 };
 
+/**
+ * How to translate marker timestamps when copying markers from one episode to others.
+ * @enum */
+const MarkerCopyAlignment = {
+    /** @readonly Use the exact same timestamps. */
+    Absolute : 0,
+    /** @readonly Keep markers at the same percentage of the episode's duration. */
+    Percentage : 1,
+    /** @readonly Keep credits the same distance from the end of the episode, and use the same timestamps for everything else. */
+    CreditsFromEnd : 2,
+    /** @readonly Keep markers the same distance from the start of the chapter with the same name. */
+    Chapter : 3,
+};
+
 /**
  * Supported library types
  * @enum */
@@ -628,6 +939,92 @@ const MarkerConflictResolution = {
     Ignore : 3,
 };
 
+/**
+ * Sidecar file formats that markers can be exported to, as OR-able values.
+ * @enum */
+const SidecarFormat = {
+    /** @readonly Kodi's Edit Decision List (.edl) */
+    Edl : 0x1,
+    /** @readonly FFmpeg metadata chapters (.ffmetadata), usable by mpv via --chapters-file */
+    FFMetadata : 0x2,
+    /** @readonly Matroska chapter XML (.chapters.xml), usable by mkvmerge and Jellyfin */
+    MatroskaXml : 0x4,
+    /** @readonly */
+    All : 0x1 | 0x2 | 0x4,
+};
+
+/**
+ * File formats that markers can be exported to (and imported from).
+ * @enum */
+const MarkerExportFormat = {
+    /** @readonly SQLite database that can only be read by Marker Editor. */
+    Database : 'db',
+    /** @readonly Human-readable JSON, grouped by movie/episode. */
+    Json : 'json',
+    /** @readonly Human-readable CSV, with one marker per row. */
+    Csv : 'csv',
+};
+
+/**
+ * Events sent to clients listening for live updates.
+ * @enum */
+const LiveUpdateEvent = {
+    /** @readonly Markers were added, edited, or deleted. Data is a MarkerChangeEvent. */
+    Markers : 'markers',
+};
+
+/**
+ * Which way markers are copied when syncing with another server.
+ * @enum */
+const MarkerSyncDirection = {
+    /** @readonly Copy markers from the sync server to this one. */
+    Pull : 0,
+    /** @readonly Copy markers from this server to the sync server. */
+    Push : 1,
+};
+
+/**
+ * Conditions used to compare marker counts and timings when filtering.
+ * @enum */
+const FilterConditions = {
+    /** @readonly The value is less than the limit. */
+    LessThan : 0,
+    /** @readonly The value is equal to the limit. */
+    Equals : 1,
+    /** @readonly The value is greater than the limit. */
+    GreaterThan : 2,
+    /** @readonly The value is between two limits, inclusive. */
+    Between : 3,
+};
+
+/**
+ * The part of a marker that a timing filter applies to.
+ * @enum */
+const MarkerTimingField = {
+    /** @readonly The start of the marker. */
+    Start : 0,
+    /** @readonly The end of the marker. */
+    End : 1,
+    /** @readonly The length of the marker. */
+    Duration : 2,
+};
+
+/**
+ * Types of problems the marker lint command can find.
+ * @enum */
+const MarkerLintCategory = {
+    /** @readonly The marker starts before the previous marker ends. */
+    Overlap : 'overlap',
+    /** @readonly The marker extends past the end of the episode/movie. */
+    PastEnd : 'pastEnd',
+    /** @readonly The marker doesn't end after it starts. */
+    ZeroLength : 'zeroLength',
+    /** @readonly Credits that end at the end of the file, but aren't marked as final. */
+    CreditsNotFinal : 'creditsNotFinal',
+    /** @readonly An intro whose timings are very different from the rest of its season. */
+    IntroMismatch : 'introMismatch',
+};
+
 export {
     BulkMarkerResolveType,
     PlexData,
@@ -636,6 +1033,14 @@ export {
     SeasonData,
     EpisodeData,
     MovieData,
+    FilterConditions,
+    LiveUpdateEvent,
     MarkerConflictResolution,
+    MarkerCopyAlignment,
     MarkerData,
-    SectionType };
+    MarkerExportFormat,
+    MarkerLintCategory,
+    MarkerSyncDirection,
+    MarkerTimingField,
+    SectionType,
+    SidecarFormat };
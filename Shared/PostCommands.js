@@ -18,6 +18,25 @@ export const PostCommands = {
     BulkAdd : 'bulk_add',
     /** @readonly Bulk add markers with customized start/end timestamps. */
     BulkAddCustom : 'add_custom',
+    /** @readonly Copy markers from one episode to other episodes in a show/season. */
+    CopyMarkers : 'copy_markers',
+    /** @readonly Retrieve the episodes/movies and markers of multiple shows/seasons/movies for a multi-item bulk action. */
+    CheckBulkItems : 'check_bulk_items',
+    /** @readonly Bulk add markers to every episode/movie of multiple shows/seasons/movies at once. */
+    BulkAddItems : 'bulk_add_items',
+    /** @readonly Shift markers for multiple shows/seasons/movies at once. */
+    ShiftItems : 'shift_items',
+    /** @readonly Bulk delete markers for multiple shows/seasons/movies at once. */
+    BulkDeleteItems : 'bulk_delete_items',
+    /** @readonly Detect intros for a show/season by finding audio shared between episodes. */
+    DetectIntros : 'detect_intros',
+    /** @readonly Detect credits for a movie/episode/season/show by looking for black frames and silence. */
+    DetectCredits : 'detect_credits',
+
+    /** @readonly Revert the last marker operation for a library section, as long as it's the one the client expects. */
+    Undo : 'undo',
+    /** @readonly Reapply the last reverted marker operation for a library section, as long as it's the one the client expects. */
+    Redo : 'redo',
 
     /** @readonly Get marker information for all metadata ids specified. */
     Query : 'query',
@@ -35,6 +54,12 @@ export const PostCommands = {
     GetStats : 'get_stats',
     /** @readonly Get the marker breakdown for a specific metadata id. */
     GetBreakdown : 'get_breakdown',
+    /** @readonly Get marker start time and duration distributions for a library or show. */
+    GetTimingStats : 'get_timing_stats',
+    /** @readonly Scan a library or show for broken markers. */
+    LintMarkers : 'lint_markers',
+    /** @readonly Find items in a library whose markers match the given timing/user-created/purged filter. */
+    FilterItems : 'filter_items',
     /** @readonly  Get chapters associated with the given metadata id. */
     GetChapters : 'get_chapters',
     /** @readonly Get all available information for the given metadata id (markers, thumbnails, chapters) */
@@ -57,11 +82,31 @@ export const PostCommands = {
     RestorePurges : 'restore_purge',
     /** @readonly Ignore the given purged markers. */
     IgnorePurges : 'ignore_purge',
+    /** @readonly Retrieve the history of scheduled purge restorations. */
+    AutoRestoreHistory : 'auto_restore_history',
+    /** @readonly Mark all scheduled purge restorations as seen. */
+    DismissAutoRestores : 'dismiss_auto_restores',
 
     /** @readonly Import markers from a previously exported marker database. */
     ImportDb : 'import_db',
+    /** @readonly Export markers to EDL/chapter files alongside each movie/episode. */
+    ExportSidecars : 'export_sidecars',
+    /** @readonly Import markers from uploaded EDL/chapter files (or a zip file containing them). */
+    ImportSidecars : 'import_sidecars',
+    /** @readonly Compare this library's markers with the configured sync server's markers. */
+    CompareSync : 'sync_compare',
+    /** @readonly Copy markers for the given items to or from the configured sync server. */
+    ApplySync : 'sync_apply',
     /** @readonly Completely wipe out markers for the given library. */
     Nuke : 'nuke_section',
+    /** @readonly Retrieve the most recent webhook deliveries. */
+    GetWebhookLog : 'get_webhook_log',
+    /** @readonly Send a test payload to the given webhook URL. */
+    TestWebhook : 'test_webhook',
+    /** @readonly Retrieve the Plex database snapshots taken before destructive operations. */
+    GetSnapshots : 'get_snapshots',
+    /** @readonly Overwrite the Plex database with a previous snapshot. Requires the server to be suspended. */
+    RestoreSnapshot : 'restore_snapshot',
 
     /** @readonly Shut down Marker Editor */
     ServerShutdown : 'shutdown',
@@ -78,10 +123,123 @@ export const PostCommands = {
     Login : 'login',
     /** @readonly Log out of a session. */
     Logout : 'logout',
-    /** @readonly Change the single-user password. */
+    /** @readonly Change the signed-in user's password. */
     ChangePassword : 'change_password',
     /** @readonly Check whether authentication is enabled, but a user password is not set. */
     NeedsPassword : 'check_password',
+
+    /** @readonly Retrieve all user accounts and their roles. */
+    GetUsers : 'get_users',
+    /** @readonly Create a new user account. */
+    AddUser : 'add_user',
+    /** @readonly Change the role of an existing user. */
+    SetUserRole : 'set_user_role',
+    /** @readonly Set a new password for an existing user, without needing their old password. */
+    ResetUserPassword : 'reset_user_password',
+    /** @readonly Delete a user account. */
+    RemoveUser : 'remove_user',
+    /** @readonly Retrieve all API keys (without the keys themselves). */
+    GetApiKeys : 'get_api_keys',
+    /** @readonly Create a new API key for the REST API. */
+    AddApiKey : 'add_api_key',
+    /** @readonly Revoke an existing API key. */
+    RemoveApiKey : 'remove_api_key',
+    /** @readonly Retrieve a page of recorded marker actions, optionally filtered by user, section, show, and date. */
+    AuditLog : 'audit_log',
+};
+
+/**
+ * The roles a user account can have. Each role can do everything the roles below it can.
+ * @enum */
+export const UserRole = {
+    /** @readonly Can browse markers, but not change them. */
+    Viewer : 0,
+    /** @readonly Can add, edit, delete, import, and restore markers. */
+    Editor : 1,
+    /** @readonly Can also change server settings, manage users, suspend/restart the server, and delete entire sections. */
+    Admin : 2,
+};
+
+/**
+ * The minimum role required to run each command. Commands that aren't listed require an admin.
+ * @type {{ [command: string]: number }} */
+export const CommandRoles = {
+    [PostCommands.AddMarker] : UserRole.Editor,
+    [PostCommands.EditMarker] : UserRole.Editor,
+    [PostCommands.DeleteMarker] : UserRole.Editor,
+    [PostCommands.CheckShift] : UserRole.Editor,
+    [PostCommands.ShiftMarkers] : UserRole.Editor,
+    [PostCommands.BulkDelete] : UserRole.Editor,
+    [PostCommands.BulkAdd] : UserRole.Editor,
+    [PostCommands.BulkAddCustom] : UserRole.Editor,
+    [PostCommands.CopyMarkers] : UserRole.Editor,
+    [PostCommands.CheckBulkItems] : UserRole.Editor,
+    [PostCommands.BulkAddItems] : UserRole.Editor,
+    [PostCommands.ShiftItems] : UserRole.Editor,
+    [PostCommands.BulkDeleteItems] : UserRole.Editor,
+    [PostCommands.DetectIntros] : UserRole.Editor,
+    [PostCommands.DetectCredits] : UserRole.Editor,
+    [PostCommands.Undo] : UserRole.Editor,
+    [PostCommands.Redo] : UserRole.Editor,
+
+    [PostCommands.Query] : UserRole.Viewer,
+    [PostCommands.GetLibraries] : UserRole.Viewer,
+    [PostCommands.GetLibrary] : UserRole.Viewer,
+    [PostCommands.GetSeasons] : UserRole.Viewer,
+    [PostCommands.GetEpisodes] : UserRole.Viewer,
+    [PostCommands.CheckThumbs] : UserRole.Viewer,
+    [PostCommands.GetStats] : UserRole.Viewer,
+    [PostCommands.GetBreakdown] : UserRole.Viewer,
+    [PostCommands.GetTimingStats] : UserRole.Viewer,
+    [PostCommands.LintMarkers] : UserRole.Viewer,
+    [PostCommands.FilterItems] : UserRole.Viewer,
+    [PostCommands.GetChapters] : UserRole.Viewer,
+    [PostCommands.FullQuery] : UserRole.Viewer,
+
+    // Everyone needs the config to know which features are enabled, but only admins can change it.
+    [PostCommands.GetConfig] : UserRole.Viewer,
+    [PostCommands.ValidateConfig] : UserRole.Admin,
+    [PostCommands.ValidateConfigValue] : UserRole.Admin,
+    [PostCommands.SetConfig] : UserRole.Admin,
+
+    [PostCommands.PurgeCheck] : UserRole.Viewer,
+    [PostCommands.AllPurges] : UserRole.Viewer,
+    [PostCommands.RestorePurges] : UserRole.Editor,
+    [PostCommands.IgnorePurges] : UserRole.Editor,
+    [PostCommands.AutoRestoreHistory] : UserRole.Viewer,
+    [PostCommands.DismissAutoRestores] : UserRole.Editor,
+
+    [PostCommands.ImportDb] : UserRole.Editor,
+    [PostCommands.ExportSidecars] : UserRole.Editor,
+    [PostCommands.ImportSidecars] : UserRole.Editor,
+    [PostCommands.CompareSync] : UserRole.Editor,
+    [PostCommands.ApplySync] : UserRole.Editor,
+    [PostCommands.Nuke] : UserRole.Admin,
+    [PostCommands.GetSnapshots] : UserRole.Admin,
+    [PostCommands.RestoreSnapshot] : UserRole.Admin,
+    [PostCommands.GetWebhookLog] : UserRole.Admin,
+    [PostCommands.TestWebhook] : UserRole.Admin,
+
+    [PostCommands.ServerShutdown] : UserRole.Admin,
+    [PostCommands.ServerRestart] : UserRole.Admin,
+    [PostCommands.ServerReload] : UserRole.Admin,
+    [PostCommands.ServerSuspend] : UserRole.Admin,
+    [PostCommands.ServerResume] : UserRole.Admin,
+
+    [PostCommands.Login] : UserRole.Viewer,
+    [PostCommands.Logout] : UserRole.Viewer,
+    [PostCommands.ChangePassword] : UserRole.Viewer,
+    [PostCommands.NeedsPassword] : UserRole.Viewer,
+
+    [PostCommands.GetUsers] : UserRole.Admin,
+    [PostCommands.AddUser] : UserRole.Admin,
+    [PostCommands.SetUserRole] : UserRole.Admin,
+    [PostCommands.ResetUserPassword] : UserRole.Admin,
+    [PostCommands.RemoveUser] : UserRole.Admin,
+    [PostCommands.GetApiKeys] : UserRole.Admin,
+    [PostCommands.AddApiKey] : UserRole.Admin,
+    [PostCommands.RemoveApiKey] : UserRole.Admin,
+    [PostCommands.AuditLog] : UserRole.Admin,
 };
 
 /**
@@ -89,7 +247,13 @@ export const PostCommands = {
 export const SuspendedWhitelist = new Set([
     PostCommands.ServerResume,
     PostCommands.ServerShutdown,
+    PostCommands.RestoreSnapshot,
     PostCommands.NeedsPassword,
     PostCommands.Login,
     PostCommands.Logout
 ]);
+
+/**
+ * The response header that holds the id of the batch of marker actions created by a command, if any.
+ * Passed back to Undo/Redo to ensure we revert the operation the client expects. */
+export const BatchIdHeader = 'Marker-Batch-Id';
@@ -15,6 +15,13 @@
  * @property {string} to Map to this path
  */
 
+/**
+ * @typedef {Object} Webhook
+ * @property {string} url The URL to POST marker changes to.
+ * @property {string[]} [events] The WebhookEvents to send to this URL. All events are sent if not set.
+ * @property {string} [secret] If set, payloads are signed with this secret (HMAC-SHA256).
+ */
+
 /*
 isDefault means value is the default value
 */
@@ -44,6 +51,10 @@ isDefault means value is the default value
  * @property {TypedSetting<boolean>} extendedMarkerStats
  * @property {TypedSetting<boolean>} previewThumbnails Whether to enable preview thumbnails
  * @property {TypedSetting<boolean>} preciseThumbnails Whether to use FFmpeg thumbnails over the ones Plex generates
+ * @property {TypedSetting<number>} autoRestoreInterval How often (in hours) to automatically restore purged markers
+ * @property {TypedSetting<'overwrite'|'merge'|'ignore'>} autoRestoreResolution How to resolve conflicts when auto-restoring
+ * @property {TypedSetting<number>} snapshotCount The number of Plex database snapshots to keep
+ * @property {TypedSetting<number>} snapshotMaxAge How long (in days) to keep Plex database snapshots
  */
 
 /**
@@ -58,6 +69,7 @@ isDefault means value is the default value
  * @property {AuthenticationSettings} authentication
  * @property {ConfigFeatures} features
  * @property {TypedSetting<PathMapping[]>} pathMappings
+ * @property {TypedSetting<Webhook[]>} webhooks
  * @property {TypedSetting<string>} version
  * @property {number} state
  */
@@ -85,10 +97,16 @@ isDefault means value is the default value
  * @property {TypedSetting<boolean>} extendedMarkerStats
  * @property {TypedSetting<boolean>} previewThumbnails Whether to enable preview thumbnails
  * @property {TypedSetting<boolean>} preciseThumbnails Whether to use FFmpeg thumbnails over the ones Plex generates
+ * @property {TypedSetting<number>} autoRestoreInterval How often (in hours) to automatically restore purged markers
+ * @property {TypedSetting<'overwrite'|'merge'|'ignore'>} autoRestoreResolution How to resolve conflicts when auto-restoring
+ * @property {TypedSetting<number>} snapshotCount The number of Plex database snapshots to keep
+ * @property {TypedSetting<number>} snapshotMaxAge How long (in days) to keep Plex database snapshots
  * @property {TypedSetting<PathMapping[]>} pathMappings
+ * @property {TypedSetting<Webhook[]>} webhooks
  * @property {TypedSetting<string>} version
  * @property {TypedSetting<string>?} authUsername The username, if authentication is enabled.
  * @property {TypedSetting<string>?} authPassword The user password. Used to authenticate requests to disable authentication.
+ * @property {TypedSetting<number>?} authRole The UserRole of the signed-in user. Admin if authentication is disabled.
  * @property {number} state
  * @property {boolean} isDocker
  */
@@ -203,6 +221,14 @@ export const ServerSettings = {
     PreviewThumbnails : 'previewThumbnails',
     /** @readonly Whether to use FFmpeg to generate thumbnails. If false, uses Plex-generated preview thumbnails. */
     FFmpegThumbnails : 'preciseThumbnails',
+    /** @readonly How often (in hours) to automatically restore purged markers. 0 disables automatic restoration. */
+    AutoRestoreInterval : 'autoRestoreInterval',
+    /** @readonly How to resolve conflicts with existing markers when automatically restoring purged markers. */
+    AutoRestoreResolution : 'autoRestoreResolution',
+    /** @readonly The number of Plex database snapshots to keep. 0 disables snapshots before destructive operations. */
+    SnapshotCount : 'snapshotCount',
+    /** @readonly How long (in days) to keep Plex database snapshots. 0 keeps snapshots regardless of age. */
+    SnapshotMaxAge : 'snapshotMaxAge',
     /** @readonly Whether to enable simple single-user authentication. */
     UseAuthentication : 'authEnabled',
     /** @readonly Authentication username. This is a pseudo setting, as it's stored in auth.db, not config.json. */
@@ -213,6 +239,8 @@ export const ServerSettings = {
     SessionTimeout : 'authSessionTimeout',
     /** @readonly List of mappings from paths in the Plex database to paths relative to the current system. */
     PathMappings : 'pathMappings',
+    /** @readonly List of URLs to notify when markers change. */
+    Webhooks : 'webhooks',
     /** @readonly Whether to enable SSL (HTTPS) */
     UseSsl : 'sslEnabled',
     /** @readonly The address the HTTPS server should listen on. */
@@ -268,7 +296,12 @@ export function allServerSettings() {
         ServerSettings.ExtendedStats,
         ServerSettings.PreviewThumbnails,
         ServerSettings.FFmpegThumbnails,
+        ServerSettings.AutoRestoreInterval,
+        ServerSettings.AutoRestoreResolution,
+        ServerSettings.SnapshotCount,
+        ServerSettings.SnapshotMaxAge,
         ServerSettings.PathMappings,
+        ServerSettings.Webhooks,
     ];
 }
 
@@ -318,10 +351,30 @@ export function isFeaturesSetting(setting) {
         case ServerSettings.ExtendedStats:
         case ServerSettings.PreviewThumbnails:
         case ServerSettings.FFmpegThumbnails:
+        case ServerSettings.AutoRestoreInterval:
+        case ServerSettings.AutoRestoreResolution:
+        case ServerSettings.SnapshotCount:
+        case ServerSettings.SnapshotMaxAge:
             return true;
     }
 }
 
+/**
+ * Marker changes that can be sent to webhooks.
+ * @enum {string} */
+export const WebhookEvent = {
+    /** @readonly Markers were added. */
+    Added : 'added',
+    /** @readonly Existing markers were edited. */
+    Edited : 'edited',
+    /** @readonly Markers were deleted. */
+    Deleted : 'deleted',
+    /** @readonly Markers that Plex purged were restored. */
+    Restored : 'restored',
+    /** @readonly All markers of a given type were wiped from a library. */
+    Purged : 'purged',
+};
+
 /**
  * SSL state */
 export const SslState = {
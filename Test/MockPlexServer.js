@@ -0,0 +1,180 @@
+import { createServer } from 'http';
+
+import { SqliteBackend } from '../Server/PlexBackend.js';
+import { TestLog } from './TestRunner.js';
+
+/** @typedef {!import('http').IncomingMessage} IncomingMessage */
+/** @typedef {!import('http').ServerResponse} ServerResponse */
+/** @typedef {!import('../Server/SqliteDatabase').default} SqliteDatabase */
+
+/**
+ * @typedef {{ method: string, path: string, params: { [key: string]: string } }} MockPlexRequest
+ */
+
+/**
+ * A minimal stand-in for the parts of the Plex Media Server HTTP API that the HTTP backend
+ * uses, backed by the test database so results can be verified the same way as direct edits.
+ */
+class MockPlexServer {
+    static Port = 32499;
+
+    /**
+     * Start a mock server that writes to the given test database.
+     * @param {SqliteDatabase} database
+     * @param {string} token The X-Plex-Token requests must provide.
+     * @returns {Promise<MockPlexServer>} */
+    static async Start(database, token) {
+        const markerTagId = (await database.get('SELECT id FROM tags WHERE tag_type=12;')).id;
+        const mock = new MockPlexServer(database, markerTagId, token);
+        await mock.#listen();
+        return mock;
+    }
+
+    /** @type {SqliteDatabase} */
+    #database;
+    /** @type {number} */
+    #markerTagId;
+    /** Writes markers the same way the database backend does. */
+    #sqlite;
+    /** @type {string} */
+    #token;
+    /** @type {import('http').Server} */
+    #server;
+    /** @type {MockPlexRequest[]} */
+    #requests = [];
+    /** If set, the status code to return for the next request instead of handling it. */
+    #nextFailure = 0;
+
+    /**
+     * @param {SqliteDatabase} database
+     * @param {number} markerTagId
+     * @param {string} token */
+    constructor(database, markerTagId, token) {
+        this.#database = database;
+        this.#markerTagId = markerTagId;
+        this.#sqlite = new SqliteBackend(database, markerTagId);
+        this.#token = token;
+    }
+
+    /** The base URL of this server. */
+    url() { return `http://localhost:${MockPlexServer.Port}`; }
+
+    /** All requests made to this server since the last call to clearRequests. */
+    requests() { return this.#requests; }
+
+    clearRequests() { this.#requests = []; }
+
+    /**
+     * Fail the next request with the given status code.
+     * @param {number} status */
+    failNext(status) { this.#nextFailure = status; }
+
+    /** Stop listening for requests. */
+    close() {
+        return new Promise(resolve => { this.#server.close(() => resolve()); });
+    }
+
+    #listen() {
+        this.#server = createServer((req, res) => {
+            this.#handle(req, res).catch(err => {
+                TestLog.error(err.message, 'MockPlexServer: Failed to handle request');
+                this.#send(res, 500);
+            });
+        });
+
+        return new Promise((resolve, reject) => {
+            this.#server.once('error', reject);
+            this.#server.listen(MockPlexServer.Port, 'localhost', () => resolve());
+
+            // Never keep the test process alive just for the mock server.
+            this.#server.unref();
+        });
+    }
+
+    /**
+     * @param {IncomingMessage} req
+     * @param {ServerResponse} res */
+    async #handle(req, res) {
+        const url = new URL(req.url, this.url());
+        this.#requests.push({ method : req.method, path : url.pathname, params : Object.fromEntries(url.searchParams) });
+        if (req.headers['x-plex-token'] !== this.#token) {
+            return this.#send(res, 401);
+        }
+
+        if (this.#nextFailure) {
+            const status = this.#nextFailure;
+            this.#nextFailure = 0;
+            return this.#send(res, status);
+        }
+
+        const params = url.searchParams;
+        const route = `${req.method} ${url.pathname}`;
+        let match;
+        if (route === 'GET /identity') {
+            return this.#send(res, 200, { MediaContainer : { machineIdentifier : 'mock' } });
+        }
+
+        if (route === 'GET /library/sections') {
+            const typeNames = { 1 : 'movie', 2 : 'show', 8 : 'artist' };
+            const sections = await this.#database.all('SELECT id, section_type, name FROM library_sections;');
+            return this.#send(res, 200, { MediaContainer : { Directory : sections.map(s => ({
+                key : s.id.toString(), type : typeNames[s.section_type], title : s.name })) } });
+        }
+
+        if ((match = /^POST \/library\/metadata\/(?<metadataId>\d+)\/marker$/.exec(route))) {
+            const metadataId = parseInt(match.groups.metadataId);
+            await this.#sqlite.addMarker(metadataId, 0, ...this.#markerParams(params));
+            return this.#reorder(res, metadataId);
+        }
+
+        if ((match = /^PUT \/library\/metadata\/(?<metadataId>\d+)\/marker\/(?<markerId>\d+)$/.exec(route))) {
+            const metadataId = parseInt(match.groups.metadataId);
+            await this.#sqlite.editMarker(metadataId, parseInt(match.groups.markerId), 0, ...this.#markerParams(params));
+            return this.#reorder(res, metadataId);
+        }
+
+        if ((match = /^DELETE \/library\/metadata\/(?<metadataId>\d+)\/marker\/(?<markerId>\d+)$/.exec(route))) {
+            await this.#sqlite.deleteMarkers([{ id : parseInt(match.groups.markerId) }]);
+            return this.#reorder(res, parseInt(match.groups.metadataId));
+        }
+
+        this.#send(res, 404);
+    }
+
+    /**
+     * @param {URLSearchParams} params
+     * @returns {[number, number, string, number]} */
+    #markerParams(params) {
+        return [
+            parseInt(params.get('startTimeOffset')),
+            parseInt(params.get('endTimeOffset')),
+            params.get('type'),
+            parseInt(params.get('final')),
+        ];
+    }
+
+    /**
+     * Like PMS, keep marker indexes in order after every change.
+     * @param {ServerResponse} res
+     * @param {number} metadataId */
+    async #reorder(res, metadataId) {
+        const markers = await this.#database.all(
+            'SELECT id FROM taggings WHERE metadata_item_id=? AND tag_id=? ORDER BY time_offset ASC;', [metadataId, this.#markerTagId]);
+        await this.#sqlite.setIndexes(markers.map((marker, index) => ({ id : marker.id, index : index })));
+        this.#send(res, 200);
+    }
+
+    /**
+     * @param {ServerResponse} res
+     * @param {number} status
+     * @param {object} [body] */
+    #send(res, status, body) {
+        if (body) {
+            res.writeHead(status, { 'Content-Type' : 'application/json' }).end(JSON.stringify(body));
+        } else {
+            res.writeHead(status).end();
+        }
+    }
+}
+
+export default MockPlexServer;
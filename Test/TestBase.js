@@ -5,6 +5,7 @@ import { fileURLToPath } from 'url';
 
 // Client/Server shared dependencies
 import { BaseLog, ConsoleLog } from '../Shared/ConsoleLog.js';
+import { BatchIdHeader } from '../Shared/PostCommands.js';
 
 // Server/test dependencies/typedefs
 import { GetServerState, ServerState } from '../Server/ServerState.js';
@@ -32,6 +33,10 @@ class TestBase {
     testDb = null;
     /** @type {SqliteDatabase} */
     backupDb = null;
+    /**
+     * The batch id of the marker actions created by the most recent request, for undo/redo tests.
+     * @type {number|undefined} */
+    lastBatchId;
     /**
      * Determines whether this test class requires server setup.
      * True for backend/E2E tests, false for client-only tests.
@@ -47,7 +52,8 @@ class TestBase {
 
     /**
      * Base method to setup the test config. Implementing classes can override this
-     * to provide custom settings. */
+     * to provide custom settings, and can be async if they need to set up anything the
+     * server relies on at startup. */
     setupConfig() { this.createConfig({}); }
 
     /**
@@ -68,6 +74,10 @@ class TestBase {
      * General purpose method that will be called before a test is executed. */
     async testMethodSetup() {}
 
+    /**
+     * General purpose method that will be called after all tests in the class have executed. */
+    async classTeardown() {}
+
     /**
      * General purpose method that will be called after a test is executed. */
     /* eslint-disable-next-line require-await */ // Test classes that override this might be async
@@ -99,7 +109,7 @@ class TestBase {
 
             await this.setupPlexDbTestTables();
 
-            this.setupConfig();
+            await this.setupConfig();
             await this.startService();
 
             // Wait until after the service starts, as it will populate the empty backup database if necessary.
@@ -171,6 +181,7 @@ class TestBase {
 
         const result = { success : successCount, fail : failureCount };
 
+        await this.classTeardown();
         await this.testDb?.close();
         await this.backupDb?.close();
         return result;
@@ -193,6 +204,7 @@ class TestBase {
             ++totals[result ? 'success' : 'fail'];
         }
 
+        await this.classTeardown();
         await this.testDb?.close();
         await this.backupDb?.close();
         return totals;
@@ -201,6 +213,7 @@ class TestBase {
     /**
      * @param {() => Promise<any>} testMethod */
     async #runSingle(testMethod) {
+        this.lastBatchId = undefined;
         await this.resetState();
         await this.resume();
         await this.testMethodSetup();
@@ -320,12 +333,18 @@ class TestBase {
             }
         }
 
+        const response = await fetch(url, init);
+        const batchId = parseInt(response.headers.get(BatchIdHeader));
+        if (!isNaN(batchId)) {
+            this.lastBatchId = batchId;
+        }
+
         if (raw) {
-            return fetch(url, init);
+            return response;
         }
 
         TestHelpers.verify(method === 'POST', `We shouldn't be making non-raw GET requests`);
-        return await (await fetch(url, init)).json();
+        return await response.json();
     }
 
     /* eslint-disable indent */
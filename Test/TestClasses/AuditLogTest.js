@@ -0,0 +1,141 @@
+import { PostCommands } from '../../Shared/PostCommands.js';
+
+import { BackupManager } from '../../Server/MarkerBackupManager.js';
+import { runAsActor } from '../../Server/RequestContext.js';
+import TestBase from '../TestBase.js';
+import TestHelpers from '../TestHelpers.js';
+
+/** @typedef {!import('../../Shared/PlexTypes').AuditLogPage} AuditLogPage */
+
+/**
+ * Tests recording who made each marker change, and querying those changes.
+ */
+class AuditLogTest extends TestBase {
+    constructor() {
+        super();
+        this.testMethods = [
+            this.testRecordsClientIp,
+            this.testBatchActor,
+            this.testEditDeleteRecorded,
+            this.testFilters,
+            this.testPaging,
+            this.testBadFilter,
+        ];
+    }
+
+    className() { return 'AuditLogTest'; }
+
+    /**
+     * Ensure adding a marker records where it came from, but not who added it, since authentication is disabled. */
+    async testRecordsClientIp() {
+        await this.addMarker(TestBase.DefaultMetadata.Show1.Season1.Episode1.Id, 0, 10000);
+        const log = await this.#auditLog();
+        TestHelpers.verify(log.total === 1 && log.entries.length === 1, `Expected 1 audit log entry, found ${log.total}.`);
+        const entry = log.entries[0];
+        TestHelpers.verify(entry.action === 'add', `Expected add action, found ${entry.action}.`);
+        TestHelpers.verify(entry.username === null, `Expected no username without authentication, found ${entry.username}.`);
+        TestHelpers.verify(entry.clientIp, `Expected client IP to be recorded.`);
+        TestHelpers.verify(entry.title?.startsWith('Show1 - S01E01'), `Expected episode title to be resolved, found ${entry.title}.`);
+    }
+
+    /**
+     * Ensure new batches are attributed to the current actor, and only the current actor. */
+    testBatchActor() {
+        const batch = runAsActor({ username : 'Admin', clientIp : '10.0.0.1' }, () => BackupManager.newBatch());
+        TestHelpers.verify(batch.username === 'Admin' && batch.clientIp === '10.0.0.1',
+            `Expected batch to belong to the current actor, found ${JSON.stringify(batch)}.`);
+
+        const noActor = BackupManager.newBatch();
+        TestHelpers.verify(noActor.username === null && noActor.clientIp === null,
+            `Expected batch outside of a request to have no actor, found ${JSON.stringify(noActor)}.`);
+    }
+
+    /**
+     * Ensure edits record the previous timings, and deletes are recorded. */
+    async testEditDeleteRecorded() {
+        const marker = await this.addMarker(TestBase.DefaultMetadata.Show1.Season1.Episode1.Id, 0, 10000);
+        await this.editMarker(marker.id, 5000, 15000);
+        await this.send(PostCommands.DeleteMarker, { id : marker.id });
+
+        const log = await this.#auditLog();
+        const actions = log.entries.map(e => e.action);
+        TestHelpers.verify(JSON.stringify(actions) === '["delete","edit","add"]',
+            `Expected most recent actions first, found ${JSON.stringify(actions)}.`);
+        const edit = log.entries[1];
+        TestHelpers.verify(edit.oldStart === 0 && edit.oldEnd === 10000 && edit.start === 5000 && edit.end === 15000,
+            `Expected edit to include old and new timings, found ${JSON.stringify(edit)}.`);
+    }
+
+    /**
+     * Ensure the audit log can be filtered by user, section, show, and date. */
+    async testFilters() {
+        await this.addMarker(TestBase.DefaultMetadata.Show1.Season1.Episode1.Id, 0, 10000);
+        await this.addMarker(TestBase.DefaultMetadata.Show2.Season1.Episode1.Id, 0, 10000);
+        await this.addMarker(TestBase.DefaultMetadata.Movie1.Id, 0, 10000);
+        await this.backupDb.run(`UPDATE actions SET username='Editor' WHERE parent_id=?;`,
+            [TestBase.DefaultMetadata.Show2.Season1.Episode1.Id]);
+
+        const verifyCount = async (filter, expected) => {
+            const log = await this.#auditLog(filter);
+            TestHelpers.verify(log.total === expected && log.entries.length === expected,
+                `Expected ${expected} entries for filter ${JSON.stringify(filter)}, found ${log.total}.`);
+            return log;
+        };
+
+        await verifyCount({}, 3);
+        await verifyCount({ username : 'editor' }, 1);
+        await verifyCount({ username : 'Viewer' }, 0);
+        const movies = await verifyCount({ sectionId : 2 }, 1);
+        TestHelpers.verify(movies.entries[0].title === 'Movie1', `Expected movie title, found ${movies.entries[0].title}.`);
+        await verifyCount({ sectionId : 1 }, 2);
+        await verifyCount({ showId : TestBase.DefaultMetadata.Show1.Id }, 1);
+
+        const now = Math.floor(Date.now() / 1000);
+        await verifyCount({ from : now - 60 }, 3);
+        await verifyCount({ to : now - 60 }, 0);
+        await verifyCount({ from : now + 60 }, 0);
+    }
+
+    /**
+     * Ensure results are paged, and the total reflects every matching entry. */
+    async testPaging() {
+        await this.addMarker(TestBase.DefaultMetadata.Show1.Season1.Episode1.Id, 0, 10000);
+
+        // Duplicate the recorded action instead of adding dozens of markers.
+        await this.backupDb.run(`
+            WITH RECURSIVE n(x) AS (SELECT 1 UNION ALL SELECT x + 1 FROM n WHERE x < 59)
+            INSERT INTO actions (op, marker_id, parent_id, season_id, show_id, section_id, start, end, created_at, section_uuid)
+                SELECT op, marker_id, parent_id, season_id, show_id, section_id, start, end, created_at, section_uuid
+                FROM actions, n;`);
+
+        const first = await this.#auditLog();
+        TestHelpers.verify(first.total === 60, `Expected 60 total entries, found ${first.total}.`);
+        TestHelpers.verify(first.entries.length === first.pageSize, `Expected a full first page, found ${first.entries.length}.`);
+
+        const second = await this.#auditLog({ page : 1 });
+        TestHelpers.verify(second.page === 1 && second.entries.length === 60 - first.pageSize,
+            `Expected remaining entries on the second page, found ${second.entries.length}.`);
+        TestHelpers.verify(second.entries[0].id < first.entries.at(-1).id, `Expected second page to contain older entries.`);
+    }
+
+    /**
+     * Ensure malformed filters are rejected. */
+    async testBadFilter() {
+        this.expectFailure();
+        await TestHelpers.verifyBadRequest(
+            await this.sendBody(PostCommands.AuditLog, { filter : '{"sectionId":"one"}' }, true), 'audit_log with a string section');
+        await TestHelpers.verifyBadRequest(
+            await this.sendBody(PostCommands.AuditLog, { filter : '[1' }, true), 'audit_log with invalid JSON');
+    }
+
+    /**
+     * @param {object} filter
+     * @returns {Promise<AuditLogPage>} */
+    async #auditLog(filter={}) {
+        const log = await this.sendBody(PostCommands.AuditLog, { filter : JSON.stringify(filter) });
+        TestHelpers.checkError(log);
+        return log;
+    }
+}
+
+export default AuditLogTest;
@@ -0,0 +1,124 @@
+import { MarkerConflictResolution } from '../../Shared/PlexTypes.js';
+import { PostCommands } from '../../Shared/PostCommands.js';
+
+import { AutoRestore } from '../../Server/AutoRestoreManager.js';
+import TestBase from '../TestBase.js';
+import TestHelpers from '../TestHelpers.js';
+
+/** @typedef {!import('../../Shared/PlexTypes').AutoRestoreEntry} AutoRestoreEntry */
+
+/**
+ * Tests automatic restoration of markers that were purged by Plex.
+ */
+class AutoRestoreTest extends TestBase {
+    constructor() {
+        super();
+        this.testMethods = [
+            this.testNothingPurged,
+            this.testRestorePurgedMarker,
+            this.testIgnoreOverlappingMarker,
+            this.testDismiss,
+        ];
+    }
+
+    className() { return 'AutoRestoreTest'; }
+
+    /**
+     * Ignore conflicts so overlapping purged markers can be tested. */
+    setupConfig() {
+        this.createConfig({ features : { autoRestoreResolution : 'ignore' } });
+    }
+
+    /**
+     * Clear out any history from previous tests. */
+    async testMethodSetup() {
+        await this.backupDb.exec('DELETE FROM auto_restores;');
+    }
+
+    /**
+     * Ensure nothing is recorded if there's nothing to restore. */
+    async testNothingPurged() {
+        await this.addMarker(TestBase.DefaultMetadata.Show1.Season1.Episode1.Id, 0, 10000);
+        await AutoRestore.run();
+        const history = await this.#history();
+        TestHelpers.verify(history.length === 0, `Expected no auto-restore history, found ${history.length} entries.`);
+    }
+
+    /**
+     * Ensure a marker deleted outside of Marker Editor is restored and recorded. */
+    async testRestorePurgedMarker() {
+        const episodeId = TestBase.DefaultMetadata.Show1.Season1.Episode1.Id;
+        const marker = await this.addMarker(episodeId, 50000, 60000);
+        await this.#purge(marker.id);
+
+        await AutoRestore.run();
+        const markers = await this.send(PostCommands.Query, { keys : episodeId });
+        const restored = markers[episodeId].find(m => m.start === 50000 && m.end === 60000);
+        TestHelpers.verify(restored, `Expected purged marker to be restored, but it wasn't found.`);
+
+        const history = await this.#history();
+        TestHelpers.verify(history.length === 1, `Expected 1 auto-restore entry, found ${history.length}.`);
+        this.#verifyEntry(history[0], { purged : 1, restored : 1, deleted : 0, modified : 0, ignored : 0 });
+        TestHelpers.verify(history[0].resolveType === MarkerConflictResolution.Ignore,
+            `Expected the configured ignore resolution, found ${history[0].resolveType}.`);
+    }
+
+    /**
+     * Ensure purged markers that overlap an existing marker are left alone with the 'ignore' resolution. */
+    async testIgnoreOverlappingMarker() {
+        const episodeId = TestBase.DefaultMetadata.Show1.Season1.Episode1.Id;
+        const marker = await this.addMarker(episodeId, 50000, 60000);
+        await this.#purge(marker.id);
+        await this.addMarker(episodeId, 55000, 65000);
+
+        await AutoRestore.run();
+        const markers = await this.send(PostCommands.Query, { keys : episodeId });
+        TestHelpers.verify(!markers[episodeId].some(m => m.start === 50000),
+            `Expected overlapping purged marker to be ignored, but it was restored.`);
+
+        const history = await this.#history();
+        TestHelpers.verify(history.length === 1, `Expected 1 auto-restore entry, found ${history.length}.`);
+        this.#verifyEntry(history[0], { purged : 1, restored : 0, deleted : 0, modified : 0, ignored : 1 });
+    }
+
+    /**
+     * Ensure dismissing auto-restore history marks every entry as seen. */
+    async testDismiss() {
+        const marker = await this.addMarker(TestBase.DefaultMetadata.Movie1.Id, 50000, 60000);
+        await this.#purge(marker.id);
+        await AutoRestore.run();
+
+        let history = await this.#history();
+        TestHelpers.verify(history.length === 1 && !history[0].seen, `Expected 1 unseen auto-restore entry.`);
+
+        await this.send(PostCommands.DismissAutoRestores);
+        history = await this.#history();
+        TestHelpers.verify(history.length === 1 && history[0].seen, `Expected auto-restore entry to be marked as seen.`);
+    }
+
+    /**
+     * Simulate Plex removing a marker behind our back.
+     * @param {number} markerId */
+    #purge(markerId) {
+        return this.testDb.exec(`DELETE FROM taggings WHERE id=${markerId};`);
+    }
+
+    /** @returns {Promise<AutoRestoreEntry[]>} */
+    #history() {
+        return this.send(PostCommands.AutoRestoreHistory);
+    }
+
+    /**
+     * @param {AutoRestoreEntry} entry
+     * @param {{ purged: number, restored: number, deleted: number, modified: number, ignored: number }} expected */
+    #verifyEntry(entry, expected) {
+        for (const [key, value] of Object.entries(expected)) {
+            TestHelpers.verify(entry[key] === value, `Expected auto-restore entry to have ${key}=${value}, found ${entry[key]}.`);
+        }
+
+        TestHelpers.verify(!entry.error, `Expected no auto-restore error, found "${entry.error}".`);
+        TestHelpers.verify(!entry.seen, `Expected auto-restore entry to be unseen.`);
+    }
+}
+
+export default AutoRestoreTest;
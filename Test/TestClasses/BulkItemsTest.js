@@ -0,0 +1,285 @@
+import { BulkMarkerResolveType } from '../../Shared/PlexTypes.js';
+import { MarkerEnum } from '../../Shared/MarkerType.js';
+import { PostCommands } from '../../Shared/PostCommands.js';
+
+import TestBase from '../TestBase.js';
+import TestHelpers from '../TestHelpers.js';
+
+/** @typedef {!import('../../Shared/PlexTypes').BulkItemsCheckResult} BulkItemsCheckResult */
+/** @typedef {!import('../../Shared/PlexTypes').BulkItemsResult} BulkItemsResult */
+
+/**
+ * Tests bulk actions that target multiple shows/seasons/movies at once, e.g. the results of a saved search.
+ */
+class BulkItemsTest extends TestBase {
+    constructor() {
+        super();
+        this.testMethods = [
+            this.testAddToMultipleItems,
+            this.testAddUnsupportedResolveType,
+            this.testShiftItems,
+            this.testShiftOverflow,
+            this.testDeleteItems,
+            this.testSingleUndo,
+            this.testInvalidItems,
+            this.testCheckItems,
+            this.testAddToMovies,
+            this.testAddIgnoredItems,
+            this.testShiftMoviesWithIgnored,
+            this.testDeleteItemsWithIgnored,
+        ];
+    }
+
+    className() { return 'BulkItemsTest'; }
+
+    /**
+     * Ensure a marker is added to every episode of every item. */
+    async testAddToMultipleItems() {
+        const show1 = TestBase.DefaultMetadata.Show1;
+        const show2 = TestBase.DefaultMetadata.Show2;
+        const result = await this.#addItems([show1.Season1.Id, show2.Id]);
+        TestHelpers.verify(result.applied, `Expected bulk add to be applied.`);
+        TestHelpers.verify(result.added.length === 4, `Expected 4 markers to be added, found ${result.added.length}.`);
+        await this.#verifyMarkers(show1.Season1.Episode1.Id, [[100000, 130000]]);
+        await this.#verifyMarkers(show1.Season1.Episode2.Id, [[15000, 45000], [100000, 130000]]);
+        await this.#verifyMarkers(show2.Season1.Episode1.Id, [[100000, 130000]]);
+        await this.#verifyMarkers(show1.Season2.Episode1.Id, []);
+    }
+
+    /**
+     * Ensure resolve types that can't be applied across multiple items are rejected. */
+    async testAddUnsupportedResolveType() {
+        this.expectFailure();
+        const ids = [TestBase.DefaultMetadata.Show1.Id, TestBase.DefaultMetadata.Show2.Id];
+        for (const resolveType of [BulkMarkerResolveType.DryRun, BulkMarkerResolveType.Fail]) {
+            const response = await this.#addItems(ids, resolveType, true /*raw*/);
+            TestHelpers.verify(response.status === 400, `Expected resolve type ${resolveType} to fail with 400, found ${response.status}.`);
+        }
+
+        await this.#verifyMarkers(TestBase.DefaultMetadata.Show2.Season1.Episode1.Id, []);
+    }
+
+    /**
+     * Ensure markers in every item are shifted. */
+    async testShiftItems() {
+        const show1 = TestBase.DefaultMetadata.Show1;
+        const show3 = TestBase.DefaultMetadata.Show3;
+        const result = await this.#shiftItems([show1.Id, show3.Season2.Id], 1000);
+        TestHelpers.verify(result.applied, `Expected shift to be applied, found ${result.notAppliedReason}.`);
+        TestHelpers.verify(result.edited.length === 2, `Expected 2 markers to be shifted, found ${result.edited.length}.`);
+        await this.#verifyMarkers(show1.Season1.Episode2.Id, [[16000, 46000]]);
+        await this.#verifyMarkers(show3.Season2.Episode1.Id, [[14000, 48000]]);
+        await this.#verifyMarkers(show3.Season1.Episode1.Id, [[15000, 45000]]);
+    }
+
+    /**
+     * Ensure nothing is shifted if any item would have a marker shifted beyond the end of its episode. */
+    async testShiftOverflow() {
+        const show1 = TestBase.DefaultMetadata.Show1;
+        const show3 = TestBase.DefaultMetadata.Show3;
+        const result = await this.#shiftItems([show1.Season1.Id, show3.Id], 580000);
+        TestHelpers.verify(!result.applied, `Expected overflowing shift to not be applied.`);
+        TestHelpers.verify(result.notAppliedReason, `Expected a reason for the shift not being applied.`);
+        await this.#verifyMarkers(show1.Season1.Episode2.Id, [[15000, 45000]]);
+        await this.#verifyMarkers(show3.Season2.Episode1.Id, [[13000, 47000]]);
+    }
+
+    /**
+     * Ensure only markers of the requested type are deleted from every item. */
+    async testDeleteItems() {
+        const show1 = TestBase.DefaultMetadata.Show1;
+        const show3 = TestBase.DefaultMetadata.Show3;
+        const result = await this.send(PostCommands.BulkDeleteItems, {
+            ids : [show1.Id, show3.Season1.Id].join(','),
+            applyTo : MarkerEnum.Intro,
+        });
+
+        TestHelpers.checkError(result);
+        TestHelpers.verify(result.deleted.length === 3, `Expected 3 markers to be deleted, found ${result.deleted.length}.`);
+        await this.#verifyMarkers(show1.Season1.Episode2.Id, []);
+        await this.#verifyMarkers(show3.Season1.Episode2.Id, [[300000, 345000], [360000, 370000]]);
+        await this.#verifyMarkers(show3.Season2.Episode1.Id, [[13000, 47000]]);
+    }
+
+    /**
+     * Ensure a multi-item bulk action can be reverted with a single undo. */
+    async testSingleUndo() {
+        const show1 = TestBase.DefaultMetadata.Show1;
+        const show2 = TestBase.DefaultMetadata.Show2;
+        await this.#addItems([show1.Season1.Id, show2.Id]);
+        TestHelpers.checkError(await this.send(PostCommands.Undo, { sectionId : 1, batchId : this.lastBatchId }));
+        await this.#verifyMarkers(show1.Season1.Episode1.Id, []);
+        await this.#verifyMarkers(show1.Season1.Episode2.Id, [[15000, 45000]]);
+        await this.#verifyMarkers(show2.Season1.Episode1.Id, []);
+    }
+
+    /**
+     * Ensure items from multiple libraries, overlapping items, and empty item lists are rejected without applying anything. */
+    async testInvalidItems() {
+        this.expectFailure();
+        const show1 = TestBase.DefaultMetadata.Show1;
+        const cases = [
+            { ids : [show1.Id, TestBase.DefaultMetadata.Movie1.Id], reason : 'items from different libraries' },
+            { ids : [TestBase.DefaultMetadata.Movie1.Id, TestBase.DefaultMetadata.Movie1.Id], reason : 'duplicate movies' },
+            { ids : [show1.Id, show1.Season2.Id], reason : 'overlapping items' },
+            { ids : [], reason : 'no items' },
+        ];
+
+        for (const test of cases) {
+            const response = await this.#addItems(test.ids, BulkMarkerResolveType.Merge, true /*raw*/);
+            TestHelpers.verify(response.status === 400, `Expected ${test.reason} to fail with 400, found ${response.status}.`);
+        }
+
+        await this.#verifyMarkers(show1.Season1.Episode1.Id, []);
+    }
+
+    /**
+     * Ensure checking items returns all markers, along with every episode/movie of the items. */
+    async testCheckItems() {
+        const show1 = TestBase.DefaultMetadata.Show1;
+        const show3 = TestBase.DefaultMetadata.Show3;
+        /** @type {BulkItemsCheckResult} */
+        let result = await this.send(PostCommands.CheckBulkItems, { ids : [show3.Season1.Id, show1.Season2.Id].join(',') });
+        TestHelpers.checkError(result);
+        TestHelpers.verify(result.markers.length === 4, `Expected 4 markers, found ${result.markers.length}.`);
+        const episodeIds = Object.keys(result.episodeData).map(id => parseInt(id)).sort((a, b) => a - b);
+        const expectedEpisodes = [show1.Season2.Episode1.Id, show3.Season1.Episode1.Id, show3.Season1.Episode2.Id];
+        TestHelpers.verify(JSON.stringify(episodeIds) === JSON.stringify(expectedEpisodes),
+            `Expected episodes ${JSON.stringify(expectedEpisodes)}, found ${JSON.stringify(episodeIds)}.`);
+
+        const movie1 = TestBase.DefaultMetadata.Movie1;
+        const movie2 = TestBase.DefaultMetadata.Movie2;
+        result = await this.send(PostCommands.CheckBulkItems, { ids : [movie2.Id, movie1.Id].join(',') });
+        TestHelpers.checkError(result);
+        TestHelpers.verify(result.markers.length === 4, `Expected 4 movie markers, found ${result.markers.length}.`);
+        TestHelpers.verify(result.movieData[movie1.Id] && result.movieData[movie2.Id],
+            `Expected movie data for both movies, found ${JSON.stringify(Object.keys(result.movieData))}.`);
+        TestHelpers.verify(Object.keys(result.episodeData).length === 0, `Expected no episode data for movies.`);
+    }
+
+    /**
+     * Ensure markers can be added to multiple movies at once. */
+    async testAddToMovies() {
+        const movie1 = TestBase.DefaultMetadata.Movie1;
+        const movie3 = TestBase.DefaultMetadata.Movie3;
+        const result = await this.#addItems([movie1.Id, movie3.Id]);
+        TestHelpers.verify(result.added.length === 2, `Expected 2 markers to be added, found ${result.added.length}.`);
+        await this.#verifyMarkers(movie1.Id, [[100000, 130000]]);
+        await this.#verifyMarkers(movie3.Id, [[15000, 45000], [100000, 130000]]);
+
+        // The whole operation should still be undone at once.
+        TestHelpers.checkError(await this.send(PostCommands.Undo, { sectionId : 2, batchId : this.lastBatchId }));
+        await this.#verifyMarkers(movie1.Id, []);
+        await this.#verifyMarkers(movie3.Id, [[15000, 45000]]);
+    }
+
+    /**
+     * Ensure ignored episodes don't have markers added to them. */
+    async testAddIgnoredItems() {
+        const show1 = TestBase.DefaultMetadata.Show1;
+        const show2 = TestBase.DefaultMetadata.Show2;
+        const ignored = [show1.Season1.Episode1.Id, show2.Season1.Episode1.Id];
+        const result = await this.#addItems([show1.Season1.Id, show2.Id], BulkMarkerResolveType.Merge, false /*raw*/, ignored);
+        TestHelpers.verify(result.added.length === 2, `Expected 2 markers to be added, found ${result.added.length}.`);
+        await this.#verifyMarkers(show1.Season1.Episode1.Id, []);
+        await this.#verifyMarkers(show1.Season1.Episode3.Id, [[100000, 130000]]);
+        await this.#verifyMarkers(show2.Season1.Episode1.Id, []);
+    }
+
+    /**
+     * Ensure markers in multiple movies are shifted, minus any ignored markers. */
+    async testShiftMoviesWithIgnored() {
+        const movie2 = TestBase.DefaultMetadata.Movie2;
+        const movie3 = TestBase.DefaultMetadata.Movie3;
+        const result = await this.#shiftItems([movie2.Id, movie3.Id], 1000, [movie2.Marker2.Id, movie2.Marker4.Id]);
+        TestHelpers.verify(result.applied, `Expected shift to be applied, found ${result.notAppliedReason}.`);
+        TestHelpers.verify(result.edited.length === 3, `Expected 3 markers to be shifted, found ${result.edited.length}.`);
+        await this.#verifyMarkers(movie2.Id, [[11000, 31000], [40000, 45000], [56000, 61000], [61000, 80000]]);
+        await this.#verifyMarkers(movie3.Id, [[16000, 46000]]);
+    }
+
+    /**
+     * Ensure markers are deleted from both episodes and movies, minus any ignored markers. */
+    async testDeleteItemsWithIgnored() {
+        const show3 = TestBase.DefaultMetadata.Show3;
+        const result = await this.send(PostCommands.BulkDeleteItems, {
+            ids : [show3.Season1.Id, show3.Season2.Id].join(','),
+            applyTo : MarkerEnum.All,
+            ignored : [show3.Season1.Episode2.Marker2.Id].join(','),
+        });
+
+        TestHelpers.checkError(result);
+        TestHelpers.verify(result.deleted.length === 4, `Expected 4 markers to be deleted, found ${result.deleted.length}.`);
+        await this.#verifyMarkers(show3.Season1.Episode2.Id, [[300000, 345000]]);
+        await this.#verifyMarkers(show3.Season2.Episode1.Id, []);
+
+        const movie2 = TestBase.DefaultMetadata.Movie2;
+        const movieResult = await this.send(PostCommands.BulkDeleteItems, {
+            ids : movie2.Id,
+            applyTo : MarkerEnum.Credits,
+            ignored : movie2.Marker3.Id,
+        });
+
+        TestHelpers.checkError(movieResult);
+        TestHelpers.verify(movieResult.deleted.length === 1, `Expected 1 movie marker to be deleted, found ${movieResult.deleted.length}.`);
+        await this.#verifyMarkers(movie2.Id, [[10000, 30000], [55000, 60000], [61000, 80000]]);
+    }
+
+    /**
+     * Add an intro from 100-130 seconds to all the given items.
+     * @param {number[]} ids
+     * @param {number} resolveType
+     * @param {boolean} raw Whether to return the raw response instead of the parsed result.
+     * @param {number[]} ignored Episode/movie ids to not add markers to.
+     * @returns {Promise<BulkItemsResult|Response>} */
+    async #addItems(ids, resolveType=BulkMarkerResolveType.Merge, raw=false, ignored=[]) {
+        const result = await this.send(PostCommands.BulkAddItems, {
+            ids : ids.join(','),
+            type : 'intro',
+            start : 100000,
+            end : 130000,
+            resolveType : resolveType,
+            ignored : ignored.join(','),
+        }, raw);
+
+        if (!raw) {
+            TestHelpers.checkError(result);
+        }
+
+        return result;
+    }
+
+    /**
+     * Shift the start and end of all markers in the given items.
+     * @param {number[]} ids
+     * @param {number} shift
+     * @param {number[]} ignored Marker ids to not shift.
+     * @returns {Promise<BulkItemsResult>} */
+    async #shiftItems(ids, shift, ignored=[]) {
+        const result = await this.send(PostCommands.ShiftItems, {
+            ids : ids.join(','),
+            startShift : shift,
+            endShift : shift,
+            applyTo : MarkerEnum.All,
+            ignored : ignored.join(','),
+        });
+
+        TestHelpers.checkError(result);
+        return result;
+    }
+
+    /**
+     * Ensure the given episode has exactly the given markers, in order.
+     * @param {number} metadataId
+     * @param {[number, number][]} expected The expected [start, end] timestamps. */
+    async #verifyMarkers(metadataId, expected) {
+        const markers = await this.testDb.all(
+            'SELECT time_offset AS start, end_time_offset AS end FROM taggings WHERE metadata_item_id=? ORDER BY time_offset ASC;',
+            [metadataId]);
+        const actual = JSON.stringify(markers.map(m => [m.start, m.end]));
+        TestHelpers.verify(actual === JSON.stringify(expected),
+            `Expected markers ${JSON.stringify(expected)} for item ${metadataId}, found ${actual}.`);
+    }
+}
+
+export default BulkItemsTest;
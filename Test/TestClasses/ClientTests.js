@@ -1,13 +1,21 @@
 import TestBase from '../TestBase.js';
 import TestHelpers from '../TestHelpers.js';
 
-import { roundDelta } from '../../Client/Script/Common.js';
+import { bindingFromEvent, displayBinding } from '../../Client/Script/KeyBindings.js';
+import { dragEdge, percentOf, snapToChapter, timestampAt } from '../../Client/Script/TimelinePosition.js';
+import { fuzzyMatchScore, roundDelta } from '../../Client/Script/Common.js';
 
 class ClientTests extends TestBase {
     constructor() {
         super();
         this.testMethods = [
             this.markerTimestampRoundingTest,
+            this.keyBindingFromEventTest,
+            this.displayBindingTest,
+            this.fuzzyMatchTest,
+            this.timelinePositionTest,
+            this.timelineSnapTest,
+            this.timelineDragTest,
         ];
     }
 
@@ -31,6 +39,115 @@ class ClientTests extends TestBase {
         this.#roundTest(5000, 15000,  100,  5000);
     }
 
+    keyBindingFromEventTest() {
+        this.#bindingTest({ key : 'k', ctrlKey : true }, 'Ctrl+K');
+        this.#bindingTest({ key : 'k', metaKey : true }, 'Ctrl+K'); // Cmd is treated as Ctrl
+        this.#bindingTest({ key : 'I' }, 'I'); // Caps Lock doesn't matter
+        this.#bindingTest({ key : 'E', ctrlKey : true, shiftKey : true }, 'Ctrl+Shift+E');
+        this.#bindingTest({ key : 'Enter', shiftKey : true }, 'Shift+Enter');
+        this.#bindingTest({ key : '?', shiftKey : true }, '?'); // Shift is implied for symbols
+        this.#bindingTest({ key : '+', altKey : true }, 'Alt+Plus');
+        this.#bindingTest({ key : ' ' }, 'Space');
+        this.#bindingTest({ key : 'Esc' }, 'Escape');
+        this.#bindingTest({ key : 'Control', ctrlKey : true }, null);
+        this.#bindingTest({ key : 'Shift', shiftKey : true }, null);
+    }
+
+    displayBindingTest() {
+        const tests = {
+            'Ctrl+ArrowUp' : 'Ctrl+Up',
+            ArrowLeft : 'Left',
+            Escape : 'Esc',
+            'Ctrl+Shift+E' : 'Ctrl+Shift+E',
+        };
+
+        for (const [binding, expected] of Object.entries(tests)) {
+            const result = displayBinding(binding);
+            TestHelpers.verify(result === expected, `Expected displayBinding('${binding}') to return '${expected}', got '${result}'`);
+        }
+    }
+
+    fuzzyMatchTest() {
+        TestHelpers.verify(fuzzyMatchScore('bsm', 'Bulk Shift Markers') > 0, `Expected word initials to match`);
+        TestHelpers.verify(fuzzyMatchScore('shift', 'Bulk Shift Markers') > 0, `Expected a substring to match`);
+        TestHelpers.verify(fuzzyMatchScore('xyz', 'Bulk Shift Markers') === -1, `Expected missing characters not to match`);
+        TestHelpers.verify(fuzzyMatchScore('tfihs', 'Bulk Shift Markers') === -1, `Expected out-of-order characters not to match`);
+
+        const better = (query, a, b) => {
+            const scoreA = fuzzyMatchScore(query, a);
+            const scoreB = fuzzyMatchScore(query, b);
+            TestHelpers.verify(scoreA > scoreB, `Expected '${a}' (${scoreA}) to be a better match than '${b}' (${scoreB}) for '${query}'`);
+        };
+
+        better('add', 'Add Marker', 'Load Data');
+        better('office', 'The Office', 'The Officer and the Spy');
+        better('sm', 'Section Options Menu', 'Season Summary');
+    }
+
+    timelinePositionTest() {
+        /*                  x  left width duration expected*/
+        this.#timestampTest(100, 100, 500, 60000,     0); // Left edge
+        this.#timestampTest(600, 100, 500, 60000, 60000); // Right edge
+        this.#timestampTest(350, 100, 500, 60000, 30000); // Middle
+        this.#timestampTest(123, 100, 500, 60000,  2760);
+        this.#timestampTest(50,  100, 500, 60000,     0); // Clamped to the start
+        this.#timestampTest(900, 100, 500, 60000, 60000); // Clamped to the end
+
+        TestHelpers.verify(percentOf(15000, 60000) === 25, `Expected 15000 to be 25% of 60000`);
+        TestHelpers.verify(percentOf(0, 60000) === 0, `Expected 0 to be 0% of 60000`);
+        TestHelpers.verify(percentOf(90000, 60000) === 100, `Expected timestamps beyond the duration to be capped at 100%`);
+    }
+
+    timelineSnapTest() {
+        const chapters = [{ name : 'Intro', index : 0, start : 0, end : 30000 }, { name : 'Main', index : 1, start : 30000, end : 600000 }];
+        // 6 pixels on a 600 pixel wide timeline of a 10 minute episode is 6 seconds.
+        /*             timestamp width duration expected*/
+        this.#snapTest(32000,   600,  600000,  30000, chapters); // Close to a boundary
+        this.#snapTest(27000,   600,  600000,  30000, chapters); // Close to a boundary from the other side
+        this.#snapTest(37000,   600,  600000,  37000, chapters); // Too far away
+        this.#snapTest(32000,   6000, 600000,  32000, chapters); // Close in time, but far in pixels on a wider timeline
+        this.#snapTest(598000,  600,  600000, 600000, chapters); // Snaps to the end of the last chapter
+        this.#snapTest(32000,   600,  600000,  32000, []);       // No chapters
+    }
+
+    timelineDragTest() {
+        this.#dragTest(10000, 20000, false /*isEnd*/,  5000,  5000, 20000);
+        this.#dragTest(10000, 20000, true  /*isEnd*/, 25000, 10000, 25000);
+        this.#dragTest(10000, 20000, false /*isEnd*/, 15000, 15000, 20000);
+        this.#dragTest(10000, 20000, true  /*isEnd*/, 15000, 10000, 15000);
+        // Edges can't cross each other.
+        this.#dragTest(10000, 20000, false /*isEnd*/, 25000, 19999, 20000);
+        this.#dragTest(10000, 20000, true  /*isEnd*/,  5000, 10000, 10001);
+    }
+
+    /**
+     * @param {Partial<KeyboardEvent>} e
+     * @param {string?} expected */
+    #bindingTest(e, expected) {
+        const result = bindingFromEvent(e);
+        TestHelpers.verify(result === expected, `Expected bindingFromEvent(${JSON.stringify(e)}) to return ${expected}, got ${result}`);
+    }
+
+    #timestampTest(x, left, width, duration, expected) {
+        const result = timestampAt(x, left, width, duration);
+        TestHelpers.verify(result === expected,
+            `Expected timestampAt(${x}, ${left}, ${width}, ${duration}) to return ${expected}, got ${result}`);
+    }
+
+    #snapTest(timestamp, width, duration, expected, chapters) {
+        const result = snapToChapter(timestamp, chapters, width, duration);
+        TestHelpers.verify(result === expected,
+            `Expected snapToChapter(${timestamp}, ${chapters.length} chapters, ${width}, ${duration}) ` +
+            `to return ${expected}, got ${result}`);
+    }
+
+    #dragTest(start, end, isEnd, timestamp, expectedStart, expectedEnd) {
+        const result = dragEdge(start, end, isEnd, timestamp);
+        TestHelpers.verify(result.start === expectedStart && result.end === expectedEnd,
+            `Expected dragging the ${isEnd ? 'end' : 'start'} of ${start}-${end} to ${timestamp} to result in ` +
+            `${expectedStart}-${expectedEnd}, got ${result.start}-${result.end}`);
+    }
+
     #roundTest(current, max, factor, expected) {
         const delta = roundDelta(current, max, factor);
         const result = current + delta;
@@ -0,0 +1,198 @@
+import { existsSync, readFileSync, rmSync } from 'fs';
+import { join } from 'path';
+
+import { markerCommandArgs, runCliCommand } from '../../Server/CommandLine.js';
+import { BackupManager } from '../../Server/MarkerBackupManager.js';
+import { MarkerCache } from '../../Server/MarkerCacheManager.js';
+import TestBase from '../TestBase.js';
+import TestHelpers from '../TestHelpers.js';
+
+/**
+ * Tests the headless command line interface, which runs the same commands as the server without starting it.
+ */
+class CommandLineTest extends TestBase {
+    static #exportFile = join(TestBase.root, 'cliExport.json');
+
+    constructor() {
+        super();
+        this.testMethods = [
+            this.testList,
+            this.testAdd,
+            this.testAddTimestamps,
+            this.testShift,
+            this.testDelete,
+            this.testExportImport,
+            this.testRestorePurges,
+            this.testUnknownAction,
+            this.testInvalidArguments,
+            this.testMarkersOptionValue,
+        ];
+    }
+
+    className() { return 'CommandLineTest'; }
+
+    /**
+     * Purges are only tracked if extended marker stats are enabled. */
+    setupConfig() {
+        this.createConfig({ features : { extendedMarkerStats : true } });
+    }
+
+    testMethodTeardown() {
+        if (existsSync(CommandLineTest.#exportFile)) {
+            rmSync(CommandLineTest.#exportFile);
+        }
+
+        return super.testMethodTeardown();
+    }
+
+    /**
+     * Ensure listing markers returns the same data as the query command. */
+    async testList() {
+        const episode = TestBase.DefaultMetadata.Show1.Season1.Episode2;
+        const markers = await this.#run('list', episode.Id);
+        TestHelpers.verify(markers[episode.Id]?.length === 1, `Expected 1 marker for episode ${episode.Id}.`);
+        TestHelpers.verify(markers[episode.Id][0].id === episode.Marker1.Id,
+            `Expected marker ${episode.Marker1.Id}, found ${markers[episode.Id][0].id}.`);
+    }
+
+    /**
+     * Ensure markers can be added with a specific type. */
+    async testAdd() {
+        const episode = TestBase.DefaultMetadata.Show1.Season1.Episode1;
+        const marker = await this.#run('add', episode.Id, 50000, 60000, '--type', 'credits', '--final');
+        await TestHelpers.validateMarker(marker, 'credits', episode.Id, null, null, 50000, 60000, 0, true /*final*/, this.testDb);
+    }
+
+    /**
+     * Ensure timestamps are accepted in addition to milliseconds, and markers default to intros. */
+    async testAddTimestamps() {
+        const episode = TestBase.DefaultMetadata.Show1.Season1.Episode1;
+        const marker = await this.#run('add', episode.Id, '1:05', '00:01:30.5');
+        await TestHelpers.validateMarker(marker, 'intro', episode.Id, null, null, 65000, 90500, 0, false /*final*/, this.testDb);
+    }
+
+    /**
+     * Ensure negative shifts are parsed correctly, only apply to the given marker type,
+     * and require --force if an episode has multiple markers. */
+    async testShift() {
+        const episode = TestBase.DefaultMetadata.Show3.Season1.Episode2;
+        let result = await this.#run('shift', episode.Id, -5000, '--apply-to', 'credits');
+        TestHelpers.verify(!result.applied && result.conflict, `Expected shift to not be applied without --force.`);
+
+        result = await this.#run('shift', episode.Id, -5000, '--apply-to', 'credits', '--force');
+        TestHelpers.verify(result.applied, `Expected shift to be applied.`);
+        for (const [marker, start, end] of [[episode.Marker2, 295000, 340000], [episode.Marker3, 355000, 365000]]) {
+            const shifted = result.allMarkers.find(m => m.id === marker.Id);
+            await TestHelpers.validateMarker(shifted, null, null, null, null, start, end, null, null, this.testDb);
+        }
+
+        const intro = episode.Marker1;
+        const rows = await this.testDb.all(`SELECT time_offset, end_time_offset FROM taggings WHERE id=${intro.Id};`);
+        TestHelpers.verify(rows[0].time_offset === intro.Start && rows[0].end_time_offset === intro.End,
+            `Expected intro marker to not be shifted, found ${rows[0].time_offset}-${rows[0].end_time_offset}.`);
+    }
+
+    /**
+     * Ensure markers can be deleted. */
+    async testDelete() {
+        const marker = TestBase.DefaultMetadata.Movie3.Marker1;
+        const deleted = await this.#run('delete', marker.Id);
+        TestHelpers.verify(deleted.id === marker.Id, `Expected marker ${marker.Id} to be deleted, found ${deleted.id}.`);
+        await TestHelpers.validateMarker(
+            { id : marker.Id }, null, null, null, null, null, null, null, null, this.testDb, true /*isDeleted*/);
+    }
+
+    /**
+     * Ensure exported markers are written to the requested file, and can be imported again. */
+    async testExportImport() {
+        const exportFile = CommandLineTest.#exportFile;
+        const result = await this.#run('export', 1, '--format', 'json', '--out', exportFile);
+        TestHelpers.verify(result.file === exportFile, `Expected export to be written to ${exportFile}, found ${result.file}.`);
+        const exported = JSON.parse(readFileSync(exportFile, 'utf-8'));
+        const markerCount = exported.items.reduce((sum, item) => sum + item.markers.length, 0);
+        TestHelpers.verify(markerCount === 6, `Expected 6 exported TV markers, found ${markerCount}.`);
+
+        const stats = await this.#run('import', exportFile, '--section', 1, '--resolve', 'ignore');
+        TestHelpers.verify(stats.identical === markerCount && stats.added === 0,
+            `Expected all ${markerCount} imported markers to be identical, found ${JSON.stringify(stats)}.`);
+    }
+
+    /**
+     * Ensure markers purged by Plex are restored. */
+    async testRestorePurges() {
+        const episode = TestBase.DefaultMetadata.Show1.Season1.Episode1;
+        const marker = await this.addMarker(episode.Id, 50000, 60000);
+        await this.testDb.exec(`DELETE FROM taggings WHERE id=${marker.id};`);
+
+        // Like the command line itself, start from a fresh view of purged markers.
+        await MarkerCache.reinitialize();
+        await BackupManager.reinitialize();
+        const result = await this.#run('restore-purges', 1);
+        const restored = result.newMarkers[episode.Id];
+        TestHelpers.verify(restored?.length === 1 && restored[0].start === 50000 && restored[0].end === 60000,
+            `Expected purged marker to be restored, found ${JSON.stringify(result.newMarkers)}.`);
+    }
+
+    /**
+     * Ensure unknown actions fail. */
+    async testUnknownAction() {
+        this.expectFailure();
+        await this.#runExpectFailure(['markers']);
+        await this.#runExpectFailure([]);
+    }
+
+    /**
+     * Ensure invalid or missing arguments fail before running anything. */
+    async testInvalidArguments() {
+        this.expectFailure();
+        const episodeId = TestBase.DefaultMetadata.Show1.Season1.Episode1.Id;
+        await this.#runExpectFailure(['list']);
+        await this.#runExpectFailure(['list', 'abc']);
+        await this.#runExpectFailure(['add', episodeId, 0]);
+        await this.#runExpectFailure(['add', episodeId, 0, 'abc']);
+        await this.#runExpectFailure(['add', episodeId, 0, 1000, '--type', 'all']);
+        await this.#runExpectFailure(['shift', episodeId, 1000, '--apply-to']);
+        await this.#runExpectFailure(['import', join(TestBase.root, 'doesNotExist.json')]);
+        await this.#runExpectFailure(['restore-purges', 1, '--resolve', 'replace']);
+    }
+
+    /**
+     * Ensure `markers` is only treated as the subcommand when it's the first argument, not an option value. */
+    testMarkersOptionValue() {
+        const node = process.argv[0];
+        const script = 'app.js';
+        const args = markerCommandArgs([node, script, 'Markers', 'list', '1']);
+        TestHelpers.verify(args?.length === 2 && args[0] === 'list' && args[1] === '1',
+            `Expected "markers list 1" to run the list action, found ${JSON.stringify(args)}.`);
+        for (const argv of [[node, script], [node, script, '--config-override', 'markers'], [node, script, '-v', 'markers']]) {
+            const result = markerCommandArgs(argv);
+            TestHelpers.verify(result === null,
+                `Expected "${argv.slice(2).join(' ')}" to launch the server, found ${JSON.stringify(result)}.`);
+        }
+    }
+
+    /**
+     * Run the given command line action, verifying it succeeds and returning its parsed output.
+     * @param {...any} args */
+    async #run(...args) {
+        let output = '';
+        let error = '';
+        const exitCode = await runCliCommand(args.map(String), text => { output += text; }, text => { error += text; });
+        TestHelpers.verify(exitCode === 0, `Expected "${args.join(' ')}" to succeed, failed with ${error}`);
+        return JSON.parse(output);
+    }
+
+    /**
+     * Run the given command line action, verifying it fails with a JSON error.
+     * @param {any[]} args */
+    async #runExpectFailure(args) {
+        let output = '';
+        let error = '';
+        const exitCode = await runCliCommand(args.map(String), text => { output += text; }, text => { error += text; });
+        TestHelpers.verify(exitCode !== 0, `Expected "${args.join(' ')}" to fail, but it succeeded.`);
+        TestHelpers.verify(output.length === 0, `Expected no output for failed command "${args.join(' ')}", found ${output}.`);
+        TestHelpers.verify(JSON.parse(error).Error, `Expected an error message for "${args.join(' ')}".`);
+    }
+}
+
+export default CommandLineTest;
@@ -24,6 +24,10 @@ export default class ConfigTest extends TestBase {
             this.testAutoOpen,
             this.testExtendedStats,
             this.testPreviewThumbnails,
+            this.testAutoRestoreInterval,
+            this.testAutoRestoreResolution,
+            this.testSnapshotCount,
+            this.testSnapshotMaxAge,
         ];
     }
 
@@ -57,7 +61,12 @@ export default class ConfigTest extends TestBase {
             extendedMarkerStats : this.#testValue(null, true),
             previewThumbnails : this.#testValue(null, true),
             preciseThumbnails : this.#testValue(null, false),
-            pathMappings : this.#testValue(null, [])
+            autoRestoreInterval : this.#testValue(null, 0),
+            autoRestoreResolution : this.#testValue(null, 'merge'),
+            snapshotCount : this.#testValue(null, 5),
+            snapshotMaxAge : this.#testValue(null, 30),
+            pathMappings : this.#testValue(null, []),
+            webhooks : this.#testValue(null, []),
         };
 
         const form = new FormData();
@@ -220,6 +229,74 @@ export default class ConfigTest extends TestBase {
         await this.#testBooleanSetting(ServerSettings.PreviewThumbnails);
     }
 
+    /**
+     * Ensure auto-restore intervals are whole hours between 0 and a week. */
+    async testAutoRestoreInterval() {
+        const setting = ServerSettings.AutoRestoreInterval;
+        for (const interval of [0, 1, 24, 168, '12']) {
+            const result = await this.#configValueTestResult(setting, this.#testValue(interval, 0));
+            TestHelpers.verify(result.isValid, `Expected auto-restore interval ${interval} to be valid, found invalid.`);
+            TestHelpers.verify(!result.invalidMessage, `Expected an empty invalid message, found "${result.invalidMessage}"`);
+        }
+
+        for (const interval of [-1, 169, 1.5, '1.5', 'daily', true]) {
+            const result = await this.#configValueTestResult(setting, this.#testValue(interval, 0));
+            TestHelpers.verify(!result.isValid, `Expected auto-restore interval ${interval} to be invalid, found valid.`);
+            TestHelpers.verify(result.invalidMessage, `Expected an invalid message, found nothing.`);
+        }
+    }
+
+    /**
+     * Ensure only known conflict resolution types are accepted for automatic restores. */
+    async testAutoRestoreResolution() {
+        const setting = ServerSettings.AutoRestoreResolution;
+        for (const resolution of ['overwrite', 'merge', 'ignore']) {
+            const result = await this.#configValueTestResult(setting, this.#testValue(resolution, 'merge'));
+            TestHelpers.verify(result.isValid, `Expected auto-restore resolution "${resolution}" to be valid, found invalid.`);
+            TestHelpers.verify(!result.invalidMessage, `Expected an empty invalid message, found "${result.invalidMessage}"`);
+        }
+
+        for (const resolution of ['Merge', 'keep', '', 2, true]) {
+            const result = await this.#configValueTestResult(setting, this.#testValue(resolution, 'merge'));
+            TestHelpers.verify(!result.isValid, `Expected auto-restore resolution "${resolution}" to be invalid, found valid.`);
+            TestHelpers.verify(result.invalidMessage, `Expected an invalid message, found nothing.`);
+        }
+    }
+
+    /**
+     * Ensure snapshot counts are whole numbers between 0 and 100. */
+    async testSnapshotCount() {
+        const setting = ServerSettings.SnapshotCount;
+        for (const count of [0, 1, 5, 100, '10']) {
+            const result = await this.#configValueTestResult(setting, this.#testValue(count, 5));
+            TestHelpers.verify(result.isValid, `Expected snapshot count ${count} to be valid, found invalid.`);
+            TestHelpers.verify(!result.invalidMessage, `Expected an empty invalid message, found "${result.invalidMessage}"`);
+        }
+
+        for (const count of [-1, 101, 2.5, 'all', true]) {
+            const result = await this.#configValueTestResult(setting, this.#testValue(count, 5));
+            TestHelpers.verify(!result.isValid, `Expected snapshot count ${count} to be invalid, found valid.`);
+            TestHelpers.verify(result.invalidMessage, `Expected an invalid message, found nothing.`);
+        }
+    }
+
+    /**
+     * Ensure snapshot ages are whole days between 0 and a year. */
+    async testSnapshotMaxAge() {
+        const setting = ServerSettings.SnapshotMaxAge;
+        for (const age of [0, 1, 30, 365, '7']) {
+            const result = await this.#configValueTestResult(setting, this.#testValue(age, 30));
+            TestHelpers.verify(result.isValid, `Expected snapshot age ${age} to be valid, found invalid.`);
+            TestHelpers.verify(!result.invalidMessage, `Expected an empty invalid message, found "${result.invalidMessage}"`);
+        }
+
+        for (const age of [-1, 366, 0.5, 'forever', true]) {
+            const result = await this.#configValueTestResult(setting, this.#testValue(age, 30));
+            TestHelpers.verify(!result.isValid, `Expected snapshot age ${age} to be invalid, found valid.`);
+            TestHelpers.verify(result.invalidMessage, `Expected an invalid message, found nothing.`);
+        }
+    }
+
     /**
      * Generic boolean setting validation.
      * @param {string} setting The setting to test
@@ -0,0 +1,239 @@
+import { BulkMarkerResolveType, MarkerCopyAlignment } from '../../Shared/PlexTypes.js';
+import { MarkerEnum } from '../../Shared/MarkerType.js';
+import { PostCommands } from '../../Shared/PostCommands.js';
+
+import TestBase from '../TestBase.js';
+import TestHelpers from '../TestHelpers.js';
+
+/** @typedef {!import('../../Shared/PlexTypes').MarkerCopyResult} MarkerCopyResult */
+
+/**
+ * Tests copying markers from one episode to others, with the various alignment options.
+ */
+class CopyMarkersTest extends TestBase {
+    constructor() {
+        super();
+        this.testMethods = [
+            this.testAbsoluteCopy,
+            this.testPercentageCopy,
+            this.testCreditsFromEndCopy,
+            this.testChapterCopy,
+            this.testFinalCopy,
+            this.testDryRun,
+            this.testConflictResolution,
+            this.testUndoCopy,
+            this.testNonEpisodeSource,
+        ];
+    }
+
+    className() { return 'CopyMarkersTest'; }
+
+    /**
+     * Ensure markers are copied as-is to every other episode in the season. */
+    async testAbsoluteCopy() {
+        const season = TestBase.DefaultMetadata.Show1.Season1;
+        const result = await this.#copy(season.Episode2.Id, season.Id, MarkerEnum.All, MarkerCopyAlignment.Absolute);
+        TestHelpers.verify(result.applied, `Expected copy to be applied, found ${result.notAppliedReason}.`);
+        TestHelpers.verify(result.unaligned.length === 0, `Expected all episodes to be aligned, found ${result.unaligned}.`);
+        TestHelpers.verify(!result.copies[season.Episode2.Id], `Source episode shouldn't be copied to itself.`);
+
+        const marker = season.Episode2.Marker1;
+        await this.#verifyMarkers(season.Episode1.Id, [[marker.Start, marker.End]]);
+        await this.#verifyMarkers(season.Episode2.Id, [[marker.Start, marker.End]]);
+        await this.#verifyMarkers(season.Episode3.Id, [[marker.Start, marker.End]]);
+        await this.#verifyMarkers(TestBase.DefaultMetadata.Show1.Season2.Episode1.Id, []);
+    }
+
+    /**
+     * Ensure markers keep the same relative position in episodes with different durations. */
+    async testPercentageCopy() {
+        const season = TestBase.DefaultMetadata.Show1.Season1;
+        await this.#setDuration(season.Episode3.Id, 300000);
+        const result = await this.#copy(season.Episode2.Id, season.Id, MarkerEnum.All, MarkerCopyAlignment.Percentage);
+        TestHelpers.verify(result.applied, `Expected copy to be applied, found ${result.notAppliedReason}.`);
+        await this.#verifyMarkers(season.Episode1.Id, [[15000, 45000]]);
+        await this.#verifyMarkers(season.Episode3.Id, [[7500, 22500]]);
+    }
+
+    /**
+     * Ensure credits stay the same distance from the end, while intros keep their timestamps. */
+    async testCreditsFromEndCopy() {
+        const season = TestBase.DefaultMetadata.Show1.Season1;
+        TestHelpers.checkError(await this.addMarker(season.Episode2.Id, 540000, 570000, 'credits'));
+        await this.#setDuration(season.Episode3.Id, 500000);
+        const result = await this.#copy(season.Episode2.Id, season.Id, MarkerEnum.All, MarkerCopyAlignment.CreditsFromEnd);
+        TestHelpers.verify(result.applied, `Expected copy to be applied, found ${result.notAppliedReason}.`);
+        await this.#verifyMarkers(season.Episode1.Id, [[15000, 45000], [540000, 570000]]);
+        await this.#verifyMarkers(season.Episode3.Id, [[15000, 45000], [440000, 470000]]);
+    }
+
+    /**
+     * Ensure markers are shifted along with the chapter they start in (matching names case-insensitively),
+     * and episodes without a matching chapter are reported as unaligned. */
+    async testChapterCopy() {
+        const show = TestBase.DefaultMetadata.Show1;
+        // Media item 3 is the first media item of S01E02, and 6 is S02E01's only media item.
+        await this.#setChapters(3, [{ name : 'Intro', start : 0, end : 100 }, { name : 'Credits', start : 500, end : 600 }]);
+        await this.#setChapters(6, [{ name : 'intro', start : 0, end : 120 }, { name : 'CREDITS', start : 450, end : 600 }]);
+        TestHelpers.checkError(await this.addMarker(show.Season1.Episode2.Id, 520000, 550000, 'credits'));
+        const result = await this.#copy(show.Season1.Episode2.Id, show.Id, MarkerEnum.All, MarkerCopyAlignment.Chapter);
+        TestHelpers.verify(result.applied, `Expected copy to be applied, found ${result.notAppliedReason}.`);
+
+        const unaligned = result.unaligned.sort((a, b) => a - b);
+        TestHelpers.verify(unaligned.length === 2 && unaligned[0] === show.Season1.Episode1.Id && unaligned[1] === show.Season1.Episode3.Id,
+            `Expected episodes without matching chapters to be unaligned, found ${unaligned}.`);
+        await this.#verifyMarkers(show.Season2.Episode1.Id, [[15000, 45000], [470000, 500000]]);
+        await this.#verifyMarkers(show.Season1.Episode1.Id, []);
+        await this.#verifyMarkers(show.Season1.Episode3.Id, []);
+    }
+
+    /**
+     * Ensure final credits stay final if they still reach the end of the target episode, and
+     * non-final credits don't become final just because they reach the end. */
+    async testFinalCopy() {
+        const season = TestBase.DefaultMetadata.Show1.Season1;
+        TestHelpers.checkError(await this.addMarker(season.Episode2.Id, 540000, 600000, 'credits', true /*final*/));
+        await this.#setDuration(season.Episode3.Id, 700000);
+        const result = await this.#copy(season.Episode2.Id, season.Id, MarkerEnum.Credits, MarkerCopyAlignment.Absolute);
+        TestHelpers.verify(result.applied, `Expected copy to be applied, found ${result.notAppliedReason}.`);
+        TestHelpers.verify(result.copies[season.Episode1.Id][0].final, `Expected copy that reaches the end to be final.`);
+        TestHelpers.verify(!result.copies[season.Episode3.Id][0].final, `Expected copy that doesn't reach the end to not be final.`);
+        await this.#verifyFinal(season.Episode1.Id, true);
+        await this.#verifyFinal(season.Episode3.Id, false);
+
+        // Non-final credits that are cut off at the end of a shorter episode aren't final either.
+        const source = TestBase.DefaultMetadata.Show1.Season2.Episode1;
+        const target = TestBase.DefaultMetadata.Show2.Season1;
+        TestHelpers.checkError(await this.addMarker(source.Id, 540000, 590000, 'credits'));
+        await this.#setDuration(target.Episode1.Id, 570000);
+        const shorter = await this.#copy(source.Id, target.Id, MarkerEnum.Credits, MarkerCopyAlignment.Absolute);
+        TestHelpers.verify(shorter.applied, `Expected copy to be applied, found ${shorter.notAppliedReason}.`);
+        await this.#verifyMarkers(target.Episode1.Id, [[540000, 570000]]);
+        await this.#verifyFinal(target.Episode1.Id, false);
+    }
+
+    /**
+     * Ensure dry runs report the translated markers without adding anything. */
+    async testDryRun() {
+        const season = TestBase.DefaultMetadata.Show1.Season1;
+        const result = await this.#copy(
+            season.Episode2.Id, season.Id, MarkerEnum.All, MarkerCopyAlignment.Absolute, BulkMarkerResolveType.DryRun);
+        TestHelpers.verify(!result.applied, `Dry run shouldn't apply anything.`);
+        TestHelpers.verify(Object.keys(result.episodeMap).length === 3, `Expected all season episodes in the episode map.`);
+        const copy = result.copies[season.Episode1.Id]?.[0];
+        TestHelpers.verify(copy?.start === 15000 && copy.end === 45000 && copy.markerType === 'intro',
+            `Expected dry run to report translated markers, found ${JSON.stringify(result.copies)}.`);
+        await this.#verifyMarkers(season.Episode1.Id, []);
+        await this.#verifyMarkers(season.Episode3.Id, []);
+    }
+
+    /**
+     * Ensure existing markers cause the entire copy to fail when requested,
+     * and are skipped when asked to ignore conflicts. */
+    async testConflictResolution() {
+        const season = TestBase.DefaultMetadata.Show1.Season1;
+        TestHelpers.checkError(await this.addMarker(season.Episode3.Id, 40000, 50000));
+        const failed = await this.#copy(season.Episode2.Id, season.Id, MarkerEnum.All, MarkerCopyAlignment.Absolute);
+        TestHelpers.verify(!failed.applied && failed.notAppliedReason, `Expected conflicting copy to fail.`);
+        await this.#verifyMarkers(season.Episode1.Id, []);
+
+        const ignored = await this.#copy(
+            season.Episode2.Id, season.Id, MarkerEnum.All, MarkerCopyAlignment.Absolute, BulkMarkerResolveType.Ignore);
+        TestHelpers.verify(ignored.applied, `Expected copy to be applied, found ${ignored.notAppliedReason}.`);
+        await this.#verifyMarkers(season.Episode1.Id, [[15000, 45000]]);
+        await this.#verifyMarkers(season.Episode3.Id, [[40000, 50000]]);
+    }
+
+    /**
+     * Ensure every marker added by a single copy is undone at once. */
+    async testUndoCopy() {
+        const season = TestBase.DefaultMetadata.Show1.Season1;
+        TestHelpers.checkError(await this.addMarker(season.Episode2.Id, 540000, 570000, 'credits'));
+        await this.#copy(season.Episode2.Id, season.Id, MarkerEnum.All, MarkerCopyAlignment.Absolute);
+        await this.#verifyMarkers(season.Episode1.Id, [[15000, 45000], [540000, 570000]]);
+
+        TestHelpers.checkError(await this.send(PostCommands.Undo, { sectionId : 1, batchId : this.lastBatchId }));
+        await this.#verifyMarkers(season.Episode1.Id, []);
+        await this.#verifyMarkers(season.Episode3.Id, []);
+        await this.#verifyMarkers(season.Episode2.Id, [[15000, 45000], [540000, 570000]]);
+    }
+
+    /**
+     * Ensure markers can only be copied from a single episode. */
+    async testNonEpisodeSource() {
+        this.expectFailure();
+        const season = TestBase.DefaultMetadata.Show1.Season1;
+        const response = await this.send(PostCommands.CopyMarkers, {
+            sourceId : season.Id,
+            id : season.Id,
+            applyTo : MarkerEnum.All,
+            alignment : MarkerCopyAlignment.Absolute,
+            resolveType : BulkMarkerResolveType.Fail,
+        }, true /*raw*/);
+
+        TestHelpers.verify(response.status === 400, `Expected copying from a season to fail with 400, found ${response.status}.`);
+    }
+
+    /**
+     * @param {number} sourceId
+     * @param {number} targetId
+     * @param {number} applyTo
+     * @param {number} alignment
+     * @param {number} resolveType
+     * @returns {Promise<MarkerCopyResult>} */
+    async #copy(sourceId, targetId, applyTo, alignment, resolveType=BulkMarkerResolveType.Fail) {
+        const result = await this.send(PostCommands.CopyMarkers, {
+            sourceId : sourceId,
+            id : targetId,
+            applyTo : applyTo,
+            alignment : alignment,
+            resolveType : resolveType,
+        });
+
+        TestHelpers.checkError(result);
+        return result;
+    }
+
+    /**
+     * Change the duration of every media item for the given episode.
+     * @param {number} metadataId
+     * @param {number} duration */
+    #setDuration(metadataId, duration) {
+        return this.testDb.run('UPDATE media_items SET duration=? WHERE metadata_item_id=?;', [duration, metadataId]);
+    }
+
+    /**
+     * Replace the chapters of the given media item.
+     * @param {number} mediaItemId
+     * @param {{ name: string, start: number, end: number }[]} chapters Chapter data, in seconds. */
+    #setChapters(mediaItemId, chapters) {
+        const extraData = 'pv%3Achapters=' + encodeURIComponent(JSON.stringify({ Chapters : { Chapter : chapters } }));
+        return this.testDb.run('UPDATE media_parts SET extra_data=? WHERE media_item_id=?;', [extraData, mediaItemId]);
+    }
+
+    /**
+     * Ensure the given episode's only credits marker has the given final state.
+     * @param {number} metadataId
+     * @param {boolean} final */
+    async #verifyFinal(metadataId, final) {
+        const markers = await this.testDb.all(`SELECT extra_data FROM taggings WHERE metadata_item_id=? AND text='credits';`, [metadataId]);
+        TestHelpers.verify(markers.length === 1, `Expected a single credits marker for item ${metadataId}, found ${markers.length}.`);
+        const isFinal = markers[0].extra_data.includes('final=1');
+        TestHelpers.verify(isFinal === final, `Expected credits for item ${metadataId} to ${final ? '' : 'not '}be final.`);
+    }
+
+    /**
+     * Ensure the given episode has exactly the given markers, in order.
+     * @param {number} metadataId
+     * @param {[number, number][]} expected The expected [start, end] timestamps. */
+    async #verifyMarkers(metadataId, expected) {
+        const markers = await this.testDb.all(
+            'SELECT time_offset AS start, end_time_offset AS end FROM taggings WHERE metadata_item_id=? ORDER BY time_offset ASC;',
+            [metadataId]);
+        const actual = JSON.stringify(markers.map(m => [m.start, m.end]));
+        TestHelpers.verify(actual === JSON.stringify(expected),
+            `Expected markers ${JSON.stringify(expected)} for item ${metadataId}, found ${actual}.`);
+    }
+}
+
+export default CopyMarkersTest;
@@ -0,0 +1,142 @@
+import { parseDetectOutput, proposeCredits } from '../../Server/CreditsDetection.js';
+
+import TestBase from '../TestBase.js';
+import TestHelpers from '../TestHelpers.js';
+
+/** @typedef {!import('../../Shared/PlexTypes').DetectedCredits} DetectedCredits */
+
+/**
+ * Tests black frame/silence-based credits detection. Since FFmpeg isn't guaranteed to exist
+ * where tests are run, these tests use canned FFmpeg output instead of real media files.
+ */
+class CreditsDetectionTest extends TestBase {
+    /** The duration of our fake media item. */
+    static #duration = 1200000;
+
+    constructor() {
+        super();
+        this.testMethods = [
+            this.testParseOutput,
+            this.testFadeOut,
+            this.testCreditsOverBlack,
+            this.testPostCreditsScene,
+            this.testSilenceOnly,
+            this.testNothingFound,
+            this.testInvalidItem,
+        ];
+    }
+
+    className() { return 'CreditsDetectionTest'; }
+
+    /**
+     * Ensure blackdetect/silencedetect output is parsed and offset by the seek position. */
+    testParseOutput() {
+        const output =
+            `Input #0, matroska,webm, from 'Episode.mkv':\n` +
+            `[blackdetect @ 0x55d0c1a3c2c0] black_start:12.5 black_end:13.25 black_duration:0.75\n` +
+            `[silencedetect @ 0x55d0c1a3d100] silence_start: 12.4\n` +
+            `[silencedetect @ 0x55d0c1a3d100] silence_end: 14 | silence_duration: 1.6\r\n` +
+            `[silencedetect @ 0x55d0c1a3d100] silence_start: 100.5\n`;
+        const ranges = parseDetectOutput(output, 60000, 180000);
+        TestHelpers.verify(ranges.black.length === 1, `Expected 1 black range, found ${ranges.black.length}.`);
+        this.#verifyRange(ranges.black[0], 72500, 73250, 'black');
+        TestHelpers.verify(ranges.silence.length === 2, `Expected 2 silence ranges, found ${ranges.silence.length}.`);
+        this.#verifyRange(ranges.silence[0], 72400, 74000, 'first silence');
+        this.#verifyRange(ranges.silence[1], 160500, 180000, 'unterminated silence');
+    }
+
+    /**
+     * Ensure the last fade to black (with silence) that leaves room for credits is used. */
+    testFadeOut() {
+        const credits = proposeCredits({
+            black : [
+                { start : 1000000, end : 1001000 },
+                { start : 1100000, end : 1101000 },
+                { start : 1150000, end : 1150500 }, // Black, but no silence.
+                { start : 1195000, end : 1200000 }, // Too close to the end.
+            ],
+            silence : [
+                { start : 999500, end : 1001500 },
+                { start : 1100200, end : 1102000 },
+                { start : 1194000, end : 1200000 },
+            ],
+        }, CreditsDetectionTest.#duration);
+
+        this.#verifyCredits(credits, 1101000, CreditsDetectionTest.#duration, true /*final*/, 'both');
+    }
+
+    /**
+     * Ensure long stretches of black are treated as credits rolling over a black background. */
+    testCreditsOverBlack() {
+        const credits = proposeCredits({
+            black : [{ start : 1100000, end : 1101000 }, { start : 1120000, end : 1190000 }],
+            silence : [{ start : 1100000, end : 1101000 }],
+        }, CreditsDetectionTest.#duration);
+
+        this.#verifyCredits(credits, 1120000, CreditsDetectionTest.#duration, true /*final*/, 'black');
+    }
+
+    /**
+     * Ensure credits over black that end well before the end of the item aren't marked as final. */
+    testPostCreditsScene() {
+        const credits = proposeCredits({
+            black : [{ start : 1080000, end : 1140000 }],
+            silence : [],
+        }, CreditsDetectionTest.#duration);
+
+        this.#verifyCredits(credits, 1080000, 1140000, false /*final*/, 'black');
+    }
+
+    /**
+     * Ensure silence is used when there aren't any black frames. */
+    testSilenceOnly() {
+        const credits = proposeCredits({
+            black : [],
+            silence : [{ start : 1120000, end : 1122000 }],
+        }, CreditsDetectionTest.#duration);
+
+        this.#verifyCredits(credits, 1122000, CreditsDetectionTest.#duration, true /*final*/, 'silence');
+    }
+
+    /**
+     * Ensure nothing is proposed when there's nothing to go on. */
+    testNothingFound() {
+        const credits = proposeCredits({
+            black : [{ start : 1195000, end : 1200000 }],
+            silence : [],
+        }, CreditsDetectionTest.#duration);
+
+        TestHelpers.verify(credits === null, `Expected no credits, found ${JSON.stringify(credits)}.`);
+    }
+
+    /**
+     * Ensure credits detection fails for items that don't exist. */
+    async testInvalidItem() {
+        this.expectFailure();
+        await TestHelpers.verifyBadRequest(await this.send('detect_credits', { id : 1000 }, true /*raw*/), 'missing item');
+    }
+
+    /**
+     * @param {{ start: number, end: number }} range
+     * @param {number} start
+     * @param {number} end
+     * @param {string} description */
+    #verifyRange(range, start, end, description) {
+        TestHelpers.verify(range.start === start && range.end === end,
+            `Expected ${description} range of [${start}-${end}], found [${range.start}-${range.end}].`);
+    }
+
+    /**
+     * @param {DetectedCredits?} credits
+     * @param {number} start
+     * @param {number} end
+     * @param {boolean} final
+     * @param {string} source */
+    #verifyCredits(credits, start, end, final, source) {
+        TestHelpers.verify(credits, `Expected credits to be detected.`);
+        TestHelpers.verify(credits.start === start && credits.end === end && credits.final === final && credits.source === source,
+            `Expected credits of [${start}-${end}, final=${final}, source=${source}], found ${JSON.stringify(credits)}.`);
+    }
+}
+
+export default CreditsDetectionTest;
@@ -7,8 +7,8 @@ import FormData from 'form-data';
 import { gunzipSync } from 'zlib';
 import { join } from 'path';
 
+import { MarkerConflictResolution, MarkerExportFormat } from '../../Shared/PlexTypes.js';
 import { ExtraData } from '../../Server/PlexQueryManager.js';
-import { MarkerConflictResolution } from '../../Shared/PlexTypes.js';
 import { MarkerType } from '../../Shared/MarkerType.js';
 import { Readable } from 'stream';
 import SqliteDatabase from '../../Server/SqliteDatabase.js';
@@ -33,6 +33,12 @@ class ImportExportTest extends TestBase {
             this.ignoreImportTest,
             this.mergeImportTest,
             this.importMultiEpisodeGuid,
+            this.exportJsonTest,
+            this.exportCsvTest,
+            this.importJsonTest,
+            this.importCsvTest,
+            this.jsonRoundTripTest,
+            this.invalidTextImportTest,
         ];
     }
 
@@ -215,6 +221,103 @@ class ImportExportTest extends TestBase {
         await TestHelpers.validateMarker(m2[0], MarkerType.Intro, e2.Id, null, null, 15000, 45000, 0, false, this.testDb);
     }
 
+    /**
+     * Ensure JSON exports group markers by item, and contain human-readable timestamps and flags. */
+    async exportJsonTest() {
+        const data = await (await this.get(`export/2?format=${MarkerExportFormat.Json}`)).json();
+        TestHelpers.verify(data.version === 1, `Expected JSON export version 1, found ${data.version}`);
+        TestHelpers.verify(data.items.length === 2, `Expected 2 items in JSON export, found ${data.items.length}`);
+        const [movie2, movie3] = data.items;
+        TestHelpers.verify(movie2.guid === '01' && movie2.title === 'Movie2' && movie2.type === 'movie',
+            `Expected Movie2 to be the first item in the JSON export, found ${JSON.stringify(movie2)}`);
+        TestHelpers.verify(movie2.markers.length === 4, `Expected Movie2 to have 4 markers, found ${movie2.markers.length}`);
+        TestHelpers.verify(movie3.guid === '02' && movie3.markers.length === 1, `Expected Movie3 to have 1 marker`);
+
+        const [intro, , finalCredits] = movie2.markers;
+        TestHelpers.verify(intro.type === MarkerType.Intro && intro.start === '00:00:10.000' && intro.end === '00:00:30.000',
+            `Unexpected intro marker in JSON export: ${JSON.stringify(intro)}`);
+        TestHelpers.verify(finalCredits.type === MarkerType.Credits && finalCredits.final && !intro.final,
+            `Expected the second credits marker to be final: ${JSON.stringify(finalCredits)}`);
+    }
+
+    /**
+     * Ensure CSV exports have one row per marker, including show/season/episode info. */
+    async exportCsvTest() {
+        const text = await (await this.get(`export/1?format=${MarkerExportFormat.Csv}`)).text();
+        const lines = text.trim().split('\n');
+        const header = 'guid,type,show,season,episode,title,marker_type,start,end,final,user_created';
+        TestHelpers.verify(lines[0] === header, `Unexpected CSV header: ${lines[0]}`);
+        TestHelpers.verify(lines.length === 7, `Expected 6 markers in CSV export, found ${lines.length - 1}`);
+
+        const ep = TestBase.DefaultMetadata.Show1.Season1.Episode2;
+        const expected = `3,episode,Show1,1,2,Episode2,intro,00:00:${ep.Marker1.Start / 1000}.000,00:00:${ep.Marker1.End / 1000}.000,0,0`;
+        TestHelpers.verify(lines.includes(expected), `Expected to find "${expected}" in CSV export:\n${text}`);
+    }
+
+    /**
+     * Import markers from a hand-written JSON file. */
+    async importJsonTest() {
+        const json = {
+            version : 1,
+            items : [{ guid : '00', title : 'Movie1', markers : [
+                { type : 'intro', start : '00:00:05.000', end : '00:00:20.000' },
+                { type : 'credits', start : '9:30.5', end : 600000, final : true, userCreated : true },
+            ] }],
+        };
+
+        const result = await this.#importTextInternal(JSON.stringify(json), MarkerExportFormat.Json);
+        this.#verifyImportResultValues(result, { added : 2, identical : 0, deleted : 0, modified : 0, ignored : 0 });
+
+        const movieId = TestBase.DefaultMetadata.Movie1.Id;
+        const markers = (await this.send('query', { keys : movieId }))[movieId];
+        TestHelpers.verify(markers.length === 2, `Expected Movie1 to have 2 markers after import, found ${markers.length}`);
+        await TestHelpers.validateMarker(markers[0], MarkerType.Intro, movieId, null, null, 5000, 20000, 0, false, this.testDb);
+        await TestHelpers.validateMarker(markers[1], MarkerType.Credits, movieId, null, null, 570500, 600000, 1, true, this.testDb);
+    }
+
+    /**
+     * Import markers from a hand-written CSV file, with quoted fields and only the required columns. */
+    async importCsvTest() {
+        const csv = 'title,guid,marker_type,start,end\r\n' +
+            '"Episode ""1"", Season 2",6,intro,0,10.5\r\n' +
+            '\r\n';
+        const result = await this.#importTextInternal(csv, MarkerExportFormat.Csv, 1 /*sectionId*/);
+        this.#verifyImportResultValues(result, { added : 1, identical : 0, deleted : 0, modified : 0, ignored : 0 });
+
+        const sd = TestBase.DefaultMetadata.Show1;
+        const episodeId = sd.Season2.Episode1.Id;
+        const markers = (await this.send('query', { keys : episodeId }))[episodeId];
+        TestHelpers.verify(markers.length === 1, `Expected episode to have 1 marker after import, found ${markers.length}`);
+        await TestHelpers.validateMarker(markers[0], MarkerType.Intro, episodeId, sd.Season2.Id, sd.Id, 0, 10500, 0, false, this.testDb);
+    }
+
+    /**
+     * Ensure importing a JSON export into the same section doesn't change anything. */
+    async jsonRoundTripTest() {
+        const text = await (await this.get(`export/2?format=${MarkerExportFormat.Json}`)).text();
+        const result = await this.#importTextInternal(text, MarkerExportFormat.Json);
+        this.#verifyImportResultValues(result, { added : 0, identical : 5, deleted : 0, modified : 0, ignored : 0 });
+    }
+
+    /**
+     * Ensure malformed JSON/CSV files are rejected. */
+    async invalidTextImportTest() {
+        this.expectFailure();
+        const badType = '{ "items": [{ "guid": "00", "markers": [{ "type": "outro", "start": 0, "end": 1000 }] }] }';
+        const testCases = [
+            ['{ "items": [', MarkerExportFormat.Json, 'malformed JSON'],
+            ['{ "version": 1 }', MarkerExportFormat.Json, 'missing items'],
+            [badType, MarkerExportFormat.Json, 'bad type'],
+            ['guid,marker_type,start\n00,intro,0\n', MarkerExportFormat.Csv, 'missing column'],
+            ['guid,marker_type,start,end\n00,intro,00:00:20.000,00:00:10.000\n', MarkerExportFormat.Csv, 'start after end'],
+            ['guid,marker_type,start,end\n', MarkerExportFormat.Csv, 'no markers'],
+        ];
+
+        for (const [text, format, testCase] of testCases) {
+            await TestHelpers.verifyBadRequest(await this.#importTextInternal(text, format, 2, true /*raw*/), testCase);
+        }
+    }
+
     /**
      * Handles creating the import database and sending it to the server as a POST request
      * @param {any[][]} importData
@@ -244,6 +347,26 @@ class ImportExportTest extends TestBase {
         return JSON.parse(data.toString());
     }
 
+    /**
+     * Upload the given JSON/CSV text to the server to be imported.
+     * @param {string} text
+     * @param {string} format
+     * @param {number} sectionId
+     * @param {boolean} raw Whether to return the raw response instead of the parsed JSON. */
+    async #importTextInternal(text, format, sectionId=2, raw=false) {
+        const result = await this.sendBody('import_db', {
+            database : new File([text], `markers.${format}`),
+            sectionId : sectionId,
+            resolveType : MarkerConflictResolution.Overwrite,
+        }, raw);
+
+        if (!raw) {
+            TestHelpers.checkError(result);
+        }
+
+        return result;
+    }
+
     /**
      * Ensure the import request returned the expected response.
      * @param {*} result Import result
@@ -0,0 +1,139 @@
+import { findSharedSegment, fingerprintAudio } from '../../Server/IntroDetection.js';
+
+import TestBase from '../TestBase.js';
+import TestHelpers from '../TestHelpers.js';
+
+/**
+ * Tests audio fingerprint-based intro detection. Since FFmpeg isn't guaranteed to exist
+ * where tests are run, audio is generated directly instead of being extracted from media files.
+ */
+class IntroDetectionTest extends TestBase {
+    /** The sample rate intro detection expects audio to be in. */
+    static #sampleRate = 8000;
+
+    constructor() {
+        super();
+        this.testMethods = [
+            this.testSharedIntro,
+            this.testNoSharedAudio,
+            this.testSharedSilence,
+            this.testDuplicateAudio,
+            this.testYieldsToEventLoop,
+            this.testInvalidItems,
+        ];
+    }
+
+    className() { return 'IntroDetectionTest'; }
+
+    /**
+     * Ensure an intro shared between two episodes is found, even if it starts at different timestamps. */
+    async testSharedIntro() {
+        const intro = this.#noise(42, 40);
+        const first = this.#episode(1, 120, intro, 30);
+        const second = this.#episode(2, 120, intro, 65);
+        const segment = await findSharedSegment(await fingerprintAudio(first), await fingerprintAudio(second));
+        TestHelpers.verify(segment, `Expected to find a shared segment.`);
+        this.#verifyClose(segment.startA, 30000, 'first start');
+        this.#verifyClose(segment.endA, 70000, 'first end');
+        this.#verifyClose(segment.startB, 65000, 'second start');
+        this.#verifyClose(segment.endB, 105000, 'second end');
+        TestHelpers.verify(segment.confidence > 0.5, `Expected a confident match, found ${segment.confidence}.`);
+    }
+
+    /**
+     * Ensure nothing is found when episodes don't share any audio. */
+    async testNoSharedAudio() {
+        const segment = await findSharedSegment(await fingerprintAudio(this.#noise(1, 120)), await fingerprintAudio(this.#noise(2, 120)));
+        TestHelpers.verify(segment === null, `Expected no shared segment, found ${JSON.stringify(segment)}.`);
+    }
+
+    /**
+     * Ensure silence shared between episodes isn't mistaken for an intro. */
+    async testSharedSilence() {
+        const silence = new Int16Array(60 * IntroDetectionTest.#sampleRate);
+        const segment = await findSharedSegment(
+            await fingerprintAudio(this.#episode(1, 120, silence, 20)),
+            await fingerprintAudio(this.#episode(2, 120, silence, 40)));
+        TestHelpers.verify(segment === null, `Expected shared silence to be ignored, found ${JSON.stringify(segment)}.`);
+    }
+
+    /**
+     * Ensure identical audio that's much longer than an intro isn't treated as an intro. */
+    async testDuplicateAudio() {
+        const audio = this.#noise(3, 180);
+        const print = await fingerprintAudio(audio);
+        const segment = await findSharedSegment(print, print);
+        TestHelpers.verify(segment === null, `Expected duplicate audio to be ignored, found ${JSON.stringify(segment)}.`);
+    }
+
+    /**
+     * Ensure analysis periodically gives the event loop a chance to run, so the server can
+     * respond to other requests while intros are being detected. */
+    async testYieldsToEventLoop() {
+        let ticks = 0;
+        const interval = setInterval(() => ++ticks, 1);
+        try {
+            const print = await fingerprintAudio(this.#noise(4, 120));
+            await findSharedSegment(print, await fingerprintAudio(this.#noise(5, 120)));
+        } finally {
+            clearInterval(interval);
+        }
+
+        TestHelpers.verify(ticks > 0, `Expected timers to run while analyzing audio.`);
+    }
+
+    /**
+     * Ensure intro detection is only allowed for shows and seasons. */
+    async testInvalidItems() {
+        this.expectFailure();
+        await TestHelpers.verifyBadRequest(
+            await this.send('detect_intros', { id : TestBase.DefaultMetadata.Movie1.Id }, true /*raw*/), 'movie');
+        await TestHelpers.verifyBadRequest(
+            await this.send('detect_intros', { id : TestBase.DefaultMetadata.Show1.Season1.Episode1.Id }, true /*raw*/), 'episode');
+        await TestHelpers.verifyBadRequest(await this.send('detect_intros', { id : 1000 }, true /*raw*/), 'missing item');
+    }
+
+    /**
+     * Generate deterministic white noise.
+     * @param {number} seed
+     * @param {number} seconds */
+    #noise(seed, seconds) {
+        // mulberry32
+        const random = () => {
+            seed = (seed + 0x6D2B79F5) | 0;
+            let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+            t ^= t + Math.imul(t ^ (t >>> 7), 61 | t);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+
+        return Int16Array.from({ length : seconds * IntroDetectionTest.#sampleRate }, () => Math.round((random() * 2 - 1) * 8000));
+    }
+
+    /**
+     * Generate an "episode" of noise, with the given intro at the given timestamp. The intro
+     * is slightly quieter and mixed with some of the surrounding noise, like a re-encode would be.
+     * @param {number} seed
+     * @param {number} seconds
+     * @param {Int16Array} intro
+     * @param {number} introStart The start of the intro, in seconds. */
+    #episode(seed, seconds, intro, introStart) {
+        const audio = this.#noise(seed, seconds);
+        const offset = introStart * IntroDetectionTest.#sampleRate;
+        for (let i = 0; i < intro.length; ++i) {
+            audio[offset + i] = Math.round(intro[i] * 0.7 + audio[offset + i] * 0.05);
+        }
+
+        return audio;
+    }
+
+    /**
+     * Verify that the given timestamp is within half a second of what we expect.
+     * @param {number} actual
+     * @param {number} expected
+     * @param {string} description */
+    #verifyClose(actual, expected, description) {
+        TestHelpers.verify(Math.abs(actual - expected) <= 500, `Expected ${description} to be close to ${expected}, found ${actual}.`);
+    }
+}
+
+export default IntroDetectionTest;
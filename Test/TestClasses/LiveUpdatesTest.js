@@ -0,0 +1,176 @@
+import { LiveUpdateEvent } from '../../Shared/PlexTypes.js';
+import { PostCommands } from '../../Shared/PostCommands.js';
+
+import { DatabaseWatcher, DbWatcher } from '../../Server/DatabaseWatcher.js';
+import { ExtraData } from '../../Server/PlexQueryManager.js';
+import { MarkerCache } from '../../Server/MarkerCacheManager.js';
+import TestBase from '../TestBase.js';
+import TestHelpers from '../TestHelpers.js';
+
+/** @typedef {!import('../../Shared/PlexTypes').MarkerChangeEvent} MarkerChangeEvent */
+
+/**
+ * Tests detecting marker changes in the Plex database and pushing them to clients.
+ */
+class LiveUpdatesTest extends TestBase {
+    constructor() {
+        super();
+        this.testMethods = [
+            this.testNoChanges,
+            this.testExternalAdd,
+            this.testExternalEdit,
+            this.testExternalFinalChange,
+            this.testExternalDelete,
+            this.testInternalAdd,
+            this.testCheckDuringWrite,
+            this.testEventStream,
+        ];
+    }
+
+    className() { return 'LiveUpdatesTest'; }
+
+    /**
+     * Ensure nothing is reported if the database didn't change. */
+    async testNoChanges() {
+        const changes = await DbWatcher.check();
+        TestHelpers.verify(changes === null, `Expected no changes, found ${JSON.stringify(changes)}.`);
+    }
+
+    /**
+     * Ensure markers added outside of Marker Editor are found and cached. */
+    async testExternalAdd() {
+        const episode = TestBase.DefaultMetadata.Show1.Season1.Episode1;
+        const markerId = await this.#externalAdd(episode.Id, 15000, 45000);
+        const changes = await DbWatcher.check();
+        this.#verifyChanged(changes, episode.Id, TestBase.DefaultMetadata.Show1.Season1.Id, TestBase.DefaultMetadata.Show1.Id);
+        TestHelpers.verify(MarkerCache.markerExists(markerId), `Expected externally added marker to be added to the marker cache.`);
+    }
+
+    /**
+     * Ensure markers edited outside of Marker Editor are found. */
+    async testExternalEdit() {
+        const episode = TestBase.DefaultMetadata.Show1.Season1.Episode2;
+        await this.testDb.exec(`UPDATE taggings SET time_offset=1000 WHERE id=${episode.Marker1.Id};`);
+        const changes = await DbWatcher.check();
+        this.#verifyChanged(changes, episode.Id, TestBase.DefaultMetadata.Show1.Season1.Id, TestBase.DefaultMetadata.Show1.Id);
+        TestHelpers.verify(!changes.purgesChanged, `Edits shouldn't affect purged markers.`);
+    }
+
+    /**
+     * Ensure changes that only affect a marker's extra data (like whether it's final) are found. */
+    async testExternalFinalChange() {
+        const episode = TestBase.DefaultMetadata.Show3.Season1.Episode2;
+        await this.testDb.run(`UPDATE taggings SET extra_data=? WHERE id=?;`, [ExtraData.get('credits', true), episode.Marker2.Id]);
+        const changes = await DbWatcher.check();
+        this.#verifyChanged(changes, episode.Id, TestBase.DefaultMetadata.Show3.Season1.Id, TestBase.DefaultMetadata.Show3.Id);
+    }
+
+    /**
+     * Ensure markers removed outside of Marker Editor are treated as purged. */
+    async testExternalDelete() {
+        const movie = TestBase.DefaultMetadata.Movie1;
+        const marker = await this.addMarker(movie.Id, 10000, 20000);
+        await DbWatcher.check();
+
+        await this.testDb.exec(`DELETE FROM taggings WHERE id=${marker.id};`);
+        const changes = await DbWatcher.check();
+        this.#verifyChanged(changes, movie.Id, -1, -1);
+        TestHelpers.verify(changes.purgesChanged, `Expected an external delete to indicate purges may have changed.`);
+        TestHelpers.verify(!MarkerCache.markerExists(marker.id), `Expected externally deleted marker to be removed from the marker cache.`);
+
+        /** @type {any[]} */
+        const purges = await this.send(PostCommands.PurgeCheck, { id : movie.Id });
+        TestHelpers.verify(purges.length === 1 && purges[0].marker_id === marker.id,
+            `Expected externally deleted marker to be purged, found ${purges.length} purged markers.`);
+    }
+
+    /**
+     * Ensure our own changes are still reported so other clients can update, without being treated as purges. */
+    async testInternalAdd() {
+        const episode = TestBase.DefaultMetadata.Show3.Season2.Episode1;
+        await this.addMarker(episode.Id, 50000, 60000);
+        const changes = await DbWatcher.check();
+        this.#verifyChanged(changes, episode.Id, TestBase.DefaultMetadata.Show3.Season2.Id, TestBase.DefaultMetadata.Show3.Id);
+        TestHelpers.verify(!changes.purgesChanged, `Marker Editor's own changes shouldn't affect purged markers.`);
+    }
+
+    /**
+     * Ensure we don't look for changes while Marker Editor is writing to the database, as
+     * changes that haven't made it to the marker cache yet would look like external changes. */
+    async testCheckDuringWrite() {
+        const episode = TestBase.DefaultMetadata.Show1.Season1.Episode1;
+        let markerId;
+        const duringWrite = await DatabaseWatcher.TrackWrite(async () => {
+            markerId = await this.#externalAdd(episode.Id, 15000, 45000);
+            return DbWatcher.check();
+        });
+
+        TestHelpers.verify(duringWrite === null, `Expected checks to be postponed while writing, found ${JSON.stringify(duringWrite)}.`);
+        TestHelpers.verify(!MarkerCache.markerExists(markerId), `In-progress writes shouldn't be added to the marker cache.`);
+
+        const changes = await DbWatcher.check();
+        this.#verifyChanged(changes, episode.Id, TestBase.DefaultMetadata.Show1.Season1.Id, TestBase.DefaultMetadata.Show1.Id);
+    }
+
+    /**
+     * Ensure clients subscribed to live updates are sent marker changes. */
+    async testEventStream() {
+        const response = await this.get('events');
+        TestHelpers.verify(response.status === 200, `Expected to subscribe to live updates, found status ${response.status}.`);
+        TestHelpers.verify(response.headers.get('content-type') === 'text/event-stream',
+            `Expected an event stream, found ${response.headers.get('content-type')}.`);
+
+        const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+        try {
+            const episode = TestBase.DefaultMetadata.Show1.Season1.Episode1;
+            await this.#externalAdd(episode.Id, 15000, 45000);
+            await DbWatcher.check();
+
+            const eventRegex = /event: (?<event>\w+)\ndata: (?<data>.*)\n\n/;
+            let stream = '';
+            let event;
+            while (!(event = eventRegex.exec(stream))) {
+                const { value, done } = await Promise.race([
+                    reader.read(),
+                    new Promise(resolve => { setTimeout(() => resolve({ done : true }), 2000); })]);
+                TestHelpers.verify(!done, `Live update stream ended before a marker event was received, found "${stream}".`);
+                stream += value;
+            }
+
+            TestHelpers.verify(event?.groups.event === LiveUpdateEvent.Markers, `Expected a marker event, found "${stream}".`);
+            this.#verifyChanged(JSON.parse(event.groups.data), episode.Id,
+                TestBase.DefaultMetadata.Show1.Season1.Id, TestBase.DefaultMetadata.Show1.Id);
+        } finally {
+            await reader.cancel();
+        }
+    }
+
+    /**
+     * Add a marker directly to the database, like Plex would.
+     * @param {number} metadataId
+     * @param {number} start
+     * @param {number} end
+     * @returns {Promise<number>} The id of the new marker. */
+    async #externalAdd(metadataId, start, end) {
+        await this.testDb.run(`
+            INSERT INTO taggings
+                (metadata_item_id, tag_id, "index", text, time_offset, end_time_offset, created_at, extra_data)
+            VALUES
+                (?, 1, 0, "intro", ?, ?, (strftime('%s','now')), ?);`, [metadataId, start, end, ExtraData.get('intro', false)]);
+        return (await this.testDb.get('SELECT MAX(id) AS id FROM taggings;')).id;
+    }
+
+    /**
+     * @param {MarkerChangeEvent?} changes
+     * @param {number} metadataId
+     * @param {number} seasonId
+     * @param {number} showId */
+    #verifyChanged(changes, metadataId, seasonId, showId) {
+        TestHelpers.verify(changes?.items.length === 1, `Expected 1 changed item, found ${JSON.stringify(changes)}.`);
+        const item = changes.items[0];
+        TestHelpers.verify(item.metadataId === metadataId && item.seasonId === seasonId && item.showId === showId,
+            `Expected change to ${metadataId} (season ${seasonId}, show ${showId}), found ${JSON.stringify(item)}.`);
+    }
+}
+
+export default LiveUpdatesTest;
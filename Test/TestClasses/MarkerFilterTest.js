@@ -0,0 +1,148 @@
+import { FilterConditions, MarkerTimingField } from '../../Shared/PlexTypes.js';
+import { MarkerEnum } from '../../Shared/MarkerType.js';
+import { PostCommands } from '../../Shared/PostCommands.js';
+
+import TestBase from '../TestBase.js';
+import TestHelpers from '../TestHelpers.js';
+
+/** @typedef {!import('../../Shared/PlexTypes').MarkerFilter} MarkerFilter */
+/** @typedef {!import('../../Shared/PlexTypes').MarkerTimingFilter} MarkerTimingFilter */
+
+/**
+ * Tests server-side filtering of items by marker timings, user-created markers, and purged markers.
+ */
+class MarkerFilterTest extends TestBase {
+    constructor() {
+        super();
+        this.testMethods = [
+            this.testStartLessThan,
+            this.testDurationBetween,
+            this.testMovieFilter,
+            this.testMultipleConditions,
+            this.testApplyToAny,
+            this.testUserCreated,
+            this.testNoPurges,
+            this.testInvalidFilters,
+        ];
+    }
+
+    className() { return 'MarkerFilterTest'; }
+
+    /**
+     * Ensure matching episodes are returned along with their season and show. */
+    async testStartLessThan() {
+        const show = TestBase.DefaultMetadata.Show3;
+        await this.#verifyFilter(1,
+            { timings : [this.#timing(MarkerEnum.Intro, MarkerTimingField.Start, FilterConditions.LessThan, 14000)] },
+            [show.Id, show.Season2.Id, show.Season2.Episode1.Id]);
+    }
+
+    /**
+     * Ensure BETWEEN conditions are inclusive, and durations are calculated correctly. */
+    async testDurationBetween() {
+        const show = TestBase.DefaultMetadata.Show3;
+        await this.#verifyFilter(1,
+            { timings : [this.#timing(MarkerEnum.Credits, MarkerTimingField.Duration, FilterConditions.Between, 40000, 45000)] },
+            [show.Id, show.Season1.Id, show.Season1.Episode2.Id]);
+    }
+
+    /**
+     * Ensure movie libraries only return movie ids. */
+    async testMovieFilter() {
+        await this.#verifyFilter(2,
+            { timings : [this.#timing(MarkerEnum.Credits, MarkerTimingField.Duration, FilterConditions.LessThan, 10000)] },
+            [TestBase.DefaultMetadata.Movie2.Id]);
+    }
+
+    /**
+     * Ensure every condition must match for an item to be returned. */
+    async testMultipleConditions() {
+        const show = TestBase.DefaultMetadata.Show3;
+        await this.#verifyFilter(1, { timings : [
+            this.#timing(MarkerEnum.Intro, MarkerTimingField.Start, FilterConditions.GreaterThan, 14000),
+            this.#timing(MarkerEnum.Credits, MarkerTimingField.End, FilterConditions.GreaterThan, 365000),
+        ] }, [show.Id, show.Season1.Id, show.Season1.Episode2.Id]);
+    }
+
+    /**
+     * Ensure timing conditions can apply to multiple marker types. */
+    async testApplyToAny() {
+        await this.#verifyFilter(2,
+            { timings : [this.#timing(MarkerEnum.All, MarkerTimingField.End, FilterConditions.GreaterThan, 40000)] },
+            [TestBase.DefaultMetadata.Movie2.Id, TestBase.DefaultMetadata.Movie3.Id]);
+        await this.#verifyFilter(2,
+            { timings : [this.#timing(MarkerEnum.Ad, MarkerTimingField.End, FilterConditions.GreaterThan, 40000)] },
+            [TestBase.DefaultMetadata.Movie2.Id]);
+    }
+
+    /**
+     * Ensure only items with markers added through Marker Editor match the user-created filter. */
+    async testUserCreated() {
+        const show = TestBase.DefaultMetadata.Show1;
+        TestHelpers.checkError(await this.addMarker(show.Season1.Episode1.Id, 50000, 80000));
+        await this.#verifyFilter(1, { userCreated : true }, [show.Id, show.Season1.Id, show.Season1.Episode1.Id]);
+    }
+
+    /**
+     * Ensure nothing matches the purged filter when there are no purged markers. */
+    async testNoPurges() {
+        await this.#verifyFilter(1, { purged : true }, []);
+    }
+
+    /**
+     * Ensure invalid sections and malformed filters are rejected. */
+    async testInvalidFilters() {
+        this.expectFailure();
+        const validTiming = this.#timing(MarkerEnum.Intro, MarkerTimingField.Start, FilterConditions.LessThan, 10000);
+        const cases = [
+            { sectionId : 3, filter : this.#filter({ timings : [validTiming] }), reason : 'music library' },
+            { sectionId : 1, filter : this.#filter({}), reason : 'no conditions' },
+            { sectionId : 1, filter : '{ timings: [', reason : 'invalid JSON' },
+            { sectionId : 1, reason : 'reversed range', filter : this.#filter({
+                timings : [this.#timing(MarkerEnum.Intro, MarkerTimingField.Start, FilterConditions.Between, 10000, 5000)] }) },
+            { sectionId : 1, reason : 'equals condition', filter : this.#filter({
+                timings : [this.#timing(MarkerEnum.Intro, MarkerTimingField.Start, FilterConditions.Equals, 15000)] }) },
+            { sectionId : 1, reason : 'invalid field', filter : this.#filter({
+                timings : [this.#timing(MarkerEnum.Intro, 3, FilterConditions.LessThan, 10000)] }) },
+        ];
+
+        for (const test of cases) {
+            const response = await this.sendBody(
+                PostCommands.FilterItems, { sectionId : test.sectionId, filter : test.filter }, true /*raw*/);
+            TestHelpers.verify(response.status === 400, `Expected ${test.reason} to fail with 400, found ${response.status}.`);
+        }
+    }
+
+    /**
+     * @param {number} applyTo
+     * @param {number} field
+     * @param {number} condition
+     * @param {number} value
+     * @param {number} [value2]
+     * @returns {MarkerTimingFilter} */
+    #timing(applyTo, field, condition, value, value2) {
+        return { applyTo, field, condition, value, value2 };
+    }
+
+    /**
+     * Build a serialized filter from the given partial filter.
+     * @param {Partial<MarkerFilter>} filter */
+    #filter(filter) {
+        return JSON.stringify({ timings : [], userCreated : false, purged : false, ...filter });
+    }
+
+    /**
+     * Ensure the given filter returns exactly the expected ids.
+     * @param {number} sectionId
+     * @param {Partial<MarkerFilter>} filter
+     * @param {number[]} expected */
+    async #verifyFilter(sectionId, filter, expected) {
+        const result = await this.sendBody(PostCommands.FilterItems, { sectionId : sectionId, filter : this.#filter(filter) });
+        TestHelpers.checkError(result);
+        const actual = JSON.stringify(result.ids.sort((a, b) => a - b));
+        TestHelpers.verify(actual === JSON.stringify(expected.sort((a, b) => a - b)),
+            `Expected filter to match ${JSON.stringify(expected)}, found ${actual}.`);
+    }
+}
+
+export default MarkerFilterTest;
@@ -0,0 +1,163 @@
+import { MarkerLintCategory } from '../../Shared/PlexTypes.js';
+import { PostCommands } from '../../Shared/PostCommands.js';
+
+import { ExtraData } from '../../Server/PlexQueryManager.js';
+import TestBase from '../TestBase.js';
+import TestHelpers from '../TestHelpers.js';
+
+/** @typedef {!import('../../Shared/PlexTypes').MarkerLintProblem} MarkerLintProblem */
+/** @typedef {!import('../../Shared/PlexTypes').MarkerLintResult} MarkerLintResult */
+
+/**
+ * Tests scanning libraries for broken markers, and applying the suggested fixes.
+ */
+class MarkerLintTest extends TestBase {
+    constructor() {
+        super();
+        this.testMethods = [
+            this.testNoProblems,
+            this.testPastEndFix,
+            this.testOverlapFix,
+            this.testCreditsNotFinalFix,
+            this.testZeroLength,
+            this.testIntroMismatch,
+            this.testInvalidSection,
+        ];
+    }
+
+    className() { return 'MarkerLintTest'; }
+
+    /**
+     * Ensure the default test markers don't have any problems. */
+    async testNoProblems() {
+        const tv = await this.#lint(1);
+        TestHelpers.verify(tv.itemsScanned === 9, `Expected 9 episodes to be scanned, found ${tv.itemsScanned}.`);
+        TestHelpers.verify(tv.problems.length === 0, `Expected no TV problems, found ${JSON.stringify(tv.problems)}.`);
+
+        const movies = await this.#lint(2);
+        TestHelpers.verify(movies.itemsScanned === 3, `Expected 3 movies to be scanned, found ${movies.itemsScanned}.`);
+        TestHelpers.verify(movies.problems.length === 0, `Expected no movie problems, found ${JSON.stringify(movies.problems)}.`);
+    }
+
+    /**
+     * Ensure markers that extend past the end of the episode are trimmed, and credits are made final. */
+    async testPastEndFix() {
+        const episode = TestBase.DefaultMetadata.Show1.Season1.Episode1;
+        const marker = await this.addMarker(episode.Id, 590000, 620000, 'credits');
+        const problem = await this.#singleProblem(MarkerLintCategory.PastEnd, marker.id);
+        TestHelpers.verify(problem.title.startsWith('Show1 - S01E01'), `Expected episode title, found "${problem.title}".`);
+        TestHelpers.verify(problem.fix?.action === 'edit' && problem.fix.end === 600000 && problem.fix.final === 1,
+            `Expected fix to trim the marker and make it final, found ${JSON.stringify(problem.fix)}.`);
+        await this.#applyFixAndVerify(problem);
+    }
+
+    /**
+     * Ensure overlapping markers, which can't be added through Marker Editor, are moved after the marker they overlap. */
+    async testOverlapFix() {
+        const episode = TestBase.DefaultMetadata.Show1.Season1.Episode2;
+        const markerId = await this.#insertMarker(episode.Id, 30000, 60000);
+        const problem = await this.#singleProblem(MarkerLintCategory.Overlap, markerId);
+        TestHelpers.verify(problem.fix?.action === 'edit' && problem.fix.start > episode.Marker1.End && problem.fix.end === 60000,
+            `Expected fix to move the marker after the existing one, found ${JSON.stringify(problem.fix)}.`);
+        await this.#applyFixAndVerify(problem);
+    }
+
+    /**
+     * Ensure credits that end at the end of the episode are flagged if they aren't final. */
+    async testCreditsNotFinalFix() {
+        const episode = TestBase.DefaultMetadata.Show1.Season1.Episode3;
+        const marker = await this.addMarker(episode.Id, 500000, 600000, 'credits');
+        const problem = await this.#singleProblem(MarkerLintCategory.CreditsNotFinal, marker.id);
+        TestHelpers.verify(problem.fix?.action === 'edit' && problem.fix.final === 1,
+            `Expected fix to make the credits final, found ${JSON.stringify(problem.fix)}.`);
+        await this.#applyFixAndVerify(problem);
+    }
+
+    /**
+     * Ensure zero-length markers, which can't be added through Marker Editor, are flagged for deletion. */
+    async testZeroLength() {
+        const episode = TestBase.DefaultMetadata.Show1.Season1.Episode1;
+        const markerId = await this.#insertMarker(episode.Id, 100000, 100000);
+        const problem = await this.#singleProblem(MarkerLintCategory.ZeroLength, markerId);
+        TestHelpers.verify(problem.fix?.action === 'delete', `Expected fix to delete the marker, found ${JSON.stringify(problem.fix)}.`);
+    }
+
+    /**
+     * Ensure intros that are far from the rest of the season are flagged without a fix,
+     * and that scans can be limited to a single show. */
+    async testIntroMismatch() {
+        const season = TestBase.DefaultMetadata.Show1.Season1;
+        await this.addMarker(season.Episode1.Id, 16000, 46000);
+        const marker = await this.addMarker(season.Episode3.Id, 400000, 430000);
+        const problem = await this.#singleProblem(MarkerLintCategory.IntroMismatch, marker.id);
+        TestHelpers.verify(problem.fix === null, `Expected no automatic fix for intro mismatches, found ${JSON.stringify(problem.fix)}.`);
+        TestHelpers.verify(problem.seasonId === season.Id && problem.showId === TestBase.DefaultMetadata.Show1.Id,
+            `Expected problem to include its season and show, found ${JSON.stringify(problem)}.`);
+
+        const showResult = await this.#lint(1, TestBase.DefaultMetadata.Show3.Id);
+        TestHelpers.verify(showResult.itemsScanned === 3, `Expected 3 episodes in Show3, found ${showResult.itemsScanned}.`);
+        TestHelpers.verify(showResult.problems.length === 0,
+            `Expected no problems in Show3, found ${JSON.stringify(showResult.problems)}.`);
+    }
+
+    /**
+     * Ensure non-movie/TV libraries can't be scanned. */
+    async testInvalidSection() {
+        this.expectFailure();
+        const response = await this.send(PostCommands.LintMarkers, { id : 3, showId : -1 }, true /*raw*/);
+        TestHelpers.verify(response.status === 400, `Expected scanning a music library to fail with 400, found ${response.status}.`);
+    }
+
+    /**
+     * Add an intro marker directly to the database, bypassing Marker Editor's validation.
+     * @param {number} metadataId
+     * @param {number} start
+     * @param {number} end
+     * @returns {Promise<number>} The id of the new marker. */
+    async #insertMarker(metadataId, start, end) {
+        await this.testDb.run(`
+            INSERT INTO taggings
+                (metadata_item_id, tag_id, "index", text, time_offset, end_time_offset, created_at, extra_data)
+            VALUES
+                (?, 1, 0, "intro", ?, ?, (strftime('%s','now')), ?);`, [metadataId, start, end, ExtraData.get('intro', false)]);
+        return (await this.testDb.get('SELECT MAX(id) AS id FROM taggings;')).id;
+    }
+
+    /**
+     * @param {number} sectionId
+     * @param {number} showId
+     * @returns {Promise<MarkerLintResult>} */
+    async #lint(sectionId, showId=-1) {
+        const result = await this.send(PostCommands.LintMarkers, { id : sectionId, showId : showId });
+        TestHelpers.checkError(result);
+        return result;
+    }
+
+    /**
+     * Scan the TV library and verify there's a single problem, of the given category, for the given marker.
+     * @param {string} category
+     * @param {number} markerId
+     * @returns {Promise<MarkerLintProblem>} */
+    async #singleProblem(category, markerId) {
+        const result = await this.#lint(1);
+        TestHelpers.verify(result.problems.length === 1, `Expected a single problem, found ${JSON.stringify(result.problems)}.`);
+        const problem = result.problems[0];
+        TestHelpers.verify(problem.category === category && problem.markerId === markerId,
+            `Expected ${category} problem for marker ${markerId}, found ${problem.category} for ${problem.markerId}.`);
+        return problem;
+    }
+
+    /**
+     * Apply the given problem's fix the same way the client does, and ensure the problem goes away.
+     * @param {MarkerLintProblem} problem */
+    async #applyFixAndVerify(problem) {
+        const fix = problem.fix;
+        TestHelpers.checkError(await this.send(PostCommands.EditMarker,
+            { id : problem.markerId, start : fix.start, end : fix.end, type : problem.markerType, final : fix.final }));
+        const result = await this.#lint(1);
+        TestHelpers.verify(result.problems.length === 0,
+            `Expected the fix to resolve all problems, found ${JSON.stringify(result.problems)}.`);
+    }
+}
+
+export default MarkerLintTest;
@@ -0,0 +1,212 @@
+import { existsSync, unlinkSync } from 'fs';
+import { join } from 'path';
+
+import { MarkerConflictResolution, MarkerSyncDirection } from '../../Shared/PlexTypes.js';
+import { PostCommands } from '../../Shared/PostCommands.js';
+
+import { ExtraData } from '../../Server/PlexQueryManager.js';
+import SqliteDatabase from '../../Server/SqliteDatabase.js';
+import TestBase from '../TestBase.js';
+import TestHelpers from '../TestHelpers.js';
+
+/** @typedef {!import('../../Shared/PlexTypes').MarkerSyncDiff} MarkerSyncDiff */
+/** @typedef {!import('../../Shared/PlexTypes').MarkerSyncResult} MarkerSyncResult */
+
+/**
+ * Tests comparing and syncing markers with a second Plex database.
+ */
+class MarkerSyncTest extends TestBase {
+    /** The "other" server's database, which starts out as a copy of the test database. */
+    static #syncDbPath = join(TestBase.root, 'plexDbSyncTest.db');
+
+    /** @type {SqliteDatabase} */
+    #syncDb;
+
+    constructor() {
+        super();
+        this.testMethods = [
+            this.testIdenticalDatabases,
+            this.testCompare,
+            this.testPull,
+            this.testPush,
+            this.testSelectedItemsOnly,
+            this.testInvalidParameters,
+        ];
+    }
+
+    className() { return 'MarkerSyncTest'; }
+
+    setupConfig() {
+        this.createConfig({ syncDatabase : MarkerSyncTest.#syncDbPath });
+    }
+
+    /**
+     * Create a fresh copy of the test database to sync with. */
+    async testMethodSetup() {
+        MarkerSyncTest.#deleteSyncDb();
+        await this.testDb.run('VACUUM INTO ?;', [MarkerSyncTest.#syncDbPath]);
+        this.#syncDb = await SqliteDatabase.OpenDatabase(MarkerSyncTest.#syncDbPath, false /*allowCreate*/);
+    }
+
+    async testMethodTeardown() {
+        await this.#syncDb?.close();
+        this.#syncDb = null;
+        return super.testMethodTeardown();
+    }
+
+    classTeardown() {
+        MarkerSyncTest.#deleteSyncDb();
+    }
+
+    /**
+     * Ensure identical databases don't report any differences. */
+    async testIdenticalDatabases() {
+        const diff = await this.#compare(1);
+        TestHelpers.verify(diff.itemsCompared === 9, `Expected 9 episodes to be compared, found ${diff.itemsCompared}.`);
+        TestHelpers.verify(diff.items.length === 0, `Expected no differences, found ${JSON.stringify(diff.items)}.`);
+    }
+
+    /**
+     * Ensure items whose markers differ are reported with both sets of markers. */
+    async testCompare() {
+        const season = TestBase.DefaultMetadata.Show1.Season1;
+        await this.#syncDb.run('DELETE FROM taggings WHERE metadata_item_id=?;', [season.Episode2.Id]);
+        await this.#addSyncMarker(season.Episode3.Id, 100000, 130000, 'credits');
+
+        const diff = await this.#compare(1);
+        TestHelpers.verify(diff.items.length === 2, `Expected 2 differences, found ${JSON.stringify(diff.items)}.`);
+        const removed = diff.items.find(item => item.metadataId === season.Episode2.Id);
+        TestHelpers.verify(removed?.localMarkers.length === 1 && removed.remoteMarkers.length === 0,
+            `Expected Episode2 to only have a local marker, found ${JSON.stringify(removed)}.`);
+        TestHelpers.verify(removed.title.startsWith('Show1 - S01E02'), `Expected episode title, found "${removed.title}".`);
+
+        const added = diff.items.find(item => item.metadataId === season.Episode3.Id);
+        const marker = added?.remoteMarkers[0];
+        TestHelpers.verify(added?.localMarkers.length === 0 && marker?.markerType === 'credits' && marker.start === 100000,
+            `Expected Episode3 to only have a remote marker, found ${JSON.stringify(added)}.`);
+    }
+
+    /**
+     * Ensure markers can be copied from the sync database. */
+    async testPull() {
+        const episode = TestBase.DefaultMetadata.Show1.Season1.Episode3;
+        await this.#addSyncMarker(episode.Id, 100000, 130000, 'credits');
+        const diff = await this.#compare(1);
+        const result = await this.#apply(MarkerSyncDirection.Pull, diff.items.map(item => item.guid));
+        TestHelpers.verify(result.added === 1, `Expected 1 marker to be added, found ${result.added}.`);
+        await this.#verifyMarkers(this.testDb, episode.Id, [[100000, 130000]]);
+
+        const after = await this.#compare(1);
+        TestHelpers.verify(after.items.length === 0, `Expected no differences after pulling, found ${JSON.stringify(after.items)}.`);
+    }
+
+    /**
+     * Ensure markers can be copied to the sync database, including to every item that shares a GUID. */
+    async testPush() {
+        const episode = TestBase.DefaultMetadata.Show1.Season1.Episode1;
+        TestHelpers.checkError(await this.addMarker(episode.Id, 50000, 80000));
+
+        // Show1_1's only episode shares a GUID with Show1's first episode.
+        const diff = await this.#compare(1);
+        TestHelpers.verify(diff.items.length === 1, `Expected 1 difference, found ${JSON.stringify(diff.items)}.`);
+        const result = await this.#apply(MarkerSyncDirection.Push, [diff.items[0].guid]);
+        TestHelpers.verify(result.added === 2, `Expected 2 markers to be added, found ${result.added}.`);
+        await this.#verifyMarkers(this.#syncDb, episode.Id, [[50000, 80000]]);
+        await this.#verifyMarkers(this.#syncDb, 19, [[50000, 80000]]);
+    }
+
+    /**
+     * Ensure only the requested items are synced, and conflicts are resolved as requested. */
+    async testSelectedItemsOnly() {
+        const season = TestBase.DefaultMetadata.Show1.Season1;
+        await this.#syncDb.run('UPDATE taggings SET time_offset=20000, end_time_offset=50000 WHERE metadata_item_id=?;',
+            [season.Episode2.Id]);
+        await this.#addSyncMarker(season.Episode3.Id, 100000, 130000);
+
+        const diff = await this.#compare(1);
+        TestHelpers.verify(diff.items.length === 2, `Expected 2 differences, found ${JSON.stringify(diff.items)}.`);
+        const guid = diff.items.find(item => item.metadataId === season.Episode2.Id).guid;
+        const result = await this.#apply(MarkerSyncDirection.Pull, [guid], MarkerConflictResolution.Overwrite);
+        TestHelpers.verify(result.added === 1 && result.deleted === 1,
+            `Expected one marker to be overwritten, found ${JSON.stringify(result)}.`);
+        await this.#verifyMarkers(this.testDb, season.Episode2.Id, [[20000, 50000]]);
+        await this.#verifyMarkers(this.testDb, season.Episode3.Id, []);
+    }
+
+    /**
+     * Ensure invalid directions and empty item lists are rejected. */
+    async testInvalidParameters() {
+        this.expectFailure();
+        const badDirection = await this.sendBody(PostCommands.ApplySync,
+            { sectionId : 1, direction : 2, guids : JSON.stringify(['2']), resolveType : MarkerConflictResolution.Overwrite },
+            true /*raw*/);
+        TestHelpers.verify(badDirection.status === 400, `Expected invalid direction to fail with 400, found ${badDirection.status}.`);
+
+        const noItems = await this.sendBody(PostCommands.ApplySync,
+            { sectionId : 1, direction : MarkerSyncDirection.Pull, guids : '[]', resolveType : MarkerConflictResolution.Overwrite },
+            true /*raw*/);
+        TestHelpers.verify(noItems.status === 400, `Expected empty item list to fail with 400, found ${noItems.status}.`);
+    }
+
+    /**
+     * @param {number} sectionId
+     * @returns {Promise<MarkerSyncDiff>} */
+    async #compare(sectionId) {
+        const result = await this.send(PostCommands.CompareSync, { id : sectionId });
+        TestHelpers.checkError(result);
+        return result;
+    }
+
+    /**
+     * @param {number} direction
+     * @param {string[]} guids
+     * @param {number} resolveType
+     * @returns {Promise<MarkerSyncResult>} */
+    async #apply(direction, guids, resolveType=MarkerConflictResolution.Ignore) {
+        const result = await this.sendBody(PostCommands.ApplySync, {
+            sectionId : 1,
+            direction : direction,
+            guids : JSON.stringify(guids),
+            resolveType : resolveType,
+        });
+
+        TestHelpers.checkError(result);
+        return result;
+    }
+
+    /**
+     * Add a marker directly to the sync database.
+     * @param {number} metadataId
+     * @param {number} start
+     * @param {number} end
+     * @param {string} markerType */
+    #addSyncMarker(metadataId, start, end, markerType='intro') {
+        return this.#syncDb.run(`
+            INSERT INTO taggings
+                (metadata_item_id, tag_id, "index", text, time_offset, end_time_offset, created_at, extra_data)
+            VALUES
+                (?, 1, 0, ?, ?, ?, (strftime('%s','now')), ?);`, [metadataId, markerType, start, end, ExtraData.get(markerType, false)]);
+    }
+
+    /**
+     * Ensure the given item has exactly the given markers in the given database.
+     * @param {SqliteDatabase} db
+     * @param {number} metadataId
+     * @param {[number, number][]} expected The expected [start, end] timestamps. */
+    async #verifyMarkers(db, metadataId, expected) {
+        const markers = await db.all(
+            'SELECT time_offset AS start, end_time_offset AS end FROM taggings WHERE metadata_item_id=? ORDER BY time_offset ASC;',
+            [metadataId]);
+        const actual = JSON.stringify(markers.map(m => [m.start, m.end]));
+        TestHelpers.verify(actual === JSON.stringify(expected),
+            `Expected markers ${JSON.stringify(expected)} for item ${metadataId}, found ${actual}.`);
+    }
+
+    static #deleteSyncDb() {
+        if (existsSync(MarkerSyncTest.#syncDbPath)) {
+            unlinkSync(MarkerSyncTest.#syncDbPath);
+        }
+    }
+}
+
+export default MarkerSyncTest;
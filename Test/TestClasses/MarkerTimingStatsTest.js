@@ -0,0 +1,115 @@
+import { PostCommands } from '../../Shared/PostCommands.js';
+
+import TestBase from '../TestBase.js';
+import TestHelpers from '../TestHelpers.js';
+
+/** @typedef {!import('../../Shared/PlexTypes').MarkerTimingHistogram} MarkerTimingHistogram */
+/** @typedef {!import('../../Shared/PlexTypes').MarkerTimingStats} MarkerTimingStats */
+
+/**
+ * Tests marker start time/duration distributions and outlier detection.
+ */
+class MarkerTimingStatsTest extends TestBase {
+    constructor() {
+        super();
+        this.testMethods = [
+            this.testSectionDistributions,
+            this.testShowFilter,
+            this.testOutliers,
+            this.testMovieOutliers,
+        ];
+    }
+
+    className() { return 'MarkerTimingStatsTest'; }
+
+    /**
+     * Ensure histograms and medians are calculated for all markers in a TV library. */
+    async testSectionDistributions() {
+        const stats = await this.#getStats(1);
+        const intro = stats.intro;
+        TestHelpers.verify(intro.count === 4, `Expected 4 intro markers, found ${intro.count}.`);
+        TestHelpers.verify(intro.medianStart === 15000, `Expected median intro start of 15000, found ${intro.medianStart}.`);
+        TestHelpers.verify(intro.medianDuration === 30000, `Expected median intro duration of 30000, found ${intro.medianDuration}.`);
+        this.#verifyHistogram(intro.start, 30000, [4]);
+        this.#verifyHistogram(intro.duration, 5000, [0, 0, 0, 0, 0, 0, 4]);
+
+        const credits = stats.credits;
+        TestHelpers.verify(credits.count === 2, `Expected 2 credits markers, found ${credits.count}.`);
+        TestHelpers.verify(credits.medianStart === 330000, `Expected median credits start of 330000, found ${credits.medianStart}.`);
+        this.#verifyHistogram(credits.start, 60000, [0, 0, 0, 0, 0, 1, 1]);
+        this.#verifyHistogram(credits.duration, 15000, [1, 0, 0, 1]);
+        TestHelpers.verify(stats.outliers.length === 0, `Expected no outliers, found ${JSON.stringify(stats.outliers)}.`);
+    }
+
+    /**
+     * Ensure stats can be limited to a single show. */
+    async testShowFilter() {
+        const stats = await this.#getStats(1, TestBase.DefaultMetadata.Show3.Id);
+        TestHelpers.verify(stats.intro.count === 3, `Expected 3 intro markers in Show3, found ${stats.intro.count}.`);
+        TestHelpers.verify(stats.credits.count === 2, `Expected 2 credits markers in Show3, found ${stats.credits.count}.`);
+
+        const emptyStats = await this.#getStats(1, TestBase.DefaultMetadata.Show2.Id);
+        TestHelpers.verify(emptyStats.intro.count === 0 && emptyStats.intro.start.buckets.length === 0,
+            `Expected no intro data for Show2, found ${JSON.stringify(emptyStats.intro)}.`);
+    }
+
+    /**
+     * Ensure suspiciously short or late intros are flagged, and commercials are ignored. */
+    async testOutliers() {
+        const show = TestBase.DefaultMetadata.Show1;
+        await this.addMarker(show.Season1.Episode1.Id, 0, 2000);
+        await this.addMarker(show.Season1.Episode3.Id, 1500000, 1560000);
+        await this.addMarker(show.Season2.Episode1.Id, 0, 1000, 'commercial');
+
+        const stats = await this.#getStats(1);
+        TestHelpers.verify(stats.intro.count === 6, `Expected 6 intro markers, found ${stats.intro.count}.`);
+        TestHelpers.verify(stats.outliers.length === 2, `Expected 2 outliers, found ${JSON.stringify(stats.outliers)}.`);
+
+        const [short, late] = stats.outliers;
+        TestHelpers.verify(short.reason === 'Intro is shorter than 5 seconds', `Unexpected outlier reason "${short.reason}".`);
+        TestHelpers.verify(short.title.startsWith('Show1 - S01E01'), `Expected episode title for outlier, found "${short.title}".`);
+        TestHelpers.verify(short.parentId === show.Season1.Episode1.Id && short.seasonId === show.Season1.Id && short.showId === show.Id,
+            `Expected outlier to include its episode, season, and show, found ${JSON.stringify(short)}.`);
+        TestHelpers.verify(late.reason === 'Intro starts after 20 minutes', `Unexpected outlier reason "${late.reason}".`);
+        TestHelpers.verify(late.parentId === show.Season1.Episode3.Id, `Expected late intro in S01E03, found ${late.parentId}.`);
+    }
+
+    /**
+     * Ensure movie libraries are supported, and movie outliers don't have a season/show. */
+    async testMovieOutliers() {
+        const movie = TestBase.DefaultMetadata.Movie1;
+        await this.addMarker(movie.Id, 100000, 103000, 'credits');
+
+        const stats = await this.#getStats(2);
+        TestHelpers.verify(stats.intro.count === 2, `Expected 2 movie intros, found ${stats.intro.count}.`);
+        TestHelpers.verify(stats.credits.count === 3, `Expected 3 movie credits, found ${stats.credits.count}.`);
+        TestHelpers.verify(stats.outliers.length === 1, `Expected 1 outlier, found ${JSON.stringify(stats.outliers)}.`);
+
+        const outlier = stats.outliers[0];
+        TestHelpers.verify(outlier.parentId === movie.Id && outlier.showId === -1 && outlier.seasonId === -1,
+            `Expected movie outlier without a show or season, found ${JSON.stringify(outlier)}.`);
+        TestHelpers.verify(outlier.searchTitle === 'Movie1', `Expected to search for the movie title, found "${outlier.searchTitle}".`);
+    }
+
+    /**
+     * @param {number} sectionId
+     * @param {number} showId
+     * @returns {Promise<MarkerTimingStats>} */
+    async #getStats(sectionId, showId=-1) {
+        const stats = await this.send(PostCommands.GetTimingStats, { id : sectionId, showId : showId });
+        TestHelpers.checkError(stats);
+        return stats;
+    }
+
+    /**
+     * @param {MarkerTimingHistogram} histogram
+     * @param {number} bucketSize
+     * @param {number[]} expected */
+    #verifyHistogram(histogram, bucketSize, expected) {
+        TestHelpers.verify(histogram.bucketSize === bucketSize, `Expected bucket size ${bucketSize}, found ${histogram.bucketSize}.`);
+        TestHelpers.verify(JSON.stringify(histogram.buckets) === JSON.stringify(expected),
+            `Expected buckets ${JSON.stringify(expected)}, found ${JSON.stringify(histogram.buckets)}.`);
+    }
+}
+
+export default MarkerTimingStatsTest;
@@ -0,0 +1,223 @@
+import { BulkMarkerResolveType } from '../../Shared/PlexTypes.js';
+import { MarkerEnum } from '../../Shared/MarkerType.js';
+import { PostCommands } from '../../Shared/PostCommands.js';
+
+import MockPlexServer from '../MockPlexServer.js';
+import PlexBackendConfig from '../../Server/Config/PlexBackendConfig.js';
+import TestBase from '../TestBase.js';
+import TestHelpers from '../TestHelpers.js';
+
+/** @typedef {!import('../MockPlexServer').MockPlexRequest} MockPlexRequest */
+
+/**
+ * Tests making marker changes through the PMS HTTP API instead of the database.
+ */
+class PlexHttpBackendTest extends TestBase {
+    static #token = 'MockToken';
+
+    /** @type {MockPlexServer} */
+    #mock;
+
+    constructor() {
+        super();
+        this.testMethods = [
+            this.testAddThroughApi,
+            this.testEditThroughApi,
+            this.testDeleteThroughApi,
+            this.testBulkDeleteThroughApi,
+            this.testBulkAddThroughApi,
+            this.testShiftThroughApi,
+            this.testRestoreThroughApi,
+            this.testLibrariesThroughApi,
+            this.testApiError,
+            this.testInvalidBackendType,
+        ];
+    }
+
+    className() { return 'PlexHttpBackendTest'; }
+
+    async setupConfig() {
+        // The mock server has to be running before the service starts, as the backend verifies it can connect.
+        this.#mock = await MockPlexServer.Start(this.testDb, PlexHttpBackendTest.#token);
+        this.createConfig({ plexBackend : { type : 'http', url : this.#mock.url(), token : PlexHttpBackendTest.#token } });
+    }
+
+    // eslint-disable-next-line require-await
+    async testMethodSetup() {
+        this.#mock.clearRequests();
+    }
+
+    classTeardown() {
+        return this.#mock?.close();
+    }
+
+    /**
+     * Ensure adding a marker goes through PMS, and PMS is left to manage marker indexes. */
+    async testAddThroughApi() {
+        const episode = TestBase.DefaultMetadata.Show1.Season1.Episode2;
+        const marker = await this.addMarker(episode.Id, 0, 10000, 'credits');
+        TestHelpers.verify(marker.start === 0 && marker.end === 10000 && marker.markerType === 'credits',
+            `Expected the new marker to be returned, found ${JSON.stringify(marker)}.`);
+        TestHelpers.verify(marker.index === 0, `Expected new marker to be first, found index ${marker.index}.`);
+
+        const request = this.#singleWrite();
+        TestHelpers.verify(request.method === 'POST' && request.path === `/library/metadata/${episode.Id}/marker`,
+            `Expected a POST to the item's markers, found ${request.method} ${request.path}.`);
+        const params = request.params;
+        const expectedParams = params.startTimeOffset === '0' && params.endTimeOffset === '10000'
+            && params.type === 'credits' && params.final === '0';
+        TestHelpers.verify(expectedParams, `Unexpected marker parameters ${JSON.stringify(params)}.`);
+
+        const existing = await this.testDb.get('SELECT `index` FROM taggings WHERE id=?;', [episode.Marker1.Id]);
+        TestHelpers.verify(existing.index === 1, `Expected PMS to shift the existing marker to index 1, found ${existing.index}.`);
+    }
+
+    /**
+     * Ensure editing a marker goes through PMS. */
+    async testEditThroughApi() {
+        const episode = TestBase.DefaultMetadata.Show1.Season1.Episode2;
+        const marker = await this.editMarker(episode.Marker1.Id, 20000, 50000);
+        TestHelpers.verify(marker.start === 20000 && marker.end === 50000, `Expected edited timings, found ${JSON.stringify(marker)}.`);
+
+        const request = this.#singleWrite();
+        TestHelpers.verify(request.method === 'PUT' && request.path === `/library/metadata/${episode.Id}/marker/${episode.Marker1.Id}`,
+            `Expected a PUT to the marker, found ${request.method} ${request.path}.`);
+
+        const row = await this.testDb.get('SELECT time_offset, end_time_offset FROM taggings WHERE id=?;', [episode.Marker1.Id]);
+        TestHelpers.verify(row.time_offset === 20000 && row.end_time_offset === 50000,
+            `Expected the database to reflect the edit, found ${JSON.stringify(row)}.`);
+    }
+
+    /**
+     * Ensure deleting a marker goes through PMS. */
+    async testDeleteThroughApi() {
+        const episode = TestBase.DefaultMetadata.Show1.Season1.Episode2;
+        TestHelpers.checkError(await this.send(PostCommands.DeleteMarker, { id : episode.Marker1.Id }));
+
+        const request = this.#singleWrite();
+        const expectedPath = `/library/metadata/${episode.Id}/marker/${episode.Marker1.Id}`;
+        TestHelpers.verify(request.method === 'DELETE' && request.path === expectedPath,
+            `Expected a DELETE of the marker, found ${request.method} ${request.path}.`);
+
+        const row = await this.testDb.get('SELECT id FROM taggings WHERE id=?;', [episode.Marker1.Id]);
+        TestHelpers.verify(!row, `Expected the marker to be removed from the database.`);
+    }
+
+    /**
+     * Ensure bulk deletes remove each marker through PMS. */
+    async testBulkDeleteThroughApi() {
+        const season = TestBase.DefaultMetadata.Show3.Season1;
+        const result = await this.send(PostCommands.BulkDelete, { id : season.Id, dryRun : 0, applyTo : MarkerEnum.All, ignored : '' });
+        TestHelpers.checkError(result);
+        TestHelpers.verify(result.deletedMarkers.length === 4, `Expected 4 deleted markers, found ${result.deletedMarkers.length}.`);
+
+        const deletes = this.#mock.requests().filter(r => r.method === 'DELETE');
+        TestHelpers.verify(deletes.length === 4, `Expected 4 DELETE requests, found ${deletes.length}.`);
+        const remaining = await this.testDb.get(`SELECT COUNT(*) AS count FROM taggings WHERE metadata_item_id IN (?, ?);`,
+            [season.Episode1.Id, season.Episode2.Id]);
+        TestHelpers.verify(remaining.count === 0, `Expected all season markers to be deleted, found ${remaining.count}.`);
+    }
+
+    /**
+     * Ensure bulk adds create each marker through PMS, deleting overwritten markers first. */
+    async testBulkAddThroughApi() {
+        const season = TestBase.DefaultMetadata.Show3.Season1;
+        const result = await this.send(PostCommands.BulkAdd, {
+            id : season.Id,
+            start : 300000,
+            end : 350000,
+            type : 'credits',
+            final : 0,
+            resolveType : BulkMarkerResolveType.Overwrite,
+            ignored : '',
+        });
+        TestHelpers.checkError(result);
+        TestHelpers.verify(result.applied, `Expected bulk add to be applied.`);
+
+        const writes = this.#mock.requests().filter(r => r.method !== 'GET').map(r => `${r.method} ${r.path}`);
+        const expected = [
+            `DELETE /library/metadata/${season.Episode2.Id}/marker/${season.Episode2.Marker2.Id}`,
+            `POST /library/metadata/${season.Episode1.Id}/marker`,
+            `POST /library/metadata/${season.Episode2.Id}/marker`,
+        ];
+        TestHelpers.verify(JSON.stringify(writes.sort()) === JSON.stringify(expected.sort()),
+            `Expected ${JSON.stringify(expected)}, found ${JSON.stringify(writes)}.`);
+
+        const added = await this.testDb.all(`SELECT metadata_item_id FROM taggings WHERE time_offset=300000 AND end_time_offset=350000;`);
+        TestHelpers.verify(added.length === 2, `Expected 2 added markers in the database, found ${added.length}.`);
+    }
+
+    /**
+     * Ensure shifted markers are edited through PMS. */
+    async testShiftThroughApi() {
+        const season = TestBase.DefaultMetadata.Show3.Season1;
+        const result = await this.send(PostCommands.ShiftMarkers,
+            { id : season.Id, startShift : 1000, endShift : 1000, applyTo : MarkerEnum.All, force : 1 });
+        TestHelpers.checkError(result);
+        TestHelpers.verify(result.applied, `Expected shift to be applied.`);
+
+        const puts = this.#mock.requests().filter(r => r.method === 'PUT');
+        TestHelpers.verify(puts.length === 4, `Expected 4 PUT requests, found ${puts.length}.`);
+        const row = await this.testDb.get('SELECT time_offset, end_time_offset FROM taggings WHERE id=?;', [season.Episode2.Marker2.Id]);
+        TestHelpers.verify(row.time_offset === 301000 && row.end_time_offset === 346000,
+            `Expected the database to reflect the shift, found ${JSON.stringify(row)}.`);
+    }
+
+    /**
+     * Ensure undoing a bulk delete restores each marker through PMS. */
+    async testRestoreThroughApi() {
+        const season = TestBase.DefaultMetadata.Show3.Season1;
+        TestHelpers.checkError(await this.send(PostCommands.BulkDelete,
+            { id : season.Id, dryRun : 0, applyTo : MarkerEnum.All, ignored : '' }));
+        this.#mock.clearRequests();
+
+        TestHelpers.checkError(await this.send(PostCommands.Undo, { sectionId : 1, batchId : this.lastBatchId }));
+        const posts = this.#mock.requests().filter(r => r.method === 'POST');
+        TestHelpers.verify(posts.length === 4, `Expected 4 POST requests, found ${posts.length}.`);
+        const restored = await this.testDb.get(`SELECT COUNT(*) AS count FROM taggings WHERE metadata_item_id IN (?, ?);`,
+            [season.Episode1.Id, season.Episode2.Id]);
+        TestHelpers.verify(restored.count === 4, `Expected 4 restored markers, found ${restored.count}.`);
+    }
+
+    /**
+     * Ensure libraries are retrieved from PMS, and non-movie/TV libraries are ignored. */
+    async testLibrariesThroughApi() {
+        const libraries = await this.send(PostCommands.GetLibraries);
+        TestHelpers.checkError(libraries);
+        const names = libraries.map(l => l.name).sort();
+        TestHelpers.verify(JSON.stringify(names) === '["Movies","TV"]', `Expected TV and movie libraries, found ${JSON.stringify(names)}.`);
+        TestHelpers.verify(this.#mock.requests().some(r => r.path === '/library/sections'), `Expected libraries to be requested from PMS.`);
+    }
+
+    /**
+     * Ensure PMS errors are surfaced, and nothing is written to the database directly. */
+    async testApiError() {
+        const episode = TestBase.DefaultMetadata.Show1.Season1.Episode1;
+        this.expectFailure();
+        this.#mock.failNext(500);
+        const response = await this.addMarkerRaw(episode.Id, 0, 10000);
+        TestHelpers.verify(response.status === 500, `Expected a PMS error to fail the request, found status ${response.status}.`);
+        const row = await this.testDb.get('SELECT id FROM taggings WHERE metadata_item_id=?;', [episode.Id]);
+        TestHelpers.verify(!row, `Expected no marker to be added when PMS fails.`);
+    }
+
+    /**
+     * Ensure unknown backend types fall back to writing to the database. */
+    testInvalidBackendType() {
+        this.expectFailure();
+        const options = new PlexBackendConfig({ type : 'carrierPigeon' }).options();
+        TestHelpers.verify(options.type === 'sqlite', `Expected fallback to the sqlite backend, found ${options.type}.`);
+    }
+
+    /**
+     * Verify that exactly one write was made to PMS, and return it.
+     * @returns {MockPlexRequest} */
+    #singleWrite() {
+        const writes = this.#mock.requests().filter(r => r.method !== 'GET');
+        TestHelpers.verify(writes.length === 1,
+            `Expected a single write to PMS, found ${JSON.stringify(writes.map(r => `${r.method} ${r.path}`))}.`);
+        return writes[0];
+    }
+}
+
+export default PlexHttpBackendTest;
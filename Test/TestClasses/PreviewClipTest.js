@@ -0,0 +1,95 @@
+import { clipArgs, MaxClipMs } from '../../Server/PreviewClips.js';
+
+import TestBase from '../TestBase.js';
+import TestHelpers from '../TestHelpers.js';
+
+/**
+ * Tests the preview clip route. Since FFmpeg and real media files aren't guaranteed to exist where
+ * tests are run, these tests cover argument generation and request validation.
+ */
+class PreviewClipTest extends TestBase {
+    constructor() {
+        super();
+        this.testMethods = [
+            this.testTranscodeArgs,
+            this.testDirectArgs,
+            this.testMalformedUrl,
+            this.testInvalidRange,
+            this.testClipTooLong,
+            this.testMissingFile,
+        ];
+    }
+
+    className() { return 'PreviewClipTest'; }
+
+    /**
+     * Ensure transcoded clips seek to the right spot, have the right length, and are browser-friendly. */
+    testTranscodeArgs() {
+        const args = clipArgs('/media/Episode.mkv', 15000, 21000, false /*direct*/);
+        this.#verifyArg(args, '-ss', '15000ms');
+        this.#verifyArg(args, '-i', '/media/Episode.mkv');
+        this.#verifyArg(args, '-t', '6000ms');
+        this.#verifyArg(args, '-c:v', 'libx264');
+        this.#verifyArg(args, '-f', 'mp4');
+        TestHelpers.verify(args.indexOf('copy') === -1, `Transcoded clips shouldn't copy the original streams.`);
+        TestHelpers.verify(args[args.length - 1] === 'pipe:1', `Expected clip to be written to stdout, found ${args[args.length - 1]}.`);
+    }
+
+    /**
+     * Ensure direct clips copy the original streams instead of transcoding them. */
+    testDirectArgs() {
+        const args = clipArgs('/media/Movie.mp4', 0, 6000, true /*direct*/);
+        this.#verifyArg(args, '-ss', '0ms');
+        this.#verifyArg(args, '-t', '6000ms');
+        this.#verifyArg(args, '-c', 'copy');
+        TestHelpers.verify(args.indexOf('libx264') === -1, `Direct clips shouldn't transcode.`);
+    }
+
+    /**
+     * Ensure clip URLs without the right number of integer parts are rejected. */
+    async testMalformedUrl() {
+        this.expectFailure();
+        for (const url of ['clip/3/15000', 'clip/3/15000/21000/1', 'clip/3/abc/21000', 'clip/show/15000/21000']) {
+            await TestHelpers.verifyBadRequest(await this.get(url), url, false /*json*/);
+        }
+    }
+
+    /**
+     * Ensure clips that end before they start are rejected. */
+    async testInvalidRange() {
+        this.expectFailure();
+        const episode = TestBase.DefaultMetadata.Show1.Season1.Episode2.Id;
+        await TestHelpers.verifyBadRequest(await this.get(`clip/${episode}/21000/15000`), 'reversed clip', false /*json*/);
+        await TestHelpers.verifyBadRequest(await this.get(`clip/${episode}/-1000/5000`), 'negative clip', false /*json*/);
+    }
+
+    /**
+     * Ensure we don't transcode arbitrarily long clips. */
+    async testClipTooLong() {
+        this.expectFailure();
+        const episode = TestBase.DefaultMetadata.Show1.Season1.Episode2.Id;
+        await TestHelpers.verifyBadRequest(await this.get(`clip/${episode}/0/${MaxClipMs + 1}`), 'long clip', false /*json*/);
+    }
+
+    /**
+     * Ensure we fail gracefully when the item doesn't have an accessible file. */
+    async testMissingFile() {
+        this.expectFailure();
+        const episode = TestBase.DefaultMetadata.Show1.Season1.Episode2.Id;
+        const response = await this.get(`clip/${episode}/15000/21000`);
+        TestHelpers.verify(response.status === 404, `Expected clip of an item without files to return 404, got ${response.status}.`);
+    }
+
+    /**
+     * Verify that the given argument is followed by the expected value.
+     * @param {string[]} args
+     * @param {string} arg
+     * @param {string} expected */
+    #verifyArg(args, arg, expected) {
+        const index = args.indexOf(arg);
+        TestHelpers.verify(index !== -1, `Expected to find "${arg}" in ffmpeg arguments.`);
+        TestHelpers.verify(args[index + 1] === expected, `Expected "${arg}" to be "${expected}", found "${args[index + 1]}".`);
+    }
+}
+
+export default PreviewClipTest;
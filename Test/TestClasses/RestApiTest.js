@@ -0,0 +1,266 @@
+import { PostCommands, UserRole } from '../../Shared/PostCommands.js';
+
+import { ApiKeys } from '../../Server/Authentication/ApiKeys.js';
+import TestBase from '../TestBase.js';
+import TestHelpers from '../TestHelpers.js';
+
+/** @typedef {!import('../../Shared/PlexTypes').NewApiKey} NewApiKey */
+
+/**
+ * Tests the versioned REST API and the API keys used to access it.
+ */
+class RestApiTest extends TestBase {
+    constructor() {
+        super();
+        this.testMethods = [
+            this.testOpenApiSpec,
+            this.testListLibraries,
+            this.testListMarkers,
+            this.testAddEditDeleteMarker,
+            this.testShiftMarkers,
+            this.testInvalidParameters,
+            this.testUnknownRoute,
+            this.testManageApiKeys,
+            this.testInvalidApiKey,
+            this.testApiKeyRoles,
+            this.testApiKeyAttribution,
+        ];
+    }
+
+    className() { return 'RestApiTest'; }
+
+    // API keys live in auth.db, which isn't reset between tests, so always start from scratch.
+    async testMethodSetup() {
+        await RestApiTest.#removeAllKeys();
+    }
+
+    async testMethodTeardown() {
+        await RestApiTest.#removeAllKeys();
+        return super.testMethodTeardown();
+    }
+
+    /**
+     * Ensure the OpenAPI document describes every route. */
+    async testOpenApiSpec() {
+        const spec = await (await this.#api('GET', '/openapi.json')).json();
+        TestHelpers.verify(spec.openapi?.startsWith('3.'), `Expected an OpenAPI 3 document, found ${spec.openapi}.`);
+        const markers = spec.paths['/items/{metadataId}/markers'];
+        TestHelpers.verify(markers?.get && markers?.post, `Expected GET and POST for item markers.`);
+        TestHelpers.verify(markers.post.requestBody.content['application/json'].schema.required.includes('start'),
+            `Expected start to be a required parameter when adding markers.`);
+        TestHelpers.verify(spec.paths['/markers/{markerId}']?.delete, `Expected DELETE for markers.`);
+        TestHelpers.verify(spec.components.securitySchemes.apiKeyHeader, `Expected API key security scheme.`);
+    }
+
+    /**
+     * Ensure libraries are returned. */
+    async testListLibraries() {
+        const libraries = await this.#apiJson('GET', '/libraries');
+        TestHelpers.verify(libraries instanceof Array && libraries.some(library => library.id === 1),
+            `Expected library 1 to be returned, found ${JSON.stringify(libraries)}.`);
+        const shows = await this.#apiJson('GET', '/libraries/1/items');
+        TestHelpers.verify(shows.some(show => show.metadataId === TestBase.DefaultMetadata.Show1.Id),
+            `Expected Show1 to be in library 1.`);
+    }
+
+    /**
+     * Ensure the markers of a single item are returned. */
+    async testListMarkers() {
+        const episode = TestBase.DefaultMetadata.Show1.Season1.Episode2;
+        const markers = await this.#apiJson('GET', `/items/${episode.Id}/markers`);
+        TestHelpers.verify(markers.length === 1 && markers[0].id === episode.Marker1.Id,
+            `Expected marker ${episode.Marker1.Id}, found ${JSON.stringify(markers)}.`);
+
+        const none = await this.#apiJson('GET', `/items/${TestBase.DefaultMetadata.Show1.Season1.Episode1.Id}/markers`);
+        TestHelpers.verify(none.length === 0, `Expected no markers, found ${none.length}.`);
+    }
+
+    /**
+     * Ensure markers can be added, edited, and deleted, defaulting to intros. */
+    async testAddEditDeleteMarker() {
+        const episode = TestBase.DefaultMetadata.Show1.Season1.Episode1;
+        const added = await this.#apiJson('POST', `/items/${episode.Id}/markers`, { start : 1000, end : 5000 });
+        await TestHelpers.validateMarker(added, 'intro', episode.Id, null, null, 1000, 5000, 0, false /*final*/, this.testDb);
+
+        const edited = await this.#apiJson('PUT', `/markers/${added.id}`, { start : 50000, end : 60000, type : 'credits', final : true });
+        await TestHelpers.validateMarker(edited, 'credits', episode.Id, null, null, 50000, 60000, 0, true /*final*/, this.testDb);
+
+        const deleted = await this.#apiJson('DELETE', `/markers/${added.id}`);
+        TestHelpers.verify(deleted.id === added.id, `Expected marker ${added.id} to be deleted, found ${deleted.id}.`);
+        await TestHelpers.validateMarker(
+            { id : added.id }, null, null, null, null, null, null, null, null, this.testDb, true /*isDeleted*/);
+    }
+
+    /**
+     * Ensure markers can be shifted, with the end shift defaulting to the start shift. */
+    async testShiftMarkers() {
+        const episode = TestBase.DefaultMetadata.Show1.Season1.Episode2;
+        const result = await this.#apiJson('POST', `/items/${episode.Id}/shift`, { startShift : 3000 });
+        TestHelpers.verify(result.applied, `Expected shift to be applied.`);
+        await TestHelpers.validateMarker(result.allMarkers[0], null, null, null, null,
+            episode.Marker1.Start + 3000, episode.Marker1.End + 3000, null, null, this.testDb);
+    }
+
+    /**
+     * Ensure invalid paths and bodies are rejected. */
+    async testInvalidParameters() {
+        this.expectFailure();
+        const episodeId = TestBase.DefaultMetadata.Show1.Season1.Episode1.Id;
+        const cases = [
+            ['missing end', 'POST', `/items/${episodeId}/markers`, { start : 1000 }],
+            ['string start', 'POST', `/items/${episodeId}/markers`, { start : '1000', end : 5000 }],
+            ['invalid type', 'POST', `/items/${episodeId}/markers`, { start : 1000, end : 5000, type : 'all' }],
+            ['partial edit', 'PUT', `/markers/${TestBase.DefaultMetadata.Movie3.Marker1.Id}`, { start : 1000, end : 5000 }],
+            ['non-integer id', 'GET', '/items/abc/markers'],
+            ['non-array ignore list', 'POST', `/items/${episodeId}/shift`, { startShift : 1000, ignored : 1 }],
+        ];
+
+        for (const [testCase, method, path, body] of cases) {
+            await TestHelpers.verifyBadRequest(await this.#api(method, path, body), testCase);
+        }
+
+        const malformed = await fetch(`${RestApiTest.#root}/items/${episodeId}/markers`, {
+            method : 'POST',
+            headers : { 'Content-Type' : 'application/json' },
+            body : '{ "start" : ',
+        });
+        await TestHelpers.verifyBadRequest(malformed, 'malformed JSON');
+    }
+
+    /**
+     * Ensure unknown routes return a JSON 404 instead of falling through to the web client. */
+    async testUnknownRoute() {
+        this.expectFailure();
+        for (const [method, path] of [['GET', '/unknown'], ['PATCH', '/markers/1'], ['GET', '/libraries/1/unknown']]) {
+            const response = await this.#api(method, path);
+            TestHelpers.verify(response.status === 404, `Expected ${method} ${path} to return 404, found ${response.status}.`);
+            TestHelpers.verify((await response.json()).Error, `Expected an error message for ${method} ${path}.`);
+        }
+    }
+
+    /**
+     * Ensure keys can be created and revoked, and that the keys themselves are only returned on creation. */
+    async testManageApiKeys() {
+        const newKey = await this.#addKey('Home Assistant', UserRole.Editor);
+        TestHelpers.verify(newKey.key?.startsWith('mek_'), `Expected a new API key, found ${newKey.key}.`);
+        TestHelpers.verify(newKey.info.name === 'Home Assistant' && newKey.info.role === UserRole.Editor,
+            `Expected key info to match, found ${JSON.stringify(newKey.info)}.`);
+
+        const keys = await this.send(PostCommands.GetApiKeys);
+        TestHelpers.verify(keys.length === 1 && keys[0].id === newKey.info.id, `Expected 1 API key, found ${JSON.stringify(keys)}.`);
+        TestHelpers.verify(!JSON.stringify(keys).includes(newKey.key), `Expected the key itself to not be returned.`);
+
+        this.expectFailure();
+        const duplicate = await this.sendBody(PostCommands.AddApiKey, { name : 'home assistant', role : UserRole.Viewer }, true /*raw*/);
+        await TestHelpers.verifyBadRequest(duplicate, 'duplicate API key name');
+        const badRole = await this.sendBody(PostCommands.AddApiKey, { name : 'Bad Role', role : 3 }, true /*raw*/);
+        await TestHelpers.verifyBadRequest(badRole, 'invalid API key role');
+
+        const remaining = await this.sendBody(PostCommands.RemoveApiKey, { id : newKey.info.id });
+        TestHelpers.verify(remaining.length === 0, `Expected no API keys after removal, found ${remaining.length}.`);
+        const response = await this.#api('GET', '/libraries', undefined, newKey.key);
+        TestHelpers.verify(response.status === 401, `Expected revoked key to return 401, found ${response.status}.`);
+    }
+
+    /**
+     * Ensure invalid keys are rejected, even if authentication is disabled. */
+    async testInvalidApiKey() {
+        this.expectFailure();
+        const newKey = await this.#addKey('Script', UserRole.Viewer);
+        for (const key of ['mek_invalid', newKey.key + 'a', 'invalid']) {
+            const response = await this.#api('GET', '/libraries', undefined, key);
+            TestHelpers.verify(response.status === 401, `Expected invalid key to return 401, found ${response.status}.`);
+        }
+
+        // Both X-Api-Key and bearer tokens are accepted.
+        const bearer = await fetch(`${RestApiTest.#root}/libraries`, { headers : { Authorization : `Bearer ${newKey.key}` } });
+        TestHelpers.verify(bearer.status === 200, `Expected bearer token to be accepted, found ${bearer.status}.`);
+        const keys = await this.send(PostCommands.GetApiKeys);
+        TestHelpers.verify(keys[0].lastUsed, `Expected key to be marked as used.`);
+    }
+
+    /**
+     * Ensure keys can only run commands their role allows. */
+    async testApiKeyRoles() {
+        this.expectFailure();
+        const viewer = await this.#addKey('Viewer', UserRole.Viewer);
+        const editor = await this.#addKey('Editor', UserRole.Editor);
+        const episodeId = TestBase.DefaultMetadata.Show1.Season1.Episode1.Id;
+        const path = `/items/${episodeId}/markers`;
+
+        let response = await this.#api('GET', path, undefined, viewer.key);
+        TestHelpers.verify(response.status === 200, `Expected viewer to be able to list markers, found ${response.status}.`);
+        response = await this.#api('POST', path, { start : 0, end : 10000 }, viewer.key);
+        TestHelpers.verify(response.status === 403, `Expected viewer to not be able to add markers, found ${response.status}.`);
+        response = await this.#api('POST', path, { start : 0, end : 10000 }, editor.key);
+        TestHelpers.verify(response.status === 200, `Expected editor to be able to add markers, found ${response.status}.`);
+    }
+
+    /**
+     * Ensure marker actions made with an API key are attributed to that key. */
+    async testApiKeyAttribution() {
+        const editor = await this.#addKey('Sonarr', UserRole.Editor);
+        const episodeId = TestBase.DefaultMetadata.Show1.Season1.Episode1.Id;
+        const response = await this.#api('POST', `/items/${episodeId}/markers`, { start : 0, end : 10000 }, editor.key);
+        TestHelpers.verify(response.status === 200, `Expected marker to be added, found ${response.status}.`);
+
+        const log = await this.sendBody(PostCommands.AuditLog, { filter : '{}' });
+        TestHelpers.verify(log.entries[0]?.username === 'api:Sonarr',
+            `Expected marker to be attributed to the API key, found ${log.entries[0]?.username}.`);
+    }
+
+    /** The root of all API requests. */
+    static #root = 'http://localhost:3233/api/v1';
+
+    /**
+     * Send a request to the REST API.
+     * @param {string} method
+     * @param {string} path
+     * @param {object} [body]
+     * @param {string} [key] The API key to use, if any.
+     * @returns {Promise<Response>} */
+    #api(method, path, body, key) {
+        const headers = {};
+        if (key) {
+            headers['X-Api-Key'] = key;
+        }
+
+        const init = { method, headers };
+        if (body) {
+            headers['Content-Type'] = 'application/json';
+            init.body = JSON.stringify(body);
+        }
+
+        return fetch(`${RestApiTest.#root}${path}`, init);
+    }
+
+    /**
+     * Send a request to the REST API, verifying it succeeds and returning its parsed JSON response.
+     * @param {string} method
+     * @param {string} path
+     * @param {object} [body] */
+    async #apiJson(method, path, body) {
+        const response = await this.#api(method, path, body);
+        const json = await response.json();
+        TestHelpers.verify(response.status === 200, `Expected ${method} ${path} to succeed, found ${response.status}: ${json.Error}`);
+        return json;
+    }
+
+    /**
+     * @param {string} name
+     * @param {number} role
+     * @returns {Promise<NewApiKey>} */
+    async #addKey(name, role) {
+        const newKey = await this.sendBody(PostCommands.AddApiKey, { name, role });
+        TestHelpers.checkError(newKey);
+        return newKey;
+    }
+
+    static async #removeAllKeys() {
+        for (const key of ApiKeys.list()) {
+            await ApiKeys.remove(key.id);
+        }
+    }
+}
+
+export default RestApiTest;
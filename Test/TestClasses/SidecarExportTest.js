@@ -0,0 +1,182 @@
+import { existsSync, mkdirSync, readFileSync, rmSync, writeFileSync } from 'fs';
+import { join } from 'path';
+
+import { SidecarFormat } from '../../Shared/PlexTypes.js';
+
+import TestBase from '../TestBase.js';
+import TestHelpers from '../TestHelpers.js';
+
+/** @typedef {!import('../../Shared/PlexTypes').SidecarExportResult} SidecarExportResult */
+
+/**
+ * Tests exporting markers to EDL/chapter sidecar files.
+ */
+class SidecarExportTest extends TestBase {
+    static #mediaDir = join(TestBase.root, 'SidecarTest');
+    /** Path that Plex "sees" for Movie3, which is mapped to #mediaDir via pathMappings. */
+    static #plexMediaDir = '/plex/media/';
+
+    constructor() {
+        super();
+        this.testMethods = [
+            this.testDryRun,
+            this.testEdlExport,
+            this.testFFMetadataExport,
+            this.testMatroskaExport,
+            this.testPathMapping,
+            this.testNoOverwrite,
+            this.testOverwrite,
+            this.testMissingMedia,
+            this.testInvalidFormat,
+        ];
+    }
+
+    className() { return 'SidecarExportTest'; }
+
+    setupConfig() {
+        this.createConfig({ pathMappings : [{ from : SidecarExportTest.#plexMediaDir, to : SidecarExportTest.#mediaDir + '/' }] });
+    }
+
+    /**
+     * Create fake media files for Movie2 and Movie3, and point Plex's media_parts at them. */
+    async testMethodSetup() {
+        rmSync(SidecarExportTest.#mediaDir, { recursive : true, force : true });
+        mkdirSync(SidecarExportTest.#mediaDir, { recursive : true });
+        writeFileSync(this.#localFile('Movie2.mkv'), '');
+        writeFileSync(this.#localFile('Movie3.mkv'), '');
+
+        await this.testDb.exec(`
+            DELETE FROM media_parts WHERE media_item_id IN (13, 14);
+            INSERT INTO media_parts (media_item_id, file) VALUES
+                (13, "${this.#localFile('Movie2.mkv')}"),
+                (14, "${SidecarExportTest.#plexMediaDir}Movie3.mkv");`);
+    }
+
+    testMethodTeardown() {
+        rmSync(SidecarExportTest.#mediaDir, { recursive : true, force : true });
+        return super.testMethodTeardown();
+    }
+
+    /**
+     * Ensure a dry run reports the files that would be written without writing them. */
+    async testDryRun() {
+        const result = await this.#export(SidecarFormat.All, false /*overwrite*/, true /*dryRun*/);
+        TestHelpers.verify(result.dryRun, `Expected dryRun to be set in the result.`);
+        TestHelpers.verify(result.files.length === 6, `Expected 6 files in dry run, found ${result.files.length}.`);
+        for (const file of result.files) {
+            TestHelpers.verify(!file.written, `Dry run should not have written "${file.path}".`);
+            TestHelpers.verify(!existsSync(file.path), `Dry run should not have created "${file.path}".`);
+        }
+
+        const movie2 = result.files.find(f => f.metadataId === TestBase.DefaultMetadata.Movie2.Id);
+        TestHelpers.verify(movie2.markerCount === 4, `Expected Movie2 to have 4 markers, found ${movie2.markerCount}.`);
+    }
+
+    /**
+     * Ensure EDL files contain an entry for each marker. */
+    async testEdlExport() {
+        const result = await this.#export(SidecarFormat.Edl);
+        TestHelpers.verify(result.files.length === 2, `Expected 2 EDL files, found ${result.files.length}.`);
+        TestHelpers.verify(result.files.every(f => f.written), `Expected all EDL files to be written.`);
+
+        const edl = readFileSync(this.#localFile('Movie2.edl'), { encoding : 'utf-8' });
+        const expected = '10.000\t30.000\t3\n40.000\t45.000\t3\n55.000\t60.000\t3\n61.000\t80.000\t3\n';
+        TestHelpers.verify(edl === expected, `Unexpected EDL contents:\n${edl}`);
+    }
+
+    /**
+     * Ensure ffmetadata files contain chapters for markers and the gaps between them. */
+    async testFFMetadataExport() {
+        await this.#export(SidecarFormat.FFMetadata);
+        const text = readFileSync(this.#localFile('Movie3.ffmetadata'), { encoding : 'utf-8' });
+        const expected = ';FFMETADATA1\n' +
+            '\n[CHAPTER]\nTIMEBASE=1/1000\nSTART=0\nEND=15000\n' +
+            '\n[CHAPTER]\nTIMEBASE=1/1000\nSTART=15000\nEND=45000\ntitle=Intro\n' +
+            '\n[CHAPTER]\nTIMEBASE=1/1000\nSTART=45000\nEND=600000\n';
+        TestHelpers.verify(text === expected, `Unexpected ffmetadata contents:\n${text}`);
+    }
+
+    /**
+     * Ensure Matroska chapter files contain chapters with the right timestamps and titles. */
+    async testMatroskaExport() {
+        await this.#export(SidecarFormat.MatroskaXml);
+        const xml = readFileSync(this.#localFile('Movie2.chapters.xml'), { encoding : 'utf-8' });
+        TestHelpers.verify(xml.includes('<ChapterTimeStart>00:00:10.000000000</ChapterTimeStart>'), `Missing intro start in chapter XML.`);
+        TestHelpers.verify(xml.includes('<ChapterTimeEnd>00:01:20.000000000</ChapterTimeEnd>'), `Missing ad end in chapter XML.`);
+        TestHelpers.verify(xml.includes('<ChapterString>Advertisement</ChapterString>'), `Missing ad title in chapter XML.`);
+        const atoms = xml.match(/<ChapterAtom>/g).length;
+        TestHelpers.verify(atoms === 9, `Expected 9 chapters (4 markers + 5 gaps), found ${atoms}.`);
+    }
+
+    /**
+     * Ensure sidecar files are written next to files found via path mappings. */
+    async testPathMapping() {
+        const result = await this.#export(SidecarFormat.Edl);
+        const movie3 = result.files.find(f => f.metadataId === TestBase.DefaultMetadata.Movie3.Id);
+        TestHelpers.verify(movie3.path === this.#localFile('Movie3.edl'), `Expected mapped sidecar path, found "${movie3.path}".`);
+        TestHelpers.verify(existsSync(this.#localFile('Movie3.edl')), `Expected Movie3.edl to be written to the mapped directory.`);
+    }
+
+    /**
+     * Ensure existing sidecar files aren't overwritten unless requested. */
+    async testNoOverwrite() {
+        writeFileSync(this.#localFile('Movie2.edl'), 'Existing');
+        const result = await this.#export(SidecarFormat.Edl);
+        const movie2 = result.files.find(f => f.metadataId === TestBase.DefaultMetadata.Movie2.Id);
+        TestHelpers.verify(movie2.exists && !movie2.written && movie2.error, `Expected existing Movie2.edl to be skipped.`);
+        TestHelpers.verify(readFileSync(this.#localFile('Movie2.edl'), { encoding : 'utf-8' }) === 'Existing',
+            `Movie2.edl should not have changed.`);
+    }
+
+    /**
+     * Ensure existing sidecar files are overwritten when requested. */
+    async testOverwrite() {
+        writeFileSync(this.#localFile('Movie2.edl'), 'Existing');
+        const result = await this.#export(SidecarFormat.Edl, true /*overwrite*/);
+        const movie2 = result.files.find(f => f.metadataId === TestBase.DefaultMetadata.Movie2.Id);
+        TestHelpers.verify(movie2.exists && movie2.written, `Expected existing Movie2.edl to be overwritten.`);
+        TestHelpers.verify(readFileSync(this.#localFile('Movie2.edl'), { encoding : 'utf-8' }) !== 'Existing',
+            `Movie2.edl should have changed.`);
+    }
+
+    /**
+     * Ensure items whose media can't be found are reported instead of written. */
+    async testMissingMedia() {
+        rmSync(this.#localFile('Movie3.mkv'));
+        const result = await this.#export(SidecarFormat.Edl);
+        TestHelpers.verify(result.files.length === 1, `Expected 1 EDL file, found ${result.files.length}.`);
+        TestHelpers.verify(result.missing.length === 1 && result.missing[0].metadataId === TestBase.DefaultMetadata.Movie3.Id,
+            `Expected Movie3 to be reported as missing.`);
+    }
+
+    /**
+     * Ensure invalid formats and sections are rejected. */
+    async testInvalidFormat() {
+        this.expectFailure();
+        const base = { sectionId : 2, overwrite : 0, dryRun : 1 };
+        await TestHelpers.verifyBadRequest(await this.send('export_sidecars', { ...base, formats : 0 }, true /*raw*/), 'no formats');
+        await TestHelpers.verifyBadRequest(await this.send('export_sidecars', { ...base, formats : 8 }, true /*raw*/), 'unknown format');
+        await TestHelpers.verifyBadRequest(
+            await this.send('export_sidecars', { ...base, sectionId : 100, formats : SidecarFormat.Edl }, true /*raw*/), 'bad section');
+    }
+
+    /**
+     * @param {string} file */
+    #localFile(file) {
+        return join(SidecarExportTest.#mediaDir, file);
+    }
+
+    /**
+     * Export sidecar files for the movie section.
+     * @param {number} formats
+     * @param {boolean} overwrite
+     * @param {boolean} dryRun
+     * @returns {Promise<SidecarExportResult>} */
+    async #export(formats, overwrite=false, dryRun=false) {
+        const result = await this.send('export_sidecars', { sectionId : 2, formats : formats, overwrite : +overwrite, dryRun : +dryRun });
+        TestHelpers.checkError(result);
+        return result;
+    }
+}
+
+export default SidecarExportTest;
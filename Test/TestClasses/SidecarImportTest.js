@@ -0,0 +1,308 @@
+import { crc32, deflateRawSync } from 'zlib';
+
+import { MarkerConflictResolution } from '../../Shared/PlexTypes.js';
+import { MarkerType } from '../../Shared/MarkerType.js';
+import TestBase from '../TestBase.js';
+import TestHelpers from '../TestHelpers.js';
+
+/** @typedef {!import('../../Shared/PlexTypes').SidecarImportResult} SidecarImportResult */
+
+/**
+ * Tests importing markers from EDL/chapter sidecar files.
+ */
+class SidecarImportTest extends TestBase {
+    constructor() {
+        super();
+        this.testMethods = [
+            this.testEdlImport,
+            this.testFFMetadataImport,
+            this.testMatroskaImport,
+            this.testEarlyCreditsImport,
+            this.testZipImport,
+            this.testGuidMatch,
+            this.testFormatPriority,
+            this.testMergeImport,
+            this.testIdenticalImport,
+            this.testInvalidImport,
+            this.testInvalidZip,
+        ];
+    }
+
+    className() { return 'SidecarImportTest'; }
+
+    /**
+     * Point Plex's media_parts at fake files. Movie1 and Movie2 intentionally share the same file name. */
+    async testMethodSetup() {
+        await this.testDb.exec(`
+            DELETE FROM media_parts WHERE media_item_id IN (12, 13, 14);
+            INSERT INTO media_parts (media_item_id, file) VALUES
+                (12, "/media/A/Movie.mkv"),
+                (13, "/media/B/Movie.mkv"),
+                (14, "/media/Movies/Movie3.mkv");`);
+    }
+
+    async testMethodTeardown() {
+        await this.testDb.exec(`DELETE FROM media_parts WHERE media_item_id IN (12, 13, 14);`);
+        return super.testMethodTeardown();
+    }
+
+    /**
+     * Ensure EDL files are imported as the requested marker type, ignoring non-skip actions. */
+    async testEdlImport() {
+        const edl = '100.5\t120\t3\n200 210 1\n';
+        const result = await this.#import('Movie3.edl', edl, MarkerConflictResolution.Overwrite, MarkerType.Credits);
+        this.#verifyResult(result, { matched : 1, added : 1, unmatched : 0 });
+
+        const markers = await this.#markers(TestBase.DefaultMetadata.Movie3.Id, 2);
+        await TestHelpers.validateMarker(markers[1], MarkerType.Credits, null, null, null, 100500, 120000, 1, false /*final*/);
+    }
+
+    /**
+     * Ensure chapters in ffmetadata files are imported only if their title indicates a marker. */
+    async testFFMetadataImport() {
+        const text = ';FFMETADATA1\ntitle=Movie\n' +
+            '\n[CHAPTER]\nTIMEBASE=1/1000\nSTART=0\nEND=5000\n' +
+            '\n[CHAPTER]\nTIMEBASE=1/1000\nSTART=5000\nEND=20000\ntitle=Opening\n' +
+            '\n[CHAPTER]\nTIMEBASE=1/1000\nSTART=20000\nEND=550000\ntitle=Chapter 2\n' +
+            '\n[CHAPTER]\nTIMEBASE=1/1\nSTART=550\nEND=600\ntitle=Credits\n';
+        const result = await this.#import('A/Movie.ffmetadata', text);
+        this.#verifyResult(result, { matched : 1, added : 2, unmatched : 0 });
+
+        const markers = await this.#markers(TestBase.DefaultMetadata.Movie1.Id, 2);
+        await TestHelpers.validateMarker(markers[0], MarkerType.Intro, null, null, null, 5000, 20000, 0, false /*final*/);
+        await TestHelpers.validateMarker(markers[1], MarkerType.Credits, null, null, null, 550000, 600000, 1, true /*final*/);
+    }
+
+    /**
+     * Ensure Matroska chapters are imported, using the next chapter's start if an end isn't provided. */
+    async testMatroskaImport() {
+        const atom = (start, end, title) => `<ChapterAtom><ChapterTimeStart>${start}</ChapterTimeStart>` +
+            (end ? `<ChapterTimeEnd>${end}</ChapterTimeEnd>` : '') +
+            (title ? `<ChapterDisplay><ChapterString>${title}</ChapterString></ChapterDisplay>` : '') + '</ChapterAtom>';
+        const text = '<?xml version="1.0" encoding="UTF-8"?>\n<Chapters><EditionEntry>' +
+            atom('00:00:00.000000000', '00:05:00.000000000') +
+            atom('00:05:00.000000000', null, 'Advertisement') +
+            atom('00:05:30.500000000', null, 'Scene 2') +
+            '</EditionEntry></Chapters>';
+        const result = await this.#import('Movies/Movie3.chapters.xml', text);
+        this.#verifyResult(result, { matched : 1, added : 1, unmatched : 0 });
+
+        const markers = await this.#markers(TestBase.DefaultMetadata.Movie3.Id, 2);
+        await TestHelpers.validateMarker(markers[1], MarkerType.Ad, null, null, null, 300000, 330500, 1, false /*final*/);
+    }
+
+    /**
+     * Ensure the last credits marker is only final if it reaches the end of the item. */
+    async testEarlyCreditsImport() {
+        const text = ';FFMETADATA1\ntitle=Movie\n' +
+            '\n[CHAPTER]\nTIMEBASE=1/1000\nSTART=300000\nEND=330000\ntitle=Credits\n' +
+            '\n[CHAPTER]\nTIMEBASE=1/1000\nSTART=500000\nEND=550000\ntitle=End Credits\n';
+        const result = await this.#import('A/Movie.ffmetadata', text);
+        this.#verifyResult(result, { matched : 1, added : 2, unmatched : 0 });
+
+        const markers = await this.#markers(TestBase.DefaultMetadata.Movie1.Id, 2);
+        await TestHelpers.validateMarker(markers[0], MarkerType.Credits, null, null, null, 300000, 330000, 0, false /*final*/);
+        await TestHelpers.validateMarker(markers[1], MarkerType.Credits, null, null, null, 500000, 550000, 1, false /*final*/);
+    }
+
+    /**
+     * Ensure all sidecar files in a zip file are imported, and files that can't be matched are reported. */
+    async testZipImport() {
+        const zip = this.#zip({
+            'A/Movie.edl' : '1 2 3\n',
+            'Movie.edl' : '3 4 3\n',
+            'Movie3.edl' : '50 55 3\n',
+            'Unknown.edl' : '5 6 3\n',
+            'readme.md' : '# Not a sidecar file',
+        });
+
+        const result = await this.#import('Sidecars.zip', zip);
+        this.#verifyResult(result, { matched : 2, added : 2, unmatched : 3 });
+        for (const [file, reason] of [['Movie.edl', 'multiple'], ['Unknown.edl', 'No matching'], ['readme.md', 'Not a recognized']]) {
+            const unmatched = result.unmatched.find(u => u.file === file);
+            TestHelpers.verify(unmatched?.reason.includes(reason), `Expected "${file}" to be unmatched with reason "${reason}".`);
+        }
+
+        await this.#markers(TestBase.DefaultMetadata.Movie1.Id, 1);
+        await this.#markers(TestBase.DefaultMetadata.Movie2.Id, 4);
+        await this.#markers(TestBase.DefaultMetadata.Movie3.Id, 2);
+    }
+
+    /**
+     * Ensure sidecar files can be matched to items via their GUID. */
+    async testGuidMatch() {
+        const result = await this.#import('02.edl', '100 110 3\n');
+        this.#verifyResult(result, { matched : 1, added : 1, unmatched : 0 });
+        await this.#markers(TestBase.DefaultMetadata.Movie3.Id, 2);
+    }
+
+    /**
+     * Ensure chapter files are preferred over EDL files for the same item. */
+    async testFormatPriority() {
+        const zip = this.#zip({
+            'Movie3.edl' : '100 110 3\n',
+            'Movie3.ffmetadata' : ';FFMETADATA1\n[CHAPTER]\nTIMEBASE=1/1000\nSTART=100000\nEND=110000\ntitle=Credits\n',
+        });
+
+        const result = await this.#import('Movie3.zip', zip);
+        this.#verifyResult(result, { matched : 1, added : 1, unmatched : 1 });
+        TestHelpers.verify(result.unmatched[0].file === 'Movie3.edl', `Expected the EDL file to be ignored.`);
+
+        const markers = await this.#markers(TestBase.DefaultMetadata.Movie3.Id, 2);
+        await TestHelpers.validateMarker(markers[1], MarkerType.Credits, null, null, null, 100000, 110000, 1, false /*final*/);
+    }
+
+    /**
+     * Ensure imported markers go through the same conflict resolution as database imports. */
+    async testMergeImport() {
+        const result = await this.#import('Movie3.edl', '10 20 0\n', MarkerConflictResolution.Merge, MarkerType.Intro);
+        // Like database imports, the merged marker is also reported as ignored, since it wasn't added.
+        this.#verifyResult(result, { matched : 1, added : 0, modified : 1, ignored : 1, unmatched : 0 });
+
+        const markers = await this.#markers(TestBase.DefaultMetadata.Movie3.Id, 1);
+        await TestHelpers.validateMarker(markers[0], MarkerType.Intro, null, null, null, 10000, 45000, 0, false /*final*/);
+    }
+
+    /**
+     * Ensure markers identical to existing markers aren't added again. */
+    async testIdenticalImport() {
+        const result = await this.#import('Movie3.edl', '15 45 3\n', MarkerConflictResolution.Overwrite, MarkerType.Intro);
+        this.#verifyResult(result, { matched : 1, added : 0, identical : 1, unmatched : 0 });
+        await this.#markers(TestBase.DefaultMetadata.Movie3.Id, 1);
+    }
+
+    /**
+     * Ensure invalid parameters and files are rejected. */
+    async testInvalidImport() {
+        this.expectFailure();
+        const send = (params) => this.sendBody('import_sidecars', {
+            sectionId : 2,
+            resolveType : MarkerConflictResolution.Overwrite,
+            edlType : MarkerType.Intro,
+            sidecars : new File(['1 2 3\n'], 'Movie3.edl'),
+            ...params }, true /*raw*/);
+
+        await TestHelpers.verifyBadRequest(await send({ resolveType : 4 }), 'bad resolve type');
+        await TestHelpers.verifyBadRequest(await send({ edlType : 'outro' }), 'bad EDL type');
+        await TestHelpers.verifyBadRequest(await send({ sectionId : 100 }), 'bad section');
+        await TestHelpers.verifyBadRequest(await send({ sidecars : new File(['Not a zip'], 'Sidecars.zip') }), 'bad zip');
+    }
+
+    /**
+     * Ensure zip files that decompress to huge files, or reference data outside of the zip file, are rejected. */
+    async testInvalidZip() {
+        this.expectFailure();
+        const send = (zip) => this.sendBody('import_sidecars', {
+            sectionId : 2,
+            resolveType : MarkerConflictResolution.Overwrite,
+            edlType : MarkerType.Intro,
+            sidecars : new File([zip], 'Sidecars.zip') }, true /*raw*/);
+
+        // 11MB of a single character compresses to just a few kilobytes.
+        await TestHelpers.verifyBadRequest(await send(this.#zip({ 'Movie3.edl' : '0'.repeat(11 * 1024 * 1024) })), 'zip bomb');
+
+        // Point the file's local header past the end of the zip file.
+        const zip = this.#zip({ 'Movie3.edl' : '50 55 3\n' });
+        const centralDirectory = zip.readUInt32LE(zip.length - 6);
+        zip.writeUInt32LE(zip.length, centralDirectory + 42);
+        await TestHelpers.verifyBadRequest(await send(zip), 'out of bounds local header');
+
+        // Claim the compressed data is larger than the zip file.
+        const zip2 = this.#zip({ 'Movie3.edl' : '50 55 3\n' });
+        zip2.writeUInt32LE(zip2.length * 2, zip2.readUInt32LE(zip2.length - 6) + 20);
+        await TestHelpers.verifyBadRequest(await send(zip2), 'out of bounds data');
+
+        await this.#markers(TestBase.DefaultMetadata.Movie3.Id, 1);
+    }
+
+    /**
+     * Upload the given sidecar file to the movie section.
+     * @param {string} name
+     * @param {string|Buffer} contents
+     * @param {number} resolveType
+     * @param {string} edlType
+     * @returns {Promise<SidecarImportResult>} */
+    async #import(name, contents, resolveType=MarkerConflictResolution.Overwrite, edlType=MarkerType.Ad) {
+        const result = await this.sendBody('import_sidecars', {
+            sidecars : new File([contents], name),
+            sectionId : 2,
+            resolveType : resolveType,
+            edlType : edlType,
+        });
+
+        TestHelpers.checkError(result);
+        return result;
+    }
+
+    /**
+     * Ensure the import result has the expected values. Values not specified are expected to be 0.
+     * @param {SidecarImportResult} result
+     * @param {{ [key: string]: number }} expected */
+    #verifyResult(result, expected) {
+        for (const key of ['matched', 'added', 'identical', 'deleted', 'modified', 'ignored']) {
+            const value = expected[key] ?? 0;
+            TestHelpers.verify(result[key] === value, `Expected ${value} ${key} in sidecar import result, found ${result[key]}.`);
+        }
+
+        TestHelpers.verify(result.unmatched.length === expected.unmatched,
+            `Expected ${expected.unmatched} unmatched sidecar files, found ${result.unmatched.length}.`);
+    }
+
+    /**
+     * Retrieve the markers for the given item, ensuring there's the expected number of them.
+     * @param {number} metadataId
+     * @param {number} expectedCount */
+    async #markers(metadataId, expectedCount) {
+        const markers = (await this.send('query', { keys : metadataId }))[metadataId];
+        TestHelpers.verify(markers.length === expectedCount,
+            `Expected ${expectedCount} markers for ${metadataId}, found ${markers.length}.`);
+        return markers;
+    }
+
+    /**
+     * Create a zip file containing the given files.
+     * @param {{ [name: string]: string }} files */
+    #zip(files) {
+        const local = [];
+        const central = [];
+        let offset = 0;
+        for (const [name, contents] of Object.entries(files)) {
+            const nameBuffer = Buffer.from(name);
+            const data = Buffer.from(contents);
+            const compressed = deflateRawSync(data);
+            const header = Buffer.alloc(30);
+            header.writeUInt32LE(0x04034b50, 0);
+            header.writeUInt16LE(20, 4);
+            header.writeUInt16LE(8, 8);
+            header.writeUInt32LE(crc32(data), 14);
+            header.writeUInt32LE(compressed.length, 18);
+            header.writeUInt32LE(data.length, 22);
+            header.writeUInt16LE(nameBuffer.length, 26);
+            local.push(header, nameBuffer, compressed);
+
+            const entry = Buffer.alloc(46);
+            entry.writeUInt32LE(0x02014b50, 0);
+            entry.writeUInt16LE(20, 4);
+            entry.writeUInt16LE(20, 6);
+            entry.writeUInt16LE(8, 10);
+            entry.writeUInt32LE(crc32(data), 16);
+            entry.writeUInt32LE(compressed.length, 20);
+            entry.writeUInt32LE(data.length, 24);
+            entry.writeUInt16LE(nameBuffer.length, 28);
+            entry.writeUInt32LE(offset, 42);
+            central.push(entry, nameBuffer);
+            offset += header.length + nameBuffer.length + compressed.length;
+        }
+
+        const centralDirectory = Buffer.concat(central);
+        const end = Buffer.alloc(22);
+        end.writeUInt32LE(0x06054b50, 0);
+        end.writeUInt16LE(Object.keys(files).length, 8);
+        end.writeUInt16LE(Object.keys(files).length, 10);
+        end.writeUInt32LE(centralDirectory.length, 12);
+        end.writeUInt32LE(offset, 16);
+        return Buffer.concat([...local, centralDirectory, end]);
+    }
+}
+
+export default SidecarImportTest;
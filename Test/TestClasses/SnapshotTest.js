@@ -0,0 +1,219 @@
+import { existsSync, rmSync } from 'fs';
+import { join } from 'path';
+
+import { BulkMarkerResolveType, MarkerCopyAlignment } from '../../Shared/PlexTypes.js';
+import { MarkerEnum } from '../../Shared/MarkerType.js';
+import { PostCommands } from '../../Shared/PostCommands.js';
+import TestBase from '../TestBase.js';
+import TestHelpers from '../TestHelpers.js';
+
+/** @typedef {!import('../../Shared/PlexTypes').PlexDbSnapshot} PlexDbSnapshot */
+
+/**
+ * Tests Plex database snapshots taken before destructive operations, and restoring them.
+ */
+class SnapshotTest extends TestBase {
+    static #snapshotDir = join(TestBase.root, 'Backup', 'Snapshots');
+
+    constructor() {
+        super();
+        this.testMethods = [
+            this.testBulkDeleteSnapshot,
+            this.testDryRunNoSnapshot,
+            this.testShiftSnapshot,
+            this.testCopyOverwriteSnapshot,
+            this.testUndoSnapshot,
+            this.testRetention,
+            this.testRestoreRequiresSuspend,
+            this.testRestoreInvalidName,
+            this.testRestore,
+            this.testSnapshotsDisabled,
+        ];
+    }
+
+    className() { return 'SnapshotTest'; }
+
+    /**
+     * Keep fewer snapshots than usual so retention can be tested. */
+    setupConfig() {
+        this.createConfig({ features : { snapshotCount : 2 } });
+    }
+
+    /**
+     * Start each test without any snapshots. */
+    testMethodSetup() {
+        if (existsSync(SnapshotTest.#snapshotDir)) {
+            rmSync(SnapshotTest.#snapshotDir, { recursive : true, force : true });
+        }
+    }
+
+    /**
+     * Ensure bulk deleting markers snapshots the database first. */
+    async testBulkDeleteSnapshot() {
+        await this.#bulkDelete(TestBase.DefaultMetadata.Show3.Season1.Id, false /*dryRun*/);
+        const snapshots = await this.#snapshots();
+        TestHelpers.verify(snapshots.length === 1, `Expected 1 snapshot after bulk delete, found ${snapshots.length}.`);
+        TestHelpers.verify(snapshots[0].reason === PostCommands.BulkDelete,
+            `Expected snapshot reason to be "${PostCommands.BulkDelete}", found "${snapshots[0].reason}".`);
+        TestHelpers.verify(snapshots[0].size > 0, `Expected snapshot to have a size, found ${snapshots[0].size}.`);
+    }
+
+    /**
+     * Ensure dry runs don't take snapshots, since they don't modify anything. */
+    async testDryRunNoSnapshot() {
+        await this.#bulkDelete(TestBase.DefaultMetadata.Show3.Season1.Id, true /*dryRun*/);
+        const snapshots = await this.#snapshots();
+        TestHelpers.verify(snapshots.length === 0, `Expected no snapshots after a dry run, found ${snapshots.length}.`);
+    }
+
+    /**
+     * Ensure applied shifts snapshot the database first. */
+    async testShiftSnapshot() {
+        const result = await this.send(PostCommands.ShiftMarkers, {
+            id : TestBase.DefaultMetadata.Show1.Season1.Episode2.Id,
+            startShift : 1000,
+            endShift : 1000,
+            applyTo : MarkerEnum.All,
+            force : 0,
+        });
+
+        TestHelpers.verify(result.applied, `Expected shift to be applied.`);
+        const snapshots = await this.#snapshots();
+        TestHelpers.verify(snapshots.length === 1, `Expected 1 snapshot after shift, found ${snapshots.length}.`);
+        TestHelpers.verify(snapshots[0].reason === PostCommands.ShiftMarkers,
+            `Expected snapshot reason to be "${PostCommands.ShiftMarkers}", found "${snapshots[0].reason}".`);
+    }
+
+    /**
+     * Ensure copies only snapshot the database if they can overwrite existing markers. */
+    async testCopyOverwriteSnapshot() {
+        const season = TestBase.DefaultMetadata.Show1.Season1;
+        await this.#copy(season.Episode2.Id, season.Id, BulkMarkerResolveType.Merge);
+        let snapshots = await this.#snapshots();
+        TestHelpers.verify(snapshots.length === 0, `Expected no snapshots after a merge copy, found ${snapshots.length}.`);
+
+        await this.#copy(season.Episode2.Id, season.Id, BulkMarkerResolveType.Overwrite);
+        snapshots = await this.#snapshots();
+        TestHelpers.verify(snapshots.length === 1, `Expected 1 snapshot after an overwrite copy, found ${snapshots.length}.`);
+        TestHelpers.verify(snapshots[0].reason === PostCommands.CopyMarkers,
+            `Expected snapshot reason to be "${PostCommands.CopyMarkers}", found "${snapshots[0].reason}".`);
+    }
+
+    /**
+     * Ensure undoing an operation snapshots the database first. */
+    async testUndoSnapshot() {
+        await this.#bulkDelete(TestBase.DefaultMetadata.Show3.Season1.Id, false /*dryRun*/);
+        await this.send(PostCommands.Undo, { sectionId : 1, batchId : this.lastBatchId });
+        const snapshots = await this.#snapshots();
+        TestHelpers.verify(snapshots.length === 2, `Expected 2 snapshots after bulk delete and undo, found ${snapshots.length}.`);
+        TestHelpers.verify(snapshots[0].reason === PostCommands.Undo,
+            `Expected newest snapshot reason to be "${PostCommands.Undo}", found "${snapshots[0].reason}".`);
+    }
+
+    /**
+     * Ensure we only keep the configured number of snapshots, removing the oldest ones. */
+    async testRetention() {
+        for (const show of [TestBase.DefaultMetadata.Show1, TestBase.DefaultMetadata.Show2, TestBase.DefaultMetadata.Show3]) {
+            await this.#bulkDelete(show.Id, false /*dryRun*/);
+        }
+
+        const snapshots = await this.#snapshots();
+        TestHelpers.verify(snapshots.length === 2, `Expected retention to limit snapshots to 2, found ${snapshots.length}.`);
+        TestHelpers.verify(snapshots[0].created >= snapshots[1].created, `Expected snapshots to be sorted newest first.`);
+    }
+
+    /**
+     * Ensure we don't overwrite the database while we're still connected to it. */
+    async testRestoreRequiresSuspend() {
+        this.expectFailure();
+        await this.#bulkDelete(TestBase.DefaultMetadata.Show3.Season1.Id, false /*dryRun*/);
+        const [snapshot] = await this.#snapshots();
+        const response = await this.send(PostCommands.RestoreSnapshot, { name : snapshot.name }, true /*raw*/);
+        await TestHelpers.verifyBadRequest(response, 'restore while running');
+    }
+
+    /**
+     * Ensure only existing snapshots in the snapshot directory can be restored. */
+    async testRestoreInvalidName() {
+        this.expectFailure();
+        await this.suspend();
+        for (const name of ['1-bulk_delete.db', '../plexDbTest.db', '../../Test/plexDbTest.db', 'snapshot.db']) {
+            const response = await this.send(PostCommands.RestoreSnapshot, { name }, true /*raw*/);
+            TestHelpers.verify(response.status === 404, `Expected restoring "${name}" to return 404, got ${response.status}.`);
+        }
+    }
+
+    /**
+     * Ensure restoring a snapshot brings back deleted markers, and snapshots the pre-restore database. */
+    async testRestore() {
+        const episode = TestBase.DefaultMetadata.Show3.Season1.Episode1;
+        await this.#bulkDelete(episode.Id, false /*dryRun*/);
+        await TestHelpers.validateMarker(
+            { id : episode.Marker1.Id }, null, null, null, null, null, null, null, null, this.testDb, true /*isDeleted*/);
+        const [snapshot] = await this.#snapshots();
+
+        await this.suspend();
+        const result = await this.send(PostCommands.RestoreSnapshot, { name : snapshot.name });
+        TestHelpers.verify(result.restored === snapshot.name, `Expected "${snapshot.name}" to be restored, found "${result.restored}".`);
+        await this.resume();
+
+        await TestHelpers.validateMarker(
+            { id : episode.Marker1.Id }, null, null, null, null, null, null, null, null, this.testDb, false /*isDeleted*/);
+        const snapshots = await this.#snapshots();
+        TestHelpers.verify(snapshots.length === 2, `Expected a new snapshot before restoring, found ${snapshots.length} snapshots.`);
+        TestHelpers.verify(snapshots[0].reason === PostCommands.RestoreSnapshot,
+            `Expected newest snapshot reason to be "${PostCommands.RestoreSnapshot}", found "${snapshots[0].reason}".`);
+    }
+
+    /**
+     * Ensure no snapshots are taken if the snapshot count is 0. */
+    async testSnapshotsDisabled() {
+        await this.suspend();
+        this.createConfig({ features : { snapshotCount : 0 } });
+        await this.resume();
+        try {
+            await this.#bulkDelete(TestBase.DefaultMetadata.Show3.Season1.Id, false /*dryRun*/);
+            const snapshots = await this.#snapshots();
+            TestHelpers.verify(snapshots.length === 0, `Expected no snapshots when disabled, found ${snapshots.length}.`);
+        } finally {
+            this.setupConfig();
+        }
+    }
+
+    /**
+     * @returns {Promise<PlexDbSnapshot[]>} */
+    #snapshots() {
+        return this.send(PostCommands.GetSnapshots);
+    }
+
+    /**
+     * @param {number} id
+     * @param {boolean} dryRun */
+    #bulkDelete(id, dryRun) {
+        return this.send(PostCommands.BulkDelete, {
+            id : id,
+            dryRun : dryRun ? 1 : 0,
+            applyTo : MarkerEnum.All,
+            ignored : '',
+        });
+    }
+
+    /**
+     * @param {number} sourceId
+     * @param {number} targetId
+     * @param {number} resolveType */
+    async #copy(sourceId, targetId, resolveType) {
+        const result = await this.send(PostCommands.CopyMarkers, {
+            sourceId : sourceId,
+            id : targetId,
+            applyTo : MarkerEnum.All,
+            alignment : MarkerCopyAlignment.Absolute,
+            resolveType : resolveType,
+        });
+
+        TestHelpers.checkError(result);
+        return result;
+    }
+}
+
+export default SnapshotTest;
@@ -0,0 +1,270 @@
+/* eslint-disable max-len */
+import { MarkerEnum } from '../../Shared/MarkerType.js';
+import TestBase from '../TestBase.js';
+import TestHelpers from '../TestHelpers.js';
+
+/** @typedef {!import('../../Shared/PlexTypes').BulkRestoreResponse} BulkRestoreResponse */
+
+/**
+ * Tests the undo and redo endpoints.
+ */
+class UndoTest extends TestBase {
+    constructor() {
+        super();
+        this.testMethods = [
+            this.undoAddTest,
+            this.undoEditTest,
+            this.undoEditTypeTest,
+            this.undoDeleteTest,
+            this.undoBulkDeleteTest,
+            this.undoShiftTest,
+            this.undoMovieTest,
+            this.redoTest,
+            this.multipleUndoRedoTest,
+            this.undoEditAfterUndoDeleteTest,
+            this.nothingToUndoTest,
+            this.nothingToRedoTest,
+            this.redoInvalidatedTest,
+            this.undoNotLatestTest,
+        ];
+    }
+
+    className() { return 'UndoTest'; }
+
+    /**
+     * Ensure undoing an add deletes the new marker. */
+    async undoAddTest() {
+        const episode = TestBase.DefaultMetadata.Show1.Season1.Episode1;
+        const added = await this.addMarker(episode.Id, 10000, 20000);
+        TestHelpers.checkError(added);
+
+        const result = await this.#undo(1);
+        this.#verifyCounts(result, 0, 1, 0);
+        await TestHelpers.validateMarker(result.deletedMarkers[episode.Id][0], null, episode.Id, null, null, 10000, 20000, null, null, this.testDb, true /*isDeleted*/);
+    }
+
+    /**
+     * Ensure undoing an edit restores the original timings. */
+    async undoEditTest() {
+        const episode = TestBase.DefaultMetadata.Show1.Season1.Episode2;
+        const marker = episode.Marker1;
+        TestHelpers.checkError(await this.editMarker(marker.Id, marker.Start + 1000, marker.End + 1000));
+
+        const result = await this.#undo(1);
+        this.#verifyCounts(result, 0, 0, 1);
+        await TestHelpers.validateMarker(result.modifiedMarkers[episode.Id][0], marker.Type, episode.Id, null, null, marker.Start, marker.End, marker.Index, marker.Final, this.testDb);
+    }
+
+    /**
+     * Ensure undoing an edit also restores the marker type and final flag. */
+    async undoEditTypeTest() {
+        const episode = TestBase.DefaultMetadata.Show3.Season1.Episode2;
+        const marker = episode.Marker3;
+        TestHelpers.checkError(await this.editMarker(marker.Id, marker.Start, marker.End, 'intro', false));
+
+        const result = await this.#undo(1);
+        await TestHelpers.validateMarker(result.modifiedMarkers[episode.Id][0], marker.Type, episode.Id, null, null, marker.Start, marker.End, marker.Index, marker.Final, this.testDb);
+    }
+
+    /**
+     * Ensure undoing a delete re-creates the marker with its original type and final flag. */
+    async undoDeleteTest() {
+        const episode = TestBase.DefaultMetadata.Show3.Season1.Episode2;
+        const marker = episode.Marker3;
+        TestHelpers.checkError(await this.send('delete', { id : marker.Id }));
+
+        const result = await this.#undo(1);
+        this.#verifyCounts(result, 1, 0, 0);
+        await TestHelpers.validateMarker(result.newMarkers[episode.Id][0], marker.Type, episode.Id, null, null, marker.Start, marker.End, marker.Index, marker.Final, this.testDb);
+    }
+
+    /**
+     * Ensure a bulk delete is undone in a single operation. */
+    async undoBulkDeleteTest() {
+        const show = TestBase.DefaultMetadata.Show3;
+        TestHelpers.checkError(await this.send('bulk_delete', { id : show.Id, dryRun : 0, applyTo : MarkerEnum.All, ignored : '' }));
+
+        const result = await this.#undo(1);
+        this.#verifyCounts(result, 5, 0, 0);
+        const episode = show.Season1.Episode2;
+        const restored = result.newMarkers[episode.Id].sort((a, b) => a.start - b.start);
+        for (const [index, marker] of [episode.Marker1, episode.Marker2, episode.Marker3].entries()) {
+            await TestHelpers.validateMarker(restored[index], marker.Type, episode.Id, null, null, marker.Start, marker.End, marker.Index, marker.Final, this.testDb);
+        }
+
+        const count = (await this.testDb.get('SELECT COUNT(*) AS count FROM taggings WHERE tag_id=1;')).count;
+        TestHelpers.verify(count === 11, `Expected 11 markers after undoing bulk delete, found ${count}.`);
+    }
+
+    /**
+     * Ensure a shift of an entire season is undone in a single operation. */
+    async undoShiftTest() {
+        const season = TestBase.DefaultMetadata.Show3.Season1;
+        TestHelpers.checkError(await this.send('shift', { id : season.Id, startShift : 1000, endShift : 1000, applyTo : MarkerEnum.All, force : 1, ignored : '' }));
+
+        const result = await this.#undo(1);
+        this.#verifyCounts(result, 0, 0, 4);
+        for (const marker of [season.Episode1.Marker1, season.Episode2.Marker1, season.Episode2.Marker2, season.Episode2.Marker3]) {
+            const row = await this.testDb.get('SELECT * FROM taggings WHERE id=?;', [marker.Id]);
+            TestHelpers.verify(row.time_offset === marker.Start && row.end_time_offset === marker.End,
+                `Expected marker ${marker.Id} to be ${marker.Start}-${marker.End} after undo, found ${row.time_offset}-${row.end_time_offset}.`);
+        }
+    }
+
+    /**
+     * Ensure undo works for movie libraries. */
+    async undoMovieTest() {
+        const movie = TestBase.DefaultMetadata.Movie3;
+        TestHelpers.checkError(await this.send('delete', { id : movie.Marker1.Id }));
+
+        const result = await this.#undo(2);
+        this.#verifyCounts(result, 1, 0, 0);
+        const marker = movie.Marker1;
+        await TestHelpers.validateMarker(result.newMarkers[movie.Id][0], marker.Type, movie.Id, -1, -1, marker.Start, marker.End, marker.Index, marker.Final, this.testDb);
+    }
+
+    /**
+     * Ensure redo reapplies an undone operation. */
+    async redoTest() {
+        const episode = TestBase.DefaultMetadata.Show1.Season1.Episode2;
+        const marker = episode.Marker1;
+        TestHelpers.checkError(await this.editMarker(marker.Id, marker.Start + 1000, marker.End + 1000));
+        await this.#undo(1);
+
+        const result = await this.#redo(1);
+        this.#verifyCounts(result, 0, 0, 1);
+        await TestHelpers.validateMarker(result.modifiedMarkers[episode.Id][0], marker.Type, episode.Id, null, null, marker.Start + 1000, marker.End + 1000, marker.Index, marker.Final, this.testDb);
+    }
+
+    /**
+     * Ensure multiple operations are undone and redone in the right order. */
+    async multipleUndoRedoTest() {
+        const episode = TestBase.DefaultMetadata.Show1.Season1.Episode1;
+        const added = await this.addMarker(episode.Id, 10000, 20000);
+        const addBatch = this.lastBatchId;
+        TestHelpers.checkError(await this.editMarker(added.id, 10000, 25000));
+
+        // Undo edit
+        let result = await this.#undo(1);
+        const undoEditBatch = this.lastBatchId;
+        this.#verifyCounts(result, 0, 0, 1);
+        await TestHelpers.validateMarker(result.modifiedMarkers[episode.Id][0], null, episode.Id, null, null, 10000, 20000, null, null, this.testDb);
+
+        // Undo add
+        result = await this.#undo(1, addBatch);
+        this.#verifyCounts(result, 0, 1, 0);
+
+        // Redo add, which will have a new marker id
+        result = await this.#redo(1);
+        this.#verifyCounts(result, 1, 0, 0);
+        await TestHelpers.validateMarker(result.newMarkers[episode.Id][0], null, episode.Id, null, null, 10000, 20000, null, null, this.testDb);
+
+        // Redo edit, which should apply to the marker with the new id.
+        result = await this.#redo(1, undoEditBatch);
+        this.#verifyCounts(result, 0, 0, 1);
+        await TestHelpers.validateMarker(result.modifiedMarkers[episode.Id][0], null, episode.Id, null, null, 10000, 25000, null, null, this.testDb);
+
+        this.expectFailure();
+        await TestHelpers.verifyBadRequest(await this.send('redo', { sectionId : 1, batchId : undoEditBatch }, true /*raw*/), 'redo with empty redo stack');
+    }
+
+    /**
+     * Ensure undoing an edit to a marker that was deleted and then restored via undo applies to the restored marker. */
+    async undoEditAfterUndoDeleteTest() {
+        const episode = TestBase.DefaultMetadata.Show1.Season1.Episode2;
+        const marker = episode.Marker1;
+        TestHelpers.checkError(await this.editMarker(marker.Id, marker.Start + 1000, marker.End + 1000));
+        const editBatch = this.lastBatchId;
+        TestHelpers.checkError(await this.send('delete', { id : marker.Id }));
+
+        await this.#undo(1);
+        const result = await this.#undo(1, editBatch);
+        this.#verifyCounts(result, 0, 0, 1);
+        TestHelpers.verify(result.modifiedMarkers[episode.Id][0].id !== marker.Id, `Expected undo to apply to the restored marker, not the original.`);
+        await TestHelpers.validateMarker(result.modifiedMarkers[episode.Id][0], marker.Type, episode.Id, null, null, marker.Start, marker.End, marker.Index, marker.Final, this.testDb);
+    }
+
+    /**
+     * Ensure undo fails when there's nothing to undo. */
+    async nothingToUndoTest() {
+        this.expectFailure();
+        await TestHelpers.verifyBadRequest(await this.send('undo', { sectionId : 1, batchId : 1 }, true /*raw*/), 'undo without any actions');
+
+        // Operations in other sections can't be undone.
+        TestHelpers.checkError(await this.send('delete', { id : TestBase.DefaultMetadata.Movie3.Marker1.Id }));
+        await TestHelpers.verifyBadRequest(await this.send('undo', { sectionId : 1, batchId : this.lastBatchId }, true /*raw*/), 'undo without any actions in the section');
+    }
+
+    /**
+     * Ensure redo fails when nothing has been undone. */
+    async nothingToRedoTest() {
+        this.expectFailure();
+        TestHelpers.checkError(await this.addMarker(TestBase.DefaultMetadata.Show1.Season1.Episode1.Id, 10000, 20000));
+        await TestHelpers.verifyBadRequest(await this.send('redo', { sectionId : 1, batchId : this.lastBatchId }, true /*raw*/), 'redo without any undone actions');
+    }
+
+    /**
+     * Ensure a new operation after an undo clears out the redo stack. */
+    async redoInvalidatedTest() {
+        this.expectFailure();
+        const episode = TestBase.DefaultMetadata.Show1.Season1.Episode1;
+        TestHelpers.checkError(await this.addMarker(episode.Id, 10000, 20000));
+        await this.#undo(1);
+        const undoBatch = this.lastBatchId;
+        TestHelpers.checkError(await this.addMarker(episode.Id, 30000, 40000));
+        await TestHelpers.verifyBadRequest(await this.send('redo', { sectionId : 1, batchId : undoBatch }, true /*raw*/), 'redo after a new operation');
+    }
+
+    /**
+     * Ensure an operation can't be undone if a different operation was made after it, e.g. from a different client. */
+    async undoNotLatestTest() {
+        this.expectFailure();
+        const episode = TestBase.DefaultMetadata.Show1.Season1.Episode1;
+        TestHelpers.checkError(await this.addMarker(episode.Id, 10000, 20000));
+        const firstBatch = this.lastBatchId;
+        TestHelpers.checkError(await this.addMarker(episode.Id, 30000, 40000));
+        await TestHelpers.verifyBadRequest(await this.send('undo', { sectionId : 1, batchId : firstBatch }, true /*raw*/), 'undo of an older operation');
+
+        const count = (await this.testDb.get('SELECT COUNT(*) AS count FROM taggings WHERE metadata_item_id=?;', [episode.Id])).count;
+        TestHelpers.verify(count === 2, `Expected a failed undo to leave both markers in place, found ${count}.`);
+
+        // Once the newer operation is undone, the older one can be too.
+        this.#verifyCounts(await this.#undo(1), 0, 1, 0);
+        this.#verifyCounts(await this.#undo(1, firstBatch), 0, 1, 0);
+    }
+
+    /**
+     * @param {number} sectionId
+     * @param {number} [batchId] The batch to undo. Defaults to the batch created by the last request.
+     * @returns {Promise<BulkRestoreResponse>} */
+    async #undo(sectionId, batchId=this.lastBatchId) {
+        const result = await this.send('undo', { sectionId, batchId });
+        TestHelpers.checkError(result);
+        return result;
+    }
+
+    /**
+     * @param {number} sectionId
+     * @param {number} [batchId] The undo batch to redo. Defaults to the batch created by the last request.
+     * @returns {Promise<BulkRestoreResponse>} */
+    async #redo(sectionId, batchId=this.lastBatchId) {
+        const result = await this.send('redo', { sectionId, batchId });
+        TestHelpers.checkError(result);
+        return result;
+    }
+
+    /**
+     * Verify the number of added, deleted, and modified markers in an undo/redo result.
+     * @param {BulkRestoreResponse} result
+     * @param {number} added
+     * @param {number} deleted
+     * @param {number} modified */
+    #verifyCounts(result, added, deleted, modified) {
+        const count = map => Object.values(map).reduce((sum, markers) => sum + markers.length, 0);
+        TestHelpers.verify(count(result.newMarkers) === added, `Expected ${added} restored marker(s), found ${count(result.newMarkers)}.`);
+        TestHelpers.verify(count(result.deletedMarkers) === deleted, `Expected ${deleted} deleted marker(s), found ${count(result.deletedMarkers)}.`);
+        TestHelpers.verify(count(result.modifiedMarkers) === modified, `Expected ${modified} modified marker(s), found ${count(result.modifiedMarkers)}.`);
+    }
+}
+
+export default UndoTest;
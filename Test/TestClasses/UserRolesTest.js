@@ -0,0 +1,191 @@
+import { CommandRoles, PostCommands, UserRole } from '../../Shared/PostCommands.js';
+
+import TestBase from '../TestBase.js';
+import TestHelpers from '../TestHelpers.js';
+import { User } from '../../Server/Authentication/Authentication.js';
+
+/**
+ * Tests multiple user accounts and their roles.
+ */
+class UserRolesTest extends TestBase {
+    constructor() {
+        super();
+        this.testMethods = [
+            this.testFirstUserIsAdmin,
+            this.testAddUsers,
+            this.testOnlyAdminProtected,
+            this.testChangeUsername,
+            this.testSessionUser,
+            this.testRemoveUser,
+            this.testAllCommandsHaveRoles,
+            this.testManageUsersCommands,
+        ];
+    }
+
+    className() { return 'UserRolesTest'; }
+
+    // Users live in auth.db, which isn't reset between tests, so always start from scratch.
+    async testMethodSetup() {
+        await User.removePassword();
+    }
+
+    async testMethodTeardown() {
+        await User.removePassword();
+        return super.testMethodTeardown();
+    }
+
+    /**
+     * Ensure the initial account is always an admin. */
+    async testFirstUserIsAdmin() {
+        TestHelpers.verify(await User.changePassword('Admin', '', 'password'), `Expected initial password set to succeed.`);
+        this.#verifyUsers([{ username : 'Admin', role : UserRole.Admin }]);
+        TestHelpers.verify(await User.login('admin', 'password'), `Expected case-insensitive username login to succeed.`);
+        TestHelpers.verify(!(await User.login('Admin', 'password2')), `Expected login with the wrong password to fail.`);
+        TestHelpers.verify(!(await User.login('Other', 'password')), `Expected login with an unknown user to fail.`);
+    }
+
+    /**
+     * Ensure additional users can be added, and that they can't conflict with existing users. */
+    async testAddUsers() {
+        await User.changePassword('Admin', '', 'password');
+        await User.addUser('Editor', 'editorPass', UserRole.Editor);
+        await User.addUser('Viewer', 'viewerPass', UserRole.Viewer);
+        this.#verifyUsers([
+            { username : 'Admin', role : UserRole.Admin },
+            { username : 'Editor', role : UserRole.Editor },
+            { username : 'Viewer', role : UserRole.Viewer },
+        ]);
+
+        TestHelpers.verify(await User.login('Editor', 'editorPass'), `Expected new user to be able to log in.`);
+        TestHelpers.verify(!(await User.login('Editor', 'password')), `Expected users to have separate passwords.`);
+
+        await this.#verifyThrows(() => User.addUser('editor', 'pass', UserRole.Viewer), 400, 'adding a duplicate user');
+        await this.#verifyThrows(() => User.addUser('Bad User', 'pass', UserRole.Viewer), 400, 'adding a user with whitespace');
+        await this.#verifyThrows(() => User.addUser('NoPass', '', UserRole.Viewer), 400, 'adding a user without a password');
+        await this.#verifyThrows(() => User.addUser('BadRole', 'pass', 3), 400, 'adding a user with an invalid role');
+    }
+
+    /**
+     * Ensure the only admin can't be removed or demoted. */
+    async testOnlyAdminProtected() {
+        await User.changePassword('Admin', '', 'password');
+        await User.addUser('Editor', 'editorPass', UserRole.Editor);
+        await this.#verifyThrows(() => User.removeUser('Admin'), 400, 'removing the only admin');
+        await this.#verifyThrows(() => User.setRole('Admin', UserRole.Editor), 400, 'demoting the only admin');
+
+        await User.setRole('Editor', UserRole.Admin);
+        await User.setRole('Admin', UserRole.Viewer);
+        this.#verifyUsers([
+            { username : 'Admin', role : UserRole.Viewer },
+            { username : 'Editor', role : UserRole.Admin },
+        ]);
+    }
+
+    /**
+     * Ensure users can be renamed, but not to the name of another user. */
+    async testChangeUsername() {
+        await User.changePassword('Admin', '', 'password');
+        await User.addUser('Editor', 'editorPass', UserRole.Editor);
+        await User.changeUsername('Editor', 'Editor2');
+        TestHelpers.verify(await User.login('Editor2', 'editorPass'), `Expected to log in with new username.`);
+        TestHelpers.verify(!User.get('Editor'), `Expected old username to no longer exist.`);
+
+        // Changing case only is allowed.
+        await User.changeUsername('Editor2', 'EDITOR2');
+        TestHelpers.verify(User.get('editor2')?.username === 'EDITOR2', `Expected username case to change.`);
+        await this.#verifyThrows(() => User.changeUsername('EDITOR2', 'admin'), 400, 'renaming to an existing user');
+    }
+
+    /**
+     * Ensure sessions map to the right user. */
+    async testSessionUser() {
+        await User.changePassword('Admin', '', 'password');
+        await User.addUser('Viewer', 'viewerPass', UserRole.Viewer);
+        const session = { authenticated : true };
+        User.setSessionUser(session, 'Viewer');
+        TestHelpers.verify(User.sessionUser({ session })?.username === 'Viewer', `Expected session to belong to Viewer.`);
+
+        // Sessions from before multiple users were supported belong to the original admin.
+        TestHelpers.verify(User.sessionUser({ session : { authenticated : true } })?.username === 'Admin',
+            `Expected legacy session to belong to the original admin.`);
+        TestHelpers.verify(!User.signedIn({ session : { authenticated : false, userId : session.userId } }),
+            `Expected unauthenticated session to not be signed in.`);
+    }
+
+    /**
+     * Ensure removed users can no longer log in or use existing sessions. */
+    async testRemoveUser() {
+        await User.changePassword('Admin', '', 'password');
+        await User.addUser('Editor', 'editorPass', UserRole.Editor);
+        const session = { authenticated : true };
+        User.setSessionUser(session, 'Editor');
+        await User.removeUser('editor');
+
+        this.#verifyUsers([{ username : 'Admin', role : UserRole.Admin }]);
+        TestHelpers.verify(!User.signedIn({ session }), `Expected removed user's session to no longer be valid.`);
+        TestHelpers.verify(!(await User.login('Editor', 'editorPass')), `Expected removed user to not be able to log in.`);
+    }
+
+    /**
+     * Ensure every command has an explicit role, and that roles are in the expected order. */
+    testAllCommandsHaveRoles() {
+        for (const command of Object.values(PostCommands)) {
+            TestHelpers.verify(command in CommandRoles, `Expected "${command}" to have an explicit role.`);
+        }
+
+        TestHelpers.verify(CommandRoles[PostCommands.Query] === UserRole.Viewer, `Expected viewers to be able to query markers.`);
+        TestHelpers.verify(CommandRoles[PostCommands.AddMarker] === UserRole.Editor, `Expected only editors to be able to add markers.`);
+        TestHelpers.verify(CommandRoles[PostCommands.SetConfig] === UserRole.Admin, `Expected only admins to be able to change settings.`);
+        TestHelpers.verify(CommandRoles[PostCommands.Nuke] === UserRole.Admin, `Expected only admins to be able to delete all markers.`);
+    }
+
+    /**
+     * Ensure users can be managed via POST commands, but only once authentication is set up. */
+    async testManageUsersCommands() {
+        this.expectFailure();
+        const noUsers = await this.sendBody(PostCommands.AddUser, { username : 'Editor', password : 'pass', role : UserRole.Editor }, true);
+        await TestHelpers.verifyBadRequest(noUsers, 'add_user without an admin');
+
+        await User.changePassword('Admin', '', 'password');
+        /** @type {{ username: string, role: number }[]} */
+        let users = await this.sendBody(PostCommands.AddUser, { username : 'Editor', password : 'pass', role : UserRole.Editor });
+        TestHelpers.checkError(users);
+        TestHelpers.verify(users.length === 2 && users[1].username === 'Editor', `Expected add_user to return the new user.`);
+
+        users = await this.sendBody(PostCommands.SetUserRole, { username : 'Editor', role : UserRole.Viewer });
+        TestHelpers.checkError(users);
+        TestHelpers.verify(users[1].role === UserRole.Viewer, `Expected set_user_role to change the role.`);
+
+        TestHelpers.checkError(await this.sendBody(PostCommands.ResetUserPassword, { username : 'Editor', newPass : 'newPass' }));
+        TestHelpers.verify(await User.login('Editor', 'newPass'), `Expected reset_user_password to change the password.`);
+
+        users = await this.sendBody(PostCommands.RemoveUser, { username : 'Editor' });
+        TestHelpers.checkError(users);
+        TestHelpers.verify(users.length === 1, `Expected remove_user to remove the user.`);
+    }
+
+    /**
+     * @param {{ username: string, role: number }[]} expected */
+    #verifyUsers(expected) {
+        const users = User.users();
+        TestHelpers.verify(JSON.stringify(users) === JSON.stringify(expected),
+            `Expected users to be ${JSON.stringify(expected)}, found ${JSON.stringify(users)}.`);
+    }
+
+    /**
+     * @param {() => Promise<any>} fn
+     * @param {number} code The expected ServerError code.
+     * @param {string} testCase */
+    async #verifyThrows(fn, code, testCase) {
+        try {
+            await fn();
+        } catch (err) {
+            TestHelpers.verify(err.code === code, `Expected ${testCase} to fail with ${code}, found ${err.code} (${err.message}).`);
+            return;
+        }
+
+        TestHelpers.verify(false, `Expected ${testCase} to fail.`);
+    }
+}
+
+export default UserRolesTest;
@@ -0,0 +1,241 @@
+import { createHmac } from 'crypto';
+import { createServer } from 'http';
+
+import { ServerSettings, WebhookEvent } from '../../Shared/ServerConfig.js';
+import { MarkerEnum } from '../../Shared/MarkerType.js';
+import { PostCommands } from '../../Shared/PostCommands.js';
+
+import TestBase from '../TestBase.js';
+import TestHelpers from '../TestHelpers.js';
+
+/**
+ * @typedef {Object} ReceivedWebhook
+ * @property {string} path
+ * @property {{ [header: string]: string }} headers
+ * @property {string} body
+ * @property {any} payload
+ */
+
+/**
+ * Tests outgoing webhook deliveries when markers change.
+ */
+class WebhookTest extends TestBase {
+    static #secret = 'WebhookSecret';
+
+    /** @type {import('http').Server} */
+    #server;
+    /** @type {string} */
+    #baseUrl;
+    /** @type {ReceivedWebhook[]} */
+    #received = [];
+
+    constructor() {
+        super();
+        this.testMethods = [
+            this.testAddWebhook,
+            this.testEditWebhook,
+            this.testDeleteWebhook,
+            this.testPurgeWebhook,
+            this.testEventFilter,
+            this.testSignature,
+            this.testSendTestWebhook,
+            this.testTestWebhookFailure,
+            this.testTestWebhookInvalidUrl,
+            this.testValidateWebhooks,
+        ];
+    }
+
+    className() { return 'WebhookTest'; }
+
+    async setupConfig() {
+        this.#server = createServer((req, res) => {
+            let body = '';
+            req.on('data', chunk => { body += chunk; });
+            req.on('end', () => {
+                this.#received.push({ path : req.url, headers : req.headers, body : body, payload : JSON.parse(body) });
+                res.writeHead(req.url === '/fail' ? 400 : 200).end();
+            });
+        });
+
+        await new Promise(resolve => { this.#server.listen(0, 'localhost', resolve); });
+        this.#baseUrl = `http://localhost:${this.#server.address().port}`;
+        this.createConfig({ webhooks : [
+            { url : `${this.#baseUrl}/all`, secret : WebhookTest.#secret },
+            { url : `${this.#baseUrl}/deleted`, events : [WebhookEvent.Deleted] },
+        ] });
+    }
+
+    // eslint-disable-next-line require-await
+    async testMethodSetup() {
+        this.#received = [];
+    }
+
+    classTeardown() {
+        return new Promise(resolve => { this.#server?.close(resolve); });
+    }
+
+    /**
+     * Ensure adding a marker sends an 'added' payload with the item's GUID. */
+    async testAddWebhook() {
+        const episode = TestBase.DefaultMetadata.Show1.Season1.Episode2;
+        const marker = await this.addMarker(episode.Id, 0, 10000);
+        const [hook] = await this.#waitForWebhooks(1);
+        TestHelpers.verify(hook.path === '/all', `Expected a single delivery to /all, found ${hook.path}.`);
+        TestHelpers.verify(hook.headers['x-marker-editor-event'] === WebhookEvent.Added,
+            `Expected an 'added' event header, found ${hook.headers['x-marker-editor-event']}.`);
+
+        const payload = hook.payload;
+        TestHelpers.verify(payload.event === WebhookEvent.Added, `Expected an 'added' event, found ${payload.event}.`);
+        TestHelpers.verify(payload.id === hook.headers['x-marker-editor-delivery'],
+            `Expected the delivery header to match the payload id.`);
+        TestHelpers.verify(payload.markers.length === 1, `Expected a single marker in the payload, found ${payload.markers.length}.`);
+        const hookMarker = payload.markers[0];
+        TestHelpers.verify(hookMarker.id === marker.id && hookMarker.start === 0 && hookMarker.end === 10000,
+            `Expected the payload to contain the new marker, found ${JSON.stringify(hookMarker)}.`);
+        TestHelpers.verify(hookMarker.metadataId === episode.Id && hookMarker.guid === '3',
+            `Expected the payload to contain the episode id and GUID, found ${JSON.stringify(hookMarker)}.`);
+        TestHelpers.verify(!hookMarker.previous, `Added markers shouldn't have previous values.`);
+    }
+
+    /**
+     * Ensure editing a marker includes the previous marker values. */
+    async testEditWebhook() {
+        const marker = TestBase.DefaultMetadata.Show1.Season1.Episode2.Marker1;
+        await this.editMarker(marker.Id, marker.Start + 1000, marker.End + 1000);
+        const [hook] = await this.#waitForWebhooks(1);
+        const hookMarker = hook.payload.markers[0];
+        TestHelpers.verify(hook.payload.event === WebhookEvent.Edited, `Expected an 'edited' event, found ${hook.payload.event}.`);
+        TestHelpers.verify(hookMarker.start === marker.Start + 1000 && hookMarker.end === marker.End + 1000,
+            `Expected the payload to contain the new timings, found ${JSON.stringify(hookMarker)}.`);
+        TestHelpers.verify(hookMarker.previous?.start === marker.Start && hookMarker.previous?.end === marker.End,
+            `Expected the payload to contain the old timings, found ${JSON.stringify(hookMarker.previous)}.`);
+    }
+
+    /**
+     * Ensure deleting a marker notifies both the catch-all webhook and the deleted-only webhook. */
+    async testDeleteWebhook() {
+        const marker = TestBase.DefaultMetadata.Show1.Season1.Episode2.Marker1;
+        TestHelpers.checkError(await this.send(PostCommands.DeleteMarker, { id : marker.Id }));
+        const hooks = await this.#waitForWebhooks(2);
+        const paths = hooks.map(h => h.path).sort();
+        TestHelpers.verify(paths[0] === '/all' && paths[1] === '/deleted', `Expected deliveries to both webhooks, found ${paths}.`);
+        for (const hook of hooks) {
+            TestHelpers.verify(hook.payload.event === WebhookEvent.Deleted, `Expected a 'deleted' event, found ${hook.payload.event}.`);
+            TestHelpers.verify(hook.payload.markers[0].id === marker.Id, `Expected the deleted marker in the payload.`);
+        }
+    }
+
+    /**
+     * Ensure deleting all markers in a section sends a 'purged' event. */
+    async testPurgeWebhook() {
+        TestHelpers.checkError(await this.send(PostCommands.Nuke, { sectionId : 1, deleteType : MarkerEnum.Intro }));
+        const [hook] = await this.#waitForWebhooks(1);
+        const payload = hook.payload;
+        TestHelpers.verify(payload.event === WebhookEvent.Purged, `Expected a 'purged' event, found ${payload.event}.`);
+        TestHelpers.verify(payload.sectionId === 1, `Expected section 1 to be purged, found ${payload.sectionId}.`);
+        TestHelpers.verify(payload.markerTypes.length === 1 && payload.markerTypes[0] === 'intro',
+            `Expected only intro markers to be purged, found ${payload.markerTypes}.`);
+        TestHelpers.verify(payload.deleted > 0, `Expected a non-zero number of deleted markers, found ${payload.deleted}.`);
+    }
+
+    /**
+     * Ensure webhooks aren't notified of events they didn't subscribe to. */
+    async testEventFilter() {
+        const episode = TestBase.DefaultMetadata.Show1.Season1.Episode2;
+        await this.addMarker(episode.Id, 0, 10000);
+        await this.#waitForWebhooks(1);
+
+        // Give the deleted-only webhook a chance to (incorrectly) be notified.
+        await new Promise(r => { setTimeout(r, 250); });
+        TestHelpers.verify(this.#received.length === 1, `Expected a single delivery, found ${this.#received.length}.`);
+        TestHelpers.verify(this.#received[0].path === '/all', `Expected the delivery to go to /all, found ${this.#received[0].path}.`);
+    }
+
+    /**
+     * Ensure payloads are signed if the webhook has a secret, and unsigned otherwise. */
+    async testSignature() {
+        const marker = TestBase.DefaultMetadata.Show1.Season1.Episode2.Marker1;
+        TestHelpers.checkError(await this.send(PostCommands.DeleteMarker, { id : marker.Id }));
+        const hooks = await this.#waitForWebhooks(2);
+        const signed = hooks.find(h => h.path === '/all');
+        const expected = 'sha256=' + createHmac('sha256', WebhookTest.#secret).update(signed.body).digest('hex');
+        TestHelpers.verify(signed.headers['x-marker-editor-signature'] === expected,
+            `Expected signature ${expected}, found ${signed.headers['x-marker-editor-signature']}.`);
+
+        const unsigned = hooks.find(h => h.path === '/deleted');
+        TestHelpers.verify(!unsigned.headers['x-marker-editor-signature'], `Expected webhooks without a secret to be unsigned.`);
+    }
+
+    /**
+     * Ensure test payloads are sent to arbitrary URLs, and show up in the delivery log. */
+    async testSendTestWebhook() {
+        const url = `${this.#baseUrl}/test`;
+        const delivery = await this.sendBody(PostCommands.TestWebhook, { url : url, secret : '' });
+        TestHelpers.verify(delivery.success && delivery.status === 200 && delivery.attempts === 1,
+            `Expected a successful test delivery, found ${JSON.stringify(delivery)}.`);
+        TestHelpers.verify(this.#received.length === 1 && this.#received[0].payload.event === 'test',
+            `Expected a single test payload, found ${JSON.stringify(this.#received.map(r => r.payload))}.`);
+
+        const log = await this.send(PostCommands.GetWebhookLog);
+        TestHelpers.verify(log[0]?.id === delivery.id && log[0].url === url,
+            `Expected the test delivery to be the most recent log entry, found ${JSON.stringify(log[0])}.`);
+    }
+
+    /**
+     * Ensure client errors are reported, and not retried. */
+    async testTestWebhookFailure() {
+        const delivery = await this.sendBody(PostCommands.TestWebhook, { url : `${this.#baseUrl}/fail`, secret : '' });
+        TestHelpers.verify(!delivery.success && delivery.status === 400 && delivery.attempts === 1,
+            `Expected a single failed test delivery, found ${JSON.stringify(delivery)}.`);
+        TestHelpers.verify(delivery.error?.startsWith('400'), `Expected the error to contain the status code, found ${delivery.error}.`);
+    }
+
+    /**
+     * Ensure non-HTTP URLs can't be tested. */
+    async testTestWebhookInvalidUrl() {
+        const response = await this.sendBody(PostCommands.TestWebhook, { url : 'ftp://localhost/hook', secret : '' }, true /*raw*/);
+        TestHelpers.verify(response.status === 400, `Expected a 400 for a non-HTTP webhook URL, found ${response.status}.`);
+        TestHelpers.verify(this.#received.length === 0, `Expected no deliveries for an invalid URL.`);
+    }
+
+    /**
+     * Ensure invalid webhook settings are rejected on a per-row basis. */
+    async testValidateWebhooks() {
+        const validate = webhooks => this.sendBody(PostCommands.ValidateConfigValue, {
+            setting : ServerSettings.Webhooks,
+            value : JSON.stringify({ value : webhooks, defaultValue : [], isValid : true }),
+        });
+
+        let result = await validate([{ url : 'https://example.com/hook', events : [WebhookEvent.Added] }]);
+        TestHelpers.verify(result.isValid, `Expected a valid webhook to pass validation, found ${result.invalidMessage}.`);
+
+        result = await validate([
+            { url : 'https://example.com/hook' },
+            { url : 'not a url', events : [] },
+            { url : 'http://example.com', events : ['bogus'], secret : 1 },
+        ]);
+
+        TestHelpers.verify(!result.isValid, `Expected invalid webhooks to fail validation.`);
+        const rows = JSON.parse(result.invalidMessage);
+        TestHelpers.verify(rows.length === 2, `Expected two invalid rows, found ${rows.length}.`);
+        TestHelpers.verify(rows[0].row === 1 && rows[0].urlError && rows[0].eventsError && !rows[0].secretError,
+            `Expected an invalid URL and events for the second row, found ${JSON.stringify(rows[0])}.`);
+        TestHelpers.verify(rows[1].row === 2 && !rows[1].urlError && rows[1].eventsError && rows[1].secretError,
+            `Expected invalid events and secret for the third row, found ${JSON.stringify(rows[1])}.`);
+    }
+
+    /**
+     * Wait for the given number of webhook deliveries, since they're sent in the background.
+     * @param {number} count
+     * @returns {Promise<ReceivedWebhook[]>} */
+    async #waitForWebhooks(count) {
+        for (let i = 0; i < 50 && this.#received.length < count; ++i) {
+            await new Promise(r => { setTimeout(r, 20); });
+        }
+
+        TestHelpers.verify(this.#received.length === count, `Expected ${count} webhook deliveries, found ${this.#received.length}.`);
+        return this.#received;
+    }
+}
+
+export default WebhookTest;
@@ -8,16 +8,37 @@ import MultipleMarkers from './TestClasses/MultipleMarkersTest.js';
 // Server/Shared dependencies
 import { ConsoleLog, ContextualLog } from '../Shared/ConsoleLog.js';
 import { GetServerState, ServerState } from '../Server/ServerState.js';
+import AuditLogTest from './TestClasses/AuditLogTest.js';
+import AutoRestoreTest from './TestClasses/AutoRestoreTest.js';
 import BulkAddTest from './TestClasses/BulkAddTest.js';
 import BulkDeleteTest from './TestClasses/BulkDeleteTest.js';
+import BulkItemsTest from './TestClasses/BulkItemsTest.js';
 import ChapterTest from './TestClasses/ChapterTest.js';
 import ClientTests from './TestClasses/ClientTests.js';
+import CommandLineTest from './TestClasses/CommandLineTest.js';
 import ConfigTest from './TestClasses/ConfigTest.js';
+import CopyMarkersTest from './TestClasses/CopyMarkersTest.js';
+import CreditsDetectionTest from './TestClasses/CreditsDetectionTest.js';
 import DateUtilTest from './TestClasses/DateUtilTest.js';
 import DeleteAllTest from './TestClasses/DeleteAllTest.js';
 import ImportExportTest from './TestClasses/ImportExportTest.js';
+import IntroDetectionTest from './TestClasses/IntroDetectionTest.js';
+import LiveUpdatesTest from './TestClasses/LiveUpdatesTest.js';
+import MarkerFilterTest from './TestClasses/MarkerFilterTest.js';
+import MarkerLintTest from './TestClasses/MarkerLintTest.js';
+import MarkerSyncTest from './TestClasses/MarkerSyncTest.js';
+import MarkerTimingStatsTest from './TestClasses/MarkerTimingStatsTest.js';
+import PlexHttpBackendTest from './TestClasses/PlexHttpBackendTest.js';
+import PreviewClipTest from './TestClasses/PreviewClipTest.js';
 import QueryTest from './TestClasses/QueryTest.js';
+import RestApiTest from './TestClasses/RestApiTest.js';
 import ShiftTest from './TestClasses/ShiftTest.js';
+import SidecarExportTest from './TestClasses/SidecarExportTest.js';
+import SidecarImportTest from './TestClasses/SidecarImportTest.js';
+import SnapshotTest from './TestClasses/SnapshotTest.js';
+import UndoTest from './TestClasses/UndoTest.js';
+import UserRolesTest from './TestClasses/UserRolesTest.js';
+import WebhookTest from './TestClasses/WebhookTest.js';
 
 
 /**
@@ -81,6 +102,27 @@ class TestRunner {
         ChapterTest,
         DateUtilTest,
         ConfigTest,
+        UndoTest,
+        SidecarExportTest,
+        SidecarImportTest,
+        IntroDetectionTest,
+        CreditsDetectionTest,
+        AutoRestoreTest,
+        LiveUpdatesTest,
+        UserRolesTest,
+        WebhookTest,
+        AuditLogTest,
+        PlexHttpBackendTest,
+        MarkerTimingStatsTest,
+        MarkerLintTest,
+        CopyMarkersTest,
+        MarkerSyncTest,
+        MarkerFilterTest,
+        BulkItemsTest,
+        PreviewClipTest,
+        SnapshotTest,
+        CommandLineTest,
+        RestApiTest,
     };
 
     constructor() {